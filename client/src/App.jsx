@@ -29,6 +29,17 @@ import Reports from './pages/Reports';
 import AuditLogs from './pages/AuditLogs';
 import Notifications from './pages/Notifications';
 import Settings from './pages/Settings';
+import Workflows from './pages/Workflows';
+import Delegations from './pages/Delegations';
+import Reappropriations from './pages/Reappropriations';
+import PurchaseOrders from './pages/PurchaseOrders';
+import Vendors from './pages/Vendors';
+import Projects from './pages/Projects';
+import ExchangeRates from './pages/ExchangeRates';
+import Advances from './pages/Advances';
+import RecurringExpenditures from './pages/RecurringExpenditures';
+import BudgetOverrides from './pages/BudgetOverrides';
+import AllocationAmendments from './pages/AllocationAmendments';
 import Users from './pages/Users';
 import Categories from './pages/Categories';
 import BulkUpload from './pages/BulkUpload';
@@ -113,11 +124,19 @@ function App() {
                 <Route path="categories/add" element={<Categories />} />
                 <Route path="categories/edit/:id" element={<Categories />} />
                 <Route path="settings" element={<Settings />} />
+                <Route path="workflows" element={<Workflows />} />
+                <Route path="delegations" element={<Delegations />} />
 
                 {/* Office Routes */}
                 <Route path="allocations" element={<BudgetAllocations />} />
                 <Route path="allocations/add" element={<AllocationForm />} />
                 <Route path="allocations/edit/:id" element={<AllocationForm />} />
+                <Route path="reappropriations" element={<Reappropriations />} />
+                <Route path="purchase-orders" element={<PurchaseOrders />} />
+                <Route path="vendors" element={<Vendors />} />
+                <Route path="projects" element={<Projects />} />
+                <Route path="exchange-rates" element={<ExchangeRates />} />
+                <Route path="advances" element={<Advances />} />
                 <Route path="bulk-upload" element={<BulkUpload />} />
                 <Route path="budget-proposals" element={<BudgetProposals />} />
                 <Route path="budget-proposals/add" element={<BudgetProposalForm />} />
@@ -138,6 +157,10 @@ function App() {
                 {/* Department Routes */}
                 <Route path="expenditures" element={<Expenditures />} />
                 <Route path="submit-expenditure" element={<SubmitExpenditure />} />
+                <Route path="submit-expenditure/:id" element={<SubmitExpenditure />} />
+                <Route path="recurring-expenditures" element={<RecurringExpenditures />} />
+                <Route path="budget-overrides" element={<BudgetOverrides />} />
+                <Route path="allocation-amendments" element={<AllocationAmendments />} />
                 <Route path="resubmit-expenditure/:id" element={<ResubmitExpenditure />} />
 
                 {/* HOD Routes */}
@@ -0,0 +1,280 @@
+import { useEffect, useRef, useState } from 'react';
+import * as pdfjsLib from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { X, Trash2 } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { fileAPI } from '../../services/api';
+import './AttachmentViewer.scss';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+// Rendered width of a page, in CSS pixels
+const PAGE_WIDTH = 720;
+// Drags smaller than this (as a fraction of the page) pin a point rather than a region
+const MIN_REGION = 0.01;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const PdfPageCanvas = ({ pdf, pageNumber }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    let task = null;
+    let cancelled = false;
+    pdf.getPage(pageNumber).then(page => {
+      if (cancelled || !canvasRef.current) return;
+      const scale = PAGE_WIDTH / page.getViewport({ scale: 1 }).width;
+      const viewport = page.getViewport({ scale: scale * (window.devicePixelRatio || 1) });
+      const canvas = canvasRef.current;
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      task = page.render({ canvas, viewport });
+      task.promise.catch(() => {});
+    });
+    return () => {
+      cancelled = true;
+      if (task) task.cancel();
+    };
+  }, [pdf, pageNumber]);
+
+  return <canvas ref={canvasRef} style={{ width: `${PAGE_WIDTH}px` }} />;
+};
+
+// One page of the bill under its annotations. Approvers drag out a region, or click a
+// point, to pin a comment; positions are kept as fractions of the page.
+const AnnotatedPage = ({ pageNumber, annotations, numbers, activeId, canAnnotate, pending, onSelect, onActivate, children }) => {
+  const [drag, setDrag] = useState(null);
+
+  const toFraction = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return { x: clamp((e.clientX - rect.left) / rect.width), y: clamp((e.clientY - rect.top) / rect.height) };
+  };
+
+  const finishDrag = () => {
+    if (!drag) return;
+    const x = Math.min(drag.start.x, drag.end.x);
+    const y = Math.min(drag.start.y, drag.end.y);
+    const width = Math.abs(drag.end.x - drag.start.x);
+    const height = Math.abs(drag.end.y - drag.start.y);
+    const isRegion = width >= MIN_REGION && height >= MIN_REGION;
+    onSelect({ page: pageNumber, x, y, width: isRegion ? width : 0, height: isRegion ? height : 0 });
+    setDrag(null);
+  };
+
+  const region = (box) => ({
+    left: `${box.x * 100}%`,
+    top: `${box.y * 100}%`,
+    width: `${box.width * 100}%`,
+    height: `${box.height * 100}%`
+  });
+
+  const dragBox = drag && {
+    x: Math.min(drag.start.x, drag.end.x),
+    y: Math.min(drag.start.y, drag.end.y),
+    width: Math.abs(drag.end.x - drag.start.x),
+    height: Math.abs(drag.end.y - drag.start.y)
+  };
+
+  return (
+    <div className="viewer-page">
+      {children}
+      <div
+        className={`viewer-page-overlay ${canAnnotate ? 'can-annotate' : ''}`}
+        onMouseDown={canAnnotate ? (e) => { const point = toFraction(e); setDrag({ start: point, end: point }); } : undefined}
+        onMouseMove={drag ? (e) => { const point = toFraction(e); setDrag(prev => ({ ...prev, end: point })); } : undefined}
+        onMouseUp={drag ? finishDrag : undefined}
+        onMouseLeave={drag ? finishDrag : undefined}
+      >
+        {annotations.map(annotation => (
+          <div
+            key={annotation._id}
+            className={`annotation-mark ${annotation.width > 0 ? 'region' : 'point'} ${activeId === annotation._id ? 'active' : ''}`}
+            style={region(annotation)}
+            onMouseDown={(e) => e.stopPropagation()}
+            onClick={() => onActivate(annotation._id)}
+            title={annotation.comment}
+          >
+            <span className="annotation-number">{numbers[annotation._id]}</span>
+          </div>
+        ))}
+        {pending && pending.page === pageNumber && (
+          <div className={`annotation-mark pending ${pending.width > 0 ? 'region' : 'point'}`} style={region(pending)} />
+        )}
+        {dragBox && <div className="annotation-mark pending region" style={region(dragBox)} />}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * In-app viewer for a bill (PDF or image), streamed through a signed /api/files/serve
+ * link, with the approvers' annotations pinned to it.
+ *
+ * @param {Object} attachment - Attachment subdocument ({ _id, originalName, mimetype })
+ * @param {boolean} canAnnotate - Approvers may add annotations and remove their own
+ * @param {Function} onClose
+ */
+const AttachmentViewer = ({ attachment, canAnnotate = false, onClose }) => {
+  const { user } = useAuth();
+  const [pdf, setPdf] = useState(null);
+  const [imageUrl, setImageUrl] = useState(null);
+  const [annotations, setAnnotations] = useState([]);
+  const [pending, setPending] = useState(null);
+  const [comment, setComment] = useState('');
+  const [activeId, setActiveId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let loadedPdf = null;
+    let objectUrl = null;
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        const [previewRes, annotationsRes] = await Promise.all([
+          fileAPI.getPreviewUrl(attachment._id),
+          fileAPI.getAnnotations(attachment._id)
+        ]);
+        const { url, mimetype } = previewRes.data.data;
+        const file = await fileAPI.fetchServedFile(url);
+        if (cancelled) return;
+
+        if ((mimetype || attachment.mimetype) === 'application/pdf') {
+          loadedPdf = await pdfjsLib.getDocument({ data: new Uint8Array(file.data) }).promise;
+          if (!cancelled) setPdf(loadedPdf);
+        } else {
+          objectUrl = URL.createObjectURL(new Blob([file.data], { type: mimetype || attachment.mimetype }));
+          setImageUrl(objectUrl);
+        }
+        setAnnotations(annotationsRes.data.data.annotations || []);
+      } catch (err) {
+        console.error('Error loading bill:', err);
+        if (!cancelled) setError(err.response?.data?.message || 'The bill could not be loaded');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+      if (loadedPdf) loadedPdf.destroy();
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachment._id, attachment.mimetype]);
+
+  // Numbered top to bottom, page by page
+  const ordered = [...annotations].sort((a, b) => a.page - b.page || a.y - b.y || a.x - b.x);
+  const numbers = Object.fromEntries(ordered.map((annotation, idx) => [annotation._id, idx + 1]));
+  const pageCount = pdf ? pdf.numPages : (imageUrl ? 1 : 0);
+
+  const saveAnnotation = async () => {
+    if (!comment.trim()) return;
+    try {
+      setSaving(true);
+      const response = await fileAPI.addAnnotation(attachment._id, { ...pending, comment: comment.trim() });
+      setAnnotations(prev => [...prev, response.data.data.annotation]);
+      setPending(null);
+      setComment('');
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to add annotation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeAnnotation = async (annotationId) => {
+    if (!window.confirm('Remove this annotation?')) return;
+    try {
+      await fileAPI.deleteAnnotation(attachment._id, annotationId);
+      setAnnotations(prev => prev.filter(annotation => annotation._id !== annotationId));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to remove annotation');
+    }
+  };
+
+  return (
+    <div className="attachment-viewer-overlay" onClick={onClose}>
+      <div className="attachment-viewer" onClick={(e) => e.stopPropagation()}>
+        <div className="attachment-viewer-header">
+          <h4>{attachment.originalName || 'Bill'}</h4>
+          <button type="button" className="close-btn" onClick={onClose} aria-label="Close"><X size={18} /></button>
+        </div>
+
+        <div className="attachment-viewer-body">
+          <div className="attachment-viewer-pages">
+            {loading && <div className="viewer-message">Loading bill...</div>}
+            {error && <div className="viewer-message error">{error}</div>}
+            {Array.from({ length: pageCount }, (_, idx) => idx + 1).map(pageNumber => (
+              <AnnotatedPage
+                key={pageNumber}
+                pageNumber={pageNumber}
+                annotations={annotations.filter(annotation => annotation.page === pageNumber)}
+                numbers={numbers}
+                activeId={activeId}
+                canAnnotate={canAnnotate}
+                pending={pending}
+                onSelect={(region) => { setPending(region); setActiveId(null); }}
+                onActivate={setActiveId}
+              >
+                {pdf
+                  ? <PdfPageCanvas pdf={pdf} pageNumber={pageNumber} />
+                  : <img src={imageUrl} alt={attachment.originalName} style={{ width: `${PAGE_WIDTH}px` }} draggable={false} />}
+              </AnnotatedPage>
+            ))}
+          </div>
+
+          <div className="attachment-viewer-notes">
+            <h5>Annotations ({annotations.length})</h5>
+            {canAnnotate && !pending && (
+              <p className="notes-help">Drag over the bill to highlight a region, or click a point, then add your comment.</p>
+            )}
+            {pending && (
+              <div className="annotation-form">
+                <label>Comment on page {pending.page}</label>
+                <textarea value={comment} onChange={(e) => setComment(e.target.value)} rows="3" maxLength={1000} autoFocus />
+                <div className="annotation-form-actions">
+                  <button type="button" className="btn btn-secondary btn-sm" onClick={() => { setPending(null); setComment(''); }}>Cancel</button>
+                  <button type="button" className="btn btn-primary btn-sm" onClick={saveAnnotation} disabled={saving || !comment.trim()}>
+                    {saving ? 'Saving...' : 'Add'}
+                  </button>
+                </div>
+              </div>
+            )}
+            {ordered.length === 0 && !pending && <p className="notes-empty">No annotations on this bill.</p>}
+            {ordered.map(annotation => (
+              <div
+                key={annotation._id}
+                className={`annotation-note ${activeId === annotation._id ? 'active' : ''}`}
+                onClick={() => setActiveId(annotation._id)}
+              >
+                <div className="annotation-note-header">
+                  <span className="annotation-number">{numbers[annotation._id]}</span>
+                  <span className="annotation-meta">
+                    Page {annotation.page} · {annotation.author?.name || annotation.role?.toUpperCase()} · {new Date(annotation.createdAt).toLocaleDateString()}
+                  </span>
+                  {canAnnotate && annotation.author?._id === user?._id && (
+                    <button
+                      type="button"
+                      className="annotation-remove"
+                      onClick={(e) => { e.stopPropagation(); removeAnnotation(annotation._id); }}
+                      aria-label="Remove annotation"
+                    >
+                      <Trash2 size={12} />
+                    </button>
+                  )}
+                </div>
+                <div className="annotation-comment">{annotation.comment}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AttachmentViewer;
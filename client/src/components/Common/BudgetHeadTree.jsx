@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import { ChevronRight, ChevronDown } from 'lucide-react';
+import './BudgetHeadTree.scss';
+
+const BudgetHeadTreeRow = ({ node, depth, renderCells, defaultExpanded }) => {
+  const [expanded, setExpanded] = useState(defaultExpanded);
+  const hasChildren = node.children?.length > 0;
+
+  return (
+    <>
+      <tr className={`tree-row depth-${Math.min(depth, 4)}`}>
+        <td>
+          <div className="tree-label" style={{ paddingLeft: `${depth * 1.25}rem` }}>
+            {hasChildren ? (
+              <button
+                type="button"
+                className="tree-toggle"
+                onClick={() => setExpanded(prev => !prev)}
+                aria-label={expanded ? 'Collapse' : 'Expand'}
+              >
+                {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+              </button>
+            ) : (
+              <span className="tree-toggle-spacer" />
+            )}
+            <span className={hasChildren ? 'tree-name parent' : 'tree-name'}>{node.name}</span>
+          </div>
+        </td>
+        {renderCells(node)}
+      </tr>
+      {expanded && hasChildren && node.children.map(child => (
+        <BudgetHeadTreeRow
+          key={child._id}
+          node={child}
+          depth={depth + 1}
+          renderCells={renderCells}
+          defaultExpanded={false}
+        />
+      ))}
+    </>
+  );
+};
+
+/**
+ * Table rows for a budget head tree. Each node carries its own figures and a
+ * `subtotal` including everything below it; `renderCells` draws the columns
+ * after the name.
+ */
+const BudgetHeadTree = ({ nodes, renderCells, defaultExpanded = true }) => (
+  <>
+    {nodes.map(node => (
+      <BudgetHeadTreeRow
+        key={node._id}
+        node={node}
+        depth={0}
+        renderCells={renderCells}
+        defaultExpanded={defaultExpanded}
+      />
+    ))}
+  </>
+);
+
+export default BudgetHeadTree;
@@ -0,0 +1,230 @@
+import { useEffect, useState, useCallback } from 'react';
+import { MessageSquare, HelpCircle, CornerDownRight } from 'lucide-react';
+import { useSocket } from '../../context/SocketContext';
+import { expenditureAPI, budgetProposalAPI } from '../../services/api';
+import './DiscussionThread.scss';
+
+const APIS = {
+  Expenditure: expenditureAPI,
+  BudgetProposal: budgetProposalAPI
+};
+
+// Show the "@Name"s the server resolved as mentions in bold
+const renderBody = (comment) => {
+  const names = (comment.mentions || []).map(user => user.name).filter(Boolean);
+  if (names.length === 0) return comment.body;
+  const escaped = names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(@(?:${escaped.join('|')}))`, 'gi');
+  return comment.body.split(pattern).map((part, idx) => (
+    idx % 2 === 1 ? <strong key={idx} className="mention">{part}</strong> : part
+  ));
+};
+
+// Textarea that offers the mentionable users after "@"
+const CommentBox = ({ mentionable, placeholder, submitLabel, onSubmit, onCancel, children, autoFocus }) => {
+  const [body, setBody] = useState('');
+  const [query, setQuery] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  const handleChange = (e) => {
+    const value = e.target.value;
+    setBody(value);
+    const match = value.slice(0, e.target.selectionStart).match(/@([^@\n]{0,30})$/);
+    setQuery(match ? match[1].toLowerCase() : null);
+  };
+
+  const insertMention = (user) => {
+    setBody(prev => prev.replace(/@([^@\n]{0,30})$/, `@${user.name} `));
+    setQuery(null);
+  };
+
+  const suggestions = query === null
+    ? []
+    : mentionable.filter(user => user.name.toLowerCase().startsWith(query)).slice(0, 6);
+
+  const submit = async () => {
+    if (!body.trim()) return;
+    setSending(true);
+    const sent = await onSubmit(body.trim());
+    setSending(false);
+    if (sent) setBody('');
+  };
+
+  return (
+    <div className="comment-box">
+      <div className="comment-input">
+        <textarea
+          value={body}
+          onChange={handleChange}
+          placeholder={placeholder}
+          rows="2"
+          maxLength={2000}
+          autoFocus={autoFocus}
+        />
+        {suggestions.length > 0 && (
+          <ul className="mention-suggestions">
+            {suggestions.map(user => (
+              <li key={user._id} onMouseDown={(e) => { e.preventDefault(); insertMention(user); }}>
+                {user.name} <span className="mention-role">{user.role?.replace('_', ' ')}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div className="comment-box-actions">
+        {children}
+        {onCancel && <button type="button" className="btn btn-secondary btn-sm" onClick={onCancel}>Cancel</button>}
+        <button type="button" className="btn btn-primary btn-sm" onClick={submit} disabled={sending || !body.trim()}>
+          {sending ? 'Sending...' : submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Discussion thread of an expenditure or budget proposal. Approvers can turn a
+ * comment into a clarification request, which holds the request (and its SLA
+ * clock) until the submitter replies in that thread.
+ *
+ * @param {string} entity - 'Expenditure' or 'BudgetProposal'
+ * @param {string} targetId
+ * @param {Function} [onClarificationChange] - Called with the clarification after a request or answer
+ */
+const DiscussionThread = ({ entity, targetId, onClarificationChange }) => {
+  const { socket } = useSocket();
+  const [thread, setThread] = useState({ comments: [], mentionable: [], clarification: null });
+  const [loading, setLoading] = useState(true);
+  const [replyTo, setReplyTo] = useState(null);
+  const [asClarification, setAsClarification] = useState(false);
+
+  const fetchThread = useCallback(async () => {
+    try {
+      const response = await APIS[entity].getComments(targetId);
+      setThread(response.data.data);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [entity, targetId]);
+
+  useEffect(() => {
+    fetchThread();
+  }, [fetchThread]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const handleComment = (event) => {
+      if (event.targetEntity === entity && event.targetId === targetId) fetchThread();
+    };
+    socket.on('comment_added', handleComment);
+    return () => {
+      socket.off('comment_added', handleComment);
+    };
+  }, [socket, entity, targetId, fetchThread]);
+
+  const postComment = async (data) => {
+    try {
+      const response = await APIS[entity].addComment(targetId, data);
+      const { comment } = response.data.data;
+      await fetchThread();
+      if (comment.kind !== 'comment') {
+        alert(response.data.message);
+        if (onClarificationChange) onClarificationChange(comment.kind);
+      }
+      return true;
+    } catch (error) {
+      alert(error.response?.data?.message || 'Failed to post comment');
+      return false;
+    }
+  };
+
+  const { comments, mentionable, clarification } = thread;
+  const topLevel = comments.filter(comment => !comment.parent);
+  const repliesTo = (id) => comments.filter(comment => comment.parent === id);
+  const openRequestId = clarification?.status === 'REQUESTED' ? clarification.comment : null;
+
+  const renderComment = (comment) => (
+    <div key={comment._id} className={`comment comment-${comment.kind}`}>
+      <div className="comment-header">
+        <span className="comment-author">{comment.author?.name || 'Unknown'}</span>
+        <span className="comment-role">{comment.authorRole?.replace('_', ' ')}</span>
+        <span className="comment-date">{new Date(comment.createdAt).toLocaleString()}</span>
+        {comment.kind === 'clarification_request' && (
+          <span className={`clarification-tag ${comment._id === openRequestId ? 'open' : ''}`}>
+            {comment._id === openRequestId ? 'Clarification requested' : 'Clarification'}
+          </span>
+        )}
+        {comment.kind === 'clarification_response' && <span className="clarification-tag answered">Answer</span>}
+      </div>
+      <div className="comment-body">{renderBody(comment)}</div>
+    </div>
+  );
+
+  return (
+    <div className="discussion-thread">
+      <h4><MessageSquare size={16} /> Discussion ({comments.length})</h4>
+
+      {openRequestId && (
+        <div className="clarification-banner">
+          <HelpCircle size={14} />
+          {thread.canAnswerClarification
+            ? 'An approver is waiting on your answer. Reply to their question below; the request stays on hold until you do.'
+            : 'On hold for clarification from the submitter. The approval clock is paused.'}
+        </div>
+      )}
+
+      {loading && <p className="thread-empty">Loading discussion...</p>}
+      {!loading && topLevel.length === 0 && <p className="thread-empty">No comments yet.</p>}
+
+      {topLevel.map(comment => (
+        <div key={comment._id} className="thread">
+          {renderComment(comment)}
+          <div className="thread-replies">
+            {repliesTo(comment._id).map(renderComment)}
+            {replyTo === comment._id ? (
+              <CommentBox
+                mentionable={mentionable}
+                placeholder={comment._id === openRequestId && thread.canAnswerClarification ? 'Your answer...' : 'Reply... (type @ to mention)'}
+                submitLabel={comment._id === openRequestId && thread.canAnswerClarification ? 'Send answer' : 'Reply'}
+                onSubmit={async (body) => {
+                  const sent = await postComment({ body, parent: comment._id });
+                  if (sent) setReplyTo(null);
+                  return sent;
+                }}
+                onCancel={() => setReplyTo(null)}
+                autoFocus
+              />
+            ) : (
+              <button type="button" className="reply-btn" onClick={() => setReplyTo(comment._id)}>
+                <CornerDownRight size={12} />
+                {comment._id === openRequestId && thread.canAnswerClarification ? 'Answer' : 'Reply'}
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+
+      <CommentBox
+        mentionable={mentionable}
+        placeholder={asClarification ? 'What do you need the submitter to clarify?' : 'Add a comment... (type @ to mention)'}
+        submitLabel={asClarification ? 'Request clarification' : 'Comment'}
+        onSubmit={async (body) => {
+          const sent = await postComment({ body, requestClarification: asClarification });
+          if (sent) setAsClarification(false);
+          return sent;
+        }}
+      >
+        {thread.canRequestClarification && (
+          <label className="clarification-toggle">
+            <input type="checkbox" checked={asClarification} onChange={(e) => setAsClarification(e.target.checked)} />
+            Ask as clarification (puts the request on hold)
+          </label>
+        )}
+      </CommentBox>
+    </div>
+  );
+};
+
+export default DiscussionThread;
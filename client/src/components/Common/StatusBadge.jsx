@@ -9,7 +9,9 @@ const StatusBadge = ({ status, className = '' }) => {
         'MANAGEMENT_APPROVED': { label: 'Approved by Management', class: 'info' },
         'FINALIZED': { label: 'Finalized & Deducted', class: 'approved' },
         'ALLOCATED': { label: 'Approved & Allocated', class: 'approved' },
-        'REJECTED': { label: 'Rejected', class: 'rejected' }
+        'REJECTED': { label: 'Rejected', class: 'rejected' },
+        'WITHDRAWN': { label: 'Withdrawn', class: 'neutral' },
+        'CANCELLED': { label: 'Reversed', class: 'rejected' }
     };
 
     // Normalize: handle cases where status might be uppercase or slightly different
@@ -6,3 +6,4 @@ export { default as LoadingSpinner } from './LoadingSpinner';
 export { default as PageHeader } from './PageHeader';
 export { default as StatCard } from './StatCard';
 export { default as ContentCard } from './ContentCard';
+export { default as BudgetHeadTree } from './BudgetHeadTree';
@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { NavLink, Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { delegationAPI } from '../../services/api';
 import Tooltip from '../Tooltip/Tooltip';
 import {
   LayoutDashboard,
@@ -24,12 +25,31 @@ import {
   Layers,
   BarChart3,
   Gauge,
-  History as HistoryIcon
+  History as HistoryIcon,
+  GitBranch,
+  CalendarOff,
+  ArrowLeftRight,
+  ShoppingCart,
+  Store,
+  Coins,
+  HandCoins,
+  Repeat,
+  ShieldAlert,
+  FilePen,
+  FolderKanban
 } from 'lucide-react';
 import './Sidebar.scss';
 
 const Sidebar = ({ isOpen, onClose, isExpanded, onToggleExpand }) => {
   const { user, logout } = useAuth();
+  const [actingFor, setActingFor] = useState([]);
+
+  useEffect(() => {
+    if (!user) return;
+    delegationAPI.getActingFor()
+      .then(response => setActingFor(response.data?.data?.delegators || []))
+      .catch(() => setActingFor([]));
+  }, [user]);
 
   const toggleSidebar = () => {
     if (onToggleExpand) {
@@ -37,8 +57,29 @@ const Sidebar = ({ isOpen, onClose, isExpanded, onToggleExpand }) => {
     }
   };
 
+  const outOfOfficeItem = { path: '/delegations', label: 'Out of Office', icon: <CalendarOff size={20} /> };
+  const reappropriationItem = { path: '/reappropriations', label: 'Re-appropriations', icon: <ArrowLeftRight size={20} /> };
+  const purchaseOrderItem = { path: '/purchase-orders', label: 'Purchase Orders', icon: <ShoppingCart size={20} /> };
+  const vendorItem = { path: '/vendors', label: 'Vendors', icon: <Store size={20} /> };
+  const advanceItem = { path: '/advances', label: 'Advances', icon: <HandCoins size={20} /> };
+  const amendmentItem = { path: '/allocation-amendments', label: 'Allocation Amendments', icon: <FilePen size={20} /> };
+  const budgetOverrideItem = { path: '/budget-overrides', label: 'Budget Overrides', icon: <ShieldAlert size={20} /> };
+  const projectItem = { path: '/projects', label: 'Projects', icon: <FolderKanban size={20} /> };
+
+  // Substitutes get the approvals queue while they are covering for someone
+  const withDelegationItems = (items) => {
+    const hasQueue = items.some(item => item.path === '/approvals');
+    return actingFor.length > 0 && !hasQueue
+      ? [...items, { path: '/approvals', label: 'Approvals Queue', icon: <CheckSquare size={20} /> }]
+      : items;
+  };
+
   const getNavigationItems = () => {
     if (!user) return [];
+    return withDelegationItems(getRoleItems());
+  };
+
+  const getRoleItems = () => {
 
     const baseItems = [
       { path: '/dashboard', label: 'Dashboard', icon: <LayoutDashboard size={20} /> },
@@ -51,6 +92,15 @@ const Sidebar = ({ isOpen, onClose, isExpanded, onToggleExpand }) => {
           ...baseItems,
           { path: '/users', label: 'Users', icon: <Users size={20} /> },
           { path: '/departments', label: 'Departments', icon: <Building2 size={20} /> },
+          { path: '/categories', label: 'Categories', icon: <Layers size={20} /> },
+          { path: '/workflows', label: 'Workflows', icon: <GitBranch size={20} /> },
+          reappropriationItem,
+          purchaseOrderItem,
+          advanceItem,
+          projectItem,
+          vendorItem,
+          { path: '/exchange-rates', label: 'Exchange Rates', icon: <Coins size={20} /> },
+          outOfOfficeItem,
           { path: '/settings', label: 'Settings', icon: <Settings size={20} /> },
         ];
       case 'office':
@@ -59,6 +109,12 @@ const Sidebar = ({ isOpen, onClose, isExpanded, onToggleExpand }) => {
           { path: '/budget-heads', label: 'Budget Heads', icon: <Wallet size={20} /> },
           { path: '/categories', label: 'Categories', icon: <Layers size={20} /> },
           { path: '/allocations', label: 'Allocations', icon: <ClipboardList size={20} /> },
+          amendmentItem,
+          reappropriationItem,
+          purchaseOrderItem,
+          advanceItem,
+          projectItem,
+          vendorItem,
           { path: '/approvals', label: 'Approvals', icon: <CheckSquare size={20} /> },
           { path: '/consolidated-budget-report', label: 'Budget Report', icon: <BarChart3 size={20} /> },
           { path: '/budget-utilization-dashboard', label: 'Utilization Dashboard', icon: <Gauge size={20} /> },
@@ -66,6 +122,7 @@ const Sidebar = ({ isOpen, onClose, isExpanded, onToggleExpand }) => {
           { path: '/reports', label: 'Reports', icon: <FileText size={20} /> },
           { path: '/consolidated-view', label: 'Consolidated View', icon: <TrendingUp size={20} /> },
           { path: '/year-comparison', label: 'Year Comparison', icon: <LineChart size={20} /> },
+          outOfOfficeItem,
         ];
       case 'department':
         return [
@@ -73,12 +130,28 @@ const Sidebar = ({ isOpen, onClose, isExpanded, onToggleExpand }) => {
           { path: '/budget-proposals', label: 'Budget Proposals', icon: <FileText size={20} /> },
           { path: '/expenditures', label: 'My Expenditures', icon: <Calculator size={20} /> },
           { path: '/submit-expenditure', label: 'Submit Expenditure', icon: <PlusCircle size={20} /> },
+          { path: '/recurring-expenditures', label: 'Recurring Expenditures', icon: <Repeat size={20} /> },
+          advanceItem,
+          projectItem,
+          budgetOverrideItem,
+        ];
+      case 'coordinator':
+        return [
+          ...baseItems,
+          { path: '/expenditures', label: 'Department Expenditures', icon: <Calculator size={20} /> },
+          advanceItem,
         ];
       case 'hod':
         return [
           { path: '/dashboard', label: 'Dashboard', icon: <LayoutDashboard size={20} /> },
           { path: '/hod-analytics', label: 'Analytics', icon: <LineChart size={20} /> },
           { path: '/hod-history', label: 'History', icon: <HistoryIcon size={20} /> },
+          amendmentItem,
+          reappropriationItem,
+          purchaseOrderItem,
+          advanceItem,
+          projectItem,
+          outOfOfficeItem,
         ];
       case 'vice_principal':
       case 'principal':
@@ -86,9 +159,16 @@ const Sidebar = ({ isOpen, onClose, isExpanded, onToggleExpand }) => {
           { path: '/dashboard', label: 'Command Center', icon: <LayoutDashboard size={20} /> },
           { path: '/graphical-dashboard', label: 'Analytics', icon: <LineChart size={20} /> },
           { path: '/approvals', label: 'Approvals Queue', icon: <CheckSquare size={20} /> },
+          amendmentItem,
+          reappropriationItem,
+          purchaseOrderItem,
+          advanceItem,
+          projectItem,
+          budgetOverrideItem,
           { path: '/reports', label: 'Reports', icon: <FileText size={20} /> },
           { path: '/consolidated-budget-report', label: 'Budget Report', icon: <BarChart3 size={20} /> },
           { path: '/budget-proposal-report', label: 'Proposal Report', icon: <FileText size={20} /> },
+          outOfOfficeItem,
         ];
       case 'auditor':
         return [
@@ -0,0 +1,446 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { advanceAPI, budgetHeadsAPI, departmentsAPI, delegationAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import PageHeader from '../components/Common/PageHeader';
+import { HandCoins, Check, X, Send, Ban, Receipt } from 'lucide-react';
+import './Settings.scss';
+import './Delegations.scss';
+import './Reappropriations.scss';
+import './Advances.scss';
+
+const REQUESTER_ROLES = ['coordinator', 'hod', 'office', 'admin'];
+// Roles tied to their own department; everyone else picks one
+const DEPARTMENT_BOUND_ROLES = ['coordinator', 'hod'];
+// Roles that can raise the settlement expenditure
+const SETTLING_ROLES = ['department', 'hod'];
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'All Statuses' },
+  { value: 'pending_approval', label: 'Awaiting My Action' },
+  { value: 'open', label: 'Open (Unsettled)' },
+  { value: 'PENDING', label: 'Pending' },
+  { value: 'HOD_VERIFIED', label: 'HOD Verified' },
+  { value: 'APPROVED', label: 'Approved' },
+  { value: 'SETTLEMENT_SUBMITTED', label: 'Bills Submitted' },
+  { value: 'SETTLED', label: 'Settled' },
+  { value: 'REJECTED', label: 'Rejected' },
+  { value: 'CANCELLED', label: 'Cancelled' }
+];
+
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+const emptyForm = () => ({
+  department: '',
+  budgetHead: '',
+  eventName: '',
+  eventDate: '',
+  purpose: '',
+  amount: ''
+});
+
+const Advances = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [advances, setAdvances] = useState([]);
+  const [budgetHeads, setBudgetHeads] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [delegators, setDelegators] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [overdueOnly, setOverdueOnly] = useState(false);
+  const [formData, setFormData] = useState(emptyForm());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const canRequest = REQUESTER_ROLES.includes(user?.role);
+  const picksDepartment = canRequest && !DEPARTMENT_BOUND_ROLES.includes(user?.role);
+  // Roles this user can act in: their own plus any absent approver they are covering for
+  const actingRoles = [user?.role, ...delegators.map(delegator => delegator.role)];
+
+  const fetchAdvances = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await advanceAPI.getAdvances({
+        status: statusFilter,
+        overdue: overdueOnly ? 'true' : undefined,
+        limit: 100
+      });
+      setAdvances(response.data.data.advances || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch advances');
+      console.error('Error fetching advances:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, overdueOnly]);
+
+  useEffect(() => {
+    fetchAdvances();
+  }, [fetchAdvances]);
+
+  useEffect(() => {
+    delegationAPI.getActingFor()
+      .then(response => setDelegators(response.data?.data?.delegators || []))
+      .catch(err => console.error('Error fetching delegations:', err));
+
+    if (canRequest) {
+      budgetHeadsAPI.getBudgetHeads({ isActive: true })
+        .then(response => setBudgetHeads(response.data.data.budgetHeads || []))
+        .catch(err => console.error('Error fetching budget heads:', err));
+    }
+
+    if (picksDepartment) {
+      departmentsAPI.getDepartments()
+        .then(response => setDepartments(response.data.data.departments || []))
+        .catch(err => console.error('Error fetching departments:', err));
+    }
+  }, [canRequest, picksDepartment]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const response = await advanceAPI.createAdvance({
+        ...formData,
+        department: picksDepartment ? formData.department : undefined,
+        amount: parseFloat(formData.amount)
+      });
+      setSuccess(response.data.message);
+      setFormData(emptyForm());
+      fetchAdvances();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to submit advance');
+      console.error('Error submitting advance:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAction = async (item, action) => {
+    let remarks = '';
+    if (action === 'reject') {
+      remarks = window.prompt('Reason for rejection:');
+      if (!remarks) return;
+    } else if (!window.confirm(`${action === 'verify' ? 'Verify' : 'Approve'} an advance of ${formatAmount(item.amount)} for ${item.eventName}?`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      const request = {
+        verify: advanceAPI.verifyAdvance,
+        approve: advanceAPI.approveAdvance,
+        reject: advanceAPI.rejectAdvance
+      }[action];
+      const response = await request(item._id, { remarks });
+      setSuccess(response.data.message);
+      fetchAdvances();
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to ${action} advance`);
+      console.error(`Error during advance ${action}:`, err);
+    }
+  };
+
+  const handleCancel = async (item) => {
+    const reason = window.prompt(`Reason for cancelling ${item.advanceNumber}:`);
+    if (!reason) return;
+
+    try {
+      setError(null);
+      const response = await advanceAPI.cancelAdvance(item._id, { reason });
+      setSuccess(response.data.message);
+      fetchAdvances();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to cancel advance');
+      console.error('Error cancelling advance:', err);
+    }
+  };
+
+  const canActOn = (item) => {
+    const pendingRoles = item.progress?.pendingRoles || [];
+    return pendingRoles.some(role => actingRoles.includes(role));
+  };
+
+  // Mirrors the server rule: the requester may withdraw an undecided request,
+  // office and admin may also cancel an approved advance that has no bills yet
+  const canCancel = (item) => {
+    const isOffice = ['office', 'admin'].includes(user?.role);
+    if (['PENDING', 'HOD_VERIFIED'].includes(item.status)) {
+      return isOffice || item.requestedBy?._id === user?._id;
+    }
+    return item.status === 'APPROVED' && isOffice;
+  };
+
+  const canSettle = (item) => item.status === 'APPROVED' && SETTLING_ROLES.includes(user?.role);
+
+  return (
+    <div className="settings-container delegations-container reappropriations-container">
+      <PageHeader
+        title="Cash Advances"
+        subtitle="Draw funds ahead of an event and settle them against the actual bills"
+      />
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message">
+          {success}
+        </div>
+      )}
+
+      {canRequest && (
+        <div className="settings-panel">
+          <div className="panel-header">
+            <h2><HandCoins size={20} /> Request an Advance</h2>
+          </div>
+
+          <form onSubmit={handleSubmit} className="settings-form">
+            <div className="form-section">
+              <div className="form-row">
+                {picksDepartment && (
+                  <div className="form-group">
+                    <label>Department</label>
+                    <select
+                      name="department"
+                      value={formData.department}
+                      onChange={handleChange}
+                      className="form-select"
+                      required
+                    >
+                      <option value="">Select department</option>
+                      {departments.map(department => (
+                        <option key={department._id} value={department._id}>{department.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div className="form-group">
+                  <label>Budget Head</label>
+                  <select
+                    name="budgetHead"
+                    value={formData.budgetHead}
+                    onChange={handleChange}
+                    className="form-select"
+                    required
+                  >
+                    <option value="">Select budget head</option>
+                    {budgetHeads.map(head => (
+                      <option key={head._id} value={head._id}>{head.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Event Name</label>
+                  <input
+                    type="text"
+                    name="eventName"
+                    value={formData.eventName}
+                    onChange={handleChange}
+                    className="form-input"
+                    maxLength={200}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Event Date</label>
+                  <input
+                    type="date"
+                    name="eventDate"
+                    value={formData.eventDate}
+                    onChange={handleChange}
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Amount (₹)</label>
+                  <input
+                    type="number"
+                    name="amount"
+                    value={formData.amount}
+                    onChange={handleChange}
+                    className="form-input"
+                    min="1"
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Purpose</label>
+                <input
+                  type="text"
+                  name="purpose"
+                  value={formData.purpose}
+                  onChange={handleChange}
+                  className="form-input"
+                  maxLength={500}
+                  placeholder="What the cash will be spent on"
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                <Send size={16} /> {saving ? 'Submitting...' : 'Submit for Approval'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="settings-panel delegation-list">
+        <div className="panel-header">
+          <h2><HandCoins size={18} /> Advances</h2>
+          <div className="action-cell">
+            <label className="overdue-filter">
+              <input
+                type="checkbox"
+                checked={overdueOnly}
+                onChange={(e) => setOverdueOnly(e.target.checked)}
+              />
+              Overdue only
+            </label>
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="form-select status-filter"
+            >
+              {STATUS_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading advances...</div>
+        ) : advances.length === 0 ? (
+          <p className="empty-state">No advances to show.</p>
+        ) : (
+          <table className="delegation-table">
+            <thead>
+              <tr>
+                <th>Advance</th>
+                <th>Department</th>
+                <th>Event</th>
+                <th>Amount</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {advances.map(item => (
+                <tr key={item._id}>
+                  <td>
+                    {item.advanceNumber}
+                    <span className="role-label">by {item.requestedBy?.name}</span>
+                  </td>
+                  <td>
+                    {item.department?.name}
+                    <span className="role-label">{item.budgetHead?.name}</span>
+                  </td>
+                  <td>
+                    {item.eventName}
+                    <span className="role-label">{formatDate(item.eventDate)} - {item.purpose}</span>
+                  </td>
+                  <td>{formatAmount(item.amount)}</td>
+                  <td>
+                    <span className={`reappropriation-status advance-status ${item.status.toLowerCase()}`}>
+                      {item.status.replace('_', ' ')}
+                    </span>
+                    {item.isOverdue && (
+                      <span className="reappropriation-status advance-status overdue">OVERDUE</span>
+                    )}
+                    {item.progress?.nextStage && (
+                      <span className="role-label">Next: {item.progress.nextStage.label}</span>
+                    )}
+                    {item.settlementDueDate && !['SETTLED', 'CANCELLED'].includes(item.status) && (
+                      <span className="role-label">Bills due {formatDate(item.settlementDueDate)}</span>
+                    )}
+                    {item.status === 'SETTLED' && item.settlement && (
+                      <span className="role-label">
+                        Spent {formatAmount(item.settlement.spentAmount)}
+                        {item.settlement.refundDue > 0 && `, refund due ${formatAmount(item.settlement.refundDue)}`}
+                        {item.settlement.additionalPayable > 0 && `, payable ${formatAmount(item.settlement.additionalPayable)}`}
+                      </span>
+                    )}
+                    {item.status === 'REJECTED' && (
+                      <span className="role-label">{item.rejectionReason}</span>
+                    )}
+                    {item.status === 'CANCELLED' && (
+                      <span className="role-label">{item.cancelReason}</span>
+                    )}
+                  </td>
+                  <td className="action-cell">
+                    {canActOn(item) && (
+                      <>
+                        <button
+                          type="button"
+                          className="btn-icon approve"
+                          title={item.progress.nextStage.action === 'verify' ? 'Verify' : 'Approve'}
+                          onClick={() => handleAction(item, item.progress.nextStage.action)}
+                        >
+                          <Check size={16} />
+                        </button>
+                        <button
+                          type="button"
+                          className="btn-icon reject"
+                          title="Reject"
+                          onClick={() => handleAction(item, 'reject')}
+                        >
+                          <X size={16} />
+                        </button>
+                      </>
+                    )}
+                    {canSettle(item) && (
+                      <button
+                        type="button"
+                        className="btn-icon approve"
+                        title="Submit Bills"
+                        onClick={() => navigate('/submit-expenditure', { state: { advance: item } })}
+                      >
+                        <Receipt size={16} />
+                      </button>
+                    )}
+                    {canCancel(item) && (
+                      <button
+                        type="button"
+                        className="btn-icon reject"
+                        title="Cancel"
+                        onClick={() => handleCancel(item)}
+                      >
+                        <Ban size={16} />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Advances;
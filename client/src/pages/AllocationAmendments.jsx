@@ -0,0 +1,307 @@
+import { useState, useEffect, useCallback } from 'react';
+import { allocationAPI, delegationAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import PageHeader from '../components/Common/PageHeader';
+import { FilePen, ArrowRight, Check, X, Send } from 'lucide-react';
+import './Settings.scss';
+import './Delegations.scss';
+import './Reappropriations.scss';
+
+const REQUESTER_ROLES = ['hod'];
+// Roles that decide amendment requests
+const APPROVER_ROLES = ['principal', 'vice_principal'];
+
+const STATUS_OPTIONS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All Statuses' }
+];
+
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+
+const emptyForm = () => ({
+  allocation: '',
+  requestedAmount: '',
+  changeReason: ''
+});
+
+const AllocationAmendments = () => {
+  const { user } = useAuth();
+  const [amendments, setAmendments] = useState([]);
+  const [allocations, setAllocations] = useState([]);
+  const [delegators, setDelegators] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [formData, setFormData] = useState(emptyForm());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const canRequest = REQUESTER_ROLES.includes(user?.role);
+  // Principal and vice principal, or anyone covering for them
+  const canDecide = [user?.role, ...delegators.map(delegator => delegator.role)]
+    .some(role => APPROVER_ROLES.includes(role));
+
+  const fetchAmendments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await allocationAPI.getAmendments({ status: statusFilter || undefined });
+      setAmendments(response.data.data.amendments || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch allocation amendments');
+      console.error('Error fetching allocation amendments:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchAmendments();
+  }, [fetchAmendments]);
+
+  useEffect(() => {
+    delegationAPI.getActingFor()
+      .then(response => setDelegators(response.data?.data?.delegators || []))
+      .catch(err => console.error('Error fetching delegations:', err));
+
+    if (canRequest) {
+      allocationAPI.getAllocations({ limit: 1000 })
+        .then(response => setAllocations(response.data.data.allocations || []))
+        .catch(err => console.error('Error fetching allocations:', err));
+    }
+  }, [canRequest]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const response = await allocationAPI.requestAmendment(formData.allocation, {
+        requestedAmount: parseFloat(formData.requestedAmount),
+        changeReason: formData.changeReason
+      });
+      setSuccess(response.data.message);
+      setFormData(emptyForm());
+      fetchAmendments();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to request amendment');
+      console.error('Error requesting amendment:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAction = async (item, action) => {
+    let remarks = '';
+    if (action === 'reject') {
+      remarks = window.prompt('Reason for rejection:');
+      if (!remarks) return;
+    } else if (!window.confirm(`Approve changing the allocation from ${formatAmount(item.originalAmount)} to ${formatAmount(item.requestedAmount)}?`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      const request = action === 'approve' ? allocationAPI.approveAmendment : allocationAPI.rejectAmendment;
+      const response = await request(item._id, { remarks });
+      setSuccess(response.data.message);
+      fetchAmendments();
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to ${action} amendment`);
+      console.error(`Error during amendment ${action}:`, err);
+    }
+  };
+
+  const selected = allocations.find(item => item._id === formData.allocation);
+
+  // Requesters cannot approve their own change, and each approver signs once
+  const canActOn = (item) => canDecide
+    && item.status === 'pending'
+    && item.requestedBy?._id !== user?._id
+    && !item.approvals?.some(approval => [approval.approver?._id, approval.onBehalfOf?._id].includes(user?._id));
+
+  return (
+    <div className="settings-container delegations-container reappropriations-container">
+      <PageHeader
+        title="Allocation Amendments"
+        subtitle="Changes to allocated budgets, applied once the Principal approves"
+      />
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message">
+          {success}
+        </div>
+      )}
+
+      {canRequest && (
+        <div className="settings-panel">
+          <div className="panel-header">
+            <h2><FilePen size={20} /> Request an Amendment</h2>
+          </div>
+
+          <form onSubmit={handleSubmit} className="settings-form">
+            <div className="form-section">
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Allocation</label>
+                  <select
+                    name="allocation"
+                    value={formData.allocation}
+                    onChange={handleChange}
+                    className="form-select"
+                    required
+                  >
+                    <option value="">Select allocation</option>
+                    {allocations.map(item => (
+                      <option key={item._id} value={item._id}>
+                        {item.department?.name} - {item.budgetHead?.name} ({item.financialYear}, {formatAmount(item.allocatedAmount)})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>New Allocated Amount (₹)</label>
+                  <input
+                    type="number"
+                    name="requestedAmount"
+                    value={formData.requestedAmount}
+                    onChange={handleChange}
+                    className="form-input"
+                    min={selected ? selected.spentAmount + (selected.committedAmount || 0) : 0}
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Reason</label>
+                <input
+                  type="text"
+                  name="changeReason"
+                  value={formData.changeReason}
+                  onChange={handleChange}
+                  className="form-input"
+                  maxLength={500}
+                  placeholder="Why the allocation needs to change"
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                <Send size={16} /> {saving ? 'Submitting...' : 'Submit for Approval'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="settings-panel delegation-list">
+        <div className="panel-header">
+          <h2><FilePen size={18} /> Requests</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="form-select status-filter"
+          >
+            {STATUS_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading allocation amendments...</div>
+        ) : amendments.length === 0 ? (
+          <p className="empty-state">No allocation amendments to show.</p>
+        ) : (
+          <table className="delegation-table">
+            <thead>
+              <tr>
+                <th>Allocation</th>
+                <th>Change</th>
+                <th>Reason</th>
+                <th>Approvals</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {amendments.map(item => (
+                <tr key={item._id}>
+                  <td>
+                    {item.allocation?.department?.name} - {item.allocation?.budgetHead?.name}
+                    <span className="role-label">{item.allocation?.financialYear}</span>
+                  </td>
+                  <td className="transfer-cell">
+                    {formatAmount(item.originalAmount)} <ArrowRight size={14} /> {formatAmount(item.requestedAmount)}
+                    <span className="role-label">{item.changePercent > 0 ? '+' : ''}{item.changePercent}%</span>
+                  </td>
+                  <td>
+                    {item.changeReason}
+                    <span className="role-label">by {item.requestedBy?.name}</span>
+                  </td>
+                  <td>
+                    {item.approvals?.length || 0} of {item.requiredApprovals}
+                    {item.approvals?.map(approval => (
+                      <span key={approval.approver?._id} className="role-label">
+                        {approval.approver?.name}{approval.onBehalfOf ? ` on behalf of ${approval.onBehalfOf.name}` : ''}
+                      </span>
+                    ))}
+                  </td>
+                  <td>
+                    <span className={`reappropriation-status ${item.status}`}>
+                      {item.status.toUpperCase()}
+                    </span>
+                    {item.status === 'rejected' && (
+                      <span className="role-label">{item.approvalRemarks}</span>
+                    )}
+                  </td>
+                  <td className="action-cell">
+                    {canActOn(item) && (
+                      <>
+                        <button
+                          type="button"
+                          className="btn-icon approve"
+                          title="Approve"
+                          onClick={() => handleAction(item, 'approve')}
+                        >
+                          <Check size={16} />
+                        </button>
+                        <button
+                          type="button"
+                          className="btn-icon reject"
+                          title="Reject"
+                          onClick={() => handleAction(item, 'reject')}
+                        >
+                          <X size={16} />
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AllocationAmendments;
@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { expenditureAPI, budgetProposalAPI, aiAPI, allocationAPI } from '../services/api';
+import { expenditureAPI, budgetProposalAPI, aiAPI, allocationAPI, delegationAPI } from '../services/api';
 import Tooltip from '../components/Tooltip/Tooltip';
-import { Check, X, Search, FileText, DollarSign, ClipboardList, Sparkles, ArrowUpDown, Filter } from 'lucide-react';
+import { Check, X, Search, FileText, DollarSign, ClipboardList, Sparkles, ArrowUpDown, Filter, RotateCcw, Eye, MessageSquare } from 'lucide-react';
 import Button from '../components/Common/Button';
+import AttachmentViewer from '../components/Common/AttachmentViewer';
+import DiscussionThread from '../components/Common/DiscussionThread';
 import StatusBadge from '../components/Common/StatusBadge';
 import './ApprovalsQueue.scss';
 
@@ -15,24 +18,33 @@ const ApprovalsQueue = () => {
   const [showModal, setShowModal] = useState(false);
   const [actionType, setActionType] = useState('');
   const [remarks, setRemarks] = useState('');
+  const [lineDecisions, setLineDecisions] = useState({});
   const [filters, setFilters] = useState({ search: '', status: 'pending_approval' });
   const [aiSortEnabled, setAiSortEnabled] = useState(false);
   const [aiPriorityMap, setAiPriorityMap] = useState({});
   const [previousYearStats, setPreviousYearStats] = useState({});
+  const [delegators, setDelegators] = useState([]);
+  const [viewingAttachment, setViewingAttachment] = useState(null);
+
+  // Roles this user can act in: their own plus any absent approver they are covering for
+  const actingRoles = [user?.role, ...delegators.map(delegator => delegator.role)];
+  const canActAs = (...roles) => roles.some(role => actingRoles.includes(role));
+
+  // Finalized expenditures can be reversed by the office (or admin), giving the spend back
+  const canReverse = (item) => item.itemType === 'expenditure' && item.status === 'FINALIZED' && ['office', 'admin'].includes(user?.role);
+
+  useEffect(() => {
+    delegationAPI.getActingFor()
+      .then(response => setDelegators(response.data?.data?.delegators || []))
+      .catch(error => console.error('Error fetching delegations:', error));
+  }, [user]);
 
   const fetchApprovals = async () => {
     try {
       setLoading(true);
 
+      // 'pending_approval' is resolved server-side from the workflow, including delegated queues
       const propParams = { ...filters };
-      if (filters.status === 'pending_approval') {
-        // Special mapping for budgetProposalAPI.getBudgetProposals to hit our new controller logic
-        if (user.role === 'hod') propParams.status = 'PENDING';
-        else if (['principal', 'vice_principal'].includes(user.role)) propParams.status = 'HOD_VERIFIED';
-        else if (user.role === 'office') propParams.status = 'MANAGEMENT_APPROVED';
-      } else {
-        propParams.status = filters.status === 'PENDING' ? 'PENDING' : filters.status;
-      }
 
       const [expRes, propRes] = await Promise.all([
         expenditureAPI.getExpenditures(filters),
@@ -71,10 +83,40 @@ const ApprovalsQueue = () => {
     return new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount || 0);
   };
 
+  // Approvers may pass, reduce or reject individual bills while signing off
+  const canReviewLines = selectedItem?.itemType === 'expenditure' && ['verify', 'approve', 'finalize'].includes(actionType);
+
+  const updateLineDecision = (itemId, field, value) => {
+    setLineDecisions(prev => ({ ...prev, [itemId]: { ...prev[itemId], [field]: value } }));
+  };
+
+  // Amount a line will contribute once this reviewer's decisions are applied
+  const getLineAmount = (item) => {
+    const pending = lineDecisions[item._id];
+    const decision = pending?.decision;
+    if (decision === 'reject') return 0;
+    if (decision === 'reduce') return parseFloat(pending.approvedAmount) || 0;
+    if (decision === 'approve') return item.amount;
+    if (item.lineStatus === 'REJECTED') return 0;
+    if (item.lineStatus === 'REDUCED') return item.approvedAmount || 0;
+    return item.amount;
+  };
+
+  const buildItemDecisions = () => Object.entries(lineDecisions)
+    .filter(([, entry]) => entry.decision)
+    .map(([itemId, entry]) => ({ itemId, ...entry }));
+
   const handleAction = (item, type) => {
+    // Proposals must be opened by the approver before they can be acted on
+    if (item.itemType === 'proposal') {
+      budgetProposalAPI.markProposalAsRead(item._id).catch(err => {
+        console.error('Error marking proposal as read:', err);
+      });
+    }
     setSelectedItem(item);
     setActionType(type);
     setRemarks('');
+    setLineDecisions({});
     setShowModal(true);
   };
 
@@ -84,14 +126,21 @@ const ApprovalsQueue = () => {
         alert("Please provide remarks for rejection");
         return;
       }
+      if (actionType === 'reverse' && !remarks) {
+        alert("Please give the reason for reversing this expenditure");
+        return;
+      }
 
       const api = selectedItem.itemType === 'expenditure' ? expenditureAPI : budgetProposalAPI;
       const id = selectedItem._id;
 
       if (selectedItem.itemType === 'expenditure') {
-        if (actionType === 'verify') await api.verifyExpenditure(id, { remarks });
-        else if (actionType === 'approve') await api.approveExpenditure(id, { remarks });
+        const itemDecisions = buildItemDecisions();
+        if (actionType === 'verify') await api.verifyExpenditure(id, { remarks, itemDecisions });
+        else if (actionType === 'approve') await api.approveExpenditure(id, { remarks, itemDecisions });
+        else if (actionType === 'finalize') await api.finalizeExpenditure(id, { remarks, itemDecisions });
         else if (actionType === 'reject') await api.rejectExpenditure(id, { remarks });
+        else if (actionType === 'reverse') await api.cancelExpenditure(id, { reason: remarks });
       } else {
         if (actionType === 'verify') await api.verifyBudgetProposal(id, { remarks });
         else if (actionType === 'approve') await api.approveBudgetProposal(id, { remarks });
@@ -103,7 +152,7 @@ const ApprovalsQueue = () => {
       fetchApprovals();
     } catch (error) {
       console.error("Error processing action:", error);
-      alert("Failed to process action");
+      alert(error.response?.data?.message || "Failed to process action");
     }
   };
 
@@ -149,6 +198,7 @@ const ApprovalsQueue = () => {
               <option value="ALLOCATED">Allocated (Budget)</option>
               <option value="FINALIZED">Finalized (Expenditure)</option>
               <option value="REJECTED">Rejected</option>
+              <option value="CANCELLED">Reversed (Expenditure)</option>
             </select>
           </div>
         </div>
@@ -208,12 +258,33 @@ const ApprovalsQueue = () => {
                     </td>
                     <td className="status-cell">
                       <StatusBadge status={item.status} />
+                      {item.clarification?.status === 'REQUESTED' && (
+                        <div className="clarification-hold">On hold: clarification</div>
+                      )}
                     </td>
                     <td className="actions-cell text-right">
                       <div className="flex items-center space-x-2">
+                        {/* HOD Action: Verify or Reject (Both Types) */}
+                        {
+                          canActAs('hod') && item.status === 'PENDING' && (
+                            <>
+                              <Tooltip text="Verify" position="top">
+                                <button className="btn-icon approve" onClick={() => handleAction(item, 'verify')}>
+                                  <Check size={16} />
+                                </button>
+                              </Tooltip>
+                              <Tooltip text="Reject" position="top">
+                                <button className="btn-icon reject" onClick={() => handleAction(item, 'reject')}>
+                                  <X size={16} />
+                                </button>
+                              </Tooltip>
+                            </>
+                          )
+                        }
+
                         {/* VP/Principal Action: Approve or Reject (Both Types) */}
                         {
-                          ['vice_principal', 'principal'].includes(user?.role) &&
+                          canActAs('vice_principal', 'principal') &&
                           ((item.itemType === 'expenditure' && item.status === 'HOD_VERIFIED') ||
                             (item.itemType === 'proposal' && item.status === 'HOD_VERIFIED')) && (
                             <>
@@ -236,12 +307,12 @@ const ApprovalsQueue = () => {
 
                         {/* Office Action: Verify/Approve or Reject */}
                         {
-                          user?.role === 'office' && (
+                          canActAs('office') && (
                             <>
                               {/* Expenditure Flow: Office only sanctions items approved by Management */}
                               {item.itemType === 'expenditure' && item.status === 'MANAGEMENT_APPROVED' && (
                                 <Tooltip text="Final Sanction (Deduct Budget)" position="top">
-                                  <button className="btn-icon approve" onClick={() => handleAction(item, 'approve')}>
+                                  <button className="btn-icon approve" onClick={() => handleAction(item, 'finalize')}>
                                     <Check size={16} />
                                   </button>
                                 </Tooltip>
@@ -272,8 +343,22 @@ const ApprovalsQueue = () => {
                           )
                         }
 
+                        <Tooltip text="Discuss / Ask for clarification" position="top">
+                          <button className="btn-icon" onClick={() => handleAction(item, 'discuss')}>
+                            <MessageSquare size={16} />
+                          </button>
+                        </Tooltip>
+
+                        {canReverse(item) && (
+                          <Tooltip text="Reverse (Return to Budget)" position="top">
+                            <button className="btn-icon reject" onClick={() => handleAction(item, 'reverse')}>
+                              <RotateCcw size={16} />
+                            </button>
+                          </Tooltip>
+                        )}
+
                         {['MANAGEMENT_APPROVED', 'REJECTED', 'ALLOCATED', 'FINALIZED'].includes(item.status) && user?.role === 'hod' && <span className="date-text">-</span>}
-                        {['REJECTED', 'ALLOCATED', 'FINALIZED'].includes(item.status) && ['principal', 'vice_principal', 'office'].includes(user?.role) && <span className="date-text">-</span>}
+                        {['REJECTED', 'ALLOCATED', 'FINALIZED'].includes(item.status) && ['principal', 'vice_principal', 'office'].includes(user?.role) && !canReverse(item) && <span className="date-text">-</span>}
                       </div>
                     </td>
                   </tr>
@@ -290,13 +375,18 @@ const ApprovalsQueue = () => {
             <div className="modal-header">
               <h3>
                 {actionType === 'verify' && `Verify & Accept ${selectedItem?.itemType === 'expenditure' ? 'Expenditure' : 'Budget Proposal'}`}
-                {actionType === 'approve' && `${user.role === 'office' ? 'Allocate & Approve' : 'Approve'} ${selectedItem?.itemType === 'expenditure' ? 'Expenditure' : 'Budget Proposal'}`}
+                {actionType === 'approve' && `${canActAs('office') && selectedItem?.status === 'MANAGEMENT_APPROVED' ? 'Allocate & Approve' : 'Approve'} ${selectedItem?.itemType === 'expenditure' ? 'Expenditure' : 'Budget Proposal'}`}
+                {actionType === 'finalize' && 'Final Sanction'}
                 {actionType === 'reject' && `Reject ${selectedItem?.itemType === 'expenditure' ? 'Expenditure' : 'Budget Proposal'}`}
+                {actionType === 'reverse' && 'Reverse Finalized Expenditure'}
+                {actionType === 'discuss' && `Discuss ${selectedItem?.itemType === 'expenditure' ? 'Expenditure' : 'Budget Proposal'}`}
               </h3>
               <button onClick={() => setShowModal(false)}><X size={20} /></button>
             </div>
             <div className="modal-body">
-              <p>Are you sure you want to {actionType} <strong>{selectedItem?.reference}</strong>?</p>
+              {actionType !== 'discuss' && (
+                <p>Are you sure you want to {actionType} <strong>{selectedItem?.reference}</strong>?</p>
+              )}
 
               {/* Detailed Item Information */}
               {selectedItem && (
@@ -310,6 +400,9 @@ const ApprovalsQueue = () => {
                         <div><span style={{ color: '#6c757d' }}>Event Type:</span> <strong>{selectedItem.eventType}</strong></div>
                         <div><span style={{ color: '#6c757d' }}>Event Date:</span> <strong>{selectedItem.eventDate ? new Date(selectedItem.eventDate).toLocaleDateString() : 'N/A'}</strong></div>
                         <div><span style={{ color: '#6c757d' }}>Total Amount:</span> <strong className="text-primary">{formatCurrency(selectedItem.totalAmount)}</strong></div>
+                        {selectedItem.claimedAmount > selectedItem.totalAmount && (
+                          <div><span style={{ color: '#6c757d' }}>Claimed:</span> <strong>{formatCurrency(selectedItem.claimedAmount)}</strong></div>
+                        )}
                       </div>
 
                       <div className="items-list-preview" style={{ marginTop: '1rem' }}>
@@ -320,17 +413,105 @@ const ApprovalsQueue = () => {
                               <th style={{ padding: '4px' }}>Vendor</th>
                               <th style={{ padding: '4px' }}>Bill #</th>
                               <th style={{ padding: '4px', textAlign: 'right' }}>Amount</th>
+                              <th style={{ padding: '4px', textAlign: 'right' }}>Approved</th>
+                              {canReviewLines && <th style={{ padding: '4px' }}>Decision</th>}
                             </tr>
                           </thead>
                           <tbody>
                             {selectedItem.expenseItems?.map((item, idx) => (
                               <tr key={idx}>
                                 <td style={{ padding: '4px', borderBottom: '1px solid #f8f9fa' }}>{item.vendorName}</td>
-                                <td style={{ padding: '4px', borderBottom: '1px solid #f8f9fa' }}>{item.billNumber}</td>
+                                <td style={{ padding: '4px', borderBottom: '1px solid #f8f9fa' }}>
+                                  {item.billNumber}
+                                  {item.attachments?.map(attachment => (
+                                    <button
+                                      key={attachment._id}
+                                      type="button"
+                                      onClick={() => setViewingAttachment(attachment)}
+                                      title={`View ${attachment.originalName}`}
+                                      style={{ display: 'flex', alignItems: 'center', gap: '2px', border: 'none', background: 'none', padding: 0, color: '#0d6efd', fontSize: '0.7rem', cursor: 'pointer' }}
+                                    >
+                                      <Eye size={12} /> View bill
+                                    </button>
+                                  ))}
+                                  {item.duplicateOf?.length > 0 && (
+                                    <div style={{ color: '#dc3545', fontSize: '0.7rem' }}>
+                                      Possible duplicate of {item.duplicateOf.map(entry => entry.transactionId).join(', ')}
+                                    </div>
+                                  )}
+                                  {item.attachments?.filter(attachment => attachment.duplicateOf?.length > 0).map(attachment => (
+                                    <div key={attachment._id} style={{ color: '#dc3545', fontSize: '0.7rem' }}>
+                                      Same file ({attachment.originalName}) attached to{' '}
+                                      {attachment.duplicateOf.map((entry, entryIdx) => (
+                                        <span key={entry.expenditure}>
+                                          {entryIdx > 0 && ', '}
+                                          <Link to={`/expenditures?search=${encodeURIComponent(entry.transactionId)}`}>{entry.transactionId}</Link>
+                                        </span>
+                                      ))}
+                                    </div>
+                                  ))}
+                                </td>
                                 <td style={{ padding: '4px', borderBottom: '1px solid #f8f9fa', textAlign: 'right' }}>{formatCurrency(item.amount)}</td>
+                                <td style={{ padding: '4px', borderBottom: '1px solid #f8f9fa', textAlign: 'right' }}>
+                                  <span style={{ color: getLineAmount(item) < item.amount ? '#dc3545' : undefined }}>{formatCurrency(getLineAmount(item))}</span>
+                                  {item.lineReviews?.length > 0 && (
+                                    <div style={{ color: '#6c757d', fontSize: '0.7rem' }}>
+                                      {item.lineReviews.map((review, reviewIdx) => (
+                                        <div key={reviewIdx}>{review.role?.toUpperCase()}: {review.decision}{review.remarks ? ` - "${review.remarks}"` : ''}</div>
+                                      ))}
+                                    </div>
+                                  )}
+                                </td>
+                                {canReviewLines && (
+                                  <td style={{ padding: '4px', borderBottom: '1px solid #f8f9fa' }}>
+                                    <select
+                                      value={lineDecisions[item._id]?.decision || ''}
+                                      onChange={(e) => updateLineDecision(item._id, 'decision', e.target.value)}
+                                      style={{ fontSize: '0.75rem' }}
+                                    >
+                                      <option value="">{item.lineStatus && item.lineStatus !== 'PENDING' ? `Keep (${item.lineStatus.toLowerCase()})` : 'Approve'}</option>
+                                      <option value="approve">Approve in full</option>
+                                      <option value="reduce">Reduce</option>
+                                      <option value="reject">Reject line</option>
+                                    </select>
+                                    {lineDecisions[item._id]?.decision === 'reduce' && (
+                                      <input
+                                        type="number"
+                                        min="0.01"
+                                        step="0.01"
+                                        max={item.amount}
+                                        placeholder="Approved ₹"
+                                        value={lineDecisions[item._id]?.approvedAmount || ''}
+                                        onChange={(e) => updateLineDecision(item._id, 'approvedAmount', e.target.value)}
+                                        style={{ display: 'block', width: '100%', marginTop: '4px', fontSize: '0.75rem' }}
+                                      />
+                                    )}
+                                    {['reduce', 'reject'].includes(lineDecisions[item._id]?.decision) && (
+                                      <input
+                                        type="text"
+                                        placeholder="Reason (required)"
+                                        value={lineDecisions[item._id]?.remarks || ''}
+                                        onChange={(e) => updateLineDecision(item._id, 'remarks', e.target.value)}
+                                        style={{ display: 'block', width: '100%', marginTop: '4px', fontSize: '0.75rem' }}
+                                      />
+                                    )}
+                                  </td>
+                                )}
                               </tr>
                             ))}
                           </tbody>
+                          {canReviewLines && (
+                            <tfoot>
+                              <tr>
+                                <td colSpan="2" style={{ padding: '4px', fontWeight: 'bold' }}>Approved Total</td>
+                                <td style={{ padding: '4px', textAlign: 'right', color: '#6c757d' }}>{formatCurrency(selectedItem.claimedAmount || selectedItem.totalAmount)}</td>
+                                <td style={{ padding: '4px', textAlign: 'right', fontWeight: 'bold' }}>
+                                  {formatCurrency(selectedItem.expenseItems?.reduce((sum, item) => sum + getLineAmount(item), 0))}
+                                </td>
+                                <td></td>
+                              </tr>
+                            </tfoot>
+                          )}
                         </table>
                       </div>
                     </div>
@@ -408,8 +589,11 @@ const ApprovalsQueue = () => {
                         <span style={{ width: '6px', height: '6px', borderRadius: '50%', background: step.decision === 'reject' ? '#dc3545' : '#28a745' }}></span>
                         <span>
                           <strong>{step.decision === 'verify' ? 'Verified' : step.decision === 'approve' ? 'Approved' : step.decision}</strong>
-                          <span style={{ color: '#6c757d', marginLeft: '4px' }}>by {step.role?.toUpperCase()}</span>
+                          <span style={{ color: '#6c757d', marginLeft: '4px' }}>
+                            by {step.onBehalfOf ? `${step.approver?.name || 'Substitute'} on behalf of ${step.onBehalfOf.name || step.role?.toUpperCase()}` : step.role?.toUpperCase()}
+                          </span>
                         </span>
+                        {step.tier && <span style={{ color: '#1a237e', fontSize: '0.75rem', textTransform: 'capitalize' }}>[{step.tier.replace(/_/g, ' ')}]</span>}
                         <span style={{ color: '#adb5bd', fontSize: '0.8rem' }}>({new Date(step.timestamp).toLocaleDateString()})</span>
                         {step.remarks && <span style={{ fontStyle: 'italic', color: '#6c757d' }}>- "{step.remarks}"</span>}
                       </div>
@@ -417,31 +601,54 @@ const ApprovalsQueue = () => {
                   </div>
                 </div>
               )}
-              <div className="form-group" style={{ marginTop: '1rem' }}>
-                <label className="form-label">
-                  Remarks {actionType === 'reject' && <span style={{ color: 'red' }}>*</span>}
-                </label>
-                <textarea
-                  className="form-textarea"
-                  rows="3"
-                  value={remarks}
-                  onChange={(e) => setRemarks(e.target.value)}
-                  placeholder={actionType === 'reject' ? 'Reason for rejection is required' : 'Optional remarks'}
-                ></textarea>
-              </div>
+              {selectedItem && (
+                <DiscussionThread
+                  entity={selectedItem.itemType === 'expenditure' ? 'Expenditure' : 'BudgetProposal'}
+                  targetId={selectedItem._id}
+                  onClarificationChange={fetchApprovals}
+                />
+              )}
+              {actionType !== 'discuss' && (
+                <div className="form-group" style={{ marginTop: '1rem' }}>
+                  <label className="form-label">
+                    {actionType === 'reverse' ? 'Reason' : 'Remarks'} {['reject', 'reverse'].includes(actionType) && <span style={{ color: 'red' }}>*</span>}
+                  </label>
+                  <textarea
+                    className="form-textarea"
+                    rows="3"
+                    value={remarks}
+                    onChange={(e) => setRemarks(e.target.value)}
+                    placeholder={actionType === 'reject'
+                      ? 'Reason for rejection is required'
+                      : actionType === 'reverse'
+                        ? 'Why is this finalized expenditure being reversed? The department is notified.'
+                        : 'Optional remarks'}
+                  ></textarea>
+                </div>
+              )}
             </div>
             <div className="modal-actions">
-              <Button variant="secondary" onClick={() => setShowModal(false)}>Cancel</Button>
-              <Button
-                variant={actionType === 'approve' ? 'primary' : 'danger'}
-                onClick={processAction}
-              >
-                Confirm {actionType.charAt(0).toUpperCase() + actionType.slice(1)}
-              </Button>
+              <Button variant="secondary" onClick={() => setShowModal(false)}>{actionType === 'discuss' ? 'Close' : 'Cancel'}</Button>
+              {actionType !== 'discuss' && (
+                <Button
+                  variant={['reject', 'reverse'].includes(actionType) ? 'danger' : 'primary'}
+                  onClick={processAction}
+                >
+                  Confirm {actionType.charAt(0).toUpperCase() + actionType.slice(1)}
+                </Button>
+              )}
             </div>
           </div>
         </div>
       )}
+
+      {viewingAttachment && (
+        <AttachmentViewer
+          attachment={viewingAttachment}
+          canAnnotate
+          onClose={() => setViewingAttachment(null)}
+        />
+      )}
     </div>
   );
 };
@@ -13,11 +13,12 @@ import {
 import Tooltip from '../components/Tooltip/Tooltip';
 import PageHeader from '../components/Common/PageHeader';
 import StatCard from '../components/Common/StatCard';
+import DiscussionThread from '../components/Common/DiscussionThread';
 import {
     Plus, IndianRupee, CreditCard, Wallet, PieChart as PieChartIcon, Pencil, Trash2, X,
     Tag, AlertCircle, Save, AlignLeft, Hash, ArrowLeft, Eye, CheckCircle,
     XCircle, Clock, DollarSign, Send, Check, RefreshCcw, ShieldCheck,
-    TrendingUp, TrendingDown, FileText, RotateCw, Download, ArrowUpRight, Search
+    TrendingUp, TrendingDown, FileText, RotateCw, Download, ArrowUpRight, Search, ShoppingCart
 } from 'lucide-react';
 import {
     BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid,
@@ -148,13 +149,22 @@ export const BudgetAllocations = () => {
                             <div className="stat-label">Total Spent</div>
                         </div>
                     </div>
+                    <div className="stat-card">
+                        <div className="stat-icon">
+                            <ShoppingCart size={32} />
+                        </div>
+                        <div className="stat-info">
+                            <div className="stat-number">₹{stats.summary?.totalCommitted?.toLocaleString() || '0'}</div>
+                            <div className="stat-label">Committed (POs)</div>
+                        </div>
+                    </div>
                     <div className="stat-card">
                         <div className="stat-icon">
                             <Wallet size={32} />
                         </div>
                         <div className="stat-info">
                             <div className="stat-number">₹{stats.summary?.totalRemaining?.toLocaleString() || '0'}</div>
-                            <div className="stat-label">Remaining Budget</div>
+                            <div className="stat-label">Available Budget</div>
                         </div>
                     </div>
                     <div className="stat-card">
@@ -230,7 +240,8 @@ export const BudgetAllocations = () => {
                             <th>Financial Year</th>
                             <th>Allocated Amount</th>
                             <th>Spent Amount</th>
-                            <th>Remaining</th>
+                            <th>Committed</th>
+                            <th>Available</th>
                             <th>Utilization</th>
                             <th>Actions</th>
                         </tr>
@@ -255,6 +266,7 @@ export const BudgetAllocations = () => {
                                     <td>{allocation.financialYear}</td>
                                     <td className="amount">₹{allocation.allocatedAmount?.toLocaleString() || '0'}</td>
                                     <td className="amount">₹{allocation.spentAmount?.toLocaleString() || '0'}</td>
+                                    <td className="amount">₹{allocation.committedAmount?.toLocaleString() || '0'}</td>
                                     <td className="amount">₹{allocation.remainingAmount?.toLocaleString() || '0'}</td>
                                     <td>
                                         <div className="utilization-bar">
@@ -305,6 +317,7 @@ export const BudgetHeadForm = () => {
         code: '',
         description: '',
         category: 'other',
+        parent: '',
         isActive: true
     });
 
@@ -313,6 +326,22 @@ export const BudgetHeadForm = () => {
     const [error, setError] = useState(null);
 
     const [categories, setCategories] = useState([]);
+    const [parentOptions, setParentOptions] = useState([]);
+
+    // Any head except this one and its own sub-heads can be the parent
+    const fetchParentOptions = useCallback(async () => {
+        try {
+            const response = await budgetHeadsAPI.getBudgetHeads({ limit: 1000 });
+            const heads = response.data.data.budgetHeads || [];
+            setParentOptions(heads.filter(head => !isEditMode || (head._id !== id && !(head.ancestors || []).includes(id))));
+        } catch (err) {
+            console.error('Failed to fetch budget heads:', err);
+        }
+    }, [id, isEditMode]);
+
+    useEffect(() => {
+        fetchParentOptions();
+    }, [fetchParentOptions]);
 
     useEffect(() => {
         fetchCategories();
@@ -343,6 +372,7 @@ export const BudgetHeadForm = () => {
                     code: head.code,
                     description: head.description || '',
                     category: head.category,
+                    parent: head.parent?._id || '',
                     isActive: head.isActive
                 });
             }
@@ -368,10 +398,11 @@ export const BudgetHeadForm = () => {
         setError(null);
 
         try {
+            const payload = { ...formData, parent: formData.parent || null };
             if (isEditMode) {
-                await budgetHeadsAPI.updateBudgetHead(id, formData);
+                await budgetHeadsAPI.updateBudgetHead(id, payload);
             } else {
-                await budgetHeadsAPI.createBudgetHead(formData);
+                await budgetHeadsAPI.createBudgetHead(payload);
             }
             navigate('/budget-heads');
         } catch (err) {
@@ -458,9 +489,28 @@ export const BudgetHeadForm = () => {
                                     required
                                     className="form-input"
                                 >
-                                    {categories.map(cat => (
-                                        <option key={cat.id} value={cat.id}>
-                                            {cat.name}
+                                    {categories
+                                        .filter(cat => cat.isActive || cat.code === formData.category)
+                                        .map(cat => (
+                                            <option key={cat._id} value={cat.code}>
+                                                {cat.label}
+                                            </option>
+                                        ))}
+                                </select>
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label">Parent Head</label>
+                                <select
+                                    name="parent"
+                                    value={formData.parent}
+                                    onChange={handleChange}
+                                    className="form-input"
+                                >
+                                    <option value="">None (top-level head)</option>
+                                    {parentOptions.map(head => (
+                                        <option key={head._id} value={head._id}>
+                                            {'\u00A0\u00A0'.repeat((head.ancestors || []).length)}{head.name} ({head.code})
                                         </option>
                                     ))}
                                 </select>
@@ -606,8 +656,10 @@ export const BudgetHeads = () => {
         }
     };
 
-    const getCategoryColor = (categoryId) => {
-        const category = categories.find(c => c.id === categoryId);
+    const getCategory = (code) => categories.find(c => c.code === code);
+
+    const getCategoryColor = (code) => {
+        const category = getCategory(code);
         return category?.color || '#6c757d';
     };
 
@@ -681,8 +733,8 @@ export const BudgetHeads = () => {
                     >
                         <option value="">All Categories</option>
                         {categories.map(category => (
-                            <option key={category.id} value={category.id}>
-                                {category.name}
+                            <option key={category._id} value={category.code}>
+                                {category.label}
                             </option>
                         ))}
                     </select>
@@ -708,6 +760,9 @@ export const BudgetHeads = () => {
                             <div className="head-info">
                                 <h3 className="head-name">{head.name}</h3>
                                 <span className="head-code">{head.code}</span>
+                                {head.parent && (
+                                    <span className="head-code">Under {head.parent.name}</span>
+                                )}
                             </div>
                             <div className="head-status">
                                 <span className={`status ${head.isActive ? 'active' : 'inactive'}`}>
@@ -722,7 +777,7 @@ export const BudgetHeads = () => {
                                     className="category-badge"
                                     style={{ backgroundColor: getCategoryColor(head.category) }}
                                 >
-                                    {head.category.toUpperCase()}
+                                    {(getCategory(head.category)?.label || head.category).toUpperCase()}
                                 </span>
                             </div>
 
@@ -1664,6 +1719,14 @@ export const BudgetProposalForm = () => {
                     </div>
                 )}
             </form>
+
+            {isEditMode && formData.status && formData.status !== 'DRAFT' && (
+                <div className="budget-proposal-form">
+                    <div className="form-section">
+                        <DiscussionThread entity="BudgetProposal" targetId={id} />
+                    </div>
+                </div>
+            )}
         </div>
     );
 };
@@ -2457,6 +2520,9 @@ export const BudgetProposals = () => {
                                                 {proposal.status.charAt(0).toUpperCase() + proposal.status.slice(1)}
                                             </span>
                                         </div>
+                                        {proposal.clarification?.status === 'REQUESTED' && (
+                                            <div style={{ fontSize: '0.7rem', color: '#856404', marginTop: '2px' }}>Clarification requested</div>
+                                        )}
                                     </td>
                                     <td>
                                         {proposal.submittedDate ? new Date(proposal.submittedDate).toLocaleDateString() : '-'}
@@ -2914,6 +2980,21 @@ export const BudgetUtilizationDashboard = () => {
     );
 };
 
+// Release periods of a phased allocation, in financial year order
+const PHASING_PERIODS = {
+    quarterly: ['Q1 (Apr-Jun)', 'Q2 (Jul-Sep)', 'Q3 (Oct-Dec)', 'Q4 (Jan-Mar)'],
+    monthly: ['Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar']
+};
+
+// Equal share per period; the last one takes the rounding remainder
+const evenPhases = (phasing) => {
+    const count = PHASING_PERIODS[phasing]?.length || 0;
+    const share = Math.round(10000 / count) / 100;
+    return Array.from({ length: count }, (_, index) =>
+        index === count - 1 ? Math.round((100 - share * (count - 1)) * 100) / 100 : share
+    );
+};
+
 export const AllocationForm = () => {
     const navigate = useNavigate();
     const { id } = useParams();
@@ -2936,7 +3017,9 @@ export const AllocationForm = () => {
         allocatedAmount: '',
         financialYear: '2024-2025',
         remarks: '',
-        proposalId: '' // NEW: Link to approved budget proposal
+        proposalId: '', // NEW: Link to approved budget proposal
+        phasing: 'none',
+        phases: []
     });
 
     const [proposals, setProposals] = useState([]);
@@ -3051,7 +3134,9 @@ export const AllocationForm = () => {
                 allocatedAmount: allocation.allocatedAmount.toString(),
                 financialYear: allocation.financialYear,
                 remarks: allocation.remarks || '',
-                proposalId: allocation.sourceProposalId || '' // Include existing proposal link
+                proposalId: allocation.sourceProposalId || '', // Include existing proposal link
+                phasing: allocation.phasing || 'none',
+                phases: allocation.phases || []
             });
         } catch (err) {
             setError('Failed to fetch allocation data');
@@ -3077,14 +3162,38 @@ export const AllocationForm = () => {
         }
     };
 
+    const handlePhasingChange = (e) => {
+        const phasing = e.target.value;
+        setFormData(prev => ({ ...prev, phasing, phases: evenPhases(phasing) }));
+    };
+
+    const handlePhaseChange = (index, value) => {
+        setFormData(prev => ({
+            ...prev,
+            phases: prev.phases.map((phase, phaseIndex) => phaseIndex === index ? value : phase)
+        }));
+    };
+
+    const phaseTotal = formData.phases.reduce((sum, phase) => sum + (parseFloat(phase) || 0), 0);
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setError(null);
 
+        if (formData.phasing !== 'none' && Math.abs(phaseTotal - 100) > 0.01) {
+            setError('Release percentages must add up to 100');
+            return;
+        }
+
         try {
             setLoading(true);
             if (isEditMode) {
-                await allocationAPI.updateAllocation(id, formData);
+                const response = await allocationAPI.updateAllocation(id, formData);
+                // Large changes become an amendment request instead of an update
+                if (response.data.requiresApproval) {
+                    navigate('/allocation-amendments');
+                    return;
+                }
             } else {
                 await allocationAPI.createAllocation(formData);
             }
@@ -3216,6 +3325,45 @@ export const AllocationForm = () => {
                             </div>
                         </div>
 
+                        <div className="form-section full-width">
+                            <h3 className="section-title">Release Schedule</h3>
+                            <div className="form-group">
+                                <label htmlFor="phasing">Phasing</label>
+                                <select
+                                    id="phasing"
+                                    name="phasing"
+                                    value={formData.phasing}
+                                    onChange={handlePhasingChange}
+                                >
+                                    <option value="none">Whole allocation available from the start</option>
+                                    <option value="quarterly">Release quarterly</option>
+                                    <option value="monthly">Release monthly</option>
+                                </select>
+                                <small>Expenditures can only be submitted against the part released so far</small>
+                            </div>
+                            {formData.phasing !== 'none' && (
+                                <div className="form-group">
+                                    <label>Percent released each period (total {Math.round(phaseTotal * 100) / 100}%)</label>
+                                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(110px, 1fr))', gap: '0.5rem' }}>
+                                        {PHASING_PERIODS[formData.phasing].map((label, index) => (
+                                            <div key={label}>
+                                                <small>{label}</small>
+                                                <input
+                                                    type="number"
+                                                    value={formData.phases[index] ?? ''}
+                                                    onChange={(e) => handlePhaseChange(index, e.target.value)}
+                                                    min="0"
+                                                    max="100"
+                                                    step="0.01"
+                                                    required
+                                                />
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+
                         <div className="form-section full-width">
                             <h3 className="section-title">Additional Information</h3>
                             <div className="form-group">
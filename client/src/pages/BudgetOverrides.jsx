@@ -0,0 +1,203 @@
+import { useState, useEffect, useCallback } from 'react';
+import { budgetOverrideAPI, delegationAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import PageHeader from '../components/Common/PageHeader';
+import { ShieldAlert, Check, X } from 'lucide-react';
+import './Settings.scss';
+import './Delegations.scss';
+import './Reappropriations.scss';
+
+// Roles that decide override requests
+const APPROVER_ROLES = ['principal', 'vice_principal'];
+
+const STATUS_OPTIONS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All Statuses' }
+];
+
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+const BudgetOverrides = () => {
+  const { user } = useAuth();
+  const [overrides, setOverrides] = useState([]);
+  const [delegators, setDelegators] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Principal and vice principal, or anyone covering for them
+  const canDecide = [user?.role, ...delegators.map(delegator => delegator.role)]
+    .some(role => APPROVER_ROLES.includes(role));
+
+  const fetchOverrides = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await budgetOverrideAPI.getOverrides({ status: statusFilter || undefined });
+      setOverrides(response.data.data.overrides || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch budget overrides');
+      console.error('Error fetching budget overrides:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchOverrides();
+  }, [fetchOverrides]);
+
+  useEffect(() => {
+    delegationAPI.getActingFor()
+      .then(response => setDelegators(response.data?.data?.delegators || []))
+      .catch(err => console.error('Error fetching delegations:', err));
+  }, []);
+
+  const handleDecision = async (item, action) => {
+    let remarks = '';
+    if (action === 'reject') {
+      remarks = window.prompt('Reason for rejection:');
+      if (!remarks) return;
+    } else {
+      remarks = window.prompt(`Approve an overrun of ${formatAmount(item.overrunAmount)} for ${item.expenditure?.eventName}? Remarks (optional):`, '');
+      if (remarks === null) return;
+    }
+
+    try {
+      setError(null);
+      const request = action === 'approve' ? budgetOverrideAPI.approveOverride : budgetOverrideAPI.rejectOverride;
+      const response = await request(item._id, { remarks });
+      setSuccess(response.data.message);
+      fetchOverrides();
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to ${action} budget override`);
+      console.error(`Error during budget override ${action}:`, err);
+    }
+  };
+
+  return (
+    <div className="settings-container delegations-container">
+      <PageHeader
+        title="Budget Overrides"
+        subtitle="Expenditures allowed to exceed their remaining budget by an approved amount"
+      />
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message">
+          {success}
+        </div>
+      )}
+
+      <div className="settings-panel delegation-list">
+        <div className="panel-header">
+          <h2><ShieldAlert size={18} /> Override Requests</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="form-select status-filter"
+          >
+            {STATUS_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading budget overrides...</div>
+        ) : overrides.length === 0 ? (
+          <p className="empty-state">No budget overrides to show.</p>
+        ) : (
+          <table className="delegation-table">
+            <thead>
+              <tr>
+                <th>Expenditure</th>
+                <th>Department</th>
+                <th>Budget</th>
+                <th>Overrun</th>
+                <th>Justification</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {overrides.map(item => (
+                <tr key={item._id}>
+                  <td>
+                    {item.expenditure?.eventName}
+                    <span className="role-label">
+                      {item.expenditure?.transactionId} - {formatAmount(item.expenseAmount)}
+                    </span>
+                  </td>
+                  <td>
+                    {item.expenditure?.department?.name}
+                    <span className="role-label">{item.expenditure?.budgetHead?.name}</span>
+                  </td>
+                  <td>
+                    {formatAmount(item.allocationAmount - item.allocationSpent)} left
+                    <span className="role-label">of {formatAmount(item.allocationAmount)}</span>
+                  </td>
+                  <td>
+                    {item.overrunAmount > 0 || item.releasedAmount === null
+                      ? formatAmount(item.overrunAmount)
+                      : 'Ahead of release'}
+                    {item.releasedAmount !== null && item.releasedAmount !== undefined && (
+                      <span className="role-label">{formatAmount(item.releasedAmount)} released</span>
+                    )}
+                  </td>
+                  <td>
+                    {item.justification}
+                    <span className="role-label">by {item.requestedBy?.name}, {formatDate(item.createdAt)}</span>
+                  </td>
+                  <td>
+                    <span className={`reappropriation-status ${item.status}`}>
+                      {item.status.toUpperCase()}
+                    </span>
+                    {item.approvedBy && (
+                      <span className="role-label">
+                        {item.approvedBy.name}{item.onBehalfOf ? ` on behalf of ${item.onBehalfOf.name}` : ''}{item.approvalRemarks ? `: ${item.approvalRemarks}` : ''}
+                      </span>
+                    )}
+                  </td>
+                  <td className="action-cell">
+                    {canDecide && item.status === 'pending' && (
+                      <>
+                        <button
+                          type="button"
+                          className="btn-icon approve"
+                          title="Approve"
+                          onClick={() => handleDecision(item, 'approve')}
+                        >
+                          <Check size={16} />
+                        </button>
+                        <button
+                          type="button"
+                          className="btn-icon reject"
+                          title="Reject"
+                          onClick={() => handleDecision(item, 'reject')}
+                        >
+                          <X size={16} />
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BudgetOverrides;
@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useParams, useLocation } from 'react-router-dom';
-import { categoriesAPI } from '../services/api';
+import { categoriesAPI, budgetHeadsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import Tooltip from '../components/Tooltip/Tooltip';
 import PageHeader from '../components/Common/PageHeader';
 import StatCard from '../components/Common/StatCard';
-import { Plus, Pencil, Trash2, Layers, CheckCircle, XCircle, Tag, AlertCircle, Save, X, ArrowLeft, Palette, AlignLeft, Hash } from 'lucide-react';
+import BudgetHeadTree from '../components/Common/BudgetHeadTree';
+import { getCurrentFinancialYear } from '../utils/dateUtils';
+import { Plus, Pencil, Trash2, Layers, CheckCircle, XCircle, Tag, AlertCircle, Save, X, ArrowLeft, Palette, AlignLeft, Hash, GitBranch } from 'lucide-react';
 import './Categories.scss';
 
 const CategoryForm = () => {
@@ -13,10 +16,11 @@ const CategoryForm = () => {
     const isEditMode = !!id;
 
     const [formData, setFormData] = useState({
-        name: '',
+        label: '',
         code: '',
         color: '#1a237e',
         description: '',
+        defaultBudgetType: 'recurring',
         isActive: true
     });
 
@@ -43,10 +47,11 @@ const CategoryForm = () => {
             if (response.data.success) {
                 const category = response.data.data.category;
                 setFormData({
-                    name: category.name,
+                    label: category.label,
                     code: category.code,
                     color: category.color || '#1a237e',
                     description: category.description || '',
+                    defaultBudgetType: category.defaultBudgetType || 'recurring',
                     isActive: category.isActive
                 });
             }
@@ -61,12 +66,12 @@ const CategoryForm = () => {
     const handleChange = (e) => {
         const { name, value, type, checked } = e.target;
 
-        if (name === 'name' && !isEditMode) {
-            // Auto-generate code from name
-            const autoCode = value.trim().substring(0, 5).toUpperCase().replace(/\s+/g, '');
+        if (name === 'label' && !isEditMode) {
+            // Auto-generate code from the label, e.g. "Hackathon Events" -> hackathon_events
+            const autoCode = value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
             setFormData(prev => ({
                 ...prev,
-                name: value,
+                label: value,
                 code: autoCode
             }));
             return;
@@ -95,7 +100,7 @@ const CategoryForm = () => {
             }
             navigate('/categories');
         } catch (err) {
-            setError('Failed to save category');
+            setError(err.response?.data?.message || 'Failed to save category');
             console.error(err);
         } finally {
             setSaving(false);
@@ -114,7 +119,7 @@ const CategoryForm = () => {
         <div className="form-page-container">
             <PageHeader
                 title={isEditMode ? "Edit Category" : "Add New Category"}
-                subtitle={isEditMode ? `Updating ${formData.name}` : "Create a new organization category for budget heads"}
+                subtitle={isEditMode ? `Updating ${formData.label}` : "Create a new category for budget heads"}
             >
                 <button className="btn btn-secondary" onClick={() => navigate('/categories')}>
                     <ArrowLeft size={18} /> Back to Categories
@@ -138,13 +143,13 @@ const CategoryForm = () => {
 
                         <div className="form-grid">
                             <div className="form-group">
-                                <label className="form-label">Category Name *</label>
+                                <label className="form-label">Category Label *</label>
                                 <div className="input-with-icon">
                                     <span className="input-icon-wrapper"><Tag size={16} /></span>
                                     <input
                                         type="text"
-                                        name="name"
-                                        value={formData.name}
+                                        name="label"
+                                        value={formData.label}
                                         onChange={handleChange}
                                         required
                                         className="form-input has-icon"
@@ -163,11 +168,27 @@ const CategoryForm = () => {
                                         value={formData.code}
                                         onChange={handleChange}
                                         required
+                                        disabled={isEditMode}
                                         className="form-input has-icon"
-                                        placeholder="e.g., R-D"
-                                        style={{ textTransform: 'uppercase' }}
+                                        placeholder="e.g., research_development"
+                                        pattern="[a-z0-9_]+"
+                                        title="Lowercase letters, numbers and underscores"
                                     />
                                 </div>
+                                {isEditMode && <span className="field-hint">Budget heads refer to this code, so it cannot be changed</span>}
+                            </div>
+
+                            <div className="form-group">
+                                <label className="form-label">Default Budget Type</label>
+                                <select
+                                    name="defaultBudgetType"
+                                    value={formData.defaultBudgetType}
+                                    onChange={handleChange}
+                                    className="form-input"
+                                >
+                                    <option value="recurring">Recurring</option>
+                                    <option value="non-recurring">Non-Recurring</option>
+                                </select>
                             </div>
 
                             <div className="form-group full-width">
@@ -271,8 +292,14 @@ const CategoryForm = () => {
     );
 };
 
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+
 const CategoriesList = () => {
+    const { user } = useAuth();
+    // Only admins maintain the category list; others can browse it
+    const canManage = user?.role === 'admin';
     const [categories, setCategories] = useState([]);
+    const [headTree, setHeadTree] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [stats, setStats] = useState({
@@ -283,8 +310,19 @@ const CategoriesList = () => {
 
     useEffect(() => {
         fetchCategories();
+        fetchHeadTree();
     }, []);
 
+    // Budget heads with this year's allocations rolled up from their sub-heads
+    const fetchHeadTree = async () => {
+        try {
+            const response = await budgetHeadsAPI.getBudgetHeadTree({ financialYear: getCurrentFinancialYear() });
+            setHeadTree(response.data.data.tree || []);
+        } catch (err) {
+            console.error('Failed to fetch budget head tree:', err);
+        }
+    };
+
     const fetchCategories = async () => {
         try {
             setLoading(true);
@@ -309,12 +347,12 @@ const CategoriesList = () => {
     };
 
     const handleDelete = async (id) => {
-        if (window.confirm('Are you sure you want to delete this category? Any budget heads using this category will need to be updated.')) {
+        if (window.confirm('Are you sure you want to delete this category?')) {
             try {
                 await categoriesAPI.deleteCategory(id);
                 fetchCategories();
             } catch (err) {
-                setError('Failed to delete category');
+                setError(err.response?.data?.message || 'Failed to delete category');
                 console.error(err);
             }
         }
@@ -334,11 +372,20 @@ const CategoriesList = () => {
                 title="Category Management"
                 subtitle="Manage and organize budget head categories"
             >
-                <Link to="/categories/add" className="btn btn-primary">
-                    <Plus size={18} /> Add Category
-                </Link>
+                {canManage && (
+                    <Link to="/categories/add" className="btn btn-primary">
+                        <Plus size={18} /> Add Category
+                    </Link>
+                )}
             </PageHeader>
 
+            {error && (
+                <div className="form-error-banner">
+                    <AlertCircle size={20} />
+                    <span>{error}</span>
+                </div>
+            )}
+
             <div className="stats-grid">
                 <StatCard
                     title="Total Categories"
@@ -362,40 +409,45 @@ const CategoriesList = () => {
 
             <div className="categories-card">
                 <div className="table-responsive">
-                    <table className="modern-table">
+                    <table className="modern-table categories-table">
                         <thead>
                             <tr>
-                                <th>Category Name</th>
+                                <th>Category</th>
                                 <th>Code</th>
                                 <th>Description</th>
+                                <th>Default Type</th>
+                                <th>Heads</th>
                                 <th>Status</th>
                                 <th className="text-center">Actions</th>
                             </tr>
                         </thead>
                         <tbody>
                             {categories.map((category) => (
-                                <tr key={category.id}>
+                                <tr key={category._id}>
                                     <td>
                                         <div className="category-name-cell">
                                             <div
                                                 className="color-preview"
                                                 style={{ backgroundColor: category.color }}
                                             ></div>
-                                            <span>{category.name}</span>
+                                            <span>{category.label}</span>
                                         </div>
                                     </td>
                                     <td><span className="code-badge">{category.code}</span></td>
                                     <td><span className="description-text">{category.description || 'N/A'}</span></td>
+                                    <td>{category.defaultBudgetType === 'non-recurring' ? 'Non-Recurring' : 'Recurring'}</td>
+                                    <td>{category.budgetHeadCount}</td>
                                     <td>
                                         <span className={`status-badge ${category.isActive ? 'status-active' : 'status-inactive'}`}>
                                             {category.isActive ? 'ACTIVE' : 'INACTIVE'}
                                         </span>
                                     </td>
                                     <td className="text-right">
+                                        {canManage && (
                                         <div className="action-buttons">
                                             <Tooltip text="Edit Category">
                                                 <Link
-                                                    to={`/categories/edit/${category.id}`}
+                                                    to={`/categories/edit/${category._id}`}
                                                     className="btn btn-sm btn-secondary"
                                                 >
                                                     <Pencil size={16} />
@@ -403,13 +455,14 @@ const CategoriesList = () => {
                                             </Tooltip>
                                             <Tooltip text="Delete Category">
                                                 <button
-                                                    onClick={() => handleDelete(category.id)}
+                                                    onClick={() => handleDelete(category._id)}
                                                     className="btn btn-sm btn-danger"
                                                 >
                                                     <Trash2 size={16} />
                                                 </button>
                                             </Tooltip>
                                         </div>
+                                        )}
                                     </td>
                                 </tr>
                             ))}
@@ -417,6 +470,53 @@ const CategoriesList = () => {
                     </table>
                 </div>
             </div>
+
+            {headTree.length > 0 && (
+                <div className="categories-card head-tree-card">
+                    <h3 className="card-title">
+                        <GitBranch size={18} /> Budget Head Hierarchy ({getCurrentFinancialYear()})
+                    </h3>
+                    <div className="table-responsive">
+                        <table className="modern-table head-tree-table">
+                            <thead>
+                                <tr>
+                                    <th>Budget Head</th>
+                                    <th>Category</th>
+                                    <th>Allocated</th>
+                                    <th>Spent</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <BudgetHeadTree
+                                    nodes={headTree}
+                                    defaultExpanded={false}
+                                    renderCells={(node) => (
+                                        <>
+                                            <td>
+                                                <span className="code-badge">
+                                                    {categories.find(category => category.code === node.category)?.label || node.category}
+                                                </span>
+                                            </td>
+                                            <td>
+                                                {formatAmount(node.allocatedAmount)}
+                                                {node.children.length > 0 && (
+                                                    <span className="tree-subtotal">Subtotal {formatAmount(node.subtotal.allocatedAmount)}</span>
+                                                )}
+                                            </td>
+                                            <td>
+                                                {formatAmount(node.spentAmount)}
+                                                {node.children.length > 0 && (
+                                                    <span className="tree-subtotal">Subtotal {formatAmount(node.subtotal.spentAmount)}</span>
+                                                )}
+                                            </td>
+                                        </>
+                                    )}
+                                />
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
         </div>
     );
 };
@@ -1,9 +1,10 @@
-import { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { reportAPI, departmentsAPI } from '../services/api';
 import PageHeader from '../components/Common/PageHeader';
 import StatCard from '../components/Common/StatCard';
+import BudgetHeadTree from '../components/Common/BudgetHeadTree';
 import { BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { Download, RotateCw } from 'lucide-react';
+import { Download, RotateCw, ChevronRight, ChevronDown } from 'lucide-react';
 import './ConsolidatedBudgetReport.scss';
 
 const ConsolidatedBudgetReport = () => {
@@ -11,6 +12,7 @@ const ConsolidatedBudgetReport = () => {
   const [departments, setDepartments] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [expandedDepartments, setExpandedDepartments] = useState({});
   const [filters, setFilters] = useState({
     financialYear: '2025-2026',
     previousYear: '2024-2025',
@@ -62,6 +64,27 @@ const ConsolidatedBudgetReport = () => {
     fetchReport();
   };
 
+  const toggleDepartment = (departmentId) => {
+    setExpandedDepartments(prev => ({ ...prev, [departmentId]: !prev[departmentId] }));
+  };
+
+  // Own figure, with the rolled-up subtotal underneath when the head has sub-heads
+  const renderTreeAmount = (node, field) => (
+    <td>
+      {node.allocated ? `₹${node[field].toLocaleString('en-IN')}` : '-'}
+      {node.children.length > 0 && (
+        <span className="tree-subtotal">Subtotal ₹{node.subtotal[field].toLocaleString('en-IN')}</span>
+      )}
+    </td>
+  );
+
+  // Budget heads with GST/TDS on finalized bills, for filing returns
+  const taxRows = report
+    ? report.byDepartment.flatMap(dept => dept.budgetHeads
+      .filter(head => head.currentYear.tax?.billCount > 0)
+      .map(head => ({ departmentName: dept.departmentName, budgetHeadName: head.budgetHeadName, ...head.currentYear.tax })))
+    : [];
+
   const exportToCSV = () => {
     if (!report) return;
 
@@ -87,9 +110,29 @@ const ConsolidatedBudgetReport = () => {
     csv += 'Category,Allocated,Spent,Utilization %\n';
     Object.keys(report.byCategory).forEach(cat => {
       const data = report.byCategory[cat];
-      csv += `"${cat}",${data.allocated},${data.spent},${data.percentage}%\n`;
+      csv += `"${data.label || cat}",${data.allocated},${data.spent},${data.percentage}%\n`;
     });
 
+    // Re-appropriations
+    if (report.reappropriations?.transfers.length > 0) {
+      csv += '\nRE-APPROPRIATIONS\n';
+      csv += 'Date,Department,From,To,Amount,Reason\n';
+      report.reappropriations.transfers.forEach(item => {
+        csv += `${new Date(item.executedAt).toLocaleDateString()},"${item.department}","${item.fromBudgetHead}","${item.toBudgetHead}",${item.amount},"${(item.reason || '').replace(/"/g, '""')}"\n`;
+      });
+    }
+
+    // Tax summary
+    if (taxRows.length > 0) {
+      csv += '\nTAX SUMMARY (FINALIZED BILLS)\n';
+      csv += 'Department,Budget Head,Bills,Taxable Value,CGST,SGST,IGST,Total GST,TDS\n';
+      taxRows.forEach(row => {
+        csv += `"${row.departmentName}","${row.budgetHeadName}",${row.billCount},${row.taxableValue},${row.cgstAmount},${row.sgstAmount},${row.igstAmount},${row.totalGst},${row.tdsAmount}\n`;
+      });
+      const total = report.summary.grandTotalTax;
+      csv += `"Total","",${total.billCount},${total.taxableValue},${total.cgstAmount},${total.sgstAmount},${total.igstAmount},${total.totalGst},${total.tdsAmount}\n`;
+    }
+
     // Create download link
     const element = document.createElement('a');
     element.setAttribute('href', 'data:text/csv;charset=utf-8,' + encodeURIComponent(csv));
@@ -219,7 +262,7 @@ const ConsolidatedBudgetReport = () => {
                 <PieChart>
                   <Pie
                     data={Object.keys(report.byCategory).map(cat => ({
-                      name: cat,
+                      name: report.byCategory[cat].label || cat,
                       value: report.byCategory[cat].allocated
                     }))}
                     cx="50%"
@@ -270,11 +313,15 @@ const ConsolidatedBudgetReport = () => {
               </thead>
               <tbody>
                 {report.byDepartment.map((dept) => (
-                  <tr key={dept.departmentId}>
+                  <React.Fragment key={dept.departmentId}>
+                  <tr className="department-row" onClick={() => toggleDepartment(dept.departmentId)}>
                     <td>
-                      <div>
-                        <strong>{dept.departmentName}</strong>
-                        <div className="code">{dept.departmentCode}</div>
+                      <div className="department-cell">
+                        {expandedDepartments[dept.departmentId] ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                        <div>
+                          <strong>{dept.departmentName}</strong>
+                          <div className="code">{dept.departmentCode}</div>
+                        </div>
                       </div>
                     </td>
                     <td>₹{dept.totalAllocated.toLocaleString('en-IN')}</td>
@@ -294,6 +341,35 @@ const ConsolidatedBudgetReport = () => {
                       </div>
                     </td>
                   </tr>
+                  {expandedDepartments[dept.departmentId] && (
+                    <tr className="budget-head-tree-row">
+                      <td colSpan={5}>
+                        <table className="report-table nested">
+                          <thead>
+                            <tr>
+                              <th>Budget Head</th>
+                              <th>Allocated</th>
+                              <th>Spent</th>
+                              <th>Unspent</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            <BudgetHeadTree
+                              nodes={dept.budgetHeadTree || []}
+                              renderCells={(node) => (
+                                <>
+                                  {renderTreeAmount(node, 'allocatedAmount')}
+                                  {renderTreeAmount(node, 'spentAmount')}
+                                  {renderTreeAmount(node, 'remainingAmount')}
+                                </>
+                              )}
+                            />
+                          </tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                  </React.Fragment>
                 ))}
               </tbody>
             </table>
@@ -316,7 +392,7 @@ const ConsolidatedBudgetReport = () => {
                   const data = report.byCategory[category];
                   return (
                     <tr key={category}>
-                      <td>{category.replace(/_/g, ' ').toUpperCase()}</td>
+                      <td>{(data.label || category.replace(/_/g, ' ')).toUpperCase()}</td>
                       <td>₹{data.allocated.toLocaleString('en-IN')}</td>
                       <td>₹{data.spent.toLocaleString('en-IN')}</td>
                       <td>{data.percentage}%</td>
@@ -326,6 +402,82 @@ const ConsolidatedBudgetReport = () => {
               </tbody>
             </table>
           </div>
+
+          {/* Tax Summary */}
+          {taxRows.length > 0 && (
+            <div className="report-section">
+              <h3>Tax Summary (finalized bills)</h3>
+              <table className="report-table">
+                <thead>
+                  <tr>
+                    <th>Department</th>
+                    <th>Budget Head</th>
+                    <th>Bills</th>
+                    <th>Taxable Value</th>
+                    <th>CGST</th>
+                    <th>SGST</th>
+                    <th>IGST</th>
+                    <th>TDS</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {taxRows.map((row) => (
+                    <tr key={`${row.departmentName}-${row.budgetHeadName}`}>
+                      <td>{row.departmentName}</td>
+                      <td>{row.budgetHeadName}</td>
+                      <td>{row.billCount}</td>
+                      <td>₹{row.taxableValue.toLocaleString('en-IN')}</td>
+                      <td>₹{row.cgstAmount.toLocaleString('en-IN')}</td>
+                      <td>₹{row.sgstAmount.toLocaleString('en-IN')}</td>
+                      <td>₹{row.igstAmount.toLocaleString('en-IN')}</td>
+                      <td>₹{row.tdsAmount.toLocaleString('en-IN')}</td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td><strong>Total</strong></td>
+                    <td></td>
+                    <td><strong>{report.summary.grandTotalTax.billCount}</strong></td>
+                    <td><strong>₹{report.summary.grandTotalTax.taxableValue.toLocaleString('en-IN')}</strong></td>
+                    <td><strong>₹{report.summary.grandTotalTax.cgstAmount.toLocaleString('en-IN')}</strong></td>
+                    <td><strong>₹{report.summary.grandTotalTax.sgstAmount.toLocaleString('en-IN')}</strong></td>
+                    <td><strong>₹{report.summary.grandTotalTax.igstAmount.toLocaleString('en-IN')}</strong></td>
+                    <td><strong>₹{report.summary.grandTotalTax.tdsAmount.toLocaleString('en-IN')}</strong></td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Re-appropriations */}
+          {report.reappropriations?.transfers.length > 0 && (
+            <div className="report-section">
+              <h3>Re-appropriations (₹{report.reappropriations.totalAmount.toLocaleString('en-IN')} moved between heads)</h3>
+              <table className="report-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Department</th>
+                    <th>From</th>
+                    <th>To</th>
+                    <th>Amount</th>
+                    <th>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.reappropriations.transfers.map((item) => (
+                    <tr key={item.id}>
+                      <td>{new Date(item.executedAt).toLocaleDateString('en-IN')}</td>
+                      <td>{item.department}</td>
+                      <td>{item.fromBudgetHead}</td>
+                      <td>{item.toBudgetHead}</td>
+                      <td>₹{item.amount.toLocaleString('en-IN')}</td>
+                      <td>{item.reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </>
       )}
     </div>
@@ -4,7 +4,7 @@ import { allocationAPI, expenditureAPI, departmentsAPI, reportAPI } from '../ser
 import { useAuth } from '../context/AuthContext';
 import { useSocket } from '../context/SocketContext';
 import { getCurrentFinancialYear, getPreviousFinancialYear } from '../utils/dateUtils';
-import { IndianRupee, CreditCard, Wallet, PieChart, List, Receipt, TrendingUp, TrendingDown, AlertCircle } from 'lucide-react';
+import { IndianRupee, CreditCard, Wallet, PieChart, List, Receipt, TrendingUp, TrendingDown, AlertCircle, ShoppingCart } from 'lucide-react';
 import './ConsolidatedDashboard.scss';
 
 const ConsolidatedDashboard = () => {
@@ -133,13 +133,15 @@ const ConsolidatedDashboard = () => {
 
     const totalAllocated = deptAllocations.reduce((sum, allocation) => sum + allocation.allocatedAmount, 0);
     const totalSpent = deptAllocations.reduce((sum, allocation) => sum + allocation.spentAmount, 0);
-    const totalRemaining = totalAllocated - totalSpent;
+    const totalCommitted = deptAllocations.reduce((sum, allocation) => sum + (allocation.committedAmount || 0), 0);
+    const totalRemaining = totalAllocated - totalSpent - totalCommitted;
     const utilization = getUtilizationPercentage(totalAllocated, totalSpent);
 
     return {
       ...dept,
       totalAllocated,
       totalSpent,
+      totalCommitted,
       totalRemaining,
       utilization,
       allocationCount: deptAllocations.length,
@@ -218,6 +220,15 @@ const ConsolidatedDashboard = () => {
               <div className="stat-label">Expenses Incurred Till Date</div>
             </div>
           </div>
+          <div className="stat-card info">
+            <div className="stat-icon">
+              <ShoppingCart size={32} />
+            </div>
+            <div className="stat-info">
+              <div className="stat-number">{formatCurrency(stats.summary.totalCommitted)}</div>
+              <div className="stat-label">Committed via Purchase Orders</div>
+            </div>
+          </div>
           <div className="stat-card warning">
             <div className="stat-icon">
               <Wallet size={32} />
@@ -369,7 +380,11 @@ const ConsolidatedDashboard = () => {
                     <span className="value spent">{formatCurrency(dept.totalSpent)}</span>
                   </div>
                   <div className="stat-row">
-                    <span className="label">Remaining:</span>
+                    <span className="label">Committed:</span>
+                    <span className="value">{formatCurrency(dept.totalCommitted)}</span>
+                  </div>
+                  <div className="stat-row">
+                    <span className="label">Available:</span>
                     <span className="value remaining">{formatCurrency(dept.totalRemaining)}</span>
                   </div>
                   <div className="stat-row">
@@ -15,7 +15,8 @@ import {
   CreditCard,
   AlertCircle,
   CheckCircle,
-  Clock
+  Clock,
+  ShoppingCart
 } from 'lucide-react';
 import './Dashboard.scss';
 
@@ -28,6 +29,7 @@ const Dashboard = () => {
       approved: { value: 0, trend: 0 },
       utilized: { value: 0, trend: 0 },
       pending: { value: 0, trend: 0 },
+      committed: { value: 0, trend: 0 },
       balance: { value: 0, trend: 0 }
     },
     activities: []
@@ -82,6 +84,7 @@ const Dashboard = () => {
     const approved = data.totalAllocated || 0;
     const utilized = data.totalUtilized || 0;
     const pending = data.totalPendingApprovals || 0;
+    const committed = data.totalCommitted || 0;
     const balance = data.remainingBalance || 0;
 
     setDashboardData({
@@ -90,6 +93,7 @@ const Dashboard = () => {
         approved: { value: approved, trend: 0 },
         utilized: { value: utilized, trend: 0 },
         pending: { value: pending, trend: 0 },
+        committed: { value: committed, trend: 0 },
         balance: { value: balance, trend: 0 }
       },
       activities: []
@@ -199,8 +203,8 @@ const Dashboard = () => {
         subtitle="Financial Overview & Analytics"
       />
 
-      {/* Top Stats Row - Using 5 Pillar Layout */}
-      <div className="stats-grid-5">
+      {/* Top Stats Row - 5 Pillars plus purchase order commitments */}
+      <div className="stats-grid-6">
         <StatCard
           title="Requested Amount"
           value={formatCurrency(dashboardData.stats.requested.value)}
@@ -229,10 +233,16 @@ const Dashboard = () => {
           tooltipText="Expenditures awaiting final office approval"
         />
         <StatCard
-          title="Remaining Balance"
+          title="Committed"
+          value={formatCurrency(dashboardData.stats.committed.value)}
+          icon={<ShoppingCart size={20} />}
+          tooltipText="Reserved by open purchase orders and not yet billed"
+        />
+        <StatCard
+          title="Available Balance"
           value={formatCurrency(dashboardData.stats.balance.value)}
           icon={<Wallet size={20} />}
-          tooltipText="Approved Budget minus Utilized Amount"
+          tooltipText="Approved Budget minus Utilized and Committed amounts"
         />
       </div>
 
@@ -0,0 +1,297 @@
+import { useState, useEffect, useCallback } from 'react';
+import { delegationAPI, usersAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import PageHeader from '../components/Common/PageHeader';
+import { UserCheck, CalendarOff, Send, Inbox, XCircle } from 'lucide-react';
+import './Settings.scss';
+import './Delegations.scss';
+
+const DELEGABLE_ROLES = ['hod', 'office', 'vice_principal', 'principal'];
+
+// A substitute must hold an approver role at or above the absent approver's level
+const APPROVER_LEVELS = { hod: 1, office: 1, vice_principal: 2, principal: 3 };
+
+const formatRole = (role) => (role || '').replace('_', ' ').toUpperCase();
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+const getDelegationState = (delegation) => {
+  const now = new Date();
+  if (!delegation.isActive) return { label: 'Revoked', className: 'revoked' };
+  if (new Date(delegation.endDate) < now) return { label: 'Expired', className: 'expired' };
+  if (new Date(delegation.startDate) > now) return { label: 'Scheduled', className: 'scheduled' };
+  return { label: 'Active', className: 'active' };
+};
+
+const emptyForm = () => ({
+  delegator: '',
+  delegate: '',
+  startDate: new Date().toISOString().split('T')[0],
+  endDate: '',
+  reason: ''
+});
+
+const Delegations = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const [delegations, setDelegations] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [formData, setFormData] = useState(emptyForm());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const fetchData = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [delegationsResponse, usersResponse] = await Promise.all([
+        delegationAPI.getDelegations(isAdmin ? { scope: 'all' } : {}),
+        usersAPI.getUsers({ limit: 1000 })
+      ]);
+      setDelegations(delegationsResponse.data.data.delegations || []);
+      setUsers((usersResponse.data.data.users || []).filter(item => item.isActive));
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch delegations');
+      console.error('Error fetching delegations:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [isAdmin]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const payload = { ...formData };
+      if (!isAdmin || !payload.delegator) delete payload.delegator;
+      const response = await delegationAPI.createDelegation(payload);
+      setSuccess(response.data.message);
+      setFormData(emptyForm());
+      fetchData();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create delegation');
+      console.error('Error creating delegation:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (delegation) => {
+    if (!window.confirm(`Revoke ${delegation.delegate?.name}'s authority to act on behalf of ${delegation.delegator?.name}?`)) return;
+
+    try {
+      setError(null);
+      const response = await delegationAPI.revokeDelegation(delegation._id);
+      setSuccess(response.data.message);
+      fetchData();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke delegation');
+      console.error('Error revoking delegation:', err);
+    }
+  };
+
+  const delegatorId = isAdmin && formData.delegator ? formData.delegator : user?._id;
+  const delegatorOptions = users.filter(item => DELEGABLE_ROLES.includes(item.role));
+  const delegatorRole = isAdmin ? users.find(item => item._id === delegatorId)?.role : user?.role;
+  const delegateOptions = users.filter(item => item._id !== delegatorId
+    && APPROVER_LEVELS[item.role] >= APPROVER_LEVELS[delegatorRole]);
+  const canDelegate = isAdmin || DELEGABLE_ROLES.includes(user?.role);
+
+  const given = delegations.filter(item => item.delegator?._id === user?._id);
+  const received = delegations.filter(item => item.delegate?._id === user?._id);
+  const sections = isAdmin
+    ? [{ id: 'all', title: 'All Delegations', icon: <UserCheck size={18} />, items: delegations }]
+    : [
+      { id: 'given', title: 'My Substitutes', icon: <Send size={18} />, items: given },
+      { id: 'received', title: 'Acting On Behalf Of', icon: <Inbox size={18} />, items: received }
+    ];
+
+  if (loading) {
+    return (
+      <div className="settings-container">
+        <div className="loading">Loading delegations...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="settings-container delegations-container">
+      <PageHeader
+        title="Out of Office"
+        subtitle="Nominate a substitute to approve on your behalf while you are away"
+      />
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message">
+          {success}
+        </div>
+      )}
+
+      {canDelegate && (
+        <div className="settings-panel">
+          <div className="panel-header">
+            <h2><CalendarOff size={20} /> Nominate a Substitute</h2>
+          </div>
+
+          <form onSubmit={handleSubmit} className="settings-form">
+            <div className="form-section">
+              {isAdmin && (
+                <div className="form-group">
+                  <label>Approver Going Away</label>
+                  <select
+                    name="delegator"
+                    value={formData.delegator}
+                    onChange={handleChange}
+                    className="form-select"
+                    required
+                  >
+                    <option value="">Select approver</option>
+                    {delegatorOptions.map(item => (
+                      <option key={item._id} value={item._id}>
+                        {item.name} ({formatRole(item.role)})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label>Substitute</label>
+                <select
+                  name="delegate"
+                  value={formData.delegate}
+                  onChange={handleChange}
+                  className="form-select"
+                  required
+                >
+                  <option value="">Select substitute</option>
+                  {delegateOptions.map(item => (
+                    <option key={item._id} value={item._id}>
+                      {item.name} ({formatRole(item.role)}{item.department?.name ? ` - ${item.department.name}` : ''})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>From</label>
+                  <input
+                    type="date"
+                    name="startDate"
+                    value={formData.startDate}
+                    onChange={handleChange}
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>To (inclusive)</label>
+                  <input
+                    type="date"
+                    name="endDate"
+                    value={formData.endDate}
+                    min={formData.startDate}
+                    onChange={handleChange}
+                    className="form-input"
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Reason</label>
+                <input
+                  type="text"
+                  name="reason"
+                  value={formData.reason}
+                  onChange={handleChange}
+                  className="form-input"
+                  maxLength={300}
+                  placeholder="e.g., Annual leave, conference travel"
+                />
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                <UserCheck size={16} /> {saving ? 'Saving...' : 'Nominate Substitute'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {sections.map(section => (
+        <div key={section.id} className="settings-panel delegation-list">
+          <div className="panel-header">
+            <h2>{section.icon} {section.title}</h2>
+          </div>
+
+          {section.items.length === 0 ? (
+            <p className="empty-state">No delegations to show.</p>
+          ) : (
+            <table className="delegation-table">
+              <thead>
+                <tr>
+                  <th>Approver</th>
+                  <th>Substitute</th>
+                  <th>Period</th>
+                  <th>Reason</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {section.items.map(delegation => {
+                  const state = getDelegationState(delegation);
+                  const canRevoke = delegation.isActive && state.className !== 'expired'
+                    && (isAdmin || delegation.delegator?._id === user?._id);
+                  return (
+                    <tr key={delegation._id}>
+                      <td>
+                        {delegation.delegator?.name}
+                        <span className="role-label">{formatRole(delegation.delegatorRole)}</span>
+                      </td>
+                      <td>{delegation.delegate?.name}</td>
+                      <td>{formatDate(delegation.startDate)} - {formatDate(delegation.endDate)}</td>
+                      <td>{delegation.reason || '-'}</td>
+                      <td><span className={`delegation-status ${state.className}`}>{state.label}</span></td>
+                      <td>
+                        {canRevoke && (
+                          <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleRevoke(delegation)}>
+                            <XCircle size={14} /> Revoke
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default Delegations;
@@ -265,7 +265,7 @@ export const DepartmentDashboard = () => {
                         </div>
                         <div className="stat-info">
                             <div className="stat-number">{formatCurrency(stats.summary.totalRemaining)}</div>
-                            <div className="stat-label">Remaining Budget</div>
+                            <div className="stat-label">Available Budget</div>
                         </div>
                     </div>
                     <div className="card-standard stat-card">
@@ -311,7 +311,8 @@ export const DepartmentDashboard = () => {
                                     <th>Budget Head</th>
                                     <th>Allocated</th>
                                     <th>Spent</th>
-                                    <th>Remaining</th>
+                                    <th>Committed</th>
+                                    <th>Available</th>
                                     <th>Last Transaction</th>
                                     <th>Utilization</th>
                                     <th>Status</th>
@@ -330,7 +331,8 @@ export const DepartmentDashboard = () => {
                                             </td>
                                             <td data-label="Allocated" className="amount">{formatCurrency(allocation.allocatedAmount)}</td>
                                             <td data-label="Spent" className="amount spent">{formatCurrency(allocation.spentAmount)}</td>
-                                            <td data-label="Remaining" className="amount remaining">{formatCurrency(allocation.remainingAmount)}</td>
+                                            <td data-label="Committed" className="amount">{formatCurrency(allocation.committedAmount || 0)}</td>
+                                            <td data-label="Available" className="amount remaining">{formatCurrency(allocation.remainingAmount)}</td>
                                             <td data-label="Last Transaction">
                                                 {allocation.lastTransactionDate ? formatDate(allocation.lastTransactionDate) : 'No transactions'}
                                             </td>
@@ -681,9 +683,11 @@ export const DepartmentDetail = () => {
                     </div>
                     <div className="card-content">
                         <h3>{formatCurrency(departmentData.summary.totalRemaining)}</h3>
-                        <p>Remaining Budget</p>
+                        <p>Available Budget</p>
                         <span className={`card-meta ${departmentData.summary.totalRemaining < 0 ? 'negative' : ''}`}>
-                            {departmentData.summary.totalRemaining < 0 ? 'Overspent' : 'Available'}
+                            {departmentData.summary.totalRemaining < 0
+                                ? 'Overspent'
+                                : `${formatCurrency(departmentData.summary.totalCommitted || 0)} committed to purchase orders`}
                         </span>
                     </div>
                 </div>
@@ -822,7 +826,8 @@ export const DepartmentDetail = () => {
                                 <th>Code</th>
                                 <th>Allocated</th>
                                 <th>Spent</th>
-                                <th>Remaining</th>
+                                <th>Committed</th>
+                                <th>Available</th>
                                 <th>Utilization</th>
                             </tr>
                         </thead>
@@ -833,6 +838,7 @@ export const DepartmentDetail = () => {
                                     <td>{data.budgetHeadCode}</td>
                                     <td>{formatCurrency(data.allocated)}</td>
                                     <td>{formatCurrency(data.spent)}</td>
+                                    <td>{formatCurrency(data.committed || 0)}</td>
                                     <td className={data.remaining < 0 ? 'negative' : ''}>{formatCurrency(data.remaining)}</td>
                                     <td>
                                         <div className="utilization-cell">
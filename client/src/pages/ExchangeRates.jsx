@@ -0,0 +1,223 @@
+import { useState, useEffect, useCallback } from 'react';
+import { exchangeRateAPI } from '../services/api';
+import PageHeader from '../components/Common/PageHeader';
+import { Coins, Save, Trash2 } from 'lucide-react';
+import './Settings.scss';
+import './Delegations.scss';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+const emptyForm = () => ({
+  currency: '',
+  rate: '',
+  effectiveFrom: new Date().toISOString().split('T')[0],
+  source: ''
+});
+
+const ExchangeRates = () => {
+  const [rates, setRates] = useState([]);
+  const [currentRates, setCurrentRates] = useState({});
+  const [formData, setFormData] = useState(emptyForm());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const fetchRates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [historyResponse, currentResponse] = await Promise.all([
+        exchangeRateAPI.getExchangeRates(),
+        exchangeRateAPI.getCurrentRates()
+      ]);
+      setRates(historyResponse.data.data.rates || []);
+      setCurrentRates(currentResponse.data.data.rates || {});
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch exchange rates');
+      console.error('Error fetching exchange rates:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: name === 'currency' ? value.toUpperCase() : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const response = await exchangeRateAPI.createExchangeRate(formData);
+      setSuccess(response.data.message);
+      setFormData(emptyForm());
+      fetchRates();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to record exchange rate');
+      console.error('Error recording exchange rate:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rate) => {
+    if (!window.confirm(`Delete the ${rate.currency} rate effective ${formatDate(rate.effectiveFrom)}? Bills already converted keep their rate.`)) return;
+
+    try {
+      setError(null);
+      const response = await exchangeRateAPI.deleteExchangeRate(rate._id);
+      setSuccess(response.data.message);
+      fetchRates();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete exchange rate');
+      console.error('Error deleting exchange rate:', err);
+    }
+  };
+
+  return (
+    <div className="settings-container delegations-container">
+      <PageHeader
+        title="Exchange Rates"
+        subtitle="Rupee rates used to convert foreign-currency bills and incomes"
+      />
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message">
+          {success}
+        </div>
+      )}
+
+      <div className="settings-panel">
+        <div className="panel-header">
+          <h2><Coins size={20} /> Record a Rate</h2>
+        </div>
+
+        <form onSubmit={handleSubmit} className="settings-form">
+          <div className="form-section">
+            <div className="form-row">
+              <div className="form-group">
+                <label>Currency</label>
+                <input
+                  type="text"
+                  name="currency"
+                  value={formData.currency}
+                  onChange={handleChange}
+                  className="form-input"
+                  maxLength={3}
+                  placeholder="e.g., USD"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Rupees per Unit</label>
+                <input
+                  type="number"
+                  name="rate"
+                  value={formData.rate}
+                  onChange={handleChange}
+                  className="form-input"
+                  min="0.0001"
+                  step="0.0001"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Effective From</label>
+                <input
+                  type="date"
+                  name="effectiveFrom"
+                  value={formData.effectiveFrom}
+                  onChange={handleChange}
+                  className="form-input"
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Source</label>
+              <input
+                type="text"
+                name="source"
+                value={formData.source}
+                onChange={handleChange}
+                className="form-input"
+                maxLength={200}
+                placeholder="e.g., RBI reference rate"
+              />
+            </div>
+          </div>
+
+          <div className="form-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              <Save size={16} /> {saving ? 'Saving...' : 'Record Rate'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="settings-panel">
+        <div className="panel-header">
+          <h2><Coins size={18} /> Rate History</h2>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading exchange rates...</div>
+        ) : rates.length === 0 ? (
+          <p className="empty-state">No exchange rates recorded. Foreign-currency bills cannot be submitted until a rate exists.</p>
+        ) : (
+          <table className="delegation-table">
+            <thead>
+              <tr>
+                <th>Currency</th>
+                <th>Rate (₹)</th>
+                <th>Effective From</th>
+                <th>Source</th>
+                <th>Recorded By</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.map(rate => {
+                const inForce = currentRates[rate.currency]?.effectiveFrom === rate.effectiveFrom;
+                return (
+                  <tr key={rate._id}>
+                    <td>{rate.currency}</td>
+                    <td>{rate.rate}</td>
+                    <td>
+                      {formatDate(rate.effectiveFrom)}
+                      {inForce && <span className="delegation-status active" style={{ marginLeft: '0.5rem' }}>In force</span>}
+                    </td>
+                    <td>{rate.source || '-'}</td>
+                    <td>{rate.createdBy?.name || '-'}</td>
+                    <td>
+                      <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleDelete(rate)}>
+                        <Trash2 size={14} /> Delete
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExchangeRates;
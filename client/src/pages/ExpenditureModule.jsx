@@ -1,15 +1,22 @@
-import { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import {
     expenditureAPI,
     budgetHeadsAPI,
     allocationAPI,
     settingsAPI,
-    categoriesAPI
+    categoriesAPI,
+    vendorAPI,
+    exchangeRateAPI,
+    advanceAPI,
+    projectAPI,
+    fileAPI
 } from '../services/api';
 import PageHeader from '../components/Common/PageHeader';
 import Tooltip from '../components/Tooltip/Tooltip';
+import AttachmentViewer from '../components/Common/AttachmentViewer';
+import DiscussionThread from '../components/Common/DiscussionThread';
 import {
     Send,
     Plus,
@@ -22,20 +29,203 @@ import {
     Eye,
     RotateCcw,
     X,
-    AlertCircle
+    AlertCircle,
+    Save
 } from 'lucide-react';
 import './ExpenditureStyles.scss';
 
+const GST_RATES = [0, 5, 12, 18, 28];
+
+const emptyTaxFields = () => ({
+    taxableValue: '',
+    gstType: 'intra',
+    gstRate: '',
+    tdsSection: '',
+    tdsAmount: ''
+});
+
+// Stored breakdown -> form fields
+const taxFieldsFromItem = (tax) => {
+    if (!tax) return emptyTaxFields();
+    return {
+        taxableValue: tax.taxableValue ?? '',
+        gstType: tax.igstRate > 0 ? 'inter' : 'intra',
+        gstRate: tax.igstRate > 0 ? tax.igstRate : (tax.cgstRate || 0) + (tax.sgstRate || 0),
+        tdsSection: tax.tdsSection || '',
+        tdsAmount: tax.tdsAmount || ''
+    };
+};
+
+// Form fields -> breakdown sent to the server; intra-state GST is split equally into CGST and SGST
+const buildTaxPayload = (item) => {
+    if (item.taxableValue === '' || item.taxableValue === undefined) return undefined;
+    const rate = Number(item.gstRate) || 0;
+    return {
+        taxableValue: Number(item.taxableValue),
+        cgstRate: item.gstType === 'intra' ? rate / 2 : 0,
+        sgstRate: item.gstType === 'intra' ? rate / 2 : 0,
+        igstRate: item.gstType === 'inter' ? rate : 0,
+        tdsSection: item.tdsSection,
+        tdsAmount: Number(item.tdsAmount) || 0
+    };
+};
+
+// Form item -> item metadata sent with its files. Items already saved on a draft send their id
+// and the stored bills to keep; new files follow in order, fileCount per item.
+const buildItemPayload = (item) => ({
+    _id: item._id,
+    category: item.category || 'MISCELLANEOUS',
+    billNumber: item.billNumber,
+    billDate: item.billDate || new Date().toISOString().split('T')[0],
+    vendorName: item.vendorName,
+    amount: item.amount,
+    currency: item.currency || 'INR',
+    description: item.description,
+    tax: buildTaxPayload(item),
+    keepAttachments: item._id ? (item.savedAttachments || []).map(attachment => attachment._id) : undefined,
+    fileCount: item.attachments.length
+});
+
+// Fill the fields still blank (or the bill date still at today's default) from what the
+// server read off a bill; the reading is kept on the item to show its confidence.
+const prefillFromBill = (item, extraction) => {
+    const today = new Date().toISOString().split('T')[0];
+    return {
+        ...item,
+        billNumber: item.billNumber || extraction.billNumber?.value || '',
+        billDate: (!item.billDate || item.billDate === today) && extraction.billDate ? extraction.billDate.value : item.billDate,
+        vendorName: item.vendorName || extraction.vendorName?.value || '',
+        amount: item.amount || (extraction.amount ? String(extraction.amount.value) : ''),
+        extraction
+    };
+};
+
+// Typed amounts within a rupee of the bill are taken to agree (as on the server)
+const differsFromBill = (item) => Boolean(item.extraction?.amount && item.amount !== ''
+    && Math.abs(Number(item.amount) - item.extraction.amount.value) > 1);
+
+// Quiet period after the last edit before a draft is autosaved
+const AUTOSAVE_DELAY_MS = 5000;
+
+const TaxFields = ({ item, onChange }) => {
+    const gstAmount = ((Number(item.taxableValue) || 0) * (Number(item.gstRate) || 0)) / 100;
+    return (
+        <>
+            <div className="form-row">
+                <div className="form-group">
+                    <label>Taxable Value (₹)</label>
+                    <input type="number" name="taxableValue" value={item.taxableValue} onChange={onChange} placeholder="Bill value before GST" />
+                </div>
+                <div className="form-group">
+                    <label>GST</label>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <select name="gstType" value={item.gstType} onChange={onChange}>
+                            <option value="intra">CGST + SGST</option>
+                            <option value="inter">IGST</option>
+                        </select>
+                        <select name="gstRate" value={item.gstRate} onChange={onChange}>
+                            <option value="">Rate</option>
+                            {GST_RATES.map(rate => <option key={rate} value={rate}>{rate}%</option>)}
+                        </select>
+                    </div>
+                    {item.taxableValue !== '' && (
+                        <small className="text-muted">GST ₹{gstAmount.toFixed(2)}; bill amount should be ₹{((Number(item.taxableValue) || 0) + gstAmount).toFixed(2)}</small>
+                    )}
+                </div>
+            </div>
+            <div className="form-row">
+                <div className="form-group">
+                    <label>TDS Section</label>
+                    <input type="text" name="tdsSection" value={item.tdsSection} onChange={onChange} placeholder="e.g., 194C" />
+                </div>
+                <div className="form-group">
+                    <label>TDS Deducted (₹)</label>
+                    <input type="number" name="tdsAmount" value={item.tdsAmount} onChange={onChange} />
+                </div>
+            </div>
+        </>
+    );
+};
+
+// Rates in force today, keyed by currency code; the server converts at the bill-date rate
+const useExchangeRates = () => {
+    const [rates, setRates] = useState({});
+
+    useEffect(() => {
+        exchangeRateAPI.getCurrentRates()
+            .then(response => setRates(response.data.data.rates || {}))
+            .catch(error => console.error('Error fetching exchange rates:', error));
+    }, []);
+
+    return rates;
+};
+
+const toInr = (item, rates) => {
+    const amount = parseFloat(item.amount) || 0;
+    if (!item.currency || item.currency === 'INR') return amount;
+    return amount * (rates[item.currency]?.rate || 0);
+};
+
+// Bill amount in the currency it was raised in, with the approximate rupee value for foreign bills
+const CurrencyAmountInput = ({ item, rates, onChange, hasError }) => (
+    <>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <select name="currency" value={item.currency || 'INR'} onChange={onChange} style={{ maxWidth: '90px' }}>
+                <option value="INR">INR</option>
+                {Object.keys(rates).map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+            <input type="number" name="amount" value={item.amount} onChange={onChange} className={hasError ? 'error' : ''} />
+        </div>
+        {item.currency && item.currency !== 'INR' && (
+            <small className="text-muted">
+                {rates[item.currency]
+                    ? `≈ ₹${toInr(item, rates).toLocaleString('en-IN', { maximumFractionDigits: 2 })} at ₹${rates[item.currency].rate}/${item.currency}; converted at the bill-date rate on submission`
+                    : `No ${item.currency} rate available`}
+            </small>
+        )}
+    </>
+);
+
+const emptySplit = () => ({ allocation: '', mode: 'percentage', value: '' });
+
+// Rupee share of a split; the server settles any paise left over on the last percentage split
+const splitAmount = (split, total) => {
+    const value = parseFloat(split.value) || 0;
+    return split.mode === 'percentage' ? Math.round(total * value) / 100 : value;
+};
+
+// Vendor master suggestions for the vendor inputs; the server matches the name to a registered vendor
+const VendorOptions = () => {
+    const [vendors, setVendors] = useState([]);
+
+    useEffect(() => {
+        vendorAPI.getVendors({ blocked: 'false' })
+            .then(response => setVendors(response.data.data.vendors || []))
+            .catch(error => console.error('Error fetching vendors:', error));
+    }, []);
+
+    return (
+        <datalist id="vendor-options">
+            {vendors.map(vendor => (
+                <option key={vendor._id} value={vendor.name}>{vendor.gstin || ''}</option>
+            ))}
+        </datalist>
+    );
+};
+
 // --- Expenditures Component ---
 export const Expenditures = () => {
+    const { user } = useAuth();
     const navigate = useNavigate();
+    const location = useLocation();
     const [expenditures, setExpenditures] = useState([]);
     const [loading, setLoading] = useState(true);
     const [selectedExpenditure, setSelectedExpenditure] = useState(null);
     const [showModal, setShowModal] = useState(false);
     const [categories, setCategories] = useState([]);
+    // ?search= opens the list on one expenditure, e.g. from a duplicate-bill link in the approvals queue
     const [filters, setFilters] = useState({
-        search: '',
+        search: new URLSearchParams(location.search).get('search') || '',
         status: '',
         category: '',
         financialYear: ''
@@ -86,6 +276,39 @@ export const Expenditures = () => {
         navigate(`/resubmit-expenditure/${id}`);
     };
 
+    const handleCompleteDraft = (id) => {
+        navigate(`/submit-expenditure/${id}`);
+    };
+
+    const handleDiscardDraft = async (exp) => {
+        if (!window.confirm(`Discard the draft "${exp.eventName || 'Untitled'}"? Bills uploaded to it are discarded too.`)) return;
+
+        try {
+            await expenditureAPI.deleteDraft(exp._id);
+            fetchExpenditures();
+        } catch (err) {
+            console.error('Error discarding draft:', err);
+            alert(err.response?.data?.message || 'Failed to discard draft');
+        }
+    };
+
+    // Pull back a bill submitted by mistake, while no approver has acted on it
+    const handleWithdraw = async (exp) => {
+        const reason = window.prompt(`Withdraw "${exp.eventName}"? Optionally say why:`);
+        if (reason === null) return;
+
+        try {
+            await expenditureAPI.withdrawExpenditure(exp._id, { reason });
+            fetchExpenditures();
+        } catch (err) {
+            console.error('Error withdrawing expenditure:', err);
+            alert(err.response?.data?.message || 'Failed to withdraw expenditure');
+        }
+    };
+
+    const canWithdraw = (exp) => exp.status === 'PENDING' &&
+        ((exp.submittedBy?._id || exp.submittedBy) === user?._id || user?.role === 'coordinator');
+
     const handleView = (exp) => {
         setSelectedExpenditure(exp);
         setShowModal(true);
@@ -99,11 +322,14 @@ export const Expenditures = () => {
 
     const getStatusColor = (status) => {
         const colors = {
+            'DRAFT': 'neutral',
             'PENDING': 'pending',
             'HOD_VERIFIED': 'info',
             'MANAGEMENT_APPROVED': 'info',
             'FINALIZED': 'approved',
-            'REJECTED': 'rejected'
+            'REJECTED': 'rejected',
+            'WITHDRAWN': 'neutral',
+            'CANCELLED': 'rejected'
         };
         return colors[status?.toUpperCase()] || 'neutral';
     };
@@ -133,11 +359,14 @@ export const Expenditures = () => {
                         onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value, page: 1 }))}
                     >
                         <option value="">All Status</option>
+                        <option value="DRAFT">Drafts</option>
                         <option value="PENDING">Pending Approval</option>
                         <option value="HOD_VERIFIED">Verified by HOD</option>
                         <option value="MANAGEMENT_APPROVED">Approved by Management</option>
                         <option value="FINALIZED">Finalized & Deducted</option>
                         <option value="REJECTED">Rejected</option>
+                        <option value="WITHDRAWN">Withdrawn</option>
+                        <option value="CANCELLED">Reversed</option>
                     </select>
                 </div>
                 <div className="filter-group">
@@ -183,15 +412,18 @@ export const Expenditures = () => {
                             <tbody>
                                 {expenditures.map((exp) => (
                                     <tr key={exp._id}>
-                                        <td className="font-medium">{exp.eventName}</td>
-                                        <td><span className="type-badge">{exp.eventType}</span></td>
+                                        <td className="font-medium">{exp.eventName || 'Untitled draft'}</td>
+                                        <td>{exp.eventType && <span className="type-badge">{exp.eventType}</span>}</td>
                                         <td>{exp.budgetHead?.name || exp.budgetHeadName}</td>
-                                        <td>{new Date(exp.eventDate).toLocaleDateString('en-IN')}</td>
+                                        <td>{exp.eventDate ? new Date(exp.eventDate).toLocaleDateString('en-IN') : '-'}</td>
                                         <td className="text-right font-medium">{formatCurrency(exp.totalAmount)}</td>
                                         <td>
                                             <span className={`status-badge ${getStatusColor(exp.status)}`}>
                                                 {exp.status.toUpperCase()}
                                             </span>
+                                            {exp.clarification?.status === 'REQUESTED' && (
+                                                <div style={{ fontSize: '0.7rem', color: '#856404', marginTop: '2px' }}>Clarification requested</div>
+                                            )}
                                         </td>
                                         <td>
                                             <div className="action-buttons">
@@ -201,6 +433,30 @@ export const Expenditures = () => {
                                                     </button>
                                                 </Tooltip>
 
+                                                {exp.status === 'DRAFT' && (
+                                                    <Tooltip text="Complete & Submit" position="top">
+                                                        <button className="btn btn-sm btn-primary" onClick={() => handleCompleteDraft(exp._id)}>
+                                                            <Send size={16} />
+                                                        </button>
+                                                    </Tooltip>
+                                                )}
+
+                                                {exp.status === 'DRAFT' && (
+                                                    <Tooltip text="Discard Draft" position="top">
+                                                        <button className="btn btn-sm btn-secondary" onClick={() => handleDiscardDraft(exp)}>
+                                                            <Trash2 size={16} />
+                                                        </button>
+                                                    </Tooltip>
+                                                )}
+
+                                                {canWithdraw(exp) && (
+                                                    <Tooltip text="Withdraw" position="top">
+                                                        <button className="btn btn-sm btn-secondary" onClick={() => handleWithdraw(exp)}>
+                                                            <X size={16} />
+                                                        </button>
+                                                    </Tooltip>
+                                                )}
+
                                                 {exp.status === 'REJECTED' && (
                                                     <Tooltip text="Resubmit" position="top">
                                                         <button className="btn btn-sm btn-primary" onClick={() => handleResubmit(exp._id)}>
@@ -267,7 +523,7 @@ export const Expenditures = () => {
                                 </div>
                                 <div className="detail-item">
                                     <label>Date</label>
-                                    <div>{new Date(selectedExpenditure.eventDate).toLocaleDateString('en-IN')}</div>
+                                    <div>{selectedExpenditure.eventDate ? new Date(selectedExpenditure.eventDate).toLocaleDateString('en-IN') : '-'}</div>
                                 </div>
                                 <div className="detail-item">
                                     <label>Budget Head</label>
@@ -276,11 +532,45 @@ export const Expenditures = () => {
                                 <div className="detail-item">
                                     <label>Total Amount</label>
                                     <div className="text-lg font-bold">{formatCurrency(selectedExpenditure.totalAmount)}</div>
+                                    {selectedExpenditure.claimedAmount > selectedExpenditure.totalAmount && (
+                                        <small className="text-muted">Claimed {formatCurrency(selectedExpenditure.claimedAmount)}</small>
+                                    )}
                                 </div>
                                 <div className="detail-item full-width">
                                     <label>Event Description</label>
                                     <div className="text-muted">{selectedExpenditure.description}</div>
                                 </div>
+                                {selectedExpenditure.advance?.advanceNumber && (
+                                    <div className="detail-item full-width">
+                                        <label>Settles Advance</label>
+                                        <div>
+                                            {selectedExpenditure.advance.advanceNumber} ({formatCurrency(selectedExpenditure.advance.amount)})
+                                            {selectedExpenditure.advance.settlement?.refundDue > 0 && (
+                                                <small className="text-muted"> - refund due {formatCurrency(selectedExpenditure.advance.settlement.refundDue)}</small>
+                                            )}
+                                            {selectedExpenditure.advance.settlement?.additionalPayable > 0 && (
+                                                <small className="text-muted"> - payable {formatCurrency(selectedExpenditure.advance.settlement.additionalPayable)}</small>
+                                            )}
+                                        </div>
+                                    </div>
+                                )}
+                                {selectedExpenditure.project?.code && (
+                                    <div className="detail-item full-width">
+                                        <label>Project</label>
+                                        <div>{selectedExpenditure.project.code} - {selectedExpenditure.project.name}</div>
+                                    </div>
+                                )}
+                                {selectedExpenditure.splits?.length > 0 && (
+                                    <div className="detail-item full-width">
+                                        <label>Charged To</label>
+                                        {selectedExpenditure.splits.map((split, idx) => (
+                                            <div key={idx}>
+                                                {split.department?.name} - {split.budgetHead?.name}: {formatCurrency(split.amount)}
+                                                {split.mode === 'percentage' && <small className="text-muted"> ({split.value}%)</small>}
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
                                 {selectedExpenditure.transactionId && (
                                     <div className="detail-item full-width">
                                         <label>Transaction ID</label>
@@ -295,11 +585,38 @@ export const Expenditures = () => {
                                             <div key={idx} style={{ padding: '0.5rem', borderBottom: idx !== selectedExpenditure.expenseItems.length - 1 ? '1px solid #eee' : 'none' }}>
                                                 <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                                                     <strong>{item.vendorName}</strong>
-                                                    <span style={{ fontWeight: '500' }}>{formatCurrency(item.amount)}</span>
+                                                    <span style={{ fontWeight: '500' }}>
+                                                        {formatCurrency(item.amount)}
+                                                        {item.currency && item.currency !== 'INR' && (
+                                                            <small style={{ display: 'block', color: '#666', fontWeight: 'normal' }}>
+                                                                {item.currency} {item.foreignAmount?.toLocaleString('en-IN')} @ ₹{item.exchangeRate}
+                                                            </small>
+                                                        )}
+                                                    </span>
                                                 </div>
                                                 <div style={{ fontSize: '0.85rem', color: '#666' }}>
                                                     Bill: {item.billNumber} | Date: {new Date(item.billDate).toLocaleDateString()}
                                                 </div>
+                                                {item.amountMismatch && (
+                                                    <div style={{ fontSize: '0.8rem', color: '#b45309', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                                        <AlertCircle size={12} /> Bill reads {item.amountMismatch.extractedAmount.toLocaleString('en-IN')} ({Math.round(item.amountMismatch.confidence * 100)}% confidence)
+                                                    </div>
+                                                )}
+                                                {['REDUCED', 'REJECTED'].includes(item.lineStatus) && (
+                                                    <div style={{ fontSize: '0.8rem', color: '#dc3545' }}>
+                                                        {item.lineStatus === 'REDUCED' ? `Reduced to ${formatCurrency(item.approvedAmount)}` : 'Rejected'}
+                                                        {item.lineReviews?.length > 0 && item.lineReviews[item.lineReviews.length - 1].remarks && ` - "${item.lineReviews[item.lineReviews.length - 1].remarks}"`}
+                                                    </div>
+                                                )}
+                                                {item.tax && (
+                                                    <div style={{ fontSize: '0.8rem', color: '#666' }}>
+                                                        Taxable: {formatCurrency(item.tax.taxableValue)}
+                                                        {item.tax.igstAmount > 0
+                                                            ? ` | IGST: ${formatCurrency(item.tax.igstAmount)}`
+                                                            : ` | CGST: ${formatCurrency(item.tax.cgstAmount)} | SGST: ${formatCurrency(item.tax.sgstAmount)}`}
+                                                        {item.tax.tdsAmount > 0 && ` | TDS${item.tax.tdsSection ? ` (${item.tax.tdsSection})` : ''}: ${formatCurrency(item.tax.tdsAmount)}`}
+                                                    </div>
+                                                )}
                                             </div>
                                         ))}
                                     </div>
@@ -314,6 +631,16 @@ export const Expenditures = () => {
                                     </div>
                                 )}
 
+                                {['WITHDRAWN', 'CANCELLED'].includes(selectedExpenditure.status) && (
+                                    <div className="detail-item full-width rejection-box">
+                                        <label className="text-danger">
+                                            {selectedExpenditure.status === 'WITHDRAWN' ? 'Withdrawn' : 'Reversed after finalization'}
+                                            {selectedExpenditure.cancelledAt && ` on ${new Date(selectedExpenditure.cancelledAt).toLocaleDateString('en-IN')}`}
+                                        </label>
+                                        <div className="text-danger">{selectedExpenditure.cancelReason || 'No reason given'}</div>
+                                    </div>
+                                )}
+
                                 <div className="detail-item full-width">
                                     <label>Approval Timeline</label>
                                     <div className="timeline-container" style={{ marginTop: '1rem', padding: '1rem', background: '#fff', borderRadius: '8px', border: '1px solid #eee' }}>
@@ -322,7 +649,7 @@ export const Expenditures = () => {
                                                 <div key={sIdx} className="timeline-step" style={{ display: 'flex', gap: '1rem', marginBottom: '1rem', borderLeft: '2px solid #eee', paddingLeft: '1rem', position: 'relative' }}>
                                                     <div className="timeline-dot" style={{ position: 'absolute', left: '-7px', top: '0', width: '12px', height: '12px', borderRadius: '50%', background: step.decision === 'approve' || step.decision === 'verify' ? '#28a745' : step.decision === 'reject' ? '#dc3545' : '#6c757d' }}></div>
                                                     <div className="timeline-content">
-                                                        <div style={{ fontWeight: 'bold', fontSize: '0.9rem' }}>{step.role?.toUpperCase() || 'SYSTEM'} - {step.decision?.toUpperCase() || 'PENDING'}</div>
+                                                        <div style={{ fontWeight: 'bold', fontSize: '0.9rem' }}>{step.role?.toUpperCase() || 'SYSTEM'} - {step.decision?.toUpperCase() || 'PENDING'}{step.tier && ` (${step.tier.replace(/_/g, ' ')} tier)`}</div>
                                                         <div style={{ fontSize: '0.8rem', color: '#666' }}>{step.approver?.name || 'Assigned User'} | {step.date ? new Date(step.date).toLocaleString() : 'Pending'}</div>
                                                         {step.remarks && <div style={{ fontSize: '0.85rem', marginTop: '4px', fontStyle: 'italic' }}>&quot;{step.remarks}&quot;</div>}
                                                     </div>
@@ -340,6 +667,12 @@ export const Expenditures = () => {
                                         </div>
                                     </div>
                                 </div>
+
+                                {selectedExpenditure.status !== 'DRAFT' && (
+                                    <div className="detail-item full-width">
+                                        <DiscussionThread entity="Expenditure" targetId={selectedExpenditure._id} onClarificationChange={fetchExpenditures} />
+                                    </div>
+                                )}
                             </div>
                         </div>
                         <div className="modal-footer">
@@ -364,14 +697,28 @@ export const Expenditures = () => {
 export const SubmitExpenditure = () => {
     const { user } = useAuth();
     const navigate = useNavigate();
+    // Set when completing a draft, e.g. one raised from a recurring expenditure
+    const { id: draftId } = useParams();
+    const location = useLocation();
+    const exchangeRates = useExchangeRates();
+    // Set when arriving from "Submit Bills" on the Advances page
+    const linkedAdvance = location.state?.advance;
 
     const [step, setStep] = useState(1);
     const [formData, setFormData] = useState({
-        budgetHeadId: '',
-        eventName: '',
+        budgetHeadId: linkedAdvance?.budgetHead?._id || '',
+        eventName: linkedAdvance?.eventName || '',
         eventType: '',
-        eventDate: '',
+        eventDate: linkedAdvance ? linkedAdvance.eventDate.split('T')[0] : '',
         description: '',
+        advanceId: linkedAdvance?._id || '',
+        // Sent only when the total is over the remaining budget
+        requestOverride: false,
+        overrideJustification: '',
+        projectId: '',
+        // Charge the bill to several allocations, e.g. an event shared with another department
+        isSplit: false,
+        splits: [emptySplit(), emptySplit()],
         expenseItems: [{
             category: 'MISCELLANEOUS',
             billNumber: '',
@@ -379,17 +726,32 @@ export const SubmitExpenditure = () => {
             vendorName: '',
             amount: '',
             description: '',
-            attachments: []
+            attachments: [],
+            currency: 'INR',
+            ...emptyTaxFields()
         }]
     });
 
     const [budgetHeads, setBudgetHeads] = useState([]);
     const [categories, setCategories] = useState([]);
     const [allocations, setAllocations] = useState([]);
+    const [openAdvances, setOpenAdvances] = useState([]);
+    const [projects, setProjects] = useState([]);
+    // Allocations a split can draw on: the department's own, or the selected project's member departments'
+    const [projectAllocations, setProjectAllocations] = useState([]);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [errors, setErrors] = useState({});
     const [remainingBudget, setRemainingBudget] = useState(0);
+    // Phased allocations cap submissions at the budget released so far, whatever the overspend policy
+    const [isPhasedBudget, setIsPhasedBudget] = useState(false);
     const [overspendPolicy, setOverspendPolicy] = useState('disallow');
+    // Draft created by the first save of a new form; autosaved on every pause in editing
+    const [savedDraftId, setSavedDraftId] = useState(null);
+    const [isDirty, setIsDirty] = useState(false);
+    const [isSavingDraft, setIsSavingDraft] = useState(false);
+    const [draftSavedAt, setDraftSavedAt] = useState(null);
+    const [readingBills, setReadingBills] = useState({});
+    const activeDraftId = draftId || savedDraftId;
 
     useEffect(() => {
         if (user?.role !== 'department' && user?.role !== 'hod') {
@@ -400,9 +762,60 @@ export const SubmitExpenditure = () => {
         fetchBudgetHeads();
         fetchCategories();
         fetchAllocations();
+        fetchAdvances();
+        fetchProjects();
         fetchSettings();
     }, [user, navigate]);
 
+    useEffect(() => {
+        if (!formData.projectId) {
+            setProjectAllocations([]);
+            return;
+        }
+        projectAPI.getProjectAllocations(formData.projectId)
+            .then(response => setProjectAllocations(response.data.data.allocations || []))
+            .catch(error => console.error('Error fetching project allocations:', error));
+    }, [formData.projectId]);
+
+    useEffect(() => {
+        if (!draftId) return;
+
+        const fetchDraft = async () => {
+            try {
+                const response = await expenditureAPI.getExpenditureById(draftId);
+                const draft = response.data.data.expenditure;
+                setFormData(prev => ({
+                    ...prev,
+                    budgetHeadId: draft.budgetHead?._id || draft.budgetHead || '',
+                    eventName: draft.eventName || '',
+                    eventType: draft.eventType || '',
+                    eventDate: draft.eventDate ? new Date(draft.eventDate).toISOString().split('T')[0] : '',
+                    description: draft.description || '',
+                    advanceId: draft.advance?._id || '',
+                    expenseItems: draft.expenseItems.map(item => ({
+                        _id: item._id,
+                        category: item.category || 'MISCELLANEOUS',
+                        billNumber: item.billNumber || '',
+                        billDate: item.billDate ? new Date(item.billDate).toISOString().split('T')[0] : '',
+                        vendorName: item.vendorName || '',
+                        // Drafts keep foreign bills as entered; they are converted on submission
+                        amount: item.foreignAmount ?? item.amount,
+                        description: item.description || '',
+                        attachments: [],
+                        savedAttachments: item.attachments || [],
+                        currency: item.currency || 'INR',
+                        ...taxFieldsFromItem(item.tax)
+                    }))
+                }));
+            } catch (error) {
+                console.error('Error fetching draft:', error);
+                setErrors({ submit: 'Failed to load the draft expenditure' });
+            }
+        };
+
+        fetchDraft();
+    }, [draftId]);
+
     const fetchCategories = async () => {
         try {
             const response = await categoriesAPI.getCategories();
@@ -448,6 +861,25 @@ export const SubmitExpenditure = () => {
         }
     };
 
+    // Approved advances still waiting for their bills
+    const fetchAdvances = async () => {
+        try {
+            const response = await advanceAPI.getAdvances({ status: 'APPROVED', limit: 100 });
+            setOpenAdvances(response.data.data.advances || []);
+        } catch (error) {
+            console.error('Error fetching advances:', error);
+        }
+    };
+
+    const fetchProjects = async () => {
+        try {
+            const response = await projectAPI.getProjects({ status: 'active' });
+            setProjects(response.data.data.projects || []);
+        } catch (error) {
+            console.error('Error fetching projects:', error);
+        }
+    };
+
     const getCurrentFinancialYear = () => {
         const now = new Date();
         const year = now.getFullYear();
@@ -461,14 +893,26 @@ export const SubmitExpenditure = () => {
                 alloc => (alloc.budgetHead?._id || alloc.budgetHeadId) === formData.budgetHeadId
             );
             if (allocation) {
-                setRemainingBudget(allocation.remainingAmount || (allocation.allocatedAmount - allocation.spentAmount));
+                // The advance being settled is reserved on this allocation and comes back on settlement
+                const advance = openAdvances.find(item => item._id === formData.advanceId);
+                const releasedRemaining = (allocation.releasedAmount ?? allocation.allocatedAmount)
+                    - allocation.spentAmount - (allocation.committedAmount || 0);
+                setRemainingBudget(Math.min(allocation.remainingAmount || (allocation.allocatedAmount - allocation.spentAmount), releasedRemaining)
+                    + (advance?.committedAmount || 0));
+                setIsPhasedBudget(Boolean(allocation.phasing && allocation.phasing !== 'none'));
             }
         }
-    }, [formData.budgetHeadId, allocations]);
+    }, [formData.budgetHeadId, formData.advanceId, allocations, openAdvances]);
 
     const handleEventChange = (e) => {
         const { name, value } = e.target;
-        setFormData(prev => ({ ...prev, [name]: value }));
+        setFormData(prev => ({
+            ...prev,
+            [name]: value,
+            // An advance only settles bills under its own budget head
+            ...(name === 'budgetHeadId' ? { advanceId: '' } : {})
+        }));
+        setIsDirty(true);
         if (errors[name]) setErrors(prev => ({ ...prev, [name]: '' }));
     };
 
@@ -477,6 +921,28 @@ export const SubmitExpenditure = () => {
         const updatedItems = [...formData.expenseItems];
         updatedItems[index][name] = value;
         setFormData(prev => ({ ...prev, expenseItems: updatedItems }));
+        setIsDirty(true);
+    };
+
+    // Read the first bill picked for an item to pre-fill it; a bill that cannot be read is simply typed in
+    const readBill = async (index, file) => {
+        setReadingBills(prev => ({ ...prev, [index]: true }));
+        try {
+            const upload = new FormData();
+            upload.append('attachments', file);
+            const response = await fileAPI.uploadFiles(upload);
+            const extraction = response.data.data.files[0]?.extraction;
+            if (extraction) {
+                setFormData(prev => ({
+                    ...prev,
+                    expenseItems: prev.expenseItems.map((item, i) => (i === index ? prefillFromBill(item, extraction) : item))
+                }));
+            }
+        } catch (error) {
+            console.error('Error reading bill:', error);
+        } finally {
+            setReadingBills(prev => ({ ...prev, [index]: false }));
+        }
     };
 
     const handleFileChange = (index, e) => {
@@ -484,12 +950,28 @@ export const SubmitExpenditure = () => {
         const updatedItems = [...formData.expenseItems];
         updatedItems[index].attachments = [...updatedItems[index].attachments, ...files];
         setFormData(prev => ({ ...prev, expenseItems: updatedItems }));
+        setIsDirty(true);
+        if (files.length > 0 && !updatedItems[index].extraction) {
+            readBill(index, files[0]);
+        }
     };
 
     const removeItemFile = (itemIndex, fileIndex) => {
         const updatedItems = [...formData.expenseItems];
         updatedItems[itemIndex].attachments = updatedItems[itemIndex].attachments.filter((_, i) => i !== fileIndex);
+        if (updatedItems[itemIndex].attachments.length === 0) {
+            delete updatedItems[itemIndex].extraction;
+        }
+        setFormData(prev => ({ ...prev, expenseItems: updatedItems }));
+        setIsDirty(true);
+    };
+
+    // Bill already stored on the draft; dropped from it on the next save
+    const removeSavedFile = (itemIndex, attachmentId) => {
+        const updatedItems = [...formData.expenseItems];
+        updatedItems[itemIndex].savedAttachments = updatedItems[itemIndex].savedAttachments.filter(attachment => attachment._id !== attachmentId);
         setFormData(prev => ({ ...prev, expenseItems: updatedItems }));
+        setIsDirty(true);
     };
 
     const addItem = () => {
@@ -502,22 +984,47 @@ export const SubmitExpenditure = () => {
                 vendorName: '',
                 amount: '',
                 description: '',
-                attachments: []
+                attachments: [],
+                currency: 'INR',
+                ...emptyTaxFields()
             }]
         }));
+        setIsDirty(true);
     };
 
     const removeItem = (index) => {
         if (formData.expenseItems.length > 1) {
             const updatedItems = formData.expenseItems.filter((_, i) => i !== index);
             setFormData(prev => ({ ...prev, expenseItems: updatedItems }));
+            setIsDirty(true);
         }
     };
 
     const calculateTotal = () => {
-        return formData.expenseItems.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+        return formData.expenseItems.reduce((sum, item) => sum + toInr(item, exchangeRates), 0);
+    };
+
+    const splitOptions = formData.projectId ? projectAllocations : allocations;
+
+    const handleSplitChange = (index, e) => {
+        const { name, value } = e.target;
+        const updatedSplits = formData.splits.map((split, i) => (i === index ? { ...split, [name]: value } : split));
+        setFormData(prev => ({ ...prev, splits: updatedSplits }));
+        setIsDirty(true);
+    };
+
+    const addSplit = () => {
+        setFormData(prev => ({ ...prev, splits: [...prev.splits, emptySplit()] }));
+    };
+
+    const removeSplit = (index) => {
+        if (formData.splits.length > 2) {
+            setFormData(prev => ({ ...prev, splits: prev.splits.filter((_, i) => i !== index) }));
+        }
     };
 
+    const splitTotal = () => formData.splits.reduce((sum, split) => sum + splitAmount(split, calculateTotal()), 0);
+
     const validateStep1 = () => {
         const newErrors = {};
         if (!formData.eventName.trim()) newErrors.eventName = 'Event name is required';
@@ -536,18 +1043,30 @@ export const SubmitExpenditure = () => {
             if (!item.amount || parseFloat(item.amount) <= 0) newErrors[`item_${idx}_amount`] = 'Invalid amount';
             if (!item.billNumber?.trim()) newErrors[`item_${idx}_bill`] = 'Bill number required';
             if (!item.billDate) newErrors[`item_${idx}_date`] = 'Bill date required';
-            if (!item.attachments || item.attachments.length === 0) newErrors[`item_${idx}_attachments`] = 'Bill upload is mandatory';
+            if (item.attachments.length + (item.savedAttachments?.length || 0) === 0) newErrors[`item_${idx}_attachments`] = 'Bill upload is mandatory';
         });
 
         const total = calculateTotal();
-        if (total > remainingBudget && overspendPolicy === 'disallow') {
-            newErrors.budget = `Total amount (₹${total.toLocaleString()}) exceeds remaining budget (₹${remainingBudget.toLocaleString()})`;
+        if (formData.isSplit) {
+            if (formData.splits.some(split => !split.allocation || !(parseFloat(split.value) > 0))) {
+                newErrors.splits = 'Choose an allocation and a percentage or amount for every split';
+            } else if (new Set(formData.splits.map(split => split.allocation)).size < formData.splits.length) {
+                newErrors.splits = 'An allocation can only appear once in a split';
+            } else if (Math.abs(splitTotal() - total) > 0.01 * formData.splits.length) {
+                newErrors.splits = `Splits add up to ${formatCurrency(splitTotal())} but the total is ${formatCurrency(total)}`;
+            }
+        }
+        if (isOverBudget() && !(formData.requestOverride && formData.overrideJustification.trim())) {
+            newErrors.budget = `Total amount (₹${total.toLocaleString()}) exceeds remaining budget (₹${remainingBudget.toLocaleString()}). Reduce the amount or request a budget override.`;
         }
 
         setErrors(newErrors);
         return Object.keys(newErrors).length === 0;
     };
 
+    // Split allocations are each checked on the server; an override covers a single allocation only
+    const isOverBudget = () => !formData.isSplit && calculateTotal() > remainingBudget && (overspendPolicy === 'disallow' || isPhasedBudget);
+
     const nextStep = () => {
         if (step === 1 && validateStep1()) setStep(2);
         else if (step === 2 && validateStep2()) setStep(3);
@@ -566,6 +1085,23 @@ export const SubmitExpenditure = () => {
             submissionData.append('eventType', formData.eventType);
             submissionData.append('eventDate', formData.eventDate);
             submissionData.append('description', formData.description);
+            if (formData.advanceId && !formData.isSplit) {
+                submissionData.append('advance', formData.advanceId);
+            }
+            if (formData.projectId) {
+                submissionData.append('project', formData.projectId);
+            }
+            if (formData.isSplit) {
+                submissionData.append('splits', JSON.stringify(formData.splits.map(split => ({
+                    allocation: split.allocation,
+                    mode: split.mode,
+                    value: parseFloat(split.value)
+                }))));
+            }
+            if (isOverBudget() && formData.requestOverride) {
+                submissionData.append('requestOverride', 'true');
+                submissionData.append('overrideJustification', formData.overrideJustification.trim());
+            }
 
             // We need to send items and files. 
             // Multiple files with standard multer can be tricky with indexed fields.
@@ -573,15 +1109,7 @@ export const SubmitExpenditure = () => {
             // But usually, we want to link files to items. 
             // Here we'll send a structured JSON for items metadata and then the files.
 
-            const expenseItems = formData.expenseItems.map((item, idx) => ({
-                category: item.category || 'MISCELLANEOUS',
-                billNumber: item.billNumber,
-                billDate: item.billDate || new Date().toISOString().split('T')[0],
-                vendorName: item.vendorName,
-                amount: item.amount,
-                description: item.description,
-                fileCount: item.attachments.length
-            }));
+            const expenseItems = formData.expenseItems.map(buildItemPayload);
 
             submissionData.append('expenseItems', JSON.stringify(expenseItems));
 
@@ -591,9 +1119,13 @@ export const SubmitExpenditure = () => {
                 });
             });
 
-            const response = await expenditureAPI.submitExpenditure(submissionData);
+            const response = activeDraftId
+                ? await expenditureAPI.submitDraft(activeDraftId, submissionData)
+                : await expenditureAPI.submitExpenditure(submissionData);
             if (response.data.success) {
-                navigate('/expenditures', { state: { message: 'Event Budget created successfully!' } });
+                // Amounts that differ from the bills are flagged, not blocked; pass the warning on
+                const message = response.data.data.amountMismatches ? response.data.message : 'Event Budget created successfully!';
+                navigate('/expenditures', { state: { message } });
             }
         } catch (error) {
             setErrors({ submit: error.response?.data?.message || 'Submission failed' });
@@ -602,13 +1134,74 @@ export const SubmitExpenditure = () => {
         }
     };
 
+    // Save whatever has been filled in so far, with any bills picked. Nothing is
+    // validated here; the checks run when the draft is submitted.
+    const saveDraft = async () => {
+        const sentItems = formData.expenseItems;
+        const sentFiles = sentItems.map(item => [...item.attachments]);
+
+        const draftData = new FormData();
+        draftData.append('budgetHead', formData.budgetHeadId);
+        draftData.append('eventName', formData.eventName);
+        draftData.append('eventType', formData.eventType);
+        draftData.append('eventDate', formData.eventDate);
+        draftData.append('description', formData.description);
+        draftData.append('advance', formData.advanceId);
+        draftData.append('expenseItems', JSON.stringify(sentItems.map(buildItemPayload)));
+        sentFiles.forEach(files => files.forEach(file => draftData.append('attachments', file)));
+
+        setIsSavingDraft(true);
+        setIsDirty(false);
+        try {
+            const response = activeDraftId
+                ? await expenditureAPI.updateDraft(activeDraftId, draftData)
+                : await expenditureAPI.createDraft(draftData);
+            const saved = response.data.data.expenditure;
+            setSavedDraftId(saved._id);
+            setDraftSavedAt(new Date());
+
+            // Uploaded files are now stored on the draft; items edited meanwhile keep their changes
+            setFormData(prev => ({
+                ...prev,
+                expenseItems: prev.expenseItems.map(item => {
+                    const index = sentItems.indexOf(item);
+                    const savedItem = saved.expenseItems[index];
+                    if (!savedItem) return item;
+                    return {
+                        ...item,
+                        _id: savedItem._id,
+                        savedAttachments: savedItem.attachments || [],
+                        attachments: item.attachments.filter(file => !sentFiles[index].includes(file))
+                    };
+                })
+            }));
+            setErrors(prev => ({ ...prev, draft: '' }));
+        } catch (error) {
+            setErrors(prev => ({ ...prev, draft: error.response?.data?.message || 'Draft could not be saved' }));
+        } finally {
+            setIsSavingDraft(false);
+        }
+    };
+
+    const saveDraftRef = useRef(saveDraft);
+    saveDraftRef.current = saveDraft;
+
+    // Autosave once editing pauses
+    useEffect(() => {
+        if (!isDirty || isSavingDraft || isSubmitting) return;
+        const timer = setTimeout(() => saveDraftRef.current(), AUTOSAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [formData, isDirty, isSavingDraft, isSubmitting]);
+
     const formatCurrency = (val) => new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', maximumFractionDigits: 0 }).format(val);
 
     return (
         <div className="submit-expenditure-container">
             <PageHeader
-                title="Create Event Budget"
-                subtitle="Submit an event-based expenditure request for approval"
+                title={draftId ? 'Complete Draft' : 'Create Event Budget'}
+                subtitle={draftId
+                    ? 'Attach the bill, adjust the amount if needed and submit for approval'
+                    : 'Submit an event-based expenditure request for approval'}
             />
 
             <div className="stepper" style={{ display: 'flex', justifyContent: 'center', marginBottom: '2rem', gap: '2rem' }}>
@@ -620,6 +1213,17 @@ export const SubmitExpenditure = () => {
             <div className="expenditure-form-container card-standard">
                 {errors.submit && <div className="alert alert-danger mb-4">{errors.submit}</div>}
 
+                <div className="draft-bar" style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem', fontSize: '0.85rem', color: '#666' }}>
+                    {errors.draft
+                        ? <span className="text-danger">{errors.draft}</span>
+                        : isSavingDraft
+                            ? <span>Saving draft...</span>
+                            : draftSavedAt && <span>Draft saved at {draftSavedAt.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}</span>}
+                    <button type="button" className="btn btn-outline btn-sm" onClick={saveDraft} disabled={isSavingDraft || isSubmitting}>
+                        <Save size={14} /> Save Draft
+                    </button>
+                </div>
+
                 {step === 1 && (
                     <div className="form-step">
                         <div className="form-row">
@@ -656,9 +1260,61 @@ export const SubmitExpenditure = () => {
                                     ))}
                                 </select>
                                 {errors.budgetHeadId && <span className="form-error">{errors.budgetHeadId}</span>}
-                                {formData.budgetHeadId && <span className="form-help">Balance: {formatCurrency(remainingBudget)}</span>}
+                                {formData.budgetHeadId && <span className="form-help">{isPhasedBudget ? 'Released balance' : 'Balance'}: {formatCurrency(remainingBudget)}</span>}
                             </div>
                         </div>
+                        {projects.length > 0 && (
+                            <div className="form-group">
+                                <label>Project / Cost Centre</label>
+                                <select
+                                    name="projectId"
+                                    value={formData.projectId}
+                                    onChange={(e) => {
+                                        handleEventChange(e);
+                                        setFormData(prev => ({ ...prev, splits: prev.splits.map(split => ({ ...split, allocation: '' })) }));
+                                    }}
+                                >
+                                    <option value="">Not charged to a project</option>
+                                    {projects.map(project => (
+                                        <option key={project._id} value={project._id}>
+                                            {project.code} - {project.name} ({formatCurrency(project.availableAmount)} left)
+                                        </option>
+                                    ))}
+                                </select>
+                                <span className="form-help">Project expenditures also count against the project budget.</span>
+                            </div>
+                        )}
+                        <div className="form-group">
+                            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={formData.isSplit}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, isSplit: e.target.checked, advanceId: '', requestOverride: false }))}
+                                />
+                                Split the amount across several allocations
+                            </label>
+                            {formData.isSplit && (
+                                <span className="form-help">
+                                    {formData.projectId
+                                        ? "Any member department's allocation for the project can be charged."
+                                        : "Your department's allocations can be charged; choose a project to share with other departments."}
+                                </span>
+                            )}
+                        </div>
+                        {!formData.isSplit && openAdvances.some(advance => advance.budgetHead?._id === formData.budgetHeadId) && (
+                            <div className="form-group">
+                                <label>Settles Advance</label>
+                                <select name="advanceId" value={formData.advanceId} onChange={handleEventChange}>
+                                    <option value="">Not against an advance</option>
+                                    {openAdvances.filter(advance => advance.budgetHead?._id === formData.budgetHeadId).map(advance => (
+                                        <option key={advance._id} value={advance._id}>
+                                            {advance.advanceNumber} - {advance.eventName} ({formatCurrency(advance.amount)})
+                                        </option>
+                                    ))}
+                                </select>
+                                <span className="form-help">The bills close the advance; any unspent cash is recorded as a refund due.</span>
+                            </div>
+                        )}
                         <div className="form-group">
                             <label>General Description</label>
                             <textarea name="description" value={formData.description} onChange={handleEventChange} rows="3" placeholder="Brief about the event..."></textarea>
@@ -680,6 +1336,7 @@ export const SubmitExpenditure = () => {
 
                         {errors.budget && <div className="alert alert-danger mb-3">{errors.budget}</div>}
 
+                        <VendorOptions />
                         <div className="items-scroll-area" style={{ maxHeight: '500px', overflowY: 'auto', paddingRight: '1rem' }}>
                             {formData.expenseItems.map((item, idx) => (
                                 <div key={idx} className="expense-item-card mb-4" style={{ border: '1px solid #ddd', padding: '1rem', borderRadius: '8px', background: '#fdfdfd', position: 'relative' }}>
@@ -707,13 +1364,13 @@ export const SubmitExpenditure = () => {
                                         </div>
                                         <div className="form-group">
                                             <label>Vendor Name *</label>
-                                            <input type="text" name="vendorName" value={item.vendorName} onChange={(e) => handleItemChange(idx, e)} className={errors[`item_${idx}_vendor`] ? 'error' : ''} />
+                                            <input type="text" name="vendorName" list="vendor-options" value={item.vendorName} onChange={(e) => handleItemChange(idx, e)} className={errors[`item_${idx}_vendor`] ? 'error' : ''} />
                                         </div>
                                     </div>
                                     <div className="form-row">
                                         <div className="form-group">
-                                            <label>Amount (₹) *</label>
-                                            <input type="number" name="amount" value={item.amount} onChange={(e) => handleItemChange(idx, e)} className={errors[`item_${idx}_amount`] ? 'error' : ''} />
+                                            <label>Amount *</label>
+                                            <CurrencyAmountInput item={item} rates={exchangeRates} onChange={(e) => handleItemChange(idx, e)} hasError={errors[`item_${idx}_amount`]} />
                                         </div>
                                         <div className="form-group">
                                             <label>Bill Number *</label>
@@ -730,17 +1387,34 @@ export const SubmitExpenditure = () => {
                                             <input type="text" name="description" value={item.description} onChange={(e) => handleItemChange(idx, e)} placeholder="What was this for?" />
                                         </div>
                                     </div>
+                                    <TaxFields item={item} onChange={(e) => handleItemChange(idx, e)} />
                                     <div className="form-group">
                                         <label>Attach Bills</label>
                                         <input type="file" multiple onChange={(e) => handleFileChange(idx, e)} accept="image/*,.pdf" className={errors[`item_${idx}_attachments`] ? 'error' : ''} />
                                         {errors[`item_${idx}_attachments`] && <span className="form-error">{errors[`item_${idx}_attachments`]}</span>}
                                         <div className="mt-2" style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                            {(item.savedAttachments || []).map(attachment => (
+                                                <span key={attachment._id} style={{ background: '#e8f4ea', padding: '2px 8px', borderRadius: '4px', fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                                    {attachment.originalName} <X size={12} onClick={() => removeSavedFile(idx, attachment._id)} style={{ cursor: 'pointer' }} />
+                                                </span>
+                                            ))}
                                             {item.attachments.map((file, fIdx) => (
                                                 <span key={fIdx} style={{ background: '#eee', padding: '2px 8px', borderRadius: '4px', fontSize: '0.8rem', display: 'flex', alignItems: 'center', gap: '4px' }}>
                                                     {file.name} <X size={12} onClick={() => removeItemFile(idx, fIdx)} style={{ cursor: 'pointer' }} />
                                                 </span>
                                             ))}
                                         </div>
+                                        {readingBills[idx] && <span className="form-help">Reading bill...</span>}
+                                        {item.extraction && (
+                                            <span className="form-help">
+                                                Details read from the bill ({Math.round(item.extraction.confidence * 100)}% confidence) - please check them.
+                                            </span>
+                                        )}
+                                        {differsFromBill(item) && (
+                                            <span className="form-error">
+                                                Amount entered differs from the bill ({item.extraction.amount.value.toLocaleString('en-IN')}). It will be flagged for the reviewers.
+                                            </span>
+                                        )}
                                     </div>
                                 </div>
                             ))}
@@ -758,6 +1432,69 @@ export const SubmitExpenditure = () => {
                                 <button className="btn btn-primary" onClick={nextStep}>Preview & Submit <ChevronRight size={16} /></button>
                             </div>
                         </div>
+
+                        {formData.isSplit && (
+                            <div className="form-group mt-4">
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+                                    <h4>Charge To</h4>
+                                    <button className="btn btn-outline btn-sm" onClick={addSplit}><Plus size={16} /> Add Allocation</button>
+                                </div>
+                                {errors.splits && <div className="alert alert-danger mb-3">{errors.splits}</div>}
+                                {formData.splits.map((split, idx) => (
+                                    <div key={idx} className="form-row" style={{ alignItems: 'center' }}>
+                                        <div className="form-group" style={{ flex: 3 }}>
+                                            <select name="allocation" value={split.allocation} onChange={(e) => handleSplitChange(idx, e)}>
+                                                <option value="">Select Allocation</option>
+                                                {splitOptions.map(allocation => (
+                                                    <option key={allocation._id} value={allocation._id}>
+                                                        {allocation.department?.name} - {allocation.budgetHead?.name}
+                                                        {' '}({formatCurrency(allocation.availableAmount ?? (allocation.allocatedAmount - allocation.spentAmount - (allocation.committedAmount || 0)))} available)
+                                                    </option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        <div className="form-group">
+                                            <select name="mode" value={split.mode} onChange={(e) => handleSplitChange(idx, e)}>
+                                                <option value="percentage">%</option>
+                                                <option value="amount">₹</option>
+                                            </select>
+                                        </div>
+                                        <div className="form-group">
+                                            <input type="number" name="value" value={split.value} onChange={(e) => handleSplitChange(idx, e)} min="0" step="0.01" />
+                                            <small className="text-muted">{formatCurrency(splitAmount(split, calculateTotal()))}</small>
+                                        </div>
+                                        {formData.splits.length > 2 && (
+                                            <button className="remove-item-btn" onClick={() => removeSplit(idx)} style={{ color: '#dc3545', border: 'none', background: 'none', cursor: 'pointer' }}>
+                                                <Trash2 size={18} />
+                                            </button>
+                                        )}
+                                    </div>
+                                ))}
+                                <span className="form-help">Split total: {formatCurrency(splitTotal())} of {formatCurrency(calculateTotal())}</span>
+                            </div>
+                        )}
+
+                        {isOverBudget() && (
+                            <div className="form-group mt-4">
+                                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={formData.requestOverride}
+                                        onChange={(e) => setFormData(prev => ({ ...prev, requestOverride: e.target.checked }))}
+                                    />
+                                    Request a budget override for the {formatCurrency(calculateTotal() - remainingBudget)} overrun
+                                </label>
+                                {formData.requestOverride && (
+                                    <textarea
+                                        name="overrideJustification"
+                                        value={formData.overrideJustification}
+                                        onChange={handleEventChange}
+                                        rows={3}
+                                        placeholder="Why this expenditure must exceed the remaining budget (sent to the Principal)"
+                                    />
+                                )}
+                            </div>
+                        )}
                     </div>
                 )}
 
@@ -770,7 +1507,27 @@ export const SubmitExpenditure = () => {
                                 <div><strong>Type:</strong> {formData.eventType}</div>
                                 <div><strong>Date:</strong> {formData.eventDate}</div>
                                 <div><strong>Budget Head:</strong> {budgetHeads.find(h => h._id === formData.budgetHeadId)?.name}</div>
+                                {formData.advanceId && (
+                                    <div><strong>Settles Advance:</strong> {openAdvances.find(a => a._id === formData.advanceId)?.advanceNumber}</div>
+                                )}
+                                {formData.projectId && (
+                                    <div><strong>Project:</strong> {projects.find(p => p._id === formData.projectId)?.code}</div>
+                                )}
                             </div>
+                            {formData.isSplit && (
+                                <div className="mt-3">
+                                    <strong>Charged To:</strong>
+                                    {formData.splits.map((split, idx) => {
+                                        const allocation = splitOptions.find(a => a._id === split.allocation);
+                                        return (
+                                            <div key={idx} style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.9rem' }}>
+                                                <span>{allocation?.department?.name} - {allocation?.budgetHead?.name}{split.mode === 'percentage' ? ` (${split.value}%)` : ''}</span>
+                                                <span>{formatCurrency(splitAmount(split, calculateTotal()))}</span>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            )}
                             <hr className="my-3" />
                             <div><strong>Expense Items:</strong> {formData.expenseItems.length} items</div>
                             <div className="mt-3">
@@ -780,7 +1537,11 @@ export const SubmitExpenditure = () => {
                                             <span style={{ fontWeight: 'bold' }}>{item.vendorName}</span>
                                             <span style={{ fontSize: '0.75rem', color: '#666' }}>{item.category} | {item.billNumber} | {item.billDate}</span>
                                         </div>
-                                        <span style={{ fontWeight: 'bold' }}>{formatCurrency(item.amount)}</span>
+                                        <span style={{ fontWeight: 'bold' }}>
+                                            {item.currency && item.currency !== 'INR'
+                                                ? `${item.currency} ${Number(item.amount).toLocaleString('en-IN')} (≈ ${formatCurrency(toInr(item, exchangeRates))})`
+                                                : formatCurrency(item.amount)}
+                                        </span>
                                     </div>
                                 ))}
                             </div>
@@ -795,9 +1556,15 @@ export const SubmitExpenditure = () => {
                             <AlertCircle size={16} /> Budget will be deducted **only after Office Sanction**. This request will now move to HOD for verification.
                         </div>
 
+                        {isOverBudget() && formData.requestOverride && (
+                            <div className="alert alert-warning mt-2" style={{ fontSize: '0.85rem' }}>
+                                <AlertCircle size={16} /> A budget override for {formatCurrency(calculateTotal() - remainingBudget)} will be sent to the Principal. The expenditure cannot be finalized until it is approved.
+                            </div>
+                        )}
+
                         <div className="form-actions mt-4" style={{ justifyContent: 'space-between' }}>
                             <button className="btn btn-secondary" onClick={prevStep}><ChevronLeft size={16} /> Edit Details</button>
-                            <button className="btn btn-primary" onClick={handleSubmit} disabled={isSubmitting}>
+                            <button className="btn btn-primary" onClick={handleSubmit} disabled={isSubmitting || isSavingDraft}>
                                 {isSubmitting ? 'Submitting...' : 'Confirm & Submit Event'} <Send size={16} className="ml-2" />
                             </button>
                         </div>
@@ -812,6 +1579,7 @@ export const ResubmitExpenditure = () => {
     const { id } = useParams();
     const navigate = useNavigate();
     const { user } = useAuth();
+    const exchangeRates = useExchangeRates();
 
     const [loading, setLoading] = useState(true);
     const [submitting, setSubmitting] = useState(false);
@@ -831,6 +1599,7 @@ export const ResubmitExpenditure = () => {
     const [remainingBudget, setRemainingBudget] = useState(0);
     const [overspendPolicy, setOverspendPolicy] = useState('disallow');
     const [errors, setErrors] = useState({});
+    const [viewingAttachment, setViewingAttachment] = useState(null);
 
     useEffect(() => {
         const fetchData = async () => {
@@ -853,7 +1622,12 @@ export const ResubmitExpenditure = () => {
                     expenseItems: exp.expenseItems?.map(item => ({
                         ...item,
                         billDate: item.billDate ? new Date(item.billDate).toISOString().split('T')[0] : '',
-                        attachments: []
+                        // Foreign bills are edited in the currency they were raised in
+                        amount: item.currency && item.currency !== 'INR' ? item.foreignAmount : item.amount,
+                        // The rejected bills, opened read-only to see the reviewers' annotations
+                        originalAttachments: item.attachments || [],
+                        attachments: [],
+                        ...taxFieldsFromItem(item.tax)
                     })) || []
                 });
 
@@ -913,7 +1687,9 @@ export const ResubmitExpenditure = () => {
                 billNumber: '',
                 billDate: new Date().toISOString().split('T')[0],
                 description: '',
-                attachments: []
+                attachments: [],
+                currency: 'INR',
+                ...emptyTaxFields()
             }]
         }));
     };
@@ -927,7 +1703,7 @@ export const ResubmitExpenditure = () => {
         }
     };
 
-    const calculateTotal = () => formData.expenseItems.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+    const calculateTotal = () => formData.expenseItems.reduce((sum, item) => sum + toInr(item, exchangeRates), 0);
 
     const validateStep1 = () => {
         const errs = {};
@@ -970,9 +1746,11 @@ export const ResubmitExpenditure = () => {
                 category: item.category || 'MISCELLANEOUS',
                 vendorName: item.vendorName,
                 amount: item.amount,
+                currency: item.currency || 'INR',
                 billNumber: item.billNumber,
                 billDate: item.billDate || new Date().toISOString().split('T')[0],
                 description: item.description,
+                tax: buildTaxPayload(item),
                 fileCount: item.attachments?.length || 0
             }));
             submissionData.append('expenseItems', JSON.stringify(expenseItems));
@@ -983,8 +1761,9 @@ export const ResubmitExpenditure = () => {
                 });
             });
 
-            await expenditureAPI.resubmitExpenditure(id, submissionData);
-            navigate('/expenditures', { state: { message: 'Resubmitted successfully' } });
+            const response = await expenditureAPI.resubmitExpenditure(id, submissionData);
+            const message = response.data.data.amountMismatches ? response.data.message : 'Resubmitted successfully';
+            navigate('/expenditures', { state: { message } });
         } catch (err) {
             setError(err.response?.data?.message || 'Failed to resubmit');
         } finally {
@@ -1038,6 +1817,7 @@ export const ResubmitExpenditure = () => {
                             <button className="btn btn-outline btn-sm" onClick={addItem}><Plus size={16} /> Add</button>
                         </div>
                         {errors.budget && <div className="alert alert-danger mb-2">{errors.budget}</div>}
+                        <VendorOptions />
                         <div className="items-scroll" style={{ maxHeight: '400px', overflowY: 'auto' }}>
                             {formData.expenseItems.map((item, idx) => (
                                 <div key={idx} className="mb-4 p-3 border rounded">
@@ -1059,13 +1839,13 @@ export const ResubmitExpenditure = () => {
                                         </div>
                                         <div className="form-group">
                                             <label>Vendor</label>
-                                            <input type="text" name="vendorName" value={item.vendorName} onChange={(e) => handleItemChange(idx, e)} className={errors[`item_${idx}_vendor`] ? 'error' : ''} />
+                                            <input type="text" name="vendorName" list="vendor-options" value={item.vendorName} onChange={(e) => handleItemChange(idx, e)} className={errors[`item_${idx}_vendor`] ? 'error' : ''} />
                                         </div>
                                     </div>
                                     <div className="form-row">
                                         <div className="form-group">
                                             <label>Amount</label>
-                                            <input type="number" name="amount" value={item.amount} onChange={(e) => handleItemChange(idx, e)} className={errors[`item_${idx}_amount`] ? 'error' : ''} />
+                                            <CurrencyAmountInput item={item} rates={exchangeRates} onChange={(e) => handleItemChange(idx, e)} hasError={errors[`item_${idx}_amount`]} />
                                         </div>
                                         <div className="form-group">
                                             <label>Bill Number</label>
@@ -1078,6 +1858,25 @@ export const ResubmitExpenditure = () => {
                                             <input type="date" name="billDate" value={item.billDate} onChange={(e) => handleItemChange(idx, e)} className={errors[`item_${idx}_date`] ? 'error' : ''} />
                                         </div>
                                     </div>
+                                    <TaxFields item={item} onChange={(e) => handleItemChange(idx, e)} />
+                                    {item.originalAttachments?.length > 0 && (
+                                        <div className="form-group">
+                                            <label>Bills Reviewed</label>
+                                            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                                                {item.originalAttachments.map(attachment => (
+                                                    <button
+                                                        key={attachment._id}
+                                                        type="button"
+                                                        className="btn btn-outline btn-sm"
+                                                        onClick={() => setViewingAttachment(attachment)}
+                                                    >
+                                                        <Eye size={14} /> {attachment.originalName}
+                                                        {attachment.annotations?.length > 0 && ` (${attachment.annotations.length} notes)`}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                        </div>
+                                    )}
                                     <button className="btn btn-link text-danger p-0" onClick={() => removeItem(idx)}>Remove Item</button>
                                 </div>
                             ))}
@@ -1105,6 +1904,10 @@ export const ResubmitExpenditure = () => {
                     </div>
                 )}
             </div>
+
+            {viewingAttachment && (
+                <AttachmentViewer attachment={viewingAttachment} onClose={() => setViewingAttachment(null)} />
+            )}
         </div>
     );
 };
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { financialYearAPI } from '../services/api';
+import { financialYearAPI, departmentsAPI, budgetHeadsAPI } from '../services/api';
 import PageHeader from '../components/Common/PageHeader';
-import { Calendar, Lock, CheckCircle, RefreshCw, Plus, AlertCircle, TrendingUp, DollarSign } from 'lucide-react';
+import { Calendar, Lock, CheckCircle, RefreshCw, Plus, AlertCircle, TrendingUp, DollarSign, X } from 'lucide-react';
 import './FinancialYearManagement.scss';
 
 const FinancialYearManagement = () => {
@@ -10,12 +10,15 @@ const FinancialYearManagement = () => {
     const [error, setError] = useState(null);
     const [showCreateForm, setShowCreateForm] = useState(false);
     const [actionLoading, setActionLoading] = useState(null);
+    const [carryforwardWizard, setCarryforwardWizard] = useState(null);
+    const [poolForm, setPoolForm] = useState(null);
 
     const [newYear, setNewYear] = useState({
         year: '',
         startDate: '',
         endDate: '',
-        status: 'planning'
+        status: 'planning',
+        carryforwardAllowed: false
     });
 
     const user = JSON.parse(localStorage.getItem('user') || '{}');
@@ -44,7 +47,7 @@ const FinancialYearManagement = () => {
         try {
             setActionLoading('create');
             await financialYearAPI.createYear(newYear);
-            setNewYear({ year: '', startDate: '', endDate: '', status: 'planning' });
+            setNewYear({ year: '', startDate: '', endDate: '', status: 'planning', carryforwardAllowed: false });
             setShowCreateForm(false);
             fetchYears();
         } catch (err) {
@@ -72,18 +75,63 @@ const FinancialYearManagement = () => {
         }
     };
 
-    const handleCloseYear = async (id, year) => {
-        if (!window.confirm(`⚠️ CLOSE FINANCIAL YEAR ${year}?\n\nThis will:\n- Make all data READ-ONLY (irreversible)\n- Calculate final totals\n- Prevent ANY modifications\n\nProceed only if all expenditures are approved/rejected.`)) {
-            return;
+    // Closing opens the carry-forward wizard: decide per department/head what happens to unspent balances
+    const handleCloseYear = async (id) => {
+        try {
+            setActionLoading(id);
+            const response = await financialYearAPI.getCarryforwardPreview(id);
+            const plan = response.data.data;
+            const decisions = {};
+            plan.items.forEach(item => {
+                decisions[item.allocation] = item.suggestedDecision;
+            });
+            setCarryforwardWizard({ id, plan, decisions, remarks: '' });
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to prepare carry-forward');
+            console.error(err);
+        } finally {
+            setActionLoading(null);
         }
+    };
+
+    const setDecision = (allocationId, decision) => {
+        setCarryforwardWizard(prev => ({
+            ...prev,
+            decisions: { ...prev.decisions, [allocationId]: decision }
+        }));
+    };
 
-        const remarks = prompt('Enter closure remarks (optional):');
-        if (remarks === null) return;
+    const setAllDecisions = (decision) => {
+        setCarryforwardWizard(prev => ({
+            ...prev,
+            decisions: Object.fromEntries(Object.keys(prev.decisions).map(key => [key, decision]))
+        }));
+    };
+
+    const getDecisionTotals = () => {
+        const totals = { carry: 0, pool: 0, lapse: 0 };
+        carryforwardWizard.plan.items.forEach(item => {
+            totals[carryforwardWizard.decisions[item.allocation]] += item.unspentAmount;
+        });
+        return totals;
+    };
+
+    const handleConfirmClose = async () => {
+        const { id, plan, decisions, remarks } = carryforwardWizard;
+        const year = plan.financialYear.year;
+
+        if (!window.confirm(`⚠️ CLOSE FINANCIAL YEAR ${year}?\n\nThis will:\n- Apply the carry-forward decisions\n- Make all data READ-ONLY (irreversible)\n- Calculate final totals\n- Prevent ANY modifications`)) {
+            return;
+        }
 
         try {
             setActionLoading(id);
-            await financialYearAPI.closeYear(id, { remarks });
-            alert(`Financial year ${year} closed successfully. All data is now immutable.`);
+            const response = await financialYearAPI.closeYear(id, {
+                remarks,
+                carryforward: Object.entries(decisions).map(([allocation, decision]) => ({ allocation, decision }))
+            });
+            alert(response.data.message);
+            setCarryforwardWizard(null);
             fetchYears();
         } catch (err) {
             alert(err.response?.data?.message || 'Failed to close year');
@@ -93,6 +141,51 @@ const FinancialYearManagement = () => {
         }
     };
 
+    // Hand out part of the balance pooled into this year at the previous year's closure
+    const handleOpenPoolForm = async (year) => {
+        try {
+            setActionLoading(year._id);
+            const [departmentsResponse, budgetHeadsResponse] = await Promise.all([
+                departmentsAPI.getDepartments(),
+                budgetHeadsAPI.getBudgetHeads({ isActive: true })
+            ]);
+            setPoolForm({
+                id: year._id,
+                year: year.year,
+                pool: year.pooledCarryforward,
+                departments: departmentsResponse.data.data.departments || [],
+                budgetHeads: budgetHeadsResponse.data.data.budgetHeads || [],
+                department: '',
+                budgetHead: '',
+                amount: '',
+                remarks: ''
+            });
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to load departments and budget heads');
+            console.error(err);
+        } finally {
+            setActionLoading(null);
+        }
+    };
+
+    const handleAllocateFromPool = async (e) => {
+        e.preventDefault();
+        const { id, department, budgetHead, amount, remarks } = poolForm;
+
+        try {
+            setActionLoading(id);
+            const response = await financialYearAPI.allocateFromPool(id, { department, budgetHead, amount, remarks });
+            alert(response.data.message);
+            setPoolForm(null);
+            fetchYears();
+        } catch (err) {
+            alert(err.response?.data?.message || 'Failed to allocate pooled funds');
+            console.error(err);
+        } finally {
+            setActionLoading(null);
+        }
+    };
+
     const handleRecalculate = async (id, year) => {
         if (!window.confirm(`Recalculate totals for ${year}? This will sync income, allocation, and expenditure totals.`)) {
             return;
@@ -207,6 +300,16 @@ const FinancialYearManagement = () => {
                                     required
                                 />
                             </div>
+                            <div className="form-group checkbox-group">
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        checked={newYear.carryforwardAllowed}
+                                        onChange={(e) => setNewYear({ ...newYear, carryforwardAllowed: e.target.checked })}
+                                    />
+                                    Allow carry-forward of unspent balances at year end
+                                </label>
+                            </div>
                             <div className="form-group">
                                 <label>Initial Status</label>
                                 <select
@@ -268,6 +371,18 @@ const FinancialYearManagement = () => {
                                     <span className="stat-value">₹{year.carryforwardAmount?.toLocaleString('en-IN') || '0'}</span>
                                 </div>
                             )}
+                            {year.status === 'closed' && year.carryforwardSummary?.lapsed > 0 && (
+                                <div className="stat-row">
+                                    <span className="stat-label">Lapsed:</span>
+                                    <span className="stat-value">₹{year.carryforwardSummary.lapsed.toLocaleString('en-IN')}</span>
+                                </div>
+                            )}
+                            {year.pooledCarryforward > 0 && (
+                                <div className="stat-row highlight">
+                                    <span className="stat-label">Pooled from Previous Year:</span>
+                                    <span className="stat-value">₹{year.pooledCarryforward.toLocaleString('en-IN')}</span>
+                                </div>
+                            )}
                         </div>
 
                         {(year.lockedBy || year.closedBy) && (
@@ -291,6 +406,16 @@ const FinancialYearManagement = () => {
                             <div className="year-actions">
                                 {(year.status === 'planning' || year.status === 'active') && (
                                     <>
+                                        {year.pooledCarryforward > 0 && (
+                                            <button
+                                                className="btn btn-sm btn-primary"
+                                                onClick={() => handleOpenPoolForm(year)}
+                                                disabled={actionLoading === year._id}
+                                            >
+                                                <DollarSign size={16} />
+                                                Allocate Pool
+                                            </button>
+                                        )}
                                         <button
                                             className="btn btn-sm btn-secondary"
                                             onClick={() => handleRecalculate(year._id, year.year)}
@@ -321,7 +446,7 @@ const FinancialYearManagement = () => {
                                         </button>
                                         <button
                                             className="btn btn-sm btn-danger"
-                                            onClick={() => handleCloseYear(year._id, year.year)}
+                                            onClick={() => handleCloseYear(year._id)}
                                             disabled={actionLoading === year._id}
                                         >
                                             <CheckCircle size={16} />
@@ -349,6 +474,209 @@ const FinancialYearManagement = () => {
                     </div>
                 )}
             </div>
+
+            {poolForm && (
+                <div className="carryforward-overlay">
+                    <div className="carryforward-modal">
+                        <div className="carryforward-header">
+                            <div>
+                                <h3>Allocate {poolForm.year} Pool</h3>
+                                <p>
+                                    ₹{poolForm.pool.toLocaleString('en-IN')} was pooled from the previous year. The amount
+                                    is added to the existing allocation for the department and head, or becomes a new one.
+                                </p>
+                            </div>
+                            <button className="btn-close" onClick={() => setPoolForm(null)}>
+                                <X size={20} />
+                            </button>
+                        </div>
+
+                        <form onSubmit={handleAllocateFromPool}>
+                            <div className="form-row">
+                                <div className="form-group">
+                                    <label>Department</label>
+                                    <select
+                                        value={poolForm.department}
+                                        onChange={(e) => setPoolForm(prev => ({ ...prev, department: e.target.value }))}
+                                        required
+                                    >
+                                        <option value="">Select department</option>
+                                        {poolForm.departments.map(department => (
+                                            <option key={department._id} value={department._id}>{department.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label>Budget Head</label>
+                                    <select
+                                        value={poolForm.budgetHead}
+                                        onChange={(e) => setPoolForm(prev => ({ ...prev, budgetHead: e.target.value }))}
+                                        required
+                                    >
+                                        <option value="">Select budget head</option>
+                                        {poolForm.budgetHeads.map(head => (
+                                            <option key={head._id} value={head._id}>{head.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label>Amount (₹)</label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        max={poolForm.pool}
+                                        value={poolForm.amount}
+                                        onChange={(e) => setPoolForm(prev => ({ ...prev, amount: e.target.value }))}
+                                        required
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="form-group">
+                                <label>Remarks</label>
+                                <input
+                                    type="text"
+                                    value={poolForm.remarks}
+                                    onChange={(e) => setPoolForm(prev => ({ ...prev, remarks: e.target.value }))}
+                                    placeholder="Optional"
+                                />
+                            </div>
+
+                            <div className="year-actions">
+                                <button type="button" className="btn btn-sm btn-secondary" onClick={() => setPoolForm(null)}>
+                                    Cancel
+                                </button>
+                                <button type="submit" className="btn btn-sm btn-primary" disabled={actionLoading === poolForm.id}>
+                                    <DollarSign size={16} />
+                                    Allocate
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            {carryforwardWizard && (() => {
+                const { plan, decisions } = carryforwardWizard;
+                const totals = getDecisionTotals();
+                const needsNextYear = totals.carry + totals.pool > 0 && !plan.nextFinancialYear;
+
+                return (
+                    <div className="carryforward-overlay">
+                        <div className="carryforward-modal">
+                            <div className="carryforward-header">
+                                <div>
+                                    <h3>Close {plan.financialYear.year}: Carry-forward</h3>
+                                    <p>
+                                        Decide what happens to each unspent balance. Carried balances become allocations
+                                        for the same department and head in {plan.nextYear}; pooled balances go to the {plan.nextYear}
+                                        central pool; lapsed balances are returned.
+                                    </p>
+                                </div>
+                                <button className="btn-close" onClick={() => setCarryforwardWizard(null)}>
+                                    <X size={20} />
+                                </button>
+                            </div>
+
+                            {!plan.carryforwardAllowed && (
+                                <div className="info-message">
+                                    <AlertCircle size={20} />
+                                    Carry-forward is not allowed for {plan.financialYear.year}. All unspent balances will lapse.
+                                </div>
+                            )}
+
+                            {needsNextYear && (
+                                <div className="error-message">
+                                    <AlertCircle size={20} />
+                                    Create financial year {plan.nextYear} before carrying or pooling funds.
+                                </div>
+                            )}
+
+                            {plan.items.length === 0 ? (
+                                <p className="carryforward-empty">Every allocation is fully spent. Nothing to carry forward.</p>
+                            ) : (
+                                <>
+                                    {plan.carryforwardAllowed && (
+                                        <div className="carryforward-bulk">
+                                            <span>Set all to:</span>
+                                            <button className="btn btn-sm btn-secondary" onClick={() => setAllDecisions('carry')}>Carry</button>
+                                            <button className="btn btn-sm btn-secondary" onClick={() => setAllDecisions('pool')}>Pool</button>
+                                            <button className="btn btn-sm btn-secondary" onClick={() => setAllDecisions('lapse')}>Lapse</button>
+                                        </div>
+                                    )}
+                                    <div className="carryforward-table-wrapper">
+                                        <table className="carryforward-table">
+                                            <thead>
+                                                <tr>
+                                                    <th>Department</th>
+                                                    <th>Budget Head</th>
+                                                    <th>Allocated</th>
+                                                    <th>Spent</th>
+                                                    <th>Unspent</th>
+                                                    <th>Decision</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {plan.items.map(item => (
+                                                    <tr key={item.allocation}>
+                                                        <td>{item.department?.name}</td>
+                                                        <td>{item.budgetHead?.name}</td>
+                                                        <td>₹{item.allocatedAmount.toLocaleString('en-IN')}</td>
+                                                        <td>₹{item.spentAmount.toLocaleString('en-IN')}</td>
+                                                        <td><strong>₹{item.unspentAmount.toLocaleString('en-IN')}</strong></td>
+                                                        <td>
+                                                            <select
+                                                                value={decisions[item.allocation]}
+                                                                onChange={(e) => setDecision(item.allocation, e.target.value)}
+                                                                disabled={!plan.carryforwardAllowed}
+                                                            >
+                                                                <option value="carry">
+                                                                    Carry {item.nextAllocation ? '(add to existing)' : '(new allocation)'}
+                                                                </option>
+                                                                <option value="pool">Pool</option>
+                                                                <option value="lapse">Lapse</option>
+                                                            </select>
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                    <div className="carryforward-totals">
+                                        <span>Carry: <strong>₹{totals.carry.toLocaleString('en-IN')}</strong></span>
+                                        <span>Pool: <strong>₹{totals.pool.toLocaleString('en-IN')}</strong></span>
+                                        <span>Lapse: <strong>₹{totals.lapse.toLocaleString('en-IN')}</strong></span>
+                                    </div>
+                                </>
+                            )}
+
+                            <div className="form-group">
+                                <label>Closure Remarks</label>
+                                <input
+                                    type="text"
+                                    value={carryforwardWizard.remarks}
+                                    onChange={(e) => setCarryforwardWizard(prev => ({ ...prev, remarks: e.target.value }))}
+                                    placeholder="Optional"
+                                />
+                            </div>
+
+                            <div className="year-actions">
+                                <button className="btn btn-sm btn-secondary" onClick={() => setCarryforwardWizard(null)}>
+                                    Cancel
+                                </button>
+                                <button
+                                    className="btn btn-sm btn-danger"
+                                    onClick={handleConfirmClose}
+                                    disabled={needsNextYear || actionLoading === carryforwardWizard.id}
+                                >
+                                    <CheckCircle size={16} />
+                                    Close Year
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                );
+            })()}
         </div>
     );
 };
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useParams } from 'react-router-dom';
-import { incomeAPI, financialYearAPI } from '../services/api';
+import { incomeAPI, financialYearAPI, exchangeRateAPI } from '../services/api';
 import PageHeader from '../components/Common/PageHeader';
 import Tooltip from '../components/Tooltip/Tooltip';
 import {
@@ -289,7 +289,12 @@ export const IncomeReceipts = () => {
                                             {income.description}
                                         </div>
                                     </td>
-                                    <td className="amount">₹{income.amount?.toLocaleString('en-IN') || '0'}</td>
+                                    <td className="amount">
+                                        ₹{income.amount?.toLocaleString('en-IN') || '0'}
+                                        {income.currency && income.currency !== 'INR' && (
+                                            <div className="foreign-amount">{income.currency} {income.foreignAmount?.toLocaleString('en-IN')} @ ₹{income.exchangeRate}</div>
+                                        )}
+                                    </td>
                                     <td>
                                         <span className={`category-badge category-${income.category}`}>
                                             {income.category}
@@ -354,11 +359,13 @@ export const IncomeForm = () => {
     const [loading, setLoading] = useState(false);
     const [fetching, setFetching] = useState(isEditMode);
     const [error, setError] = useState(null);
+    const [currencies, setCurrencies] = useState([]);
     const [formData, setFormData] = useState({
         financialYear: '',
         source: '',
         category: 'recurring',
         amount: '',
+        currency: 'INR',
         expectedDate: '',
         receivedDate: '',
         status: 'expected',
@@ -384,6 +391,9 @@ export const IncomeForm = () => {
 
     useEffect(() => {
         fetchFinancialYears();
+        exchangeRateAPI.getCurrentRates()
+            .then(response => setCurrencies(Object.keys(response.data.data.rates || {})))
+            .catch(err => console.error('Error fetching exchange rates:', err));
         if (isEditMode) {
             fetchIncome();
         }
@@ -417,7 +427,9 @@ export const IncomeForm = () => {
                 financialYear: income.financialYear || '',
                 source: income.source || '',
                 category: income.category || 'recurring',
-                amount: income.amount?.toString() || '',
+                // Foreign receipts are edited in their own currency; the server re-derives the INR value
+                amount: (income.currency && income.currency !== 'INR' ? income.foreignAmount : income.amount)?.toString() || '',
+                currency: income.currency || 'INR',
                 expectedDate: income.expectedDate ? income.expectedDate.split('T')[0] : '',
                 receivedDate: income.receivedDate ? income.receivedDate.split('T')[0] : '',
                 status: income.status || 'expected',
@@ -592,8 +604,20 @@ export const IncomeForm = () => {
                                         step="0.01"
                                         placeholder="Enter amount"
                                     />
-                                    <IndianRupee size={16} className="lucide-indian-rupee" />
+                                    {formData.currency === 'INR' && <IndianRupee size={16} className="lucide-indian-rupee" />}
+                                    <select
+                                        name="currency"
+                                        value={formData.currency}
+                                        onChange={handleInputChange}
+                                        className="currency-select"
+                                    >
+                                        <option value="INR">INR</option>
+                                        {currencies.map(code => <option key={code} value={code}>{code}</option>)}
+                                    </select>
                                 </div>
+                                {formData.currency !== 'INR' && (
+                                    <small className="form-hint">Booked in INR at the {formData.currency} rate on the received (or expected) date</small>
+                                )}
                             </div>
 
                             <div className="form-group">
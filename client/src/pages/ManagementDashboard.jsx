@@ -27,7 +27,8 @@ import {
     PieChart,
     BarChart3,
     ChevronRight,
-    ClipboardList
+    ClipboardList,
+    ShoppingCart
 } from 'lucide-react';
 import './ManagementDashboard.scss';
 
@@ -195,6 +196,7 @@ const ManagementDashboard = () => {
         totalAllocated = 0,
         totalUtilized = 0,
         totalPending = 0,
+        totalCommitted = 0,
         remainingBalance = 0,
         utilizationPercentage = 0
     } = dashboardData || {};
@@ -222,17 +224,23 @@ const ManagementDashboard = () => {
                     tooltipText="Only Office-sanctioned Phase 2 expenditures"
                 />
                 <StatCard
-                    title="Pending Commitments"
+                    title="Pending Sanction"
                     value={formatCurrency(totalPending)}
                     icon={<Clock size={24} />}
                     isPending={true}
                     tooltipText="Expenditures awaiting final office sanction"
                 />
                 <StatCard
-                    title="Remaining Budget"
+                    title="PO Commitments"
+                    value={formatCurrency(totalCommitted)}
+                    icon={<ShoppingCart size={24} />}
+                    tooltipText="Reserved by open purchase orders and not yet billed"
+                />
+                <StatCard
+                    title="Available Budget"
                     value={formatCurrency(remainingBalance)}
                     icon={<CreditCard size={24} />}
-                    tooltipText="Sanctioned Budget minus Finalized Spent"
+                    tooltipText="Sanctioned Budget minus Finalized Spent and PO Commitments"
                 />
                 <div className={`utilization-meter-card ${utilizationPercentage > 90 ? 'critical' : utilizationPercentage > 75 ? 'warning' : 'healthy'}`}>
                     <div className="label">Overall Utilization</div>
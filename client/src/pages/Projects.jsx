@@ -0,0 +1,400 @@
+import { useState, useEffect, useCallback } from 'react';
+import { projectAPI, departmentsAPI, usersAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import PageHeader from '../components/Common/PageHeader';
+import { FolderKanban, Save, Edit, Trash2, Search } from 'lucide-react';
+import './Settings.scss';
+import './Delegations.scss';
+import './Vendors.scss';
+import './Projects.scss';
+
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+
+// April-March, as on the server
+const getCurrentFinancialYear = () => {
+  const today = new Date();
+  const year = today.getFullYear();
+  return today.getMonth() + 1 >= 4 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
+};
+
+const emptyForm = () => ({
+  name: '',
+  code: '',
+  type: 'project',
+  description: '',
+  principalInvestigator: '',
+  memberDepartments: [],
+  financialYear: getCurrentFinancialYear(),
+  budget: '',
+  startDate: '',
+  endDate: '',
+  status: 'active'
+});
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const Projects = () => {
+  const { user } = useAuth();
+  const canManage = ['admin', 'office', 'principal'].includes(user?.role);
+  const [projects, setProjects] = useState([]);
+  const [departments, setDepartments] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [formData, setFormData] = useState(emptyForm());
+  const [editingId, setEditingId] = useState(null);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const fetchProjects = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await projectAPI.getProjects(search ? { search } : {});
+      setProjects(response.data.data.projects || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch projects');
+      console.error('Error fetching projects:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [search]);
+
+  useEffect(() => {
+    fetchProjects();
+  }, [fetchProjects]);
+
+  useEffect(() => {
+    if (!canManage) return;
+    Promise.all([departmentsAPI.getDepartments(), usersAPI.getUsers({ limit: 1000 })])
+      .then(([departmentsResponse, usersResponse]) => {
+        setDepartments(departmentsResponse.data.data.departments || []);
+        setUsers((usersResponse.data.data.users || []).filter(item => item.isActive));
+      })
+      .catch(err => console.error('Error fetching project options:', err));
+  }, [canManage]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleMemberToggle = (departmentId) => {
+    setFormData(prev => ({
+      ...prev,
+      memberDepartments: prev.memberDepartments.includes(departmentId)
+        ? prev.memberDepartments.filter(id => id !== departmentId)
+        : [...prev.memberDepartments, departmentId]
+    }));
+  };
+
+  const handleEdit = (project) => {
+    setEditingId(project._id);
+    setFormData({
+      name: project.name || '',
+      code: project.code || '',
+      type: project.type || 'project',
+      description: project.description || '',
+      principalInvestigator: project.principalInvestigator?._id || '',
+      memberDepartments: (project.memberDepartments || []).map(department => department._id),
+      financialYear: project.financialYear || getCurrentFinancialYear(),
+      budget: project.budget ?? '',
+      startDate: toDateInput(project.startDate),
+      endDate: toDateInput(project.endDate),
+      status: project.status || 'active'
+    });
+    setSuccess(null);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setFormData(emptyForm());
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.memberDepartments.length === 0) {
+      setError('Select at least one member department');
+      return;
+    }
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const payload = {
+        ...formData,
+        budget: parseFloat(formData.budget) || 0,
+        startDate: formData.startDate || null,
+        endDate: formData.endDate || null
+      };
+      const response = editingId
+        ? await projectAPI.updateProject(editingId, payload)
+        : await projectAPI.createProject(payload);
+      setSuccess(response.data.message);
+      handleCancelEdit();
+      fetchProjects();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save project');
+      console.error('Error saving project:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (project) => {
+    if (!window.confirm(`Delete ${project.code}? This cannot be undone.`)) return;
+
+    try {
+      setError(null);
+      const response = await projectAPI.deleteProject(project._id);
+      setSuccess(response.data.message);
+      fetchProjects();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete project');
+      console.error('Error deleting project:', err);
+    }
+  };
+
+  return (
+    <div className="settings-container delegations-container vendors-container projects-container">
+      <PageHeader
+        title="Projects & Cost Centres"
+        subtitle="Budgets shared by several departments, charged through split expenditures"
+      />
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message">
+          {success}
+        </div>
+      )}
+
+      {canManage && (
+        <div className="settings-panel">
+          <div className="panel-header">
+            <h2><FolderKanban size={20} /> {editingId ? 'Edit Project' : 'New Project'}</h2>
+          </div>
+
+          <form onSubmit={handleSubmit} className="settings-form">
+            <div className="form-section">
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Name</label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    className="form-input"
+                    maxLength={200}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Code</label>
+                  <input
+                    type="text"
+                    name="code"
+                    value={formData.code}
+                    onChange={(e) => setFormData(prev => ({ ...prev, code: e.target.value.toUpperCase() }))}
+                    className="form-input"
+                    placeholder="e.g., DST-SERB-2024"
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Type</label>
+                  <select name="type" value={formData.type} onChange={handleChange} className="form-input">
+                    <option value="project">Research Project</option>
+                    <option value="cost_centre">Cost Centre</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Principal Investigator</label>
+                  <select
+                    name="principalInvestigator"
+                    value={formData.principalInvestigator}
+                    onChange={handleChange}
+                    className="form-input"
+                    required
+                  >
+                    <option value="">Select a person</option>
+                    {users.map(item => (
+                      <option key={item._id} value={item._id}>{item.name} ({item.role})</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Financial Year</label>
+                  <input
+                    type="text"
+                    name="financialYear"
+                    value={formData.financialYear}
+                    onChange={handleChange}
+                    className="form-input"
+                    pattern="\d{4}-\d{4}"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Budget (₹)</label>
+                  <input
+                    type="number"
+                    name="budget"
+                    value={formData.budget}
+                    onChange={handleChange}
+                    className="form-input"
+                    min="0"
+                    step="0.01"
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Start Date</label>
+                  <input type="date" name="startDate" value={formData.startDate} onChange={handleChange} className="form-input" />
+                </div>
+                <div className="form-group">
+                  <label>End Date</label>
+                  <input type="date" name="endDate" value={formData.endDate} onChange={handleChange} className="form-input" />
+                </div>
+                {editingId && (
+                  <div className="form-group">
+                    <label>Status</label>
+                    <select name="status" value={formData.status} onChange={handleChange} className="form-input">
+                      <option value="active">Active</option>
+                      <option value="completed">Completed</option>
+                      <option value="closed">Closed</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              <div className="form-group">
+                <label>Member Departments</label>
+                <div className="project-members">
+                  {departments.map(department => (
+                    <label key={department._id} className="project-member">
+                      <input
+                        type="checkbox"
+                        checked={formData.memberDepartments.includes(department._id)}
+                        onChange={() => handleMemberToggle(department._id)}
+                      />
+                      {department.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Description</label>
+                <input
+                  type="text"
+                  name="description"
+                  value={formData.description}
+                  onChange={handleChange}
+                  className="form-input"
+                />
+              </div>
+            </div>
+
+            <div className="form-actions">
+              {editingId && (
+                <button type="button" className="btn btn-secondary" onClick={handleCancelEdit}>
+                  Cancel
+                </button>
+              )}
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                <Save size={16} /> {saving ? 'Saving...' : editingId ? 'Update Project' : 'Create Project'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="settings-panel">
+        <div className="panel-header vendor-list-header">
+          <h2><FolderKanban size={18} /> Projects</h2>
+          <div className="vendor-search">
+            <Search size={16} />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="form-input"
+              placeholder="Search name or code"
+            />
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading projects...</div>
+        ) : projects.length === 0 ? (
+          <p className="empty-state">No projects to show.</p>
+        ) : (
+          <table className="delegation-table">
+            <thead>
+              <tr>
+                <th>Project</th>
+                <th>Principal Investigator</th>
+                <th>Member Departments</th>
+                <th>Budget</th>
+                <th>Spent</th>
+                <th>Status</th>
+                {canManage && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {projects.map(project => (
+                <tr key={project._id}>
+                  <td>
+                    {project.name}
+                    <span className="role-label">{project.code} · {project.type === 'cost_centre' ? 'Cost centre' : 'Project'} · {project.financialYear}</span>
+                  </td>
+                  <td>{project.principalInvestigator?.name || '-'}</td>
+                  <td>{(project.memberDepartments || []).map(department => department.name).join(', ')}</td>
+                  <td>{formatAmount(project.budget)}</td>
+                  <td>
+                    {formatAmount(project.spentAmount)}
+                    <span className="role-label">{project.utilization}% used, {formatAmount(project.availableAmount)} left</span>
+                  </td>
+                  <td>
+                    <span className={`delegation-status ${project.status === 'active' ? 'active' : 'revoked'}`}>
+                      {project.status.charAt(0).toUpperCase() + project.status.slice(1)}
+                    </span>
+                  </td>
+                  {canManage && (
+                    <td className="vendor-actions">
+                      <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleEdit(project)}>
+                        <Edit size={14} /> Edit
+                      </button>
+                      <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleDelete(project)}>
+                        <Trash2 size={14} /> Delete
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Projects;
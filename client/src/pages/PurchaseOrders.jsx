@@ -0,0 +1,585 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { purchaseOrderAPI, allocationAPI, vendorAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import PageHeader from '../components/Common/PageHeader';
+import { ShoppingCart, Plus, Trash2, Send, PackageCheck, Receipt, XCircle, ChevronDown, ChevronUp } from 'lucide-react';
+import './Settings.scss';
+import './Delegations.scss';
+import './Reappropriations.scss';
+import './PurchaseOrders.scss';
+
+const MANAGER_ROLES = ['office', 'hod', 'admin'];
+const OPEN_STATUSES = ['OPEN', 'PARTIALLY_RECEIVED', 'RECEIVED'];
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'All Statuses' },
+  { value: 'open', label: 'Open (holding commitment)' },
+  { value: 'OPEN', label: 'Open' },
+  { value: 'PARTIALLY_RECEIVED', label: 'Partially Received' },
+  { value: 'RECEIVED', label: 'Received' },
+  { value: 'CLOSED', label: 'Closed' },
+  { value: 'CANCELLED', label: 'Cancelled' }
+];
+
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+const available = (allocation) => allocation.allocatedAmount - allocation.spentAmount - (allocation.committedAmount || 0);
+
+const emptyItem = () => ({ description: '', quantity: 1, unitPrice: '' });
+
+const emptyForm = () => ({
+  allocation: '',
+  vendor: '',
+  description: '',
+  items: [emptyItem()]
+});
+
+const emptyBill = () => ({
+  billNumber: '',
+  billDate: new Date().toISOString().split('T')[0],
+  amount: '',
+  description: '',
+  file: null
+});
+
+const PurchaseOrders = () => {
+  const { user } = useAuth();
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [allocations, setAllocations] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [formData, setFormData] = useState(emptyForm());
+  const [expandedId, setExpandedId] = useState(null);
+  const [receipt, setReceipt] = useState({});
+  const [bill, setBill] = useState(emptyBill());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const canManage = MANAGER_ROLES.includes(user?.role);
+
+  const fetchPurchaseOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await purchaseOrderAPI.getPurchaseOrders({ status: statusFilter, limit: 100 });
+      setPurchaseOrders(response.data.data.purchaseOrders || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch purchase orders');
+      console.error('Error fetching purchase orders:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  const fetchAllocations = useCallback(async () => {
+    try {
+      const response = await allocationAPI.getAllocations({ limit: 1000 });
+      setAllocations(response.data.data.allocations || []);
+    } catch (err) {
+      console.error('Error fetching allocations:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPurchaseOrders();
+  }, [fetchPurchaseOrders]);
+
+  useEffect(() => {
+    if (canManage) {
+      fetchAllocations();
+      vendorAPI.getVendors({ blocked: 'false' })
+        .then(response => setVendors(response.data.data.vendors || []))
+        .catch(err => console.error('Error fetching vendors:', err));
+    }
+  }, [canManage, fetchAllocations]);
+
+  const refresh = () => {
+    fetchPurchaseOrders();
+    if (canManage) fetchAllocations();
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleItemChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }));
+  };
+
+  const addItem = () => setFormData(prev => ({ ...prev, items: [...prev.items, emptyItem()] }));
+  const removeItem = (index) => setFormData(prev => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }));
+
+  const orderTotal = formData.items.reduce((sum, item) => sum + (Number(item.quantity) || 0) * (Number(item.unitPrice) || 0), 0);
+  const selectedAllocation = allocations.find(item => item._id === formData.allocation);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!selectedAllocation) return;
+
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const response = await purchaseOrderAPI.createPurchaseOrder({
+        department: selectedAllocation.department?._id,
+        budgetHead: selectedAllocation.budgetHead?._id,
+        financialYear: selectedAllocation.financialYear,
+        vendor: formData.vendor,
+        description: formData.description,
+        items: formData.items
+      });
+      setSuccess(response.data.message);
+      setFormData(emptyForm());
+      refresh();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to raise purchase order');
+      console.error('Error raising purchase order:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleExpanded = (id) => {
+    setExpandedId(prev => (prev === id ? null : id));
+    setReceipt({});
+    setBill(emptyBill());
+  };
+
+  const handleReceipt = async (order) => {
+    try {
+      setError(null);
+      const items = Object.entries(receipt).map(([item, quantity]) => ({ item, quantity: Number(quantity) }));
+      const response = await purchaseOrderAPI.recordReceipt(order._id, { items });
+      setSuccess(response.data.message);
+      setReceipt({});
+      fetchPurchaseOrders();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to record receipt');
+      console.error('Error recording receipt:', err);
+    }
+  };
+
+  const handleBill = async (order) => {
+    try {
+      setError(null);
+      const payload = new FormData();
+      payload.append('billNumber', bill.billNumber);
+      payload.append('billDate', bill.billDate);
+      payload.append('amount', bill.amount);
+      payload.append('description', bill.description);
+      if (bill.file) payload.append('attachments', bill.file);
+
+      const response = await purchaseOrderAPI.createBill(order._id, payload);
+      setSuccess(response.data.message);
+      setBill(emptyBill());
+      fetchPurchaseOrders();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to submit bill');
+      console.error('Error submitting bill:', err);
+    }
+  };
+
+  const handleClose = async (order) => {
+    const reason = window.prompt(`Reason for closing ${order.poNumber}? Its remaining commitment of ${formatAmount(order.committedAmount)} will be released.`);
+    if (!reason) return;
+
+    try {
+      setError(null);
+      const response = await purchaseOrderAPI.closePurchaseOrder(order._id, { reason });
+      setSuccess(response.data.message);
+      refresh();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to close purchase order');
+      console.error('Error closing purchase order:', err);
+    }
+  };
+
+  const renderDetails = (order) => {
+    const isOpen = OPEN_STATUSES.includes(order.status);
+    const canReceive = canManage && ['OPEN', 'PARTIALLY_RECEIVED'].includes(order.status);
+    const unbilled = order.totalAmount - (order.expenditures || [])
+      .filter(expenditure => expenditure.status !== 'REJECTED')
+      .reduce((sum, expenditure) => sum + expenditure.totalAmount, 0);
+
+    return (
+      <div className="po-details">
+        <table className="delegation-table">
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>Ordered</th>
+              <th>Unit Price</th>
+              <th>Amount</th>
+              <th>Received</th>
+              {canReceive && <th>Receive Now</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {order.items.map(item => (
+              <tr key={item._id}>
+                <td>{item.description}</td>
+                <td>{item.quantity}</td>
+                <td>{formatAmount(item.unitPrice)}</td>
+                <td>{formatAmount(item.amount)}</td>
+                <td>{item.receivedQuantity} / {item.quantity}</td>
+                {canReceive && (
+                  <td>
+                    <input
+                      type="number"
+                      className="form-input po-qty-input"
+                      min="0"
+                      max={item.quantity - item.receivedQuantity}
+                      value={receipt[item._id] || ''}
+                      onChange={(e) => setReceipt(prev => ({ ...prev, [item._id]: e.target.value }))}
+                      disabled={item.receivedQuantity >= item.quantity}
+                    />
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {canReceive && (
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleReceipt(order)}>
+              <PackageCheck size={14} /> Record Receipt
+            </button>
+          </div>
+        )}
+
+        <h4><Receipt size={16} /> Bills</h4>
+        {(order.expenditures || []).length === 0 ? (
+          <p className="empty-state">No bills yet.</p>
+        ) : (
+          <table className="delegation-table">
+            <thead>
+              <tr>
+                <th>Bill</th>
+                <th>Transaction</th>
+                <th>Amount</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {order.expenditures.map(expenditure => (
+                <tr key={expenditure._id}>
+                  <td>
+                    {expenditure.expenseItems?.[0]?.billNumber}
+                    <span className="role-label">{formatDate(expenditure.expenseItems?.[0]?.billDate || expenditure.createdAt)}</span>
+                  </td>
+                  <td>{expenditure.transactionId}</td>
+                  <td>{formatAmount(expenditure.totalAmount)}</td>
+                  <td>{expenditure.status.replace('_', ' ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {canManage && isOpen && unbilled > 0 && (
+          <div className="form-section po-bill-form">
+            <div className="form-row">
+              <div className="form-group">
+                <label>Bill Number</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={bill.billNumber}
+                  onChange={(e) => setBill(prev => ({ ...prev, billNumber: e.target.value }))}
+                />
+              </div>
+              <div className="form-group">
+                <label>Bill Date</label>
+                <input
+                  type="date"
+                  className="form-input"
+                  value={bill.billDate}
+                  onChange={(e) => setBill(prev => ({ ...prev, billDate: e.target.value }))}
+                />
+              </div>
+              <div className="form-group">
+                <label>Amount (₹, up to {formatAmount(unbilled)})</label>
+                <input
+                  type="number"
+                  className="form-input"
+                  min="1"
+                  max={unbilled}
+                  value={bill.amount}
+                  onChange={(e) => setBill(prev => ({ ...prev, amount: e.target.value }))}
+                />
+              </div>
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label>Notes</label>
+                <input
+                  type="text"
+                  className="form-input"
+                  value={bill.description}
+                  onChange={(e) => setBill(prev => ({ ...prev, description: e.target.value }))}
+                />
+              </div>
+              <div className="form-group">
+                <label>Bill Copy</label>
+                <input
+                  type="file"
+                  className="form-input"
+                  accept=".pdf,.jpg,.jpeg,.png"
+                  onChange={(e) => setBill(prev => ({ ...prev, file: e.target.files[0] || null }))}
+                />
+              </div>
+            </div>
+            <div className="form-actions">
+              <button
+                type="button"
+                className="btn btn-primary btn-sm"
+                onClick={() => handleBill(order)}
+                disabled={!bill.billNumber || !bill.amount || !bill.file}
+              >
+                <Send size={14} /> Submit Bill for Approval
+              </button>
+            </div>
+          </div>
+        )}
+
+        {canManage && isOpen && (
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleClose(order)}>
+              <XCircle size={14} /> Close Order
+            </button>
+          </div>
+        )}
+
+        {order.closeReason && (
+          <p className="empty-state">
+            {order.status === 'CANCELLED' ? 'Cancelled' : 'Closed'} {order.closedAt ? `on ${formatDate(order.closedAt)}` : ''}: {order.closeReason}
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="settings-container delegations-container reappropriations-container purchase-orders-container">
+      <PageHeader
+        title="Purchase Orders"
+        subtitle="Commit budget to vendors ahead of billing; bills become expenditures"
+      />
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message">
+          {success}
+        </div>
+      )}
+
+      {canManage && (
+        <div className="settings-panel">
+          <div className="panel-header">
+            <h2><ShoppingCart size={20} /> Raise a Purchase Order</h2>
+          </div>
+
+          <form onSubmit={handleSubmit} className="settings-form">
+            <div className="form-section">
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Budget Line</label>
+                  <select
+                    name="allocation"
+                    value={formData.allocation}
+                    onChange={handleChange}
+                    className="form-select"
+                    required
+                  >
+                    <option value="">Select allocation to commit against</option>
+                    {allocations.filter(item => available(item) > 0).map(item => (
+                      <option key={item._id} value={item._id}>
+                        {item.department?.name} - {item.budgetHead?.name} ({item.financialYear}, {formatAmount(available(item))} available)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Vendor</label>
+                  <select
+                    name="vendor"
+                    value={formData.vendor}
+                    onChange={handleChange}
+                    className="form-select"
+                    required
+                  >
+                    <option value="">Select vendor</option>
+                    {vendors.map(vendor => (
+                      <option key={vendor._id} value={vendor._id}>
+                        {vendor.name}{vendor.gstin ? ` (${vendor.gstin})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Description</label>
+                <input
+                  type="text"
+                  name="description"
+                  value={formData.description}
+                  onChange={handleChange}
+                  className="form-input"
+                  maxLength={500}
+                />
+              </div>
+
+              {formData.items.map((item, index) => (
+                <div key={index} className="form-row po-item-row">
+                  <div className="form-group">
+                    <label>Item</label>
+                    <input
+                      type="text"
+                      value={item.description}
+                      onChange={(e) => handleItemChange(index, 'description', e.target.value)}
+                      className="form-input"
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Qty</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={item.quantity}
+                      onChange={(e) => handleItemChange(index, 'quantity', e.target.value)}
+                      className="form-input"
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Unit Price (₹)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={item.unitPrice}
+                      onChange={(e) => handleItemChange(index, 'unitPrice', e.target.value)}
+                      className="form-input"
+                      required
+                    />
+                  </div>
+                  {formData.items.length > 1 && (
+                    <button type="button" className="btn-icon reject" title="Remove item" onClick={() => removeItem(index)}>
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </div>
+              ))}
+
+              <div className="po-form-footer">
+                <button type="button" className="btn btn-secondary btn-sm" onClick={addItem}>
+                  <Plus size={14} /> Add Item
+                </button>
+                <span>
+                  Order value: <strong>{formatAmount(orderTotal)}</strong>
+                  {selectedAllocation && ` of ${formatAmount(available(selectedAllocation))} available`}
+                </span>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn btn-primary" disabled={saving || orderTotal <= 0}>
+                <Send size={16} /> {saving ? 'Raising...' : 'Raise and Commit'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="settings-panel delegation-list">
+        <div className="panel-header">
+          <h2><ShoppingCart size={18} /> Orders</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="form-select status-filter"
+          >
+            {STATUS_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading purchase orders...</div>
+        ) : purchaseOrders.length === 0 ? (
+          <p className="empty-state">No purchase orders to show.</p>
+        ) : (
+          <table className="delegation-table">
+            <thead>
+              <tr>
+                <th>PO</th>
+                <th>Budget Line</th>
+                <th>Value</th>
+                <th>Committed</th>
+                <th>Billed</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {purchaseOrders.map(order => (
+                <React.Fragment key={order._id}>
+                  <tr>
+                    <td>
+                      {order.poNumber}
+                      <span className="role-label">{order.vendorName}</span>
+                    </td>
+                    <td>
+                      {order.department?.name} - {order.budgetHead?.name}
+                      <span className="role-label">{order.financialYear}</span>
+                    </td>
+                    <td>{formatAmount(order.totalAmount)}</td>
+                    <td>{formatAmount(order.committedAmount)}</td>
+                    <td>{formatAmount(order.billedAmount)}</td>
+                    <td>
+                      <span className={`reappropriation-status po-status ${order.status.toLowerCase()}`}>
+                        {order.status.replace('_', ' ')}
+                      </span>
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="btn-icon"
+                        title={expandedId === order._id ? 'Hide details' : 'Show details'}
+                        onClick={() => toggleExpanded(order._id)}
+                      >
+                        {expandedId === order._id ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedId === order._id && (
+                    <tr className="po-details-row">
+                      <td colSpan={7}>{renderDetails(order)}</td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrders;
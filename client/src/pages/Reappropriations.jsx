@@ -0,0 +1,337 @@
+import { useState, useEffect, useCallback } from 'react';
+import { reappropriationAPI, allocationAPI, delegationAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import PageHeader from '../components/Common/PageHeader';
+import { ArrowLeftRight, ArrowRight, Check, X, Send } from 'lucide-react';
+import './Settings.scss';
+import './Delegations.scss';
+import './Reappropriations.scss';
+
+const REQUESTER_ROLES = ['hod', 'office', 'admin'];
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'All Statuses' },
+  { value: 'pending_approval', label: 'Awaiting My Action' },
+  { value: 'PENDING', label: 'Pending' },
+  { value: 'HOD_VERIFIED', label: 'HOD Verified' },
+  { value: 'APPROVED', label: 'Approved' },
+  { value: 'REJECTED', label: 'Rejected' }
+];
+
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+const unspent = (allocation) => allocation.allocatedAmount - allocation.spentAmount - (allocation.committedAmount || 0);
+
+const emptyForm = () => ({
+  fromAllocation: '',
+  toAllocation: '',
+  amount: '',
+  reason: ''
+});
+
+const Reappropriations = () => {
+  const { user } = useAuth();
+  const [reappropriations, setReappropriations] = useState([]);
+  const [allocations, setAllocations] = useState([]);
+  const [delegators, setDelegators] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [formData, setFormData] = useState(emptyForm());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const canRequest = REQUESTER_ROLES.includes(user?.role);
+  // Roles this user can act in: their own plus any absent approver they are covering for
+  const actingRoles = [user?.role, ...delegators.map(delegator => delegator.role)];
+
+  const fetchReappropriations = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await reappropriationAPI.getReappropriations({ status: statusFilter, limit: 100 });
+      setReappropriations(response.data.data.reappropriations || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch re-appropriations');
+      console.error('Error fetching re-appropriations:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchReappropriations();
+  }, [fetchReappropriations]);
+
+  useEffect(() => {
+    delegationAPI.getActingFor()
+      .then(response => setDelegators(response.data?.data?.delegators || []))
+      .catch(err => console.error('Error fetching delegations:', err));
+
+    if (canRequest) {
+      allocationAPI.getAllocations({ limit: 1000 })
+        .then(response => setAllocations(response.data.data.allocations || []))
+        .catch(err => console.error('Error fetching allocations:', err));
+    }
+  }, [canRequest]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+      // A new source may belong to a different department or year
+      ...(name === 'fromAllocation' ? { toAllocation: '' } : {})
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const response = await reappropriationAPI.createReappropriation({
+        ...formData,
+        amount: parseFloat(formData.amount)
+      });
+      setSuccess(response.data.message);
+      setFormData(emptyForm());
+      fetchReappropriations();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to submit re-appropriation');
+      console.error('Error submitting re-appropriation:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAction = async (item, action) => {
+    let remarks = '';
+    if (action === 'reject') {
+      remarks = window.prompt('Reason for rejection:');
+      if (!remarks) return;
+    } else if (!window.confirm(`${action === 'verify' ? 'Verify' : 'Approve'} moving ${formatAmount(item.amount)} from ${item.fromBudgetHead?.name} to ${item.toBudgetHead?.name}?`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      const request = {
+        verify: reappropriationAPI.verifyReappropriation,
+        approve: reappropriationAPI.approveReappropriation,
+        reject: reappropriationAPI.rejectReappropriation
+      }[action];
+      const response = await request(item._id, { remarks });
+      setSuccess(response.data.message);
+      fetchReappropriations();
+    } catch (err) {
+      setError(err.response?.data?.message || `Failed to ${action} re-appropriation`);
+      console.error(`Error during re-appropriation ${action}:`, err);
+    }
+  };
+
+  const source = allocations.find(item => item._id === formData.fromAllocation);
+  const targetOptions = source
+    ? allocations.filter(item => item._id !== source._id
+      && item.financialYear === source.financialYear
+      && item.department?._id === source.department?._id)
+    : [];
+
+  const canActOn = (item) => {
+    const pendingRoles = item.progress?.pendingRoles || [];
+    return pendingRoles.some(role => actingRoles.includes(role));
+  };
+
+  return (
+    <div className="settings-container delegations-container reappropriations-container">
+      <PageHeader
+        title="Re-appropriations"
+        subtitle="Move unspent funds between budget heads within a financial year"
+      />
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message">
+          {success}
+        </div>
+      )}
+
+      {canRequest && (
+        <div className="settings-panel">
+          <div className="panel-header">
+            <h2><ArrowLeftRight size={20} /> Request a Re-appropriation</h2>
+          </div>
+
+          <form onSubmit={handleSubmit} className="settings-form">
+            <div className="form-section">
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Move From</label>
+                  <select
+                    name="fromAllocation"
+                    value={formData.fromAllocation}
+                    onChange={handleChange}
+                    className="form-select"
+                    required
+                  >
+                    <option value="">Select source budget head</option>
+                    {allocations.filter(item => unspent(item) > 0).map(item => (
+                      <option key={item._id} value={item._id}>
+                        {item.department?.name} - {item.budgetHead?.name} ({item.financialYear}, {formatAmount(unspent(item))} available)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Move To</label>
+                  <select
+                    name="toAllocation"
+                    value={formData.toAllocation}
+                    onChange={handleChange}
+                    className="form-select"
+                    disabled={!source}
+                    required
+                  >
+                    <option value="">Select target budget head</option>
+                    {targetOptions.map(item => (
+                      <option key={item._id} value={item._id}>
+                        {item.budgetHead?.name} ({formatAmount(item.allocatedAmount)} allocated)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Amount (₹)</label>
+                  <input
+                    type="number"
+                    name="amount"
+                    value={formData.amount}
+                    onChange={handleChange}
+                    className="form-input"
+                    min="1"
+                    max={source ? unspent(source) : undefined}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Justification</label>
+                  <input
+                    type="text"
+                    name="reason"
+                    value={formData.reason}
+                    onChange={handleChange}
+                    className="form-input"
+                    maxLength={500}
+                    placeholder="Why the funds are needed under the target head"
+                    required
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                <Send size={16} /> {saving ? 'Submitting...' : 'Submit for Approval'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="settings-panel delegation-list">
+        <div className="panel-header">
+          <h2><ArrowLeftRight size={18} /> Requests</h2>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="form-select status-filter"
+          >
+            {STATUS_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading re-appropriations...</div>
+        ) : reappropriations.length === 0 ? (
+          <p className="empty-state">No re-appropriation requests to show.</p>
+        ) : (
+          <table className="delegation-table">
+            <thead>
+              <tr>
+                <th>Department</th>
+                <th>Transfer</th>
+                <th>Amount</th>
+                <th>Justification</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {reappropriations.map(item => (
+                <tr key={item._id}>
+                  <td>
+                    {item.department?.name}
+                    <span className="role-label">{item.financialYear}</span>
+                  </td>
+                  <td className="transfer-cell">
+                    {item.fromBudgetHead?.name} <ArrowRight size={14} /> {item.toBudgetHead?.name}
+                  </td>
+                  <td>{formatAmount(item.amount)}</td>
+                  <td>
+                    {item.reason}
+                    <span className="role-label">by {item.requestedBy?.name}</span>
+                  </td>
+                  <td>
+                    <span className={`reappropriation-status ${item.status.toLowerCase()}`}>
+                      {item.status.replace('_', ' ')}
+                    </span>
+                    {item.progress?.nextStage && (
+                      <span className="role-label">Next: {item.progress.nextStage.label}</span>
+                    )}
+                    {item.status === 'REJECTED' && (
+                      <span className="role-label">{item.rejectionReason}</span>
+                    )}
+                  </td>
+                  <td className="action-cell">
+                    {canActOn(item) && (
+                      <>
+                        <button
+                          type="button"
+                          className="btn-icon approve"
+                          title={item.progress.nextStage.action === 'verify' ? 'Verify' : 'Approve'}
+                          onClick={() => handleAction(item, item.progress.nextStage.action)}
+                        >
+                          <Check size={16} />
+                        </button>
+                        <button
+                          type="button"
+                          className="btn-icon reject"
+                          title="Reject"
+                          onClick={() => handleAction(item, 'reject')}
+                        >
+                          <X size={16} />
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Reappropriations;
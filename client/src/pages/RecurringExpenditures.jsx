@@ -0,0 +1,398 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { expenditureTemplateAPI, budgetHeadsAPI, vendorAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import PageHeader from '../components/Common/PageHeader';
+import { Repeat, Save, Trash2, Pause, Play, Send } from 'lucide-react';
+import './Settings.scss';
+import './Delegations.scss';
+
+const FREQUENCY_OPTIONS = [
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'quarterly', label: 'Quarterly' },
+  { value: 'half_yearly', label: 'Half-yearly' },
+  { value: 'yearly', label: 'Yearly' }
+];
+
+const EVENT_TYPES = ['Seminar', 'Workshop', 'Association', 'Research', 'Other'];
+
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN');
+
+const emptyForm = () => ({
+  name: '',
+  budgetHead: '',
+  vendorName: '',
+  expectedAmount: '',
+  eventType: 'Other',
+  frequency: 'monthly',
+  dayOfMonth: 1,
+  startDate: new Date().toISOString().split('T')[0],
+  endDate: '',
+  description: ''
+});
+
+const RecurringExpenditures = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [templates, setTemplates] = useState([]);
+  const [budgetHeads, setBudgetHeads] = useState([]);
+  const [vendors, setVendors] = useState([]);
+  const [formData, setFormData] = useState(emptyForm());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  // Only department users raise (and so keep) recurring expenditures
+  const canManage = user?.role === 'department';
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await expenditureTemplateAPI.getTemplates();
+      setTemplates(response.data.data.templates || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch recurring expenditures');
+      console.error('Error fetching recurring expenditures:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  useEffect(() => {
+    if (!canManage) return;
+
+    budgetHeadsAPI.getBudgetHeads({ isActive: true })
+      .then(response => setBudgetHeads(response.data.data.budgetHeads || []))
+      .catch(err => console.error('Error fetching budget heads:', err));
+    vendorAPI.getVendors({ blocked: 'false' })
+      .then(response => setVendors(response.data.data.vendors || []))
+      .catch(err => console.error('Error fetching vendors:', err));
+  }, [canManage]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const response = await expenditureTemplateAPI.createTemplate({
+        ...formData,
+        expectedAmount: parseFloat(formData.expectedAmount),
+        dayOfMonth: parseInt(formData.dayOfMonth)
+      });
+      setSuccess(response.data.message);
+      setFormData(emptyForm());
+      fetchTemplates();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save recurring expenditure');
+      console.error('Error saving recurring expenditure:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (template) => {
+    try {
+      setError(null);
+      const response = await expenditureTemplateAPI.updateTemplate(template._id, { isActive: !template.isActive });
+      setSuccess(response.data.message);
+      fetchTemplates();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update recurring expenditure');
+      console.error('Error updating recurring expenditure:', err);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete "${template.name}"? Drafts already raised from it are kept.`)) return;
+
+    try {
+      setError(null);
+      const response = await expenditureTemplateAPI.deleteTemplate(template._id);
+      setSuccess(response.data.message);
+      fetchTemplates();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete recurring expenditure');
+      console.error('Error deleting recurring expenditure:', err);
+    }
+  };
+
+  return (
+    <div className="settings-container delegations-container">
+      <PageHeader
+        title="Recurring Expenditures"
+        subtitle="Monthly bills drafted automatically; attach the bill and submit"
+      />
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message">
+          {success}
+        </div>
+      )}
+
+      {canManage && (
+        <div className="settings-panel">
+          <div className="panel-header">
+            <h2><Repeat size={20} /> New Recurring Expenditure</h2>
+          </div>
+
+          <form onSubmit={handleSubmit} className="settings-form">
+            <div className="form-section">
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Name</label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    className="form-input"
+                    maxLength={200}
+                    placeholder="e.g., Lab AMC"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Budget Head</label>
+                  <select
+                    name="budgetHead"
+                    value={formData.budgetHead}
+                    onChange={handleChange}
+                    className="form-select"
+                    required
+                  >
+                    <option value="">Select budget head</option>
+                    {budgetHeads.map(head => (
+                      <option key={head._id} value={head._id}>{head.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Event Type</label>
+                  <select
+                    name="eventType"
+                    value={formData.eventType}
+                    onChange={handleChange}
+                    className="form-select"
+                  >
+                    {EVENT_TYPES.map(type => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Vendor</label>
+                  <input
+                    type="text"
+                    name="vendorName"
+                    value={formData.vendorName}
+                    onChange={handleChange}
+                    className="form-input"
+                    list="recurring-vendor-options"
+                    placeholder="Registered vendor"
+                    required
+                  />
+                  <datalist id="recurring-vendor-options">
+                    {vendors.map(vendor => (
+                      <option key={vendor._id} value={vendor.name}>{vendor.gstin || ''}</option>
+                    ))}
+                  </datalist>
+                </div>
+                <div className="form-group">
+                  <label>Expected Amount (₹)</label>
+                  <input
+                    type="number"
+                    name="expectedAmount"
+                    value={formData.expectedAmount}
+                    onChange={handleChange}
+                    className="form-input"
+                    min="1"
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Frequency</label>
+                  <select
+                    name="frequency"
+                    value={formData.frequency}
+                    onChange={handleChange}
+                    className="form-select"
+                  >
+                    {FREQUENCY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Day of Month</label>
+                  <input
+                    type="number"
+                    name="dayOfMonth"
+                    value={formData.dayOfMonth}
+                    onChange={handleChange}
+                    className="form-input"
+                    min="1"
+                    max="28"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Starts</label>
+                  <input
+                    type="date"
+                    name="startDate"
+                    value={formData.startDate}
+                    onChange={handleChange}
+                    className="form-input"
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Ends (optional)</label>
+                  <input
+                    type="date"
+                    name="endDate"
+                    value={formData.endDate}
+                    onChange={handleChange}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Description</label>
+                <input
+                  type="text"
+                  name="description"
+                  value={formData.description}
+                  onChange={handleChange}
+                  className="form-input"
+                  maxLength={500}
+                  placeholder="Copied onto every draft"
+                />
+              </div>
+            </div>
+
+            <div className="form-actions">
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                <Save size={16} /> {saving ? 'Saving...' : 'Save Schedule'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="settings-panel">
+        <div className="panel-header">
+          <h2><Repeat size={18} /> Schedules</h2>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading recurring expenditures...</div>
+        ) : templates.length === 0 ? (
+          <p className="empty-state">No recurring expenditures set up.</p>
+        ) : (
+          <table className="delegation-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Vendor</th>
+                <th>Expected</th>
+                <th>Schedule</th>
+                <th>Next Draft</th>
+                <th>Last Draft</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {templates.map(template => (
+                <tr key={template._id}>
+                  <td>
+                    {template.name}
+                    <span className="role-label">{template.budgetHead?.name}</span>
+                  </td>
+                  <td>{template.vendorName}</td>
+                  <td>{formatAmount(template.expectedAmount)}</td>
+                  <td>
+                    {FREQUENCY_OPTIONS.find(option => option.value === template.frequency)?.label}, day {template.dayOfMonth}
+                    {template.endDate && <span className="role-label">until {formatDate(template.endDate)}</span>}
+                  </td>
+                  <td>
+                    {template.isActive
+                      ? formatDate(template.nextRunDate)
+                      : <span className="delegation-status revoked">Paused</span>}
+                  </td>
+                  <td>
+                    {template.lastDraft ? (
+                      <>
+                        {template.lastDraft.status === 'DRAFT' && canManage ? (
+                          <button
+                            type="button"
+                            className="btn btn-secondary btn-sm"
+                            onClick={() => navigate(`/submit-expenditure/${template.lastDraft._id}`)}
+                          >
+                            <Send size={14} /> Complete
+                          </button>
+                        ) : (
+                          template.lastDraft.transactionId || template.lastDraft.status
+                        )}
+                        <span className="role-label">{template.generatedCount} raised</span>
+                      </>
+                    ) : '-'}
+                  </td>
+                  <td>
+                    {canManage && (
+                      <>
+                        <button
+                          type="button"
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => handleToggle(template)}
+                        >
+                          {template.isActive ? <><Pause size={14} /> Pause</> : <><Play size={14} /> Resume</>}
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-secondary btn-sm"
+                          style={{ marginLeft: '0.25rem' }}
+                          onClick={() => handleDelete(template)}
+                        >
+                          <Trash2 size={14} /> Delete
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecurringExpenditures;
@@ -0,0 +1,369 @@
+import { useState, useEffect, useCallback } from 'react';
+import { vendorAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import PageHeader from '../components/Common/PageHeader';
+import { Store, Save, Edit, Ban, CheckCircle, Search } from 'lucide-react';
+import './Settings.scss';
+import './Delegations.scss';
+import './Vendors.scss';
+
+const emptyForm = () => ({
+  name: '',
+  gstin: '',
+  pan: '',
+  address: '',
+  contactEmail: '',
+  contactPhone: '',
+  bankDetails: {
+    accountName: '',
+    accountNumber: '',
+    ifsc: '',
+    bankName: ''
+  }
+});
+
+const Vendors = () => {
+  const { user } = useAuth();
+  const canManage = ['office', 'admin'].includes(user?.role);
+  const [vendors, setVendors] = useState([]);
+  const [formData, setFormData] = useState(emptyForm());
+  const [editingId, setEditingId] = useState(null);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const fetchVendors = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await vendorAPI.getVendors(search ? { search } : {});
+      setVendors(response.data.data.vendors || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch vendors');
+      console.error('Error fetching vendors:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [search]);
+
+  useEffect(() => {
+    fetchVendors();
+  }, [fetchVendors]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleBankChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, bankDetails: { ...prev.bankDetails, [name]: value } }));
+  };
+
+  // GSTIN characters 3-12 are the PAN, so fill it in when it is still empty
+  const handleGstinChange = (e) => {
+    const gstin = e.target.value.toUpperCase();
+    setFormData(prev => ({
+      ...prev,
+      gstin,
+      pan: !prev.pan && gstin.length >= 12 ? gstin.substring(2, 12) : prev.pan
+    }));
+  };
+
+  const handleEdit = (vendor) => {
+    setEditingId(vendor._id);
+    setFormData({
+      name: vendor.name || '',
+      gstin: vendor.gstin || '',
+      pan: vendor.pan || '',
+      address: vendor.address || '',
+      contactEmail: vendor.contactEmail || '',
+      contactPhone: vendor.contactPhone || '',
+      bankDetails: { ...emptyForm().bankDetails, ...(vendor.bankDetails || {}) }
+    });
+    setSuccess(null);
+  };
+
+  const handleCancelEdit = () => {
+    setEditingId(null);
+    setFormData(emptyForm());
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const hasBankDetails = Object.values(formData.bankDetails).some(value => value.trim());
+      const payload = { ...formData, bankDetails: hasBankDetails ? formData.bankDetails : null };
+      const response = editingId
+        ? await vendorAPI.updateVendor(editingId, payload)
+        : await vendorAPI.createVendor(payload);
+      setSuccess(response.data.message);
+      handleCancelEdit();
+      fetchVendors();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save vendor');
+      console.error('Error saving vendor:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleBlock = async (vendor) => {
+    let reason;
+    if (!vendor.isBlocked) {
+      reason = window.prompt(`Reason for blocking ${vendor.name}:`);
+      if (!reason || !reason.trim()) return;
+    } else if (!window.confirm(`Unblock ${vendor.name}? New bills and purchase orders will be accepted again.`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      const response = await vendorAPI.setBlocked(vendor._id, { blocked: !vendor.isBlocked, reason });
+      setSuccess(response.data.message);
+      fetchVendors();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update vendor');
+      console.error('Error updating vendor:', err);
+    }
+  };
+
+  return (
+    <div className="settings-container delegations-container vendors-container">
+      <PageHeader
+        title="Vendors"
+        subtitle="Vendor master used by expenditures and purchase orders"
+      />
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message">
+          {success}
+        </div>
+      )}
+
+      {canManage && (
+        <div className="settings-panel">
+          <div className="panel-header">
+            <h2><Store size={20} /> {editingId ? 'Edit Vendor' : 'Register Vendor'}</h2>
+          </div>
+
+          <form onSubmit={handleSubmit} className="settings-form">
+            <div className="form-section">
+              <div className="form-group">
+                <label>Name</label>
+                <input
+                  type="text"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  className="form-input"
+                  maxLength={200}
+                  required
+                />
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>GSTIN</label>
+                  <input
+                    type="text"
+                    name="gstin"
+                    value={formData.gstin}
+                    onChange={handleGstinChange}
+                    className="form-input"
+                    maxLength={15}
+                    placeholder="e.g., 27AAAAA0000A1Z5"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>PAN</label>
+                  <input
+                    type="text"
+                    name="pan"
+                    value={formData.pan}
+                    onChange={(e) => setFormData(prev => ({ ...prev, pan: e.target.value.toUpperCase() }))}
+                    className="form-input"
+                    maxLength={10}
+                    placeholder="e.g., AAAAA0000A"
+                  />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Address</label>
+                <input
+                  type="text"
+                  name="address"
+                  value={formData.address}
+                  onChange={handleChange}
+                  className="form-input"
+                />
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Contact Email</label>
+                  <input
+                    type="email"
+                    name="contactEmail"
+                    value={formData.contactEmail}
+                    onChange={handleChange}
+                    className="form-input"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Contact Phone</label>
+                  <input
+                    type="text"
+                    name="contactPhone"
+                    value={formData.contactPhone}
+                    onChange={handleChange}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+
+              <h3 className="vendor-form-subheading">Bank Details</h3>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Account Name</label>
+                  <input
+                    type="text"
+                    name="accountName"
+                    value={formData.bankDetails.accountName}
+                    onChange={handleBankChange}
+                    className="form-input"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Account Number</label>
+                  <input
+                    type="text"
+                    name="accountNumber"
+                    value={formData.bankDetails.accountNumber}
+                    onChange={handleBankChange}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>IFSC</label>
+                  <input
+                    type="text"
+                    name="ifsc"
+                    value={formData.bankDetails.ifsc}
+                    onChange={handleBankChange}
+                    className="form-input"
+                    maxLength={11}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Bank Name</label>
+                  <input
+                    type="text"
+                    name="bankName"
+                    value={formData.bankDetails.bankName}
+                    onChange={handleBankChange}
+                    className="form-input"
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="form-actions">
+              {editingId && (
+                <button type="button" className="btn btn-secondary" onClick={handleCancelEdit}>
+                  Cancel
+                </button>
+              )}
+              <button type="submit" className="btn btn-primary" disabled={saving}>
+                <Save size={16} /> {saving ? 'Saving...' : editingId ? 'Update Vendor' : 'Register Vendor'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <div className="settings-panel">
+        <div className="panel-header vendor-list-header">
+          <h2><Store size={18} /> Registered Vendors</h2>
+          <div className="vendor-search">
+            <Search size={16} />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="form-input"
+              placeholder="Search name, GSTIN or PAN"
+            />
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading vendors...</div>
+        ) : vendors.length === 0 ? (
+          <p className="empty-state">No vendors to show.</p>
+        ) : (
+          <table className="delegation-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>GSTIN</th>
+                <th>PAN</th>
+                <th>Bank Account</th>
+                <th>Status</th>
+                {canManage && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {vendors.map(vendor => (
+                <tr key={vendor._id}>
+                  <td>
+                    {vendor.name}
+                    {vendor.contactEmail && <span className="role-label">{vendor.contactEmail}</span>}
+                  </td>
+                  <td>{vendor.gstin || '-'}</td>
+                  <td>{vendor.pan || '-'}</td>
+                  <td>
+                    {vendor.bankDetails?.accountNumber || '-'}
+                    {vendor.bankDetails?.ifsc && <span className="role-label">{vendor.bankDetails.ifsc}</span>}
+                  </td>
+                  <td>
+                    <span className={`delegation-status ${vendor.isBlocked ? 'revoked' : 'active'}`}>
+                      {vendor.isBlocked ? 'Blocked' : 'Active'}
+                    </span>
+                    {vendor.isBlocked && vendor.blockedReason && <span className="role-label">{vendor.blockedReason}</span>}
+                  </td>
+                  {canManage && (
+                    <td className="vendor-actions">
+                      <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleEdit(vendor)}>
+                        <Edit size={14} /> Edit
+                      </button>
+                      <button type="button" className="btn btn-secondary btn-sm" onClick={() => handleToggleBlock(vendor)}>
+                        {vendor.isBlocked ? <><CheckCircle size={14} /> Unblock</> : <><Ban size={14} /> Block</>}
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Vendors;
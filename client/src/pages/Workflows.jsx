@@ -0,0 +1,498 @@
+import { useState, useEffect } from 'react';
+import { workflowAPI } from '../services/api';
+import PageHeader from '../components/Common/PageHeader';
+import { GitBranch, FileText, Receipt, Plus, Trash2, ArrowUp, ArrowDown, RotateCcw, Save, Layers, ArrowLeftRight, HandCoins } from 'lucide-react';
+import './Settings.scss';
+import './Workflows.scss';
+
+const ROLE_OPTIONS = [
+  { value: 'hod', label: 'HOD' },
+  { value: 'vice_principal', label: 'Vice Principal' },
+  { value: 'principal', label: 'Principal' },
+  { value: 'office', label: 'Office' },
+  { value: 'admin', label: 'Admin' }
+];
+
+const ACTION_OPTIONS = ['verify', 'approve', 'finalize'];
+
+const SIGN_OFF_OPTIONS = [
+  { value: 'any', label: 'Any one role' },
+  { value: 'parallel', label: 'All roles (any order)' },
+  { value: 'sequential', label: 'All roles (in order)' }
+];
+
+const emptyStage = (status) => ({
+  key: '',
+  label: '',
+  status,
+  action: 'approve',
+  roles: [],
+  signOff: 'any',
+  minAmount: 0,
+  maxAmount: null,
+  departmentScoped: false,
+  roleLimits: []
+});
+
+const emptyTier = () => ({
+  key: '',
+  label: '',
+  categories: [],
+  minAmount: 0,
+  maxAmount: null,
+  skipStages: [],
+  signOffOverrides: []
+});
+
+const toAmount = (value, fallback) => (value === '' || value === null || value === undefined ? fallback : Number(value));
+
+const Workflows = () => {
+  const [workflows, setWorkflows] = useState([]);
+  const [statusOptions, setStatusOptions] = useState({});
+  const [activeType, setActiveType] = useState('Expenditure');
+  const [stages, setStages] = useState([]);
+  const [tiers, setTiers] = useState([]);
+  const [categoryOptions, setCategoryOptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const tabs = [
+    { id: 'Expenditure', label: 'Expenditures', icon: <Receipt /> },
+    { id: 'BudgetProposal', label: 'Budget Proposals', icon: <FileText /> },
+    { id: 'Reappropriation', label: 'Re-appropriations', icon: <ArrowLeftRight /> },
+    { id: 'Advance', label: 'Advances', icon: <HandCoins /> }
+  ];
+
+  const activeWorkflow = workflows.find(workflow => workflow.entityType === activeType);
+
+  useEffect(() => {
+    fetchWorkflows();
+  }, []);
+
+  useEffect(() => {
+    const workflow = workflows.find(item => item.entityType === activeType);
+    if (workflow) {
+      setStages(workflow.stages.map(stage => ({ ...emptyStage(stage.status), ...stage })));
+      setTiers((workflow.routingTiers || []).map(tier => ({ ...emptyTier(), ...tier })));
+    }
+  }, [activeType, workflows]);
+
+  const fetchWorkflows = async () => {
+    try {
+      setLoading(true);
+      const response = await workflowAPI.getWorkflows();
+      setWorkflows(response.data.data.workflows || []);
+      setStatusOptions(response.data.data.statusOptions || {});
+      setCategoryOptions(response.data.data.categoryOptions || []);
+      setError(null);
+    } catch (err) {
+      setError('Failed to fetch workflows');
+      console.error('Error fetching workflows:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceWorkflow = (workflow) => {
+    setWorkflows(prev => prev.map(item => (item.entityType === workflow.entityType ? workflow : item)));
+  };
+
+  const updateStage = (index, field, value) => {
+    setStages(prev => prev.map((stage, i) => (i === index ? { ...stage, [field]: value } : stage)));
+  };
+
+  const toggleRole = (index, role) => {
+    const stage = stages[index];
+    const roles = stage.roles.includes(role)
+      ? stage.roles.filter(item => item !== role)
+      : [...stage.roles, role];
+    updateStage(index, 'roles', roles);
+  };
+
+  const moveStage = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= stages.length) return;
+    const reordered = [...stages];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setStages(reordered);
+  };
+
+  const addStage = () => {
+    const stageStatuses = statusOptions[activeType]?.stageStatuses || [];
+    setStages(prev => [...prev, emptyStage(stageStatuses[0])]);
+  };
+
+  const removeStage = (index) => {
+    setStages(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const updateTier = (index, field, value) => {
+    setTiers(prev => prev.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+  };
+
+  const toggleSkippedStage = (index, stageKey) => {
+    const tier = tiers[index];
+    const skipStages = tier.skipStages.includes(stageKey)
+      ? tier.skipStages.filter(item => item !== stageKey)
+      : [...tier.skipStages, stageKey];
+    updateTier(index, 'skipStages', skipStages);
+  };
+
+  const setSignOffOverride = (index, stageKey, signOff) => {
+    const overrides = tiers[index].signOffOverrides.filter(item => item.stage !== stageKey);
+    updateTier(index, 'signOffOverrides', signOff ? [...overrides, { stage: stageKey, signOff }] : overrides);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+      const payload = {
+        stages: stages.map(stage => ({
+          ...stage,
+          minAmount: toAmount(stage.minAmount, 0),
+          maxAmount: toAmount(stage.maxAmount, null)
+        }))
+      };
+      if (activeType === 'Expenditure') {
+        payload.routingTiers = tiers.map(tier => ({
+          ...tier,
+          minAmount: toAmount(tier.minAmount, 0),
+          maxAmount: toAmount(tier.maxAmount, null)
+        }));
+      }
+      const response = await workflowAPI.updateWorkflow(activeType, payload);
+      replaceWorkflow(response.data.data.workflow);
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save workflow');
+      console.error('Error saving workflow:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!window.confirm(`Discard the custom ${activeType} workflow and restore the default chain?`)) return;
+
+    try {
+      setError(null);
+      const response = await workflowAPI.resetWorkflow(activeType);
+      replaceWorkflow(response.data.data.workflow);
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError('Failed to reset workflow');
+      console.error('Error resetting workflow:', err);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="settings-container">
+        <div className="loading">Loading workflows...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="settings-container workflows-container">
+      <PageHeader
+        title="Approval Workflows"
+        subtitle="Configure the approval chains for budget proposals, expenditures and re-appropriations"
+      />
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {success && (
+        <div className="success-message">
+          {success}
+        </div>
+      )}
+
+      <div className="settings-content">
+        <div className="settings-sidebar">
+          <div className="tabs">
+            {tabs.map(tab => (
+              <button
+                key={tab.id}
+                className={`tab ${activeType === tab.id ? 'active' : ''}`}
+                onClick={() => setActiveType(tab.id)}
+              >
+                <span className="tab-icon">{tab.icon}</span>
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="settings-main">
+          <div className="settings-panel">
+            <div className="panel-header">
+              <h2>
+                <GitBranch size={20} /> {activeWorkflow?.name}
+                <span className="workflow-version">
+                  {activeWorkflow?.isDefault ? 'Default' : `Version ${activeWorkflow?.version}`}
+                </span>
+              </h2>
+              <button className="btn btn-secondary" onClick={handleReset} disabled={activeWorkflow?.isDefault}>
+                <RotateCcw size={16} /> Reset to Default
+              </button>
+            </div>
+
+            <div className="workflow-stages">
+              {stages.map((stage, index) => (
+                <div key={index} className="workflow-stage-card">
+                  <div className="stage-header">
+                    <span className="stage-number">{index + 1}</span>
+                    <input
+                      type="text"
+                      value={stage.label}
+                      onChange={(e) => updateStage(index, 'label', e.target.value)}
+                      className="form-input"
+                      placeholder="Stage label"
+                    />
+                    <div className="stage-controls">
+                      <button type="button" className="btn-icon" onClick={() => moveStage(index, -1)} disabled={index === 0}>
+                        <ArrowUp size={16} />
+                      </button>
+                      <button type="button" className="btn-icon" onClick={() => moveStage(index, 1)} disabled={index === stages.length - 1}>
+                        <ArrowDown size={16} />
+                      </button>
+                      <button type="button" className="btn-icon reject" onClick={() => removeStage(index)} disabled={stages.length === 1}>
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Stage Key</label>
+                      <input
+                        type="text"
+                        value={stage.key}
+                        onChange={(e) => updateStage(index, 'key', e.target.value.toLowerCase())}
+                        className="form-input"
+                        placeholder="e.g., hod_verification"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Resulting Status</label>
+                      <select
+                        value={stage.status}
+                        onChange={(e) => updateStage(index, 'status', e.target.value)}
+                        className="form-select"
+                      >
+                        {(statusOptions[activeType]?.stageStatuses || []).map(status => (
+                          <option key={status} value={status}>{status.replace(/_/g, ' ')}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Action</label>
+                      <select
+                        value={stage.action}
+                        onChange={(e) => updateStage(index, 'action', e.target.value)}
+                        className="form-select"
+                      >
+                        {ACTION_OPTIONS.map(action => (
+                          <option key={action} value={action}>{action}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  <div className="form-group">
+                    <label>Approver Roles</label>
+                    <div className="role-checkboxes">
+                      {ROLE_OPTIONS.map(role => (
+                        <label key={role.value} className="checkbox-label">
+                          <input
+                            type="checkbox"
+                            checked={stage.roles.includes(role.value)}
+                            onChange={() => toggleRole(index, role.value)}
+                          />
+                          {role.label}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Sign-off Rule</label>
+                      <select
+                        value={stage.signOff}
+                        onChange={(e) => updateStage(index, 'signOff', e.target.value)}
+                        className="form-select"
+                      >
+                        {SIGN_OFF_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Applies From (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={stage.minAmount ?? 0}
+                        onChange={(e) => updateStage(index, 'minAmount', e.target.value)}
+                        className="form-input"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Applies Below (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={stage.maxAmount ?? ''}
+                        onChange={(e) => updateStage(index, 'maxAmount', e.target.value)}
+                        className="form-input"
+                        placeholder="No limit"
+                      />
+                    </div>
+                  </div>
+
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={!!stage.departmentScoped}
+                      onChange={(e) => updateStage(index, 'departmentScoped', e.target.checked)}
+                    />
+                    Approver must belong to the submitting department
+                  </label>
+                </div>
+              ))}
+            </div>
+
+            {activeType === 'Expenditure' && (
+              <div className="routing-tiers">
+                <div className="section-header">
+                  <h3><Layers size={18} /> Routing Tiers</h3>
+                  <p>
+                    The first tier matching an expenditure&apos;s amount decides its route. Tiers limited to the
+                    budget head&apos;s category take precedence; skipping the last stage finalizes the expenditure early.
+                  </p>
+                </div>
+
+                {tiers.map((tier, index) => (
+                  <div key={index} className="workflow-stage-card">
+                    <div className="stage-header">
+                      <input
+                        type="text"
+                        value={tier.label}
+                        onChange={(e) => updateTier(index, 'label', e.target.value)}
+                        className="form-input"
+                        placeholder="Tier label"
+                      />
+                      <button type="button" className="btn-icon reject" onClick={() => setTiers(prev => prev.filter((_, i) => i !== index))}>
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+
+                    <div className="form-row">
+                      <div className="form-group">
+                        <label>Tier Key</label>
+                        <input
+                          type="text"
+                          value={tier.key}
+                          onChange={(e) => updateTier(index, 'key', e.target.value.toLowerCase())}
+                          className="form-input"
+                          placeholder="e.g., small_claim"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>From (₹)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={tier.minAmount ?? 0}
+                          onChange={(e) => updateTier(index, 'minAmount', e.target.value)}
+                          className="form-input"
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Below (₹)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={tier.maxAmount ?? ''}
+                          onChange={(e) => updateTier(index, 'maxAmount', e.target.value)}
+                          className="form-input"
+                          placeholder="No limit"
+                        />
+                      </div>
+                    </div>
+
+                    <div className="form-group">
+                      <label>Budget Head Categories</label>
+                      <select
+                        multiple
+                        value={tier.categories}
+                        onChange={(e) => updateTier(index, 'categories', Array.from(e.target.selectedOptions, option => option.value))}
+                        className="form-select category-select"
+                      >
+                        {categoryOptions.map(category => (
+                          <option key={category} value={category}>{category.replace(/_/g, ' ')}</option>
+                        ))}
+                      </select>
+                      <small>Leave empty to apply to every category.</small>
+                    </div>
+
+                    <div className="tier-stage-grid">
+                      {stages.map(stage => (
+                        <div key={stage.key} className="tier-stage-row">
+                          <label className="checkbox-label">
+                            <input
+                              type="checkbox"
+                              checked={tier.skipStages.includes(stage.key)}
+                              onChange={() => toggleSkippedStage(index, stage.key)}
+                            />
+                            Skip {stage.label || stage.key}
+                          </label>
+                          <select
+                            value={tier.signOffOverrides.find(item => item.stage === stage.key)?.signOff || ''}
+                            onChange={(e) => setSignOffOverride(index, stage.key, e.target.value)}
+                            className="form-select"
+                            disabled={tier.skipStages.includes(stage.key)}
+                          >
+                            <option value="">Stage default sign-off</option>
+                            {SIGN_OFF_OPTIONS.map(option => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+
+                <button type="button" className="btn btn-secondary" onClick={() => setTiers(prev => [...prev, emptyTier()])}>
+                  <Plus size={16} /> Add Tier
+                </button>
+              </div>
+            )}
+
+            <div className="form-actions">
+              <button type="button" className="btn btn-secondary" onClick={addStage}>
+                <Plus size={16} /> Add Stage
+              </button>
+              <button type="button" className="btn btn-primary" onClick={handleSave} disabled={saving}>
+                <Save size={16} /> {saving ? 'Saving...' : 'Save Workflow'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Workflows;
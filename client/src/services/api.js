@@ -106,67 +106,16 @@ export const budgetHeadsAPI = {
   updateBudgetHead: (id, data) => api.put(`/budget-heads/${id}`, data),
   deleteBudgetHead: (id) => api.delete(`/budget-heads/${id}`),
   getBudgetHeadStats: () => api.get('/budget-heads/stats'),
+  getBudgetHeadTree: (params) => api.get('/budget-heads/tree', { params }),
 };
 
-// Categories API (Mock implementation using localStorage)
-const STORAGE_KEY = 'cbms_categories';
-const DEFAULT_CATEGORIES = [
-  { id: 'academic', name: 'Academic', code: 'ACAD', color: '#28a745', description: 'Academic related expenses', isActive: true },
-  { id: 'infrastructure', name: 'Infrastructure', code: 'INFRA', color: '#007bff', description: 'Building and infrastructure', isActive: true },
-  { id: 'lab_equipment', name: 'Lab Equipment', code: 'LAB', color: '#17a2b8', description: 'Laboratory equipment and supplies', isActive: true },
-  { id: 'events', name: 'Events', code: 'EVENT', color: '#ffc107', description: 'College events and functions', isActive: true },
-  { id: 'maintenance', name: 'Maintenance', code: 'MAINT', color: '#6f42c1', description: 'Regular maintenance work', isActive: true },
-  { id: 'operations', name: 'Operations', code: 'OPS', color: '#fd7e14', description: 'Daily operations', isActive: true },
-  { id: 'other', name: 'Other', code: 'OTHER', color: '#6c757d', description: 'Miscellaneous expenses', isActive: true }
-];
-
-const getStoredCategories = () => {
-  const stored = localStorage.getItem(STORAGE_KEY);
-  if (!stored) {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(DEFAULT_CATEGORIES));
-    return DEFAULT_CATEGORIES;
-  }
-  return JSON.parse(stored);
-};
-
+// Budget Head Categories API
 export const categoriesAPI = {
-  getCategories: async () => {
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 300));
-    return { data: { success: true, data: { categories: getStoredCategories() } } };
-  },
-  getCategoryById: async (id) => {
-    await new Promise(resolve => setTimeout(resolve, 200));
-    const categories = getStoredCategories();
-    const category = categories.find(c => c.id === id);
-    return { data: { success: !!category, data: { category } } };
-  },
-  createCategory: async (data) => {
-    await new Promise(resolve => setTimeout(resolve, 500));
-    const categories = getStoredCategories();
-    const newCategory = { ...data, id: data.name.toLowerCase().replace(/\s+/g, '_') };
-    categories.push(newCategory);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(categories));
-    return { data: { success: true, data: { category: newCategory } } };
-  },
-  updateCategory: async (id, data) => {
-    await new Promise(resolve => setTimeout(resolve, 500));
-    let categories = getStoredCategories();
-    const index = categories.findIndex(c => c.id === id);
-    if (index !== -1) {
-      categories[index] = { ...categories[index], ...data };
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(categories));
-      return { data: { success: true, data: { category: categories[index] } } };
-    }
-    return { data: { success: false, message: 'Category not found' } };
-  },
-  deleteCategory: async (id) => {
-    await new Promise(resolve => setTimeout(resolve, 400));
-    let categories = getStoredCategories();
-    categories = categories.filter(c => c.id !== id);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(categories));
-    return { data: { success: true } };
-  }
+  getCategories: (params) => api.get('/categories', { params }),
+  getCategoryById: (id) => api.get(`/categories/${id}`),
+  createCategory: (data) => api.post('/categories', data),
+  updateCategory: (id, data) => api.put(`/categories/${id}`, data),
+  deleteCategory: (id) => api.delete(`/categories/${id}`),
 };
 
 // Allocations API
@@ -179,6 +128,10 @@ export const allocationAPI = {
   getAllocationStats: (params) => api.get('/allocations/stats', { params }),
   bulkCreateAllocations: (data) => api.post('/allocations/bulk', data),
   getYearComparison: (params) => api.get('/allocations/year-comparison', { params }),
+  getAmendments: (params) => api.get('/allocations/amendments', { params }),
+  requestAmendment: (id, data) => api.post(`/allocations/${id}/amendments`, data),
+  approveAmendment: (amendmentId, data) => api.put(`/allocations/amendments/${amendmentId}/approve`, data),
+  rejectAmendment: (amendmentId, data) => api.put(`/allocations/amendments/${amendmentId}/reject`, data),
   getCSVTemplate: () => api.get('/allocations/csv-template', { responseType: 'blob' }),
   bulkUploadCSV: (data) => api.post('/allocations/bulk-csv', data, {
     headers: {
@@ -204,7 +157,28 @@ export const expenditureAPI = {
     }
   }),
   verifyExpenditure: (id, data) => api.put(`/expenditures/${id}/verify`, data),
+  finalizeExpenditure: (id, data) => api.put(`/expenditures/${id}/finalize`, data),
   getExpenditureStats: (params) => api.get('/expenditures/stats', { params }),
+  submitDraft: (id, data) => api.post(`/expenditures/${id}/submit`, data, {
+    headers: {
+      'Content-Type': data instanceof FormData ? 'multipart/form-data' : 'application/json'
+    }
+  }),
+  createDraft: (data) => api.post('/expenditures/drafts', data, {
+    headers: {
+      'Content-Type': data instanceof FormData ? 'multipart/form-data' : 'application/json'
+    }
+  }),
+  updateDraft: (id, data) => api.put(`/expenditures/${id}/draft`, data, {
+    headers: {
+      'Content-Type': data instanceof FormData ? 'multipart/form-data' : 'application/json'
+    }
+  }),
+  deleteDraft: (id) => api.delete(`/expenditures/${id}`),
+  withdrawExpenditure: (id, data) => api.put(`/expenditures/${id}/withdraw`, data),
+  cancelExpenditure: (id, data) => api.put(`/expenditures/${id}/cancel`, data),
+  getComments: (id) => api.get(`/expenditures/${id}/comments`),
+  addComment: (id, data) => api.post(`/expenditures/${id}/comments`, data),
 };
 
 // Notifications API
@@ -259,6 +233,8 @@ export const budgetProposalAPI = {
   deleteBudgetProposal: (id) => api.delete(`/budget-proposals/${id}`),
   getBudgetProposalsStats: (params) => api.get('/budget-proposals/stats', { params }),
   markProposalAsRead: (id) => api.put(`/budget-proposals/${id}/read`),
+  getComments: (id) => api.get(`/budget-proposals/${id}/comments`),
+  addComment: (id, data) => api.post(`/budget-proposals/${id}/comments`, data),
 };
 
 // Files API
@@ -271,6 +247,12 @@ export const fileAPI = {
   getFileInfo: (fileId) => api.get(`/files/${fileId}`),
   deleteFile: (fileId) => api.delete(`/files/${fileId}`),
   getDownloadUrl: (fileId) => api.get(`/files/${fileId}/download`),
+  getPreviewUrl: (fileId) => api.get(`/files/${fileId}/preview`),
+  // Signed serve links are absolute to the API (/api/files/serve/...)
+  fetchServedFile: (url) => api.get(url.replace(/^\/api/, ''), { responseType: 'arraybuffer', timeout: 60000 }),
+  getAnnotations: (fileId) => api.get(`/files/${fileId}/annotations`),
+  addAnnotation: (fileId, data) => api.post(`/files/${fileId}/annotations`, data),
+  deleteAnnotation: (fileId, annotationId) => api.delete(`/files/${fileId}/annotations/${annotationId}`),
   cleanupFiles: (data) => api.post('/files/cleanup', data),
   getFileStats: () => api.get('/files/stats'),
 };
@@ -304,6 +286,8 @@ export const financialYearAPI = {
   createYear: (data) => api.post('/financial-years', data),
   lockYear: (id, data) => api.put(`/financial-years/${id}/lock`, data),
   closeYear: (id, data) => api.put(`/financial-years/${id}/close`, data),
+  getCarryforwardPreview: (id) => api.get(`/financial-years/${id}/carry-forward`),
+  allocateFromPool: (id, data) => api.post(`/financial-years/${id}/pool-allocations`, data),
   recalculateTotals: (id) => api.put(`/financial-years/${id}/recalculate`)
 };
 
@@ -313,6 +297,97 @@ export const systemAPI = {
   bulkSetup: (data) => api.post('/system/bulk-setup', data),
 };
 
+// Workflow API - Configurable approval chains
+export const workflowAPI = {
+  getWorkflows: () => api.get('/workflows'),
+  getWorkflow: (entityType) => api.get(`/workflows/${entityType}`),
+  updateWorkflow: (entityType, data) => api.put(`/workflows/${entityType}`, data),
+  resetWorkflow: (entityType) => api.post(`/workflows/${entityType}/reset`),
+};
+
+// Delegation API - Out-of-office substitutes
+export const delegationAPI = {
+  getDelegations: (params) => api.get('/delegations', { params }),
+  getActingFor: () => api.get('/delegations/acting-for'),
+  createDelegation: (data) => api.post('/delegations', data),
+  revokeDelegation: (id) => api.put(`/delegations/${id}/revoke`),
+};
+
+export const reappropriationAPI = {
+  getReappropriations: (params) => api.get('/reappropriations', { params }),
+  getReappropriation: (id) => api.get(`/reappropriations/${id}`),
+  createReappropriation: (data) => api.post('/reappropriations', data),
+  verifyReappropriation: (id, data) => api.put(`/reappropriations/${id}/verify`, data),
+  approveReappropriation: (id, data) => api.put(`/reappropriations/${id}/approve`, data),
+  rejectReappropriation: (id, data) => api.put(`/reappropriations/${id}/reject`, data),
+};
+
+// Purchase Orders API (commitments against allocations)
+export const purchaseOrderAPI = {
+  getPurchaseOrders: (params) => api.get('/purchase-orders', { params }),
+  getPurchaseOrder: (id) => api.get(`/purchase-orders/${id}`),
+  createPurchaseOrder: (data) => api.post('/purchase-orders', data),
+  recordReceipt: (id, data) => api.post(`/purchase-orders/${id}/receipts`, data),
+  createBill: (id, data) => api.post(`/purchase-orders/${id}/bills`, data, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  closePurchaseOrder: (id, data) => api.put(`/purchase-orders/${id}/close`, data),
+};
+
+// Vendors API
+export const vendorAPI = {
+  getVendors: (params) => api.get('/vendors', { params }),
+  getVendor: (id) => api.get(`/vendors/${id}`),
+  createVendor: (data) => api.post('/vendors', data),
+  updateVendor: (id, data) => api.put(`/vendors/${id}`, data),
+  setBlocked: (id, data) => api.put(`/vendors/${id}/block`, data),
+};
+
+// Exchange Rates API
+export const exchangeRateAPI = {
+  getExchangeRates: (params) => api.get('/exchange-rates', { params }),
+  getCurrentRates: (params) => api.get('/exchange-rates/current', { params }),
+  createExchangeRate: (data) => api.post('/exchange-rates', data),
+  deleteExchangeRate: (id) => api.delete(`/exchange-rates/${id}`),
+};
+
+// Cash Advances API
+export const advanceAPI = {
+  getAdvances: (params) => api.get('/advances', { params }),
+  getAdvance: (id) => api.get(`/advances/${id}`),
+  createAdvance: (data) => api.post('/advances', data),
+  verifyAdvance: (id, data) => api.put(`/advances/${id}/verify`, data),
+  approveAdvance: (id, data) => api.put(`/advances/${id}/approve`, data),
+  rejectAdvance: (id, data) => api.put(`/advances/${id}/reject`, data),
+  cancelAdvance: (id, data) => api.put(`/advances/${id}/cancel`, data),
+};
+
+// Recurring Expenditures API
+export const expenditureTemplateAPI = {
+  getTemplates: (params) => api.get('/expenditure-templates', { params }),
+  createTemplate: (data) => api.post('/expenditure-templates', data),
+  updateTemplate: (id, data) => api.put(`/expenditure-templates/${id}`, data),
+  deleteTemplate: (id) => api.delete(`/expenditure-templates/${id}`),
+};
+
+// Budget Override API
+export const budgetOverrideAPI = {
+  getOverrides: (params) => api.get('/budget-overrides', { params }),
+  createOverride: (data) => api.post('/budget-overrides', data),
+  approveOverride: (id, data) => api.put(`/budget-overrides/${id}/approve`, data),
+  rejectOverride: (id, data) => api.put(`/budget-overrides/${id}/reject`, data),
+};
+
+// Projects & Cost Centres API
+export const projectAPI = {
+  getProjects: (params) => api.get('/projects', { params }),
+  getProject: (id) => api.get(`/projects/${id}`),
+  getProjectAllocations: (id) => api.get(`/projects/${id}/allocations`),
+  createProject: (data) => api.post('/projects', data),
+  updateProject: (id, data) => api.put(`/projects/${id}`, data),
+  deleteProject: (id) => api.delete(`/projects/${id}`),
+};
+
 // AI Insights API - Intelligent Budget Analysis
 export const aiAPI = {
   // Get all AI data for dashboard
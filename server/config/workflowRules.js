@@ -1,26 +1,211 @@
-const VISIBILITY_BY_ROLE = {
-    coordinator: ["DRAFT", "PENDING"],
-    hod: ["PENDING"],
-    principal: ["HOD_VERIFIED"],
-    vice_principal: ["HOD_VERIFIED"],
-    office: ["MANAGEMENT_APPROVED"]
+// Default approval chains. These are used whenever an admin has not saved a
+// WorkflowDefinition for the entity type, and as the template for "reset".
+//
+// Each stage moves the document into `status` once its sign-off is complete:
+//   signOff 'any'        - one signature from any listed role completes the stage
+//   signOff 'parallel'   - every listed role must sign, in any order
+//   signOff 'sequential' - every listed role must sign, in the listed order
+// minAmount/maxAmount restrict a stage to documents within that amount band
+// (from minAmount up to, but not including, maxAmount), so a stage is skipped
+// when the amount falls outside it.
+//
+// Expenditures are additionally routed by tier. The first tier whose amount
+// band matches (tiers listing the budget head's category win over catch-all
+// tiers) may skip stages and override a stage's sign-off rule. When a tier
+// skips the final stage, its last remaining stage finalizes the expenditure.
+
+const DEFAULT_WORKFLOWS = {
+    BudgetProposal: {
+        name: 'Default budget proposal workflow',
+        initialStatus: 'PENDING',
+        stages: [
+            {
+                key: 'hod_verification',
+                label: 'HOD Verification',
+                status: 'HOD_VERIFIED',
+                action: 'verify',
+                roles: ['hod'],
+                signOff: 'any',
+                departmentScoped: true
+            },
+            {
+                key: 'management_verification',
+                label: 'Principal / Vice Principal Verification',
+                status: 'MANAGEMENT_APPROVED',
+                action: 'verify',
+                roles: ['principal', 'vice_principal'],
+                signOff: 'any'
+            },
+            {
+                key: 'office_allocation',
+                label: 'Office Allocation',
+                status: 'ALLOCATED',
+                action: 'approve',
+                roles: ['office', 'admin'],
+                signOff: 'any'
+            }
+        ]
+    },
+    Expenditure: {
+        name: 'Default expenditure workflow',
+        initialStatus: 'PENDING',
+        stages: [
+            {
+                key: 'hod_verification',
+                label: 'HOD Verification',
+                status: 'HOD_VERIFIED',
+                action: 'verify',
+                roles: ['hod'],
+                signOff: 'any',
+                departmentScoped: true
+            },
+            {
+                key: 'management_approval',
+                label: 'Principal / Vice Principal Approval',
+                status: 'MANAGEMENT_APPROVED',
+                action: 'approve',
+                roles: ['principal', 'vice_principal'],
+                signOff: 'any',
+                roleLimits: [{ role: 'vice_principal', maxAmount: 50000 }]
+            },
+            {
+                key: 'office_sanction',
+                label: 'Office Sanction',
+                status: 'FINALIZED',
+                action: 'finalize',
+                roles: ['office'],
+                signOff: 'any'
+            }
+        ],
+        routingTiers: [
+            {
+                key: 'small_claim',
+                label: 'Small claim',
+                categories: [],
+                minAmount: 0,
+                maxAmount: 10000,
+                skipStages: ['management_approval', 'office_sanction']
+            },
+            {
+                key: 'standard',
+                label: 'Standard',
+                categories: [],
+                minAmount: 10000,
+                maxAmount: 200000
+            },
+            {
+                key: 'large_purchase',
+                label: 'Large purchase',
+                categories: [],
+                minAmount: 200000,
+                maxAmount: null,
+                signOffOverrides: [{ stage: 'management_approval', signOff: 'parallel' }]
+            }
+        ]
+    },
+    Reappropriation: {
+        name: 'Default re-appropriation workflow',
+        initialStatus: 'PENDING',
+        stages: [
+            {
+                key: 'hod_verification',
+                label: 'HOD Verification',
+                status: 'HOD_VERIFIED',
+                action: 'verify',
+                roles: ['hod'],
+                signOff: 'any',
+                departmentScoped: true
+            },
+            {
+                key: 'principal_approval',
+                label: 'Principal Approval',
+                status: 'APPROVED',
+                action: 'approve',
+                roles: ['principal'],
+                signOff: 'any'
+            }
+        ]
+    },
+    Advance: {
+        name: 'Default advance workflow',
+        initialStatus: 'PENDING',
+        stages: [
+            {
+                key: 'hod_verification',
+                label: 'HOD Verification',
+                status: 'HOD_VERIFIED',
+                action: 'verify',
+                roles: ['hod'],
+                signOff: 'any',
+                departmentScoped: true
+            },
+            {
+                key: 'management_approval',
+                label: 'Principal / Vice Principal Approval',
+                status: 'APPROVED',
+                action: 'approve',
+                roles: ['principal', 'vice_principal'],
+                signOff: 'any'
+            }
+        ]
+    }
 };
 
-const PROPOSAL_TRANSITIONS = {
-    DRAFT: ["PENDING"],
-    PENDING: ["HOD_VERIFIED"],
-    HOD_VERIFIED: ["MANAGEMENT_APPROVED"],
-    MANAGEMENT_APPROVED: ["ALLOCATED"]
+// Statuses a stage may move a document into, and the terminal status. The
+// terminal side effects (allocation creation / budget deduction / fund
+// transfer / advance reservation) live in the handlers.
+const WORKFLOW_STATUSES = {
+    BudgetProposal: {
+        stageStatuses: ['HOD_VERIFIED', 'MANAGEMENT_APPROVED', 'ALLOCATED'],
+        terminalStatus: 'ALLOCATED',
+        terminalAction: 'approve'
+    },
+    Expenditure: {
+        stageStatuses: ['HOD_VERIFIED', 'MANAGEMENT_APPROVED', 'FINALIZED'],
+        terminalStatus: 'FINALIZED',
+        terminalAction: 'finalize'
+    },
+    Reappropriation: {
+        stageStatuses: ['HOD_VERIFIED', 'APPROVED'],
+        terminalStatus: 'APPROVED',
+        terminalAction: 'approve'
+    },
+    Advance: {
+        stageStatuses: ['HOD_VERIFIED', 'APPROVED'],
+        terminalStatus: 'APPROVED',
+        terminalAction: 'approve'
+    }
 };
 
-const EXPENDITURE_TRANSITIONS = {
-    PENDING: ["HOD_VERIFIED"],
-    HOD_VERIFIED: ["MANAGEMENT_APPROVED"],
-    MANAGEMENT_APPROVED: ["FINALIZED"]
+// Statuses a role sees in "pending" views on top of the stages it acts on.
+// DRAFT is listed for submitters only: a draft stays out of every approver's
+// queue until it is explicitly submitted.
+const VISIBILITY_BY_ROLE = {
+    coordinator: ['DRAFT', 'PENDING']
+};
+
+// Roles that only ever see their own department's records
+const DEPARTMENT_BOUND_ROLES = ['coordinator', 'hod'];
+
+// Roles that may reach the workflow action endpoints; the active workflow
+// definition decides which of them can act on a particular document.
+const APPROVER_ROLES = ['hod', 'office', 'vice_principal', 'principal', 'admin'];
+
+// Seniority of the roles that can hand their approval authority to a
+// substitute. The substitute must hold one of these roles at or above the
+// level of the approver they stand in for.
+const APPROVER_LEVELS = {
+    hod: 1,
+    office: 1,
+    vice_principal: 2,
+    principal: 3
 };
 
 module.exports = {
+    DEFAULT_WORKFLOWS,
+    WORKFLOW_STATUSES,
     VISIBILITY_BY_ROLE,
-    PROPOSAL_TRANSITIONS,
-    EXPENDITURE_TRANSITIONS
+    DEPARTMENT_BOUND_ROLES,
+    APPROVER_ROLES,
+    APPROVER_LEVELS
 };
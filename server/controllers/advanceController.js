@@ -0,0 +1,600 @@
+const Advance = require('../models/Advance');
+const Allocation = require('../models/Allocation');
+const FinancialYear = require('../models/FinancialYear');
+const Settings = require('../models/Settings');
+const { recordAuditLog } = require('../utils/auditService');
+const {
+  notifyAdvanceSubmission,
+  notifyAdvanceDecision
+} = require('../utils/notificationService');
+const {
+  getWorkflowDefinition,
+  evaluateDelegatedAction,
+  evaluateDelegatedRejection,
+  recordSignOff,
+  signOffSubmitterStage,
+  getQueueClauses,
+  describeProgress
+} = require('../services/workflowService');
+const { getActiveDelegators } = require('../services/delegationService');
+const { DEPARTMENT_BOUND_ROLES } = require('../config/workflowRules');
+const {
+  OPEN_ADVANCE_STATUSES,
+  getAvailableAmount,
+  commitFunds,
+  releaseFunds
+} = require('../services/commitmentService');
+const { getSettlementDays, getSettlementDueDate } = require('../services/advanceService');
+
+// Requests that have not been decided yet hold no funds
+const UNAPPROVED_STATUSES = ['PENDING', 'HOD_VERIFIED'];
+
+const populateAdvance = (query) => {
+  return query
+    .populate('department', 'name code')
+    .populate('budgetHead', 'name category')
+    .populate('allocation', 'allocatedAmount spentAmount committedAmount')
+    .populate('requestedBy', 'name email')
+    .populate('cancelledBy', 'name email')
+    .populate('approvalSteps.approver', 'name email role')
+    .populate('approvalSteps.onBehalfOf', 'name email role')
+    .populate('expenditures', 'transactionId totalAmount status createdAt');
+};
+
+const isYearClosed = async (financialYear) => {
+  const fy = await FinancialYear.findOne({ year: financialYear });
+  return Boolean(fy && ['locked', 'closed'].includes(fy.status));
+};
+
+// Same April-March convention as expenditures
+const getFinancialYear = (date) => {
+  const year = date.getFullYear();
+  return date.getMonth() + 1 >= 4 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
+};
+
+// Shared handler for the verify and approve workflow actions
+const signOffAdvance = (action) => async (req, res) => {
+  const session = await Advance.startSession();
+  session.startTransaction();
+
+  try {
+    const { id } = req.params;
+    const { remarks } = req.body;
+
+    const advance = await Advance.findById(id).session(session);
+    if (!advance) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Advance not found'
+      });
+    }
+
+    const workflow = await getWorkflowDefinition('Advance');
+    const evaluation = evaluateDelegatedAction({
+      definition: workflow,
+      document: advance,
+      user: req.user,
+      action,
+      amount: advance.amount
+    }, await getActiveDelegators(req.user._id));
+
+    if (!evaluation.allowed) {
+      await session.abortTransaction();
+      return res.status(evaluation.statusCode).json({
+        success: false,
+        message: evaluation.message
+      });
+    }
+
+    const previousStatus = advance.status;
+    const signOff = recordSignOff(advance, evaluation.stage, req.user, remarks, evaluation.onBehalfOf);
+
+    // Final approval reserves the advance on the allocation until it is settled
+    if (signOff.status === 'APPROVED') {
+      if (await isYearClosed(advance.financialYear)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Cannot approve advances in a locked or closed financial year: ${advance.financialYear}`
+        });
+      }
+
+      const overspendPolicy = await Settings.findOne({ key: 'budget_overspend_policy' });
+      const committed = await commitFunds(advance.allocation, advance.amount, {
+        session,
+        allowOverspend: overspendPolicy ? overspendPolicy.value !== 'disallow' : false
+      });
+      if (!committed) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `The allocation no longer has ₹${advance.amount.toLocaleString('en-IN')} available for this advance`
+        });
+      }
+
+      advance.committedAmount = advance.amount;
+      advance.approvedAt = new Date();
+      advance.settlementDueDate = getSettlementDueDate(advance.eventDate, advance.approvedAt, await getSettlementDays());
+    }
+
+    await advance.save({ session });
+    await session.commitTransaction();
+
+    console.log(`[Debug] Advance Status Transition: ${previousStatus} -> ${signOff.status} (by ${req.user.role})`);
+
+    const populated = await populateAdvance(Advance.findById(id));
+
+    await recordAuditLog({
+      eventType: signOff.status === 'APPROVED' ? 'advance_approved' : 'advance_verified',
+      req,
+      targetEntity: 'Advance',
+      targetId: id,
+      details: {
+        advanceNumber: advance.advanceNumber,
+        stage: evaluation.stage.key,
+        previousStatus,
+        newStatus: signOff.status,
+        amount: advance.amount,
+        settlementDueDate: advance.settlementDueDate,
+        onBehalfOf: evaluation.onBehalfOf ? evaluation.onBehalfOf.name : undefined,
+        remarks
+      }
+    });
+
+    if (signOff.status === 'APPROVED') {
+      await notifyAdvanceDecision(populated, req.user, remarks);
+    }
+
+    let message;
+    if (signOff.status === 'APPROVED') {
+      message = `Advance approved. ₹${advance.amount.toLocaleString('en-IN')} reserved; bills are due by ${advance.settlementDueDate.toLocaleDateString('en-IN')}.`;
+    } else if (signOff.completed) {
+      message = `Advance ${action === 'verify' ? 'verified' : 'approved'} at ${evaluation.stage.label}.`;
+    } else {
+      message = `Sign-off recorded. Awaiting ${signOff.pendingRoles.join(', ').toUpperCase()}.`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: { advance: populated, pendingRoles: signOff.pendingRoles }
+    });
+  } catch (error) {
+    if (session.transaction.isActive) {
+      await session.abortTransaction();
+    }
+    console.error(`Advance ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing advance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Get advances
+// @route   GET /api/advances
+// @access  Private
+const getAdvances = async (req, res) => {
+  try {
+    const { financialYear, department, budgetHead, status, overdue, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+    if (financialYear) query.financialYear = financialYear;
+    if (budgetHead) query.budgetHead = budgetHead;
+    if (overdue === 'true') query.isOverdue = true;
+
+    // Queue for the user and any approvers they are covering for
+    const identities = status === 'pending_approval'
+      ? [req.user, ...await getActiveDelegators(req.user._id)]
+      : [req.user];
+    const queueClauses = status === 'pending_approval' ? await getQueueClauses('Advance', identities) : [];
+
+    if (queueClauses.length > 0) {
+      query.$or = queueClauses;
+    } else if (status === 'open') {
+      query.status = { $in: OPEN_ADVANCE_STATUSES };
+    } else if (status && status !== 'pending_approval') {
+      query.status = status;
+    }
+
+    if (identities.every(identity => DEPARTMENT_BOUND_ROLES.includes(identity.role))) {
+      const departments = [...new Set(identities.map(identity => identity.department?.toString()).filter(Boolean))];
+      query.department = departments.length === 1 ? departments[0] : { $in: departments };
+    } else if (department) {
+      query.department = department;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [items, total, workflow] = await Promise.all([
+      populateAdvance(Advance.find(query))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Advance.countDocuments(query),
+      getWorkflowDefinition('Advance')
+    ]);
+
+    // Attach the stage each request is waiting on so the UI can offer the right action
+    const advances = items.map(item => ({
+      ...item.toJSON(),
+      progress: describeProgress(workflow, item, item.amount)
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        advances,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get advances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching advances',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get an advance with its workflow progress
+// @route   GET /api/advances/:id
+// @access  Private
+const getAdvanceById = async (req, res) => {
+  try {
+    const advance = await populateAdvance(Advance.findById(req.params.id));
+
+    if (!advance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Advance not found'
+      });
+    }
+
+    if (DEPARTMENT_BOUND_ROLES.includes(req.user.role)
+      && advance.department._id.toString() !== req.user.department?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your department advances.'
+      });
+    }
+
+    const workflow = await getWorkflowDefinition('Advance');
+
+    res.json({
+      success: true,
+      data: {
+        advance,
+        progress: describeProgress(workflow, advance, advance.amount)
+      }
+    });
+  } catch (error) {
+    console.error('Get advance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching advance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Request a cash advance for an upcoming event
+// @route   POST /api/advances
+// @access  Private/Coordinator/HOD/Office/Admin
+const createAdvance = async (req, res) => {
+  try {
+    const { budgetHead, eventName, eventDate, purpose, amount } = req.body;
+    const department = DEPARTMENT_BOUND_ROLES.includes(req.user.role) ? req.user.department : req.body.department;
+    const advanceAmount = parseFloat(amount);
+
+    if (!department || !budgetHead || !eventName || !eventDate || !purpose || !(advanceAmount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Department, budget head, event name, event date, purpose and a positive amount are required'
+      });
+    }
+
+    const eventDateObj = new Date(eventDate);
+    const financialYear = getFinancialYear(eventDateObj);
+
+    if (await isYearClosed(financialYear)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot request advances in a locked or closed financial year (${financialYear})`
+      });
+    }
+
+    const allocation = await Allocation.findOne({ department, budgetHead, financialYear });
+    if (!allocation) {
+      return res.status(400).json({
+        success: false,
+        message: 'No budget has been allocated for this budget head'
+      });
+    }
+
+    const overspendPolicy = await Settings.findOne({ key: 'budget_overspend_policy' });
+    const available = getAvailableAmount(allocation);
+    if (advanceAmount > available && (!overspendPolicy || overspendPolicy.value === 'disallow')) {
+      return res.status(400).json({
+        success: false,
+        message: `Advance amount (₹${advanceAmount.toLocaleString('en-IN')}) exceeds available budget (₹${available.toLocaleString('en-IN')})`,
+        availableBudget: available
+      });
+    }
+
+    // ADV/YYYY-YYYY/NNNN, numbered per financial year
+    const count = await Advance.countDocuments({ financialYear });
+    const advanceNumber = `ADV/${financialYear}/${(count + 1).toString().padStart(4, '0')}`;
+
+    const advance = new Advance({
+      advanceNumber,
+      financialYear,
+      department,
+      budgetHead,
+      allocation: allocation._id,
+      eventName,
+      eventDate: eventDateObj,
+      purpose,
+      amount: advanceAmount,
+      requestedBy: req.user._id
+    });
+    // A HOD's own request starts past HOD verification
+    signOffSubmitterStage(await getWorkflowDefinition('Advance'), advance, req.user, advanceAmount);
+    await advance.save();
+
+    await recordAuditLog({
+      eventType: 'advance_requested',
+      req,
+      targetEntity: 'Advance',
+      targetId: advance._id,
+      details: {
+        advanceNumber,
+        eventName,
+        amount: advanceAmount,
+        allocation: allocation._id
+      },
+      newValues: advance
+    });
+
+    const populated = await populateAdvance(Advance.findById(advance._id));
+    await notifyAdvanceSubmission(populated);
+
+    res.status(201).json({
+      success: true,
+      message: `Advance ${advanceNumber} submitted for approval`,
+      data: { advance: populated }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed: ' + messages.join(', ')
+      });
+    }
+    console.error('Create advance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating advance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Verify advance request
+// @route   PUT /api/advances/:id/verify
+// @access  Private (roles from the Advance workflow)
+const verifyAdvance = signOffAdvance('verify');
+
+// @desc    Approve advance request; the final approval reserves the funds
+// @route   PUT /api/advances/:id/approve
+// @access  Private (roles from the Advance workflow)
+const approveAdvance = signOffAdvance('approve');
+
+// @desc    Reject advance request
+// @route   PUT /api/advances/:id/reject
+// @access  Private (roles from the Advance workflow)
+const rejectAdvance = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { remarks } = req.body;
+
+    if (!remarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection remarks are required'
+      });
+    }
+
+    const advance = await Advance.findById(id);
+    if (!advance) {
+      return res.status(404).json({
+        success: false,
+        message: 'Advance not found'
+      });
+    }
+
+    const workflow = await getWorkflowDefinition('Advance');
+    const evaluation = evaluateDelegatedRejection({
+      definition: workflow,
+      document: advance,
+      user: req.user,
+      amount: advance.amount
+    }, await getActiveDelegators(req.user._id));
+
+    if (!evaluation.allowed) {
+      return res.status(evaluation.statusCode).json({
+        success: false,
+        message: evaluation.message
+      });
+    }
+
+    const previousStatus = advance.status;
+    advance.status = 'REJECTED';
+    advance.rejectionReason = remarks;
+    advance.approvalSteps.push({
+      approver: req.user._id,
+      role: evaluation.onBehalfOf ? evaluation.onBehalfOf.role : req.user.role,
+      onBehalfOf: evaluation.onBehalfOf ? evaluation.onBehalfOf._id : undefined,
+      decision: 'reject',
+      stage: evaluation.stage.key,
+      remarks,
+      timestamp: new Date()
+    });
+
+    await advance.save();
+
+    const populated = await populateAdvance(Advance.findById(id));
+
+    await recordAuditLog({
+      eventType: 'advance_rejected',
+      req,
+      targetEntity: 'Advance',
+      targetId: id,
+      details: { advanceNumber: advance.advanceNumber, stage: evaluation.stage.key, previousStatus, remarks }
+    });
+
+    await notifyAdvanceDecision(populated, req.user, remarks);
+
+    res.json({
+      success: true,
+      message: 'Advance request rejected',
+      data: { advance: populated }
+    });
+  } catch (error) {
+    console.error('Reject advance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting advance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Withdraw an advance request, or cancel an approved advance that was
+//          returned unused, releasing its reservation
+// @route   PUT /api/advances/:id/cancel
+// @access  Private (requester before approval; Office/Admin afterwards)
+const cancelAdvance = async (req, res) => {
+  const session = await Advance.startSession();
+  session.startTransaction();
+
+  try {
+    const { reason } = req.body;
+
+    const advance = await Advance.findById(req.params.id).session(session);
+    if (!advance) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Advance not found'
+      });
+    }
+
+    if (!reason) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to cancel an advance'
+      });
+    }
+
+    const isRequester = advance.requestedBy.toString() === req.user._id.toString();
+    const isAccounts = ['office', 'admin'].includes(req.user.role);
+
+    if (UNAPPROVED_STATUSES.includes(advance.status)) {
+      if (!isRequester && !isAccounts) {
+        await session.abortTransaction();
+        return res.status(403).json({
+          success: false,
+          message: 'Only the requester or the office can withdraw this advance request'
+        });
+      }
+    } else if (advance.status === 'APPROVED') {
+      if (!isAccounts) {
+        await session.abortTransaction();
+        return res.status(403).json({
+          success: false,
+          message: 'Only the office can cancel an approved advance, once the cash has been returned'
+        });
+      }
+    } else {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: advance.status === 'SETTLEMENT_SUBMITTED'
+          ? 'Bills against this advance are awaiting approval; reject them before cancelling'
+          : `Advance is already ${advance.status.toLowerCase()}`
+      });
+    }
+
+    const released = advance.committedAmount;
+    await releaseFunds(advance.allocation, released, session);
+
+    const previousStatus = advance.status;
+    advance.committedAmount = 0;
+    advance.status = 'CANCELLED';
+    advance.isOverdue = false;
+    advance.cancelledBy = req.user._id;
+    advance.cancelledAt = new Date();
+    advance.cancelReason = reason;
+    await advance.save({ session });
+
+    await session.commitTransaction();
+
+    await recordAuditLog({
+      eventType: 'advance_cancelled',
+      req,
+      targetEntity: 'Advance',
+      targetId: advance._id,
+      details: {
+        advanceNumber: advance.advanceNumber,
+        previousStatus,
+        releasedAmount: released,
+        reason
+      }
+    });
+
+    const populated = await populateAdvance(Advance.findById(advance._id));
+
+    res.json({
+      success: true,
+      message: released > 0
+        ? `${advance.advanceNumber} cancelled; ₹${released.toLocaleString('en-IN')} returned to the allocation`
+        : `${advance.advanceNumber} withdrawn`,
+      data: { advance: populated }
+    });
+  } catch (error) {
+    if (session.transaction.isActive) {
+      await session.abortTransaction();
+    }
+    console.error('Cancel advance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling advance',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  getAdvances,
+  getAdvanceById,
+  createAdvance,
+  verifyAdvance,
+  approveAdvance,
+  rejectAdvance,
+  cancelAdvance
+};
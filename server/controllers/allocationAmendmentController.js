@@ -0,0 +1,479 @@
+const AllocationAmendment = require('../models/AllocationAmendment');
+const Allocation = require('../models/Allocation');
+const AllocationHistory = require('../models/AllocationHistory');
+const FinancialYear = require('../models/FinancialYear');
+const { recordAuditLog } = require('../utils/auditService');
+const {
+  notifyAllocationAmendmentRequest,
+  notifyAllocationAmendmentDecision
+} = require('../utils/notificationService');
+const { COMMITTED } = require('../services/commitmentService');
+const {
+  AMENDMENT_APPROVER_ROLES,
+  buildAmendment,
+  getPendingAmendment,
+  countApprovers,
+  recordAmendmentApproval
+} = require('../services/allocationAmendmentService');
+const { getActiveDelegators, resolveActingRole } = require('../services/delegationService');
+const { findRollupBreach, describeBreach } = require('../services/budgetHeadTreeService');
+
+const populateAmendment = (query) => {
+  return query
+    .populate({
+      path: 'allocation',
+      select: 'financialYear department budgetHead allocatedAmount spentAmount committedAmount status',
+      populate: [
+        { path: 'department', select: 'name code' },
+        { path: 'budgetHead', select: 'name category' }
+      ]
+    })
+    .populate('requestedBy', 'name email role')
+    .populate('approvedBy', 'name email role')
+    .populate('onBehalfOf', 'name email role')
+    .populate('approvals.approver', 'name email role')
+    .populate('approvals.onBehalfOf', 'name email role');
+};
+
+const isYearClosed = async (financialYear) => {
+  const fy = await FinancialYear.findOne({ year: financialYear });
+  return Boolean(fy && ['locked', 'closed'].includes(fy.status));
+};
+
+// HODs and department users only see their own department's allocations
+const isDepartmentScoped = (user) => ['hod', 'department'].includes(user.role);
+
+// Authority the caller decides under (their own, or an absent principal's or
+// vice principal's), or the 403 explaining why they cannot decide this request
+const resolveDecider = async (user, amendment) => {
+  const authority = resolveActingRole(user, AMENDMENT_APPROVER_ROLES, await getActiveDelegators(user._id));
+  if (!authority) {
+    return { error: 'Only the principal or vice principal, or their substitute, can decide allocation amendments' };
+  }
+  if (amendment.requestedBy.equals(user._id) || (authority.onBehalfOf && amendment.requestedBy.equals(authority.onBehalfOf._id))) {
+    return { error: 'You cannot decide your own amendment request' };
+  }
+  return { authority };
+};
+
+// Apply an approved amendment and write the next AllocationHistory version.
+// Fails (returns null) if the allocation moved since the request or is now
+// spent and committed beyond the requested amount.
+const applyAmendment = async (amendment, userId, session) => {
+  const allocation = await Allocation.findOneAndUpdate(
+    {
+      _id: amendment.allocation,
+      allocatedAmount: amendment.originalAmount,
+      $expr: { $lte: [{ $add: ['$spentAmount', COMMITTED] }, amendment.requestedAmount] }
+    },
+    {
+      $set: {
+        allocatedAmount: amendment.requestedAmount,
+        status: 'amended',
+        amendmentRequestId: amendment._id,
+        lastModifiedBy: userId
+      }
+    },
+    { new: true, session }
+  );
+  if (!allocation) return null;
+
+  const latestHistory = await AllocationHistory.findOne({ allocationId: allocation._id })
+    .sort({ version: -1 })
+    .session(session);
+  const version = latestHistory ? latestHistory.version + 1 : 1;
+
+  await AllocationHistory.create([{
+    allocationId: allocation._id,
+    version,
+    changeType: 'amended',
+    snapshot: {
+      department: allocation.department,
+      budgetHead: allocation.budgetHead,
+      allocatedAmount: allocation.allocatedAmount,
+      spentAmount: allocation.spentAmount,
+      financialYear: allocation.financialYear,
+      remarks: allocation.remarks
+    },
+    changes: {
+      allocatedAmount: {
+        old: amendment.originalAmount,
+        new: allocation.allocatedAmount
+      }
+    },
+    changeReason: `Amendment: ${amendment.changeReason}`,
+    amendment: amendment._id,
+    changedBy: userId
+  }], { session });
+
+  return { allocation, version };
+};
+
+// @desc    Get allocation amendment requests
+// @route   GET /api/allocations/amendments
+// @access  Private
+const getAmendments = async (req, res) => {
+  try {
+    const { status, allocation } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (allocation) query.allocation = allocation;
+
+    if (isDepartmentScoped(req.user)) {
+      const allocationIds = await Allocation.find({ department: req.user.department }).distinct('_id');
+      query.allocation = allocation ? { $in: allocationIds, $eq: allocation } : { $in: allocationIds };
+    }
+
+    const amendments = await populateAmendment(AllocationAmendment.find(query)).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { amendments }
+    });
+  } catch (error) {
+    console.error('Get allocation amendments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching allocation amendments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Request a change to an allocated amount
+// @route   POST /api/allocations/:id/amendments
+// @access  Private/HOD
+const requestAmendment = async (req, res) => {
+  try {
+    const requestedAmount = parseFloat(req.body.requestedAmount);
+    const changeReason = req.body.changeReason ? String(req.body.changeReason).trim() : '';
+
+    if (!(requestedAmount >= 0) || !changeReason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Requested amount and reason are required'
+      });
+    }
+
+    const allocation = await Allocation.findById(req.params.id);
+    if (!allocation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation not found'
+      });
+    }
+
+    if (isDepartmentScoped(req.user) && allocation.department.toString() !== req.user.department?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only request amendments for your department allocations.'
+      });
+    }
+
+    if (await isYearClosed(allocation.financialYear)) {
+      return res.status(400).json({
+        success: false,
+        message: `Financial year ${allocation.financialYear} is locked or closed`
+      });
+    }
+
+    if (requestedAmount === allocation.allocatedAmount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Requested amount is the same as the current allocation'
+      });
+    }
+
+    if (requestedAmount < allocation.spentAmount + (allocation.committedAmount || 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Requested amount cannot be less than already spent and committed amount'
+      });
+    }
+
+    if (await getPendingAmendment(allocation._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'An amendment for this allocation is already awaiting approval'
+      });
+    }
+
+    const breach = await findRollupBreach({ ...allocation.toObject(), allocatedAmount: requestedAmount });
+    if (breach) {
+      return res.status(400).json({
+        success: false,
+        message: describeBreach(breach)
+      });
+    }
+
+    const amendment = await buildAmendment(allocation, {
+      requestedAmount,
+      changeReason,
+      requestedBy: req.user._id
+    });
+    await amendment.save();
+    await Allocation.updateOne({ _id: allocation._id }, { $set: { amendmentRequestId: amendment._id } });
+
+    await recordAuditLog({
+      eventType: 'allocation_amendment_requested',
+      req,
+      targetEntity: 'AllocationAmendment',
+      targetId: amendment._id,
+      details: {
+        allocation: allocation._id,
+        originalAmount: amendment.originalAmount,
+        requestedAmount,
+        changePercent: amendment.changePercent,
+        requiredApprovals: amendment.requiredApprovals,
+        changeReason
+      }
+    });
+
+    await notifyAllocationAmendmentRequest(amendment, allocation);
+
+    const populated = await populateAmendment(AllocationAmendment.findById(amendment._id));
+
+    res.status(201).json({
+      success: true,
+      message: amendment.requiredApprovals > 1
+        ? 'Amendment requested. This change needs two approvals.'
+        : 'Amendment requested and sent to the Principal',
+      data: { amendment: populated }
+    });
+  } catch (error) {
+    console.error('Request allocation amendment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting allocation amendment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Approve an allocation amendment; the last required approval applies it
+// @route   PUT /api/allocations/amendments/:amendmentId/approve
+// @access  Private/Principal/Vice Principal
+const approveAmendment = async (req, res) => {
+  const session = await AllocationAmendment.startSession();
+  session.startTransaction();
+
+  try {
+    const { amendmentId } = req.params;
+    const remarks = req.body.remarks ? String(req.body.remarks).trim() : '';
+
+    const existing = await AllocationAmendment.findById(amendmentId).session(session);
+    if (!existing) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation amendment not found'
+      });
+    }
+
+    if (existing.status !== 'pending') {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Allocation amendment has already been ${existing.status}`
+      });
+    }
+
+    const { authority, error: deciderError } = await resolveDecider(req.user, existing);
+    if (deciderError) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: deciderError
+      });
+    }
+
+    const allocation = await Allocation.findById(existing.allocation).session(session);
+    if (!allocation || await isYearClosed(allocation.financialYear)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: allocation
+          ? `Financial year ${allocation.financialYear} is locked or closed`
+          : 'Allocation not found'
+      });
+    }
+
+    // Each approver counts once, whether they sign in person or through a
+    // substitute; two approvals must come from two different approvers
+    const amendment = await recordAmendmentApproval(amendmentId, {
+      user: req.user,
+      role: authority.role,
+      onBehalfOf: authority.onBehalfOf,
+      remarks
+    }, session);
+    if (!amendment) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: authority.onBehalfOf
+          ? `You or ${authority.onBehalfOf.name} have already approved this amendment`
+          : 'You have already approved this amendment'
+      });
+    }
+
+    const finalApproval = countApprovers(amendment) >= amendment.requiredApprovals;
+    let applied = null;
+
+    if (finalApproval) {
+      // Other allocations in the tree may have moved while the request waited
+      const breach = await findRollupBreach({ ...allocation.toObject(), allocatedAmount: amendment.requestedAmount }, session);
+      if (breach) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: describeBreach(breach)
+        });
+      }
+
+      applied = await applyAmendment(amendment, req.user._id, session);
+      if (!applied) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'The allocation has changed since this amendment was requested, or is already spent beyond the requested amount. Reject it and raise a new request.'
+        });
+      }
+
+      amendment.status = 'approved';
+      amendment.approvedBy = req.user._id;
+      amendment.onBehalfOf = authority.onBehalfOf ? authority.onBehalfOf._id : null;
+      amendment.approvalRemarks = remarks || undefined;
+      await amendment.save({ session });
+    }
+
+    await session.commitTransaction();
+
+    await recordAuditLog({
+      eventType: 'allocation_amendment_approved',
+      req,
+      targetEntity: 'AllocationAmendment',
+      targetId: amendment._id,
+      details: {
+        allocation: allocation._id,
+        approvalsRecorded: countApprovers(amendment),
+        requiredApprovals: amendment.requiredApprovals,
+        finalApproval,
+        role: authority.role,
+        onBehalfOf: authority.onBehalfOf ? authority.onBehalfOf._id : undefined,
+        version: applied ? applied.version : undefined,
+        remarks
+      },
+      previousValues: finalApproval ? { allocatedAmount: amendment.originalAmount, status: allocation.status } : null,
+      newValues: finalApproval ? { allocatedAmount: applied.allocation.allocatedAmount, status: applied.allocation.status } : null
+    });
+
+    if (finalApproval) {
+      await notifyAllocationAmendmentDecision(amendment, req.user);
+    }
+
+    const populated = await populateAmendment(AllocationAmendment.findById(amendment._id));
+
+    res.json({
+      success: true,
+      message: finalApproval
+        ? `Amendment approved. Allocation is now ₹${amendment.requestedAmount.toLocaleString('en-IN')}`
+        : 'Approval recorded. A second approver must also approve this amendment.',
+      data: { amendment: populated }
+    });
+  } catch (error) {
+    if (session.transaction.isActive) await session.abortTransaction();
+    console.error('Approve allocation amendment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving allocation amendment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Reject an allocation amendment
+// @route   PUT /api/allocations/amendments/:amendmentId/reject
+// @access  Private/Principal/Vice Principal
+const rejectAmendment = async (req, res) => {
+  try {
+    const remarks = req.body.remarks ? String(req.body.remarks).trim() : '';
+    if (!remarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remarks are required when rejecting an amendment'
+      });
+    }
+
+    const amendment = await AllocationAmendment.findById(req.params.amendmentId);
+    if (!amendment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation amendment not found'
+      });
+    }
+
+    if (amendment.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Allocation amendment has already been ${amendment.status}`
+      });
+    }
+
+    const { authority, error: deciderError } = await resolveDecider(req.user, amendment);
+    if (deciderError) {
+      return res.status(403).json({
+        success: false,
+        message: deciderError
+      });
+    }
+
+    amendment.status = 'rejected';
+    amendment.approvedBy = req.user._id;
+    amendment.onBehalfOf = authority.onBehalfOf ? authority.onBehalfOf._id : null;
+    amendment.approvalRemarks = remarks;
+    await amendment.save();
+
+    await recordAuditLog({
+      eventType: 'allocation_amendment_rejected',
+      req,
+      targetEntity: 'AllocationAmendment',
+      targetId: amendment._id,
+      details: {
+        allocation: amendment.allocation,
+        requestedAmount: amendment.requestedAmount,
+        approvalsRecorded: countApprovers(amendment),
+        role: authority.role,
+        onBehalfOf: authority.onBehalfOf ? authority.onBehalfOf._id : undefined,
+        remarks
+      },
+      previousValues: { status: 'pending' }
+    });
+
+    await notifyAllocationAmendmentDecision(amendment, req.user);
+
+    const populated = await populateAmendment(AllocationAmendment.findById(amendment._id));
+
+    res.json({
+      success: true,
+      message: 'Amendment rejected',
+      data: { amendment: populated }
+    });
+  } catch (error) {
+    console.error('Reject allocation amendment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting allocation amendment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getAmendments,
+  requestAmendment,
+  approveAmendment,
+  rejectAmendment
+};
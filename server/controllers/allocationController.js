@@ -4,8 +4,18 @@ const BudgetHead = require('../models/BudgetHead');
 const Expenditure = require('../models/Expenditure');
 const AllocationHistory = require('../models/AllocationHistory');
 const BudgetProposal = require('../models/BudgetProposal');
-const AllocationAmendment = require('../models/AllocationAmendment');
+const PurchaseOrder = require('../models/PurchaseOrder');
 const { recordAuditLog } = require('../utils/auditService');
+const { notifyAllocationAmendmentRequest } = require('../utils/notificationService');
+const { buildAmendment, getPendingAmendment } = require('../services/allocationAmendmentService');
+const { normalizePhasing, getReleasedAmount, getNextRelease } = require('../services/phasingService');
+const { findRollupBreach, describeBreach } = require('../services/budgetHeadTreeService');
+
+// Release schedule figures as of today, for display
+const withRelease = (allocation) => ({
+  releasedAmount: getReleasedAmount(allocation),
+  nextRelease: getNextRelease(allocation)
+});
 
 // @desc    Get all allocations
 // @route   GET /api/allocations
@@ -57,7 +67,8 @@ const getAllocations = async (req, res) => {
         departmentCode: alloc.department?.code,
         budgetHeadName: alloc.budgetHead?.name,
         budgetHeadId: alloc.budgetHead?._id,
-        budgetHeadCode: alloc.budgetHead?.code
+        budgetHeadCode: alloc.budgetHead?.code,
+        ...withRelease(alloc)
       };
     });
 
@@ -106,7 +117,8 @@ const getAllocationById = async (req, res) => {
     const expenditures = await Expenditure.find({
       department: allocation.department._id,
       budgetHead: allocation.budgetHead._id,
-      financialYear: allocation.financialYear
+      financialYear: allocation.financialYear,
+      status: { $ne: 'DRAFT' }
     })
       .populate('submittedBy', 'name email')
       .sort({ createdAt: -1 });
@@ -114,7 +126,7 @@ const getAllocationById = async (req, res) => {
     res.json({
       success: true,
       data: {
-        allocation,
+        allocation: { ...allocation.toJSON(), ...withRelease(allocation) },
         expenditures
       }
     });
@@ -156,6 +168,16 @@ const createAllocation = async (req, res) => {
       });
     }
 
+    const phasing = normalizePhasing(req.body.phasing, req.body.phases);
+    if (phasing.error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: phasing.error
+      });
+    }
+
     // GOVERNANCE: Require proposalId for new allocations (unless legacy flag set by admin)
     if (!proposalId && !allowLegacy) {
       await session.abortTransaction();
@@ -246,12 +268,25 @@ const createAllocation = async (req, res) => {
       });
     }
 
+    // Sub-head allocations must fit within the heads above them
+    const breach = await findRollupBreach({ financialYear, department, budgetHead, allocatedAmount: parseFloat(allocatedAmount) }, session);
+    if (breach) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: describeBreach(breach)
+      });
+    }
+
     const allocation = await Allocation.create([{
       financialYear,
       department,
       budgetHead,
       allocatedAmount: parseFloat(allocatedAmount),
       remarks,
+      phasing: phasing.phasing,
+      phases: phasing.phases,
       sourceProposalId: proposalId || null, // Link to proposal or null for legacy
       status: 'active',
       createdBy: req.user._id
@@ -313,6 +348,16 @@ const updateAllocation = async (req, res) => {
     const { allocatedAmount, remarks, changeReason } = req.body;
     const allocationId = req.params.id;
 
+    // A new release schedule applies directly; only amount changes go through amendments
+    const phasing = req.body.phasing !== undefined ? normalizePhasing(req.body.phasing, req.body.phases) : null;
+    if (phasing?.error) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: phasing.error
+      });
+    }
+
     const allocation = await Allocation.findById(allocationId).session(session);
     if (!allocation) {
       await session.abortTransaction();
@@ -322,15 +367,31 @@ const updateAllocation = async (req, res) => {
       });
     }
 
-    // Check if new allocated amount is less than already spent amount
-    if (allocatedAmount && parseFloat(allocatedAmount) < allocation.spentAmount) {
+    // Check if new allocated amount is less than already spent and committed amount
+    if (allocatedAmount && parseFloat(allocatedAmount) < allocation.spentAmount + (allocation.committedAmount || 0)) {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
-        message: 'Allocated amount cannot be less than already spent amount'
+        message: 'Allocated amount cannot be less than already spent and committed amount'
       });
     }
 
+    if (allocatedAmount && parseFloat(allocatedAmount) !== allocation.allocatedAmount) {
+      const breach = await findRollupBreach({
+        financialYear: allocation.financialYear,
+        department: allocation.department,
+        budgetHead: allocation.budgetHead,
+        allocatedAmount: parseFloat(allocatedAmount)
+      }, session);
+      if (breach) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: describeBreach(breach)
+        });
+      }
+    }
+
     // GOVERNANCE: Check if amount change exceeds 5% threshold
     if (allocatedAmount && parseFloat(allocatedAmount) !== allocation.allocatedAmount) {
       const changeAmount = parseFloat(allocatedAmount) - allocation.allocatedAmount;
@@ -344,15 +405,21 @@ const updateAllocation = async (req, res) => {
         if (!canBypass) {
           await session.abortTransaction();
 
+          if (await getPendingAmendment(allocationId)) {
+            return res.status(400).json({
+              success: false,
+              message: 'An amendment for this allocation is already awaiting approval'
+            });
+          }
+
           // Create amendment request
-          const amendment = await AllocationAmendment.create({
-            allocation: allocationId,
-            originalAmount: allocation.allocatedAmount,
+          const amendment = await buildAmendment(allocation, {
             requestedAmount: parseFloat(allocatedAmount),
             changeReason: changeReason || remarks || 'Allocation update request',
-            requestedBy: req.user._id,
-            status: 'pending'
+            requestedBy: req.user._id
           });
+          await amendment.save();
+          await Allocation.updateOne({ _id: allocationId }, { $set: { amendmentRequestId: amendment._id } });
 
           await recordAuditLog({
             eventType: 'allocation_amendment_requested',
@@ -363,13 +430,16 @@ const updateAllocation = async (req, res) => {
               allocation: allocationId,
               originalAmount: allocation.allocatedAmount,
               requestedAmount: parseFloat(allocatedAmount),
-              changePercent: changePercent.toFixed(2)
+              changePercent: changePercent.toFixed(2),
+              requiredApprovals: amendment.requiredApprovals
             }
           });
 
+          await notifyAllocationAmendmentRequest(amendment, allocation);
+
           return res.status(202).json({
             success: true,
-            message: `Change exceeds 5% threshold (${changePercent.toFixed(1)}%). Amendment request created for Principal/Admin approval.`,
+            message: `Change exceeds 5% threshold (${changePercent.toFixed(1)}%). Amendment request created for Principal approval.`,
             data: { amendment },
             requiresApproval: true
           });
@@ -394,7 +464,9 @@ const updateAllocation = async (req, res) => {
     const previousValues = {
       allocatedAmount: allocation.allocatedAmount,
       spentAmount: allocation.spentAmount,
-      remarks: allocation.remarks
+      remarks: allocation.remarks,
+      phasing: allocation.phasing,
+      phases: allocation.phases
     };
 
     // Get current version number
@@ -439,6 +511,10 @@ const updateAllocation = async (req, res) => {
     const updateData = {};
     if (allocatedAmount !== undefined) updateData.allocatedAmount = parseFloat(allocatedAmount);
     if (remarks !== undefined) updateData.remarks = remarks;
+    if (phasing) {
+      updateData.phasing = phasing.phasing;
+      updateData.phases = phasing.phases;
+    }
     updateData.lastModifiedBy = req.user._id;
 
     const updatedAllocation = await Allocation.findByIdAndUpdate(
@@ -509,6 +585,14 @@ const deleteAllocation = async (req, res) => {
       });
     }
 
+    const purchaseOrdersCount = await PurchaseOrder.countDocuments({ allocation: allocationId });
+    if (purchaseOrdersCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete allocation with purchase orders raised against it'
+      });
+    }
+
     const allocation = await Allocation.findByIdAndDelete(allocationId);
     if (!allocation) {
       return res.status(404).json({
@@ -555,6 +639,7 @@ const getAllocationStats = async (req, res) => {
           _id: null,
           totalAllocated: { $sum: '$allocatedAmount' },
           totalSpent: { $sum: '$spentAmount' },
+          totalCommitted: { $sum: '$committedAmount' },
           totalAllocations: { $sum: 1 }
         }
       }
@@ -576,7 +661,8 @@ const getAllocationStats = async (req, res) => {
           _id: '$department._id',
           departmentName: { $first: '$department.name' },
           totalAllocated: { $sum: '$allocatedAmount' },
-          totalSpent: { $sum: '$spentAmount' }
+          totalSpent: { $sum: '$spentAmount' },
+          totalCommitted: { $sum: '$committedAmount' }
         }
       },
       {
@@ -584,7 +670,8 @@ const getAllocationStats = async (req, res) => {
           departmentName: 1,
           totalAllocated: 1,
           totalSpent: 1,
-          remaining: { $subtract: ['$totalAllocated', '$totalSpent'] },
+          totalCommitted: 1,
+          remaining: { $subtract: ['$totalAllocated', { $add: ['$totalSpent', '$totalCommitted'] }] },
           utilizationPercentage: {
             $multiply: [
               { $divide: ['$totalSpent', '$totalAllocated'] },
@@ -598,10 +685,11 @@ const getAllocationStats = async (req, res) => {
     const result = stats[0] || {
       totalAllocated: 0,
       totalSpent: 0,
+      totalCommitted: 0,
       totalAllocations: 0
     };
 
-    result.totalRemaining = result.totalAllocated - result.totalSpent;
+    result.totalRemaining = result.totalAllocated - result.totalSpent - result.totalCommitted;
     result.utilizationPercentage = result.totalAllocated > 0
       ? Math.round((result.totalSpent / result.totalAllocated) * 100)
       : 0;
@@ -756,7 +844,8 @@ const getYearComparison = async (req, res) => {
       .populate('budgetHead', 'name category');
 
     const prevExpenditures = await Expenditure.find({
-      eventDate: { $gte: prevDates.startDate, $lte: prevDates.endDate }
+      eventDate: { $gte: prevDates.startDate, $lte: prevDates.endDate },
+      status: { $ne: 'DRAFT' }
     });
 
     // Get current year data
@@ -766,7 +855,8 @@ const getYearComparison = async (req, res) => {
       .populate('budgetHead', 'name category');
 
     const currentExpenditures = await Expenditure.find({
-      eventDate: { $gte: currentDates.startDate, $lte: currentDates.endDate }
+      eventDate: { $gte: currentDates.startDate, $lte: currentDates.endDate },
+      status: { $ne: 'DRAFT' }
     });
 
     // Helper to calculate totals
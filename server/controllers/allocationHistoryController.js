@@ -1,6 +1,7 @@
 const AllocationHistory = require('../models/AllocationHistory');
 const { recordAuditLog } = require('../utils/auditService');
 const Allocation = require('../models/Allocation');
+const { findRollupBreach, describeBreach } = require('../services/budgetHeadTreeService');
 
 /**
  * @desc    Get allocation history
@@ -127,6 +128,16 @@ const rollbackAllocation = async (req, res) => {
             });
         }
 
+        // Other allocations in the tree may have moved since that version
+        const breach = await findRollupBreach({ ...allocation.toObject(), allocatedAmount: targetVersion.snapshot.allocatedAmount }, session);
+        if (breach) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                success: false,
+                message: describeBreach(breach)
+            });
+        }
+
         // Store current state
         const previousValues = {
             allocatedAmount: allocation.allocatedAmount,
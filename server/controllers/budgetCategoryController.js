@@ -0,0 +1,247 @@
+const BudgetCategory = require('../models/BudgetCategory');
+const BudgetHead = require('../models/BudgetHead');
+const { recordAuditLog } = require('../utils/auditService');
+
+// @desc    Get budget head categories
+// @route   GET /api/categories
+// @access  Private
+const getCategories = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+    const query = isActive !== undefined ? { isActive: isActive === 'true' } : {};
+
+    const [categories, headCounts] = await Promise.all([
+      BudgetCategory.find(query).sort({ label: 1 }).lean(),
+      BudgetHead.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }])
+    ]);
+
+    const countByCode = Object.fromEntries(headCounts.map(item => [item._id, item.count]));
+
+    res.json({
+      success: true,
+      data: {
+        categories: categories.map(category => ({
+          ...category,
+          budgetHeadCount: countByCode[category.code] || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categories',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get budget head category by ID
+// @route   GET /api/categories/:id
+// @access  Private
+const getCategoryById = async (req, res) => {
+  try {
+    const category = await BudgetCategory.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Get category by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching category',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create budget head category
+// @route   POST /api/categories
+// @access  Private/Admin
+const createCategory = async (req, res) => {
+  try {
+    const { code, label, description, defaultBudgetType, color, isActive } = req.body;
+
+    if (!code || !label) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category code and label are required'
+      });
+    }
+
+    const existingCategory = await BudgetCategory.findOne({ code: String(code).trim().toLowerCase() });
+    if (existingCategory) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category with this code already exists'
+      });
+    }
+
+    let category;
+    try {
+      category = await BudgetCategory.create({
+        code,
+        label,
+        description,
+        defaultBudgetType,
+        color,
+        isActive,
+        createdBy: req.user._id
+      });
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') throw validationError;
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    await recordAuditLog({
+      eventType: 'budget_category_created',
+      req,
+      targetEntity: 'BudgetCategory',
+      targetId: category._id,
+      details: { code: category.code, label: category.label },
+      newValues: category
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating category',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update budget head category
+// @route   PUT /api/categories/:id
+// @access  Private/Admin
+const updateCategory = async (req, res) => {
+  try {
+    const { code, label, description, defaultBudgetType, color, isActive } = req.body;
+
+    const existingCategory = await BudgetCategory.findById(req.params.id);
+    if (!existingCategory) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    // Heads and workflow tiers refer to the code
+    if (code && String(code).trim().toLowerCase() !== existingCategory.code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category code cannot be changed. Create a new category and move the budget heads instead'
+      });
+    }
+
+    const updateData = {};
+    if (label) updateData.label = label;
+    if (description !== undefined) updateData.description = description;
+    if (defaultBudgetType) updateData.defaultBudgetType = defaultBudgetType;
+    if (color) updateData.color = color;
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const previousValues = existingCategory.toObject();
+
+    const category = await BudgetCategory.findByIdAndUpdate(
+      req.params.id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    await recordAuditLog({
+      eventType: 'budget_category_updated',
+      req,
+      targetEntity: 'BudgetCategory',
+      targetId: category._id,
+      details: { code: category.code, updatedFields: Object.keys(updateData) },
+      previousValues,
+      newValues: category
+    });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category }
+    });
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating category',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete budget head category
+// @route   DELETE /api/categories/:id
+// @access  Private/Admin
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await BudgetCategory.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const budgetHeadsCount = await BudgetHead.countDocuments({ category: category.code });
+    if (budgetHeadsCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete a category used by ${budgetHeadsCount} budget head(s). Deactivate it instead`
+      });
+    }
+
+    await category.deleteOne();
+
+    await recordAuditLog({
+      eventType: 'budget_category_deleted',
+      req,
+      targetEntity: 'BudgetCategory',
+      targetId: category._id,
+      details: { code: category.code, label: category.label },
+      previousValues: category
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting category',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
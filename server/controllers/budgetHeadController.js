@@ -1,12 +1,15 @@
 const BudgetHead = require('../models/BudgetHead');
+const Allocation = require('../models/Allocation');
 const { recordAuditLog } = require('../utils/auditService');
+const { buildTree, rollUp, getAncestry, reparentHead, describeBreach } = require('../services/budgetHeadTreeService');
+const { getActiveCategory, getCategoryLabels } = require('../services/budgetCategoryService');
 
 // @desc    Get all budget heads
 // @route   GET /api/budget-heads
 // @access  Private/Admin
 const getBudgetHeads = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, category, isActive, department } = req.query;
+    const { page = 1, limit = 10, search, category, isActive, department, parent } = req.query;
     const conditions = [];
 
     if (search) {
@@ -19,6 +22,8 @@ const getBudgetHeads = async (req, res) => {
     }
     if (category) conditions.push({ category: category });
     if (isActive !== undefined) conditions.push({ isActive: isActive === 'true' });
+    // parent=root lists top-level heads only
+    if (parent) conditions.push({ parent: parent === 'root' ? null : parent });
 
     // Filter by department: show global budget heads (department=null) or department-specific ones
     if (department) {
@@ -35,6 +40,7 @@ const getBudgetHeads = async (req, res) => {
     const budgetHeads = await BudgetHead.find(query)
       .populate('createdBy', 'name email')
       .populate('department', 'name code')
+      .populate('parent', 'name code')
       .sort({ name: 1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -68,7 +74,8 @@ const getBudgetHeads = async (req, res) => {
 const getBudgetHeadById = async (req, res) => {
   try {
     const budgetHead = await BudgetHead.findById(req.params.id)
-      .populate('createdBy', 'name email');
+      .populate('createdBy', 'name email')
+      .populate('parent', 'name code');
 
     if (!budgetHead) {
       return res.status(404).json({
@@ -96,7 +103,7 @@ const getBudgetHeadById = async (req, res) => {
 // @access  Private/Admin
 const createBudgetHead = async (req, res) => {
   try {
-    const { name, code, description, category } = req.body;
+    const { name, code, description, category, budgetType, parent } = req.body;
 
     // Check if budget head with same name or code already exists
     const existingBudgetHead = await BudgetHead.findOne({ $or: [{ name }, { code }] });
@@ -108,11 +115,30 @@ const createBudgetHead = async (req, res) => {
       });
     }
 
+    const budgetCategory = await getActiveCategory(category || 'other');
+    if (!budgetCategory) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown or inactive category: ${category}`
+      });
+    }
+
+    const ancestors = await getAncestry(parent);
+    if (!ancestors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent budget head not found'
+      });
+    }
+
     const budgetHead = await BudgetHead.create({
       name,
       code,
       description,
-      category,
+      category: budgetCategory.code,
+      budgetType: budgetType || budgetCategory.defaultBudgetType,
+      parent: parent || null,
+      ancestors,
       createdBy: req.user._id
     });
 
@@ -122,12 +148,13 @@ const createBudgetHead = async (req, res) => {
       req,
       targetEntity: 'BudgetHead',
       targetId: budgetHead._id,
-      details: { name, code, category },
+      details: { name, code, category, parent: parent || null },
       newValues: budgetHead
     });
 
     const populatedBudgetHead = await BudgetHead.findById(budgetHead._id)
-      .populate('createdBy', 'name email');
+      .populate('createdBy', 'name email')
+      .populate('parent', 'name code');
 
     res.status(201).json({
       success: true,
@@ -148,13 +175,17 @@ const createBudgetHead = async (req, res) => {
 // @route   PUT /api/budget-heads/:id
 // @access  Private/Admin
 const updateBudgetHead = async (req, res) => {
+  const session = await BudgetHead.startSession();
+  session.startTransaction();
+
   try {
-    const { name, description, category, isActive } = req.body;
+    const { name, description, category, budgetType, isActive, parent } = req.body;
     const budgetHeadId = req.params.id;
 
     // Check if budget head exists
-    const existingBudgetHead = await BudgetHead.findById(budgetHeadId);
+    const existingBudgetHead = await BudgetHead.findById(budgetHeadId).session(session);
     if (!existingBudgetHead) {
+      await session.abortTransaction();
       return res.status(404).json({
         success: false,
         message: 'Budget head not found'
@@ -166,9 +197,10 @@ const updateBudgetHead = async (req, res) => {
       const duplicateBudgetHead = await BudgetHead.findOne({
         name,
         _id: { $ne: budgetHeadId }
-      });
+      }).session(session);
 
       if (duplicateBudgetHead) {
+        await session.abortTransaction();
         return res.status(400).json({
           success: false,
           message: 'Budget head with this name already exists'
@@ -176,20 +208,66 @@ const updateBudgetHead = async (req, res) => {
       }
     }
 
+    if (category && category !== existingBudgetHead.category && !await getActiveCategory(category)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Unknown or inactive category: ${category}`
+      });
+    }
+
+    // A head cannot move under itself or one of its own sub-heads
+    const parentChanged = parent !== undefined && String(parent || '') !== String(existingBudgetHead.parent || '');
+    if (parentChanged && parent) {
+      const newParent = await BudgetHead.findById(parent).select('ancestors').session(session);
+      if (!newParent) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'Parent budget head not found'
+        });
+      }
+      if (newParent._id.equals(existingBudgetHead._id) || newParent.ancestors.some(id => id.equals(existingBudgetHead._id))) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'A budget head cannot be placed under itself or one of its sub-heads'
+        });
+      }
+    }
+
     const updateData = {};
     if (name) updateData.name = name;
     if (req.body.code) updateData.code = req.body.code;
     if (description !== undefined) updateData.description = description;
     if (category) updateData.category = category;
+    if (budgetType) updateData.budgetType = budgetType;
     if (isActive !== undefined) updateData.isActive = isActive;
 
     const previousValues = existingBudgetHead.toObject();
 
+    if (parentChanged) {
+      // Its allocations now count towards the new parent heads
+      const breach = await reparentHead(existingBudgetHead, parent || null, session);
+      if (breach) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Moving ${existingBudgetHead.name} would break the budget head roll-up for ${breach.financialYear}. ${describeBreach(breach)}`
+        });
+      }
+      updateData.parent = parent || null;
+    }
+
     const budgetHead = await BudgetHead.findByIdAndUpdate(
       budgetHeadId,
       updateData,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name email');
+      { new: true, runValidators: true, session }
+    )
+      .populate('createdBy', 'name email')
+      .populate('parent', 'name code');
+
+    await session.commitTransaction();
 
     // Log the update
     await recordAuditLog({
@@ -208,12 +286,17 @@ const updateBudgetHead = async (req, res) => {
       data: { budgetHead }
     });
   } catch (error) {
+    if (session.transaction.isActive && !session.transaction.isCommitted) {
+      await session.abortTransaction();
+    }
     console.error('Update budget head error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error while updating budget head',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  } finally {
+    session.endSession();
   }
 };
 
@@ -224,8 +307,15 @@ const deleteBudgetHead = async (req, res) => {
   try {
     const budgetHeadId = req.params.id;
 
+    const subHeadsCount = await BudgetHead.countDocuments({ parent: budgetHeadId });
+    if (subHeadsCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete budget head with sub-heads. Move or delete them first'
+      });
+    }
+
     // Check if budget head has allocations
-    const Allocation = require('../models/Allocation');
     const allocationsCount = await Allocation.countDocuments({ budgetHead: budgetHeadId });
     if (allocationsCount > 0) {
       return res.status(400).json({
@@ -266,6 +356,63 @@ const deleteBudgetHead = async (req, res) => {
   }
 };
 
+// @desc    Get budget heads as a tree with allocation subtotals
+// @route   GET /api/budget-heads/tree
+// @access  Private
+const getBudgetHeadTree = async (req, res) => {
+  try {
+    const { financialYear, department, isActive } = req.query;
+
+    const headQuery = isActive !== undefined ? { isActive: isActive === 'true' } : {};
+    const allocationQuery = {};
+    if (financialYear) allocationQuery.financialYear = financialYear;
+    if (department) allocationQuery.department = department;
+
+    const [budgetHeads, allocations] = await Promise.all([
+      BudgetHead.find(headQuery).select('name code category budgetType parent isActive').sort({ name: 1 }).lean(),
+      Allocation.find(allocationQuery).select('budgetHead allocatedAmount spentAmount committedAmount').lean()
+    ]);
+
+    // Each head's own figures, summed over departments
+    const figures = {};
+    allocations.forEach(allocation => {
+      const key = allocation.budgetHead.toString();
+      if (!figures[key]) figures[key] = { allocatedAmount: 0, spentAmount: 0, committedAmount: 0, allocationCount: 0 };
+      figures[key].allocatedAmount += allocation.allocatedAmount;
+      figures[key].spentAmount += allocation.spentAmount;
+      figures[key].committedAmount += allocation.committedAmount || 0;
+      figures[key].allocationCount++;
+    });
+
+    const tree = rollUp(
+      buildTree(
+        budgetHeads.map(head => ({
+          ...head,
+          allocatedAmount: 0,
+          spentAmount: 0,
+          committedAmount: 0,
+          allocationCount: 0,
+          ...figures[head._id.toString()]
+        })),
+        head => head.parent
+      ),
+      ['allocatedAmount', 'spentAmount', 'committedAmount', 'allocationCount']
+    );
+
+    res.json({
+      success: true,
+      data: { tree }
+    });
+  } catch (error) {
+    console.error('Get budget head tree error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching budget head tree',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Get budget head statistics
 // @route   GET /api/budget-heads/stats
 // @access  Private/Admin
@@ -274,6 +421,7 @@ const getBudgetHeadStats = async (req, res) => {
     const totalBudgetHeads = await BudgetHead.countDocuments();
     const activeBudgetHeads = await BudgetHead.countDocuments({ isActive: true });
 
+    const categoryLabels = await getCategoryLabels();
     const categoryStats = await BudgetHead.aggregate([
       {
         $group: {
@@ -298,7 +446,7 @@ const getBudgetHeadStats = async (req, res) => {
         totalBudgetHeads,
         activeBudgetHeads,
         inactiveBudgetHeads: totalBudgetHeads - activeBudgetHeads,
-        byCategory: categoryStats
+        byCategory: categoryStats.map(item => ({ ...item, label: categoryLabels[item.category] || item.category }))
       }
     });
   } catch (error) {
@@ -317,5 +465,6 @@ module.exports = {
   createBudgetHead,
   updateBudgetHead,
   deleteBudgetHead,
-  getBudgetHeadStats
+  getBudgetHeadStats,
+  getBudgetHeadTree
 };
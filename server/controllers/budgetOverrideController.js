@@ -0,0 +1,302 @@
+const BudgetOverride = require('../models/BudgetOverride');
+const Expenditure = require('../models/Expenditure');
+const Allocation = require('../models/Allocation');
+const { recordAuditLog } = require('../utils/auditService');
+const {
+  notifyBudgetOverrideRequest,
+  notifyBudgetOverrideDecision
+} = require('../utils/notificationService');
+const { getAvailableAmount, getBillRelease } = require('../services/commitmentService');
+const {
+  OVERRIDE_APPROVER_ROLES,
+  OPEN_EXPENDITURE_STATUSES,
+  buildOverride,
+  getOpenOverride,
+  recordOverrideDecision
+} = require('../services/budgetOverrideService');
+const { getActiveDelegators, resolveActingRole } = require('../services/delegationService');
+const { DEPARTMENT_BOUND_ROLES } = require('../config/workflowRules');
+
+const populateOverride = (query) => {
+  return query
+    .populate({
+      path: 'expenditure',
+      select: 'eventName transactionId totalAmount status department budgetHead financialYear',
+      populate: [
+        { path: 'department', select: 'name code' },
+        { path: 'budgetHead', select: 'name category' }
+      ]
+    })
+    .populate('requestedBy', 'name email')
+    .populate('approvedBy', 'name email role')
+    .populate('onBehalfOf', 'name email role');
+};
+
+// Load a pending override whose expenditure can still be finalized
+const findDecidableOverride = async (id, res) => {
+  const override = await BudgetOverride.findById(id);
+  if (!override) {
+    res.status(404).json({
+      success: false,
+      message: 'Budget override not found'
+    });
+    return null;
+  }
+
+  if (override.status !== 'pending') {
+    res.status(400).json({
+      success: false,
+      message: `Budget override has already been ${override.status}`
+    });
+    return null;
+  }
+
+  const expenditure = await Expenditure.findById(override.expenditure).populate('department', 'name');
+  if (!expenditure || !OPEN_EXPENDITURE_STATUSES.includes(expenditure.status)) {
+    res.status(400).json({
+      success: false,
+      message: 'The expenditure is no longer awaiting approval'
+    });
+    return null;
+  }
+
+  return { override, expenditure };
+};
+
+// @desc    Get budget override requests
+// @route   GET /api/budget-overrides
+// @access  Private
+const getOverrides = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    // Submitters see their own requests, HODs and coordinators their department's
+    if (req.user.role === 'department') {
+      query.requestedBy = req.user._id;
+    } else if (DEPARTMENT_BOUND_ROLES.includes(req.user.role)) {
+      const allocationIds = await Allocation.find({ department: req.user.department }).distinct('_id');
+      query.allocation = { $in: allocationIds };
+    }
+
+    const overrides = await populateOverride(BudgetOverride.find(query)).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { overrides }
+    });
+  } catch (error) {
+    console.error('Get budget overrides error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching budget overrides',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Request a budget override for an expenditure already awaiting approval
+// @route   POST /api/budget-overrides
+// @access  Private/Department
+const createOverride = async (req, res) => {
+  try {
+    const { expenditureId } = req.body;
+    const justification = req.body.justification ? String(req.body.justification).trim() : '';
+
+    if (!expenditureId || !justification) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expenditure and justification are required'
+      });
+    }
+
+    const expenditure = await Expenditure.findById(expenditureId).populate('department', 'name');
+    if (!expenditure) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expenditure not found'
+      });
+    }
+
+    if (expenditure.department._id.toString() !== req.user.department?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only request overrides for your department expenditures.'
+      });
+    }
+
+    if (!OPEN_EXPENDITURE_STATUSES.includes(expenditure.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only expenditures awaiting approval can carry a budget override'
+      });
+    }
+
+    const existing = await getOpenOverride(expenditure._id);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `A budget override for this expenditure is already ${existing.status}`
+      });
+    }
+
+    const allocation = await Allocation.findOne({
+      department: expenditure.department._id,
+      budgetHead: expenditure.budgetHead,
+      financialYear: expenditure.financialYear
+    });
+    if (!allocation) {
+      return res.status(400).json({
+        success: false,
+        message: 'No budget allocation found for this department and budget head'
+      });
+    }
+
+    const released = await getBillRelease(expenditure);
+    if (expenditure.totalAmount <= getAvailableAmount(allocation) + released) {
+      return res.status(400).json({
+        success: false,
+        message: 'This expenditure fits within the remaining budget and needs no override'
+      });
+    }
+
+    const override = await buildOverride(expenditure, allocation, {
+      justification,
+      requestedBy: req.user._id,
+      released
+    }).save();
+
+    await recordAuditLog({
+      eventType: 'budget_override_requested',
+      req,
+      targetEntity: 'BudgetOverride',
+      targetId: override._id,
+      details: {
+        expenditure: expenditure._id,
+        transactionId: expenditure.transactionId,
+        expenseAmount: override.expenseAmount,
+        overrunAmount: override.overrunAmount,
+        justification
+      }
+    });
+
+    await notifyBudgetOverrideRequest(override, expenditure);
+
+    const populated = await populateOverride(BudgetOverride.findById(override._id));
+
+    res.status(201).json({
+      success: true,
+      message: `Budget override for ₹${override.overrunAmount.toLocaleString('en-IN')} sent to the principal`,
+      data: { override: populated }
+    });
+  } catch (error) {
+    console.error('Create budget override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting budget override',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Shared handler for approving and rejecting an override
+const decideOverride = (status) => async (req, res) => {
+  try {
+    const remarks = req.body.remarks ? String(req.body.remarks).trim() : '';
+
+    if (status === 'rejected' && !remarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Remarks are required when rejecting a budget override'
+      });
+    }
+
+    // A substitute decides with the authority of the principal or vice principal they stand in for
+    const authority = resolveActingRole(req.user, OVERRIDE_APPROVER_ROLES, await getActiveDelegators(req.user._id));
+    if (!authority) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the principal or vice principal, or their substitute, can decide budget overrides'
+      });
+    }
+
+    const found = await findDecidableOverride(req.params.id, res);
+    if (!found) return;
+    const { override: pending, expenditure } = found;
+
+    const { requestedBy } = pending;
+    if (requestedBy.equals(req.user._id) || (authority.onBehalfOf && requestedBy.equals(authority.onBehalfOf._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot decide a budget override you requested'
+      });
+    }
+
+    const override = await recordOverrideDecision(pending._id, status, {
+      user: req.user,
+      role: authority.role,
+      onBehalfOf: authority.onBehalfOf,
+      remarks
+    });
+    if (!override) {
+      return res.status(400).json({
+        success: false,
+        message: 'Budget override has already been decided'
+      });
+    }
+
+    await recordAuditLog({
+      eventType: status === 'approved' ? 'budget_override_approved' : 'budget_override_rejected',
+      req,
+      targetEntity: 'BudgetOverride',
+      targetId: override._id,
+      details: {
+        expenditure: expenditure._id,
+        transactionId: expenditure.transactionId,
+        overrunAmount: override.overrunAmount,
+        role: authority.role,
+        onBehalfOf: authority.onBehalfOf ? authority.onBehalfOf._id : undefined,
+        remarks
+      },
+      previousValues: { status: 'pending' }
+    });
+
+    await notifyBudgetOverrideDecision(override, req.user);
+
+    const populated = await populateOverride(BudgetOverride.findById(override._id));
+
+    res.json({
+      success: true,
+      message: status === 'approved'
+        ? `Budget override approved. ${expenditure.transactionId} may exceed its budget by ₹${override.overrunAmount.toLocaleString('en-IN')}`
+        : 'Budget override rejected',
+      data: { override: populated }
+    });
+  } catch (error) {
+    console.error(`Budget override ${status} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deciding budget override',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Approve a budget override
+// @route   PUT /api/budget-overrides/:id/approve
+// @access  Private/Principal/Vice Principal
+const approveOverride = decideOverride('approved');
+
+// @desc    Reject a budget override
+// @route   PUT /api/budget-overrides/:id/reject
+// @access  Private/Principal/Vice Principal
+const rejectOverride = decideOverride('rejected');
+
+module.exports = {
+  getOverrides,
+  createOverride,
+  approveOverride,
+  rejectOverride
+};
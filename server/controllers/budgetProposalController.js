@@ -6,7 +6,16 @@ const AllocationHistory = require('../models/AllocationHistory');
 const AuditLog = require('../models/AuditLog');
 const { recordAuditLog } = require('../utils/auditService');
 const { notifyProposalSubmission, notifyProposalStatusChange } = require('../utils/notificationService');
-const { VISIBILITY_BY_ROLE, PROPOSAL_TRANSITIONS } = require('../config/workflowRules');
+const {
+  getWorkflowDefinition,
+  evaluateDelegatedAction,
+  evaluateDelegatedRejection,
+  recordSignOff,
+  signOffSubmitterStage,
+  getQueueClauses
+} = require('../services/workflowService');
+const { getActiveDelegators } = require('../services/delegationService');
+const { DEPARTMENT_BOUND_ROLES } = require('../config/workflowRules');
 
 // @desc    Get all budget proposals
 // @route   GET /api/budget-proposals
@@ -21,17 +30,21 @@ const getBudgetProposals = async (req, res) => {
     // RULE 4: Add debug logs
     console.log(`[Debug] getBudgetProposals - Role: ${req.user.role}, Dept: ${req.user.department}, statusFilter (query.status): ${status}`);
 
-    // Role-based visibility and status filtering
-    const allowedStatuses = VISIBILITY_BY_ROLE[req.user.role];
+    // Role-based visibility and status filtering; the approval queue includes approvers this user is covering for
+    const identities = status === 'pending_approval'
+      ? [req.user, ...await getActiveDelegators(req.user._id)]
+      : [req.user];
+    const queueClauses = status === 'pending_approval' ? await getQueueClauses('BudgetProposal', identities) : [];
 
-    if (status === 'pending_approval' && allowedStatuses) {
-      query.status = { $in: allowedStatuses };
+    if (queueClauses.length > 0) {
+      query.$or = queueClauses;
     } else if (status) {
       query.status = status;
     }
 
-    if (['coordinator', 'hod'].includes(req.user.role)) {
-      query.department = req.user.department;
+    if (identities.every(identity => DEPARTMENT_BOUND_ROLES.includes(identity.role))) {
+      const departments = [...new Set(identities.map(identity => identity.department?.toString()).filter(Boolean))];
+      query.department = departments.length === 1 ? departments[0] : { $in: departments };
     } else if (department) {
       query.department = department;
     }
@@ -84,6 +97,7 @@ const getBudgetProposalById = async (req, res) => {
       .populate('submittedBy', 'name email')
       .populate('approvedBy', 'name email')
       .populate('approvalSteps.approver', 'name email role')
+      .populate('approvalSteps.onBehalfOf', 'name email role')
       .populate('lastModifiedBy', 'name email');
 
     if (!proposal) {
@@ -252,8 +266,8 @@ const submitBudgetProposal = async (req, res) => {
       });
     }
 
-    // Enforce transitions
-    if (!PROPOSAL_TRANSITIONS[proposal.status] || !PROPOSAL_TRANSITIONS[proposal.status].includes('PENDING')) {
+    // Enforce transitions: only drafts enter the approval workflow
+    if (proposal.status !== 'DRAFT') {
       return res.status(403).json({
         success: false,
         message: `Invalid transition: Cannot submit from ${proposal.status}.`
@@ -263,6 +277,8 @@ const submitBudgetProposal = async (req, res) => {
     proposal.status = 'PENDING';
     proposal.submittedDate = new Date();
     proposal.lastModifiedBy = req.user._id;
+    // A HOD's own proposal starts past HOD verification
+    signOffSubmitterStage(await getWorkflowDefinition('BudgetProposal'), proposal, req.user, proposal.totalProposedAmount);
 
     console.log(`[Debug] BudgetProposal Status Transition: DRAFT -> PENDING (by ${req.user.role})`);
 
@@ -309,12 +325,20 @@ const approveBudgetProposal = async (req, res) => {
       });
     }
 
-    // Role check for approval - Office Only (Final Step)
-    const allowedApprovalRoles = ['office', 'admin'];
-    if (!allowedApprovalRoles.includes(req.user.role)) {
-      return res.status(403).json({
+    // Enforce the configured workflow: stage, roles and thresholds
+    const workflow = await getWorkflowDefinition('BudgetProposal');
+    const evaluation = evaluateDelegatedAction({
+      definition: workflow,
+      document: proposal,
+      user: req.user,
+      action: 'approve',
+      amount: proposal.totalProposedAmount
+    }, await getActiveDelegators(req.user._id));
+
+    if (!evaluation.allowed) {
+      return res.status(evaluation.statusCode).json({
         success: false,
-        message: 'Only Office or Admin can perform final approval and budget allocation'
+        message: evaluation.message
       });
     }
 
@@ -326,30 +350,43 @@ const approveBudgetProposal = async (req, res) => {
       });
     }
 
-    // Enforce transitions
-    if (!PROPOSAL_TRANSITIONS[proposal.status] || !PROPOSAL_TRANSITIONS[proposal.status].includes('ALLOCATED')) {
-      return res.status(403).json({
-        success: false,
-        message: `Invalid transition: Only proposals with status MANAGEMENT_APPROVED can be allocated. Current status: ${proposal.status}`
+    const previousStatus = proposal.status;
+    const signOff = recordSignOff(proposal, evaluation.stage, req.user, notes, evaluation.onBehalfOf);
+    if (notes) proposal.notes = notes;
+    proposal.lastModifiedBy = req.user._id;
+
+    console.log(`[Debug] BudgetProposal Status Transition: ${previousStatus} -> ${signOff.status} (by ${req.user.role})`);
+
+    // Intermediate approval stage, or a stage still waiting on other signatories
+    if (proposal.status !== 'ALLOCATED') {
+      await proposal.save();
+
+      const pendingProposal = await BudgetProposal.findById(id)
+        .populate('department', 'name code')
+        .populate('proposalItems.budgetHead', 'name category budgetType')
+        .populate('submittedBy', 'name email')
+        .populate('approvalSteps.approver', 'name email role')
+        .populate('approvalSteps.onBehalfOf', 'name email role');
+
+      await recordAuditLog({
+        eventType: 'budget_proposal_approved',
+        req,
+        targetEntity: 'BudgetProposal',
+        targetId: id,
+        details: { stage: evaluation.stage.key, newStatus: proposal.status, notes }
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: { proposal: pendingProposal, pendingRoles: signOff.pendingRoles },
+        message: signOff.completed
+          ? `Budget proposal approved at ${evaluation.stage.label}.`
+          : `Approval recorded. Awaiting sign-off from ${signOff.pendingRoles.join(', ').toUpperCase()}.`
       });
     }
 
-    proposal.status = 'ALLOCATED';
     proposal.approvedDate = new Date();
     proposal.approvedBy = req.user._id;
-    if (notes) proposal.notes = notes;
-    proposal.lastModifiedBy = req.user._id;
-
-    console.log(`[Debug] BudgetProposal Status Transition: MANAGEMENT_APPROVED -> ALLOCATED (by ${req.user.role})`);
-
-    // Add approval step
-    proposal.approvalSteps.push({
-      approver: req.user._id,
-      role: req.user.role,
-      decision: 'approve',
-      remarks: notes || '',
-      timestamp: new Date()
-    });
 
     await proposal.save();
 
@@ -447,7 +484,8 @@ const approveBudgetProposal = async (req, res) => {
       .populate('proposalItems.budgetHead', 'name category budgetType')
       .populate('submittedBy', 'name email')
       .populate('approvedBy', 'name email')
-      .populate('approvalSteps.approver', 'name email role');
+      .populate('approvalSteps.approver', 'name email role')
+      .populate('approvalSteps.onBehalfOf', 'name email role');
 
     // Log audit
     await recordAuditLog({
@@ -496,25 +534,20 @@ const verifyBudgetProposal = async (req, res) => {
       });
     }
 
-    // Role-based Transition Guards
-    // RULE 3: Enforce transitions at API level
-    // Enforce transitions
-    const targetStatus = req.user.role === 'hod' ? 'HOD_VERIFIED' : 'MANAGEMENT_APPROVED';
-
-    if (!PROPOSAL_TRANSITIONS[proposal.status] || !PROPOSAL_TRANSITIONS[proposal.status].includes(targetStatus)) {
-      return res.status(403).json({
-        success: false,
-        message: `Invalid transition: ${req.user.role.toUpperCase()} cannot verify proposal at ${proposal.status} status.`
-      });
-    }
+    // RULE 3: Enforce transitions at API level, driven by the configured workflow
+    const workflow = await getWorkflowDefinition('BudgetProposal');
+    const evaluation = evaluateDelegatedAction({
+      definition: workflow,
+      document: proposal,
+      user: req.user,
+      action: 'verify',
+      amount: proposal.totalProposedAmount
+    }, await getActiveDelegators(req.user._id));
 
-    // Check permissions
-    // HOD verifies first. Then Principal/VP verifies.
-    const allowedVerifyRoles = ['hod', 'principal', 'vice_principal'];
-    if (!allowedVerifyRoles.includes(req.user.role)) {
-      return res.status(403).json({
+    if (!evaluation.allowed) {
+      return res.status(evaluation.statusCode).json({
         success: false,
-        message: 'You are not authorized to verify budget proposals'
+        message: evaluation.message
       });
     }
 
@@ -526,42 +559,12 @@ const verifyBudgetProposal = async (req, res) => {
       });
     }
 
-    let searchStatus = '';
-    let nextStatus = '';
-
-    if (req.user.role === 'hod') {
-      if (proposal.department.toString() !== req.user.department.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only verify proposals from your department'
-        });
-      }
-      nextStatus = 'HOD_VERIFIED';
-    } else if (['principal', 'vice_principal'].includes(req.user.role)) {
-      // Check if another Principal/VP has already verified (one of them wins)
-      const principalVerified = proposal.approvalSteps.some(step => ['principal', 'vice_principal'].includes(step.role) && step.decision === 'verify');
-      if (principalVerified) {
-        return res.status(400).json({
-          success: false,
-          message: 'Proposal has already been verified by Principal/VP'
-        });
-      }
-      nextStatus = 'MANAGEMENT_APPROVED';
-    }
-
-    console.log(`[Debug] BudgetProposal Transition: ${proposal.status} -> ${nextStatus} (by ${req.user.role})`);
-
-    proposal.status = nextStatus;
+    const previousStatus = proposal.status;
+    const signOff = recordSignOff(proposal, evaluation.stage, req.user, remarks, evaluation.onBehalfOf);
+    const nextStatus = signOff.status;
     proposal.lastModifiedBy = req.user._id;
 
-    // Add verification step
-    proposal.approvalSteps.push({
-      approver: req.user._id,
-      role: req.user.role,
-      decision: 'verify',
-      remarks: remarks || '',
-      timestamp: new Date()
-    });
+    console.log(`[Debug] BudgetProposal Transition: ${previousStatus} -> ${nextStatus} (by ${req.user.role})`);
 
     await proposal.save();
 
@@ -569,7 +572,8 @@ const verifyBudgetProposal = async (req, res) => {
       .populate('department', 'name code')
       .populate('proposalItems.budgetHead', 'name category budgetType')
       .populate('submittedBy', 'name email')
-      .populate('approvalSteps.approver', 'name email role');
+      .populate('approvalSteps.approver', 'name email role')
+      .populate('approvalSteps.onBehalfOf', 'name email role');
 
     // Log audit
     await recordAuditLog({
@@ -585,8 +589,10 @@ const verifyBudgetProposal = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Budget proposal verified successfully',
-      data: { proposal: populatedProposal }
+      message: signOff.completed
+        ? 'Budget proposal verified successfully'
+        : `Verification recorded. Awaiting sign-off from ${signOff.pendingRoles.join(', ').toUpperCase()}`,
+      data: { proposal: populatedProposal, pendingRoles: signOff.pendingRoles }
     });
   } catch (error) {
     res.status(500).json({
@@ -619,33 +625,35 @@ const rejectBudgetProposal = async (req, res) => {
       });
     }
 
-    // Role check for rejection
-    const allowedRejectRoles = ['admin', 'principal', 'vice_principal', 'office', 'hod'];
-    if (!allowedRejectRoles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not authorized to reject budget proposals'
-      });
-    }
+    // Only the roles responsible for the pending stage may reject
+    const workflow = await getWorkflowDefinition('BudgetProposal');
+    const evaluation = evaluateDelegatedRejection({
+      definition: workflow,
+      document: proposal,
+      user: req.user,
+      amount: proposal.totalProposedAmount
+    }, await getActiveDelegators(req.user._id));
 
-    if (!['PENDING', 'HOD_VERIFIED', 'MANAGEMENT_APPROVED'].includes(proposal.status)) {
-      return res.status(400).json({
+    if (!evaluation.allowed) {
+      return res.status(evaluation.statusCode).json({
         success: false,
-        message: 'Only pending, HOD verified, or management approved proposals can be rejected'
+        message: evaluation.message
       });
     }
 
+    console.log(`[Debug] BudgetProposal Status Transition: ${proposal.status} -> REJECTED (by ${req.user.role})`);
+
     proposal.status = 'REJECTED';
     proposal.rejectionReason = rejectionReason;
     proposal.lastModifiedBy = req.user._id;
 
-    console.log(`[Debug] BudgetProposal Status Transition: ${proposal.status} -> REJECTED (by ${req.user.role})`);
-
     // Add rejection step
     proposal.approvalSteps.push({
       approver: req.user._id,
-      role: req.user.role,
+      role: evaluation.onBehalfOf ? evaluation.onBehalfOf.role : req.user.role,
+      onBehalfOf: evaluation.onBehalfOf ? evaluation.onBehalfOf._id : undefined,
       decision: 'reject',
+      stage: evaluation.stage.key,
       remarks: rejectionReason,
       timestamp: new Date()
     });
@@ -656,7 +664,8 @@ const rejectBudgetProposal = async (req, res) => {
       .populate('department', 'name code')
       .populate('proposalItems.budgetHead', 'name category budgetType')
       .populate('submittedBy', 'name email')
-      .populate('approvalSteps.approver', 'name email role');
+      .populate('approvalSteps.approver', 'name email role')
+      .populate('approvalSteps.onBehalfOf', 'name email role');
 
     // Log audit
     await recordAuditLog({
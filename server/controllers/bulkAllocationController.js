@@ -3,6 +3,7 @@ const Department = require('../models/Department');
 const BudgetHead = require('../models/BudgetHead');
 const BulkUploadLog = require('../models/BulkUploadLog');
 const { recordAuditLog } = require('../utils/auditService');
+const { findRollupBreach, describeBreach } = require('../services/budgetHeadTreeService');
 const csv = require('csv-parser');
 const { Readable } = require('stream');
 
@@ -127,6 +128,22 @@ const bulkUploadAllocations = async (req, res) => {
                     continue;
                 }
 
+                // Rows are applied in order, so list parent heads before their sub-heads
+                const breach = await findRollupBreach({
+                    financialYear: row['Financial Year'].trim(),
+                    department: department._id,
+                    budgetHead: budgetHead._id,
+                    allocatedAmount
+                });
+                if (breach) {
+                    errors.push({
+                        row: rowNumber,
+                        error: describeBreach(breach),
+                        data: row
+                    });
+                    continue;
+                }
+
                 // Create allocation
                 const allocation = await Allocation.create({
                     department: department._id,
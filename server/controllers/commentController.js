@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const { recordAuditLog } = require('../utils/auditService');
+const { notifyComment } = require('../utils/notificationService');
+const {
+  findCommentTarget,
+  getMentionableUsers,
+  resolveMentions,
+  canRequestClarification,
+  canAnswerClarification,
+  openClarification,
+  answerClarification
+} = require('../services/commentService');
+
+// Routes set req.commentTarget to the entity their :id refers to
+// (see routes/expenditures.js and routes/budgetProposals.js).
+
+// @desc    Discussion thread of an expenditure or budget proposal
+// @route   GET /api/expenditures/:id/comments
+// @route   GET /api/budget-proposals/:id/comments
+// @access  Private
+const getComments = async (req, res) => {
+  try {
+    const { target, status, error } = await findCommentTarget(req.commentTarget, req.params.id, req.user);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const [comments, mentionable] = await Promise.all([
+      Comment.find({ targetEntity: req.commentTarget, targetId: target._id })
+        .populate('author', 'name role')
+        .populate('mentions', 'name')
+        .sort({ createdAt: 1 }),
+      getMentionableUsers(target)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        clarification: target.clarification,
+        mentionable,
+        canRequestClarification: canRequestClarification(req.user, target) && target.clarification?.status !== 'REQUESTED',
+        canAnswerClarification: target.clarification?.status === 'REQUESTED' && canAnswerClarification(req.user, target)
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching comments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Comment on, or reply in, the thread. With requestClarification an approver
+//          puts the document on hold with a question; the submitter's reply to that
+//          question takes it off hold.
+// @route   POST /api/expenditures/:id/comments
+// @route   POST /api/budget-proposals/:id/comments
+// @access  Private
+const addComment = async (req, res) => {
+  try {
+    const { body, parent: parentId, requestClarification } = req.body;
+
+    if (!body || !String(body).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment is required'
+      });
+    }
+    if (String(body).trim().length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment cannot exceed 2000 characters'
+      });
+    }
+
+    const { target, status, error } = await findCommentTarget(req.commentTarget, req.params.id, req.user);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Threads are one level deep: a reply to a reply joins the same thread
+    let parent = null;
+    if (parentId) {
+      parent = mongoose.isValidObjectId(parentId) && await Comment.findOne({
+        _id: parentId,
+        targetEntity: req.commentTarget,
+        targetId: target._id
+      });
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment replied to not found'
+        });
+      }
+      if (parent.parent) {
+        parent = await Comment.findById(parent.parent);
+      }
+    }
+
+    let kind = 'comment';
+    if (requestClarification) {
+      if (!canRequestClarification(req.user, target)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only an approver can request clarification, and only while the request awaits approval'
+        });
+      }
+      if (target.clarification?.status === 'REQUESTED') {
+        return res.status(400).json({
+          success: false,
+          message: 'A clarification is already awaited on this request'
+        });
+      }
+      if (parent) {
+        return res.status(400).json({
+          success: false,
+          message: 'A clarification request starts its own thread'
+        });
+      }
+      kind = 'clarification_request';
+    } else if (
+      parent
+      && target.clarification?.status === 'REQUESTED'
+      && target.clarification.comment?.toString() === parent._id.toString()
+      && canAnswerClarification(req.user, target)
+    ) {
+      kind = 'clarification_response';
+    }
+
+    const comment = await Comment.create({
+      targetEntity: req.commentTarget,
+      targetId: target._id,
+      parent: parent ? parent._id : null,
+      author: req.user._id,
+      authorRole: req.user.role,
+      body: String(body).trim(),
+      mentions: resolveMentions(body, await getMentionableUsers(target)),
+      kind
+    });
+
+    // The clarification state is written after the comment, so a lost race
+    // leaves an ordinary comment rather than a dangling request
+    const clarificationRequester = target.clarification?.requestedBy;
+    if (kind === 'clarification_request' && !await openClarification(req.commentTarget, target, req.user, comment)) {
+      comment.kind = 'comment';
+      await comment.save();
+    } else if (kind === 'clarification_response' && !await answerClarification(req.commentTarget, target, comment)) {
+      comment.kind = 'comment';
+      await comment.save();
+    }
+
+    if (comment.kind !== 'comment') {
+      await recordAuditLog({
+        eventType: comment.kind === 'clarification_request' ? 'clarification_requested' : 'clarification_answered',
+        req,
+        targetEntity: req.commentTarget,
+        targetId: target._id,
+        details: {
+          comment: comment._id,
+          status: target.status,
+          question: comment.kind === 'clarification_request' ? comment.body : undefined
+        }
+      });
+    }
+
+    await comment.populate([
+      { path: 'author', select: 'name role' },
+      { path: 'mentions', select: 'name' }
+    ]);
+
+    const participants = await Comment.distinct('author', { targetEntity: req.commentTarget, targetId: target._id });
+    await notifyComment({
+      comment,
+      target,
+      targetEntity: req.commentTarget,
+      author: req.user,
+      parentAuthor: parent?.author,
+      clarificationRequester,
+      participants: [...participants, target.submittedBy]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: comment.kind === 'clarification_request'
+        ? 'Clarification requested. The request is on hold until the submitter replies.'
+        : comment.kind === 'clarification_response'
+          ? 'Clarification sent. The request is back with the approvers.'
+          : 'Comment added',
+      data: { comment }
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding comment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  addComment
+};
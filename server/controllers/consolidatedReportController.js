@@ -1,7 +1,15 @@
+const mongoose = require('mongoose');
 const Allocation = require('../models/Allocation');
 const Expenditure = require('../models/Expenditure');
 const Department = require('../models/Department');
 const BudgetHead = require('../models/BudgetHead');
+const Reappropriation = require('../models/Reappropriation');
+const { getTaxSummary } = require('../services/taxService');
+const { buildTree, rollUp } = require('../services/budgetHeadTreeService');
+const { getCategoryLabels } = require('../services/budgetCategoryService');
+
+// Figures rolled up from sub-heads into each head's subtotal
+const TREE_FIELDS = ['allocatedAmount', 'spentAmount', 'committedAmount', 'remainingAmount'];
 
 // @desc    Get consolidated budget report (with YoY comparison)
 // @route   GET /api/reports/consolidated-budget
@@ -26,16 +34,58 @@ const getConsolidatedBudgetReport = async (req, res) => {
       previousYearQuery.department = department;
     }
 
-    // Fetch allocations for both years
-    const [currentAllocations, previousAllocations] = await Promise.all([
+    // Fetch allocations for both years, and funds moved between heads this year
+    const [currentAllocations, previousAllocations, reappropriations, taxRows, categoryLabels] = await Promise.all([
       Allocation.find(currentYearQuery)
         .populate('department', 'name code')
-        .populate('budgetHead', 'name category budgetType'),
+        .populate('budgetHead', 'name category budgetType parent ancestors'),
       previousYear ? Allocation.find(previousYearQuery)
         .populate('department', 'name code')
-        .populate('budgetHead', 'name category budgetType') : Promise.resolve([])
+        .populate('budgetHead', 'name category budgetType') : Promise.resolve([]),
+      Reappropriation.find({ ...currentYearQuery, status: 'APPROVED' })
+        .populate('department', 'name code')
+        .populate('fromBudgetHead', 'name')
+        .populate('toBudgetHead', 'name')
+        .sort({ executedAt: 1 }),
+      // GST/TDS on finalized bills, for filing returns
+      getTaxSummary({
+        financialYear,
+        status: 'FINALIZED',
+        ...(department ? { department: new mongoose.Types.ObjectId(department) } : {})
+      }),
+      getCategoryLabels()
     ]);
 
+    // Heads above the allocated ones that carry no allocation themselves, so every tree reaches its top-level head
+    const allocatedHeadIds = new Set(currentAllocations.map(allocation => allocation.budgetHead._id.toString()));
+    const ancestorIds = [...new Set(currentAllocations.flatMap(allocation =>
+      (allocation.budgetHead.ancestors || []).map(id => id.toString())))]
+      .filter(id => !allocatedHeadIds.has(id));
+    const ancestorHeads = ancestorIds.length > 0
+      ? await BudgetHead.find({ _id: { $in: ancestorIds } }).select('name category budgetType parent ancestors').lean()
+      : [];
+
+    const taxByAllocation = {};
+    taxRows.forEach(row => {
+      taxByAllocation[`${row.departmentId}|${row.budgetHeadId}`] = row;
+    });
+    const emptyTax = { taxableValue: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0, totalGst: 0, tdsAmount: 0, billCount: 0 };
+    const addTax = (totals, tax) => {
+      Object.keys(emptyTax).forEach(field => {
+        totals[field] += tax[field] || 0;
+      });
+    };
+
+    // Net re-appropriation per allocation
+    const reappropriatedIn = {};
+    const reappropriatedOut = {};
+    reappropriations.forEach(item => {
+      const from = item.fromAllocation.toString();
+      const to = item.toAllocation.toString();
+      reappropriatedOut[from] = (reappropriatedOut[from] || 0) + item.amount;
+      reappropriatedIn[to] = (reappropriatedIn[to] || 0) + item.amount;
+    });
+
     // Build consolidated report
     const reportData = {};
 
@@ -54,15 +104,20 @@ const getConsolidatedBudgetReport = async (req, res) => {
 
       reportData[deptName].budgetHeads[headName] = {
         budgetHeadId: allocation.budgetHead._id,
+        parentId: allocation.budgetHead.parent || null,
         category: allocation.budgetHead.category,
         budgetType: allocation.budgetHead.budgetType,
         currentYear: {
           allocatedAmount: allocation.allocatedAmount,
           spentAmount: allocation.spentAmount,
-          remainingAmount: allocation.allocatedAmount - allocation.spentAmount,
+          committedAmount: allocation.committedAmount || 0,
+          remainingAmount: allocation.allocatedAmount - allocation.spentAmount - (allocation.committedAmount || 0),
           utilizationPercentage: allocation.allocatedAmount > 0
             ? Math.round((allocation.spentAmount / allocation.allocatedAmount) * 100)
-            : 0
+            : 0,
+          reappropriatedIn: reappropriatedIn[allocation._id.toString()] || 0,
+          reappropriatedOut: reappropriatedOut[allocation._id.toString()] || 0,
+          tax: { ...emptyTax, ...taxByAllocation[`${allocation.department._id}|${allocation.budgetHead._id}`] }
         },
         previousYear: {
           allocatedAmount: 0,
@@ -94,19 +149,25 @@ const getConsolidatedBudgetReport = async (req, res) => {
     const reportByDepartment = [];
     let grandTotalAllocated = 0;
     let grandTotalSpent = 0;
+    let grandTotalCommitted = 0;
+    const grandTotalTax = { ...emptyTax };
 
     Object.keys(reportData).forEach(deptName => {
       const dept = reportData[deptName];
       let deptTotalAllocated = 0;
       let deptTotalSpent = 0;
+      let deptTotalCommitted = 0;
       let deptTotalUnspent = 0;
+      const deptTotalTax = { ...emptyTax };
       const budgetHeadDetails = [];
 
       Object.keys(dept.budgetHeads).forEach(headName => {
         const head = dept.budgetHeads[headName];
         deptTotalAllocated += head.currentYear.allocatedAmount;
         deptTotalSpent += head.currentYear.spentAmount;
+        deptTotalCommitted += head.currentYear.committedAmount;
         deptTotalUnspent += head.currentYear.remainingAmount;
+        addTax(deptTotalTax, head.currentYear.tax);
 
         budgetHeadDetails.push({
           budgetHeadName: headName,
@@ -118,8 +179,38 @@ const getConsolidatedBudgetReport = async (req, res) => {
         ? Math.round((deptTotalSpent / deptTotalAllocated) * 100)
         : 0;
 
+      // Budget head tree with subtotals; unallocated parents show only what sits below them
+      const neededAncestors = new Set(currentAllocations
+        .filter(allocation => allocation.department.name === deptName)
+        .flatMap(allocation => (allocation.budgetHead.ancestors || []).map(id => id.toString())));
+      const budgetHeadTree = rollUp(
+        buildTree([
+          ...budgetHeadDetails.map(head => ({
+            _id: head.budgetHeadId,
+            parent: head.parentId,
+            name: head.budgetHeadName,
+            category: head.category,
+            allocated: true,
+            ...Object.fromEntries(TREE_FIELDS.map(field => [field, head.currentYear[field]]))
+          })),
+          ...ancestorHeads
+            .filter(head => neededAncestors.has(head._id.toString()))
+            .map(head => ({
+              _id: head._id,
+              parent: head.parent,
+              name: head.name,
+              category: head.category,
+              allocated: false,
+              ...Object.fromEntries(TREE_FIELDS.map(field => [field, 0]))
+            }))
+        ], head => head.parent),
+        TREE_FIELDS
+      );
+
       grandTotalAllocated += deptTotalAllocated;
       grandTotalSpent += deptTotalSpent;
+      grandTotalCommitted += deptTotalCommitted;
+      addTax(grandTotalTax, deptTotalTax);
 
       reportByDepartment.push({
         departmentName: deptName,
@@ -127,9 +218,12 @@ const getConsolidatedBudgetReport = async (req, res) => {
         departmentId: dept.departmentId,
         totalAllocated: deptTotalAllocated,
         totalSpent: deptTotalSpent,
+        totalCommitted: deptTotalCommitted,
         totalUnspent: deptTotalUnspent,
+        totalTax: deptTotalTax,
         utilizationPercentage,
-        budgetHeads: budgetHeadDetails
+        budgetHeads: budgetHeadDetails,
+        budgetHeadTree
       });
     });
 
@@ -148,7 +242,7 @@ const getConsolidatedBudgetReport = async (req, res) => {
         const budgetType = head.budgetType || 'recurring';
 
         if (!categoryBreakdown[category]) {
-          categoryBreakdown[category] = { allocated: 0, spent: 0, percentage: 0 };
+          categoryBreakdown[category] = { label: categoryLabels[category] || category, allocated: 0, spent: 0, percentage: 0 };
         }
 
         categoryBreakdown[category].allocated += head.currentYear.allocatedAmount;
@@ -175,7 +269,7 @@ const getConsolidatedBudgetReport = async (req, res) => {
         : 0;
     });
 
-    const grandTotalUnspent = grandTotalAllocated - grandTotalSpent;
+    const grandTotalUnspent = grandTotalAllocated - grandTotalSpent - grandTotalCommitted;
     const grandUtilizationPercentage = grandTotalAllocated > 0
       ? Math.round((grandTotalSpent / grandTotalAllocated) * 100)
       : 0;
@@ -188,12 +282,26 @@ const getConsolidatedBudgetReport = async (req, res) => {
         summary: {
           grandTotalAllocated,
           grandTotalSpent,
+          grandTotalCommitted,
           grandTotalUnspent,
+          grandTotalTax,
           grandUtilizationPercentage
         },
         byDepartment: reportByDepartment,
         byCategory: categoryBreakdown,
-        byBudgetType: budgetTypeBreakdown
+        byBudgetType: budgetTypeBreakdown,
+        reappropriations: {
+          totalAmount: reappropriations.reduce((sum, item) => sum + item.amount, 0),
+          transfers: reappropriations.map(item => ({
+            id: item._id,
+            department: item.department?.name,
+            fromBudgetHead: item.fromBudgetHead?.name,
+            toBudgetHead: item.toBudgetHead?.name,
+            amount: item.amount,
+            reason: item.reason,
+            executedAt: item.executedAt
+          }))
+        }
       }
     });
   } catch (error) {
@@ -341,7 +449,7 @@ const getFundUtilizationTrend = async (req, res) => {
       });
     }
 
-    const query = { financialYear };
+    const query = { financialYear, status: { $ne: 'DRAFT' } };
     if (department) query.department = department;
 
     // Get expenditures grouped by month
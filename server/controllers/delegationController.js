@@ -0,0 +1,302 @@
+const Delegation = require('../models/Delegation');
+const User = require('../models/User');
+const { recordAuditLog } = require('../utils/auditService');
+const { createNotification } = require('../utils/notificationService');
+const { getActiveDelegators } = require('../services/delegationService');
+const { APPROVER_LEVELS } = require('../config/workflowRules');
+
+const DELEGABLE_ROLES = Delegation.schema.path('delegatorRole').enumValues;
+
+// Delegations overlapping [startDate, endDate] for the given field/user
+const findOverlapping = (field, userId, startDate, endDate) => {
+  return Delegation.findOne({
+    [field]: userId,
+    isActive: true,
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  });
+};
+
+// @desc    Get delegations given by or assigned to the current user
+// @route   GET /api/delegations
+// @access  Private
+const getDelegations = async (req, res) => {
+  try {
+    const { scope, activeOnly } = req.query;
+    let query;
+
+    if (scope === 'all' && req.user.role === 'admin') {
+      query = {};
+    } else if (scope === 'given') {
+      query = { delegator: req.user._id };
+    } else if (scope === 'received') {
+      query = { delegate: req.user._id };
+    } else {
+      query = { $or: [{ delegator: req.user._id }, { delegate: req.user._id }] };
+    }
+
+    if (activeOnly === 'true') {
+      Object.assign(query, Delegation.activeFilter());
+    }
+
+    const delegations = await Delegation.find(query)
+      .populate('delegator', 'name email role department')
+      .populate('delegate', 'name email role department')
+      .populate('createdBy', 'name email')
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      data: { delegations }
+    });
+  } catch (error) {
+    console.error('Get delegations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching delegations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the approvers the current user is standing in for right now
+// @route   GET /api/delegations/acting-for
+// @access  Private
+const getActingFor = async (req, res) => {
+  try {
+    const delegators = await getActiveDelegators(req.user._id);
+
+    res.json({
+      success: true,
+      data: { delegators }
+    });
+  } catch (error) {
+    console.error('Get acting-for error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching active delegations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Nominate a substitute for a date range
+// @route   POST /api/delegations
+// @access  Private (approver roles; admin may delegate for anyone)
+const createDelegation = async (req, res) => {
+  try {
+    const { delegate, startDate, endDate, reason } = req.body;
+    const delegatorId = req.user.role === 'admin' && req.body.delegator ? req.body.delegator : req.user._id;
+
+    if (!delegate || !startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delegate, start date and end date are required'
+      });
+    }
+
+    const [delegator, delegateUser] = await Promise.all([
+      User.findById(delegatorId).select('name email role department isActive'),
+      User.findById(delegate).select('name email role department isActive')
+    ]);
+
+    if (!delegator || !delegateUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (delegator._id.toString() === delegateUser._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delegate to yourself'
+      });
+    }
+
+    if (!DELEGABLE_ROLES.includes(delegator.role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${DELEGABLE_ROLES.join(', ').toUpperCase()} can delegate approval authority`
+      });
+    }
+
+    if (!delegateUser.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected user cannot act as a substitute'
+      });
+    }
+
+    // A substitute never gains authority above their own level
+    const eligibleRoles = Object.keys(APPROVER_LEVELS)
+      .filter(role => APPROVER_LEVELS[role] >= APPROVER_LEVELS[delegator.role]);
+    if (!eligibleRoles.includes(delegateUser.role)) {
+      return res.status(400).json({
+        success: false,
+        message: `A substitute for ${delegator.role.replace('_', ' ').toUpperCase()} must be ${eligibleRoles.map(role => role.replace('_', ' ').toUpperCase()).join(' or ')}`
+      });
+    }
+
+    // The delegation covers whole days
+    const start = new Date(startDate);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid date range'
+      });
+    }
+
+    const [existing, delegateAway] = await Promise.all([
+      findOverlapping('delegator', delegator._id, start, end),
+      findOverlapping('delegator', delegateUser._id, start, end)
+    ]);
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A delegation already exists for an overlapping period. Revoke it first.'
+      });
+    }
+
+    if (delegateAway) {
+      return res.status(400).json({
+        success: false,
+        message: `${delegateUser.name} is out of office during this period and cannot act as a substitute`
+      });
+    }
+
+    const delegation = await Delegation.create({
+      delegator: delegator._id,
+      delegate: delegateUser._id,
+      delegatorRole: delegator.role,
+      startDate: start,
+      endDate: end,
+      reason,
+      createdBy: req.user._id
+    });
+
+    await recordAuditLog({
+      eventType: 'delegation_created',
+      req,
+      targetEntity: 'Delegation',
+      targetId: delegation._id,
+      details: {
+        delegator: delegator.name,
+        delegate: delegateUser.name,
+        role: delegator.role,
+        startDate: start,
+        endDate: end,
+        reason
+      },
+      newValues: delegation.toObject()
+    });
+
+    try {
+      await createNotification({
+        recipient: delegateUser._id,
+        type: 'delegation_assigned',
+        message: `${delegator.name} (${delegator.role.replace('_', ' ').toUpperCase()}) has nominated you as their substitute from ${start.toLocaleDateString('en-IN')} to ${end.toLocaleDateString('en-IN')}.`,
+        relatedEntity: 'User',
+        relatedEntityId: delegator._id,
+        actionUrl: '/approvals',
+        metadata: { delegationId: delegation._id }
+      });
+    } catch (notifyError) {
+      console.error('Notification error (non-fatal):', notifyError);
+    }
+
+    const populatedDelegation = await Delegation.findById(delegation._id)
+      .populate('delegator', 'name email role department')
+      .populate('delegate', 'name email role department');
+
+    res.status(201).json({
+      success: true,
+      message: `${delegateUser.name} will act on behalf of ${delegator.name} during this period`,
+      data: { delegation: populatedDelegation }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create delegation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating delegation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Revoke a delegation (e.g. on returning early)
+// @route   PUT /api/delegations/:id/revoke
+// @access  Private (delegator or admin)
+const revokeDelegation = async (req, res) => {
+  try {
+    const delegation = await Delegation.findById(req.params.id);
+
+    if (!delegation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delegation not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && delegation.delegator.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the delegating user or an admin can revoke this delegation'
+      });
+    }
+
+    if (!delegation.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delegation has already been revoked'
+      });
+    }
+
+    const previousValues = delegation.toObject();
+    delegation.isActive = false;
+    delegation.revokedAt = new Date();
+    delegation.revokedBy = req.user._id;
+    await delegation.save();
+
+    await recordAuditLog({
+      eventType: 'delegation_revoked',
+      req,
+      targetEntity: 'Delegation',
+      targetId: delegation._id,
+      details: { delegator: delegation.delegator, delegate: delegation.delegate },
+      previousValues,
+      newValues: delegation.toObject()
+    });
+
+    res.json({
+      success: true,
+      message: 'Delegation revoked successfully',
+      data: { delegation }
+    });
+  } catch (error) {
+    console.error('Revoke delegation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking delegation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getDelegations,
+  getActingFor,
+  createDelegation,
+  revokeDelegation
+};
@@ -382,7 +382,8 @@ const getDepartmentDetail = async (req, res) => {
     const Expenditure = require('../models/Expenditure');
     const expenditures = await Expenditure.find({
       department: departmentId,
-      financialYear
+      financialYear,
+      status: { $ne: 'DRAFT' }
     })
       .populate('budgetHead', 'name category code')
       .populate('submittedBy', 'name email')
@@ -392,7 +393,8 @@ const getDepartmentDetail = async (req, res) => {
     // Calculate statistics
     const totalAllocated = allocations.reduce((sum, alloc) => sum + alloc.allocatedAmount, 0);
     const totalSpent = allocations.reduce((sum, alloc) => sum + alloc.spentAmount, 0);
-    const totalRemaining = totalAllocated - totalSpent;
+    const totalCommitted = allocations.reduce((sum, alloc) => sum + (alloc.committedAmount || 0), 0);
+    const totalRemaining = totalAllocated - totalSpent - totalCommitted;
     const utilizationPercentage = totalAllocated > 0 ? (totalSpent / totalAllocated) * 100 : 0;
 
     // Expenditure status breakdown
@@ -413,12 +415,14 @@ const getDepartmentDetail = async (req, res) => {
           budgetHeadCode: alloc.budgetHead.code,
           allocated: 0,
           spent: 0,
+          committed: 0,
           remaining: 0,
           utilization: 0
         };
       }
       budgetHeadBreakdown[headName].allocated += alloc.allocatedAmount;
       budgetHeadBreakdown[headName].spent += alloc.spentAmount;
+      budgetHeadBreakdown[headName].committed += alloc.committedAmount || 0;
       budgetHeadBreakdown[headName].remaining += alloc.remainingAmount;
     });
 
@@ -442,7 +446,8 @@ const getDepartmentDetail = async (req, res) => {
       // Get previous year expenditures
       const prevExpenditures = await Expenditure.find({
         department: departmentId,
-        financialYear: previousFY
+        financialYear: previousFY,
+        status: { $ne: 'DRAFT' }
       });
 
       const prevTotalAllocated = prevAllocations.reduce((sum, alloc) => sum + alloc.allocatedAmount, 0);
@@ -494,6 +499,7 @@ const getDepartmentDetail = async (req, res) => {
         summary: {
           totalAllocated,
           totalSpent,
+          totalCommitted,
           totalRemaining,
           utilizationPercentage,
           allocationCount: allocations.length,
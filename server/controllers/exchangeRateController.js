@@ -0,0 +1,175 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { recordAuditLog } = require('../utils/auditService');
+const { getExchangeRate } = require('../services/currencyService');
+
+// Rates apply per calendar day
+const startOfDay = (value) => {
+  const date = value ? new Date(value) : new Date();
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+// @desc    Get exchange rate history
+// @route   GET /api/exchange-rates
+// @access  Private
+const getExchangeRates = async (req, res) => {
+  try {
+    const { currency } = req.query;
+    const query = currency ? { currency: currency.toUpperCase() } : {};
+
+    const rates = await ExchangeRate.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ currency: 1, effectiveFrom: -1 });
+
+    res.json({
+      success: true,
+      data: { rates }
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the rate in force for each currency on a date (defaults to today)
+// @route   GET /api/exchange-rates/current
+// @access  Private
+const getCurrentRates = async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const currencies = await ExchangeRate.distinct('currency');
+
+    const rates = {};
+    for (const currency of currencies.sort()) {
+      const rate = await getExchangeRate(currency, date);
+      if (rate) {
+        rates[currency] = { rate: rate.rate, effectiveFrom: rate.effectiveFrom };
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { baseCurrency: 'INR', date, rates }
+    });
+  } catch (error) {
+    console.error('Get current exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching exchange rates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Record an exchange rate (rupees per unit) effective from a date
+// @route   POST /api/exchange-rates
+// @access  Private/Admin
+const createExchangeRate = async (req, res) => {
+  try {
+    const { currency, rate, effectiveFrom, source } = req.body;
+
+    if (!currency || !rate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency and rate are required'
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.create({
+      currency,
+      rate: parseFloat(rate),
+      effectiveFrom: startOfDay(effectiveFrom),
+      source,
+      createdBy: req.user._id
+    });
+
+    await recordAuditLog({
+      eventType: 'exchange_rate_created',
+      req,
+      targetEntity: 'ExchangeRate',
+      targetId: exchangeRate._id,
+      details: {
+        currency: exchangeRate.currency,
+        rate: exchangeRate.rate,
+        effectiveFrom: exchangeRate.effectiveFrom
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${exchangeRate.currency} rate recorded`,
+      data: { rate: exchangeRate }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rate for this currency is already recorded for that date'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    console.error('Create exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording exchange rate',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete an exchange rate entered in error; bills already converted keep their rate
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private/Admin
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findById(req.params.id);
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    await exchangeRate.deleteOne();
+
+    await recordAuditLog({
+      eventType: 'exchange_rate_deleted',
+      req,
+      targetEntity: 'ExchangeRate',
+      targetId: exchangeRate._id,
+      details: {
+        currency: exchangeRate.currency,
+        rate: exchangeRate.rate,
+        effectiveFrom: exchangeRate.effectiveFrom
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted'
+    });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting exchange rate',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  getCurrentRates,
+  createExchangeRate,
+  deleteExchangeRate
+};
@@ -8,10 +8,53 @@ const {
   notifyExpenditureSubmission,
   notifyExpenditureApproval,
   notifyExpenditureRejection,
-  notifyBudgetExhaustion
+  notifyExpenditureCancellation,
+  notifyBudgetExhaustion,
+  notifyBudgetOverrideRequest
 } = require('../utils/notificationService');
 const { recordAuditLog } = require('../utils/auditService');
-const { VISIBILITY_BY_ROLE, EXPENDITURE_TRANSITIONS } = require('../config/workflowRules');
+const { broadcast } = require('../services/socketService');
+const {
+  getWorkflowDefinition,
+  getExpenditureRouting,
+  evaluateDelegatedAction,
+  evaluateDelegatedRejection,
+  recordSignOff,
+  getQueueClauses,
+  describeProgress
+} = require('../services/workflowService');
+const { getActiveDelegators } = require('../services/delegationService');
+const { DEPARTMENT_BOUND_ROLES } = require('../config/workflowRules');
+const {
+  COMMITTED,
+  getAvailableAmount,
+  getBillRelease,
+  settlePurchaseOrderBill,
+  reversePurchaseOrderBill
+} = require('../services/commitmentService');
+const { attachVendors, screenDuplicateBills } = require('../services/vendorService');
+const { flagDuplicateAttachments, hideAnnotations } = require('../services/attachmentService');
+const { applyTaxBreakdowns } = require('../services/taxService');
+const { applyExchangeRates } = require('../services/currencyService');
+const { findAmountMismatches, describeMismatches } = require('../services/ocrService');
+const { applyLineDecisions, summarizeLineChanges } = require('../services/lineReviewService');
+const {
+  getSettleableAdvance,
+  linkSettlementClaim,
+  reopenAdvance,
+  settleAdvance,
+  unsettleAdvance
+} = require('../services/advanceService');
+const { buildOverride, getOpenOverride, getApprovedOverrun } = require('../services/budgetOverrideService');
+const { isPhased, getReleasedAmount, getReleasedAvailable, getNextRelease } = require('../services/phasingService');
+const {
+  normalizeSplits,
+  validateSplitAllocations,
+  findSplitShortfall,
+  deductSplits,
+  reverseSplits
+} = require('../services/expenditureSplitService');
+const { getChargeableProject, getProjectAvailable, chargeProject, refundProject } = require('../services/projectService');
 
 const getSetting = async (key, defaultValue) => {
   try {
@@ -23,6 +66,206 @@ const getSetting = async (key, defaultValue) => {
   }
 };
 
+// Active expenditure workflow with this expenditure's routing tier applied
+const getExpenditureWorkflow = async (expenditure, session = null) => {
+  const workflow = await getWorkflowDefinition('Expenditure');
+  const budgetHead = await BudgetHead.findById(expenditure.budgetHead).select('category').session(session);
+  return getExpenditureRouting(workflow, expenditure, budgetHead ? budgetHead.category : undefined);
+};
+
+// April-March financial year a date falls in
+const getFinancialYear = (date) => {
+  const year = date.getFullYear();
+  return date.getMonth() + 1 >= 4 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
+};
+
+// Map uploaded files to expense items in order; each item says how many it brought as fileCount.
+// When saving or submitting a draft (storedItems given), items keep the bills already stored
+// on them, less any left out of keepAttachments; attachment metadata from the client is ignored.
+const attachUploadedFiles = (expenseItems, uploadedFiles = [], storedItems = null) => {
+  let fileIdx = 0;
+  expenseItems.forEach(item => {
+    if (storedItems) {
+      const stored = item._id ? storedItems.find(existing => existing._id.toString() === String(item._id)) : null;
+      const keep = Array.isArray(item.keepAttachments) ? item.keepAttachments.map(String) : null;
+      item.attachments = stored
+        ? stored.attachments
+          .filter(attachment => !keep || keep.includes(attachment._id.toString()))
+          .map(attachment => attachment.toObject())
+        : [];
+    } else {
+      item.attachments = item.attachments || [];
+    }
+
+    const count = item.fileCount || 0;
+    for (let i = 0; i < count; i++) {
+      if (uploadedFiles[fileIdx]) {
+        item.attachments.push(uploadedFiles[fileIdx]);
+        fileIdx++;
+      }
+    }
+  });
+};
+
+// Fields a draft may hold while it is being prepared; nothing is validated until submission
+const DRAFT_FIELDS = ['budgetHead', 'eventName', 'eventType', 'eventDate', 'description'];
+
+const toDraftItem = (item) => ({
+  ...(item._id ? { _id: item._id } : {}),
+  category: item.category || 'MISCELLANEOUS',
+  billNumber: item.billNumber,
+  billDate: item.billDate || undefined,
+  vendorName: item.vendorName,
+  // As entered; foreign bills are converted to INR when the draft is submitted
+  amount: Number(item.amount) || 0,
+  currency: item.currency || 'INR',
+  description: item.description,
+  tax: item.tax && item.tax.taxableValue !== undefined ? item.tax : undefined,
+  attachments: item.attachments
+});
+
+// Line review fields are set by approvers only; a (re)submitted bill always starts unreviewed
+const UNREVIEWED_LINE = { lineStatus: 'PENDING', approvedAmount: undefined, lineReviews: [] };
+
+// Mark each line whose amount differs from its bill; returns the mismatches
+const flagAmountMismatches = (expenseItems) => {
+  const mismatches = findAmountMismatches(expenseItems);
+  expenseItems.forEach((item, index) => {
+    const mismatch = mismatches.find(entry => entry.index === index);
+    item.amountMismatch = mismatch
+      ? { extractedAmount: mismatch.extractedAmount, confidence: mismatch.confidence }
+      : undefined;
+  });
+  return mismatches;
+};
+
+// Apply the approver's per-line decisions (req.body.itemDecisions) for this stage.
+// Returns an error message, or null when there were none or all applied.
+const reviewExpenseLines = (req, expenditure, evaluation) => {
+  let { itemDecisions } = req.body;
+  if (typeof itemDecisions === 'string') {
+    try {
+      itemDecisions = JSON.parse(itemDecisions);
+    } catch (error) {
+      return 'Invalid line decisions';
+    }
+  }
+  return applyLineDecisions(expenditure, itemDecisions, {
+    user: req.user,
+    role: evaluation.onBehalfOf ? evaluation.onBehalfOf.role : req.user.role,
+    stage: evaluation.stage.key
+  });
+};
+
+// Deduct a finalized expenditure from its allocation inside the caller's transaction.
+// A bill against a purchase order moves its share of the order's commitment to spent;
+// an advance settlement frees the whole advance and records the refund or balance due.
+// An approved budget override lets the allocation go over by exactly its overrun.
+// A split expenditure is debited from each of its allocations, and a project
+// expenditure is charged to the project budget as well.
+// Returns the balance snapshot, or null if an allocation (or the project) is missing or would be overspent.
+const deductFromAllocation = async (expenditure, session) => {
+  const overspendPolicy = await getSetting('budget_overspend_policy', 'disallow');
+  if (expenditure.project && !await chargeProject(expenditure, overspendPolicy === 'disallow', session)) {
+    return null;
+  }
+  if (expenditure.splits && expenditure.splits.length > 0) {
+    return deductSplits(expenditure, overspendPolicy === 'disallow', session);
+  }
+
+  const released = await getBillRelease(expenditure, session);
+  const approvedOverrun = overspendPolicy === 'disallow' ? await getApprovedOverrun(expenditure._id, session) : 0;
+  const updatedAllocation = await Allocation.findOneAndUpdate(
+    {
+      department: expenditure.department,
+      budgetHead: expenditure.budgetHead,
+      financialYear: expenditure.financialYear,
+      // If policy is disallow, ensure we don't exceed budget in this atomic step
+      ...(overspendPolicy === 'disallow' ? {
+        $expr: {
+          $lte: [
+            { $add: ['$spentAmount', COMMITTED, expenditure.totalAmount - released] },
+            { $add: ['$allocatedAmount', approvedOverrun] }
+          ]
+        }
+      } : {})
+    },
+    {
+      $inc: { spentAmount: expenditure.totalAmount, committedAmount: -released },
+      $set: { lastTransactionDate: new Date() }
+    },
+    { session, new: true }
+  );
+
+  if (!updatedAllocation) {
+    return null;
+  }
+
+  if (expenditure.purchaseOrder) {
+    await settlePurchaseOrderBill(expenditure, released, session);
+  }
+
+  let advance = null;
+  if (expenditure.advance) {
+    advance = await settleAdvance(expenditure, released, session);
+  }
+
+  const newBalance = getAvailableAmount(updatedAllocation);
+  return {
+    previousBalance: newBalance + expenditure.totalAmount - released,
+    spent: expenditure.totalAmount,
+    newBalance,
+    advanceSettlement: advance ? { advanceNumber: advance.advanceNumber, amount: advance.amount, ...advance.settlement.toObject() } : undefined
+  };
+};
+
+// Before/Spent/After audit trail for a budget deduction
+const recordFinalizationAudit = async (req, expenditure, snapshot) => {
+  if (snapshot.advanceSettlement) {
+    await recordAuditLog({
+      eventType: 'advance_settled',
+      req,
+      targetEntity: 'Advance',
+      targetId: expenditure.advance,
+      details: {
+        ...snapshot.advanceSettlement,
+        transactionId: expenditure.transactionId
+      }
+    });
+  }
+
+  return recordAuditLog({
+    eventType: 'expenditure_approved', // Using consistent name as per user's trace requirement
+    req,
+    targetEntity: 'Expenditure',
+    targetId: expenditure._id,
+    details: {
+      eventName: expenditure.eventName,
+      transactionId: expenditure.transactionId,
+      spent: snapshot.spent,
+      claimedAmount: expenditure.claimedAmount,
+      lineChanges: summarizeLineChanges(expenditure),
+      previousBalance: snapshot.previousBalance,
+      newBalance: snapshot.newBalance,
+      traceabilityLabel: `Before: ₹${snapshot.previousBalance.toLocaleString()} | Spent: ₹${snapshot.spent.toLocaleString()} | After: ₹${snapshot.newBalance.toLocaleString()}`
+    }
+  });
+};
+
+// REAL-TIME UPDATE: Notify all clients to update their dashboards
+const broadcastFinalization = (expenditure) => {
+  try {
+    broadcast('dashboard_update', {
+      type: 'expenditure_finalized',
+      department: expenditure.department,
+      amount: expenditure.totalAmount,
+      timestamp: new Date()
+    });
+  } catch (socketError) {
+    console.error('Socket broadcast error (non-fatal):', socketError);
+  }
+};
+
 // @desc    Get all expenditures
 // @route   GET /api/expenditures
 // @access  Private
@@ -36,7 +279,8 @@ const getExpenditures = async (req, res) => {
       status,
       financialYear,
       search,
-      submittedBy
+      submittedBy,
+      project
     } = req.query;
 
     const query = {};
@@ -44,29 +288,38 @@ const getExpenditures = async (req, res) => {
     // RULE 4: Add debug logs
     console.log(`[Debug] getExpenditures - Role: ${req.user.role}, Dept: ${req.user.department}, statusFilter (query.status): ${status}`);
 
-    // Apply filters based on user role
-    const allowedStatuses = VISIBILITY_BY_ROLE[req.user.role];
+    // Apply filters based on user role; the approval queue includes approvers this user is covering for
+    const identities = status === 'pending_approval'
+      ? [req.user, ...await getActiveDelegators(req.user._id)]
+      : [req.user];
+    const queueClauses = status === 'pending_approval' ? await getQueueClauses('Expenditure', identities) : [];
 
-    if (status === 'pending_approval' && allowedStatuses) {
-      query.status = { $in: allowedStatuses };
+    if (queueClauses.length > 0) {
+      query.$and = [{ $or: queueClauses }];
     } else if (status) {
       query.status = status;
     }
 
-    if (['coordinator', 'hod'].includes(req.user.role)) {
-      query.department = req.user.department;
+    if (identities.every(identity => DEPARTMENT_BOUND_ROLES.includes(identity.role))) {
+      const departments = [...new Set(identities.map(identity => identity.department?.toString()).filter(Boolean))];
+      query.department = departments.length === 1 ? departments[0] : { $in: departments };
     } else if (department) {
       query.department = department;
     }
 
+    // Drafts are private to whoever is preparing them
+    query.$and = [...(query.$and || []), { $or: [{ status: { $ne: 'DRAFT' } }, { submittedBy: req.user._id }] }];
+
     console.log(`[Debug] getExpenditures - Final Query:`, JSON.stringify(query));
 
     if (budgetHead) query.budgetHead = budgetHead;
     if (financialYear) query.financialYear = financialYear;
     if (submittedBy) query.submittedBy = submittedBy;
+    if (project) query.project = project;
     if (search) {
       query.$or = [
         { eventName: { $regex: search, $options: 'i' } },
+        { transactionId: { $regex: search, $options: 'i' } },
         { 'expenseItems.billNumber': { $regex: search, $options: 'i' } },
         { 'expenseItems.vendorName': { $regex: search, $options: 'i' } },
         { description: { $regex: search, $options: 'i' } }
@@ -77,6 +330,12 @@ const getExpenditures = async (req, res) => {
       .populate('department', 'name code')
       .populate('budgetHead', 'name category')
       .populate('submittedBy', 'name email')
+      .populate('advance', 'advanceNumber amount status settlement')
+      .populate('project', 'name code')
+      .populate('splits.department', 'name code')
+      .populate('splits.budgetHead', 'name')
+      // Bill annotations are fetched per attachment (GET /api/files/:fileId/annotations)
+      .select('-expenseItems.attachments.annotations')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
@@ -113,9 +372,16 @@ const getExpenditureById = async (req, res) => {
       .populate('department', 'name code')
       .populate('budgetHead', 'name category')
       .populate('submittedBy', 'name email')
-      .populate('approvalSteps.approver', 'name email role');
-
-    if (!expenditure) {
+      .populate('approvalSteps.approver', 'name email role')
+      .populate('approvalSteps.onBehalfOf', 'name email role')
+      .populate('purchaseOrder', 'poNumber vendorName totalAmount')
+      .populate('advance', 'advanceNumber amount status settlement')
+      .populate('project', 'name code budget spentAmount')
+      .populate('splits.department', 'name code')
+      .populate('splits.budgetHead', 'name category')
+      .populate('expenseItems.attachments.annotations.author', 'name role');
+
+    if (!expenditure || (expenditure.status === 'DRAFT' && expenditure.submittedBy._id.toString() !== req.user._id.toString())) {
       return res.status(404).json({
         success: false,
         message: 'Expenditure not found'
@@ -130,9 +396,22 @@ const getExpenditureById = async (req, res) => {
       });
     }
 
+    hideAnnotations(req.user, expenditure);
+
+    // Where the expenditure stands in its routed approval chain
+    const workflow = getExpenditureRouting(
+      await getWorkflowDefinition('Expenditure'),
+      expenditure,
+      expenditure.budgetHead ? expenditure.budgetHead.category : undefined
+    );
+    const routing = {
+      tier: workflow.tier,
+      ...describeProgress(workflow, expenditure, expenditure.totalAmount)
+    };
+
     res.json({
       success: true,
-      data: { expenditure }
+      data: { expenditure, routing }
     });
   } catch (error) {
     console.error('Get expenditure by ID error:', error);
@@ -144,8 +423,9 @@ const getExpenditureById = async (req, res) => {
   }
 };
 
-// @desc    Submit new event-based expenditure
+// @desc    Submit new event-based expenditure, or complete and submit a draft
 // @route   POST /api/expenditures
+// @route   POST /api/expenditures/:id/submit
 // @access  Private/Department
 const submitExpenditure = async (req, res) => {
   const session = await Expenditure.startSession();
@@ -158,8 +438,27 @@ const submitExpenditure = async (req, res) => {
       eventType,
       eventDate,
       description,
-      expenseItems
+      expenseItems,
+      splits
     } = req.body;
+    let advanceId = req.body.advance || null;
+    const projectId = req.body.project || null;
+
+    // Submitting a draft (e.g. one raised from a recurring template) fills it in place
+    let draft = null;
+    if (req.params.id) {
+      draft = await Expenditure.findById(req.params.id).session(session);
+      if (!draft || draft.status !== 'DRAFT' || draft.submittedBy.toString() !== req.user._id.toString()) {
+        await session.abortTransaction();
+        return res.status(404).json({
+          success: false,
+          message: 'Draft expenditure not found'
+        });
+      }
+      if (req.body.advance === undefined && draft.advance) {
+        advanceId = draft.advance.toString();
+      }
+    }
 
     // Handle JSON string if sent via FormData
     if (typeof expenseItems === 'string') {
@@ -169,20 +468,26 @@ const submitExpenditure = async (req, res) => {
         console.error('Error parsing expenseItems JSON:', e);
       }
     }
+    if (typeof splits === 'string') {
+      try {
+        splits = JSON.parse(splits);
+      } catch (e) {
+        console.error('Error parsing splits JSON:', e);
+      }
+    }
 
-    // Map uploaded files to expense items if metadata exists
-    if (req.uploadedFiles && req.uploadedFiles.length > 0 && Array.isArray(expenseItems)) {
-      let fileIdx = 0;
-      expenseItems.forEach(item => {
-        item.attachments = item.attachments || [];
-        const count = item.fileCount || 0;
-        for (let i = 0; i < count; i++) {
-          if (req.uploadedFiles[fileIdx]) {
-            item.attachments.push(req.uploadedFiles[fileIdx]);
-            fileIdx++;
-          }
-        }
-      });
+    // Anything not sent with the submission is taken as saved on the draft
+    if (draft) {
+      budgetHead = budgetHead || (draft.budgetHead && draft.budgetHead.toString());
+      eventName = eventName || draft.eventName;
+      eventType = eventType || draft.eventType;
+      eventDate = eventDate || draft.eventDate;
+      description = description !== undefined ? description : draft.description;
+      expenseItems = expenseItems || draft.expenseItems.map(item => item.toObject());
+    }
+
+    if (Array.isArray(expenseItems)) {
+      attachUploadedFiles(expenseItems, req.uploadedFiles, draft ? draft.expenseItems : null);
     }
 
     // Validate required fields
@@ -193,6 +498,55 @@ const submitExpenditure = async (req, res) => {
       });
     }
 
+    // Foreign-currency bills are converted to INR at the rate on each bill date
+    const currencyError = await applyExchangeRates(expenseItems);
+    if (currencyError) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: currencyError
+      });
+    }
+
+    // VALIDATION: GST/TDS components must add up to each (INR) bill amount
+    const taxError = applyTaxBreakdowns(expenseItems);
+    if (taxError) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: taxError
+      });
+    }
+
+    // VALIDATION: Every bill must come from an active vendor in the vendor master
+    const vendorError = await attachVendors(expenseItems);
+    if (vendorError) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: vendorError
+      });
+    }
+
+    // VALIDATION: The same vendor bill cannot be claimed twice, in any department
+    const duplicatePolicy = await getSetting('duplicate_bill_policy', 'block');
+    const duplicateCheck = await screenDuplicateBills(expenseItems, duplicatePolicy);
+    if (duplicateCheck.blocked) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Duplicate bill: ${duplicateCheck.message}`,
+        code: 'DUPLICATE_BILL',
+        duplicates: duplicateCheck.duplicates
+      });
+    }
+
+    // Amounts typed differently from what was read off the bills go through, flagged for the reviewers
+    const amountMismatches = flagAmountMismatches(expenseItems);
+
+    // So is a bill file already attached to another expenditure
+    const duplicateAttachments = await flagDuplicateAttachments(expenseItems, { excludeExpenditureIds: [draft && draft._id] });
+
     // Calculate total amount
     const totalAmount = expenseItems.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
 
@@ -218,21 +572,78 @@ const submitExpenditure = async (req, res) => {
     // Get current financial year based on event date
     const eventDateObj = new Date(eventDate);
     const year = eventDateObj.getFullYear();
-    const month = eventDateObj.getMonth() + 1;
-    const financialYear = month >= 4 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
+    const financialYear = getFinancialYear(eventDateObj);
 
-    // Generate Unique Transaction ID: EVT-YYYY-XXXX
-    const count = await Expenditure.countDocuments({ financialYear }).session(session);
+    // Generate Unique Transaction ID: EVT-YYYY-XXXX (drafts are numbered when submitted)
+    const count = await Expenditure.countDocuments({ financialYear, status: { $ne: 'DRAFT' } }).session(session);
     const transactionId = `EVT-${year}-${(count + 1).toString().padStart(4, '0')}`;
 
-    // Check if allocation exists
-    const allocation = await Allocation.findOne({
+    const overspendPolicy = await getSetting('budget_overspend_policy', 'disallow');
+
+    // A project expenditure must fit the project's own budget as well as the allocations
+    let project = null;
+    if (projectId) {
+      const projectCheck = await getChargeableProject(projectId, { department: req.user.department, financialYear }, session);
+      if (projectCheck.error) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: projectCheck.error
+        });
+      }
+      project = projectCheck.project;
+      if (overspendPolicy === 'disallow' && totalAmount > getProjectAvailable(project)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Total event amount (₹${totalAmount.toLocaleString('en-IN')}) exceeds the ₹${Math.max(0, getProjectAvailable(project)).toLocaleString('en-IN')} left on ${project.code}`,
+          code: 'BUDGET_EXCEEDED'
+        });
+      }
+    }
+
+    // VALIDATION: Splits across allocations must cover the total, and each allocation its share
+    const splitCheck = normalizeSplits(splits, totalAmount);
+    if (splitCheck.error) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: splitCheck.error
+      });
+    }
+    const isSplit = splitCheck.splits.length > 0;
+    if (isSplit) {
+      if (advanceId || String(req.body.requestOverride) === 'true') {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'Advance settlements and budget overrides are raised against a single allocation and cannot be split'
+        });
+      }
+      const splitError = await validateSplitAllocations(splitCheck.splits, {
+        department: req.user.department,
+        financialYear,
+        project,
+        enforceBudget: overspendPolicy === 'disallow'
+      }, session);
+      if (splitError) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: splitError,
+          code: 'BUDGET_EXCEEDED'
+        });
+      }
+    }
+
+    // Check if allocation exists (a split expenditure's allocations were checked above)
+    const allocation = isSplit ? null : await Allocation.findOne({
       department: req.user.department,
       budgetHead,
       financialYear
     }).session(session);
 
-    if (!allocation) {
+    if (!isSplit && !allocation) {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
@@ -240,20 +651,45 @@ const submitExpenditure = async (req, res) => {
       });
     }
 
-    // Overspend check
-    const remainingAmount = allocation.allocatedAmount - allocation.spentAmount;
-    const overspendPolicy = await getSetting('budget_overspend_policy', 'disallow');
+    // Bills settling an advance draw on the amount already reserved for it
+    let advance = null;
+    if (advanceId) {
+      const advanceCheck = await getSettleableAdvance(advanceId, { department: req.user.department, budgetHead, financialYear }, session);
+      if (advanceCheck.error) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: advanceCheck.error
+        });
+      }
+      advance = advanceCheck.advance;
+    }
 
-    if (totalAmount > remainingAmount && overspendPolicy === 'disallow') {
+    // Overspend check against the budget released so far (the whole allocation unless it is
+    // phased); the submitter may instead ask the principal to approve the overrun
+    const advanceRelease = advance ? advance.committedAmount : 0;
+    const remainingAmount = isSplit ? totalAmount : getAvailableAmount(allocation) + advanceRelease;
+    const releasedRemaining = isSplit ? totalAmount : getReleasedAvailable(allocation) + advanceRelease;
+    const exceedsAllocation = totalAmount > remainingAmount && overspendPolicy === 'disallow';
+    const exceedsRelease = !isSplit && isPhased(allocation) && totalAmount > releasedRemaining;
+    const needsOverride = exceedsAllocation || exceedsRelease;
+    const overrideJustification = req.body.overrideJustification ? String(req.body.overrideJustification).trim() : '';
+
+    if (needsOverride && (String(req.body.requestOverride) !== 'true' || !overrideJustification)) {
       await session.abortTransaction();
+      const nextRelease = getNextRelease(allocation);
       return res.status(400).json({
         success: false,
-        message: `Total event amount (₹${totalAmount.toLocaleString()}) exceeds remaining budget (₹${remainingAmount.toLocaleString()})`,
-        remainingBudget: remainingAmount
+        message: exceedsAllocation
+          ? `Total event amount (₹${totalAmount.toLocaleString()}) exceeds remaining budget (₹${remainingAmount.toLocaleString()})`
+          : `Total event amount (₹${totalAmount.toLocaleString()}) exceeds the budget released to date (₹${Math.max(0, releasedRemaining).toLocaleString()} available)`
+            + (nextRelease ? `. The next ₹${nextRelease.amount.toLocaleString('en-IN')} is released on ${nextRelease.date.toLocaleDateString('en-IN')}` : ''),
+        code: 'BUDGET_EXCEEDED',
+        remainingBudget: Math.min(remainingAmount, releasedRemaining)
       });
     }
 
-    const expenditure = await Expenditure.create([{
+    const submission = {
       department: req.user.department,
       budgetHead,
       eventName,
@@ -264,14 +700,44 @@ const submitExpenditure = async (req, res) => {
         ...item,
         category: item.category || 'MISCELLANEOUS',
         amount: Number(item.amount) || 0,
-        billDate: item.billDate ? new Date(item.billDate) : new Date()
+        billDate: item.billDate ? new Date(item.billDate) : new Date(),
+        ...UNREVIEWED_LINE
       })),
       totalAmount,
       transactionId,
       submittedBy: req.user._id,
       financialYear,
+      advance: advance ? advance._id : undefined,
+      project: project ? project._id : null,
+      splits: splitCheck.splits,
       status: 'PENDING'
-    }], { session });
+    };
+
+    let expenditure;
+    if (draft) {
+      draft.set(submission);
+      expenditure = [await draft.save({ session })];
+    } else {
+      expenditure = await Expenditure.create([submission], { session });
+    }
+
+    if (advance && !await linkSettlementClaim(advance._id, expenditure[0]._id, session)) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: `${advance.advanceNumber} was settled or cancelled while these bills were being submitted`
+      });
+    }
+
+    let override = null;
+    if (needsOverride) {
+      override = await buildOverride(expenditure[0], allocation, {
+        justification: overrideJustification,
+        requestedBy: req.user._id,
+        released: advanceRelease,
+        releasedAmount: isPhased(allocation) ? getReleasedAmount(allocation) : null
+      }).save({ session });
+    }
 
     await session.commitTransaction();
 
@@ -284,7 +750,14 @@ const submitExpenditure = async (req, res) => {
       details: {
         eventName,
         totalAmount,
-        department: req.user.department
+        department: req.user.department,
+        advance: advance ? advance.advanceNumber : undefined,
+        project: project ? project.code : undefined,
+        splits: isSplit ? splitCheck.splits.length : undefined,
+        fromDraft: draft ? true : undefined,
+        ...(duplicateCheck.message ? { duplicateBills: duplicateCheck.message } : {}),
+        ...(amountMismatches.length > 0 ? { amountMismatches: describeMismatches(amountMismatches) } : {}),
+        duplicateAttachments: duplicateAttachments || undefined
       },
       newValues: expenditure[0]
     });
@@ -296,10 +769,43 @@ const submitExpenditure = async (req, res) => {
 
     await notifyExpenditureSubmission(populatedExpenditure);
 
+    if (override) {
+      await recordAuditLog({
+        eventType: 'budget_override_requested',
+        req,
+        targetEntity: 'BudgetOverride',
+        targetId: override._id,
+        details: {
+          expenditure: expenditure[0]._id,
+          transactionId,
+          expenseAmount: override.expenseAmount,
+          overrunAmount: override.overrunAmount,
+          justification: override.justification
+        }
+      });
+      await notifyBudgetOverrideRequest(override, populatedExpenditure);
+    }
+
+    let message = duplicateCheck.message
+      ? `Event expenditure submitted and flagged for review. ${duplicateCheck.message}`
+      : 'Event expenditure submitted successfully';
+    if (amountMismatches.length > 0) {
+      message += `. Check the amounts: ${describeMismatches(amountMismatches)}.`;
+    }
+    if (override) {
+      message += override.overrunAmount > 0
+        ? `. A budget override for the ₹${override.overrunAmount.toLocaleString('en-IN')} overrun has been sent to the principal.`
+        : '. A budget override to spend ahead of the release schedule has been sent to the principal.';
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Event expenditure submitted successfully',
-      data: { expenditure: populatedExpenditure }
+      message,
+      data: {
+        expenditure: populatedExpenditure,
+        budgetOverride: override || undefined,
+        amountMismatches: amountMismatches.length > 0 ? amountMismatches : undefined
+      }
     });
   } catch (error) {
     if (session.transaction.state !== 'TRANSACTION_ABORTED') {
@@ -327,6 +833,149 @@ const submitExpenditure = async (req, res) => {
   }
 };
 
+// Caller's own draft, or null
+const findOwnDraft = async (id, user) => {
+  const draft = await Expenditure.findById(id);
+  if (!draft || draft.status !== 'DRAFT' || draft.submittedBy.toString() !== user._id.toString()) {
+    return null;
+  }
+  return draft;
+};
+
+// @desc    Save an expenditure draft (autosave); the first save creates it
+// @route   POST /api/expenditures/drafts
+// @route   PUT /api/expenditures/:id/draft
+// @access  Private/Department
+const saveDraft = async (req, res) => {
+  try {
+    let draft = null;
+    if (req.params.id) {
+      draft = await findOwnDraft(req.params.id, req.user);
+      if (!draft) {
+        return res.status(404).json({
+          success: false,
+          message: 'Draft expenditure not found'
+        });
+      }
+    }
+
+    let { expenseItems } = req.body;
+    if (typeof expenseItems === 'string') {
+      try {
+        expenseItems = JSON.parse(expenseItems);
+      } catch (e) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid expense items'
+        });
+      }
+    }
+
+    const fields = {};
+    DRAFT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field] === '' ? undefined : req.body[field];
+      }
+    });
+    if (req.body.advance !== undefined) {
+      fields.advance = req.body.advance || null;
+    }
+
+    // Bills may be uploaded while drafting; attachment rules are checked on submission
+    if (Array.isArray(expenseItems)) {
+      attachUploadedFiles(expenseItems, req.uploadedFiles, draft ? draft.expenseItems : []);
+      fields.expenseItems = expenseItems.map(toDraftItem);
+    }
+
+    const eventDate = fields.eventDate || (draft && draft.eventDate);
+    fields.financialYear = getFinancialYear(eventDate ? new Date(eventDate) : new Date());
+
+    const created = !draft;
+    if (draft) {
+      draft.set(fields);
+      await draft.save();
+    } else {
+      draft = await Expenditure.create({
+        ...fields,
+        department: req.user.department,
+        submittedBy: req.user._id,
+        status: 'DRAFT'
+      });
+
+      await recordAuditLog({
+        eventType: 'expenditure_draft_created',
+        req,
+        targetEntity: 'Expenditure',
+        targetId: draft._id,
+        details: {
+          eventName: draft.eventName,
+          itemCount: draft.expenseItems.length
+        }
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: 'Draft saved',
+      data: { expenditure: draft }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Save expenditure draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Discard an expenditure draft
+// @route   DELETE /api/expenditures/:id
+// @access  Private/Department
+const deleteDraft = async (req, res) => {
+  try {
+    const draft = await findOwnDraft(req.params.id, req.user);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: 'Draft expenditure not found'
+      });
+    }
+
+    await draft.deleteOne();
+
+    await recordAuditLog({
+      eventType: 'expenditure_draft_deleted',
+      req,
+      targetEntity: 'Expenditure',
+      targetId: draft._id,
+      details: {
+        eventName: draft.eventName,
+        claimedAmount: draft.claimedAmount,
+        recurringTemplate: draft.recurringTemplate || undefined
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Draft discarded'
+    });
+  } catch (error) {
+    console.error('Delete expenditure draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while discarding draft',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // @desc    Approve expenditure
 // @route   PUT /api/expenditures/:id/approve
 // @access  Private/Office/VicePrincipal/Principal
@@ -347,37 +996,55 @@ const approveExpenditure = async (req, res) => {
       });
     }
 
-    // Check if expenditure is in verified status
-    // Principal/VP can ONLY approve VERIFIED items (HOD verification is mandatory)
-    // Enforce transitions
-    if (!EXPENDITURE_TRANSITIONS[expenditure.status] || !EXPENDITURE_TRANSITIONS[expenditure.status].includes('MANAGEMENT_APPROVED')) {
-      console.log(`[Debug] Approval Blocked: Status is ${expenditure.status}`);
+    // Enforce the configured workflow: stage, roles, thresholds and role limits
+    const workflow = await getExpenditureWorkflow(expenditure, session);
+    const evaluation = evaluateDelegatedAction({
+      definition: workflow,
+      document: expenditure,
+      user: req.user,
+      action: 'approve',
+      amount: expenditure.totalAmount
+    }, await getActiveDelegators(req.user._id));
+
+    if (!evaluation.allowed) {
+      console.log(`[Debug] Approval Blocked: ${evaluation.message}`);
       await session.abortTransaction();
-      return res.status(403).json({
+      return res.status(evaluation.statusCode).json({
         success: false,
-        message: `Invalid transition from ${expenditure.status}`
+        message: evaluation.message
       });
     }
 
-    // Role check for approval - ONLY Management (Principal/VP)
-    const allowedApprovalRoles = ['vice_principal', 'principal'];
-    if (!allowedApprovalRoles.includes(req.user.role)) {
-      console.log(`[Debug] Approval Blocked: User role ${req.user.role} not authorized for Principal step`);
+    const lineError = reviewExpenseLines(req, expenditure, evaluation);
+    if (lineError) {
       await session.abortTransaction();
-      return res.status(403).json({
+      return res.status(400).json({
+        success: false,
+        message: lineError
+      });
+    }
+
+    const isSplit = expenditure.splits && expenditure.splits.length > 0;
+    const overspendPolicy = await getSetting('budget_overspend_policy', 'disallow');
+
+    // A split expenditure needs each of its allocations to cover its share
+    const splitShortfall = isSplit && overspendPolicy === 'disallow' ? await findSplitShortfall(expenditure, session) : null;
+    if (splitShortfall) {
+      await session.abortTransaction();
+      return res.status(400).json({
         success: false,
-        message: 'Only Principal or Vice Principal can approve expenditures'
+        message: `Approval would exceed allocated budget, and overspend is disallowed. ${splitShortfall}`
       });
     }
 
     // Get allocation
-    const allocation = await Allocation.findOne({
+    const allocation = isSplit ? null : await Allocation.findOne({
       department: expenditure.department,
       budgetHead: expenditure.budgetHead,
       financialYear: expenditure.financialYear
     }).session(session);
 
-    if (!allocation) {
+    if (!isSplit && !allocation) {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
@@ -385,69 +1052,67 @@ const approveExpenditure = async (req, res) => {
       });
     }
 
-    // Check if approval would exceed budget
-    const remainingAmount = allocation.allocatedAmount - allocation.spentAmount;
-    const overspendPolicy = await getSetting('budget_overspend_policy', 'disallow');
+    // Check if approval would exceed budget; a purchase order bill is already covered by its
+    // commitment, and an approved budget override covers its overrun
+    const remainingAmount = isSplit ? expenditure.totalAmount : getAvailableAmount(allocation) + await getBillRelease(expenditure, session);
 
-    if (expenditure.totalAmount > remainingAmount && overspendPolicy === 'disallow') {
+    if (overspendPolicy === 'disallow' && expenditure.totalAmount > remainingAmount + await getApprovedOverrun(expenditure._id, session)) {
+      const override = await getOpenOverride(expenditure._id, session);
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
-        message: 'Approval would exceed allocated budget, and overspend is disallowed.'
+        message: override && override.status === 'pending'
+          ? 'A budget override for this expenditure is awaiting principal approval.'
+          : 'Approval would exceed allocated budget, and overspend is disallowed.'
       });
     }
 
     // Store previous values for audit log
     const previousState = expenditure.toObject();
 
-    // Role-based logic for approval
-    let newStatus = 'MANAGEMENT_APPROVED';
-    const amount = expenditure.totalAmount;
+    // Record the sign-off; the status only moves once the stage is complete
+    const previousStatus = expenditure.status;
+    const signOff = recordSignOff(expenditure, evaluation.stage, req.user, remarks, evaluation.onBehalfOf);
+
+    console.log(`[Debug] Transition: ${previousStatus} -> ${signOff.status} (by ${req.user.role}${evaluation.onBehalfOf ? ` for ${evaluation.onBehalfOf.role}` : ''})`);
+    await expenditure.save({ session });
 
-    // Vice Principal threshold check (₹50,000)
-    if (req.user.role === 'vice_principal') {
-      if (amount > 50000) {
+    // Budget is deducted at FINALIZED, which this approval only reaches when
+    // the routing tier skips the office sanction stage
+    let snapshot = null;
+    if (signOff.status === 'FINALIZED') {
+      snapshot = await deductFromAllocation(expenditure, session);
+      if (!snapshot) {
         await session.abortTransaction();
-        return res.status(403).json({
+        return res.status(400).json({
           success: false,
-          message: 'Vice Principal can only approve expenditures up to ₹50,000. This requires Principal approval.'
+          message: 'Budget exceeded during finalization attempt or allocation not found.'
         });
       }
+      await recordFinalizationAudit(req, expenditure, snapshot);
     }
 
-    // Ensure sequencing: verified -> approved
-    if (expenditure.status === 'PENDING') {
-      // If still pending, we allow approval but it counts as both verification and approval
-      // Or we can enforce verification first. Let's allow for 'Office' to do both if needed.
-    }
-
-    // Update expenditure status and add approval step
-    expenditure.status = newStatus;
-    expenditure.approvalSteps.push({
-      approver: req.user._id,
-      role: req.user.role,
-      decision: 'approve',
-      remarks: remarks || '',
-      timestamp: new Date()
-    });
-
-    console.log(`[Debug] Transition: HOD_VERIFIED -> ${newStatus} (by ${req.user.role})`);
-    await expenditure.save({ session });
+    await session.commitTransaction();
 
-    // REMOVED: Incrementing spentAmount here. 
-    // Logic: Budget calculation happens at 'Finalized' (Office Sanction) stage
-    // to comply with mandatory project rule.
+    if (snapshot) {
+      broadcastFinalization(expenditure);
+    }
 
-    await session.commitTransaction();
-    let transactionCommitted = true;
+    const populatedExpenditure = await Expenditure.findById(expenditureId)
+      .populate('department', 'name code')
+      .populate('budgetHead', 'name category')
+      .populate('submittedBy', 'name email')
+      .populate('approvalSteps.approver', 'name email role')
+      .populate('approvalSteps.onBehalfOf', 'name email role');
 
     // Send notifications
     try {
       await notifyExpenditureApproval(populatedExpenditure, req.user);
 
       // Check for budget exhaustion and notify if > 90%
-      const updatedAllocation = await Allocation.findById(allocation._id).populate('department budgetHead');
-      if (updatedAllocation) {
+      const allocationIds = isSplit ? expenditure.splits.map(split => split.allocation) : [allocation._id];
+      const updatedAllocations = await Allocation.find({ _id: { $in: allocationIds } }).populate('department budgetHead');
+      for (const updatedAllocation of updatedAllocations) {
         await notifyBudgetExhaustion(updatedAllocation);
       }
     } catch (notifyError) {
@@ -464,6 +1129,10 @@ const approveExpenditure = async (req, res) => {
         details: {
           eventName: expenditure.eventName,
           totalAmount: expenditure.totalAmount,
+          claimedAmount: expenditure.claimedAmount,
+          lineChanges: summarizeLineChanges(expenditure),
+          tier: workflow.tier ? workflow.tier.key : undefined,
+          onBehalfOf: evaluation.onBehalfOf ? evaluation.onBehalfOf.name : undefined,
           remarks
         },
         previousValues: previousState,
@@ -475,8 +1144,10 @@ const approveExpenditure = async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Expenditure approved successfully',
-      data: { expenditure: populatedExpenditure }
+      message: signOff.completed
+        ? (snapshot ? 'Expenditure approved, finalized and budget deducted successfully' : 'Expenditure approved successfully')
+        : `Approval recorded. Awaiting sign-off from ${signOff.pendingRoles.join(', ').toUpperCase()}`,
+      data: { expenditure: populatedExpenditure, pendingRoles: signOff.pendingRoles, tier: workflow.tier, snapshot }
     });
   } catch (error) {
     if (session.transaction.isActive && !session.transaction.isCommitted) {
@@ -516,15 +1187,19 @@ const rejectExpenditure = async (req, res) => {
       });
     }
 
-    // Check if expenditure is in a state that can be rejected
-    // For HOD: pending
-    // For Prin/VP: pending or verified
-    // For Office: approved
-    const allowedStatuses = ['PENDING', 'HOD_VERIFIED', 'MANAGEMENT_APPROVED'];
-    if (!allowedStatuses.includes(expenditure.status)) {
-      return res.status(400).json({
+    // Only the roles responsible for the pending stage may reject
+    const workflow = await getExpenditureWorkflow(expenditure);
+    const evaluation = evaluateDelegatedRejection({
+      definition: workflow,
+      document: expenditure,
+      user: req.user,
+      amount: expenditure.totalAmount
+    }, await getActiveDelegators(req.user._id));
+
+    if (!evaluation.allowed) {
+      return res.status(evaluation.statusCode).json({
         success: false,
-        message: 'Expenditure is not in a state that can be rejected'
+        message: evaluation.message
       });
     }
 
@@ -533,21 +1208,34 @@ const rejectExpenditure = async (req, res) => {
     expenditure.status = 'REJECTED';
     expenditure.approvalSteps.push({
       approver: req.user._id,
-      role: req.user.role,
+      role: evaluation.onBehalfOf ? evaluation.onBehalfOf.role : req.user.role,
+      onBehalfOf: evaluation.onBehalfOf ? evaluation.onBehalfOf._id : undefined,
       decision: 'reject',
+      stage: evaluation.stage.key,
+      tier: evaluation.stage.tier,
       remarks: remarks.trim(),
       timestamp: new Date()
     });
 
     await expenditure.save();
 
+    // The advance stays open for a corrected settlement claim
+    if (expenditure.advance) {
+      await reopenAdvance(expenditure.advance);
+    }
+
     // Log the rejection
     await recordAuditLog({
       eventType: 'expenditure_rejected',
       req,
       targetEntity: 'Expenditure',
       targetId: expenditureId,
-      details: { eventName: expenditure.eventName, totalAmount: expenditure.totalAmount, remarks },
+      details: {
+        eventName: expenditure.eventName,
+        totalAmount: expenditure.totalAmount,
+        onBehalfOf: evaluation.onBehalfOf ? evaluation.onBehalfOf.name : undefined,
+        remarks
+      },
       previousValues: previousState,
       newValues: expenditure
     });
@@ -556,7 +1244,8 @@ const rejectExpenditure = async (req, res) => {
       .populate('department', 'name code')
       .populate('budgetHead', 'name category')
       .populate('submittedBy', 'name email')
-      .populate('approvalSteps.approver', 'name email role');
+      .populate('approvalSteps.approver', 'name email role')
+      .populate('approvalSteps.onBehalfOf', 'name email role');
 
     // Send notifications
     await notifyExpenditureRejection(populatedExpenditure, req.user, remarks);
@@ -580,14 +1269,6 @@ const rejectExpenditure = async (req, res) => {
 // @route   PUT /api/expenditures/:id/finalize
 // @access  Private/Office
 const finalizeExpenditure = async (req, res) => {
-  // SECURITY: Only Office role can finalize/sanction
-  if (req.user.role !== 'office') {
-    return res.status(403).json({
-      success: false,
-      message: 'Not authorized. Only the Office role can finalize and sanction budget deductions.'
-    });
-  }
-
   const session = await Expenditure.startSession();
   session.startTransaction();
 
@@ -604,24 +1285,43 @@ const finalizeExpenditure = async (req, res) => {
       });
     }
 
-    // Enforce transitions
-    if (!EXPENDITURE_TRANSITIONS[expenditure.status] || !EXPENDITURE_TRANSITIONS[expenditure.status].includes('FINALIZED')) {
-      console.log(`[Debug] Finalization Blocked: Status is ${expenditure.status}`);
+    // SECURITY: Only the roles configured for the sanction stage can finalize
+    const workflow = await getExpenditureWorkflow(expenditure, session);
+    const evaluation = evaluateDelegatedAction({
+      definition: workflow,
+      document: expenditure,
+      user: req.user,
+      action: 'finalize',
+      amount: expenditure.totalAmount
+    }, await getActiveDelegators(req.user._id));
+
+    if (!evaluation.allowed) {
+      console.log(`[Debug] Finalization Blocked: ${evaluation.message}`);
       await session.abortTransaction();
-      return res.status(403).json({
+      return res.status(evaluation.statusCode).json({
         success: false,
-        message: `Invalid transition from ${expenditure.status}`
+        message: evaluation.message
       });
     }
 
-    // Get allocation
-    const allocation = await Allocation.findOne({
+    const lineError = reviewExpenseLines(req, expenditure, evaluation);
+    if (lineError) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: lineError
+      });
+    }
+
+    // Get allocation (a split expenditure's allocations are checked as they are debited)
+    const isSplit = expenditure.splits && expenditure.splits.length > 0;
+    const allocation = isSplit ? null : await Allocation.findOne({
       department: expenditure.department,
       budgetHead: expenditure.budgetHead,
       financialYear: expenditure.financialYear
     }).session(session);
 
-    if (!allocation) {
+    if (!isSplit && !allocation) {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
@@ -629,40 +1329,34 @@ const finalizeExpenditure = async (req, res) => {
       });
     }
 
-    // Capture previous balance for traceability
-    const previousRemaining = allocation.allocatedAmount - allocation.spentAmount;
+    // Record the sanction; a parallel/sequential stage may need further signatures
+    const previousStatus = expenditure.status;
+    const signOff = recordSignOff(expenditure, evaluation.stage, req.user, remarks || 'Office Sanctioned', evaluation.onBehalfOf);
 
-    // Update expenditure status to FINALIZED
-    expenditure.status = 'FINALIZED';
-    expenditure.approvalSteps.push({
-      approver: req.user._id,
-      role: req.user.role,
-      decision: 'finalize',
-      remarks: remarks || 'Office Sanctioned',
-      timestamp: new Date()
-    });
-
-    console.log(`[Debug] Transition: MANAGEMENT_APPROVED -> FINALIZED (by Office)`);
+    console.log(`[Debug] Transition: ${previousStatus} -> ${signOff.status} (by ${req.user.role}${evaluation.onBehalfOf ? ` for ${evaluation.onBehalfOf.role}` : ''})`);
     await expenditure.save({ session });
 
-    // NEW: Update allocation spent amount and lastTransactionDate atomically
-    const overspendPolicy = await getSetting('budget_overspend_policy', 'disallow');
-    const updateResult = await Allocation.findOneAndUpdate(
-      {
-        _id: allocation._id,
-        // If policy is disallow, ensure we don't exceed budget in this atomic step
-        ...(overspendPolicy === 'disallow' ? {
-          $expr: { $lte: [{ $add: ['$spentAmount', expenditure.totalAmount] }, '$allocatedAmount'] }
-        } : {})
-      },
-      {
-        $inc: { spentAmount: expenditure.totalAmount },
-        $set: { lastTransactionDate: new Date() }
-      },
-      { session, new: true }
-    );
+    if (!signOff.completed) {
+      await session.commitTransaction();
+
+      const pendingExpenditure = await Expenditure.findById(expenditureId)
+        .populate('department', 'name code')
+        .populate('budgetHead', 'name category')
+        .populate('submittedBy', 'name email')
+        .populate('approvalSteps.approver', 'name email role')
+        .populate('approvalSteps.onBehalfOf', 'name email role');
+
+      return res.json({
+        success: true,
+        message: `Sanction recorded. Awaiting sign-off from ${signOff.pendingRoles.join(', ').toUpperCase()}`,
+        data: { expenditure: pendingExpenditure, pendingRoles: signOff.pendingRoles }
+      });
+    }
 
-    if (!updateResult) {
+    // Update allocation spent amount and lastTransactionDate atomically
+    const snapshot = await deductFromAllocation(expenditure, session);
+
+    if (!snapshot) {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
@@ -670,45 +1364,19 @@ const finalizeExpenditure = async (req, res) => {
       });
     }
 
-    const newRemaining = updateResult.allocatedAmount - updateResult.spentAmount;
-
     // Record detailed audit log with Before/Spent/After snapshot
-    await recordAuditLog({
-      eventType: 'expenditure_approved', // Using consistent name as per user's trace requirement
-      req,
-      targetEntity: 'Expenditure',
-      targetId: expenditure._id,
-      details: {
-        eventName: expenditure.eventName,
-        transactionId: expenditure.transactionId,
-        spent: expenditure.totalAmount,
-        previousBalance: previousRemaining,
-        newBalance: newRemaining,
-        traceabilityLabel: `Before: ₹${previousRemaining.toLocaleString()} | Spent: ₹${expenditure.totalAmount.toLocaleString()} | After: ₹${newRemaining.toLocaleString()}`
-      }
-    });
+    await recordFinalizationAudit(req, expenditure, snapshot);
 
     await session.commitTransaction();
-    let transactionCommitted = true;
-
-    // REAL-TIME UPDATE: Notify all clients to update their dashboards
-    try {
-      broadcast('dashboard_update', {
-        type: 'expenditure_finalized',
-        department: expenditure.department,
-        amount: expenditure.totalAmount,
-        timestamp: new Date()
-      });
-    } catch (socketError) {
-      console.error('Socket broadcast error (non-fatal):', socketError);
-    }
 
+    broadcastFinalization(expenditure);
 
     const populatedExpenditure = await Expenditure.findById(expenditureId)
       .populate('department', 'name code')
       .populate('budgetHead', 'name category')
       .populate('submittedBy', 'name email')
-      .populate('approvalSteps.approver', 'name email role');
+      .populate('approvalSteps.approver', 'name email role')
+      .populate('approvalSteps.onBehalfOf', 'name email role');
 
     res.json({
       success: true,
@@ -716,9 +1384,9 @@ const finalizeExpenditure = async (req, res) => {
       data: {
         expenditure: populatedExpenditure,
         snapshot: {
-          previousBalance: previousRemaining,
-          spent: expenditure.totalAmount,
-          newBalance: newRemaining
+          previousBalance: snapshot.previousBalance,
+          spent: snapshot.spent,
+          newBalance: snapshot.newBalance
         }
       }
     });
@@ -741,56 +1409,74 @@ const finalizeExpenditure = async (req, res) => {
 // @route   PUT /api/expenditures/:id/verify
 // @access  Private/HOD
 const verifyExpenditure = async (req, res) => {
+  const session = await Expenditure.startSession();
+  session.startTransaction();
+
   try {
     const { remarks } = req.body;
     const expenditureId = req.params.id;
 
-    const expenditure = await Expenditure.findById(expenditureId);
+    const expenditure = await Expenditure.findById(expenditureId).session(session);
     if (!expenditure) {
+      await session.abortTransaction();
       return res.status(404).json({
         success: false,
         message: 'Expenditure not found'
       });
     }
 
-    // Check permissions - HOD Only for Verification
-    const allowedVerifyRoles = ['hod'];
-    if (!allowedVerifyRoles.includes(req.user.role)) {
-      return res.status(403).json({
+    // Enforce the configured workflow (roles, department scope, transitions)
+    const workflow = await getExpenditureWorkflow(expenditure, session);
+    const evaluation = evaluateDelegatedAction({
+      definition: workflow,
+      document: expenditure,
+      user: req.user,
+      action: 'verify',
+      amount: expenditure.totalAmount
+    }, await getActiveDelegators(req.user._id));
+
+    if (!evaluation.allowed) {
+      await session.abortTransaction();
+      return res.status(evaluation.statusCode).json({
+        success: false,
+        message: evaluation.message
+      });
+    }
+
+    const lineError = reviewExpenseLines(req, expenditure, evaluation);
+    if (lineError) {
+      await session.abortTransaction();
+      return res.status(400).json({
         success: false,
-        message: 'Only HOD can verify expenditures'
+        message: lineError
       });
     }
 
-    if (req.user.role === 'hod') {
-      if (expenditure.department.toString() !== req.user.department.toString()) {
-        return res.status(403).json({
+    const previousStatus = expenditure.status;
+    const signOff = recordSignOff(expenditure, evaluation.stage, req.user, remarks, evaluation.onBehalfOf);
+
+    console.log(`[Debug] Transition: ${previousStatus} -> ${signOff.status} (by ${req.user.role}${evaluation.onBehalfOf ? ` for ${evaluation.onBehalfOf.role}` : ''})`);
+    await expenditure.save({ session });
+
+    // Small-claim tiers finalize on HOD verification, so deduct the budget now
+    let snapshot = null;
+    if (signOff.status === 'FINALIZED') {
+      snapshot = await deductFromAllocation(expenditure, session);
+      if (!snapshot) {
+        await session.abortTransaction();
+        return res.status(400).json({
           success: false,
-          message: 'You can only verify expenditures from your department'
+          message: 'Budget exceeded during finalization attempt or allocation not found.'
         });
       }
+      await recordFinalizationAudit(req, expenditure, snapshot);
     }
 
-    // Enforce transitions
-    if (!EXPENDITURE_TRANSITIONS[expenditure.status] || !EXPENDITURE_TRANSITIONS[expenditure.status].includes('HOD_VERIFIED')) {
-      return res.status(403).json({
-        success: false,
-        message: `Invalid transition from ${expenditure.status}`
-      });
-    }
-
-    // Update expenditure status to HOD_VERIFIED
-    expenditure.status = 'HOD_VERIFIED';
-    expenditure.approvalSteps.push({
-      approver: req.user._id,
-      role: req.user.role,
-      decision: 'verify',
-      remarks: remarks || '',
-      timestamp: new Date()
-    });
+    await session.commitTransaction();
 
-    console.log(`[Debug] Transition: PENDING -> HOD_VERIFIED (by HOD)`);
-    await expenditure.save();
+    if (snapshot) {
+      broadcastFinalization(expenditure);
+    }
 
     // Log the verification
     await AuditLog.create({
@@ -802,6 +1488,10 @@ const verifyExpenditure = async (req, res) => {
       details: {
         eventName: expenditure.eventName,
         totalAmount: expenditure.totalAmount,
+        claimedAmount: expenditure.claimedAmount,
+        lineChanges: summarizeLineChanges(expenditure),
+        tier: workflow.tier ? workflow.tier.key : undefined,
+        onBehalfOf: evaluation.onBehalfOf ? evaluation.onBehalfOf.name : undefined,
         remarks
       }
     });
@@ -810,20 +1500,37 @@ const verifyExpenditure = async (req, res) => {
       .populate('department', 'name code')
       .populate('budgetHead', 'name category')
       .populate('submittedBy', 'name email')
-      .populate('approvalSteps.approver', 'name email role');
+      .populate('approvalSteps.approver', 'name email role')
+      .populate('approvalSteps.onBehalfOf', 'name email role');
+
+    if (snapshot) {
+      await notifyExpenditureApproval(populatedExpenditure, req.user);
+    }
+
+    let message = 'Expenditure verified successfully';
+    if (!signOff.completed) {
+      message = `Verification recorded. Awaiting sign-off from ${signOff.pendingRoles.join(', ').toUpperCase()}`;
+    } else if (snapshot) {
+      message = `Expenditure verified and finalized under the ${workflow.tier.label} tier`;
+    }
 
     res.json({
       success: true,
-      message: 'Expenditure verified successfully',
-      data: { expenditure: populatedExpenditure }
+      message,
+      data: { expenditure: populatedExpenditure, pendingRoles: signOff.pendingRoles, tier: workflow.tier, snapshot }
     });
   } catch (error) {
+    if (session.transaction.isActive && !session.transaction.isCommitted) {
+      await session.abortTransaction();
+    }
     console.error('Verify expenditure error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error while verifying expenditure',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  } finally {
+    session.endSession();
   }
 };
 
@@ -906,6 +1613,56 @@ const resubmitExpenditure = async (req, res) => {
       });
     }
 
+    // Same currency, tax, vendor master and duplicate-bill rules as a fresh submission
+    const currencyError = await applyExchangeRates(expenseItems);
+    if (currencyError) {
+      return res.status(400).json({
+        success: false,
+        message: currencyError
+      });
+    }
+
+    const taxError = applyTaxBreakdowns(expenseItems);
+    if (taxError) {
+      return res.status(400).json({
+        success: false,
+        message: taxError
+      });
+    }
+
+    const vendorError = await attachVendors(expenseItems);
+    if (vendorError) {
+      return res.status(400).json({
+        success: false,
+        message: vendorError
+      });
+    }
+
+    const duplicatePolicy = await getSetting('duplicate_bill_policy', 'block');
+    const duplicateCheck = await screenDuplicateBills(expenseItems, duplicatePolicy);
+    if (duplicateCheck.blocked) {
+      return res.status(400).json({
+        success: false,
+        message: `Duplicate bill: ${duplicateCheck.message}`,
+        code: 'DUPLICATE_BILL',
+        duplicates: duplicateCheck.duplicates
+      });
+    }
+
+    const amountMismatches = flagAmountMismatches(expenseItems);
+    const duplicateAttachments = await flagDuplicateAttachments(expenseItems, { excludeExpenditureIds: [expenditureId] });
+
+    // A rejected advance settlement goes back against the same advance
+    if (originalExpenditure.advance) {
+      const advanceCheck = await getSettleableAdvance(originalExpenditure.advance, originalExpenditure);
+      if (advanceCheck.error) {
+        return res.status(400).json({
+          success: false,
+          message: advanceCheck.error
+        });
+      }
+    }
+
     // Create new expenditure based on original
     const newExpenditure = await Expenditure.create([{
       department: originalExpenditure.department,
@@ -918,15 +1675,24 @@ const resubmitExpenditure = async (req, res) => {
         ...item,
         category: item.category || 'MISCELLANEOUS',
         amount: Number(item.amount) || 0,
-        billDate: item.billDate ? new Date(item.billDate) : new Date()
+        billDate: item.billDate ? new Date(item.billDate) : new Date(),
+        ...UNREVIEWED_LINE
       })),
       submittedBy: req.user._id,
       financialYear: originalExpenditure.financialYear,
       status: 'PENDING',
       isResubmission: true,
-      originalExpenditureId: expenditureId
+      originalExpenditureId: expenditureId,
+      purchaseOrder: originalExpenditure.purchaseOrder,
+      advance: originalExpenditure.advance,
+      project: originalExpenditure.project,
+      splits: originalExpenditure.splits.map(split => split.toObject())
     }]);
 
+    if (originalExpenditure.advance) {
+      await linkSettlementClaim(originalExpenditure.advance, newExpenditure[0]._id);
+    }
+
     // Log the resubmission
     await recordAuditLog({
       eventType: 'expenditure_resubmitted',
@@ -936,7 +1702,9 @@ const resubmitExpenditure = async (req, res) => {
       details: {
         originalExpenditureId: expenditureId,
         eventName: newExpenditure[0].eventName,
-        totalAmount: newExpenditure[0].totalAmount
+        totalAmount: newExpenditure[0].totalAmount,
+        ...(amountMismatches.length > 0 ? { amountMismatches: describeMismatches(amountMismatches) } : {}),
+        duplicateAttachments: duplicateAttachments || undefined
       },
       newValues: newExpenditure[0]
     });
@@ -948,8 +1716,13 @@ const resubmitExpenditure = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Expenditure resubmitted successfully',
-      data: { expenditure: populatedExpenditure }
+      message: amountMismatches.length > 0
+        ? `Expenditure resubmitted. Check the amounts: ${describeMismatches(amountMismatches)}.`
+        : 'Expenditure resubmitted successfully',
+      data: {
+        expenditure: populatedExpenditure,
+        amountMismatches: amountMismatches.length > 0 ? amountMismatches : undefined
+      }
     });
   } catch (error) {
     console.error('Resubmit expenditure error:', error);
@@ -972,6 +1745,233 @@ const resubmitExpenditure = async (req, res) => {
   }
 };
 
+// @desc    Withdraw an expenditure submitted by mistake, before anyone has acted on it
+// @route   PUT /api/expenditures/:id/withdraw
+// @access  Private (submitter, or the department coordinator)
+const withdrawExpenditure = async (req, res) => {
+  try {
+    const reason = req.body.reason ? req.body.reason.trim() : undefined;
+
+    const expenditure = await Expenditure.findById(req.params.id);
+    if (!expenditure || expenditure.status === 'DRAFT') {
+      return res.status(404).json({
+        success: false,
+        message: 'Expenditure not found'
+      });
+    }
+
+    const isSubmitter = expenditure.submittedBy.toString() === req.user._id.toString();
+    const isCoordinator = req.user.role === 'coordinator' &&
+      expenditure.department.toString() === req.user.department?.toString();
+    if (!isSubmitter && !isCoordinator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the submitter or the department coordinator can withdraw this expenditure'
+      });
+    }
+
+    // Claimed atomically so an approver acting at the same moment wins or loses cleanly
+    const withdrawn = await Expenditure.findOneAndUpdate(
+      { _id: expenditure._id, status: 'PENDING' },
+      {
+        $set: {
+          status: 'WITHDRAWN',
+          cancelledBy: req.user._id,
+          cancelledAt: new Date(),
+          cancelReason: reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!withdrawn) {
+      return res.status(400).json({
+        success: false,
+        message: expenditure.status === 'PENDING'
+          ? 'The expenditure was acted on while it was being withdrawn'
+          : `Only pending expenditures can be withdrawn; this one is ${expenditure.status.toLowerCase().replace(/_/g, ' ')}. Ask an approver to reject it instead.`
+      });
+    }
+
+    // The advance stays open for a corrected settlement claim
+    if (withdrawn.advance) {
+      await reopenAdvance(withdrawn.advance);
+    }
+
+    await recordAuditLog({
+      eventType: 'expenditure_withdrawn',
+      req,
+      targetEntity: 'Expenditure',
+      targetId: withdrawn._id,
+      details: {
+        eventName: withdrawn.eventName,
+        transactionId: withdrawn.transactionId,
+        totalAmount: withdrawn.totalAmount,
+        reason
+      },
+      previousValues: { status: expenditure.status },
+      newValues: { status: withdrawn.status }
+    });
+
+    res.json({
+      success: true,
+      message: 'Expenditure withdrawn',
+      data: { expenditure: withdrawn }
+    });
+  } catch (error) {
+    console.error('Withdraw expenditure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while withdrawing expenditure',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Reverse a finalized expenditure and return its amount to the allocation
+// @route   PUT /api/expenditures/:id/cancel
+// @access  Private/Office/Admin
+const cancelExpenditure = async (req, res) => {
+  const session = await Expenditure.startSession();
+  session.startTransaction();
+
+  try {
+    const reason = req.body.reason ? req.body.reason.trim() : '';
+    if (!reason) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reverse an expenditure'
+      });
+    }
+
+    const expenditure = await Expenditure.findOneAndUpdate(
+      { _id: req.params.id, status: 'FINALIZED' },
+      {
+        $set: {
+          status: 'CANCELLED',
+          cancelledBy: req.user._id,
+          cancelledAt: new Date(),
+          cancelReason: reason
+        }
+      },
+      { new: true, session }
+    );
+
+    if (!expenditure) {
+      await session.abortTransaction();
+      const existing = await Expenditure.findById(req.params.id).select('status');
+      return res.status(existing ? 400 : 404).json({
+        success: false,
+        message: existing ? 'Only finalized expenditures can be reversed' : 'Expenditure not found'
+      });
+    }
+
+    // A split expenditure goes back to each allocation it was debited from
+    const isSplit = expenditure.splits.length > 0;
+    const allocations = isSplit ? await reverseSplits(expenditure, session) : [await Allocation.findOneAndUpdate(
+      {
+        department: expenditure.department,
+        budgetHead: expenditure.budgetHead,
+        financialYear: expenditure.financialYear,
+        spentAmount: { $gte: expenditure.totalAmount }
+      },
+      {
+        $inc: { spentAmount: -expenditure.totalAmount },
+        $set: { lastTransactionDate: new Date() }
+      },
+      { session, new: true }
+    )];
+
+    if (!allocations || !allocations[0]) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'The allocation no longer carries this spend, so it cannot be reversed'
+      });
+    }
+
+    if (expenditure.project && !await refundProject(expenditure, session)) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'The project no longer carries this spend, so it cannot be reversed'
+      });
+    }
+
+    if (expenditure.purchaseOrder) {
+      await reversePurchaseOrderBill(expenditure, session);
+    }
+
+    // A reversed settlement reopens the advance: the cash is still out
+    const advance = expenditure.advance ? await unsettleAdvance(expenditure, session) : null;
+    const reserved = advance ? advance.amount : 0;
+
+    await session.commitTransaction();
+
+    // The allocation was read back before any advance was reserved on it again
+    const restoredBalance = allocations.reduce((sum, allocation) => sum + getAvailableAmount(allocation), 0);
+    const previousBalance = restoredBalance - expenditure.totalAmount;
+    const newBalance = restoredBalance - reserved;
+    await recordAuditLog({
+      eventType: 'expenditure_cancelled',
+      req,
+      targetEntity: 'Expenditure',
+      targetId: expenditure._id,
+      details: {
+        eventName: expenditure.eventName,
+        transactionId: expenditure.transactionId,
+        reversed: expenditure.totalAmount,
+        advance: advance ? advance.advanceNumber : undefined,
+        previousBalance,
+        newBalance,
+        reason,
+        traceabilityLabel: `Before: ₹${previousBalance.toLocaleString()} | Reversed: ₹${expenditure.totalAmount.toLocaleString()} | After: ₹${newBalance.toLocaleString()}`
+      },
+      previousValues: { status: 'FINALIZED' },
+      newValues: { status: expenditure.status }
+    });
+
+    const populatedExpenditure = await Expenditure.findById(expenditure._id)
+      .populate('department', 'name code')
+      .populate('budgetHead', 'name category')
+      .populate('submittedBy', 'name email');
+
+    await notifyExpenditureCancellation(populatedExpenditure, req.user, reason);
+
+    try {
+      broadcast('dashboard_update', {
+        type: 'expenditure_cancelled',
+        department: expenditure.department,
+        amount: -expenditure.totalAmount,
+        timestamp: new Date()
+      });
+    } catch (socketError) {
+      console.error('Socket broadcast error (non-fatal):', socketError);
+    }
+
+    res.json({
+      success: true,
+      message: advance
+        ? `Expenditure reversed; ₹${expenditure.totalAmount.toLocaleString('en-IN')} returned to the allocation and ${advance.advanceNumber} reopened`
+        : `Expenditure reversed; ₹${expenditure.totalAmount.toLocaleString('en-IN')} returned to the allocation`,
+      data: { expenditure: populatedExpenditure }
+    });
+  } catch (error) {
+    if (session.transaction.isActive) {
+      await session.abortTransaction();
+    }
+    console.error('Cancel expenditure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reversing expenditure',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
 // @desc    Get expenditure statistics
 // @route   GET /api/expenditures/stats
 // @access  Private
@@ -979,7 +1979,7 @@ const getExpenditureStats = async (req, res) => {
   try {
     const { financialYear, department } = req.query;
 
-    const query = {};
+    const query = { status: { $ne: 'DRAFT' } };
     if (financialYear) query.financialYear = financialYear;
     if (department) query.department = department;
 
@@ -1052,10 +2052,14 @@ module.exports = {
   getExpenditures,
   getExpenditureById,
   submitExpenditure,
+  saveDraft,
+  deleteDraft,
   approveExpenditure,
   rejectExpenditure,
   verifyExpenditure,
   finalizeExpenditure,
   resubmitExpenditure,
+  withdrawExpenditure,
+  cancelExpenditure,
   getExpenditureStats
 };
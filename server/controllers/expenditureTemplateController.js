@@ -0,0 +1,311 @@
+const ExpenditureTemplate = require('../models/ExpenditureTemplate');
+const BudgetHead = require('../models/BudgetHead');
+const { recordAuditLog } = require('../utils/auditService');
+const { resolveVendor } = require('../services/vendorService');
+const { getNextRunDate } = require('../services/recurringExpenditureService');
+const { DEPARTMENT_BOUND_ROLES } = require('../config/workflowRules');
+
+const EDITABLE_FIELDS = ['name', 'budgetHead', 'eventType', 'category', 'expectedAmount', 'description', 'frequency', 'dayOfMonth', 'startDate', 'endDate'];
+
+// Fields that move the next run when changed
+const SCHEDULE_FIELDS = ['frequency', 'dayOfMonth', 'startDate', 'endDate'];
+
+const populateTemplate = (query) => {
+  return query
+    .populate('department', 'name code')
+    .populate('budgetHead', 'name category')
+    .populate('createdBy', 'name email')
+    .populate('lastDraft', 'eventName status transactionId');
+};
+
+// Templates belong to the department whose bills they raise
+const isDepartmentScoped = (user) => user.role === 'department' || DEPARTMENT_BOUND_ROLES.includes(user.role);
+
+const canAccessTemplate = (user, template) => {
+  const departmentId = template.department._id || template.department;
+  return !isDepartmentScoped(user) || departmentId.toString() === user.department?.toString();
+};
+
+const pickTemplateFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+  });
+  if (fields.endDate === '') fields.endDate = null;
+  return fields;
+};
+
+// Vendor must be in the master and not blocked, as for any bill
+const applyVendor = async (fields, body) => {
+  if (body.vendor === undefined && body.vendorName === undefined) {
+    return null;
+  }
+  const vendor = await resolveVendor(body.vendor, body.vendorName);
+  if (!vendor) {
+    return `Vendor "${body.vendorName || 'unspecified'}" is not registered in the vendor master`;
+  }
+  if (vendor.isBlocked) {
+    return `Vendor "${vendor.name}" is blocked${vendor.blockedReason ? `: ${vendor.blockedReason}` : ''}`;
+  }
+  fields.vendor = vendor._id;
+  fields.vendorName = vendor.name;
+  return null;
+};
+
+const handleTemplateSaveError = (error, res, action) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${action} expenditure template error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${action === 'Create' ? 'creating' : 'updating'} recurring expenditure`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Get recurring expenditure templates
+// @route   GET /api/expenditure-templates
+// @access  Private/Department/HOD/Office/Admin
+const getTemplates = async (req, res) => {
+  try {
+    const { active, department } = req.query;
+
+    const query = {};
+    if (active === 'true') query.isActive = true;
+    if (active === 'false') query.isActive = false;
+
+    if (isDepartmentScoped(req.user)) {
+      query.department = req.user.department;
+    } else if (department) {
+      query.department = department;
+    }
+
+    const templates = await populateTemplate(ExpenditureTemplate.find(query)).sort({ nextRunDate: 1 });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    console.error('Get expenditure templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching recurring expenditures',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create a recurring expenditure template
+// @route   POST /api/expenditure-templates
+// @access  Private/Department
+const createTemplate = async (req, res) => {
+  try {
+    const fields = pickTemplateFields(req.body);
+
+    if (!fields.name || !fields.budgetHead || !fields.startDate || !(parseFloat(fields.expectedAmount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, budget head, vendor, expected amount and start date are required'
+      });
+    }
+
+    const vendorError = await applyVendor(fields, req.body);
+    if (vendorError || !fields.vendor) {
+      return res.status(400).json({
+        success: false,
+        message: vendorError || 'Vendor is required'
+      });
+    }
+
+    if (!await BudgetHead.exists({ _id: fields.budgetHead })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Budget head not found'
+      });
+    }
+
+    const template = new ExpenditureTemplate({
+      ...fields,
+      department: req.user.department,
+      createdBy: req.user._id
+    });
+
+    const nextRunDate = getNextRunDate(template, new Date());
+    if (!nextRunDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'The schedule ends before its next run'
+      });
+    }
+    template.nextRunDate = nextRunDate;
+    await template.save();
+
+    await recordAuditLog({
+      eventType: 'expenditure_template_created',
+      req,
+      targetEntity: 'ExpenditureTemplate',
+      targetId: template._id,
+      details: {
+        name: template.name,
+        vendorName: template.vendorName,
+        expectedAmount: template.expectedAmount,
+        frequency: template.frequency,
+        nextRunDate
+      }
+    });
+
+    const populated = await populateTemplate(ExpenditureTemplate.findById(template._id));
+
+    res.status(201).json({
+      success: true,
+      message: `Recurring expenditure saved. The first draft will be raised on ${nextRunDate.toLocaleDateString('en-IN')}`,
+      data: { template: populated }
+    });
+  } catch (error) {
+    handleTemplateSaveError(error, res, 'Create');
+  }
+};
+
+// @desc    Update a recurring expenditure template, or pause/resume it
+// @route   PUT /api/expenditure-templates/:id
+// @access  Private/Department
+const updateTemplate = async (req, res) => {
+  try {
+    const template = await ExpenditureTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expenditure not found'
+      });
+    }
+
+    if (!canAccessTemplate(req.user, template)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only manage your department recurring expenditures.'
+      });
+    }
+
+    const fields = pickTemplateFields(req.body);
+    const vendorError = await applyVendor(fields, req.body);
+    if (vendorError) {
+      return res.status(400).json({
+        success: false,
+        message: vendorError
+      });
+    }
+
+    const previousValues = {
+      expectedAmount: template.expectedAmount,
+      frequency: template.frequency,
+      nextRunDate: template.nextRunDate,
+      isActive: template.isActive
+    };
+    const resuming = req.body.isActive !== undefined && String(req.body.isActive) === 'true' && !template.isActive;
+
+    Object.assign(template, fields);
+    if (req.body.isActive !== undefined) {
+      template.isActive = String(req.body.isActive) === 'true';
+    }
+
+    // Runs missed while paused are skipped rather than raised on resume
+    if (resuming || SCHEDULE_FIELDS.some(field => fields[field] !== undefined)) {
+      const nextRunDate = getNextRunDate(template, new Date());
+      if (!nextRunDate && template.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'The schedule ends before its next run'
+        });
+      }
+      if (nextRunDate) template.nextRunDate = nextRunDate;
+    }
+
+    template.lastModifiedBy = req.user._id;
+    await template.save();
+
+    await recordAuditLog({
+      eventType: 'expenditure_template_updated',
+      req,
+      targetEntity: 'ExpenditureTemplate',
+      targetId: template._id,
+      details: {
+        name: template.name,
+        expectedAmount: template.expectedAmount,
+        nextRunDate: template.nextRunDate,
+        isActive: template.isActive
+      },
+      previousValues
+    });
+
+    const populated = await populateTemplate(ExpenditureTemplate.findById(template._id));
+
+    res.json({
+      success: true,
+      message: template.isActive ? 'Recurring expenditure updated' : 'Recurring expenditure paused',
+      data: { template: populated }
+    });
+  } catch (error) {
+    handleTemplateSaveError(error, res, 'Update');
+  }
+};
+
+// @desc    Delete a recurring expenditure template; drafts already raised are kept
+// @route   DELETE /api/expenditure-templates/:id
+// @access  Private/Department
+const deleteTemplate = async (req, res) => {
+  try {
+    const template = await ExpenditureTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring expenditure not found'
+      });
+    }
+
+    if (!canAccessTemplate(req.user, template)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only manage your department recurring expenditures.'
+      });
+    }
+
+    await template.deleteOne();
+
+    await recordAuditLog({
+      eventType: 'expenditure_template_deleted',
+      req,
+      targetEntity: 'ExpenditureTemplate',
+      targetId: template._id,
+      details: {
+        name: template.name,
+        generatedCount: template.generatedCount
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring expenditure deleted'
+    });
+  } catch (error) {
+    console.error('Delete expenditure template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting recurring expenditure',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+};
@@ -1,5 +1,32 @@
+const mongoose = require('mongoose');
+const Expenditure = require('../models/Expenditure');
+const User = require('../models/User');
 const { deleteFile, cleanupOldFiles } = require('../middleware/fileUpload');
-const path = require('path');
+const { DOWNLOAD_URL_TTL, getStorage, getAttachmentKey, signServeUrl } = require('../services/storage');
+const { isStorageKeyInUse, canSeeAnnotations } = require('../services/attachmentService');
+const { recordAuditLog } = require('../utils/auditService');
+const { DEPARTMENT_BOUND_ROLES } = require('../config/workflowRules');
+
+// Expenditure bill attachment by its id, if the user may see it
+const findAttachment = async (fileId, user) => {
+  if (!/^[0-9a-fA-F]{24}$/.test(fileId)) return null;
+
+  const expenditure = await Expenditure.findOne({ 'expenseItems.attachments._id': fileId });
+  if (!expenditure) return null;
+
+  const isOwner = expenditure.submittedBy.toString() === user._id.toString();
+  if (expenditure.status === 'DRAFT' && !isOwner) return null;
+  if ([...DEPARTMENT_BOUND_ROLES, 'department'].includes(user.role) && !isOwner
+    && expenditure.department.toString() !== (user.department?._id || user.department)?.toString()) {
+    return null;
+  }
+
+  for (const item of expenditure.expenseItems) {
+    const attachment = item.attachments.id(fileId);
+    if (attachment) return { expenditure, item, attachment };
+  }
+  return null;
+};
 
 // @desc    Upload files for expenditure
 // @route   POST /api/files/upload
@@ -75,19 +102,36 @@ const getFileInfo = async (req, res) => {
   }
 };
 
-// @desc    Delete file
+// @desc    Delete a bill attached to one of the user's draft expenditures
 // @route   DELETE /api/files/:fileId
 // @access  Private
 const deleteFileById = async (req, res) => {
   try {
-    const { fileId } = req.params;
+    const found = await findAttachment(req.params.fileId, req.user);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // Submitted bills are part of the audit trail
+    const { expenditure, item, attachment } = found;
+    if (expenditure.status !== 'DRAFT' || expenditure.submittedBy.toString() !== req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only bills on your own draft expenditures can be deleted'
+      });
+    }
 
-    // In a real implementation, you'd:
-    // 1. Query database for file path
-    // 2. Delete file from storage
-    // 3. Remove database record
+    const key = getAttachmentKey(attachment);
+    item.attachments.pull(attachment._id);
+    await expenditure.save();
+    // The same bill may still be attached elsewhere; it is stored only once
+    if (key && !await isStorageKeyInUse(key)) {
+      await deleteFile(key);
+    }
 
-    // For now, return success
     res.json({
       success: true,
       message: 'File deleted successfully'
@@ -101,20 +145,38 @@ const deleteFileById = async (req, res) => {
   }
 };
 
-// @desc    Get file download URL
+// @desc    Get a time-limited download URL for a bill
 // @route   GET /api/files/:fileId/download
 // @access  Private
 const getDownloadUrl = async (req, res) => {
   try {
-    const { fileId } = req.params;
+    const found = await findAttachment(req.params.fileId, req.user);
+    const key = found && getAttachmentKey(found.attachment);
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    // S3-compatible stores sign their own URLs; local files are streamed through /api/files/serve
+    const storage = getStorage();
+    let download;
+    if (storage.getSignedUrl) {
+      download = {
+        url: await storage.getSignedUrl(key, { expiresIn: DOWNLOAD_URL_TTL, filename: found.attachment.originalName }),
+        expiresAt: new Date(Date.now() + DOWNLOAD_URL_TTL * 1000)
+      };
+    } else {
+      download = signServeUrl(key);
+    }
 
-    // In a real implementation, you'd generate a signed URL for S3
-    // For now, return a mock URL
     res.json({
       success: true,
       data: {
-        downloadUrl: `/api/files/serve/${req.user.department}/${fileId}`,
-        expiresAt: new Date(Date.now() + 3600000).toISOString() // 1 hour
+        downloadUrl: download.url,
+        filename: found.attachment.originalName,
+        expiresAt: download.expiresAt.toISOString()
       }
     });
   } catch (error) {
@@ -126,18 +188,237 @@ const getDownloadUrl = async (req, res) => {
   }
 };
 
-// @desc    Cleanup old files
+// @desc    Signed link for viewing a bill in the app, always streamed through /api/files/serve
+//          so the viewer can read it from the API's own origin
+// @route   GET /api/files/:fileId/preview
+// @access  Private
+const getPreviewUrl = async (req, res) => {
+  try {
+    const found = await findAttachment(req.params.fileId, req.user);
+    const key = found && getAttachmentKey(found.attachment);
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const preview = signServeUrl(key);
+    res.json({
+      success: true,
+      data: {
+        url: preview.url,
+        filename: found.attachment.originalName,
+        mimetype: found.attachment.mimetype,
+        expiresAt: preview.expiresAt.toISOString()
+      }
+    });
+  } catch (error) {
+    console.error('Get preview URL error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate preview link'
+    });
+  }
+};
+
+// @desc    Annotations on a bill
+// @route   GET /api/files/:fileId/annotations
+// @access  Private
+const getAnnotations = async (req, res) => {
+  try {
+    const found = await findAttachment(req.params.fileId, req.user);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!canSeeAnnotations(req.user, found.expenditure)) {
+      return res.json({
+        success: true,
+        data: { annotations: [] }
+      });
+    }
+
+    await found.expenditure.populate('expenseItems.attachments.annotations.author', 'name role');
+    res.json({
+      success: true,
+      data: { annotations: found.attachment.annotations }
+    });
+  } catch (error) {
+    console.error('Get annotations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get annotations'
+    });
+  }
+};
+
+// @desc    Pin a comment to a region of a bill
+// @route   POST /api/files/:fileId/annotations
+// @access  Private (Approvers)
+const addAnnotation = async (req, res) => {
+  try {
+    const found = await findAttachment(req.params.fileId, req.user);
+    if (!found || found.expenditure.status === 'DRAFT') {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const page = Number(req.body.page);
+    const [x, y, width = 0, height = 0] = ['x', 'y', 'width', 'height']
+      .map(field => (req.body[field] === undefined ? undefined : Number(req.body[field])));
+    const comment = String(req.body.comment || '').trim();
+    const inPage = [x, y, width, height].every(value => Number.isFinite(value) && value >= 0 && value <= 1);
+    if (!Number.isInteger(page) || page < 1 || !inPage || x + width > 1 || y + height > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'An annotation needs a page and a position on it'
+      });
+    }
+    if (!comment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment is required'
+      });
+    }
+    if (comment.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment cannot exceed 1000 characters'
+      });
+    }
+
+    const { expenditure, attachment } = found;
+    const annotation = {
+      _id: new mongoose.Types.ObjectId(),
+      page,
+      x,
+      y,
+      width,
+      height,
+      comment,
+      author: req.user._id,
+      role: req.user.role,
+      createdAt: new Date()
+    };
+    // Pushed in place so an approval saved meanwhile is not overwritten
+    await Expenditure.updateOne(
+      { _id: expenditure._id },
+      { $push: { 'expenseItems.$[].attachments.$[attachment].annotations': annotation } },
+      { arrayFilters: [{ 'attachment._id': attachment._id }] }
+    );
+
+    await recordAuditLog({
+      eventType: 'attachment_annotated',
+      req,
+      targetEntity: 'Expenditure',
+      targetId: expenditure._id,
+      details: {
+        transactionId: expenditure.transactionId,
+        attachment: attachment.originalName,
+        page,
+        comment
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Annotation added',
+      data: {
+        annotation: { ...annotation, author: { _id: req.user._id, name: req.user.name, role: req.user.role } }
+      }
+    });
+  } catch (error) {
+    console.error('Add annotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add annotation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Remove one of your own annotations
+// @route   DELETE /api/files/:fileId/annotations/:annotationId
+// @access  Private (Approvers)
+const deleteAnnotation = async (req, res) => {
+  try {
+    const found = await findAttachment(req.params.fileId, req.user);
+    const annotation = found && found.attachment.annotations.id(req.params.annotationId);
+    if (!annotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Annotation not found'
+      });
+    }
+
+    if (!annotation.author || annotation.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only remove your own annotations'
+      });
+    }
+
+    const { expenditure, attachment } = found;
+    await Expenditure.updateOne(
+      { _id: expenditure._id },
+      { $pull: { 'expenseItems.$[].attachments.$[attachment].annotations': { _id: annotation._id } } },
+      { arrayFilters: [{ 'attachment._id': attachment._id }] }
+    );
+
+    await recordAuditLog({
+      eventType: 'attachment_annotation_deleted',
+      req,
+      targetEntity: 'Expenditure',
+      targetId: expenditure._id,
+      details: {
+        transactionId: expenditure.transactionId,
+        attachment: attachment.originalName,
+        page: annotation.page,
+        comment: annotation.comment
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Annotation removed'
+    });
+  } catch (error) {
+    console.error('Delete annotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove annotation'
+    });
+  }
+};
+
+// @desc    Cleanup old files no expenditure or profile refers to (abandoned uploads)
 // @route   POST /api/files/cleanup
 // @access  Private (Admin only)
 const cleanupFiles = async (req, res) => {
   try {
     const { olderThanDays = 30 } = req.body;
 
-    cleanupOldFiles(olderThanDays);
+    const [expenditures, users] = await Promise.all([
+      Expenditure.find({ 'expenseItems.attachments.0': { $exists: true } }).select('expenseItems.attachments').lean(),
+      User.find({ profilePicture: { $regex: '^/uploads/' } }).select('profilePicture').lean()
+    ]);
+    const keepKeys = new Set([
+      ...expenditures.flatMap(expenditure => expenditure.expenseItems.flatMap(item => item.attachments.map(getAttachmentKey))),
+      ...users.map(user => getAttachmentKey({ url: user.profilePicture }))
+    ].filter(Boolean));
+
+    const removed = await cleanupOldFiles(olderThanDays, keepKeys);
 
     res.json({
       success: true,
-      message: `Cleaned up files older than ${olderThanDays} days`
+      message: `Cleaned up ${removed.length} unreferenced file(s) older than ${olderThanDays} days`,
+      data: { removed }
     });
   } catch (error) {
     console.error('Cleanup files error:', error);
@@ -187,6 +468,10 @@ module.exports = {
   getFileInfo,
   deleteFileById,
   getDownloadUrl,
+  getPreviewUrl,
+  getAnnotations,
+  addAnnotation,
+  deleteAnnotation,
   cleanupFiles,
   getFileStats
 };
@@ -2,7 +2,18 @@ const FinancialYear = require('../models/FinancialYear');
 const Income = require('../models/Income');
 const Allocation = require('../models/Allocation');
 const Expenditure = require('../models/Expenditure');
+const Department = require('../models/Department');
+const BudgetHead = require('../models/BudgetHead');
 const { recordAuditLog } = require('../utils/auditService');
+const {
+    CARRYFORWARD_DECISIONS,
+    buildCarryforwardPlan,
+    carryIntoNextYear,
+    findCarryforwardBreach,
+    allocateFromPool,
+    getCloseBlocker
+} = require('../services/carryforwardService');
+const { describeBreach } = require('../services/budgetHeadTreeService');
 
 // @desc    Get all financial years
 // @route   GET /api/financial-years
@@ -320,15 +331,54 @@ const lockFinancialYear = async (req, res) => {
     }
 };
 
-// @desc    Close financial year (make completely immutable)
+// @desc    Preview the year-end carry-forward of unspent allocations
+// @route   GET /api/financial-years/:id/carry-forward
+// @access  Private (Principal/Admin only)
+const getCarryforwardPreview = async (req, res) => {
+    try {
+        const fy = await FinancialYear.findById(req.params.id);
+        if (!fy) {
+            return res.status(404).json({
+                success: false,
+                message: 'Financial year not found'
+            });
+        }
+
+        const plan = await buildCarryforwardPlan(fy);
+
+        res.json({
+            success: true,
+            data: {
+                financialYear: fy,
+                ...plan,
+                nextFinancialYear: plan.nextFinancialYear
+                    ? { _id: plan.nextFinancialYear._id, year: plan.nextFinancialYear.year, status: plan.nextFinancialYear.status }
+                    : null
+            }
+        });
+    } catch (error) {
+        console.error('Get carry-forward preview error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while preparing carry-forward',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// @desc    Close financial year, applying carry-forward decisions (then immutable)
 // @route   PUT /api/financial-years/:id/close
 // @access  Private (Principal/Admin only)
 const closeFinancialYear = async (req, res) => {
+    const session = await FinancialYear.startSession();
+    session.startTransaction();
+
     try {
-        const { remarks } = req.body;
+        const { remarks, carryforward = [] } = req.body;
 
-        const fy = await FinancialYear.findById(req.params.id);
+        const fy = await FinancialYear.findById(req.params.id).session(session);
         if (!fy) {
+            await session.abortTransaction();
             return res.status(404).json({
                 success: false,
                 message: 'Financial year not found'
@@ -336,25 +386,103 @@ const closeFinancialYear = async (req, res) => {
         }
 
         if (fy.status === 'closed') {
+            await session.abortTransaction();
             return res.status(400).json({
                 success: false,
                 message: 'Financial year is already closed'
             });
         }
 
-        // Check for pending expenditures
-        const pendingExpenditures = await Expenditure.countDocuments({
-            financialYear: fy.year,
-            status: { $in: ['pending', 'verified'] }
-        });
+        const blocker = await getCloseBlocker(fy);
+        if (blocker) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                success: false,
+                message: blocker
+            });
+        }
+
+        // Resolve the carry-forward wizard's choices; anything not chosen lapses
+        const decisionsByAllocation = {};
+        for (const entry of Array.isArray(carryforward) ? carryforward : []) {
+            if (!CARRYFORWARD_DECISIONS.includes(entry.decision)) {
+                await session.abortTransaction();
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid carry-forward decision: ${entry.decision}`
+                });
+            }
+            decisionsByAllocation[entry.allocation] = entry.decision;
+        }
+
+        const plan = await buildCarryforwardPlan(fy, session);
+        const decisions = plan.items.map(item => ({
+            item,
+            decision: decisionsByAllocation[item.allocation.toString()] || 'lapse'
+        }));
+        const forwarded = decisions.filter(({ decision }) => decision !== 'lapse');
+
+        if (forwarded.length > 0 && !fy.carryforwardAllowed) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                success: false,
+                message: `Carry-forward is not allowed for ${fy.year}. All unspent balances must lapse.`
+            });
+        }
+
+        const nextFY = plan.nextFinancialYear;
+        if (forwarded.length > 0 && (!nextFY || ['locked', 'closed'].includes(nextFY.status))) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                success: false,
+                message: nextFY
+                    ? `Cannot carry funds into ${plan.nextYear} because it is ${nextFY.status}`
+                    : `Create financial year ${plan.nextYear} before carrying funds forward`
+            });
+        }
+
+        const summary = { carried: 0, pooled: 0, lapsed: 0 };
+        const decisionRecords = [];
+        const carriedTargets = [];
+
+        for (const { item, decision } of decisions) {
+            let targetAllocation = null;
+
+            if (decision === 'carry') {
+                const target = await carryIntoNextYear(item, fy.year, plan.nextYear, req.user._id, session);
+                targetAllocation = target._id;
+                carriedTargets.push(target);
+                summary.carried += item.unspentAmount;
+            } else if (decision === 'pool') {
+                summary.pooled += item.unspentAmount;
+            } else {
+                summary.lapsed += item.unspentAmount;
+            }
 
-        if (pendingExpenditures > 0) {
+            decisionRecords.push({
+                allocation: item.allocation,
+                department: item.department._id,
+                budgetHead: item.budgetHead._id,
+                unspentAmount: item.unspentAmount,
+                decision,
+                targetAllocation
+            });
+        }
+
+        const breach = await findCarryforwardBreach(carriedTargets, session);
+        if (breach) {
+            await session.abortTransaction();
             return res.status(400).json({
                 success: false,
-                message: `Cannot close financial year. There are ${pendingExpenditures} pending expenditures that need to be approved or rejected.`
+                message: `Carrying forward into ${plan.nextYear} would break the budget head roll-up. ${describeBreach(breach)}`
             });
         }
 
+        if (summary.pooled > 0) {
+            nextFY.pooledCarryforward += summary.pooled;
+            await nextFY.save({ session });
+        }
+
         // Recalculate final totals before closing
         const incomeStats = await Income.aggregate([
             { $match: { financialYear: fy.year } },
@@ -366,7 +494,7 @@ const closeFinancialYear = async (req, res) => {
                     }
                 }
             }
-        ]);
+        ]).session(session);
 
         const allocationStats = await Allocation.aggregate([
             { $match: { financialYear: fy.year } },
@@ -377,12 +505,15 @@ const closeFinancialYear = async (req, res) => {
                     totalSpent: { $sum: '$spentAmount' }
                 }
             }
-        ]);
+        ]).session(session);
 
         fy.totalIncomeReceived = incomeStats[0]?.totalReceived || 0;
         fy.totalAllocated = allocationStats[0]?.totalAllocated || 0;
         fy.totalSpent = allocationStats[0]?.totalSpent || 0;
-        fy.carryforwardAmount = fy.totalIncomeReceived - fy.totalSpent;
+        // Only what actually flows into the next year counts as carried forward
+        fy.carryforwardAmount = summary.carried + summary.pooled;
+        fy.carryforwardDecisions = decisionRecords;
+        fy.carryforwardSummary = summary;
 
         const previousStatus = fy.status;
         fy.status = 'closed';
@@ -390,7 +521,8 @@ const closeFinancialYear = async (req, res) => {
         fy.closedAt = new Date();
         fy.closureRemarks = remarks || '';
 
-        await fy.save();
+        await fy.save({ session });
+        await session.commitTransaction();
 
         await recordAuditLog({
             eventType: 'financial_year_closed',
@@ -406,6 +538,10 @@ const closeFinancialYear = async (req, res) => {
                     spent: fy.totalSpent,
                     carryforward: fy.carryforwardAmount
                 },
+                carryforward: {
+                    nextYear: plan.nextYear,
+                    ...summary
+                },
                 remarks
             },
             previousValues: { status: previousStatus },
@@ -417,16 +553,128 @@ const closeFinancialYear = async (req, res) => {
 
         res.json({
             success: true,
-            message: 'Financial year closed successfully. All data is now immutable.',
+            message: fy.carryforwardAmount > 0
+                ? `Financial year closed successfully. ₹${fy.carryforwardAmount.toLocaleString('en-IN')} carried forward to ${plan.nextYear}.`
+                : 'Financial year closed successfully. All data is now immutable.',
             data: { financialYear: populatedFY }
         });
     } catch (error) {
+        if (session.transaction.isActive && !session.transaction.isCommitted) {
+            await session.abortTransaction();
+        }
         console.error('Close financial year error:', error);
         res.status(500).json({
             success: false,
             message: 'Server error while closing financial year',
             error: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Allocate part of the balance pooled from the previous year's closure
+// @route   POST /api/financial-years/:id/pool-allocations
+// @access  Private (Principal/Admin only)
+const allocatePooledFunds = async (req, res) => {
+    const session = await FinancialYear.startSession();
+    session.startTransaction();
+
+    try {
+        const { department, budgetHead, remarks } = req.body;
+        const amount = parseFloat(req.body.amount);
+
+        if (!department || !budgetHead || !(amount > 0)) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                success: false,
+                message: 'Department, budget head and a positive amount are required'
+            });
+        }
+
+        const fy = await FinancialYear.findById(req.params.id).session(session);
+        if (!fy) {
+            await session.abortTransaction();
+            return res.status(404).json({
+                success: false,
+                message: 'Financial year not found'
+            });
+        }
+
+        if (fy.isLocked) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                success: false,
+                message: `Cannot allocate pooled funds in a ${fy.status} financial year`
+            });
+        }
+
+        const [departmentDoc, budgetHeadDoc] = await Promise.all([
+            Department.findById(department),
+            BudgetHead.findById(budgetHead)
+        ]);
+        if (!departmentDoc || !budgetHeadDoc || !budgetHeadDoc.isActive) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                success: false,
+                message: 'Select an existing department and an active budget head'
+            });
+        }
+
+        const result = await allocateFromPool(fy, { department, budgetHead, amount, remarks }, req.user._id, session);
+        if (!result) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                success: false,
+                message: `Only ₹${fy.pooledCarryforward.toLocaleString('en-IN')} is left in the ${fy.year} pool`
+            });
+        }
+
+        if (result.breach) {
+            await session.abortTransaction();
+            return res.status(400).json({
+                success: false,
+                message: describeBreach(result.breach)
+            });
+        }
+
+        await session.commitTransaction();
+
+        await recordAuditLog({
+            eventType: 'carryforward_pool_allocated',
+            req,
+            targetEntity: 'Allocation',
+            targetId: result.allocation._id,
+            details: {
+                year: fy.year,
+                department: departmentDoc.name,
+                budgetHead: budgetHeadDoc.name,
+                amount,
+                remainingPool: result.remainingPool,
+                remarks
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `₹${amount.toLocaleString('en-IN')} allocated to ${departmentDoc.name} / ${budgetHeadDoc.name} from the pool`,
+            data: {
+                allocation: result.allocation,
+                remainingPool: result.remainingPool
+            }
+        });
+    } catch (error) {
+        if (session.transaction.isActive && !session.transaction.isCommitted) {
+            await session.abortTransaction();
+        }
+        console.error('Allocate pooled funds error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while allocating pooled funds',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    } finally {
+        session.endSession();
     }
 };
 
@@ -510,7 +758,7 @@ const getYearSummary = async (req, res) => {
 
         // Expenditure breakdown by status
         const expenditureByStatus = await Expenditure.aggregate([
-            { $match: { financialYear: fy.year } },
+            { $match: { financialYear: fy.year, status: { $ne: 'DRAFT' } } },
             {
                 $group: {
                     _id: '$status',
@@ -559,6 +807,8 @@ module.exports = {
     recalculateTotals,
     lockFinancialYear,
     closeFinancialYear,
+    getCarryforwardPreview,
+    allocatePooledFunds,
     getActiveFinancialYear,
     getYearSummary
 };
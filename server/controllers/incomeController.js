@@ -1,6 +1,7 @@
 const Income = require('../models/Income');
 const FinancialYear = require('../models/FinancialYear');
 const { recordAuditLog } = require('../utils/auditService');
+const { convertToBase } = require('../services/currencyService');
 
 // @desc    Get all income records
 // @route   GET /api/income
@@ -103,6 +104,7 @@ const createIncome = async (req, res) => {
             source,
             category,
             amount,
+            currency,
             receivedDate,
             expectedDate,
             status,
@@ -135,11 +137,24 @@ const createIncome = async (req, res) => {
             });
         }
 
+        // Foreign receipts are booked in INR at the rate on the received (or expected) date
+        const rateDate = receivedDate || expectedDate;
+        const conversion = await convertToBase(amount, currency, rateDate ? new Date(rateDate) : new Date());
+        if (conversion.error) {
+            return res.status(400).json({
+                success: false,
+                message: conversion.error
+            });
+        }
+
         const income = await Income.create({
             financialYear,
             source,
             category,
-            amount: parseFloat(amount),
+            amount: conversion.amount,
+            currency: conversion.currency,
+            foreignAmount: conversion.foreignAmount,
+            exchangeRate: conversion.exchangeRate,
             receivedDate: receivedDate ? new Date(receivedDate) : null,
             expectedDate: expectedDate ? new Date(expectedDate) : null,
             status: status || 'EXPECTED',
@@ -152,13 +167,13 @@ const createIncome = async (req, res) => {
         // Update FinancialYear totals
         if (status === 'EXPECTED') {
             await FinancialYear.findByIdAndUpdate(fy._id, {
-                $inc: { totalIncomeExpected: parseFloat(amount) }
+                $inc: { totalIncomeExpected: conversion.amount }
             });
         } else if (status === 'RECEIVED') {
             await FinancialYear.findByIdAndUpdate(fy._id, {
                 $inc: {
-                    totalIncomeExpected: parseFloat(amount),
-                    totalIncomeReceived: parseFloat(amount)
+                    totalIncomeExpected: conversion.amount,
+                    totalIncomeReceived: conversion.amount
                 }
             });
         }
@@ -171,7 +186,8 @@ const createIncome = async (req, res) => {
             details: {
                 financialYear,
                 source,
-                amount: parseFloat(amount),
+                amount: conversion.amount,
+                ...(conversion.foreignAmount !== null ? { foreignAmount: conversion.foreignAmount, currency: conversion.currency } : {}),
                 status
             },
             newValues: income
@@ -200,7 +216,7 @@ const createIncome = async (req, res) => {
 // @access  Private (Office/Admin only)
 const updateIncome = async (req, res) => {
     try {
-        const { amount, status, receivedDate, expectedDate, remarks, referenceNumber, description } = req.body;
+        const { amount, currency, status, receivedDate, expectedDate, remarks, referenceNumber, description } = req.body;
         const incomeId = req.params.id;
 
         const income = await Income.findById(incomeId);
@@ -224,10 +240,27 @@ const updateIncome = async (req, res) => {
         const previousStatus = income.status;
 
         // Update fields
-        if (amount !== undefined) income.amount = parseFloat(amount);
         if (status !== undefined) income.status = status;
         if (receivedDate !== undefined) income.receivedDate = receivedDate ? new Date(receivedDate) : null;
         if (expectedDate !== undefined) income.expectedDate = expectedDate ? new Date(expectedDate) : null;
+        // Amount is in the income's currency; re-derive the INR value at the current rate date
+        if (amount !== undefined || currency !== undefined) {
+            const conversion = await convertToBase(
+                amount !== undefined ? amount : (income.foreignAmount ?? income.amount),
+                currency !== undefined ? currency : income.currency,
+                income.receivedDate || income.expectedDate || new Date()
+            );
+            if (conversion.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: conversion.error
+                });
+            }
+            income.amount = conversion.amount;
+            income.currency = conversion.currency;
+            income.foreignAmount = conversion.foreignAmount;
+            income.exchangeRate = conversion.exchangeRate;
+        }
         if (remarks !== undefined) income.remarks = remarks;
         if (referenceNumber !== undefined) income.referenceNumber = referenceNumber;
         if (description !== undefined) income.description = description;
@@ -236,7 +269,7 @@ const updateIncome = async (req, res) => {
         await income.save();
 
         // Update FinancialYear totals if amount or status changed
-        if (amount !== undefined || status !== undefined) {
+        if (amount !== undefined || currency !== undefined || status !== undefined) {
             const fy = await FinancialYear.findOne({ year: income.financialYear });
             if (fy) {
                 // Reverse previous impact
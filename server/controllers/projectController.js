@@ -0,0 +1,335 @@
+const Project = require('../models/Project');
+const Allocation = require('../models/Allocation');
+const Expenditure = require('../models/Expenditure');
+const { recordAuditLog } = require('../utils/auditService');
+const { DEPARTMENT_BOUND_ROLES } = require('../config/workflowRules');
+const { getAvailableAmount } = require('../services/commitmentService');
+const { getProjectAvailable } = require('../services/projectService');
+
+const PROJECT_FIELDS = [
+  'name', 'code', 'type', 'description', 'principalInvestigator',
+  'memberDepartments', 'financialYear', 'budget', 'startDate', 'endDate', 'status'
+];
+
+const populateProject = (query) => {
+  return query
+    .populate('principalInvestigator', 'name email role')
+    .populate('memberDepartments', 'name code')
+    .populate('createdBy', 'name email');
+};
+
+const withUtilization = (project) => ({
+  ...project,
+  availableAmount: getProjectAvailable(project),
+  utilization: project.budget > 0 ? Math.round((project.spentAmount / project.budget) * 100) : 0
+});
+
+// Department users only see the projects their department belongs to
+const canView = (user, project) => {
+  if (!DEPARTMENT_BOUND_ROLES.includes(user.role)) return true;
+  return project.memberDepartments.some(member => (member._id || member).toString() === user.department?.toString())
+    || project.principalInvestigator._id.toString() === user._id.toString();
+};
+
+// @desc    Get projects and cost centres
+// @route   GET /api/projects
+// @access  Private
+const getProjects = async (req, res) => {
+  try {
+    const { financialYear, status, type, department, search } = req.query;
+
+    const query = {};
+    if (financialYear) query.financialYear = financialYear;
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    if (DEPARTMENT_BOUND_ROLES.includes(req.user.role)) {
+      query.$or = [{ memberDepartments: req.user.department }, { principalInvestigator: req.user._id }];
+    } else if (department) {
+      query.memberDepartments = department;
+    }
+
+    if (search) {
+      query.$and = [{
+        $or: [
+          { name: { $regex: search, $options: 'i' } },
+          { code: { $regex: search, $options: 'i' } }
+        ]
+      }];
+    }
+
+    const projects = await populateProject(Project.find(query)).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      data: { projects: projects.map(withUtilization) }
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching projects',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get project with the expenditures charged to it
+// @route   GET /api/projects/:id
+// @access  Private
+const getProjectById = async (req, res) => {
+  try {
+    const project = await populateProject(Project.findById(req.params.id)).lean();
+
+    if (!project || !canView(req.user, project)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const expenditures = await Expenditure.find({ project: project._id, status: { $ne: 'DRAFT' } })
+      .select('transactionId eventName totalAmount status department splits createdAt')
+      .populate('department', 'name code')
+      .populate('splits.department', 'name code')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { project: withUtilization(project), expenditures }
+    });
+  } catch (error) {
+    console.error('Get project by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching project',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get the member departments' allocations a project expenditure can be split across
+// @route   GET /api/projects/:id/allocations
+// @access  Private
+const getProjectAllocations = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+
+    if (!project || !canView(req.user, project)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const allocations = await Allocation.find({
+      department: { $in: project.memberDepartments },
+      financialYear: project.financialYear
+    })
+      .populate('department', 'name code')
+      .populate('budgetHead', 'name category')
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        allocations: allocations.map(allocation => ({
+          ...allocation,
+          availableAmount: getAvailableAmount(allocation)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get project allocations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching project allocations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Create project or cost centre
+// @route   POST /api/projects
+// @access  Private/Admin/Office/Principal
+const createProject = async (req, res) => {
+  try {
+    const { name, code, principalInvestigator, financialYear, budget } = req.body;
+
+    if (!name || !code || !principalInvestigator || !financialYear || budget === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, code, principal investigator, financial year and budget are required'
+      });
+    }
+
+    const existingProject = await Project.findOne({ code: String(code).trim().toUpperCase() });
+    if (existingProject) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project with this code already exists'
+      });
+    }
+
+    const fields = {};
+    PROJECT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    let project;
+    try {
+      project = await Project.create({ ...fields, createdBy: req.user._id });
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') throw validationError;
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    await recordAuditLog({
+      eventType: 'project_created',
+      req,
+      targetEntity: 'Project',
+      targetId: project._id,
+      details: { code: project.code, name: project.name, budget: project.budget },
+      newValues: project
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: { project: await populateProject(Project.findById(project._id)) }
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating project',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Update project or cost centre
+// @route   PUT /api/projects/:id
+// @access  Private/Admin/Office/Principal
+const updateProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Expenditures already charged were checked against the year and the budget
+    const charged = await Expenditure.countDocuments({ project: project._id, status: { $nin: ['DRAFT', 'REJECTED', 'WITHDRAWN', 'CANCELLED'] } });
+    if (charged > 0 && req.body.financialYear && req.body.financialYear !== project.financialYear) {
+      return res.status(400).json({
+        success: false,
+        message: 'The financial year cannot be changed once expenditures are charged to the project'
+      });
+    }
+    if (req.body.budget !== undefined && Number(req.body.budget) < project.spentAmount) {
+      return res.status(400).json({
+        success: false,
+        message: `Budget cannot be less than the ₹${project.spentAmount.toLocaleString('en-IN')} already spent`
+      });
+    }
+
+    const previousValues = project.toObject();
+    PROJECT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) project[field] = req.body[field];
+    });
+
+    try {
+      await project.save();
+    } catch (validationError) {
+      if (validationError.name !== 'ValidationError') throw validationError;
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    await recordAuditLog({
+      eventType: 'project_updated',
+      req,
+      targetEntity: 'Project',
+      targetId: project._id,
+      details: { code: project.code, updatedFields: PROJECT_FIELDS.filter(field => req.body[field] !== undefined) },
+      previousValues,
+      newValues: project
+    });
+
+    res.json({
+      success: true,
+      message: 'Project updated successfully',
+      data: { project: await populateProject(Project.findById(project._id)) }
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating project',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Delete project or cost centre
+// @route   DELETE /api/projects/:id
+// @access  Private/Admin/Office/Principal
+const deleteProject = async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const expenditureCount = await Expenditure.countDocuments({ project: project._id });
+    if (expenditureCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete a project with ${expenditureCount} expenditure(s). Mark it closed instead`
+      });
+    }
+
+    await project.deleteOne();
+
+    await recordAuditLog({
+      eventType: 'project_deleted',
+      req,
+      targetEntity: 'Project',
+      targetId: project._id,
+      details: { code: project.code, name: project.name },
+      previousValues: project
+    });
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting project',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getProjects,
+  getProjectById,
+  getProjectAllocations,
+  createProject,
+  updateProject,
+  deleteProject
+};
@@ -0,0 +1,703 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Allocation = require('../models/Allocation');
+const Expenditure = require('../models/Expenditure');
+const FinancialYear = require('../models/FinancialYear');
+const Settings = require('../models/Settings');
+const { recordAuditLog } = require('../utils/auditService');
+const { notifyExpenditureSubmission } = require('../utils/notificationService');
+const { broadcast } = require('../services/socketService');
+const {
+  OPEN_PO_STATUSES,
+  getAvailableAmount,
+  commitFunds,
+  releaseFunds
+} = require('../services/commitmentService');
+const { resolveVendor, screenDuplicateBills } = require('../services/vendorService');
+const { flagDuplicateAttachments } = require('../services/attachmentService');
+const { normalizeTaxBreakdown } = require('../services/taxService');
+const { DEPARTMENT_BOUND_ROLES } = require('../config/workflowRules');
+
+// Bills still moving through the expenditure workflow
+const PENDING_BILL_STATUSES = ['PENDING', 'HOD_VERIFIED', 'MANAGEMENT_APPROVED'];
+
+const populatePurchaseOrder = (query) => {
+  return query
+    .populate('department', 'name code')
+    .populate('budgetHead', 'name category')
+    .populate('allocation', 'allocatedAmount spentAmount committedAmount')
+    .populate('createdBy', 'name email')
+    .populate('closedBy', 'name email')
+    .populate('receipts.receivedBy', 'name email')
+    .populate('expenditures', 'transactionId totalAmount status expenseItems.billNumber expenseItems.billDate createdAt');
+};
+
+const isYearClosed = async (financialYear) => {
+  const fy = await FinancialYear.findOne({ year: financialYear });
+  return Boolean(fy && ['locked', 'closed'].includes(fy.status));
+};
+
+const canAccessDepartment = (user, departmentId) => {
+  if (!DEPARTMENT_BOUND_ROLES.includes(user.role)) {
+    return true;
+  }
+  return Boolean(user.department) && departmentId.toString() === user.department.toString();
+};
+
+// Bills still standing count towards the order value, finalized or not
+const getBilledSoFar = async (purchaseOrderId, session = null) => {
+  const result = await Expenditure.aggregate([
+    { $match: { purchaseOrder: purchaseOrderId, status: { $nin: ['REJECTED', 'WITHDRAWN', 'CANCELLED'] } } },
+    { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+  ]).session(session);
+  return result[0]?.total || 0;
+};
+
+const broadcastCommitmentChange = (purchaseOrder, type) => {
+  try {
+    broadcast('dashboard_update', {
+      type,
+      department: purchaseOrder.department,
+      amount: purchaseOrder.totalAmount,
+      timestamp: new Date()
+    });
+  } catch (socketError) {
+    console.error('Socket broadcast error (non-fatal):', socketError);
+  }
+};
+
+// @desc    Get purchase orders
+// @route   GET /api/purchase-orders
+// @access  Private
+const getPurchaseOrders = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      department,
+      budgetHead,
+      financialYear,
+      status,
+      search
+    } = req.query;
+
+    const query = {};
+    if (DEPARTMENT_BOUND_ROLES.includes(req.user.role)) {
+      query.department = req.user.department;
+    } else if (department) {
+      query.department = department;
+    }
+    if (budgetHead) query.budgetHead = budgetHead;
+    if (financialYear) query.financialYear = financialYear;
+    if (status === 'open') {
+      query.status = { $in: OPEN_PO_STATUSES };
+    } else if (status) {
+      query.status = status;
+    }
+    if (search) {
+      query.$or = [
+        { poNumber: { $regex: search, $options: 'i' } },
+        { vendorName: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const purchaseOrders = await populatePurchaseOrder(PurchaseOrder.find(query))
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await PurchaseOrder.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        purchaseOrders,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching purchase orders',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get purchase order by ID
+// @route   GET /api/purchase-orders/:id
+// @access  Private
+const getPurchaseOrderById = async (req, res) => {
+  try {
+    const purchaseOrder = await populatePurchaseOrder(PurchaseOrder.findById(req.params.id));
+
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, purchaseOrder.department._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your department purchase orders.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { purchaseOrder }
+    });
+  } catch (error) {
+    console.error('Get purchase order by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching purchase order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Raise a purchase order and commit its value against the allocation
+// @route   POST /api/purchase-orders
+// @access  Private/Office/HOD/Admin
+const createPurchaseOrder = async (req, res) => {
+  const session = await PurchaseOrder.startSession();
+  session.startTransaction();
+
+  try {
+    const { budgetHead, financialYear, vendorName, description, items } = req.body;
+    const department = DEPARTMENT_BOUND_ROLES.includes(req.user.role) ? req.user.department : req.body.department;
+
+    if (!department || !budgetHead || !financialYear || !(req.body.vendor || vendorName) || !Array.isArray(items) || items.length === 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Department, budget head, financial year, vendor and at least one item are required'
+      });
+    }
+
+    const vendor = await resolveVendor(req.body.vendor, vendorName);
+    if (!vendor || vendor.isBlocked) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: vendor
+          ? `Vendor "${vendor.name}" is blocked${vendor.blockedReason ? `: ${vendor.blockedReason}` : ''}`
+          : `Vendor "${vendorName}" is not registered in the vendor master`
+      });
+    }
+
+    const orderItems = items.map(item => ({
+      description: item.description,
+      quantity: Number(item.quantity) || 0,
+      unitPrice: Number(item.unitPrice) || 0
+    }));
+    const totalAmount = orderItems.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0);
+
+    if (totalAmount <= 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Purchase order value must be greater than ₹0'
+      });
+    }
+
+    if (await isYearClosed(financialYear)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot raise purchase orders in a locked or closed financial year (${financialYear})`
+      });
+    }
+
+    const allocation = await Allocation.findOne({ department, budgetHead, financialYear }).session(session);
+    if (!allocation) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'No budget has been allocated for this budget head'
+      });
+    }
+
+    const overspendPolicy = await Settings.findOne({ key: 'budget_overspend_policy' });
+    const committed = await commitFunds(allocation._id, totalAmount, {
+      session,
+      allowOverspend: overspendPolicy ? overspendPolicy.value !== 'disallow' : false
+    });
+    if (!committed) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Purchase order value (₹${totalAmount.toLocaleString('en-IN')}) exceeds available budget (₹${getAvailableAmount(allocation).toLocaleString('en-IN')})`,
+        availableBudget: getAvailableAmount(allocation)
+      });
+    }
+
+    // PO/YYYY-YYYY/NNNN, numbered per financial year
+    const count = await PurchaseOrder.countDocuments({ financialYear }).session(session);
+    const poNumber = `PO/${financialYear}/${(count + 1).toString().padStart(4, '0')}`;
+
+    const [purchaseOrder] = await PurchaseOrder.create([{
+      poNumber,
+      financialYear,
+      department,
+      budgetHead,
+      allocation: allocation._id,
+      vendor: vendor._id,
+      vendorName: vendor.name,
+      description,
+      items: orderItems,
+      committedAmount: totalAmount,
+      createdBy: req.user._id
+    }], { session });
+
+    await session.commitTransaction();
+
+    await recordAuditLog({
+      eventType: 'purchase_order_created',
+      req,
+      targetEntity: 'PurchaseOrder',
+      targetId: purchaseOrder._id,
+      details: {
+        poNumber,
+        vendorName: vendor.name,
+        totalAmount,
+        allocation: allocation._id
+      },
+      newValues: purchaseOrder
+    });
+
+    broadcastCommitmentChange(purchaseOrder, 'purchase_order_created');
+
+    const populated = await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id));
+
+    res.status(201).json({
+      success: true,
+      message: `Purchase order ${poNumber} raised and ₹${totalAmount.toLocaleString('en-IN')} committed`,
+      data: { purchaseOrder: populated }
+    });
+  } catch (error) {
+    if (session.transaction.isActive) {
+      await session.abortTransaction();
+    }
+    console.error('Create purchase order error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating purchase order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Record goods/services received against a purchase order
+// @route   POST /api/purchase-orders/:id/receipts
+// @access  Private/Office/HOD/Admin
+const recordReceipt = async (req, res) => {
+  try {
+    const { items = [], remarks } = req.body;
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, purchaseOrder.department)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update your department purchase orders.'
+      });
+    }
+
+    if (!['OPEN', 'PARTIALLY_RECEIVED'].includes(purchaseOrder.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot record receipts on a ${purchaseOrder.status.toLowerCase().replace('_', ' ')} purchase order`
+      });
+    }
+
+    const receivedItems = items.filter(entry => Number(entry.quantity) > 0);
+    if (receivedItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter the quantity received for at least one item'
+      });
+    }
+
+    for (const entry of receivedItems) {
+      const orderItem = purchaseOrder.items.id(entry.item);
+      if (!orderItem) {
+        return res.status(400).json({
+          success: false,
+          message: 'Receipt refers to an item that is not on this purchase order'
+        });
+      }
+      const outstanding = orderItem.quantity - orderItem.receivedQuantity;
+      if (Number(entry.quantity) > outstanding) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${outstanding} of "${orderItem.description}" remain to be received`
+        });
+      }
+    }
+
+    receivedItems.forEach(entry => {
+      purchaseOrder.items.id(entry.item).receivedQuantity += Number(entry.quantity);
+    });
+    purchaseOrder.receipts.push({
+      items: receivedItems.map(entry => ({ item: entry.item, quantity: Number(entry.quantity) })),
+      remarks,
+      receivedBy: req.user._id
+    });
+
+    const fullyReceived = purchaseOrder.items.every(item => item.receivedQuantity >= item.quantity);
+    purchaseOrder.status = fullyReceived ? 'RECEIVED' : 'PARTIALLY_RECEIVED';
+    await purchaseOrder.save();
+
+    await recordAuditLog({
+      eventType: 'purchase_order_received',
+      req,
+      targetEntity: 'PurchaseOrder',
+      targetId: purchaseOrder._id,
+      details: {
+        poNumber: purchaseOrder.poNumber,
+        items: receivedItems,
+        status: purchaseOrder.status,
+        remarks
+      }
+    });
+
+    const populated = await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id));
+
+    res.json({
+      success: true,
+      message: fullyReceived ? 'All items received' : 'Partial receipt recorded',
+      data: { purchaseOrder: populated }
+    });
+  } catch (error) {
+    console.error('Record receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Convert a vendor bill against a purchase order into an expenditure
+// @route   POST /api/purchase-orders/:id/bills
+// @access  Private/Office/HOD/Admin
+const createBill = async (req, res) => {
+  const session = await PurchaseOrder.startSession();
+  session.startTransaction();
+
+  try {
+    const { billNumber, billDate, description } = req.body;
+    const amount = parseFloat(req.body.amount) || 0;
+    const attachments = req.uploadedFiles || [];
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+    if (!purchaseOrder) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, purchaseOrder.department)) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only bill your department purchase orders.'
+      });
+    }
+
+    if (!OPEN_PO_STATUSES.includes(purchaseOrder.status)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot bill a ${purchaseOrder.status.toLowerCase()} purchase order`
+      });
+    }
+
+    if (!billNumber || amount <= 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Bill number and an amount greater than ₹0 are required'
+      });
+    }
+
+    // VALIDATION: Enforce mandatory bill upload, as for any other expenditure
+    if (attachments.length === 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Bill upload is mandatory'
+      });
+    }
+
+    const billedSoFar = await getBilledSoFar(purchaseOrder._id, session);
+    const unbilled = purchaseOrder.totalAmount - billedSoFar;
+    if (amount > unbilled) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Bill amount (₹${amount.toLocaleString('en-IN')}) exceeds the unbilled value of ${purchaseOrder.poNumber} (₹${unbilled.toLocaleString('en-IN')})`
+      });
+    }
+
+    // Sent as a JSON string alongside the bill file
+    let { tax } = req.body;
+    if (typeof tax === 'string') {
+      try {
+        tax = JSON.parse(tax);
+      } catch (e) {
+        tax = null;
+      }
+    }
+    const taxCheck = normalizeTaxBreakdown(tax, amount);
+    if (taxCheck.error) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: taxCheck.error
+      });
+    }
+
+    const expenseItems = [{
+      category: 'PURCHASE_ORDER',
+      billNumber,
+      vendor: purchaseOrder.vendor,
+      vendorName: purchaseOrder.vendorName,
+      amount,
+      ...(taxCheck.tax ? { tax: taxCheck.tax } : {}),
+      attachments,
+      description
+    }];
+
+    const duplicatePolicy = await Settings.findOne({ key: 'duplicate_bill_policy' });
+    const duplicateCheck = await screenDuplicateBills(expenseItems, duplicatePolicy ? duplicatePolicy.value : 'block');
+    if (duplicateCheck.blocked) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Duplicate bill: ${duplicateCheck.message}`,
+        code: 'DUPLICATE_BILL',
+        duplicates: duplicateCheck.duplicates
+      });
+    }
+
+    // A bill file already attached to another expenditure is flagged for approvers
+    const duplicateAttachments = await flagDuplicateAttachments(expenseItems);
+
+    // Same transaction ID scheme as submitted expenditures: EVT-YYYY-XXXX
+    const billDateObj = billDate ? new Date(billDate) : new Date();
+    const count = await Expenditure.countDocuments({ financialYear: purchaseOrder.financialYear, status: { $ne: 'DRAFT' } }).session(session);
+    const transactionId = `EVT-${billDateObj.getFullYear()}-${(count + 1).toString().padStart(4, '0')}`;
+
+    const [expenditure] = await Expenditure.create([{
+      department: purchaseOrder.department,
+      budgetHead: purchaseOrder.budgetHead,
+      eventName: `${purchaseOrder.poNumber} - ${purchaseOrder.vendorName}`,
+      eventType: 'Other',
+      eventDate: billDateObj,
+      description: description || purchaseOrder.description,
+      expenseItems: expenseItems.map(item => ({ ...item, billDate: billDateObj })),
+      totalAmount: amount,
+      transactionId,
+      submittedBy: req.user._id,
+      financialYear: purchaseOrder.financialYear,
+      purchaseOrder: purchaseOrder._id,
+      status: 'PENDING'
+    }], { session });
+
+    purchaseOrder.expenditures.push(expenditure._id);
+    await purchaseOrder.save({ session });
+
+    await session.commitTransaction();
+
+    await recordAuditLog({
+      eventType: 'expenditure_submitted',
+      req,
+      targetEntity: 'Expenditure',
+      targetId: expenditure._id,
+      details: {
+        eventName: expenditure.eventName,
+        totalAmount: amount,
+        department: purchaseOrder.department,
+        purchaseOrder: purchaseOrder.poNumber,
+        ...(duplicateCheck.message ? { duplicateBills: duplicateCheck.message } : {}),
+        duplicateAttachments: duplicateAttachments || undefined
+      },
+      newValues: expenditure
+    });
+
+    const populatedExpenditure = await Expenditure.findById(expenditure._id)
+      .populate('department', 'name code')
+      .populate('budgetHead', 'name category')
+      .populate('submittedBy', 'name email');
+
+    await notifyExpenditureSubmission(populatedExpenditure);
+
+    res.status(201).json({
+      success: true,
+      message: duplicateCheck.message
+        ? `Bill ${billNumber} submitted against ${purchaseOrder.poNumber} and flagged for review. ${duplicateCheck.message}`
+        : `Bill ${billNumber} submitted for approval against ${purchaseOrder.poNumber}`,
+      data: { expenditure: populatedExpenditure }
+    });
+  } catch (error) {
+    if (session.transaction.isActive) {
+      await session.abortTransaction();
+    }
+    console.error('Create bill error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed: ' + messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting bill',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Close a purchase order and release its outstanding commitment
+// @route   PUT /api/purchase-orders/:id/close
+// @access  Private/Office/HOD/Admin
+const closePurchaseOrder = async (req, res) => {
+  const session = await PurchaseOrder.startSession();
+  session.startTransaction();
+
+  try {
+    const { reason } = req.body;
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+    if (!purchaseOrder) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!canAccessDepartment(req.user, purchaseOrder.department)) {
+      await session.abortTransaction();
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only close your department purchase orders.'
+      });
+    }
+
+    if (!OPEN_PO_STATUSES.includes(purchaseOrder.status)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Purchase order is already ${purchaseOrder.status.toLowerCase()}`
+      });
+    }
+
+    if (!reason) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to close a purchase order'
+      });
+    }
+
+    const pendingBills = await Expenditure.countDocuments({
+      purchaseOrder: purchaseOrder._id,
+      status: { $in: PENDING_BILL_STATUSES }
+    }).session(session);
+    if (pendingBills > 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `${pendingBills} bill(s) against this order are still awaiting approval`
+      });
+    }
+
+    const released = purchaseOrder.committedAmount;
+    await releaseFunds(purchaseOrder.allocation, released, session);
+
+    purchaseOrder.committedAmount = 0;
+    purchaseOrder.status = purchaseOrder.billedAmount > 0 ? 'CLOSED' : 'CANCELLED';
+    purchaseOrder.closedBy = req.user._id;
+    purchaseOrder.closedAt = new Date();
+    purchaseOrder.closeReason = reason;
+    await purchaseOrder.save({ session });
+
+    await session.commitTransaction();
+
+    await recordAuditLog({
+      eventType: 'purchase_order_closed',
+      req,
+      targetEntity: 'PurchaseOrder',
+      targetId: purchaseOrder._id,
+      details: {
+        poNumber: purchaseOrder.poNumber,
+        status: purchaseOrder.status,
+        releasedAmount: released,
+        reason
+      }
+    });
+
+    broadcastCommitmentChange(purchaseOrder, 'purchase_order_closed');
+
+    const populated = await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id));
+
+    res.json({
+      success: true,
+      message: `${purchaseOrder.poNumber} ${purchaseOrder.status.toLowerCase()}; ₹${released.toLocaleString('en-IN')} returned to the allocation`,
+      data: { purchaseOrder: populated }
+    });
+  } catch (error) {
+    if (session.transaction.isActive) {
+      await session.abortTransaction();
+    }
+    console.error('Close purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing purchase order',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  recordReceipt,
+  createBill,
+  closePurchaseOrder
+};
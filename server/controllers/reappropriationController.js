@@ -0,0 +1,474 @@
+const Reappropriation = require('../models/Reappropriation');
+const Allocation = require('../models/Allocation');
+const FinancialYear = require('../models/FinancialYear');
+const { recordAuditLog } = require('../utils/auditService');
+const {
+  notifyReappropriationSubmission,
+  notifyReappropriationDecision
+} = require('../utils/notificationService');
+const {
+  getWorkflowDefinition,
+  evaluateDelegatedAction,
+  evaluateDelegatedRejection,
+  recordSignOff,
+  signOffSubmitterStage,
+  getQueueClauses,
+  describeProgress
+} = require('../services/workflowService');
+const { getActiveDelegators } = require('../services/delegationService');
+const { DEPARTMENT_BOUND_ROLES } = require('../config/workflowRules');
+const { getAvailableAmount } = require('../services/commitmentService');
+const { getReservedAmount, executeTransfer } = require('../services/reappropriationService');
+
+const populateReappropriation = (query) => {
+  return query
+    .populate('department', 'name code')
+    .populate('fromBudgetHead', 'name category')
+    .populate('toBudgetHead', 'name category')
+    .populate('fromAllocation', 'allocatedAmount spentAmount committedAmount')
+    .populate('toAllocation', 'allocatedAmount spentAmount committedAmount')
+    .populate('requestedBy', 'name email')
+    .populate('approvalSteps.approver', 'name email role')
+    .populate('approvalSteps.onBehalfOf', 'name email role');
+};
+
+const isYearClosed = async (financialYear) => {
+  const fy = await FinancialYear.findOne({ year: financialYear });
+  return Boolean(fy && ['locked', 'closed'].includes(fy.status));
+};
+
+// Shared handler for the verify and approve workflow actions
+const signOffReappropriation = (action) => async (req, res) => {
+  const session = await Reappropriation.startSession();
+  session.startTransaction();
+
+  try {
+    const { id } = req.params;
+    const { remarks } = req.body;
+
+    const reappropriation = await Reappropriation.findById(id).session(session);
+    if (!reappropriation) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Re-appropriation request not found'
+      });
+    }
+
+    const workflow = await getWorkflowDefinition('Reappropriation');
+    const evaluation = evaluateDelegatedAction({
+      definition: workflow,
+      document: reappropriation,
+      user: req.user,
+      action,
+      amount: reappropriation.amount
+    }, await getActiveDelegators(req.user._id));
+
+    if (!evaluation.allowed) {
+      await session.abortTransaction();
+      return res.status(evaluation.statusCode).json({
+        success: false,
+        message: evaluation.message
+      });
+    }
+
+    const previousStatus = reappropriation.status;
+    const signOff = recordSignOff(reappropriation, evaluation.stage, req.user, remarks, evaluation.onBehalfOf);
+
+    if (signOff.status === 'APPROVED') {
+      if (await isYearClosed(reappropriation.financialYear)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Cannot re-appropriate funds in a locked or closed financial year: ${reappropriation.financialYear}`
+        });
+      }
+
+      const transferError = await executeTransfer(reappropriation, req.user._id, session);
+      if (transferError) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: transferError
+        });
+      }
+    }
+
+    await reappropriation.save({ session });
+    await session.commitTransaction();
+
+    console.log(`[Debug] Reappropriation Status Transition: ${previousStatus} -> ${signOff.status} (by ${req.user.role})`);
+
+    const populated = await populateReappropriation(Reappropriation.findById(id));
+
+    await recordAuditLog({
+      eventType: signOff.status === 'APPROVED' ? 'reappropriation_approved' : 'reappropriation_verified',
+      req,
+      targetEntity: 'Reappropriation',
+      targetId: id,
+      details: {
+        stage: evaluation.stage.key,
+        previousStatus,
+        newStatus: signOff.status,
+        amount: reappropriation.amount,
+        onBehalfOf: evaluation.onBehalfOf ? evaluation.onBehalfOf.name : undefined,
+        execution: reappropriation.execution
+      }
+    });
+
+    if (signOff.status === 'APPROVED') {
+      await notifyReappropriationDecision(populated, req.user, remarks);
+    }
+
+    let message;
+    if (signOff.status === 'APPROVED') {
+      message = `Re-appropriation approved. ₹${reappropriation.amount.toLocaleString('en-IN')} moved from ${populated.fromBudgetHead.name} to ${populated.toBudgetHead.name}.`;
+    } else if (signOff.completed) {
+      message = `Re-appropriation ${action === 'verify' ? 'verified' : 'approved'} at ${evaluation.stage.label}.`;
+    } else {
+      message = `Sign-off recorded. Awaiting ${signOff.pendingRoles.join(', ').toUpperCase()}.`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: { reappropriation: populated, pendingRoles: signOff.pendingRoles }
+    });
+  } catch (error) {
+    if (session.transaction.isActive && !session.transaction.isCommitted) {
+      await session.abortTransaction();
+    }
+    console.error(`Reappropriation ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing re-appropriation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// @desc    Get re-appropriation requests
+// @route   GET /api/reappropriations
+// @access  Private
+const getReappropriations = async (req, res) => {
+  try {
+    const { financialYear, department, status, page = 1, limit = 10 } = req.query;
+
+    const query = {};
+    if (financialYear) query.financialYear = financialYear;
+
+    // Queue for the user and any approvers they are covering for
+    const identities = status === 'pending_approval'
+      ? [req.user, ...await getActiveDelegators(req.user._id)]
+      : [req.user];
+    const queueClauses = status === 'pending_approval' ? await getQueueClauses('Reappropriation', identities) : [];
+
+    if (queueClauses.length > 0) {
+      query.$or = queueClauses;
+    } else if (status && status !== 'pending_approval') {
+      query.status = status;
+    }
+
+    if (identities.every(identity => DEPARTMENT_BOUND_ROLES.includes(identity.role))) {
+      const departments = [...new Set(identities.map(identity => identity.department?.toString()).filter(Boolean))];
+      query.department = departments.length === 1 ? departments[0] : { $in: departments };
+    } else if (department) {
+      query.department = department;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [items, total, workflow] = await Promise.all([
+      populateReappropriation(Reappropriation.find(query))
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Reappropriation.countDocuments(query),
+      getWorkflowDefinition('Reappropriation')
+    ]);
+
+    // Attach the stage each request is waiting on so the UI can offer the right action
+    const reappropriations = items.map(item => ({
+      ...item.toJSON(),
+      progress: describeProgress(workflow, item, item.amount)
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        reappropriations,
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get reappropriations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching re-appropriations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get a re-appropriation request with its workflow progress
+// @route   GET /api/reappropriations/:id
+// @access  Private
+const getReappropriationById = async (req, res) => {
+  try {
+    const reappropriation = await populateReappropriation(Reappropriation.findById(req.params.id));
+
+    if (!reappropriation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Re-appropriation request not found'
+      });
+    }
+
+    if (DEPARTMENT_BOUND_ROLES.includes(req.user.role)
+      && reappropriation.department._id.toString() !== req.user.department?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view your department re-appropriations.'
+      });
+    }
+
+    const workflow = await getWorkflowDefinition('Reappropriation');
+
+    res.json({
+      success: true,
+      data: {
+        reappropriation,
+        progress: describeProgress(workflow, reappropriation, reappropriation.amount)
+      }
+    });
+  } catch (error) {
+    console.error('Get reappropriation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching re-appropriation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Request a transfer of unspent funds between two budget heads
+// @route   POST /api/reappropriations
+// @access  Private (HOD/Office/Admin)
+const createReappropriation = async (req, res) => {
+  try {
+    const { fromAllocation, toAllocation, amount, reason } = req.body;
+    const transferAmount = parseFloat(amount);
+
+    if (!fromAllocation || !toAllocation || !reason || !(transferAmount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source allocation, target allocation, a positive amount and a justification are required'
+      });
+    }
+
+    if (fromAllocation === toAllocation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source and target budget heads must be different'
+      });
+    }
+
+    const [source, target] = await Promise.all([
+      Allocation.findById(fromAllocation).populate('budgetHead', 'name'),
+      Allocation.findById(toAllocation).populate('budgetHead', 'name')
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Allocation not found'
+      });
+    }
+
+    if (source.financialYear !== target.financialYear || source.department.toString() !== target.department.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Funds can only be re-appropriated between allocations of the same department and financial year'
+      });
+    }
+
+    if (DEPARTMENT_BOUND_ROLES.includes(req.user.role) && source.department.toString() !== req.user.department?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only re-appropriate funds within your own department'
+      });
+    }
+
+    if (await isYearClosed(source.financialYear)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot re-appropriate funds in a locked or closed financial year: ${source.financialYear}`
+      });
+    }
+
+    const reserved = await getReservedAmount(source._id);
+    const available = getAvailableAmount(source) - reserved;
+    if (transferAmount > available) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ₹${Math.max(available, 0).toLocaleString('en-IN')} of ${source.budgetHead.name} is uncommitted and not already requested for re-appropriation`
+      });
+    }
+
+    const reappropriation = new Reappropriation({
+      financialYear: source.financialYear,
+      department: source.department,
+      fromAllocation: source._id,
+      toAllocation: target._id,
+      fromBudgetHead: source.budgetHead._id,
+      toBudgetHead: target.budgetHead._id,
+      amount: transferAmount,
+      reason,
+      requestedBy: req.user._id
+    });
+    // A HOD's own request starts past HOD verification
+    signOffSubmitterStage(await getWorkflowDefinition('Reappropriation'), reappropriation, req.user, transferAmount);
+    await reappropriation.save();
+
+    await recordAuditLog({
+      eventType: 'reappropriation_requested',
+      req,
+      targetEntity: 'Reappropriation',
+      targetId: reappropriation._id,
+      details: {
+        fromBudgetHead: source.budgetHead.name,
+        toBudgetHead: target.budgetHead.name,
+        amount: transferAmount,
+        reason
+      }
+    });
+
+    const populated = await populateReappropriation(Reappropriation.findById(reappropriation._id));
+    await notifyReappropriationSubmission(populated);
+
+    res.status(201).json({
+      success: true,
+      message: 'Re-appropriation request submitted for approval',
+      data: { reappropriation: populated }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create reappropriation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating re-appropriation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Verify re-appropriation request
+// @route   PUT /api/reappropriations/:id/verify
+// @access  Private (roles from the Reappropriation workflow)
+const verifyReappropriation = signOffReappropriation('verify');
+
+// @desc    Approve re-appropriation request; the final approval moves the funds
+// @route   PUT /api/reappropriations/:id/approve
+// @access  Private (roles from the Reappropriation workflow)
+const approveReappropriation = signOffReappropriation('approve');
+
+// @desc    Reject re-appropriation request
+// @route   PUT /api/reappropriations/:id/reject
+// @access  Private (roles from the Reappropriation workflow)
+const rejectReappropriation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { remarks } = req.body;
+
+    if (!remarks) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection remarks are required'
+      });
+    }
+
+    const reappropriation = await Reappropriation.findById(id);
+    if (!reappropriation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Re-appropriation request not found'
+      });
+    }
+
+    const workflow = await getWorkflowDefinition('Reappropriation');
+    const evaluation = evaluateDelegatedRejection({
+      definition: workflow,
+      document: reappropriation,
+      user: req.user,
+      amount: reappropriation.amount
+    }, await getActiveDelegators(req.user._id));
+
+    if (!evaluation.allowed) {
+      return res.status(evaluation.statusCode).json({
+        success: false,
+        message: evaluation.message
+      });
+    }
+
+    const previousStatus = reappropriation.status;
+    reappropriation.status = 'REJECTED';
+    reappropriation.rejectionReason = remarks;
+    reappropriation.approvalSteps.push({
+      approver: req.user._id,
+      role: evaluation.onBehalfOf ? evaluation.onBehalfOf.role : req.user.role,
+      onBehalfOf: evaluation.onBehalfOf ? evaluation.onBehalfOf._id : undefined,
+      decision: 'reject',
+      stage: evaluation.stage.key,
+      remarks,
+      timestamp: new Date()
+    });
+
+    await reappropriation.save();
+
+    const populated = await populateReappropriation(Reappropriation.findById(id));
+
+    await recordAuditLog({
+      eventType: 'reappropriation_rejected',
+      req,
+      targetEntity: 'Reappropriation',
+      targetId: id,
+      details: { stage: evaluation.stage.key, previousStatus, remarks }
+    });
+
+    await notifyReappropriationDecision(populated, req.user, remarks);
+
+    res.json({
+      success: true,
+      message: 'Re-appropriation request rejected',
+      data: { reappropriation: populated }
+    });
+  } catch (error) {
+    console.error('Reject reappropriation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting re-appropriation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getReappropriations,
+  getReappropriationById,
+  createReappropriation,
+  verifyReappropriation,
+  approveReappropriation,
+  rejectReappropriation
+};
@@ -5,6 +5,7 @@ const BudgetHead = require('../models/BudgetHead');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
 const BudgetProposal = require('../models/BudgetProposal');
+const { summarizeTaxes } = require('../services/taxService');
 
 // @desc    Get expenditure report
 // @route   GET /api/reports/expenditures
@@ -39,9 +40,8 @@ const getExpenditureReport = async (req, res) => {
       query.budgetHead = budgetHead;
     }
 
-    if (status) {
-      query.status = status;
-    }
+    // Drafts are not claims until they are submitted
+    query.status = status && status !== 'DRAFT' ? status : { $ne: 'DRAFT' };
 
     // Get expenditures with populated data
     const expenditures = await Expenditure.find(query)
@@ -88,6 +88,9 @@ const getExpenditureReport = async (req, res) => {
       summary.byMonth[month] = (summary.byMonth[month] || 0) + amount;
     });
 
+    // GST/TDS per department and budget head, for filing returns
+    summary.taxSummary = summarizeTaxes(expenditures);
+
     if (format === 'csv') {
       const csvData = generateExpenditureCSV(expenditures);
       res.setHeader('Content-Type', 'text/csv');
@@ -159,6 +162,7 @@ const getAllocationReport = async (req, res) => {
       totalAllocations: allocations.length,
       totalAllocated: allocations.reduce((sum, alloc) => sum + alloc.allocatedAmount, 0),
       totalSpent: allocations.reduce((sum, alloc) => sum + alloc.spentAmount, 0),
+      totalCommitted: allocations.reduce((sum, alloc) => sum + (alloc.committedAmount || 0), 0),
       totalRemaining: allocations.reduce((sum, alloc) => sum + alloc.remainingAmount, 0),
       averageUtilization: 0,
       byDepartment: {},
@@ -173,12 +177,14 @@ const getAllocationReport = async (req, res) => {
         summary.byDepartment[deptName] = {
           allocated: 0,
           spent: 0,
+          committed: 0,
           remaining: 0,
           count: 0
         };
       }
       summary.byDepartment[deptName].allocated += alloc.allocatedAmount;
       summary.byDepartment[deptName].spent += alloc.spentAmount;
+      summary.byDepartment[deptName].committed += alloc.committedAmount || 0;
       summary.byDepartment[deptName].remaining += alloc.remainingAmount;
       summary.byDepartment[deptName].count++;
 
@@ -188,12 +194,14 @@ const getAllocationReport = async (req, res) => {
         summary.byBudgetHead[headName] = {
           allocated: 0,
           spent: 0,
+          committed: 0,
           remaining: 0,
           count: 0
         };
       }
       summary.byBudgetHead[headName].allocated += alloc.allocatedAmount;
       summary.byBudgetHead[headName].spent += alloc.spentAmount;
+      summary.byBudgetHead[headName].committed += alloc.committedAmount || 0;
       summary.byBudgetHead[headName].remaining += alloc.remainingAmount;
       summary.byBudgetHead[headName].count++;
 
@@ -203,12 +211,14 @@ const getAllocationReport = async (req, res) => {
         summary.byFinancialYear[fy] = {
           allocated: 0,
           spent: 0,
+          committed: 0,
           remaining: 0,
           count: 0
         };
       }
       summary.byFinancialYear[fy].allocated += alloc.allocatedAmount;
       summary.byFinancialYear[fy].spent += alloc.spentAmount;
+      summary.byFinancialYear[fy].committed += alloc.committedAmount || 0;
       summary.byFinancialYear[fy].remaining += alloc.remainingAmount;
       summary.byFinancialYear[fy].count++;
     });
@@ -290,6 +300,7 @@ const getDashboardReport = async (req, res) => {
 
     const expenditures = await Expenditure.find({
       eventDate: { $gte: startDate, $lte: endDate },
+      status: { $ne: 'DRAFT' },
       ...deptFilter
     })
       .populate('department', 'name code')
@@ -312,6 +323,9 @@ const getDashboardReport = async (req, res) => {
       // 2. Approved Budget (Total allocations for the department)
       totalAllocated: allocations.reduce((sum, alloc) => sum + alloc.allocatedAmount, 0),
 
+      // Committed Amount (reserved by open purchase orders, not yet billed)
+      totalCommitted: allocations.reduce((sum, alloc) => sum + (alloc.committedAmount || 0), 0),
+
       // 3. Utilized Amount (Finalized Phase 2 events only - RULE 5)
       totalUtilized: expenditures
         .filter(exp => exp.status === 'FINALIZED')
@@ -360,7 +374,8 @@ const getDashboardReport = async (req, res) => {
       yearComparison: null
     };
 
-    consolidated.remainingBalance = consolidated.totalAllocated - consolidated.totalUtilized;
+    // Available = allocated - spent - committed
+    consolidated.remainingBalance = consolidated.totalAllocated - consolidated.totalUtilized - consolidated.totalCommitted;
 
     // Calculate daily metrics (for today)
     const today = new Date();
@@ -392,12 +407,14 @@ const getDashboardReport = async (req, res) => {
         consolidated.departmentBreakdown[deptName] = {
           allocated: 0,
           spent: 0,
+          committed: 0,
           remaining: 0,
           utilization: 0
         };
       }
       consolidated.departmentBreakdown[deptName].allocated += alloc.allocatedAmount;
       consolidated.departmentBreakdown[deptName].spent += alloc.spentAmount;
+      consolidated.departmentBreakdown[deptName].committed += alloc.committedAmount || 0;
       consolidated.departmentBreakdown[deptName].remaining += alloc.remainingAmount;
     });
 
@@ -417,12 +434,14 @@ const getDashboardReport = async (req, res) => {
         consolidated.budgetHeadBreakdown[headName] = {
           allocated: 0,
           spent: 0,
+          committed: 0,
           remaining: 0,
           utilization: 0
         };
       }
       consolidated.budgetHeadBreakdown[headName].allocated += alloc.allocatedAmount;
       consolidated.budgetHeadBreakdown[headName].spent += alloc.spentAmount;
+      consolidated.budgetHeadBreakdown[headName].committed += alloc.committedAmount || 0;
       consolidated.budgetHeadBreakdown[headName].remaining += alloc.remainingAmount;
     });
 
@@ -758,6 +777,11 @@ const generateExpenditureCSV = (expenditures) => {
     'Total Amount',
     'Bill Number(s)',
     'Vendor(s)',
+    'Taxable Value',
+    'CGST',
+    'SGST',
+    'IGST',
+    'TDS',
     'Department',
     'Budget Head',
     'Status',
@@ -770,6 +794,7 @@ const generateExpenditureCSV = (expenditures) => {
     const billNumbers = exp.expenseItems?.map(item => item.billNumber).join('; ') || '';
     const vendors = exp.expenseItems?.map(item => item.vendorName).join('; ') || '';
     const date = exp.eventDate || exp.createdAt;
+    const { totals: tax } = summarizeTaxes([exp]);
 
     return [
       exp.eventName || 'N/A',
@@ -778,6 +803,11 @@ const generateExpenditureCSV = (expenditures) => {
       exp.totalAmount || 0,
       billNumbers,
       vendors,
+      tax.taxableValue,
+      tax.cgstAmount,
+      tax.sgstAmount,
+      tax.igstAmount,
+      tax.tdsAmount,
       exp.department?.name || 'N/A',
       exp.budgetHead?.name || 'N/A',
       exp.status || 'N/A',
@@ -787,7 +817,26 @@ const generateExpenditureCSV = (expenditures) => {
     ];
   });
 
-  return [headers, ...rows].map(row =>
+  // Tax summary per department and budget head, after a blank line
+  const taxSummary = summarizeTaxes(expenditures);
+  const taxRows = [
+    [],
+    ['Tax Summary'],
+    ['Department', 'Budget Head', 'Bills', 'Taxable Value', 'CGST', 'SGST', 'IGST', 'Total GST', 'TDS'],
+    ...[...taxSummary.rows, { department: 'Total', budgetHead: '', ...taxSummary.totals }].map(row => [
+      row.department,
+      row.budgetHead,
+      row.billCount,
+      row.taxableValue,
+      row.cgstAmount,
+      row.sgstAmount,
+      row.igstAmount,
+      row.totalGst,
+      row.tdsAmount
+    ])
+  ];
+
+  return [headers, ...rows, ...taxRows].map(row =>
     row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(',')
   ).join('\n');
 };
@@ -799,7 +848,8 @@ const generateAllocationCSV = (allocations) => {
     'Budget Head',
     'Allocated Amount',
     'Spent Amount',
-    'Remaining Amount',
+    'Committed Amount',
+    'Available Amount',
     'Utilization %',
     'Created By',
     'Created At'
@@ -816,6 +866,7 @@ const generateAllocationCSV = (allocations) => {
       alloc.budgetHead.name,
       alloc.allocatedAmount,
       alloc.spentAmount,
+      alloc.committedAmount || 0,
       alloc.remainingAmount,
       utilization,
       alloc.createdBy.name,
@@ -0,0 +1,263 @@
+const Vendor = require('../models/Vendor');
+const { recordAuditLog } = require('../utils/auditService');
+
+// Roles that handle vendor payments and may see full bank details
+const BANK_DETAIL_ROLES = ['office', 'admin'];
+
+const EDITABLE_FIELDS = ['name', 'gstin', 'pan', 'address', 'contactEmail', 'contactPhone', 'bankDetails'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Vendor as returned to the client: bank details masked unless the caller pays vendors
+const serializeVendor = (vendor, user) => {
+  const data = vendor.toObject();
+  data.bankDetails = BANK_DETAIL_ROLES.includes(user.role)
+    ? vendor.bankDetails || null
+    : vendor.getMaskedBankDetails();
+  return data;
+};
+
+const pickVendorFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+  });
+  // Optional identifiers are unset rather than stored as empty strings
+  ['gstin', 'pan'].forEach(field => {
+    if (fields[field] === '') fields[field] = undefined;
+  });
+  return fields;
+};
+
+const handleVendorSaveError = (error, res, action) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A vendor with this GSTIN already exists'
+    });
+  }
+  if (error.name === 'ValidationError' || error.message === 'PAN does not match the PAN embedded in the GSTIN') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${action} vendor error:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${action === 'Create' ? 'creating' : 'updating'} vendor`,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// @desc    Get vendors
+// @route   GET /api/vendors
+// @access  Private
+const getVendors = async (req, res) => {
+  try {
+    const { search, blocked } = req.query;
+
+    const query = {};
+    if (blocked === 'true') query.isBlocked = true;
+    if (blocked === 'false') query.isBlocked = false;
+    if (search) {
+      const pattern = escapeRegex(search.trim());
+      query.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { gstin: { $regex: pattern, $options: 'i' } },
+        { pan: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const vendors = await Vendor.find(query).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { vendors: vendors.map(vendor => serializeVendor(vendor, req.user)) }
+    });
+  } catch (error) {
+    console.error('Get vendors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching vendors',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Get vendor by ID
+// @route   GET /api/vendors/:id
+// @access  Private
+const getVendorById = async (req, res) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('lastModifiedBy', 'name email');
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { vendor: serializeVendor(vendor, req.user) }
+    });
+  } catch (error) {
+    console.error('Get vendor by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching vendor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// @desc    Register a vendor
+// @route   POST /api/vendors
+// @access  Private/Office/Admin
+const createVendor = async (req, res) => {
+  try {
+    const fields = pickVendorFields(req.body);
+
+    if (!fields.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vendor name is required'
+      });
+    }
+
+    const vendor = await Vendor.create({
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    await recordAuditLog({
+      eventType: 'vendor_created',
+      req,
+      targetEntity: 'Vendor',
+      targetId: vendor._id,
+      details: {
+        name: vendor.name,
+        gstin: vendor.gstin
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Vendor registered successfully',
+      data: { vendor: serializeVendor(vendor, req.user) }
+    });
+  } catch (error) {
+    handleVendorSaveError(error, res, 'Create');
+  }
+};
+
+// @desc    Update vendor details
+// @route   PUT /api/vendors/:id
+// @access  Private/Office/Admin
+const updateVendor = async (req, res) => {
+  try {
+    const vendor = await Vendor.findById(req.params.id);
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    const fields = pickVendorFields(req.body);
+    const previousValues = { name: vendor.name, gstin: vendor.gstin, pan: vendor.pan };
+
+    Object.assign(vendor, fields);
+    vendor.lastModifiedBy = req.user._id;
+    await vendor.save();
+
+    // Bank details are recorded only as changed, never their values
+    await recordAuditLog({
+      eventType: 'vendor_updated',
+      req,
+      targetEntity: 'Vendor',
+      targetId: vendor._id,
+      details: {
+        name: vendor.name,
+        bankDetailsChanged: fields.bankDetails !== undefined
+      },
+      previousValues
+    });
+
+    res.json({
+      success: true,
+      message: 'Vendor updated successfully',
+      data: { vendor: serializeVendor(vendor, req.user) }
+    });
+  } catch (error) {
+    handleVendorSaveError(error, res, 'Update');
+  }
+};
+
+// @desc    Block or unblock a vendor; blocked vendors cannot be billed or given new orders
+// @route   PUT /api/vendors/:id/block
+// @access  Private/Office/Admin
+const setVendorBlocked = async (req, res) => {
+  try {
+    const { blocked, reason } = req.body;
+    const isBlocked = blocked === true || blocked === 'true';
+
+    if (isBlocked && (!reason || !reason.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to block a vendor'
+      });
+    }
+
+    const vendor = await Vendor.findById(req.params.id);
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vendor not found'
+      });
+    }
+
+    vendor.isBlocked = isBlocked;
+    vendor.blockedReason = isBlocked ? reason.trim() : undefined;
+    vendor.lastModifiedBy = req.user._id;
+    await vendor.save();
+
+    await recordAuditLog({
+      eventType: isBlocked ? 'vendor_blocked' : 'vendor_unblocked',
+      req,
+      targetEntity: 'Vendor',
+      targetId: vendor._id,
+      details: {
+        name: vendor.name,
+        reason: isBlocked ? vendor.blockedReason : undefined
+      }
+    });
+
+    res.json({
+      success: true,
+      message: isBlocked ? 'Vendor blocked' : 'Vendor unblocked',
+      data: { vendor: serializeVendor(vendor, req.user) }
+    });
+  } catch (error) {
+    console.error('Block vendor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating vendor status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getVendors,
+  getVendorById,
+  createVendor,
+  updateVendor,
+  setVendorBlocked
+};
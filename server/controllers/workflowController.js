@@ -0,0 +1,208 @@
+const WorkflowDefinition = require('../models/WorkflowDefinition');
+const BudgetCategory = require('../models/BudgetCategory');
+const { recordAuditLog } = require('../utils/auditService');
+const { getWorkflowDefinition } = require('../services/workflowService');
+const { DEFAULT_WORKFLOWS, WORKFLOW_STATUSES } = require('../config/workflowRules');
+
+const isKnownEntityType = (entityType) => Object.keys(WORKFLOW_STATUSES).includes(entityType);
+
+// Budget head categories routing tiers can be scoped to
+const getCategoryOptions = () => BudgetCategory.find({ isActive: true }).sort({ code: 1 }).distinct('code');
+
+// @desc    Get active workflow definitions for all entity types
+// @route   GET /api/workflows
+// @access  Private
+const getWorkflows = async (req, res) => {
+    try {
+        const workflows = await Promise.all(
+            Object.keys(WORKFLOW_STATUSES).map(entityType => getWorkflowDefinition(entityType))
+        );
+
+        res.json({
+            success: true,
+            data: { workflows, statusOptions: WORKFLOW_STATUSES, categoryOptions: await getCategoryOptions() }
+        });
+    } catch (error) {
+        console.error('Get workflows error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching workflows',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// @desc    Get active workflow definition for an entity type
+// @route   GET /api/workflows/:entityType
+// @access  Private
+const getWorkflowByEntityType = async (req, res) => {
+    try {
+        const { entityType } = req.params;
+
+        if (!isKnownEntityType(entityType)) {
+            return res.status(404).json({
+                success: false,
+                message: `Unknown workflow entity type: ${entityType}`
+            });
+        }
+
+        const workflow = await getWorkflowDefinition(entityType);
+
+        res.json({
+            success: true,
+            data: { workflow, statusOptions: WORKFLOW_STATUSES[entityType], categoryOptions: await getCategoryOptions() }
+        });
+    } catch (error) {
+        console.error('Get workflow error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching workflow',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// @desc    Create or replace the workflow definition for an entity type
+// @route   PUT /api/workflows/:entityType
+// @access  Private/Admin
+const updateWorkflow = async (req, res) => {
+    try {
+        const { entityType } = req.params;
+        const { name, description, stages, routingTiers } = req.body;
+
+        if (!isKnownEntityType(entityType)) {
+            return res.status(404).json({
+                success: false,
+                message: `Unknown workflow entity type: ${entityType}`
+            });
+        }
+
+        if (!Array.isArray(stages) || stages.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A workflow needs at least one stage'
+            });
+        }
+
+        // Routing tiers may only be scoped to categories that exist
+        const tierCategories = [...new Set((routingTiers || []).flatMap(tier => tier.categories || []))];
+        if (tierCategories.length > 0) {
+            const knownCategories = await BudgetCategory.find({ code: { $in: tierCategories } }).distinct('code');
+            const unknownCategories = tierCategories.filter(code => !knownCategories.includes(code));
+            if (unknownCategories.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown budget head categories: ${unknownCategories.join(', ')}`
+                });
+            }
+        }
+
+        let workflow = await WorkflowDefinition.findOne({ entityType });
+        const previousValues = workflow ? workflow.toObject() : DEFAULT_WORKFLOWS[entityType];
+
+        if (workflow) {
+            workflow.name = name || workflow.name;
+            workflow.description = description !== undefined ? description : workflow.description;
+            workflow.stages = stages;
+            if (routingTiers !== undefined) {
+                workflow.routingTiers = routingTiers;
+            }
+            workflow.version += 1;
+            workflow.lastModifiedBy = req.user._id;
+        } else {
+            workflow = new WorkflowDefinition({
+                entityType,
+                name: name || DEFAULT_WORKFLOWS[entityType].name,
+                description,
+                initialStatus: DEFAULT_WORKFLOWS[entityType].initialStatus,
+                stages,
+                routingTiers: routingTiers !== undefined ? routingTiers : (DEFAULT_WORKFLOWS[entityType].routingTiers || []),
+                createdBy: req.user._id,
+                lastModifiedBy: req.user._id
+            });
+        }
+
+        try {
+            await workflow.save();
+        } catch (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError.message
+            });
+        }
+
+        await recordAuditLog({
+            eventType: 'workflow_updated',
+            req,
+            targetEntity: 'System',
+            targetId: workflow._id,
+            details: { entityType, version: workflow.version, stageCount: workflow.stages.length },
+            previousValues,
+            newValues: workflow.toObject()
+        });
+
+        res.json({
+            success: true,
+            message: `${entityType} workflow updated successfully`,
+            data: { workflow: { ...workflow.toObject(), isDefault: false } }
+        });
+    } catch (error) {
+        console.error('Update workflow error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating workflow',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// @desc    Discard the custom workflow and fall back to the default chain
+// @route   POST /api/workflows/:entityType/reset
+// @access  Private/Admin
+const resetWorkflow = async (req, res) => {
+    try {
+        const { entityType } = req.params;
+
+        if (!isKnownEntityType(entityType)) {
+            return res.status(404).json({
+                success: false,
+                message: `Unknown workflow entity type: ${entityType}`
+            });
+        }
+
+        const removed = await WorkflowDefinition.findOneAndDelete({ entityType });
+
+        if (removed) {
+            await recordAuditLog({
+                eventType: 'workflow_reset',
+                req,
+                targetEntity: 'System',
+                targetId: removed._id,
+                details: { entityType, discardedVersion: removed.version },
+                previousValues: removed.toObject()
+            });
+        }
+
+        const workflow = await getWorkflowDefinition(entityType);
+
+        res.json({
+            success: true,
+            message: `${entityType} workflow reset to default`,
+            data: { workflow }
+        });
+    } catch (error) {
+        console.error('Reset workflow error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while resetting workflow',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+module.exports = {
+    getWorkflows,
+    getWorkflowByEntityType,
+    updateWorkflow,
+    resetWorkflow
+};
@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
-const path = require('path');
 require('dotenv').config();
 
 // Import routes
@@ -10,6 +9,7 @@ const notificationRoutes = require('./routes/notifications');
 const departmentRoutes = require('./routes/departments');
 const userRoutes = require('./routes/users');
 const budgetHeadRoutes = require('./routes/budgetHeads');
+const categoryRoutes = require('./routes/categories');
 const settingsRoutes = require('./routes/settings');
 const allocationRoutes = require('./routes/allocations');
 const expenditureRoutes = require('./routes/expenditures');
@@ -23,10 +23,23 @@ const pushRoutes = require('./routes/pushRoutes');
 const incomeRoutes = require('./routes/income');
 const financialYearRoutes = require('./routes/financialYears');
 const aiRoutes = require('./routes/ai');
+const workflowRoutes = require('./routes/workflows');
+const delegationRoutes = require('./routes/delegations');
+const reappropriationRoutes = require('./routes/reappropriations');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const vendorRoutes = require('./routes/vendors');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const advanceRoutes = require('./routes/advances');
+const expenditureTemplateRoutes = require('./routes/expenditureTemplates');
+const budgetOverrideRoutes = require('./routes/budgetOverrides');
+const projectRoutes = require('./routes/projects');
 
 // Import services
 const { initReminderService } = require('./services/reminderService');
 const { initSocket } = require('./services/socketService');
+const { syncBudgetCategories } = require('./services/budgetCategoryService');
+const { getStorage } = require('./services/storage');
+const { serveUploads } = require('./middleware/fileUpload');
 
 const app = express();
 
@@ -87,8 +100,8 @@ const limiter = rateLimit({
 });
 app.use('/api', limiter);
 
-// Serve static files (for uploaded attachments)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded attachments and profile pictures from the storage backend
+app.get('/uploads/:departmentId/:filename', serveUploads);
 
 // Routes
 const statusHandler = (req, res) => {
@@ -101,11 +114,22 @@ const statusHandler = (req, res) => {
       users: '/api/users',
       departments: '/api/departments',
       budgetHeads: '/api/budget-heads',
+      categories: '/api/categories',
       allocations: '/api/allocations',
       expenditures: '/api/expenditures',
       notifications: '/api/notifications',
       reports: '/api/reports',
-      ai: '/api/ai'
+      ai: '/api/ai',
+      workflows: '/api/workflows',
+      delegations: '/api/delegations',
+      reappropriations: '/api/reappropriations',
+      purchaseOrders: '/api/purchase-orders',
+      vendors: '/api/vendors',
+      exchangeRates: '/api/exchange-rates',
+      advances: '/api/advances',
+      expenditureTemplates: '/api/expenditure-templates',
+      budgetOverrides: '/api/budget-overrides',
+      projects: '/api/projects'
     }
   });
 };
@@ -119,6 +143,7 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/departments', departmentRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/budget-heads', budgetHeadRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/allocations/bulk-upload', require('./routes/bulkUpload'));
 app.use('/api/allocations', allocationRoutes);
@@ -133,6 +158,16 @@ app.use('/api/push', pushRoutes);
 app.use('/api/income', incomeRoutes);
 app.use('/api/financial-years', financialYearRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/workflows', workflowRoutes);
+app.use('/api/delegations', delegationRoutes);
+app.use('/api/reappropriations', reappropriationRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/vendors', vendorRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/advances', advanceRoutes);
+app.use('/api/expenditure-templates', expenditureTemplateRoutes);
+app.use('/api/budget-overrides', budgetOverrideRoutes);
+app.use('/api/projects', projectRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -205,6 +240,10 @@ const connectWithRetry = () => {
       console.log('✅ [DB] Connected to MongoDB');
       // Initialize reminder service after DB connection
       initReminderService();
+      // Make sure every category a budget head uses exists in the managed list
+      syncBudgetCategories()
+        .then(created => created.length > 0 && console.log(`[DB] Added budget categories: ${created.join(', ')}`))
+        .catch(err => console.error('Budget category sync failed:', err.message));
     })
     .catch((err) => {
       console.error('❌ MongoDB connection error:', err.message);
@@ -218,6 +257,11 @@ const connectWithRetry = () => {
 
 connectWithRetry();
 
+// Attachments need their storage backend ready (the S3 driver creates its bucket)
+getStorage().init()
+  .then(() => console.log(`✅ [Storage] Using ${getStorage().name} attachment storage`))
+  .catch(err => console.error('❌ [Storage] Initialization failed:', err.message));
+
 const server = app.listen(PORT, '0.0.0.0', () => {
   const addr = server.address();
   const address = addr ? addr.address : '0.0.0.0';
@@ -17,6 +17,16 @@ const validateAttachments = async (req, res, next) => {
             }
         }
 
+        // Submitting a saved draft: bills uploaded while it was prepared count too
+        if (req.params.id) {
+            const Expenditure = require('../models/Expenditure');
+            const draft = await Expenditure.findById(req.params.id).select('status expenseItems');
+            if (draft && draft.status === 'DRAFT') {
+                expenseItems = Array.isArray(expenseItems) ? expenseItems : draft.expenseItems;
+                attachments = [...(attachments || []), ...draft.expenseItems.flatMap(item => item.attachments)];
+            }
+        }
+
         const amountToValidate = totalAmount || billAmount || (Array.isArray(expenseItems) ? expenseItems.reduce((sum, i) => sum + (parseFloat(i.amount) || 0), 0) : 0);
 
         // Skip validation if no amount specified
@@ -88,7 +98,8 @@ const validateAttachmentsForApproval = async (req, res, next) => {
 
         // Check if amount exceeds threshold
         if (amount > threshold) {
-            const hasAttachments = expenditure.attachments && expenditure.attachments.length > 0;
+            // Bills are attached to the expense items
+            const hasAttachments = expenditure.expenseItems.some(item => item.attachments && item.attachments.length > 0);
 
             if (!hasAttachments) {
                 const message = `Cannot approve expenditure of ₹${amount.toLocaleString()} without required attachments (threshold: ₹${threshold.toLocaleString()}).`;
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
+const { getActiveDelegators } = require('../services/delegationService');
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -80,6 +81,30 @@ const authorize = (...roles) => {
   };
 };
 
+// Role check for workflow sign-off routes only (verify/approve/finalize/reject and
+// the approval queue). A user standing in for an absent approver (see Delegation)
+// is also let through when the delegated role is allowed; the handlers decide per
+// record through workflowService's delegated evaluation.
+const authorizeWorkflowAction = (...roles) => {
+  const byRole = authorize(...roles);
+  return async (req, res, next) => {
+    if (!req.user || roles.includes(req.user.role)) {
+      return byRole(req, res, next);
+    }
+
+    try {
+      const delegators = await getActiveDelegators(req.user._id);
+      if (delegators.some(delegator => roles.includes(delegator.role))) {
+        return next();
+      }
+    } catch (error) {
+      console.error('Delegation lookup error:', error);
+    }
+
+    byRole(req, res, next);
+  };
+};
+
 // Department access control (users can only access their own department data)
 const departmentAccess = (req, res, next) => {
   if (!req.user) {
@@ -153,6 +178,7 @@ module.exports = {
   generateToken,
   verifyToken,
   authorize,
+  authorizeWorkflowAction,
   departmentAccess,
   auditLog
 };
@@ -0,0 +1,23 @@
+const { extractBillData } = require('../services/ocrService');
+
+// Read bill details off uploaded files once they have passed the virus scan.
+// Runs while the upload is still staged on disk; each entry of req.uploadedFiles
+// gains an `extraction` (or none when nothing could be read). Never fails the upload.
+const extractUploadedBills = async (req, res, next) => {
+  if (!req.files || req.files.length === 0 || !req.uploadedFiles) {
+    return next();
+  }
+
+  for (const [index, file] of req.files.entries()) {
+    const extraction = await extractBillData(file);
+    if (extraction && req.uploadedFiles[index]) {
+      req.uploadedFiles[index].extraction = extraction;
+    }
+  }
+
+  next();
+};
+
+module.exports = {
+  extractUploadedBills
+};
@@ -1,7 +1,16 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const NodeClam = require('clamscan');
+const {
+  getStorage,
+  buildKey,
+  hashFile,
+  buildContentKey,
+  getContentType,
+  verifyServeSignature
+} = require('../services/storage');
 
 // Initialize ClamAV Scanner
 let clamScan = null;
@@ -30,24 +39,23 @@ try {
   console.warn('⚠️ ClamAV Setup Error:', err.message);
 }
 
-// Create uploads directory if it doesn't exist
-const uploadDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
+// Uploads are staged on local disk for virus scanning, then handed to the
+// storage backend (services/storage) under <departmentId>/<filename>
+const stagingDir = path.join(os.tmpdir(), 'cbms-uploads');
+if (!fs.existsSync(stagingDir)) {
+  fs.mkdirSync(stagingDir, { recursive: true });
 }
 
+// Folder (storage key prefix) for the uploading department
+const getDepartmentFolder = (req) => {
+  const departmentId = req.body.departmentId || req.user?.department || 'general';
+  return String(departmentId._id || departmentId);
+};
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    // Create department-specific folder
-    const departmentId = String(req.body.departmentId || req.user?.department || 'general');
-    const deptDir = path.join(uploadDir, departmentId);
-
-    if (!fs.existsSync(deptDir)) {
-      fs.mkdirSync(deptDir, { recursive: true });
-    }
-
-    cb(null, deptDir);
+    cb(null, stagingDir);
   },
   filename: (req, file, cb) => {
     // Generate unique filename with timestamp
@@ -84,6 +92,30 @@ const upload = multer({
 // Middleware for handling file uploads
 const uploadMiddleware = upload.array('attachments', 5);
 
+// Store scanned uploads and record their keys. The staged copies are removed once the
+// response has gone out, so later middleware (e.g. virusScan) can still read them.
+// With byContent, files are keyed by their SHA-256 and a file already stored is not
+// stored again; file.alreadyStored tells the two apart.
+const storeUploadedFiles = async (req, res, files, { byContent = false } = {}) => {
+  res.on('close', () => {
+    files.forEach(file => fs.promises.unlink(file.path).catch(() => {}));
+  });
+
+  const folder = getDepartmentFolder(req);
+  for (const file of files) {
+    if (byContent) {
+      file.sha256 = await hashFile(file.path);
+      file.storageKey = buildContentKey(file.sha256, file.originalname);
+      file.alreadyStored = await getStorage().exists(file.storageKey);
+    } else {
+      file.storageKey = buildKey(folder, file.filename);
+    }
+    if (!file.alreadyStored) {
+      await getStorage().save(file.storageKey, file.path, file.mimetype);
+    }
+  }
+};
+
 // Enhanced file upload middleware with error handling and virus scanning
 const handleFileUpload = (req, res, next) => {
   uploadMiddleware(req, res, async (err) => {
@@ -171,13 +203,24 @@ const handleFileUpload = (req, res, next) => {
         });
       }
 
+      try {
+        await storeUploadedFiles(req, res, req.files, { byContent: true });
+      } catch (storageErr) {
+        console.error('File storage error:', storageErr);
+        return res.status(500).json({
+          success: false,
+          message: 'Uploaded files could not be stored. Please try again.'
+        });
+      }
+
       req.uploadedFiles = req.files.map(file => ({
         filename: file.filename,
         originalName: file.originalname,
         mimetype: file.mimetype,
         size: file.size,
-        path: file.path,
-        url: `/uploads/${String(req.body.departmentId || req.user?.department || 'general')}/${file.filename}`
+        sha256: file.sha256,
+        storageKey: file.storageKey,
+        url: `/uploads/${file.storageKey}`
       }));
     }
 
@@ -185,80 +228,76 @@ const handleFileUpload = (req, res, next) => {
   });
 };
 
-// File serving middleware
-const serveFiles = (req, res, next) => {
-  const filePath = path.join(uploadDir, req.params.departmentId, req.params.filename);
+// Stream a stored file to the response
+const sendStoredFile = async (req, res, key) => {
+  try {
+    const file = await getStorage().getStream(key);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.setHeader('Content-Type', file.contentType || getContentType(key));
+    res.setHeader('Content-Disposition', `inline; filename="${path.basename(key)}"`);
+    if (file.size) res.setHeader('Content-Length', file.size);
+    file.stream.on('error', (error) => {
+      console.error('File stream error:', error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error('Serve file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read file'
+    });
+  }
+};
+
+// Signed download links from GET /api/files/:fileId/download
+const serveFiles = (req, res) => {
+  const key = buildKey(req.params.departmentId, req.params.filename);
 
-  // Check if file exists
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({
+  const signatureError = verifyServeSignature(key, req.query);
+  if (signatureError) {
+    return res.status(403).json({
       success: false,
-      message: 'File not found'
+      message: signatureError
     });
   }
 
-  // Set appropriate headers
-  const ext = path.extname(filePath).toLowerCase();
-  const mimeTypes = {
-    '.pdf': 'application/pdf',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.png': 'image/png'
-  };
-
-  res.setHeader('Content-Type', mimeTypes[ext] || 'application/octet-stream');
-  res.setHeader('Content-Disposition', `inline; filename="${path.basename(filePath)}"`);
-
-  // Stream the file
-  const fileStream = fs.createReadStream(filePath);
-  fileStream.pipe(res);
+  return sendStoredFile(req, res, key);
 };
 
+// The /uploads/<departmentId>/<filename> URLs recorded on attachments and profile pictures
+const serveUploads = (req, res) => sendStoredFile(req, res, buildKey(req.params.departmentId, req.params.filename));
+
 // File deletion utility
-const deleteFile = (filePath) => {
+const deleteFile = async (key) => {
   try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      return true;
-    }
+    return await getStorage().remove(key);
   } catch (error) {
     console.error('Error deleting file:', error);
   }
   return false;
 };
 
-// Clean up old files utility
-const cleanupOldFiles = (olderThanDays = 30) => {
+// Clean up old files utility; keys in `keepKeys` (files still referenced) are left alone
+const cleanupOldFiles = async (olderThanDays = 30, keepKeys = new Set()) => {
   const cutoffDate = new Date();
   cutoffDate.setDate(cutoffDate.getDate() - olderThanDays);
 
-  const cleanupDirectory = (dir) => {
-    try {
-      const files = fs.readdirSync(dir);
-
-      files.forEach(file => {
-        const filePath = path.join(dir, file);
-        const stats = fs.statSync(filePath);
-
-        if (stats.isDirectory()) {
-          cleanupDirectory(filePath);
-          // Remove empty directories
-          try {
-            fs.rmdirSync(filePath);
-          } catch (err) {
-            // Directory not empty, ignore
-          }
-        } else if (stats.mtime < cutoffDate) {
-          fs.unlinkSync(filePath);
-          console.log(`Deleted old file: ${filePath}`);
-        }
-      });
-    } catch (error) {
-      console.error('Error during cleanup:', error);
+  const removed = [];
+  const keys = await getStorage().listOlderThan(cutoffDate);
+  for (const key of keys.filter(item => !keepKeys.has(item))) {
+    if (await deleteFile(key)) {
+      console.log(`Deleted old file: ${key}`);
+      removed.push(key);
     }
-  };
-
-  cleanupDirectory(uploadDir);
+  }
+  return removed;
 };
 
 const profilePictureUpload = upload.single('profilePicture');
@@ -304,18 +343,14 @@ const handleProfilePictureUpload = (req, res, next) => {
         console.log('  [CLAMAV] Scan clean.');
       }
 
-      let deptId = req.body.departmentId || req.user?.department || 'general';
-      if (deptId && typeof deptId === 'object' && deptId._id) {
-        deptId = String(deptId._id);
-      } else {
-        deptId = String(deptId);
-      }
-      console.log(`  [MULTER] Department ID resolved as: ${deptId}`);
+      console.log(`  [MULTER] Department ID resolved as: ${getDepartmentFolder(req)}`);
+
+      await storeUploadedFiles(req, res, [req.file]);
 
       req.uploadedFile = {
         filename: req.file.filename,
-        path: req.file.path,
-        url: `/uploads/${deptId}/${req.file.filename}`
+        storageKey: req.file.storageKey,
+        url: `/uploads/${req.file.storageKey}`
       };
       console.log(`  [MULTER] Upload processed. URL: ${req.uploadedFile.url}`);
       next();
@@ -333,7 +368,7 @@ module.exports = {
   handleFileUpload,
   handleProfilePictureUpload,
   serveFiles,
+  serveUploads,
   deleteFile,
-  cleanupOldFiles,
-  uploadDir
+  cleanupOldFiles
 };
\ No newline at end of file
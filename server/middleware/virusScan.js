@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const AuditLog = require('../models/AuditLog');
 const fileType = require('file-type');
+const { getStorage } = require('../services/storage');
 
 // Virus scanner instance
 let clamScanner = null;
@@ -226,8 +227,8 @@ const scanUploadedFiles = async (req, res, next) => {
 
     // If any infected files found, reject the entire upload
     if (infectedFiles.length > 0) {
-      // Delete all uploaded files (clean ones too, for security)
-      req.files.forEach(file => {
+      // Delete all uploaded files (clean ones too, for security), staged and stored
+      for (const file of req.files) {
         if (fs.existsSync(file.path)) {
           try {
             fs.unlinkSync(file.path);
@@ -235,7 +236,11 @@ const scanUploadedFiles = async (req, res, next) => {
             console.error('Error deleting file:', err);
           }
         }
-      });
+        // A copy stored before this upload belongs to earlier expenditures too
+        if (file.storageKey && !file.alreadyStored) {
+          await getStorage().remove(file.storageKey).catch(err => console.error('Error deleting stored file:', err));
+        }
+      }
 
       const virusList = infectedFiles
         .map(f => `${f.filename} (${f.viruses.join(', ')})`)
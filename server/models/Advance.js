@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+const approvalStepSchema = new mongoose.Schema({
+    approver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        required: true
+    },
+    // Absent approver the `approver` signed for (see Delegation); `role` is theirs
+    onBehalfOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    decision: {
+        type: String,
+        enum: ['verify', 'approve', 'reject'],
+        required: true
+    },
+    // Workflow stage key this step signed off (see WorkflowDefinition)
+    stage: {
+        type: String,
+        trim: true
+    },
+    remarks: {
+        type: String,
+        required: function () {
+            return this.decision === 'reject';
+        },
+        trim: true
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Outcome of settling the advance against the finalized bills
+const settlementSchema = new mongoose.Schema({
+    expenditure: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expenditure'
+    },
+    spentAmount: {
+        type: Number,
+        default: 0
+    },
+    // Unspent cash the requester has to return
+    refundDue: {
+        type: Number,
+        default: 0
+    },
+    // Bills above the advance, still to be paid to the requester
+    additionalPayable: {
+        type: Number,
+        default: 0
+    },
+    settledAt: {
+        type: Date
+    }
+}, { _id: false });
+
+// Cash advance (imprest) drawn before an event against an allocation. Once approved
+// its amount is reserved on the allocation (Allocation.committedAmount) until it is
+// settled by an expenditure carrying the actual bills, or cancelled.
+const advanceSchema = new mongoose.Schema({
+    advanceNumber: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    financialYear: {
+        type: String,
+        required: [true, 'Financial year is required'],
+        match: [/^\d{4}-\d{4}$/, 'Financial year must be in format YYYY-YYYY'],
+        index: true
+    },
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        required: [true, 'Department is required'],
+        index: true
+    },
+    budgetHead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BudgetHead',
+        required: [true, 'Budget head is required']
+    },
+    allocation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Allocation',
+        required: [true, 'Allocation is required']
+    },
+    eventName: {
+        type: String,
+        required: [true, 'Event name is required'],
+        trim: true,
+        maxlength: [200, 'Event name cannot exceed 200 characters']
+    },
+    eventDate: {
+        type: Date,
+        required: [true, 'Event date is required']
+    },
+    purpose: {
+        type: String,
+        required: [true, 'Purpose is required'],
+        trim: true,
+        maxlength: [500, 'Purpose cannot exceed 500 characters']
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [1, 'Amount must be greater than zero']
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'HOD_VERIFIED', 'APPROVED', 'SETTLEMENT_SUBMITTED', 'SETTLED', 'REJECTED', 'CANCELLED'],
+        default: 'PENDING',
+        index: true
+    },
+    approvalSteps: [approvalStepSchema],
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    rejectionReason: {
+        type: String,
+        trim: true
+    },
+    // Portion of the advance still reserved on the allocation
+    committedAmount: {
+        type: Number,
+        default: 0,
+        min: [0, 'Committed amount cannot be negative']
+    },
+    approvedAt: {
+        type: Date
+    },
+    // Bills must be submitted by this date (see advance_settlement_days)
+    settlementDueDate: {
+        type: Date
+    },
+    isOverdue: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    overdueFlaggedAt: {
+        type: Date
+    },
+    // Settlement claims raised against the advance, including rejected attempts
+    expenditures: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expenditure'
+    }],
+    settlement: settlementSchema,
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    cancelledAt: {
+        type: Date
+    },
+    cancelReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+advanceSchema.index({ financialYear: 1, status: 1 });
+advanceSchema.index({ allocation: 1 });
+advanceSchema.index({ requestedBy: 1, status: 1 });
+advanceSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Advance', advanceSchema);
@@ -26,10 +26,26 @@ const allocationSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Spent amount cannot be negative']
   },
+  // Reserved by open purchase orders but not yet billed (see PurchaseOrder)
+  committedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Committed amount cannot be negative']
+  },
   remarks: {
     type: String,
     trim: true
   },
+  // Optional release schedule; phases hold the percent released each period (see phasingService)
+  phasing: {
+    type: String,
+    enum: ['none', 'quarterly', 'monthly'],
+    default: 'none'
+  },
+  phases: {
+    type: [Number],
+    default: undefined
+  },
   // Governance fields
   sourceProposalId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -50,6 +66,16 @@ const allocationSchema = new mongoose.Schema({
     ref: 'AllocationAmendment',
     default: null
   },
+  // Unspent balances carried into this allocation when previous years were closed
+  carriedForwardFrom: [{
+    _id: false,
+    allocation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Allocation'
+    },
+    financialYear: String,
+    amount: Number
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -66,9 +92,9 @@ const allocationSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Virtual for remaining amount
+// Virtual for remaining amount: what is still available after spending and commitments
 allocationSchema.virtual('remainingAmount').get(function () {
-  return this.allocatedAmount - this.spentAmount;
+  return this.allocatedAmount - this.spentAmount - (this.committedAmount || 0);
 });
 
 // Ensure virtual fields are serialized
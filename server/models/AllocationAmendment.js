@@ -41,11 +41,45 @@ const allocationAmendmentSchema = new mongoose.Schema({
         default: 'pending',
         index: true
     },
+    // Large changes need a second approver (see amendment_dual_approval_percent)
+    requiredApprovals: {
+        type: Number,
+        enum: [1, 2],
+        default: 1
+    },
+    approvals: [{
+        _id: false,
+        approver: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        // Absent principal or vice principal the `approver` signed for (see Delegation); `role` is theirs
+        onBehalfOf: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        role: String,
+        remarks: {
+            type: String,
+            trim: true
+        },
+        approvedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     approvedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         default: null
     },
+    // Absent approver the final decision was taken for, when a substitute decided
+    onBehalfOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
     approvalRemarks: {
         type: String,
         trim: true
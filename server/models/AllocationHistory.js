@@ -13,7 +13,7 @@ const allocationHistorySchema = new mongoose.Schema({
     },
     changeType: {
         type: String,
-        enum: ['created', 'updated', 'deleted', 'rollback'],
+        enum: ['created', 'updated', 'deleted', 'rollback', 'reappropriated', 'carried_forward', 'amended'],
         required: true
     },
     // Snapshot of allocation at this version
@@ -46,6 +46,18 @@ const allocationHistorySchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Approved amendment that changed the allocated amount
+    amendment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AllocationAmendment',
+        default: null
+    },
+    // Re-appropriation that moved funds into or out of this allocation
+    reappropriation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reappropriation',
+        default: null
+    },
     changedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -17,6 +17,12 @@ const auditLogSchema = new mongoose.Schema({
       'budget_head_created',
       'budget_head_updated',
       'budget_head_deleted',
+      'budget_category_created',
+      'budget_category_updated',
+      'budget_category_deleted',
+      'project_created',
+      'project_updated',
+      'project_deleted',
       'allocation_created',
       'allocation_updated',
       'allocation_deleted',
@@ -46,12 +52,49 @@ const auditLogSchema = new mongoose.Schema({
       'financial_year_created',
       'financial_year_locked',
       'financial_year_closed',
+      'carryforward_pool_allocated',
       'allocation_amendment_requested',
       'allocation_amendment_approved',
       'allocation_amendment_rejected',
       'budget_override_requested',
       'budget_override_approved',
-      'budget_override_rejected'
+      'budget_override_rejected',
+      'workflow_updated',
+      'workflow_reset',
+      'delegation_created',
+      'delegation_revoked',
+      'reappropriation_requested',
+      'reappropriation_verified',
+      'reappropriation_approved',
+      'reappropriation_rejected',
+      'purchase_order_created',
+      'purchase_order_received',
+      'purchase_order_closed',
+      'vendor_created',
+      'vendor_updated',
+      'vendor_blocked',
+      'vendor_unblocked',
+      'exchange_rate_created',
+      'exchange_rate_deleted',
+      'advance_requested',
+      'advance_verified',
+      'advance_approved',
+      'advance_rejected',
+      'advance_cancelled',
+      'advance_settled',
+      'advance_overdue',
+      'expenditure_template_created',
+      'expenditure_template_updated',
+      'expenditure_template_deleted',
+      'expenditure_draft_generated',
+      'expenditure_draft_created',
+      'expenditure_draft_deleted',
+      'expenditure_withdrawn',
+      'expenditure_cancelled',
+      'attachment_annotated',
+      'attachment_annotation_deleted',
+      'clarification_requested',
+      'clarification_answered'
     ]
   },
   actor: {
@@ -65,7 +108,7 @@ const auditLogSchema = new mongoose.Schema({
   },
   targetEntity: {
     type: String,
-    enum: ['User', 'Department', 'BudgetHead', 'Allocation', 'Expenditure', 'File', 'Report', 'System', 'BudgetProposal']
+    enum: ['User', 'Department', 'BudgetHead', 'BudgetCategory', 'Allocation', 'Expenditure', 'File', 'Report', 'System', 'BudgetProposal', 'Delegation', 'Reappropriation', 'FinancialYear', 'PurchaseOrder', 'Vendor', 'ExchangeRate', 'Advance', 'ExpenditureTemplate', 'BudgetOverride', 'AllocationAmendment', 'Project']
   },
   targetId: {
     type: mongoose.Schema.Types.ObjectId
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const budgetCategorySchema = new mongoose.Schema({
+  // Stored on budget heads and workflow tiers, so it cannot change once created
+  code: {
+    type: String,
+    required: [true, 'Category code is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9_]+$/, 'Category code may only contain letters, numbers and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Category label is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Budget type new heads in this category start with
+  defaultBudgetType: {
+    type: String,
+    enum: ['recurring', 'non-recurring'],
+    default: 'recurring'
+  },
+  color: {
+    type: String,
+    trim: true,
+    default: '#6c757d'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('BudgetCategory', budgetCategorySchema);
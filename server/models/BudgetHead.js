@@ -18,28 +18,12 @@ const budgetHeadSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Code of a BudgetCategory
   category: {
     type: String,
-    enum: [
-      'laboratory_equipment',
-      'software',
-      'laboratory_furniture',
-      'maintenance_spares',
-      'research_development',
-      'placement_training',
-      'faculty_development',
-      'seminar_conference',
-      'valuation_curricular',
-      'alumni_interaction',
-      'staff_welfare',
-      'printing_stationery',
-      'postage_expenses',
-      'refreshment_expenses',
-      'functions',
-      'travelling_expenses',
-      'other'
-    ],
     required: [true, 'Budget head category is required'],
+    trim: true,
+    lowercase: true,
     default: 'other'
   },
   budgetType: {
@@ -53,6 +37,17 @@ const budgetHeadSchema = new mongoose.Schema({
     ref: 'Department',
     default: null // null means it's available to all departments
   },
+  // Sub-heads point at the head they sit under; null for top-level heads
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BudgetHead',
+    default: null
+  },
+  // Every head above this one, top-level first
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BudgetHead'
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -69,5 +64,7 @@ const budgetHeadSchema = new mongoose.Schema({
 // Index for better query performance
 
 budgetHeadSchema.index({ category: 1 });
+budgetHeadSchema.index({ parent: 1 });
+budgetHeadSchema.index({ ancestors: 1 });
 
 module.exports = mongoose.model('BudgetHead', budgetHeadSchema);
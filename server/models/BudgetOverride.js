@@ -4,14 +4,12 @@ const budgetOverrideSchema = new mongoose.Schema({
     expenditure: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Expenditure',
-        required: [true, 'Expenditure reference is required'],
-        index: true
+        required: [true, 'Expenditure reference is required']
     },
     allocation: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Allocation',
-        required: [true, 'Allocation reference is required'],
-        index: true
+        required: [true, 'Allocation reference is required']
     },
     allocationAmount: {
         type: Number,
@@ -33,6 +31,12 @@ const budgetOverrideSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // Budget released to date when the allocation is phased. An override with no
+    // overrun lets the expenditure run ahead of the release schedule only.
+    releasedAmount: {
+        type: Number,
+        default: null
+    },
     justification: {
         type: String,
         required: [true, 'Justification is mandatory for budget override'],
@@ -46,14 +50,21 @@ const budgetOverrideSchema = new mongoose.Schema({
     status: {
         type: String,
         enum: ['pending', 'approved', 'rejected'],
-        default: 'pending',
-        index: true
+        default: 'pending'
     },
     approvedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         default: null
     },
+    // Role the decision was taken under, and the absent approver it was taken
+    // for when a substitute decided (see Delegation)
+    approverRole: String,
+    onBehalfOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
     approvalRemarks: {
         type: String,
         trim: true
@@ -1,5 +1,30 @@
 const mongoose = require('mongoose');
 
+// An approver's question to the submitter (see models/Comment). While REQUESTED the
+// proposal keeps its status but its SLA clock is paused.
+const clarificationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    // ANSWERED: the submitter replied; CLOSED: a decision was taken before they did
+    enum: ['REQUESTED', 'ANSWERED', 'CLOSED'],
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedAt: {
+    type: Date
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, { _id: false });
+
 const budgetProposalSchema = new mongoose.Schema({
   financialYear: {
     type: String,
@@ -52,11 +77,20 @@ const budgetProposalSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Absent approver the `approver` signed for (see Delegation)
+    onBehalfOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     decision: {
       type: String,
       enum: ['approve', 'reject', 'verify'],
       required: true
     },
+    stage: {
+      type: String,
+      trim: true
+    },
     remarks: {
       type: String,
       trim: true
@@ -100,7 +134,16 @@ const budgetProposalSchema = new mongoose.Schema({
   readBy: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  clarification: {
+    type: clarificationSchema,
+    default: null
+  },
+  // Time spent waiting on clarifications, left out of the approval SLA
+  slaPausedMs: {
+    type: Number,
+    default: 0
+  }
 }, {
   timestamps: true
 });
@@ -123,6 +166,13 @@ budgetProposalSchema.pre('save', function (next) {
     this.approvedDate = new Date();
   }
 
+  // A decision taken while a clarification is outstanding closes it and restarts the clock
+  if (this.isModified('status') && this.clarification?.status === 'REQUESTED') {
+    this.slaPausedMs += Date.now() - this.clarification.requestedAt.getTime();
+    this.clarification.status = 'CLOSED';
+    this.clarification.resolvedAt = new Date();
+  }
+
   next();
 });
 
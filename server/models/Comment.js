@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One message in the discussion thread of an expenditure or budget proposal.
+// Replies point at the comment they answer through `parent`.
+const commentSchema = new mongoose.Schema({
+  targetEntity: {
+    type: String,
+    enum: ['Expenditure', 'BudgetProposal'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  authorRole: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Users @mentioned in the body
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // clarification_request pauses the SLA clock until a clarification_response answers it
+  kind: {
+    type: String,
+    enum: ['comment', 'clarification_request', 'clarification_response'],
+    default: 'comment'
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ targetEntity: 1, targetId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
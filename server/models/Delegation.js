@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Roles whose approval authority can be handed to a substitute
+const DELEGABLE_ROLES = ['hod', 'office', 'vice_principal', 'principal'];
+
+const delegationSchema = new mongoose.Schema({
+  delegator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Delegator is required']
+  },
+  delegate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Delegate is required']
+  },
+  // Role the delegate acts in, captured when the delegation is created
+  delegatorRole: {
+    type: String,
+    enum: DELEGABLE_ROLES,
+    required: [true, 'Only approver roles can be delegated']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+delegationSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('End date must be on or after the start date'));
+  }
+  if (this.delegator && this.delegate && this.delegator.toString() === this.delegate.toString()) {
+    return next(new Error('A user cannot delegate to themselves'));
+  }
+  next();
+});
+
+// Delegations in force at the given moment
+delegationSchema.statics.activeFilter = function (date = new Date()) {
+  return {
+    isActive: true,
+    startDate: { $lte: date },
+    endDate: { $gte: date }
+  };
+};
+
+delegationSchema.index({ delegate: 1, isActive: 1, startDate: 1, endDate: 1 });
+delegationSchema.index({ delegator: 1, isActive: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('Delegation', delegationSchema);
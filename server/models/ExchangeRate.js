@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Rupees per unit of a foreign currency, effective from a date until the next entry.
+// Maintained by admins since the server cannot fetch rates itself.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency code is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    validate: {
+      validator: value => value !== 'INR',
+      message: 'INR is the base currency and has no exchange rate'
+    }
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Exchange rate is required'],
+    min: [0.0001, 'Exchange rate must be greater than 0']
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  source: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Source cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per currency per day
+exchangeRateSchema.index({ currency: 1, effectiveFrom: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
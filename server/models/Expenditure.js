@@ -1,5 +1,84 @@
 const mongoose = require('mongoose');
 
+// A draft is saved as it is being prepared; these fields are only enforced on submission
+function requiredUnlessDraft() {
+  return this.status !== 'DRAFT';
+}
+
+function itemRequiredUnlessDraft() {
+  return this.ownerDocument().status !== 'DRAFT';
+}
+
+// GST/TDS split of a bill; taxableValue + CGST + SGST + IGST = item amount (see services/taxService.js)
+const taxBreakdownSchema = new mongoose.Schema({
+  taxableValue: {
+    type: Number,
+    required: true,
+    min: [0, 'Taxable value cannot be negative']
+  },
+  cgstRate: { type: Number, default: 0, min: 0, max: 100 },
+  cgstAmount: { type: Number, default: 0, min: 0 },
+  sgstRate: { type: Number, default: 0, min: 0, max: 100 },
+  sgstAmount: { type: Number, default: 0, min: 0 },
+  igstRate: { type: Number, default: 0, min: 0, max: 100 },
+  igstAmount: { type: Number, default: 0, min: 0 },
+  // Income-tax section the TDS was deducted under, e.g. 194C
+  tdsSection: {
+    type: String,
+    trim: true
+  },
+  tdsAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'TDS cannot be negative']
+  }
+}, { _id: false });
+
+// One field read off a bill by OCR, with its 0-1 confidence
+const extractedFieldSchema = (type) => new mongoose.Schema({
+  value: type,
+  confidence: Number
+}, { _id: false });
+
+// What OCR read off an uploaded bill (see services/ocrService.js)
+const billExtractionSchema = new mongoose.Schema({
+  engine: String,
+  confidence: Number,
+  billNumber: { type: extractedFieldSchema(String), default: undefined },
+  billDate: { type: extractedFieldSchema(String), default: undefined },
+  vendorName: { type: extractedFieldSchema(String), default: undefined },
+  amount: { type: extractedFieldSchema(Number), default: undefined }
+}, { _id: false });
+
+// Approver's note pinned to a region of a bill. Pages count from 1; x, y, width and
+// height are fractions of the page so notes stay in place at any zoom.
+const annotationSchema = new mongoose.Schema({
+  page: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  x: { type: Number, required: true, min: 0, max: 1 },
+  y: { type: Number, required: true, min: 0, max: 1 },
+  width: { type: Number, default: 0, min: 0, max: 1 },
+  height: { type: Number, default: 0, min: 0, max: 1 },
+  comment: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const expenseItemSchema = new mongoose.Schema({
   category: {
     type: String,
@@ -8,29 +87,130 @@ const expenseItemSchema = new mongoose.Schema({
   },
   billNumber: {
     type: String,
-    required: true,
+    required: itemRequiredUnlessDraft,
     trim: true
   },
   billDate: {
     type: Date,
-    required: true
+    required: itemRequiredUnlessDraft
   },
   vendorName: {
     type: String,
-    required: true,
+    required: itemRequiredUnlessDraft,
     trim: true
   },
+  // Vendor master entry; vendorName keeps the name as billed
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor'
+  },
+  // Normalized bill number used for duplicate-bill detection
+  billNumberKey: {
+    type: String
+  },
+  // Earlier non-rejected claims of the same vendor bill, when the duplicate policy only flags
+  duplicateOf: [{
+    _id: false,
+    expenditure: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Expenditure'
+    },
+    transactionId: String
+  }],
+  // Set on submission when the amount entered differs from the one read off the bill
+  amountMismatch: {
+    type: new mongoose.Schema({
+      extractedAmount: Number,
+      confidence: Number
+    }, { _id: false }),
+    default: undefined
+  },
+  // Always INR; allocations are debited with this
   amount: {
     type: Number,
     required: true,
     min: [0, 'Amount cannot be negative']
   },
+  // Currency the bill was raised in; for foreign bills the billed value and the
+  // rate (rupees per unit, from ExchangeRate on the bill date) used to derive amount
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+  },
+  foreignAmount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative']
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  tax: {
+    type: taxBreakdownSchema,
+    default: undefined
+  },
+  // Line-level outcome of the approval chain. Only approved (or reduced) lines count
+  // towards the expenditure total and the budget deducted at finalization.
+  lineStatus: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REDUCED', 'REJECTED'],
+    default: 'PENDING'
+  },
+  // INR amount passed for a REDUCED line
+  approvedAmount: {
+    type: Number,
+    min: [0, 'Approved amount cannot be negative']
+  },
+  lineReviews: [{
+    _id: false,
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String,
+    stage: String,
+    decision: {
+      type: String,
+      enum: ['approve', 'reduce', 'reject']
+    },
+    approvedAmount: Number,
+    remarks: {
+      type: String,
+      trim: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   attachments: [{
     filename: String,
     originalName: String,
     mimetype: String,
     size: Number,
+    // Key in the storage backend (services/storage); sha256/<hash><ext> for bills stored by content
+    storageKey: String,
+    // Content hash; identical files are stored once
+    sha256: String,
+    // Other expenditures carrying the same file when this one was submitted
+    duplicateOf: [{
+      _id: false,
+      expenditure: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expenditure'
+      },
+      transactionId: String
+    }],
     url: String,
+    extraction: {
+      type: billExtractionSchema,
+      default: undefined
+    },
+    // Shown to the submitter once the expenditure is rejected, for the resubmission
+    annotations: [annotationSchema],
     uploadedAt: {
       type: Date,
       default: Date.now
@@ -42,6 +222,40 @@ const expenseItemSchema = new mongoose.Schema({
   }
 });
 
+// Share of the expenditure charged to one allocation
+const splitSchema = new mongoose.Schema({
+  allocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Allocation',
+    required: true
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  budgetHead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BudgetHead'
+  },
+  // How the share was entered: a percentage of the bill or a fixed amount
+  mode: {
+    type: String,
+    enum: ['percentage', 'amount'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // INR charged; set at submission and again, pro rata to any line reductions, at finalization
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
 const approvalStepSchema = new mongoose.Schema({
   approver: {
     type: mongoose.Schema.Types.ObjectId,
@@ -52,11 +266,26 @@ const approvalStepSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Absent approver the `approver` signed for (see Delegation); `role` is theirs
+  onBehalfOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   decision: {
     type: String,
     enum: ['approve', 'reject', 'verify', 'finalize'],
     required: true
   },
+  // Workflow stage key this step signed off (see WorkflowDefinition)
+  stage: {
+    type: String,
+    trim: true
+  },
+  // Routing tier (by amount and budget head category) that applied to this step
+  tier: {
+    type: String,
+    trim: true
+  },
   remarks: {
     type: String,
     required: function () {
@@ -70,6 +299,31 @@ const approvalStepSchema = new mongoose.Schema({
   }
 });
 
+// An approver's question to the submitter (see models/Comment). While REQUESTED the
+// expenditure keeps its status but its SLA clock is paused.
+const clarificationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    // ANSWERED: the submitter replied; CLOSED: a decision was taken before they did
+    enum: ['REQUESTED', 'ANSWERED', 'CLOSED'],
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedAt: {
+    type: Date
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  resolvedAt: {
+    type: Date
+  }
+}, { _id: false });
+
 const expenditureSchema = new mongoose.Schema({
   department: {
     type: mongoose.Schema.Types.ObjectId,
@@ -79,35 +333,43 @@ const expenditureSchema = new mongoose.Schema({
   budgetHead: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'BudgetHead',
-    required: [true, 'Budget head is required']
+    required: [requiredUnlessDraft, 'Budget head is required']
   },
   eventName: {
     type: String,
-    required: [true, 'Event name is required'],
+    required: [requiredUnlessDraft, 'Event name is required'],
     trim: true
   },
   eventType: {
     type: String,
-    required: [true, 'Event type is required'],
+    required: [requiredUnlessDraft, 'Event type is required'],
     enum: ['Seminar', 'Workshop', 'Association', 'Research', 'Other']
   },
   eventDate: {
     type: Date,
-    required: [true, 'Event date is required']
+    required: [requiredUnlessDraft, 'Event date is required']
   },
   description: {
     type: String,
     trim: true
   },
   expenseItems: [expenseItemSchema],
+  // Sum of the lines still standing (see expenseItemSchema.lineStatus)
   totalAmount: {
     type: Number,
     required: true,
     default: 0
   },
+  // Sum of all lines as submitted; routing tiers are chosen on this
+  claimedAmount: {
+    type: Number,
+    default: 0
+  },
   status: {
     type: String,
-    enum: ['PENDING', 'HOD_VERIFIED', 'MANAGEMENT_APPROVED', 'FINALIZED', 'REJECTED'],
+    // DRAFT: being prepared (autosaved) or raised from a recurring template; only its owner sees it.
+    // WITHDRAWN: pulled back by the department before review; CANCELLED: reversed after finalization.
+    enum: ['DRAFT', 'PENDING', 'HOD_VERIFIED', 'MANAGEMENT_APPROVED', 'FINALIZED', 'REJECTED', 'WITHDRAWN', 'CANCELLED'],
     default: 'PENDING'
   },
   approvalSteps: [approvalStepSchema],
@@ -128,10 +390,61 @@ const expenditureSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Expenditure'
   },
+  // Set when the expenditure is a bill converted from a purchase order
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null
+  },
+  // Set when the expenditure carries the bills settling a cash advance
+  advance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Advance',
+    default: null
+  },
+  // Set when the expenditure is charged to a project or cost centre
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // Allocations the amount is charged to. Empty means the department's own
+  // allocation for budgetHead takes the whole amount.
+  splits: {
+    type: [splitSchema],
+    default: []
+  },
+  // Set on drafts raised from a recurring expenditure template
+  recurringTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpenditureTemplate',
+    default: null
+  },
   transactionId: {
     type: String,
     unique: true,
     sparse: true
+  },
+  // Who withdrew (WITHDRAWN) or reversed (CANCELLED) the expenditure, and why
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String,
+    trim: true
+  },
+  clarification: {
+    type: clarificationSchema,
+    default: null
+  },
+  // Time spent waiting on clarifications, left out of the approval SLA
+  slaPausedMs: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -144,6 +457,14 @@ expenditureSchema.index({ status: 1 });
 expenditureSchema.index({ submittedBy: 1 });
 expenditureSchema.index({ financialYear: 1 });
 expenditureSchema.index({ eventDate: 1 });
+expenditureSchema.index({ purchaseOrder: 1 });
+expenditureSchema.index({ advance: 1 });
+expenditureSchema.index({ recurringTemplate: 1 });
+expenditureSchema.index({ project: 1 });
+expenditureSchema.index({ 'splits.allocation': 1 });
+expenditureSchema.index({ 'expenseItems.vendor': 1, 'expenseItems.billNumberKey': 1 });
+expenditureSchema.index({ 'expenseItems.attachments.sha256': 1 });
+expenditureSchema.index({ 'clarification.status': 1 });
 
 // Compound index for department submissions
 expenditureSchema.index({ department: 1, status: 1 });
@@ -165,10 +486,33 @@ expenditureSchema.pre('save', function (next) {
 
   // Calculate total amount if expenseItems changed
   if (this.isModified('expenseItems')) {
-    this.totalAmount = this.expenseItems.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+    this.claimedAmount = this.expenseItems.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+    this.totalAmount = this.expenseItems.reduce((sum, item) => sum + this.constructor.getLineAmount(item), 0);
+    this.expenseItems.forEach(item => {
+      item.billNumberKey = this.constructor.normalizeBillNumber(item.billNumber);
+    });
+  }
+
+  // A decision taken while a clarification is outstanding closes it and restarts the clock
+  if (this.isModified('status') && this.clarification?.status === 'REQUESTED') {
+    this.slaPausedMs += Date.now() - this.clarification.requestedAt.getTime();
+    this.clarification.status = 'CLOSED';
+    this.clarification.resolvedAt = new Date();
   }
 
   next();
 });
 
+// Amount a line contributes to the expenditure after line-level review
+expenditureSchema.statics.getLineAmount = function (item) {
+  if (item.lineStatus === 'REJECTED') return 0;
+  if (item.lineStatus === 'REDUCED') return Number(item.approvedAmount) || 0;
+  return Number(item.amount) || 0;
+};
+
+// "inv 001 " and "INV001" are the same bill
+expenditureSchema.statics.normalizeBillNumber = function (billNumber) {
+  return String(billNumber || '').toUpperCase().replace(/\s+/g, '');
+};
+
 module.exports = mongoose.model('Expenditure', expenditureSchema);
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Months between runs for each schedule
+const FREQUENCY_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  half_yearly: 6,
+  yearly: 12
+};
+
+// Recurring expenditure (maintenance contract, internet, refreshments...). On each
+// scheduled date the reminder cron raises a DRAFT expenditure from it for the owner
+// to attach the bill to and submit (see services/recurringExpenditureService.js).
+const expenditureTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [200, 'Template name cannot exceed 200 characters']
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: [true, 'Department is required']
+  },
+  budgetHead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BudgetHead',
+    required: [true, 'Budget head is required']
+  },
+  eventType: {
+    type: String,
+    enum: ['Seminar', 'Workshop', 'Association', 'Research', 'Other'],
+    default: 'Other'
+  },
+  category: {
+    type: String,
+    default: 'MISCELLANEOUS',
+    trim: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required']
+  },
+  // Name as held in the vendor master when the template was saved
+  vendorName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Pre-filled on each draft; the actual bill amount is entered before submitting
+  expectedAmount: {
+    type: Number,
+    required: [true, 'Expected amount is required'],
+    min: [1, 'Expected amount must be greater than zero']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  frequency: {
+    type: String,
+    enum: Object.keys(FREQUENCY_MONTHS),
+    default: 'monthly'
+  },
+  // Capped at 28 so every month has the day
+  dayOfMonth: {
+    type: Number,
+    default: 1,
+    min: [1, 'Day of month must be between 1 and 28'],
+    max: [28, 'Day of month must be between 1 and 28']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // No drafts are raised after this date
+  endDate: {
+    type: Date
+  },
+  nextRunDate: {
+    type: Date,
+    required: true
+  },
+  lastGeneratedAt: {
+    type: Date
+  },
+  lastDraft: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expenditure'
+  },
+  generatedCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Owner; generated drafts are raised in their name
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+expenditureTemplateSchema.index({ isActive: 1, nextRunDate: 1 });
+expenditureTemplateSchema.index({ department: 1 });
+expenditureTemplateSchema.index({ createdBy: 1 });
+
+expenditureTemplateSchema.statics.FREQUENCY_MONTHS = FREQUENCY_MONTHS;
+
+module.exports = mongoose.model('ExpenditureTemplate', expenditureTemplateSchema);
@@ -1,5 +1,38 @@
 const mongoose = require('mongoose');
 
+// What happened to one allocation's unspent balance when the year was closed
+const carryforwardDecisionSchema = new mongoose.Schema({
+    allocation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Allocation',
+        required: true
+    },
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department'
+    },
+    budgetHead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BudgetHead'
+    },
+    unspentAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // carry: same department/head next year; pool: next year's central pool; lapse: returned
+    decision: {
+        type: String,
+        enum: ['carry', 'pool', 'lapse'],
+        required: true
+    },
+    targetAllocation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Allocation',
+        default: null
+    }
+}, { _id: false });
+
 const financialYearSchema = new mongoose.Schema({
     year: {
         type: String,
@@ -79,6 +112,18 @@ const financialYearSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    carryforwardDecisions: [carryforwardDecisionSchema],
+    carryforwardSummary: {
+        carried: { type: Number, default: 0 },
+        pooled: { type: Number, default: 0 },
+        lapsed: { type: Number, default: 0 }
+    },
+    // Unspent balances pooled into this year from the previous year's closure
+    pooledCarryforward: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -153,4 +198,16 @@ financialYearSchema.statics.getCurrentYear = function () {
     }
 };
 
+// Static method to get the year string that follows the given one (2025-2026 -> 2026-2027)
+financialYearSchema.statics.getNextYear = function (year) {
+    const [start, end] = year.split('-').map(Number);
+    return `${start + 1}-${end + 1}`;
+};
+
+// Static method to get the year string that precedes the given one (2025-2026 -> 2024-2025)
+financialYearSchema.statics.getPreviousYear = function (year) {
+    const [start, end] = year.split('-').map(Number);
+    return `${start - 1}-${end - 1}`;
+};
+
 module.exports = mongoose.model('FinancialYear', financialYearSchema);
@@ -26,11 +26,28 @@ const incomeSchema = new mongoose.Schema({
         required: [true, 'Income category is required'],
         default: 'recurring'
     },
+    // Always INR; see currency/foreignAmount for income received in another currency
     amount: {
         type: Number,
         required: [true, 'Amount is required'],
         min: [0, 'Amount cannot be negative']
     },
+    currency: {
+        type: String,
+        default: 'INR',
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code']
+    },
+    foreignAmount: {
+        type: Number,
+        min: [0, 'Amount cannot be negative']
+    },
+    // Rupees per unit of currency, from ExchangeRate on the received (or expected) date
+    exchangeRate: {
+        type: Number,
+        default: 1
+    },
     receivedDate: {
         type: Date,
         default: null
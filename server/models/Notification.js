@@ -23,17 +23,37 @@ const notificationSchema = new mongoose.Schema({
       'expenditure_verified',
       'expenditure_approved',
       'expenditure_rejected',
+      'expenditure_cancelled',
+      'budget_override_requested',
+      'budget_override_approved',
+      'budget_override_rejected',
+      'allocation_amendment_requested',
+      'allocation_amendment_approved',
+      'allocation_amendment_rejected',
       'budget_allocation_created',
       'budget_allocation_updated',
       'budget_exhaustion_warning',
       'approval_reminder',
+      'delegation_assigned',
+      'reappropriation_submitted',
+      'reappropriation_approved',
+      'reappropriation_rejected',
+      'advance_submitted',
+      'advance_approved',
+      'advance_rejected',
+      'advance_overdue',
+      'recurring_draft_ready',
+      'comment_reply',
+      'comment_mention',
+      'clarification_requested',
+      'clarification_answered',
       'system_announcement'
     ],
     required: true
   },
   relatedEntity: {
     type: String,
-    enum: ['Expenditure', 'Allocation', 'User', 'System']
+    enum: ['Expenditure', 'BudgetProposal', 'Allocation', 'User', 'System', 'Reappropriation', 'Advance', 'BudgetOverride', 'AllocationAmendment']
   },
   relatedEntityId: {
     type: mongoose.Schema.Types.ObjectId
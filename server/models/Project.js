@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// A funded research project or inter-departmental cost centre. It has a budget
+// of its own and draws the money from its member departments' allocations:
+// expenditures charged to it split their amount across those allocations
+// (see services/expenditureSplitService.js).
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [200, 'Project name cannot exceed 200 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Project code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ['project', 'cost_centre'],
+    default: 'project'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  principalInvestigator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Principal investigator is required']
+  },
+  memberDepartments: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    }],
+    validate: {
+      validator: (departments) => departments.length > 0,
+      message: 'A project needs at least one member department'
+    }
+  },
+  financialYear: {
+    type: String,
+    required: [true, 'Financial year is required']
+  },
+  budget: {
+    type: Number,
+    required: [true, 'Project budget is required'],
+    min: [0, 'Project budget cannot be negative']
+  },
+  // Finalized expenditures charged to the project
+  spentAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  // Only active projects take new expenditures
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'closed'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ memberDepartments: 1 });
+projectSchema.index({ financialYear: 1, status: 1 });
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+const orderItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Item description is required'],
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit price cannot be negative']
+  },
+  amount: {
+    type: Number,
+    default: 0
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Received quantity cannot be negative']
+  }
+});
+
+// Goods or services delivered against the order; a PO may be received in several lots
+const receiptSchema = new mongoose.Schema({
+  items: [{
+    _id: false,
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Received quantity must be at least 1']
+    }
+  }],
+  remarks: {
+    type: String,
+    trim: true
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Money promised to a vendor against an allocation. The outstanding committedAmount is
+// reserved on the allocation (Allocation.committedAmount) until bills for it are finalized
+// as expenditures or the order is closed.
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  financialYear: {
+    type: String,
+    required: [true, 'Financial year is required'],
+    match: [/^\d{4}-\d{4}$/, 'Financial year must be in format YYYY-YYYY']
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: [true, 'Department is required']
+  },
+  budgetHead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BudgetHead',
+    required: [true, 'Budget head is required']
+  },
+  allocation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Allocation',
+    required: [true, 'Allocation is required']
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Vendor',
+    required: [true, 'Vendor is required']
+  },
+  vendorName: {
+    type: String,
+    required: [true, 'Vendor name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  // Portion of totalAmount still reserved on the allocation
+  committedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Committed amount cannot be negative']
+  },
+  // Finalized bills raised against this order
+  billedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Billed amount cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CLOSED', 'CANCELLED'],
+    default: 'OPEN'
+  },
+  receipts: [receiptSchema],
+  expenditures: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expenditure'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: {
+    type: Date
+  },
+  closeReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+purchaseOrderSchema.index({ financialYear: 1, status: 1 });
+purchaseOrderSchema.index({ department: 1, financialYear: 1 });
+purchaseOrderSchema.index({ allocation: 1 });
+purchaseOrderSchema.index({ createdAt: -1 });
+
+// Line amounts and the order total always follow quantity x unit price
+purchaseOrderSchema.pre('save', function (next) {
+  if (this.isModified('items')) {
+    this.items.forEach(item => {
+      item.amount = item.quantity * item.unitPrice;
+    });
+    this.totalAmount = this.items.reduce((sum, item) => sum + item.amount, 0);
+  }
+  next();
+});
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
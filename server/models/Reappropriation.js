@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const approvalStepSchema = new mongoose.Schema({
+    approver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        required: true
+    },
+    // Absent approver the `approver` signed for (see Delegation); `role` is theirs
+    onBehalfOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    decision: {
+        type: String,
+        enum: ['verify', 'approve', 'reject'],
+        required: true
+    },
+    // Workflow stage key this step signed off (see WorkflowDefinition)
+    stage: {
+        type: String,
+        trim: true
+    },
+    remarks: {
+        type: String,
+        required: function () {
+            return this.decision === 'reject';
+        },
+        trim: true
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Allocated amounts on both sides before and after the transfer
+const balanceChangeSchema = new mongoose.Schema({
+    old: Number,
+    new: Number,
+    version: Number
+}, { _id: false });
+
+// Transfer of unspent funds from one budget head's allocation to another's
+// within the same department and financial year
+const reappropriationSchema = new mongoose.Schema({
+    financialYear: {
+        type: String,
+        required: [true, 'Financial year is required'],
+        match: [/^\d{4}-\d{4}$/, 'Financial year must be in format YYYY-YYYY'],
+        index: true
+    },
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        required: [true, 'Department is required'],
+        index: true
+    },
+    fromAllocation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Allocation',
+        required: [true, 'Source allocation is required']
+    },
+    toAllocation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Allocation',
+        required: [true, 'Target allocation is required']
+    },
+    fromBudgetHead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BudgetHead',
+        required: true
+    },
+    toBudgetHead: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BudgetHead',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        min: [1, 'Amount must be greater than zero']
+    },
+    reason: {
+        type: String,
+        required: [true, 'Justification is required'],
+        trim: true,
+        maxlength: [500, 'Justification cannot exceed 500 characters']
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'HOD_VERIFIED', 'APPROVED', 'REJECTED'],
+        default: 'PENDING',
+        index: true
+    },
+    approvalSteps: [approvalStepSchema],
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    rejectionReason: {
+        type: String,
+        trim: true
+    },
+    executedAt: {
+        type: Date,
+        default: null
+    },
+    execution: {
+        from: balanceChangeSchema,
+        to: balanceChangeSchema
+    }
+}, {
+    timestamps: true
+});
+
+reappropriationSchema.pre('validate', function (next) {
+    if (this.fromAllocation && this.toAllocation && this.fromAllocation.toString() === this.toAllocation.toString()) {
+        return next(new Error('Source and target allocations must be different'));
+    }
+    next();
+});
+
+// Indexes
+reappropriationSchema.index({ financialYear: 1, status: 1 });
+reappropriationSchema.index({ fromAllocation: 1 });
+reappropriationSchema.index({ toAllocation: 1 });
+reappropriationSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Reappropriation', reappropriationSchema);
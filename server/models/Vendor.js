@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { encrypt, decrypt } = require('../utils/encryption');
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+
+const vendorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Vendor name is required'],
+    trim: true,
+    maxlength: [200, 'Vendor name cannot exceed 200 characters']
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [GSTIN_PATTERN, 'GSTIN must be a valid 15-character GST number']
+  },
+  pan: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [PAN_PATTERN, 'PAN must be in format AAAAA9999A']
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  contactPhone: {
+    type: String,
+    trim: true
+  },
+  // { accountName, accountNumber, ifsc, bankName } - stored encrypted
+  bankDetails: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  isBlocked: {
+    type: Boolean,
+    default: false
+  },
+  blockedReason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+vendorSchema.index({ name: 1 });
+vendorSchema.index({ gstin: 1 }, { unique: true, sparse: true });
+vendorSchema.index({ isBlocked: 1 });
+
+// A GSTIN embeds the holder's PAN (characters 3-12)
+vendorSchema.pre('validate', function (next) {
+  if (this.gstin && this.pan && this.gstin.substring(2, 12) !== this.pan) {
+    return next(new Error('PAN does not match the PAN embedded in the GSTIN'));
+  }
+  next();
+});
+
+// Pre-save hook to encrypt bank details
+vendorSchema.pre('save', function (next) {
+  if (this.isModified('bankDetails') && this.bankDetails && typeof this.bankDetails === 'object') {
+    this.bankDetails = encrypt(this.bankDetails);
+  }
+  next();
+});
+
+// Post-init hook to decrypt bank details when fetching from DB
+vendorSchema.post('init', function (doc) {
+  if (typeof doc.bankDetails === 'string') {
+    doc.bankDetails = decrypt(doc.bankDetails);
+  }
+});
+
+// Keep the in-memory document readable after the pre-save hook encrypted it
+vendorSchema.post('save', function (doc) {
+  if (typeof doc.bankDetails === 'string') {
+    doc.bankDetails = decrypt(doc.bankDetails);
+  }
+});
+
+// Bank details with all but the last four digits of the account number hidden
+vendorSchema.methods.getMaskedBankDetails = function () {
+  const details = this.bankDetails;
+  if (!details || typeof details !== 'object') {
+    return null;
+  }
+  const accountNumber = String(details.accountNumber || '');
+  return {
+    ...details,
+    accountNumber: accountNumber ? `${'X'.repeat(Math.max(accountNumber.length - 4, 0))}${accountNumber.slice(-4)}` : ''
+  };
+};
+
+module.exports = mongoose.model('Vendor', vendorSchema);
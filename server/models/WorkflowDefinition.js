@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const { WORKFLOW_STATUSES } = require('../config/workflowRules');
+
+const APPROVER_ROLE_ENUM = ['admin', 'office', 'hod', 'vice_principal', 'principal'];
+
+const stageSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Stage key is required'],
+        trim: true,
+        match: [/^[a-z][a-z0-9_]*$/, 'Stage key must be lowercase letters, digits or underscores']
+    },
+    label: {
+        type: String,
+        required: [true, 'Stage label is required'],
+        trim: true
+    },
+    // Document status once this stage's sign-off is complete
+    status: {
+        type: String,
+        required: [true, 'Stage status is required']
+    },
+    action: {
+        type: String,
+        enum: ['verify', 'approve', 'finalize'],
+        required: [true, 'Stage action is required']
+    },
+    roles: {
+        type: [{ type: String, enum: APPROVER_ROLE_ENUM }],
+        validate: [roles => roles.length > 0, 'At least one role is required per stage']
+    },
+    signOff: {
+        type: String,
+        enum: ['any', 'parallel', 'sequential'],
+        default: 'any'
+    },
+    // Amount band this stage applies to; outside it the stage is skipped
+    minAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    maxAmount: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    // Department-bound roles (HOD) may only act on their own department
+    departmentScoped: {
+        type: Boolean,
+        default: false
+    },
+    // Per-role signing limits within a stage (e.g. VP up to ₹50,000)
+    roleLimits: [{
+        _id: false,
+        role: {
+            type: String,
+            enum: APPROVER_ROLE_ENUM,
+            required: true
+        },
+        maxAmount: {
+            type: Number,
+            required: true,
+            min: 0
+        }
+    }]
+}, { _id: false });
+
+// Amount tier used to route expenditures (see config/workflowRules.js)
+const routingTierSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Tier key is required'],
+        trim: true,
+        match: [/^[a-z][a-z0-9_]*$/, 'Tier key must be lowercase letters, digits or underscores']
+    },
+    label: {
+        type: String,
+        required: [true, 'Tier label is required'],
+        trim: true
+    },
+    // Budget head category codes this tier applies to; empty means every category
+    categories: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    minAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    maxAmount: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    // Stage keys bypassed for expenditures in this tier
+    skipStages: [{
+        type: String,
+        trim: true
+    }],
+    signOffOverrides: [{
+        _id: false,
+        stage: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        signOff: {
+            type: String,
+            enum: ['any', 'parallel', 'sequential'],
+            required: true
+        }
+    }]
+}, { _id: false });
+
+const workflowDefinitionSchema = new mongoose.Schema({
+    entityType: {
+        type: String,
+        enum: Object.keys(WORKFLOW_STATUSES),
+        required: [true, 'Entity type is required'],
+        unique: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Workflow name is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    initialStatus: {
+        type: String,
+        default: 'PENDING'
+    },
+    stages: {
+        type: [stageSchema],
+        validate: [stages => stages.length > 0, 'A workflow needs at least one stage']
+    },
+    routingTiers: {
+        type: [routingTierSchema],
+        default: []
+    },
+    version: {
+        type: Number,
+        default: 1
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastModifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Structural checks: stages must move the document forward through the
+// entity's status order, and the chain must end on the terminal status whose
+// side effects (allocation creation / budget deduction / fund transfer) live
+// in the handlers.
+workflowDefinitionSchema.pre('validate', function (next) {
+    const rules = WORKFLOW_STATUSES[this.entityType];
+    if (!rules || !this.stages || this.stages.length === 0) {
+        return next();
+    }
+
+    const keys = new Set();
+    let previousRank = -1;
+    for (const stage of this.stages) {
+        if (keys.has(stage.key)) {
+            return next(new Error(`Duplicate stage key: ${stage.key}`));
+        }
+        keys.add(stage.key);
+
+        const rank = rules.stageStatuses.indexOf(stage.status);
+        if (rank === -1) {
+            return next(new Error(`Stage "${stage.label}" has invalid status ${stage.status} for ${this.entityType}`));
+        }
+        if (rank <= previousRank) {
+            return next(new Error(`Stage "${stage.label}" must move the ${this.entityType} past the previous stage's status`));
+        }
+        previousRank = rank;
+
+        if (stage.maxAmount !== null && stage.maxAmount !== undefined && stage.maxAmount <= stage.minAmount) {
+            return next(new Error(`Stage "${stage.label}" must have a maximum amount above its minimum amount`));
+        }
+        if (stage.status === rules.terminalStatus && stage.action !== rules.terminalAction) {
+            return next(new Error(`Stage "${stage.label}" reaches ${rules.terminalStatus} and must use the "${rules.terminalAction}" action`));
+        }
+        if (stage.action === 'finalize' && stage.status !== rules.terminalStatus) {
+            return next(new Error(`The "finalize" action is only valid for the ${rules.terminalStatus} stage`));
+        }
+    }
+
+    const lastStage = this.stages[this.stages.length - 1];
+    if (lastStage.status !== rules.terminalStatus) {
+        return next(new Error(`The last stage must move the ${this.entityType} to ${rules.terminalStatus}`));
+    }
+    if (lastStage.minAmount > 0 || (lastStage.maxAmount !== null && lastStage.maxAmount !== undefined)) {
+        return next(new Error('The last stage cannot be restricted by amount'));
+    }
+
+    if (this.routingTiers.length > 0 && this.entityType !== 'Expenditure') {
+        return next(new Error('Routing tiers are only supported for expenditures'));
+    }
+
+    const tierKeys = new Set();
+    for (const tier of this.routingTiers) {
+        if (tierKeys.has(tier.key)) {
+            return next(new Error(`Duplicate routing tier key: ${tier.key}`));
+        }
+        tierKeys.add(tier.key);
+
+        if (tier.maxAmount !== null && tier.maxAmount !== undefined && tier.maxAmount <= tier.minAmount) {
+            return next(new Error(`Routing tier "${tier.label}" must have a maximum amount above its minimum amount`));
+        }
+
+        const referencedStages = [...tier.skipStages, ...tier.signOffOverrides.map(override => override.stage)];
+        const unknownStage = referencedStages.find(stageKey => !keys.has(stageKey));
+        if (unknownStage) {
+            return next(new Error(`Routing tier "${tier.label}" references unknown stage: ${unknownStage}`));
+        }
+        if (this.stages.every(stage => tier.skipStages.includes(stage.key))) {
+            return next(new Error(`Routing tier "${tier.label}" cannot skip every stage`));
+        }
+    }
+
+    next();
+});
+
+module.exports = mongoose.model('WorkflowDefinition', workflowDefinitionSchema);
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAdvances,
+  getAdvanceById,
+  createAdvance,
+  verifyAdvance,
+  approveAdvance,
+  rejectAdvance,
+  cancelAdvance
+} = require('../controllers/advanceController');
+const { verifyToken, authorize, authorizeWorkflowAction } = require('../middleware/auth');
+const { APPROVER_ROLES } = require('../config/workflowRules');
+
+// All routes require authentication
+router.use(verifyToken);
+
+router.get('/', getAdvances);
+router.get('/:id', getAdvanceById);
+router.post('/', authorize('coordinator', 'hod', 'office', 'admin'), createAdvance);
+router.put('/:id/cancel', authorize('coordinator', 'hod', 'office', 'admin'), cancelAdvance);
+
+// Workflow actions: the Advance workflow decides who may act at each stage
+router.put('/:id/verify', authorizeWorkflowAction(...APPROVER_ROLES), verifyAdvance);
+router.put('/:id/approve', authorizeWorkflowAction(...APPROVER_ROLES), approveAdvance);
+router.put('/:id/reject', authorizeWorkflowAction(...APPROVER_ROLES), rejectAdvance);
+
+module.exports = router;
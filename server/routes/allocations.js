@@ -15,18 +15,31 @@ const {
   getAllocationVersion,
   rollbackAllocation
 } = require('../controllers/allocationHistoryController');
-const { verifyToken, authorize } = require('../middleware/auth');
+const {
+  getAmendments,
+  requestAmendment,
+  approveAmendment,
+  rejectAmendment
+} = require('../controllers/allocationAmendmentController');
+const { AMENDMENT_APPROVER_ROLES } = require('../services/allocationAmendmentService');
+const { verifyToken, authorize, authorizeWorkflowAction } = require('../middleware/auth');
 
 // All routes require authentication
 router.use(verifyToken);
 
-// All routes require office access or higher
+// A substitute for the principal or vice principal decides amendments whatever
+// their own role, so these come before the role check below
+router.put('/amendments/:amendmentId/approve', authorizeWorkflowAction(...AMENDMENT_APPROVER_ROLES), approveAmendment);
+router.put('/amendments/:amendmentId/reject', authorizeWorkflowAction(...AMENDMENT_APPROVER_ROLES), rejectAmendment);
+
+// All other routes require office access or higher
 router.use(authorize('office', 'vice_principal', 'principal', 'admin', 'hod', 'department'));
 
 router.get('/', getAllocations);
 router.get('/stats', getAllocationStats);
 // Add specific routes before parameterized routes
 router.get('/year-comparison', getYearComparison);
+router.get('/amendments', getAmendments);
 router.get('/:id', getAllocationById);
 router.post('/', createAllocation);
 router.post('/bulk', bulkCreateAllocations);
@@ -38,4 +51,7 @@ router.get('/:id/history', getAllocationHistory);
 router.get('/:id/history/:version', getAllocationVersion);
 router.post('/:id/rollback/:version', authorize('admin', 'office'), rollbackAllocation);
 
+// Amendment requests; approval applies the change to the allocation
+router.post('/:id/amendments', authorize('hod'), requestAmendment);
+
 module.exports = router;
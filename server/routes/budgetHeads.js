@@ -6,7 +6,8 @@ const {
   createBudgetHead,
   updateBudgetHead,
   deleteBudgetHead,
-  getBudgetHeadStats
+  getBudgetHeadStats,
+  getBudgetHeadTree
 } = require('../controllers/budgetHeadController');
 const { verifyToken, authorize } = require('../middleware/auth');
 
@@ -15,6 +16,7 @@ router.use(verifyToken);
 
 // Allow all authorized users to view budget heads
 router.get('/stats', getBudgetHeadStats);
+router.get('/tree', getBudgetHeadTree);
 router.get('/', getBudgetHeads);
 router.get('/:id', getBudgetHeadById);
 
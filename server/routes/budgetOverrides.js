@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getOverrides,
+  createOverride,
+  approveOverride,
+  rejectOverride
+} = require('../controllers/budgetOverrideController');
+const { verifyToken, authorize, authorizeWorkflowAction } = require('../middleware/auth');
+const { OVERRIDE_APPROVER_ROLES } = require('../services/budgetOverrideService');
+
+// All routes require authentication
+router.use(verifyToken);
+
+router.get('/', getOverrides);
+router.post('/', authorize('department'), createOverride);
+router.put('/:id/approve', authorizeWorkflowAction(...OVERRIDE_APPROVER_ROLES), approveOverride);
+router.put('/:id/reject', authorizeWorkflowAction(...OVERRIDE_APPROVER_ROLES), rejectOverride);
+
+module.exports = router;
@@ -14,16 +14,28 @@ const {
   resubmitBudgetProposal,
   markProposalAsRead
 } = require('../controllers/budgetProposalController');
-const { verifyToken, authorize } = require('../middleware/auth');
+const { getComments, addComment } = require('../controllers/commentController');
+const { verifyToken, authorize, authorizeWorkflowAction } = require('../middleware/auth');
+const { APPROVER_ROLES } = require('../config/workflowRules');
 
 // All routes require authentication
 router.use(verifyToken);
 
+const commentsOnProposal = (req, res, next) => {
+  req.commentTarget = 'BudgetProposal';
+  next();
+};
+
 // Get stats (accessible to authorized roles)
 router.get('/stats', authorize('admin', 'principal', 'vice_principal', 'office', 'hod', 'department_staff', 'department'), getBudgetProposalsStats);
 
 // Get all proposals (accessible to authorized roles)
-router.get('/', authorize('admin', 'principal', 'vice_principal', 'office', 'hod', 'department_staff', 'department'), getBudgetProposals);
+const PROPOSAL_VIEWERS = ['admin', 'principal', 'vice_principal', 'office', 'hod', 'department_staff', 'department'];
+const viewProposals = authorize(...PROPOSAL_VIEWERS);
+const viewProposalQueue = authorizeWorkflowAction(...PROPOSAL_VIEWERS);
+router.get('/', (req, res, next) => (
+  req.query.status === 'pending_approval' ? viewProposalQueue : viewProposals
+)(req, res, next), getBudgetProposals);
 
 // Get proposal by ID
 router.get('/:id', getBudgetProposalById);
@@ -40,14 +52,17 @@ router.put('/:id/submit', authorize('hod', 'department_staff', 'department'), su
 // Delete proposal (only draft/rejected proposals)
 router.delete('/:id', authorize('hod', 'department_staff', 'department', 'admin'), deleteBudgetProposal);
 
-// Approve proposal (admin/principal/vice principal/office)
-router.put('/:id/approve', authorize('admin', 'principal', 'vice_principal', 'office'), approveBudgetProposal);
+// Workflow actions: the active workflow definition decides which approver
+// roles may act at each stage.
+
+// Approve proposal
+router.put('/:id/approve', authorizeWorkflowAction(...APPROVER_ROLES), approveBudgetProposal);
 
-// Verify proposal (admin/office/hod/principal/vice_principal)
-router.put('/:id/verify', authorize('admin', 'office', 'hod', 'principal', 'vice_principal'), verifyBudgetProposal);
+// Verify proposal
+router.put('/:id/verify', authorizeWorkflowAction(...APPROVER_ROLES), verifyBudgetProposal);
 
-// Reject proposal (admin/principal/vice principal/office/hod)
-router.put('/:id/reject', authorize('admin', 'principal', 'vice_principal', 'office', 'hod'), rejectBudgetProposal);
+// Reject proposal
+router.put('/:id/reject', authorizeWorkflowAction(...APPROVER_ROLES), rejectBudgetProposal);
 
 // Mark proposal as read
 router.put('/:id/read', markProposalAsRead);
@@ -55,4 +70,8 @@ router.put('/:id/read', markProposalAsRead);
 // Resubmit proposal
 router.post('/:id/resubmit', authorize('hod', 'department_staff', 'department'), resubmitBudgetProposal);
 
+// Discussion thread; approvers may also request clarification through it
+router.get('/:id/comments', commentsOnProposal, getComments);
+router.post('/:id/comments', commentsOnProposal, addComment);
+
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/budgetCategoryController');
+const { verifyToken, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Allow all authorized users to view categories
+router.get('/', getCategories);
+router.get('/:id', getCategoryById);
+
+// Admin only routes for modification
+router.post('/', authorize('admin'), createCategory);
+router.put('/:id', authorize('admin'), updateCategory);
+router.delete('/:id', authorize('admin'), deleteCategory);
+
+module.exports = router;
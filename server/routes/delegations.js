@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDelegations,
+  getActingFor,
+  createDelegation,
+  revokeDelegation
+} = require('../controllers/delegationController');
+const { verifyToken } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(verifyToken);
+
+router.get('/', getDelegations);
+router.get('/acting-for', getActingFor);
+// Delegable roles are checked in the controller against the delegator, who may differ from the caller for admins
+router.post('/', createDelegation);
+router.put('/:id/revoke', revokeDelegation);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getExchangeRates,
+  getCurrentRates,
+  createExchangeRate,
+  deleteExchangeRate
+} = require('../controllers/exchangeRateController');
+const { verifyToken, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Anyone entering foreign bills or incomes needs the rates
+router.get('/', getExchangeRates);
+router.get('/current', getCurrentRates);
+
+// The rate table is maintained by admins
+router.post('/', authorize('admin'), createExchangeRate);
+router.delete('/:id', authorize('admin'), deleteExchangeRate);
+
+module.exports = router;
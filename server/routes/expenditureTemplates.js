@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate
+} = require('../controllers/expenditureTemplateController');
+const { verifyToken, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(verifyToken);
+
+router.get('/', authorize('department', 'hod', 'office', 'admin'), getTemplates);
+
+// Templates are kept by the department users who submit the drafts they raise
+router.post('/', authorize('department'), createTemplate);
+router.put('/:id', authorize('department'), updateTemplate);
+router.delete('/:id', authorize('department'), deleteTemplate);
+
+module.exports = router;
@@ -4,16 +4,23 @@ const {
   getExpenditures,
   getExpenditureById,
   submitExpenditure,
+  saveDraft,
+  deleteDraft,
   approveExpenditure,
   rejectExpenditure,
   verifyExpenditure,
   finalizeExpenditure,
   resubmitExpenditure,
+  withdrawExpenditure,
+  cancelExpenditure,
   getExpenditureStats
 } = require('../controllers/expenditureController');
-const { verifyToken, authorize } = require('../middleware/auth');
+const { getComments, addComment } = require('../controllers/commentController');
+const { verifyToken, authorize, authorizeWorkflowAction } = require('../middleware/auth');
 const { handleFileUpload } = require('../middleware/fileUpload');
+const { extractUploadedBills } = require('../middleware/billExtraction');
 const { validateAttachments, validateAttachmentsForApproval } = require('../middleware/attachmentValidator');
+const { APPROVER_ROLES } = require('../config/workflowRules');
 
 // All routes require authentication
 router.use(verifyToken);
@@ -25,6 +32,11 @@ const attachFilesToBody = (req, res, next) => {
   next();
 };
 
+const commentsOnExpenditure = (req, res, next) => {
+  req.commentTarget = 'Expenditure';
+  next();
+};
+
 // Get expenditures (all authenticated users)
 router.get('/', getExpenditures);
 router.get('/stats', getExpenditureStats);
@@ -34,6 +46,37 @@ router.get('/:id', getExpenditureById);
 router.post('/',
   authorize('department'),
   handleFileUpload,
+  extractUploadedBills,
+  attachFilesToBody,
+  validateAttachments,
+  submitExpenditure
+);
+
+// Drafts: saved (and autosaved) with their bills as they are prepared.
+// Attachment rules are only checked when the draft is submitted.
+router.post('/drafts',
+  authorize('department'),
+  handleFileUpload,
+  extractUploadedBills,
+  attachFilesToBody,
+  saveDraft
+);
+
+router.put('/:id/draft',
+  authorize('department'),
+  handleFileUpload,
+  extractUploadedBills,
+  attachFilesToBody,
+  saveDraft
+);
+
+router.delete('/:id', authorize('department'), deleteDraft);
+
+// Submit a draft, e.g. one raised from a recurring template
+router.post('/:id/submit',
+  authorize('department'),
+  handleFileUpload,
+  extractUploadedBills,
   attachFilesToBody,
   validateAttachments,
   submitExpenditure
@@ -43,24 +86,50 @@ router.post('/',
 router.post('/:id/resubmit',
   authorize('department'),
   handleFileUpload,
+  extractUploadedBills,
   attachFilesToBody,
   resubmitExpenditure
 );
 
-// Verify expenditure (HOD, Office, Principal, Vice Principal)
-router.put('/:id/verify', authorize('hod', 'office', 'principal', 'vice_principal'), verifyExpenditure);
+// Withdraw an expenditure submitted by mistake, while still pending
+router.put('/:id/withdraw', authorize('department', 'coordinator'), withdrawExpenditure);
+
+// Reverse a finalized expenditure (returns its amount to the allocation)
+router.put('/:id/cancel', authorize('office', 'admin'), cancelExpenditure);
+
+// Workflow actions: the active workflow definition decides which of the
+// approver roles may act at each stage. A routing tier can finalize on any
+// of them (small claims on HOD verification), so each re-checks the bills.
 
-// Approve expenditure (Office, Vice Principal, Principal)
+// Verify expenditure
+router.put('/:id/verify',
+  authorizeWorkflowAction(...APPROVER_ROLES),
+  validateAttachmentsForApproval,
+  verifyExpenditure
+);
+
+// Approve expenditure
 router.put('/:id/approve',
-  authorize('office', 'vice_principal', 'principal'),
+  authorizeWorkflowAction(...APPROVER_ROLES),
   validateAttachmentsForApproval,
   approveExpenditure
 );
 
-// Reject expenditure (Office, Vice Principal, Principal, HOD)
+// Finalize expenditure (sanction and deduct budget)
+router.put('/:id/finalize',
+  authorizeWorkflowAction(...APPROVER_ROLES),
+  validateAttachmentsForApproval,
+  finalizeExpenditure
+);
+
+// Reject expenditure
 router.put('/:id/reject',
-  authorize('office', 'vice_principal', 'principal', 'hod'),
+  authorizeWorkflowAction(...APPROVER_ROLES),
   rejectExpenditure
 );
 
+// Discussion thread; approvers may also request clarification through it
+router.get('/:id/comments', commentsOnExpenditure, getComments);
+router.post('/:id/comments', commentsOnExpenditure, addComment);
+
 module.exports = router;
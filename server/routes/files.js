@@ -2,19 +2,38 @@ const express = require('express');
 const router = express.Router();
 const { handleFileUpload, serveFiles } = require('../middleware/fileUpload');
 const { scanUploadedFiles } = require('../middleware/virusScan');
-const { uploadFiles, getFileInfo, deleteFileById, getDownloadUrl, cleanupFiles, getFileStats } = require('../controllers/fileController');
+const { extractUploadedBills } = require('../middleware/billExtraction');
+const {
+  uploadFiles,
+  getFileInfo,
+  deleteFileById,
+  getDownloadUrl,
+  getPreviewUrl,
+  getAnnotations,
+  addAnnotation,
+  deleteAnnotation,
+  cleanupFiles,
+  getFileStats
+} = require('../controllers/fileController');
 const { verifyToken, authorize } = require('../middleware/auth');
+const { APPROVER_ROLES } = require('../config/workflowRules');
 
-// File upload route - now includes virus scanning
-router.post('/upload', verifyToken, handleFileUpload, scanUploadedFiles, uploadFiles);
+// File upload route - virus scanned, then bill details read off for the submission form
+router.post('/upload', verifyToken, handleFileUpload, scanUploadedFiles, extractUploadedBills, uploadFiles);
 
-// File serving route (public)
+// Signed download links (no login needed until the link expires)
 router.get('/serve/:departmentId/:filename', serveFiles);
 
 // File management routes (protected)
 router.get('/:fileId', verifyToken, getFileInfo);
 router.delete('/:fileId', verifyToken, deleteFileById);
 router.get('/:fileId/download', verifyToken, getDownloadUrl);
+router.get('/:fileId/preview', verifyToken, getPreviewUrl);
+
+// Approvers' notes pinned to regions of a bill
+router.get('/:fileId/annotations', verifyToken, getAnnotations);
+router.post('/:fileId/annotations', verifyToken, authorize(...APPROVER_ROLES), addAnnotation);
+router.delete('/:fileId/annotations/:annotationId', verifyToken, authorize(...APPROVER_ROLES), deleteAnnotation);
 
 // Admin routes
 router.post('/cleanup', verifyToken, authorize('admin'), cleanupFiles);
@@ -8,6 +8,8 @@ const {
     recalculateTotals,
     lockFinancialYear,
     closeFinancialYear,
+    getCarryforwardPreview,
+    allocatePooledFunds,
     getActiveFinancialYear,
     getYearSummary
 } = require('../controllers/financialYearController');
@@ -36,7 +38,13 @@ router.put('/:id/recalculate', authorize('admin', 'principal'), recalculateTotal
 // Lock financial year (principal/admin only)
 router.put('/:id/lock', authorize('principal', 'admin'), lockFinancialYear);
 
-// Close financial year (principal/admin only)
+// Preview the carry-forward of unspent allocations (principal/admin only)
+router.get('/:id/carry-forward', authorize('principal', 'admin'), getCarryforwardPreview);
+
+// Close financial year, applying carry-forward decisions (principal/admin only)
 router.put('/:id/close', authorize('principal', 'admin'), closeFinancialYear);
 
+// Allocate from the balance pooled at the previous year's closure (principal/admin only)
+router.post('/:id/pool-allocations', authorize('principal', 'admin'), allocatePooledFunds);
+
 module.exports = router;
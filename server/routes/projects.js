@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProjects,
+  getProjectById,
+  getProjectAllocations,
+  createProject,
+  updateProject,
+  deleteProject
+} = require('../controllers/projectController');
+const { verifyToken, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Member departments charge expenditures to their projects
+router.get('/', getProjects);
+router.get('/:id', getProjectById);
+router.get('/:id/allocations', getProjectAllocations);
+
+// Setting up and running projects
+router.post('/', authorize('admin', 'office', 'principal'), createProject);
+router.put('/:id', authorize('admin', 'office', 'principal'), updateProject);
+router.delete('/:id', authorize('admin', 'office', 'principal'), deleteProject);
+
+module.exports = router;
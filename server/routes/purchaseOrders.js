@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  recordReceipt,
+  createBill,
+  closePurchaseOrder
+} = require('../controllers/purchaseOrderController');
+const { verifyToken, authorize } = require('../middleware/auth');
+const { handleFileUpload } = require('../middleware/fileUpload');
+
+// All routes require authentication
+router.use(verifyToken);
+
+router.get('/', getPurchaseOrders);
+router.get('/:id', getPurchaseOrderById);
+
+// Raising, receiving against and closing orders
+router.post('/', authorize('office', 'hod', 'admin'), createPurchaseOrder);
+router.post('/:id/receipts', authorize('office', 'hod', 'admin'), recordReceipt);
+router.put('/:id/close', authorize('office', 'hod', 'admin'), closePurchaseOrder);
+
+// Vendor bill: becomes an expenditure that follows the normal approval workflow
+router.post('/:id/bills',
+  authorize('office', 'hod', 'admin'),
+  handleFileUpload,
+  createBill
+);
+
+module.exports = router;
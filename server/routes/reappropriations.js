@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getReappropriations,
+  getReappropriationById,
+  createReappropriation,
+  verifyReappropriation,
+  approveReappropriation,
+  rejectReappropriation
+} = require('../controllers/reappropriationController');
+const { verifyToken, authorize, authorizeWorkflowAction } = require('../middleware/auth');
+const { APPROVER_ROLES } = require('../config/workflowRules');
+
+// All routes require authentication
+router.use(verifyToken);
+
+router.get('/', getReappropriations);
+router.get('/:id', getReappropriationById);
+router.post('/', authorize('hod', 'office', 'admin'), createReappropriation);
+
+// Workflow actions: the Reappropriation workflow decides who may act at each stage
+router.put('/:id/verify', authorizeWorkflowAction(...APPROVER_ROLES), verifyReappropriation);
+router.put('/:id/approve', authorizeWorkflowAction(...APPROVER_ROLES), approveReappropriation);
+router.put('/:id/reject', authorizeWorkflowAction(...APPROVER_ROLES), rejectReappropriation);
+
+module.exports = router;
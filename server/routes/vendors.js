@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getVendors,
+  getVendorById,
+  createVendor,
+  updateVendor,
+  setVendorBlocked
+} = require('../controllers/vendorController');
+const { verifyToken, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(verifyToken);
+
+// Anyone raising expenditures picks vendors from the master
+router.get('/', getVendors);
+router.get('/:id', getVendorById);
+
+// Maintaining the vendor master
+router.post('/', authorize('office', 'admin'), createVendor);
+router.put('/:id', authorize('office', 'admin'), updateVendor);
+router.put('/:id/block', authorize('office', 'admin'), setVendorBlocked);
+
+module.exports = router;
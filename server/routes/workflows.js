@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getWorkflows,
+    getWorkflowByEntityType,
+    updateWorkflow,
+    resetWorkflow
+} = require('../controllers/workflowController');
+const { verifyToken, authorize } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(verifyToken);
+
+// View workflows (all authenticated users, so the UI can show the chain)
+router.get('/', getWorkflows);
+router.get('/:entityType', getWorkflowByEntityType);
+
+// Edit workflows (Admin only)
+router.put('/:entityType', authorize('admin'), updateWorkflow);
+router.post('/:entityType/reset', authorize('admin'), resetWorkflow);
+
+module.exports = router;
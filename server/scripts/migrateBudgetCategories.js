@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const { syncBudgetCategories } = require('../services/budgetCategoryService');
+
+// Moves budget heads from the old hard-coded category enum to managed
+// categories. The server runs the same sync on start; this is for running it
+// by hand and seeing what was created.
+async function migrateBudgetCategories() {
+    try {
+        const mongoUri = process.env.MONGODB_URI;
+        if (!mongoUri) {
+            throw new Error('MONGODB_URI not found in .env');
+        }
+
+        console.log('Connecting to MongoDB...');
+        await mongoose.connect(mongoUri);
+        console.log('✅ Connected to MongoDB');
+
+        const created = await syncBudgetCategories();
+        if (created.length > 0) {
+            console.log(`✅ Created ${created.length} categories: ${created.join(', ')}`);
+        } else {
+            console.log('✅ All budget head categories already exist');
+        }
+    } catch (error) {
+        console.error('❌ Error migrating budget categories:', error.message);
+    } finally {
+        if (mongoose.connection.readyState !== 0) {
+            await mongoose.connection.close();
+            console.log('MongoDB connection closed');
+        }
+        process.exit();
+    }
+}
+
+migrateBudgetCategories();
@@ -0,0 +1,209 @@
+/**
+ * Advance Service for CBMS
+ * Cash advances (imprest) drawn before an event and settled afterwards by an
+ * expenditure carrying the actual bills. The reservation on the allocation is
+ * handled by the commitment service; this module tracks the advance itself.
+ */
+
+const Advance = require('../models/Advance');
+const Settings = require('../models/Settings');
+const AuditLog = require('../models/AuditLog');
+const { OPEN_ADVANCE_STATUSES, commitFunds } = require('./commitmentService');
+
+const DEFAULT_SETTLEMENT_DAYS = 30;
+
+const roundToPaise = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Days allowed after the event (or approval, if later) to submit the bills.
+ */
+const getSettlementDays = async () => {
+    try {
+        const setting = await Settings.findOne({ key: 'advance_settlement_days' });
+        const days = setting ? parseInt(setting.value) : NaN;
+        return days > 0 ? days : DEFAULT_SETTLEMENT_DAYS;
+    } catch (error) {
+        console.error('Error fetching advance settlement days:', error);
+        return DEFAULT_SETTLEMENT_DAYS;
+    }
+};
+
+/**
+ * Settlement deadline: the settlement window counted from the event date,
+ * or from approval when the advance is approved after the event.
+ *
+ * @param {Date} eventDate
+ * @param {Date} approvedAt
+ * @param {number} days
+ * @returns {Date}
+ */
+const getSettlementDueDate = (eventDate, approvedAt, days) => {
+    const start = new Date(Math.max(new Date(eventDate).getTime(), new Date(approvedAt).getTime()));
+    start.setHours(23, 59, 59, 999);
+    start.setDate(start.getDate() + days);
+    return start;
+};
+
+/**
+ * Refund due from, or extra amount payable to, the requester once the bills are known.
+ *
+ * @param {number} advanceAmount
+ * @param {number} spentAmount - Finalized (approved) bill total
+ * @returns {Object} { spentAmount, refundDue, additionalPayable }
+ */
+const getSettlementBalance = (advanceAmount, spentAmount) => {
+    const difference = roundToPaise(advanceAmount - spentAmount);
+    return {
+        spentAmount,
+        refundDue: difference > 0 ? difference : 0,
+        additionalPayable: difference < 0 ? -difference : 0
+    };
+};
+
+/**
+ * Check that an expenditure may be submitted as the settlement of an advance.
+ *
+ * @param {string} advanceId
+ * @param {Object} claim - { department, budgetHead, financialYear }
+ * @param {Object} session
+ * @returns {Object} { advance, error }
+ */
+const getSettleableAdvance = async (advanceId, { department, budgetHead, financialYear }, session = null) => {
+    const advance = await Advance.findById(advanceId).session(session);
+    if (!advance) {
+        return { advance: null, error: 'Advance not found' };
+    }
+    if (advance.status !== 'APPROVED') {
+        return {
+            advance: null,
+            error: advance.status === 'SETTLEMENT_SUBMITTED'
+                ? `Bills for ${advance.advanceNumber} are already awaiting approval`
+                : `${advance.advanceNumber} is ${advance.status.toLowerCase().replace('_', ' ')} and cannot be settled`
+        };
+    }
+    if (advance.department.toString() !== department.toString()
+        || advance.budgetHead.toString() !== budgetHead.toString()
+        || advance.financialYear !== financialYear) {
+        return {
+            advance: null,
+            error: `${advance.advanceNumber} was drawn against a different department, budget head or financial year`
+        };
+    }
+    return { advance, error: null };
+};
+
+/**
+ * Record a submitted settlement claim on its advance.
+ */
+const linkSettlementClaim = async (advanceId, expenditureId, session = null) => {
+    return Advance.findOneAndUpdate(
+        { _id: advanceId, status: 'APPROVED' },
+        { $set: { status: 'SETTLEMENT_SUBMITTED' }, $push: { expenditures: expenditureId } },
+        { new: true, session }
+    );
+};
+
+/**
+ * A rejected settlement claim leaves the advance open for a fresh claim.
+ */
+const reopenAdvance = async (advanceId, session = null) => {
+    return Advance.findOneAndUpdate(
+        { _id: advanceId, status: 'SETTLEMENT_SUBMITTED' },
+        { $set: { status: 'APPROVED' } },
+        { new: true, session }
+    );
+};
+
+/**
+ * Reopen an advance whose settlement claim was reversed after finalization. The
+ * cash is still out, so the whole advance is reserved on its allocation again.
+ */
+const unsettleAdvance = async (expenditure, session = null) => {
+    const advance = await Advance.findOne({
+        _id: expenditure.advance,
+        status: 'SETTLED',
+        'settlement.expenditure': expenditure._id
+    }).session(session);
+    if (!advance) {
+        return null;
+    }
+
+    await commitFunds(advance.allocation, advance.amount, { session, allowOverspend: true });
+    advance.committedAmount = advance.amount;
+    advance.status = 'APPROVED';
+    advance.settlement = undefined;
+    await advance.save({ session });
+    return advance;
+};
+
+/**
+ * Close an advance once its settlement claim is finalized. The allocation side
+ * (spent up by the bills, committed down by `released`) is applied by the caller.
+ */
+const settleAdvance = async (expenditure, released, session = null) => {
+    const advance = await Advance.findById(expenditure.advance).session(session);
+    if (!advance) {
+        return null;
+    }
+
+    advance.committedAmount = Math.max(0, advance.committedAmount - released);
+    advance.status = 'SETTLED';
+    advance.isOverdue = false;
+    advance.settlement = {
+        expenditure: expenditure._id,
+        ...getSettlementBalance(advance.amount, expenditure.totalAmount),
+        settledAt: new Date()
+    };
+
+    await advance.save({ session });
+    return advance;
+};
+
+/**
+ * Flag open advances whose settlement deadline has passed. Returns the newly
+ * flagged advances so the caller can notify their requesters.
+ */
+const flagOverdueAdvances = async (now = new Date()) => {
+    const overdue = await Advance.find({
+        status: { $in: OPEN_ADVANCE_STATUSES },
+        isOverdue: false,
+        settlementDueDate: { $lt: now }
+    })
+        .populate('department', 'name')
+        .populate('requestedBy', 'name email');
+
+    for (const advance of overdue) {
+        advance.isOverdue = true;
+        advance.overdueFlaggedAt = now;
+        await advance.save();
+
+        await AuditLog.create({
+            eventType: 'advance_overdue',
+            actor: null, // System action
+            actorRole: 'system',
+            targetEntity: 'Advance',
+            targetId: advance._id,
+            details: {
+                advanceNumber: advance.advanceNumber,
+                amount: advance.amount,
+                settlementDueDate: advance.settlementDueDate
+            },
+            ipAddress: 'system',
+            userAgent: 'Cron Job - Reminder Service'
+        });
+    }
+
+    return overdue;
+};
+
+module.exports = {
+    getSettlementDays,
+    getSettlementDueDate,
+    getSettlementBalance,
+    getSettleableAdvance,
+    linkSettlementClaim,
+    reopenAdvance,
+    settleAdvance,
+    unsettleAdvance,
+    flagOverdueAdvances
+};
@@ -10,10 +10,17 @@ const Department = require('../models/Department');
 const BudgetHead = require('../models/BudgetHead');
 const AuditLog = require('../models/AuditLog');
 const FinancialYear = require('../models/FinancialYear');
+const { getPlannedPercent } = require('./phasingService');
+const { getSlaElapsedMs } = require('./commentService');
+
+// Amended allocations are still in force; superseded ones are history
+const LIVE_ALLOCATION_STATUSES = ['active', 'amended'];
 
 /**
  * Feature 1: Threshold-Based Anomaly Detection
- * Detects unusual spending patterns by comparing current utilization against historical norms.
+ * Detects unusual spending patterns by comparing current utilization against the
+ * spending expected so far: the release plan for phased allocations, a straight
+ * line through the year otherwise.
  * 
  * @param {string} financialYear - Financial year to analyze (e.g., "2025-2026")
  * @returns {Array} Array of anomaly objects with anonymous department IDs
@@ -29,12 +36,12 @@ const detectAnomalies = async (financialYear) => {
 
     const totalDaysInFY = Math.ceil((fyEnd - fyStart) / (1000 * 60 * 60 * 24));
     const daysElapsed = Math.max(0, Math.ceil((today - fyStart) / (1000 * 60 * 60 * 24)));
-    const expectedUtilizationPercent = Math.min(100, (daysElapsed / totalDaysInFY) * 100);
+    const straightLinePercent = Math.min(100, (daysElapsed / totalDaysInFY) * 100);
 
     // Get all allocations for the financial year
     const allocations = await Allocation.find({
         financialYear,
-        status: 'active'
+        status: { $in: LIVE_ALLOCATION_STATUSES }
     })
         .populate('department', 'name')
         .populate('budgetHead', 'name')
@@ -52,12 +59,17 @@ const detectAnomalies = async (financialYear) => {
                 anonymousId: `Dept_${deptId.slice(-4).toUpperCase()}`, // Anonymous ID for AI output
                 departmentName: alloc.department.name, // For internal use only
                 totalAllocated: 0,
-                totalSpent: 0
+                totalSpent: 0,
+                expectedSpent: 0,
+                phased: false
             };
         }
 
+        const plannedPercent = getPlannedPercent(alloc, today);
         deptStats[deptId].totalAllocated += alloc.allocatedAmount;
         deptStats[deptId].totalSpent += alloc.spentAmount;
+        deptStats[deptId].expectedSpent += alloc.allocatedAmount * (plannedPercent ?? straightLinePercent) / 100;
+        if (plannedPercent !== null) deptStats[deptId].phased = true;
     }
 
     // Historical threshold (can be made configurable)
@@ -70,8 +82,9 @@ const detectAnomalies = async (financialYear) => {
         if (stats.totalAllocated < MIN_ALLOCATION_FOR_ANOMALY) continue;
 
         const utilizationPercent = (stats.totalSpent / stats.totalAllocated) * 100;
+        const expectedUtilizationPercent = (stats.expectedSpent / stats.totalAllocated) * 100;
 
-        // Anomaly: Spending significantly ahead of FY progress
+        // Anomaly: Spending significantly ahead of FY progress (or of the release plan)
         if (utilizationPercent > expectedUtilizationPercent * ANOMALY_THRESHOLD) {
             anomalies.push({
                 type: 'HIGH_UTILIZATION',
@@ -80,7 +93,8 @@ const detectAnomalies = async (financialYear) => {
                 utilizationPercent: Math.round(utilizationPercent * 100) / 100,
                 expectedPercent: Math.round(expectedUtilizationPercent * 100) / 100,
                 daysElapsed,
-                explanation: `${stats.anonymousId} used ${utilizationPercent.toFixed(1)}% of its allocation within ${daysElapsed} days; expected utilization is ${expectedUtilizationPercent.toFixed(1)}%.`
+                phased: stats.phased,
+                explanation: `${stats.anonymousId} used ${utilizationPercent.toFixed(1)}% of its allocation within ${daysElapsed} days; expected utilization${stats.phased ? ' under its release plan' : ''} is ${expectedUtilizationPercent.toFixed(1)}%.`
             });
         }
 
@@ -126,7 +140,7 @@ const calculateRiskScores = async (financialYear) => {
 
     // Get allocations grouped by department
     const allocations = await Allocation.aggregate([
-        { $match: { financialYear, status: 'active' } },
+        { $match: { financialYear, status: { $in: LIVE_ALLOCATION_STATUSES } } },
         {
             $group: {
                 _id: '$department',
@@ -222,7 +236,7 @@ const prioritizeApprovals = async () => {
         .lean();
 
     // Get corresponding allocations for risk calculation
-    const allocations = await Allocation.find({ status: 'active' }).lean();
+    const allocations = await Allocation.find({ status: { $in: LIVE_ALLOCATION_STATUSES } }).lean();
     const allocationMap = {};
 
     for (const alloc of allocations) {
@@ -235,8 +249,9 @@ const prioritizeApprovals = async () => {
         let priorityScore = 0;
         const flags = [];
 
-        // Age factor: Older items get higher priority
-        const ageInDays = Math.ceil((new Date() - new Date(exp.createdAt)) / (1000 * 60 * 60 * 24));
+        // Age factor: Older items get higher priority. Time on hold for a clarification does not count.
+        const ageInDays = Math.ceil(getSlaElapsedMs(exp) / (1000 * 60 * 60 * 24));
+        if (exp.clarification?.status === 'REQUESTED') flags.push('awaiting clarification');
         if (ageInDays > 7) {
             priorityScore += Math.min(30, ageInDays * 2);
             if (ageInDays > 14) flags.push('overdue');
@@ -0,0 +1,123 @@
+/**
+ * Allocation Amendment Service for CBMS
+ * Changes to an allocated amount beyond the direct-edit limit go through an
+ * amendment request approved by the principal. Changes above the configured
+ * dual approval percentage need a second, different approver.
+ */
+
+const AllocationAmendment = require('../models/AllocationAmendment');
+const Settings = require('../models/Settings');
+
+// Roles that decide amendment requests
+const AMENDMENT_APPROVER_ROLES = ['principal', 'vice_principal'];
+
+const DEFAULT_DUAL_APPROVAL_PERCENT = 10;
+
+/**
+ * Change (in percent of the current allocation) above which two approvers are needed.
+ */
+const getDualApprovalPercent = async () => {
+    try {
+        const setting = await Settings.findOne({ key: 'amendment_dual_approval_percent' });
+        const percent = setting ? parseFloat(setting.value) : NaN;
+        return percent >= 0 ? percent : DEFAULT_DUAL_APPROVAL_PERCENT;
+    } catch (error) {
+        console.error('Error fetching amendment dual approval percent:', error);
+        return DEFAULT_DUAL_APPROVAL_PERCENT;
+    }
+};
+
+/**
+ * Unsaved amendment request moving an allocation to `requestedAmount`.
+ * The change figures are filled in here because validation runs before the
+ * model's pre-save hook derives them.
+ *
+ * @param {Object} allocation - Allocation being amended
+ * @param {Object} options - { requestedAmount, changeReason, requestedBy }
+ * @returns {Object} AllocationAmendment document
+ */
+const buildAmendment = async (allocation, { requestedAmount, changeReason, requestedBy }) => {
+    const changeAmount = requestedAmount - allocation.allocatedAmount;
+    const changePercent = allocation.allocatedAmount > 0
+        ? Math.round((changeAmount / allocation.allocatedAmount) * 100)
+        : 0;
+    const dualApprovalPercent = await getDualApprovalPercent();
+
+    return new AllocationAmendment({
+        allocation: allocation._id,
+        originalAmount: allocation.allocatedAmount,
+        requestedAmount,
+        changeAmount,
+        changePercent,
+        changeReason,
+        requestedBy,
+        // A first allocation (nothing to take a percentage of) always gets two approvers
+        requiredApprovals: allocation.allocatedAmount === 0 || Math.abs(changeAmount / allocation.allocatedAmount) * 100 > dualApprovalPercent ? 2 : 1
+    });
+};
+
+/**
+ * The amendment still awaiting a decision for an allocation, if any.
+ */
+const getPendingAmendment = async (allocationId, session = null) => {
+    return AllocationAmendment.findOne({ allocation: allocationId, status: 'pending' }).session(session);
+};
+
+/**
+ * Whose approval a signature counts as: the absent approver a substitute signed for, or the signer.
+ */
+const getApprovingIdentity = (approval) => approval.onBehalfOf || approval.approver;
+
+/**
+ * Number of distinct people whose authority has approved the amendment.
+ */
+const countApprovers = (amendment) => {
+    return new Set(amendment.approvals.map(approval => getApprovingIdentity(approval).toString())).size;
+};
+
+/**
+ * Add an approval to a pending amendment. Nobody counts twice: the update does
+ * not match once the signer has signed, or the person they sign for has
+ * approved already, whether directly or through a substitute.
+ *
+ * @param {string|ObjectId} amendmentId
+ * @param {Object} approval - { user, role, onBehalfOf, remarks } (role and onBehalfOf from resolveActingRole)
+ * @param {Object} session - Mongoose session
+ * @returns {Object|null} Updated amendment, or null when no approval was added
+ */
+const recordAmendmentApproval = async (amendmentId, { user, role, onBehalfOf, remarks }, session = null) => {
+    const identity = onBehalfOf ? onBehalfOf._id : user._id;
+
+    return AllocationAmendment.findOneAndUpdate(
+        {
+            _id: amendmentId,
+            status: 'pending',
+            $nor: [
+                { 'approvals.approver': user._id },
+                { 'approvals.onBehalfOf': identity },
+                { approvals: { $elemMatch: { approver: identity, onBehalfOf: null } } }
+            ]
+        },
+        {
+            $push: {
+                approvals: {
+                    approver: user._id,
+                    onBehalfOf: onBehalfOf ? onBehalfOf._id : undefined,
+                    role,
+                    remarks,
+                    approvedAt: new Date()
+                }
+            }
+        },
+        { new: true, session }
+    );
+};
+
+module.exports = {
+    AMENDMENT_APPROVER_ROLES,
+    getDualApprovalPercent,
+    buildAmendment,
+    getPendingAmendment,
+    countApprovers,
+    recordAmendmentApproval
+};
@@ -0,0 +1,74 @@
+/**
+ * Attachment Service for CBMS
+ * Bills are stored once per content, keyed by their SHA-256 (see services/storage).
+ * The same scanned file attached to more than one expenditure, in any department,
+ * is flagged on the attachment for approvers. Approvers may also pin comments to
+ * regions of a bill (attachment `annotations`).
+ */
+
+const Expenditure = require('../models/Expenditure');
+const { APPROVER_ROLES } = require('../config/workflowRules');
+
+/**
+ * Record on each attachment the other expenditures that carry the same file.
+ *
+ * @param {Array} expenseItems - Updated in place: attachments gain `duplicateOf`
+ * @param {Object} options - { excludeExpenditureIds } e.g. the draft being submitted,
+ *   or the rejected original of a resubmission
+ * @returns {number} attachments flagged
+ */
+const flagDuplicateAttachments = async (expenseItems, { excludeExpenditureIds = [] } = {}) => {
+    const attachments = expenseItems.flatMap(item => item.attachments || []);
+    attachments.forEach(attachment => { attachment.duplicateOf = []; });
+
+    const hashes = [...new Set(attachments.map(attachment => attachment.sha256).filter(Boolean))];
+    if (hashes.length === 0) return 0;
+
+    const excluded = excludeExpenditureIds.filter(Boolean).map(String);
+    const existing = await Expenditure.find({
+        status: { $nin: ['REJECTED', 'DRAFT', 'WITHDRAWN', 'CANCELLED'] },
+        'expenseItems.attachments.sha256': { $in: hashes }
+    })
+        .select('transactionId expenseItems.attachments.sha256')
+        .lean();
+
+    let flagged = 0;
+    attachments.filter(attachment => attachment.sha256).forEach(attachment => {
+        attachment.duplicateOf = existing
+            .filter(expenditure => !excluded.includes(expenditure._id.toString()))
+            .filter(expenditure => expenditure.expenseItems.some(item =>
+                (item.attachments || []).some(other => other.sha256 === attachment.sha256)))
+            .map(expenditure => ({ expenditure: expenditure._id, transactionId: expenditure.transactionId }));
+        if (attachment.duplicateOf.length > 0) flagged++;
+    });
+    return flagged;
+};
+
+/**
+ * Whether any expenditure still attaches the stored file `key`. A bill stored by
+ * content may be shared, so it is only removed once nothing refers to it.
+ */
+const isStorageKeyInUse = async (key) => Boolean(await Expenditure.exists({ 'expenseItems.attachments.storageKey': key }));
+
+/**
+ * Approvers see bill annotations throughout; the submitter once the expenditure
+ * is rejected, to rework it for resubmission.
+ */
+const canSeeAnnotations = (user, expenditure) => APPROVER_ROLES.includes(user.role) || expenditure.status === 'REJECTED';
+
+/**
+ * Drop annotations the user may not see from an expenditure about to be returned.
+ */
+const hideAnnotations = (user, expenditure) => {
+    if (canSeeAnnotations(user, expenditure)) return;
+    expenditure.expenseItems.forEach(item => {
+        item.attachments.forEach(attachment => { attachment.annotations = []; });
+    });
+};
+
+module.exports = {
+    flagDuplicateAttachments,
+    isStorageKeyInUse,
+    canSeeAnnotations,
+    hideAnnotations
+};
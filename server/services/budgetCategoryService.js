@@ -0,0 +1,84 @@
+/**
+ * Budget Category Service for CBMS
+ * Budget head categories live in their own collection so admins can add new
+ * ones without a deploy. Heads and workflow tiers store the category code.
+ */
+
+const BudgetCategory = require('../models/BudgetCategory');
+const BudgetHead = require('../models/BudgetHead');
+
+// The categories that used to be hard-coded on BudgetHead
+const LEGACY_CATEGORIES = [
+    { code: 'laboratory_equipment', label: 'Laboratory Equipment', defaultBudgetType: 'non-recurring' },
+    { code: 'software', label: 'Software', defaultBudgetType: 'non-recurring' },
+    { code: 'laboratory_furniture', label: 'Laboratory Furniture', defaultBudgetType: 'non-recurring' },
+    { code: 'maintenance_spares', label: 'Maintenance & Spares' },
+    { code: 'research_development', label: 'Research & Development' },
+    { code: 'placement_training', label: 'Placement & Training' },
+    { code: 'faculty_development', label: 'Faculty Development' },
+    { code: 'seminar_conference', label: 'Seminars & Conferences' },
+    { code: 'valuation_curricular', label: 'Valuation & Curricular' },
+    { code: 'alumni_interaction', label: 'Alumni Interaction' },
+    { code: 'staff_welfare', label: 'Staff Welfare' },
+    { code: 'printing_stationery', label: 'Printing & Stationery' },
+    { code: 'postage_expenses', label: 'Postage' },
+    { code: 'refreshment_expenses', label: 'Refreshments' },
+    { code: 'functions', label: 'Functions' },
+    { code: 'travelling_expenses', label: 'Travelling' },
+    { code: 'other', label: 'Other' }
+];
+
+// "hackathon_events" -> "Hackathon Events"
+const labelFromCode = (code) => code
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
+/**
+ * Create any category that is missing: the former built-in ones, and any code
+ * already stored on a budget head. Existing categories are left untouched, so
+ * this is safe to run on every start.
+ *
+ * @returns {Array<string>} codes that were created
+ */
+const syncBudgetCategories = async () => {
+    const usedCodes = await BudgetHead.distinct('category');
+    const wanted = [
+        ...LEGACY_CATEGORIES,
+        ...usedCodes
+            .filter(code => code && !LEGACY_CATEGORIES.some(category => category.code === code))
+            .map(code => ({ code, label: labelFromCode(code) }))
+    ];
+
+    const existing = await BudgetCategory.distinct('code');
+    const missing = wanted.filter(category => !existing.includes(category.code));
+    if (missing.length > 0) {
+        await BudgetCategory.insertMany(missing, { ordered: false });
+    }
+    return missing.map(category => category.code);
+};
+
+/**
+ * Active category by code, or null.
+ */
+const getActiveCategory = async (code) => {
+    if (!code) return null;
+    return BudgetCategory.findOne({ code: String(code).toLowerCase(), isActive: true });
+};
+
+/**
+ * Labels keyed by category code, for reports.
+ *
+ * @returns {Object} { [code]: label }
+ */
+const getCategoryLabels = async () => {
+    const categories = await BudgetCategory.find().select('code label').lean();
+    return Object.fromEntries(categories.map(category => [category.code, category.label]));
+};
+
+module.exports = {
+    LEGACY_CATEGORIES,
+    syncBudgetCategories,
+    getActiveCategory,
+    getCategoryLabels
+};
@@ -0,0 +1,152 @@
+/**
+ * Budget Head Tree Service for CBMS
+ * Budget heads form a tree through their `parent` reference (e.g. Laboratory ->
+ * Equipment -> Consumables), with `ancestors` kept alongside for subtree queries.
+ * Allocations may sit at any level. For one department and year, everything
+ * allocated below a head may not add up to more than that head's own allocation.
+ */
+
+const BudgetHead = require('../models/BudgetHead');
+const Allocation = require('../models/Allocation');
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Nest flat items into a tree. Items whose parent is not in the list become roots.
+ *
+ * @param {Array} items - Plain objects with an `_id`
+ * @param {Function} getParentId - Returns an item's parent id, or null
+ * @returns {Array} root nodes, each with a `children` array
+ */
+const buildTree = (items, getParentId) => {
+    const nodes = new Map(items.map(item => [idOf(item), { ...item, children: [] }]));
+    const roots = [];
+    nodes.forEach(node => {
+        const parent = nodes.get(idOf(getParentId(node)));
+        if (parent && parent !== node) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+    return roots;
+};
+
+/**
+ * Add a `subtotal` to every node: its own figures plus everything below it.
+ *
+ * @param {Array} nodes - Tree from buildTree
+ * @param {Array<string>} fields - Numeric fields to roll up
+ * @returns {Array} the same nodes
+ */
+const rollUp = (nodes, fields) => {
+    nodes.forEach(node => {
+        rollUp(node.children, fields);
+        node.subtotal = {};
+        fields.forEach(field => {
+            node.subtotal[field] = (node[field] || 0)
+                + node.children.reduce((sum, child) => sum + child.subtotal[field], 0);
+        });
+    });
+    return nodes;
+};
+
+/**
+ * Ancestors for a head placed under `parentId`, top-level first.
+ *
+ * @returns {Array|null} null when the parent does not exist
+ */
+const getAncestry = async (parentId, session = null) => {
+    if (!parentId) return [];
+    const parent = await BudgetHead.findById(parentId).select('ancestors').session(session);
+    if (!parent) return null;
+    return [...parent.ancestors, parent._id];
+};
+
+/**
+ * Move a head under a new parent, carrying its sub-heads along.
+ * The caller has already checked the parent is not the head or one of its sub-heads.
+ * The moved allocations then count towards the new parent heads, so every
+ * department and year allocating to the moved subtree is checked again.
+ *
+ * @returns {Object|null} The first broken roll-up, from findRollupBreach plus its
+ *   { financialYear, department }; the caller then aborts the session
+ */
+const reparentHead = async (head, parentId, session = null) => {
+    const ancestors = await getAncestry(parentId, session);
+    const descendants = await BudgetHead.find({ ancestors: head._id }).select('ancestors').session(session);
+
+    await BudgetHead.updateOne({ _id: head._id }, { $set: { parent: parentId || null, ancestors } }, { session });
+    if (descendants.length > 0) {
+        await BudgetHead.bulkWrite(descendants.map(descendant => {
+            const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => idOf(id) === idOf(head)));
+            return {
+                updateOne: {
+                    filter: { _id: descendant._id },
+                    update: { $set: { ancestors: [...ancestors, ...below] } }
+                }
+            };
+        }), { session });
+    }
+
+    const scopes = await Allocation.aggregate([
+        { $match: { budgetHead: { $in: [head._id, ...descendants.map(descendant => descendant._id)] } } },
+        { $group: { _id: { financialYear: '$financialYear', department: '$department' } } }
+    ]).session(session);
+    for (const { _id: scope } of scopes) {
+        const breach = await findRollupBreach(scope, session);
+        if (breach) return { ...breach, ...scope };
+    }
+    return null;
+};
+
+/**
+ * Check one department's allocations for a year as they would stand after
+ * `change` (an allocation being created or resized), or as they stand when
+ * `change` names no budget head.
+ *
+ * @param {Object} change - { financialYear, department, budgetHead, allocatedAmount }
+ * @returns {Object|null} the first head whose sub-heads exceed it:
+ *   { headName, allocatedAmount, allocatedBelow }
+ */
+const findRollupBreach = async ({ financialYear, department, budgetHead, allocatedAmount }, session = null) => {
+    const [heads, allocations] = await Promise.all([
+        BudgetHead.find().select('name parent').lean().session(session),
+        Allocation.find({ financialYear, department }).select('budgetHead allocatedAmount').lean().session(session)
+    ]);
+
+    const amounts = new Map(allocations.map(item => [idOf(item.budgetHead), item.allocatedAmount]));
+    if (budgetHead) {
+        amounts.set(idOf(budgetHead), allocatedAmount);
+    }
+
+    let breach = null;
+    // Returns the total allocated in a subtree, checking each allocated head on the way up
+    const visit = (node) => {
+        const allocatedBelow = node.children.reduce((sum, child) => sum + visit(child), 0);
+        const own = amounts.get(idOf(node));
+        if (own !== undefined && allocatedBelow > own && !breach) {
+            breach = { headName: node.name, allocatedAmount: own, allocatedBelow };
+        }
+        return (own || 0) + allocatedBelow;
+    };
+    buildTree(heads, head => head.parent).forEach(visit);
+
+    return breach;
+};
+
+/**
+ * Error message for a roll-up breach.
+ */
+const describeBreach = (breach) =>
+    `Sub-head allocations under ${breach.headName} (₹${breach.allocatedBelow.toLocaleString('en-IN')}) `
+    + `would exceed its own allocation (₹${breach.allocatedAmount.toLocaleString('en-IN')})`;
+
+module.exports = {
+    buildTree,
+    rollUp,
+    getAncestry,
+    reparentHead,
+    findRollupBreach,
+    describeBreach
+};
@@ -0,0 +1,98 @@
+/**
+ * Budget Override Service for CBMS
+ * An expenditure that would take its allocation past the available balance can
+ * carry a budget override request. Once the principal or vice principal approves
+ * it, finalization may overspend the allocation by exactly the approved overrun.
+ */
+
+const BudgetOverride = require('../models/BudgetOverride');
+
+// Roles that decide override requests
+const OVERRIDE_APPROVER_ROLES = ['principal', 'vice_principal'];
+
+// Expenditures that have not yet been finalized, rejected or withdrawn
+const OPEN_EXPENDITURE_STATUSES = ['PENDING', 'HOD_VERIFIED', 'MANAGEMENT_APPROVED'];
+
+/**
+ * Unsaved override request for the part of an expenditure the allocation cannot cover.
+ * Commitments (purchase orders, advances) are as unavailable as spending, except
+ * what the expenditure itself releases when it is finalized.
+ *
+ * @param {Object} expenditure - Saved expenditure
+ * @param {Object} allocation - Allocation it will be deducted from
+ * @param {Object} options - { justification, requestedBy, released, releasedAmount }
+ * @returns {Object} BudgetOverride document
+ */
+const buildOverride = (expenditure, allocation, { justification, requestedBy, released = 0, releasedAmount = null }) => {
+    return new BudgetOverride({
+        expenditure: expenditure._id,
+        allocation: allocation._id,
+        allocationAmount: allocation.allocatedAmount,
+        allocationSpent: Math.max(0, allocation.spentAmount + (allocation.committedAmount || 0) - released),
+        expenseAmount: expenditure.totalAmount,
+        // Derived from the figures above on save
+        overrunAmount: 0,
+        releasedAmount,
+        justification,
+        requestedBy
+    });
+};
+
+/**
+ * The override still in play for an expenditure (pending or approved), if any.
+ */
+const getOpenOverride = async (expenditureId, session = null) => {
+    return BudgetOverride.findOne({
+        expenditure: expenditureId,
+        status: { $in: ['pending', 'approved'] }
+    }).sort({ createdAt: -1 }).session(session);
+};
+
+/**
+ * Overrun an expenditure may take its allocation into at finalization:
+ * the approved override's amount, or 0 when there is none.
+ *
+ * @returns {number}
+ */
+const getApprovedOverrun = async (expenditureId, session = null) => {
+    const override = await BudgetOverride.findOne({ expenditure: expenditureId, status: 'approved' })
+        .sort({ approvedAt: -1 })
+        .select('overrunAmount')
+        .session(session);
+    return override ? override.overrunAmount : 0;
+};
+
+/**
+ * Record the decision on a pending override. The update only matches while the
+ * override is still pending, so of two approvers deciding at once only one lands.
+ *
+ * @param {string|ObjectId} overrideId
+ * @param {string} status - 'approved' | 'rejected'
+ * @param {Object} decision - { user, role, onBehalfOf, remarks } (role and onBehalfOf from resolveActingRole)
+ * @returns {Object|null} Updated override, or null if it was no longer pending
+ */
+const recordOverrideDecision = async (overrideId, status, { user, role, onBehalfOf, remarks }) => {
+    return BudgetOverride.findOneAndUpdate(
+        { _id: overrideId, status: 'pending' },
+        {
+            $set: {
+                status,
+                approvedBy: user._id,
+                approverRole: role,
+                onBehalfOf: onBehalfOf ? onBehalfOf._id : null,
+                approvalRemarks: remarks || null,
+                [status === 'approved' ? 'approvedAt' : 'rejectedAt']: new Date()
+            }
+        },
+        { new: true }
+    );
+};
+
+module.exports = {
+    OVERRIDE_APPROVER_ROLES,
+    OPEN_EXPENDITURE_STATUSES,
+    buildOverride,
+    getOpenOverride,
+    getApprovedOverrun,
+    recordOverrideDecision
+};
@@ -0,0 +1,261 @@
+/**
+ * Carry-forward Service for CBMS
+ * Year-end closure checks and the carry-forward of unspent allocation
+ * balances into the next financial year.
+ */
+
+const FinancialYear = require('../models/FinancialYear');
+const Allocation = require('../models/Allocation');
+const AllocationHistory = require('../models/AllocationHistory');
+const Expenditure = require('../models/Expenditure');
+const Reappropriation = require('../models/Reappropriation');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Advance = require('../models/Advance');
+const BudgetOverride = require('../models/BudgetOverride');
+const AllocationAmendment = require('../models/AllocationAmendment');
+const { OPEN_PO_STATUSES, OPEN_ADVANCE_STATUSES } = require('./commitmentService');
+const { findRollupBreach } = require('./budgetHeadTreeService');
+
+const CARRYFORWARD_DECISIONS = ['carry', 'pool', 'lapse'];
+
+/**
+ * Unspent balances of a year's allocations, with where each could go next year.
+ * Used both to preview the carry-forward wizard and to apply it on closure.
+ */
+const buildCarryforwardPlan = async (fy, session = null) => {
+    const nextYear = FinancialYear.getNextYear(fy.year);
+    // Sequential reads: operations sharing a transaction session must not overlap
+    const allocations = await Allocation.find({ financialYear: fy.year })
+        .populate('department', 'name code')
+        .populate('budgetHead', 'name category')
+        .session(session);
+    const nextFY = await FinancialYear.findOne({ year: nextYear }).session(session);
+    const nextAllocations = await Allocation.find({ financialYear: nextYear }).session(session);
+
+    const findNextAllocation = (allocation) => nextAllocations.find(next =>
+        next.department.toString() === allocation.department._id.toString()
+        && next.budgetHead.toString() === allocation.budgetHead._id.toString()
+    );
+
+    const items = allocations
+        .filter(allocation => allocation.allocatedAmount - allocation.spentAmount > 0)
+        .map(allocation => ({
+            allocation: allocation._id,
+            department: allocation.department,
+            budgetHead: allocation.budgetHead,
+            allocatedAmount: allocation.allocatedAmount,
+            spentAmount: allocation.spentAmount,
+            unspentAmount: allocation.allocatedAmount - allocation.spentAmount,
+            nextAllocation: findNextAllocation(allocation)?._id || null,
+            suggestedDecision: fy.carryforwardAllowed ? 'carry' : 'lapse'
+        }));
+
+    return {
+        nextYear,
+        nextFinancialYear: nextFY,
+        carryforwardAllowed: fy.carryforwardAllowed,
+        totalUnspent: items.reduce((sum, item) => sum + item.unspentAmount, 0),
+        items
+    };
+};
+
+/**
+ * Add `amount` to a year's allocation for a department/head, creating it when
+ * there is none (or the one found has since been deleted), and record the
+ * change in the allocation history.
+ *
+ * @param {Object} params
+ * @param {string|null} params.allocationId - Existing allocation to credit, if known
+ * @param {Object} params.origin - Entry for `carriedForwardFrom`
+ * @returns {Object} The credited allocation
+ */
+const creditAllocation = async ({ allocationId, financialYear, department, budgetHead, amount, origin, changeReason, userId }, session) => {
+    let target = null;
+    let previousAmount = 0;
+    let version = 1;
+
+    if (allocationId) {
+        target = await Allocation.findByIdAndUpdate(
+            allocationId,
+            {
+                $inc: { allocatedAmount: amount },
+                $push: { carriedForwardFrom: origin },
+                lastModifiedBy: userId
+            },
+            { new: true, session }
+        );
+    }
+
+    if (target) {
+        const latestHistory = await AllocationHistory.findOne({ allocationId: target._id })
+            .sort({ version: -1 })
+            .session(session);
+        version = latestHistory ? latestHistory.version + 1 : 1;
+        previousAmount = target.allocatedAmount - amount;
+    } else {
+        [target] = await Allocation.create([{
+            financialYear,
+            department,
+            budgetHead,
+            allocatedAmount: amount,
+            remarks: changeReason,
+            carriedForwardFrom: [origin],
+            createdBy: userId
+        }], { session });
+    }
+
+    await AllocationHistory.create([{
+        allocationId: target._id,
+        version,
+        changeType: 'carried_forward',
+        snapshot: {
+            department: target.department,
+            budgetHead: target.budgetHead,
+            allocatedAmount: target.allocatedAmount,
+            spentAmount: target.spentAmount,
+            financialYear: target.financialYear,
+            remarks: target.remarks
+        },
+        changes: {
+            allocatedAmount: { old: previousAmount, new: target.allocatedAmount }
+        },
+        changeReason,
+        changedBy: userId
+    }], { session });
+
+    return target;
+};
+
+// Credit an unspent balance to the same department/head in the next year
+const carryIntoNextYear = async (item, fromYear, nextYear, userId, session) => {
+    return creditAllocation({
+        allocationId: item.nextAllocation,
+        financialYear: nextYear,
+        department: item.department._id,
+        budgetHead: item.budgetHead._id,
+        amount: item.unspentAmount,
+        origin: { allocation: item.allocation, financialYear: fromYear, amount: item.unspentAmount },
+        changeReason: `Unspent balance of ₹${item.unspentAmount.toLocaleString('en-IN')} carried forward from ${fromYear}`,
+        userId
+    }, session);
+};
+
+/**
+ * First budget head roll-up broken by the allocations a closure carried into
+ * the next year. Checked once every carry has landed, so a sub-head carried
+ * ahead of its parent head is not refused.
+ *
+ * @param {Array} targets - Allocations returned by carryIntoNextYear
+ * @returns {Object|null} Breach from findRollupBreach
+ */
+const findCarryforwardBreach = async (targets, session) => {
+    const checked = new Set();
+    for (const target of targets) {
+        const department = target.department.toString();
+        if (checked.has(department)) continue;
+        checked.add(department);
+
+        const breach = await findRollupBreach(target, session);
+        if (breach) return breach;
+    }
+    return null;
+};
+
+/**
+ * Allocate part of the balance pooled into a year at the previous year's closure
+ * to a department/head. The pool is drawn down atomically, so two admins
+ * cannot hand out the same money.
+ *
+ * @param {Object} fy - FinancialYear holding the pool
+ * @param {Object} params - { department, budgetHead, amount, remarks }
+ * @returns {Object|null} { allocation, remainingPool, breach }, or null if the pool is short.
+ *   The caller aborts the session when `breach` (from findRollupBreach) is set.
+ */
+const allocateFromPool = async (fy, { department, budgetHead, amount, remarks }, userId, session) => {
+    const pool = await FinancialYear.findOneAndUpdate(
+        { _id: fy._id, pooledCarryforward: { $gte: amount } },
+        { $inc: { pooledCarryforward: -amount } },
+        { new: true, session }
+    );
+    if (!pool) return null;
+
+    const existing = await Allocation.findOne({ financialYear: fy.year, department, budgetHead }).session(session);
+    const fromYear = FinancialYear.getPreviousYear(fy.year);
+    const allocation = await creditAllocation({
+        allocationId: existing?._id || null,
+        financialYear: fy.year,
+        department,
+        budgetHead,
+        amount,
+        origin: { financialYear: fromYear, amount },
+        changeReason: `₹${amount.toLocaleString('en-IN')} allocated from the balance pooled from ${fromYear}${remarks ? `: ${remarks}` : ''}`,
+        userId
+    }, session);
+
+    const breach = await findRollupBreach(allocation, session);
+
+    return { allocation, remainingPool: pool.pooledCarryforward, breach };
+};
+
+/**
+ * Why a year cannot be closed yet: documents still in an approval chain
+ * (including budget override and allocation amendment requests), open
+ * purchase orders, or advances not yet settled.
+ *
+ * @param {Object} fy - FinancialYear
+ * @returns {string|null} Message for the first blocker found, or null
+ */
+const getCloseBlocker = async (fy) => {
+    // Check for expenditures and re-appropriations still in the approval chain
+    const [pendingExpenditures, pendingReappropriations] = await Promise.all([
+        Expenditure.countDocuments({
+            financialYear: fy.year,
+            status: { $in: ['PENDING', 'HOD_VERIFIED', 'MANAGEMENT_APPROVED'] }
+        }),
+        Reappropriation.countDocuments({
+            financialYear: fy.year,
+            status: { $in: ['PENDING', 'HOD_VERIFIED'] }
+        })
+    ]);
+    if (pendingExpenditures > 0 || pendingReappropriations > 0) {
+        return `Cannot close financial year. There are ${pendingExpenditures} pending expenditures and ${pendingReappropriations} pending re-appropriations that need to be approved or rejected.`;
+    }
+
+    // Overrides and amendments belong to the year through their allocation
+    const allocationIds = await Allocation.find({ financialYear: fy.year }).distinct('_id');
+    const [pendingOverrides, pendingAmendments] = await Promise.all([
+        BudgetOverride.countDocuments({ allocation: { $in: allocationIds }, status: 'pending' }),
+        AllocationAmendment.countDocuments({ allocation: { $in: allocationIds }, status: 'pending' })
+    ]);
+    if (pendingOverrides > 0 || pendingAmendments > 0) {
+        return `Cannot close financial year. There are ${pendingOverrides} pending budget overrides and ${pendingAmendments} pending allocation amendments that need to be approved or rejected.`;
+    }
+
+    // Commitments must be billed or released before balances are carried forward
+    const openPurchaseOrders = await PurchaseOrder.countDocuments({
+        financialYear: fy.year,
+        status: { $in: OPEN_PO_STATUSES }
+    });
+    if (openPurchaseOrders > 0) {
+        return `Cannot close financial year. There are ${openPurchaseOrders} open purchase orders that need to be billed or closed.`;
+    }
+
+    const openAdvances = await Advance.countDocuments({
+        financialYear: fy.year,
+        status: { $in: [...OPEN_ADVANCE_STATUSES, 'PENDING', 'HOD_VERIFIED'] }
+    });
+    if (openAdvances > 0) {
+        return `Cannot close financial year. There are ${openAdvances} advances that need to be settled, cancelled or decided.`;
+    }
+
+    return null;
+};
+
+module.exports = {
+    CARRYFORWARD_DECISIONS,
+    buildCarryforwardPlan,
+    carryIntoNextYear,
+    findCarryforwardBreach,
+    allocateFromPool,
+    getCloseBlocker
+};
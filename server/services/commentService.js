@@ -0,0 +1,167 @@
+/**
+ * Comment Service for CBMS
+ * Discussion threads on expenditures and budget proposals (see models/Comment).
+ * An approver may ask the submitter a question as a clarification request: the
+ * document keeps its status, but its SLA clock stops until the submitter replies in
+ * that thread or a decision is taken.
+ */
+
+const Expenditure = require('../models/Expenditure');
+const BudgetProposal = require('../models/BudgetProposal');
+const User = require('../models/User');
+const { APPROVER_ROLES, DEPARTMENT_BOUND_ROLES } = require('../config/workflowRules');
+
+const COMMENT_TARGETS = {
+    Expenditure,
+    BudgetProposal
+};
+
+// Statuses in which a document is waiting on an approver
+const AWAITING_APPROVAL = ['PENDING', 'HOD_VERIFIED', 'MANAGEMENT_APPROVED'];
+
+const sameDepartment = (user, target) =>
+    Boolean(user.department) && user.department.toString() === (target.department._id || target.department).toString();
+
+/**
+ * Load the document a thread belongs to, if the user may see it.
+ *
+ * @returns {Object|null} { target } or { error, status }
+ */
+const findCommentTarget = async (targetEntity, id, user) => {
+    const Model = COMMENT_TARGETS[targetEntity];
+    const target = Model && await Model.findById(id);
+    if (!target || (target.status === 'DRAFT' && target.submittedBy.toString() !== user._id.toString())) {
+        return { status: 404, error: `${targetEntity === 'Expenditure' ? 'Expenditure' : 'Budget proposal'} not found` };
+    }
+    if ([...DEPARTMENT_BOUND_ROLES, 'department'].includes(user.role) && !sameDepartment(user, target)) {
+        return { status: 403, error: 'Access denied. You can only discuss your own department\'s requests.' };
+    }
+    return { target };
+};
+
+/**
+ * Users who can see the document, and so may be @mentioned on it: its department,
+ * and the roles that are not bound to one.
+ */
+const getMentionableUsers = (target) => User.find({
+    isActive: true,
+    $or: [
+        { department: target.department._id || target.department },
+        { role: { $nin: [...DEPARTMENT_BOUND_ROLES, 'department'] } }
+    ]
+})
+    .select('name role')
+    .sort({ name: 1 })
+    .lean();
+
+/**
+ * Users whose "@Name" appears in the comment. Longer names are matched first so
+ * "@Anita Rao" is not also read as a mention of "Anita".
+ *
+ * @param {string} body
+ * @param {Array} candidates - [{ _id, name }]
+ * @returns {Array} ids of the mentioned users
+ */
+const resolveMentions = (body, candidates) => {
+    let remaining = String(body || '').toLowerCase();
+    const mentioned = [];
+    [...candidates]
+        .filter(user => user.name)
+        .sort((a, b) => b.name.length - a.name.length)
+        .forEach(user => {
+            const handle = `@${user.name.toLowerCase()}`;
+            let at = remaining.indexOf(handle);
+            let found = false;
+            while (at !== -1) {
+                // The name must end at a word boundary
+                if (!/[a-z0-9]/.test(remaining.charAt(at + handle.length))) {
+                    found = true;
+                    remaining = remaining.slice(0, at) + ' '.repeat(handle.length) + remaining.slice(at + handle.length);
+                }
+                at = remaining.indexOf(handle, at + 1);
+            }
+            if (found) mentioned.push(user._id);
+        });
+    return mentioned;
+};
+
+/**
+ * How long the document has been waiting on approvers, in ms, leaving out time
+ * spent waiting on clarifications (including one still outstanding).
+ */
+const getSlaElapsedMs = (doc, now = new Date()) => {
+    const since = new Date(doc.submittedDate || doc.createdAt).getTime();
+    let paused = doc.slaPausedMs || 0;
+    if (doc.clarification?.status === 'REQUESTED' && doc.clarification.requestedAt) {
+        paused += now.getTime() - new Date(doc.clarification.requestedAt).getTime();
+    }
+    return Math.max(0, now.getTime() - since - paused);
+};
+
+/**
+ * Approvers may put a document awaiting approval on hold with a question.
+ * Department-bound approvers only for their own department.
+ */
+const canRequestClarification = (user, target) =>
+    APPROVER_ROLES.includes(user.role)
+    && AWAITING_APPROVAL.includes(target.status)
+    && (!DEPARTMENT_BOUND_ROLES.includes(user.role) || sameDepartment(user, target));
+
+/**
+ * The submitter answers, or a coordinator of the department on their behalf.
+ */
+const canAnswerClarification = (user, target) =>
+    (target.submittedBy._id || target.submittedBy).toString() === user._id.toString()
+    || (user.role === 'coordinator' && sameDepartment(user, target));
+
+/**
+ * Put the document on hold for `comment`. Written in place so a decision saved
+ * meanwhile is not overwritten.
+ *
+ * @returns {boolean} false when it is no longer awaiting approval or already on hold
+ */
+const openClarification = async (targetEntity, target, user, comment) => {
+    const clarification = {
+        status: 'REQUESTED',
+        requestedBy: user._id,
+        requestedAt: comment.createdAt,
+        comment: comment._id
+    };
+    const result = await COMMENT_TARGETS[targetEntity].updateOne(
+        { _id: target._id, status: { $in: AWAITING_APPROVAL }, 'clarification.status': { $ne: 'REQUESTED' } },
+        { $set: { clarification } }
+    );
+    if (result.modifiedCount === 0) return false;
+    target.clarification = clarification;
+    return true;
+};
+
+/**
+ * Take the document off hold once `comment` answers the open request, adding the
+ * time it waited to slaPausedMs.
+ *
+ * @returns {boolean} false when the request was already resolved
+ */
+const answerClarification = async (targetEntity, target, comment) => {
+    const waited = comment.createdAt.getTime() - new Date(target.clarification.requestedAt).getTime();
+    const result = await COMMENT_TARGETS[targetEntity].updateOne(
+        { _id: target._id, 'clarification.status': 'REQUESTED', 'clarification.comment': target.clarification.comment },
+        {
+            $set: { 'clarification.status': 'ANSWERED', 'clarification.resolvedAt': comment.createdAt },
+            $inc: { slaPausedMs: waited }
+        }
+    );
+    return result.modifiedCount > 0;
+};
+
+module.exports = {
+    COMMENT_TARGETS,
+    findCommentTarget,
+    getMentionableUsers,
+    resolveMentions,
+    getSlaElapsedMs,
+    canRequestClarification,
+    canAnswerClarification,
+    openClarification,
+    answerClarification
+};
@@ -0,0 +1,152 @@
+/**
+ * Commitment Service for CBMS
+ * Encumbrance accounting: purchase orders and approved cash advances reserve
+ * part of an allocation (Allocation.committedAmount) until their bills are
+ * finalized as expenditures or the order/advance is closed.
+ */
+
+const Allocation = require('../models/Allocation');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Advance = require('../models/Advance');
+
+// Orders that still hold, or may still hold, a commitment on their allocation
+const OPEN_PO_STATUSES = ['OPEN', 'PARTIALLY_RECEIVED', 'RECEIVED'];
+
+// Advances paid out and not yet settled
+const OPEN_ADVANCE_STATUSES = ['APPROVED', 'SETTLEMENT_SUBMITTED'];
+
+// committedAmount is absent on allocations created before commitments existed
+const COMMITTED = { $ifNull: ['$committedAmount', 0] };
+
+/**
+ * Budget still free on an allocation once spending and commitments are taken out.
+ *
+ * @param {Object} allocation - Allocation document or plain object
+ * @returns {number}
+ */
+const getAvailableAmount = (allocation) => {
+    return allocation.allocatedAmount - allocation.spentAmount - (allocation.committedAmount || 0);
+};
+
+/**
+ * Reserve an amount on an allocation. When overspend is disallowed the
+ * reservation only succeeds while the allocation has that much available.
+ *
+ * @param {string|ObjectId} allocationId
+ * @param {number} amount
+ * @param {Object} options - { session, allowOverspend }
+ * @returns {Object|null} Updated allocation, or null if the funds are not available
+ */
+const commitFunds = async (allocationId, amount, { session = null, allowOverspend = false } = {}) => {
+    return Allocation.findOneAndUpdate(
+        {
+            _id: allocationId,
+            ...(allowOverspend ? {} : {
+                $expr: { $lte: [{ $add: ['$spentAmount', COMMITTED, amount] }, '$allocatedAmount'] }
+            })
+        },
+        { $inc: { committedAmount: amount }, $set: { lastTransactionDate: new Date() } },
+        { new: true, session }
+    );
+};
+
+/**
+ * Return a reserved amount to the allocation's available balance.
+ */
+const releaseFunds = async (allocationId, amount, session = null) => {
+    if (amount <= 0) {
+        return null;
+    }
+    return Allocation.findByIdAndUpdate(
+        allocationId,
+        { $inc: { committedAmount: -amount }, $set: { lastTransactionDate: new Date() } },
+        { new: true, session }
+    );
+};
+
+/**
+ * Portion of an expenditure that is covered by its purchase order's outstanding
+ * commitment. That portion is already reserved, so finalizing the bill moves it
+ * from committed to spent instead of drawing on the available balance.
+ * An advance settlement releases the whole advance: whatever the bills come to
+ * is spent and the rest of the reservation is freed.
+ *
+ * @param {Object} expenditure
+ * @param {Object} session
+ * @returns {number}
+ */
+const getBillRelease = async (expenditure, session = null) => {
+    if (expenditure.advance) {
+        const advance = await Advance.findById(expenditure.advance)
+            .select('committedAmount status')
+            .session(session);
+        if (!advance || !OPEN_ADVANCE_STATUSES.includes(advance.status)) {
+            return 0;
+        }
+        return advance.committedAmount;
+    }
+    if (!expenditure.purchaseOrder) {
+        return 0;
+    }
+    const purchaseOrder = await PurchaseOrder.findById(expenditure.purchaseOrder)
+        .select('committedAmount status')
+        .session(session);
+    if (!purchaseOrder || !OPEN_PO_STATUSES.includes(purchaseOrder.status)) {
+        return 0;
+    }
+    return Math.min(expenditure.totalAmount, purchaseOrder.committedAmount);
+};
+
+/**
+ * Record a finalized bill on its purchase order. The allocation side
+ * (spent up, committed down by `released`) is applied by the caller.
+ * An order whose bills reach its total is closed.
+ */
+const settlePurchaseOrderBill = async (expenditure, released, session = null) => {
+    const purchaseOrder = await PurchaseOrder.findById(expenditure.purchaseOrder).session(session);
+    if (!purchaseOrder) {
+        return null;
+    }
+
+    purchaseOrder.committedAmount = Math.max(0, purchaseOrder.committedAmount - released);
+    purchaseOrder.billedAmount += expenditure.totalAmount;
+
+    if (purchaseOrder.billedAmount >= purchaseOrder.totalAmount) {
+        // Fully billed: any commitment left over (bills came in under the order) is freed
+        await releaseFunds(purchaseOrder.allocation, purchaseOrder.committedAmount, session);
+        purchaseOrder.committedAmount = 0;
+        purchaseOrder.status = 'CLOSED';
+        purchaseOrder.closedAt = new Date();
+        purchaseOrder.closeReason = 'Fully billed';
+    }
+
+    await purchaseOrder.save({ session });
+    return purchaseOrder;
+};
+
+/**
+ * Take a reversed bill off its purchase order's billed total. The commitment it
+ * consumed is not reserved again; a replacement bill draws on the available balance.
+ */
+const reversePurchaseOrderBill = async (expenditure, session = null) => {
+    const purchaseOrder = await PurchaseOrder.findById(expenditure.purchaseOrder).session(session);
+    if (!purchaseOrder) {
+        return null;
+    }
+
+    purchaseOrder.billedAmount = Math.max(0, purchaseOrder.billedAmount - expenditure.totalAmount);
+    await purchaseOrder.save({ session });
+    return purchaseOrder;
+};
+
+module.exports = {
+    OPEN_PO_STATUSES,
+    OPEN_ADVANCE_STATUSES,
+    COMMITTED,
+    getAvailableAmount,
+    commitFunds,
+    releaseFunds,
+    getBillRelease,
+    settlePurchaseOrderBill,
+    reversePurchaseOrderBill
+};
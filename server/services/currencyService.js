@@ -0,0 +1,93 @@
+/**
+ * Currency Service for CBMS
+ * Converts foreign-currency bills and incomes to rupees using the admin-maintained
+ * rate table. Allocations, budgets and reports are always kept in INR.
+ */
+
+const ExchangeRate = require('../models/ExchangeRate');
+
+const BASE_CURRENCY = 'INR';
+
+const roundToPaise = (value) => Math.round(value * 100) / 100;
+
+const normalizeCurrency = (currency) => String(currency || BASE_CURRENCY).trim().toUpperCase();
+
+/**
+ * Rate in force for a currency on a date: the latest entry effective on or before it.
+ *
+ * @param {string} currency - ISO 4217 code
+ * @param {Date} date
+ * @returns {Object|null} ExchangeRate document, or { rate: 1 } for INR
+ */
+const getExchangeRate = async (currency, date = new Date()) => {
+    const code = normalizeCurrency(currency);
+    if (code === BASE_CURRENCY) {
+        return { currency: BASE_CURRENCY, rate: 1, effectiveFrom: null };
+    }
+    return ExchangeRate.findOne({ currency: code, effectiveFrom: { $lte: date } })
+        .sort({ effectiveFrom: -1 });
+};
+
+/**
+ * Convert an amount to INR at the rate in force on a date.
+ *
+ * @param {number} amount - In the given currency
+ * @param {string} currency
+ * @param {Date} date - Bill or receipt date
+ * @returns {Object} { amount, currency, foreignAmount, exchangeRate, error }
+ */
+const convertToBase = async (amount, currency, date = new Date()) => {
+    const code = normalizeCurrency(currency);
+    const value = parseFloat(amount) || 0;
+
+    if (code === BASE_CURRENCY) {
+        return { amount: value, currency: BASE_CURRENCY, foreignAmount: null, exchangeRate: 1, error: null };
+    }
+
+    const rate = await getExchangeRate(code, date);
+    if (!rate) {
+        return {
+            amount: null,
+            currency: code,
+            foreignAmount: value,
+            exchangeRate: null,
+            error: `No ${code} exchange rate is available for ${new Date(date).toLocaleDateString('en-IN')}. Ask an administrator to add one.`
+        };
+    }
+
+    return {
+        amount: roundToPaise(value * rate.rate),
+        currency: code,
+        foreignAmount: value,
+        exchangeRate: rate.rate,
+        error: null
+    };
+};
+
+/**
+ * Convert foreign-currency expense items to INR in place, at the rate on each bill date.
+ * `amount` becomes the INR value; the billed amount moves to `foreignAmount`.
+ *
+ * @param {Array} expenseItems - Raw items from the request
+ * @returns {string|null} Error message for the first item without a rate, or null
+ */
+const applyExchangeRates = async (expenseItems) => {
+    for (const [index, item] of expenseItems.entries()) {
+        const conversion = await convertToBase(item.amount, item.currency, item.billDate ? new Date(item.billDate) : new Date());
+        if (conversion.error) {
+            return `Item ${index + 1} (bill ${item.billNumber || 'without number'}): ${conversion.error}`;
+        }
+        item.currency = conversion.currency;
+        item.foreignAmount = conversion.foreignAmount;
+        item.exchangeRate = conversion.exchangeRate;
+        item.amount = conversion.amount;
+    }
+    return null;
+};
+
+module.exports = {
+    BASE_CURRENCY,
+    getExchangeRate,
+    convertToBase,
+    applyExchangeRates
+};
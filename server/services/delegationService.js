@@ -0,0 +1,91 @@
+/**
+ * Delegation Service for CBMS
+ * Resolves out-of-office substitutes: whom a user is currently standing in
+ * for, and who should receive approval work addressed to an absent user.
+ */
+
+const Delegation = require('../models/Delegation');
+
+/**
+ * Users the given user is currently standing in for.
+ * Each entry carries the delegator's identity as used by the workflow engine.
+ *
+ * @param {string|ObjectId} userId - The delegate
+ * @param {Date} date - Moment to evaluate (defaults to now)
+ * @returns {Array} [{ _id, name, email, role, department, delegationId }]
+ */
+const getActiveDelegators = async (userId, date = new Date()) => {
+    const delegations = await Delegation.find({
+        delegate: userId,
+        ...Delegation.activeFilter(date)
+    }).populate('delegator', 'name email role department isActive');
+
+    return delegations
+        .filter(delegation => delegation.delegator && delegation.delegator.isActive)
+        .map(delegation => ({
+            _id: delegation.delegator._id,
+            name: delegation.delegator.name,
+            email: delegation.delegator.email,
+            role: delegation.delegatorRole,
+            department: delegation.delegator.department,
+            delegationId: delegation._id
+        }));
+};
+
+/**
+ * Authority a user decides under when only some roles may decide: their own
+ * role if it qualifies, otherwise that of an absent user they stand in for.
+ * Same precedence as the workflow engine's delegated checks.
+ *
+ * @param {Object} user - The person deciding (req.user)
+ * @param {Array} roles - Roles allowed to decide
+ * @param {Array} delegators - From getActiveDelegators
+ * @returns {Object|null} { role, onBehalfOf } with onBehalfOf null for the user's own role,
+ *   or null when neither the user nor anyone they stand in for holds one of the roles
+ */
+const resolveActingRole = (user, roles, delegators = []) => {
+    if (roles.includes(user.role)) {
+        return { role: user.role, onBehalfOf: null };
+    }
+
+    const delegator = delegators.find(entry => roles.includes(entry.role));
+    return delegator ? { role: delegator.role, onBehalfOf: delegator } : null;
+};
+
+/**
+ * The substitute currently covering for a user, if any.
+ *
+ * @param {string|ObjectId} userId - The delegator
+ * @param {Date} date - Moment to evaluate (defaults to now)
+ * @returns {Object|null} Populated delegate user
+ */
+const getActiveDelegate = async (userId, date = new Date()) => {
+    const delegation = await Delegation.findOne({
+        delegator: userId,
+        ...Delegation.activeFilter(date)
+    })
+        .sort({ startDate: -1 })
+        .populate('delegate', 'name email role department isActive');
+
+    return delegation && delegation.delegate && delegation.delegate.isActive ? delegation.delegate : null;
+};
+
+/**
+ * Swap absent approvers for their substitutes.
+ *
+ * @param {Array} users - Intended recipients
+ * @returns {Array} [{ user, onBehalfOf }] where onBehalfOf is the absent user or null
+ */
+const resolveRecipients = async (users) => {
+    return Promise.all(users.map(async (user) => {
+        const delegate = await getActiveDelegate(user._id);
+        return delegate ? { user: delegate, onBehalfOf: user } : { user, onBehalfOf: null };
+    }));
+};
+
+module.exports = {
+    getActiveDelegators,
+    resolveActingRole,
+    getActiveDelegate,
+    resolveRecipients
+};
@@ -0,0 +1,224 @@
+/**
+ * Expenditure Split Service for CBMS
+ * An expenditure can be charged to several allocations at once, e.g. an
+ * inter-departmental event or a project drawing on its member departments'
+ * budgets. Each split is a percentage of the bill or a fixed amount and
+ * together they must cover it exactly. Each split's allocation is debited
+ * when the expenditure is finalized.
+ */
+
+const Allocation = require('../models/Allocation');
+const { COMMITTED, getAvailableAmount } = require('./commitmentService');
+const { isPhased, getReleasedAvailable } = require('./phasingService');
+
+const roundToPaise = (value) => Math.round(value * 100) / 100;
+
+const sumAmounts = (splits) => roundToPaise(splits.reduce((sum, split) => sum + split.amount, 0));
+
+/**
+ * Work out each split's amount of `totalAmount`. Percentage splits take the
+ * rounding difference, so 33.33/33.33/33.34 of ₹100 comes out exact.
+ *
+ * @param {Array} splits - [{ allocation, mode: 'percentage'|'amount', value }]
+ * @param {number} totalAmount
+ * @returns {Object} { splits, error } - no splits means the expenditure is not split
+ */
+const normalizeSplits = (splits, totalAmount) => {
+    if (!Array.isArray(splits) || splits.length === 0) {
+        return { splits: [], error: null };
+    }
+    if (splits.length < 2) {
+        return { error: 'A split expenditure needs at least two allocations' };
+    }
+
+    const normalized = [];
+    for (const split of splits) {
+        const value = parseFloat(split.value);
+        if (!split.allocation || !['percentage', 'amount'].includes(split.mode)) {
+            return { error: 'Each split needs an allocation and a percentage or amount' };
+        }
+        if (!Number.isFinite(value) || value <= 0) {
+            return { error: 'Split percentages and amounts must be greater than zero' };
+        }
+        if (normalized.some(existing => existing.allocation.toString() === split.allocation.toString())) {
+            return { error: 'An allocation can only appear once in a split' };
+        }
+        normalized.push({
+            allocation: split.allocation,
+            mode: split.mode,
+            value,
+            amount: roundToPaise(split.mode === 'percentage' ? totalAmount * value / 100 : value)
+        });
+    }
+
+    const difference = roundToPaise(totalAmount - sumAmounts(normalized));
+    const lastPercentage = [...normalized].reverse().find(split => split.mode === 'percentage');
+    if (lastPercentage && difference !== 0 && Math.abs(difference) <= 0.01 * normalized.length) {
+        lastPercentage.amount = roundToPaise(lastPercentage.amount + difference);
+    }
+
+    const splitTotal = sumAmounts(normalized);
+    if (Math.abs(splitTotal - totalAmount) > 0.001) {
+        return {
+            error: `Splits add up to ₹${splitTotal.toLocaleString('en-IN')} but the expenditure is ₹${totalAmount.toLocaleString('en-IN')}`
+        };
+    }
+    return { splits: normalized, error: null };
+};
+
+/**
+ * Check the allocations named in the splits and fill in their department and
+ * budget head. Each must be for the expenditure's year and belong to the
+ * submitting department or, on a project expenditure, a member department.
+ * With `enforceBudget` (or on a phased allocation) each must have its share
+ * available, as released so far.
+ *
+ * @param {Array} splits - From normalizeSplits
+ * @param {Object} context - { department, financialYear, project, enforceBudget }
+ * @returns {string|null} error message
+ */
+const validateSplitAllocations = async (splits, { department, financialYear, project, enforceBudget }, session = null) => {
+    const allocations = await Allocation.find({ _id: { $in: splits.map(split => split.allocation) } })
+        .populate('department', 'name')
+        .populate('budgetHead', 'name')
+        .session(session);
+
+    const allowedDepartments = [department, ...(project ? project.memberDepartments : [])].map(id => id.toString());
+
+    for (const split of splits) {
+        const allocation = allocations.find(item => item._id.toString() === split.allocation.toString());
+        if (!allocation) {
+            return 'A split allocation was not found';
+        }
+        const label = `${allocation.department.name} - ${allocation.budgetHead.name}`;
+        if (allocation.financialYear !== financialYear) {
+            return `${label} is an allocation for ${allocation.financialYear}, not ${financialYear}`;
+        }
+        if (!allowedDepartments.includes(allocation.department._id.toString())) {
+            return project
+                ? `${allocation.department.name} is not a member of ${project.code}`
+                : `Charging ${allocation.department.name} needs a project that both departments belong to`;
+        }
+
+        const available = Math.min(getAvailableAmount(allocation), getReleasedAvailable(allocation));
+        if ((enforceBudget || isPhased(allocation)) && split.amount > available) {
+            return `${label} has ₹${Math.max(0, available).toLocaleString('en-IN')} available for its ₹${split.amount.toLocaleString('en-IN')} share`;
+        }
+
+        split.department = allocation.department._id;
+        split.budgetHead = allocation.budgetHead._id;
+    }
+    return null;
+};
+
+/**
+ * Split amounts for the expenditure's current total. Lines reduced or rejected
+ * in review are spread over the splits in proportion to what each was to carry.
+ *
+ * @returns {Array<number>} one amount per split
+ */
+const getSplitShares = (expenditure) => {
+    const submitted = sumAmounts(expenditure.splits);
+    if (Math.abs(submitted - expenditure.totalAmount) < 0.005) {
+        return expenditure.splits.map(split => split.amount);
+    }
+
+    let remaining = expenditure.totalAmount;
+    return expenditure.splits.map((split, index) => {
+        if (index === expenditure.splits.length - 1) return roundToPaise(remaining);
+        const share = submitted > 0 ? roundToPaise(expenditure.totalAmount * split.amount / submitted) : 0;
+        remaining -= share;
+        return share;
+    });
+};
+
+/**
+ * First split whose allocation cannot take its share now, as an error message.
+ *
+ * @returns {string|null}
+ */
+const findSplitShortfall = async (expenditure, session = null) => {
+    const shares = getSplitShares(expenditure);
+    for (const [index, split] of expenditure.splits.entries()) {
+        const allocation = await Allocation.findById(split.allocation).session(session);
+        if (!allocation) {
+            return 'A split allocation no longer exists';
+        }
+        if (shares[index] > getAvailableAmount(allocation)) {
+            return `A split allocation has ₹${Math.max(0, getAvailableAmount(allocation)).toLocaleString('en-IN')} available for its ₹${shares[index].toLocaleString('en-IN')} share`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Debit each split's share from its allocation inside the caller's transaction,
+ * and record the final shares on the expenditure.
+ *
+ * @returns {Object|null} balance snapshot summed over the allocations, or null
+ *   if one is missing or (with `enforceBudget`) would be overspent
+ */
+const deductSplits = async (expenditure, enforceBudget, session) => {
+    const shares = getSplitShares(expenditure);
+    let newBalance = 0;
+
+    for (const [index, split] of expenditure.splits.entries()) {
+        const amount = shares[index];
+        const allocation = await Allocation.findOneAndUpdate(
+            {
+                _id: split.allocation,
+                ...(enforceBudget ? {
+                    $expr: { $lte: [{ $add: ['$spentAmount', COMMITTED, amount] }, '$allocatedAmount'] }
+                } : {})
+            },
+            {
+                $inc: { spentAmount: amount },
+                $set: { lastTransactionDate: new Date() }
+            },
+            { session, new: true }
+        );
+        if (!allocation) return null;
+
+        split.amount = amount;
+        newBalance += getAvailableAmount(allocation);
+    }
+
+    await expenditure.save({ session });
+
+    return {
+        previousBalance: newBalance + expenditure.totalAmount,
+        spent: expenditure.totalAmount,
+        newBalance
+    };
+};
+
+/**
+ * Give each split's share back to its allocation (reversal of a finalized expenditure).
+ *
+ * @returns {Array|null} updated allocations, or null if one no longer carries its share
+ */
+const reverseSplits = async (expenditure, session) => {
+    const allocations = [];
+    for (const split of expenditure.splits) {
+        const allocation = await Allocation.findOneAndUpdate(
+            { _id: split.allocation, spentAmount: { $gte: split.amount } },
+            {
+                $inc: { spentAmount: -split.amount },
+                $set: { lastTransactionDate: new Date() }
+            },
+            { session, new: true }
+        );
+        if (!allocation) return null;
+        allocations.push(allocation);
+    }
+    return allocations;
+};
+
+module.exports = {
+    normalizeSplits,
+    validateSplitAllocations,
+    getSplitShares,
+    findSplitShortfall,
+    deductSplits,
+    reverseSplits
+};
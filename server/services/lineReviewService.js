@@ -0,0 +1,102 @@
+/**
+ * Line Review Service for CBMS
+ * Lets an approver pass, reduce or reject individual expense items while
+ * signing off the expenditure as a whole, instead of bouncing every bill
+ * back for resubmission over one disputed line.
+ */
+
+const LINE_DECISIONS = {
+    approve: 'APPROVED',
+    reduce: 'REDUCED',
+    reject: 'REJECTED'
+};
+
+const roundToPaise = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Apply per-item decisions to an expenditure document (not saved) and
+ * recalculate its totalAmount from the approved lines, so budget checks
+ * before the save already see the reduced figure.
+ * Items without a decision keep their current outcome. A later stage may
+ * overrule an earlier one, but never pass more than was billed.
+ *
+ * @param {Object} expenditure - Expenditure document
+ * @param {Array} decisions - [{ itemId, decision: 'approve'|'reduce'|'reject', approvedAmount, remarks }]
+ * @param {Object} reviewer - { user, role, stage }
+ * @returns {string|null} Error message, or null when every decision was applied
+ */
+const applyLineDecisions = (expenditure, decisions, { user, role, stage }) => {
+    if (!Array.isArray(decisions) || decisions.length === 0) {
+        return null;
+    }
+
+    for (const entry of decisions) {
+        const item = expenditure.expenseItems.id(entry.itemId);
+        if (!item) {
+            return `Expense item ${entry.itemId} does not belong to this expenditure`;
+        }
+
+        const lineStatus = LINE_DECISIONS[entry.decision];
+        if (!lineStatus) {
+            return `Invalid decision "${entry.decision}" for bill ${item.billNumber}. Use approve, reduce or reject.`;
+        }
+
+        const remarks = entry.remarks ? String(entry.remarks).trim() : '';
+        if (lineStatus !== 'APPROVED' && !remarks) {
+            return `Remarks are required to ${entry.decision} bill ${item.billNumber}`;
+        }
+
+        let approvedAmount;
+        if (lineStatus === 'REDUCED') {
+            approvedAmount = roundToPaise(parseFloat(entry.approvedAmount));
+            if (!Number.isFinite(approvedAmount) || approvedAmount <= 0 || approvedAmount >= item.amount) {
+                return `Reduced amount for bill ${item.billNumber} must be more than ₹0 and less than the billed ₹${item.amount.toLocaleString('en-IN')}`;
+            }
+        }
+
+        item.lineStatus = lineStatus;
+        item.approvedAmount = approvedAmount;
+        item.lineReviews.push({
+            reviewer: user._id,
+            role,
+            stage,
+            decision: entry.decision,
+            approvedAmount,
+            remarks: remarks || undefined,
+            timestamp: new Date()
+        });
+    }
+
+    if (expenditure.expenseItems.every(item => item.lineStatus === 'REJECTED')) {
+        return 'Every line would be rejected. Reject the expenditure instead.';
+    }
+
+    const Expenditure = expenditure.constructor;
+    expenditure.totalAmount = expenditure.expenseItems
+        .reduce((sum, item) => sum + Expenditure.getLineAmount(item), 0);
+
+    return null;
+};
+
+/**
+ * Lines changed from what was billed, for audit details and notifications.
+ *
+ * @param {Object} expenditure
+ * @returns {Array} [{ billNumber, vendorName, lineStatus, amount, approvedAmount }]
+ */
+const summarizeLineChanges = (expenditure) => {
+    return expenditure.expenseItems
+        .filter(item => ['REDUCED', 'REJECTED'].includes(item.lineStatus))
+        .map(item => ({
+            billNumber: item.billNumber,
+            vendorName: item.vendorName,
+            lineStatus: item.lineStatus,
+            amount: item.amount,
+            approvedAmount: item.lineStatus === 'REDUCED' ? item.approvedAmount : 0
+        }));
+};
+
+module.exports = {
+    applyLineDecisions,
+    summarizeLineChanges
+};
@@ -0,0 +1,295 @@
+/**
+ * OCR Service for CBMS
+ * Reads the bill number, bill date, vendor and amount off an uploaded bill so the
+ * submission form can be pre-filled, and flags lines whose typed amount differs from
+ * the bill. Runs offline: PDFs are read from their text layer (scanned PDFs are
+ * rendered first), images and scans go through the bundled Tesseract engine.
+ * Every field carries a 0-1 confidence; nothing here is relied on without review.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BASE_CURRENCY } = require('./currencyService');
+
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_TIMEOUT = parseInt(process.env.OCR_TIMEOUT || '30000', 10);
+// Extracted amounts below this confidence are shown but never raise a mismatch
+const AMOUNT_CONFIDENCE_THRESHOLD = 0.6;
+// Typed and extracted amounts within a rupee are taken to agree (rounding on the bill)
+const AMOUNT_TOLERANCE = 1;
+// Results are kept by file hash, so a bill read when the form is filled is not read again on submission
+const CACHE_SIZE = 100;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const cache = new Map();
+let workerPromise = null;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Tesseract worker, started on first use and kept for later bills.
+ */
+const getWorker = () => {
+    if (!workerPromise) {
+        const { createWorker, OEM } = require('tesseract.js');
+        const eng = require('@tesseract.js-data/eng');
+        workerPromise = createWorker(eng.code, OEM.LSTM_ONLY, {
+            langPath: eng.langPath,
+            gzip: eng.gzip,
+            cachePath: path.join(os.tmpdir(), 'cbms-ocr')
+        }).catch(error => {
+            workerPromise = null;
+            throw error;
+        });
+    }
+    return workerPromise;
+};
+
+const recognizeImage = async (image) => {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(image);
+    return { text: data.text || '', textConfidence: (data.confidence || 0) / 100, engine: 'tesseract' };
+};
+
+/**
+ * Text of a PDF's first page; a scanned page with no text layer is rendered and recognized.
+ */
+const readPdf = async (filePath) => {
+    const { PDFParse } = require('pdf-parse');
+    const parser = new PDFParse({ data: await fs.promises.readFile(filePath) });
+    try {
+        const { text } = await parser.getText({ first: 1, pageJoiner: '' });
+        if (text.replace(/\s/g, '').length >= 20) {
+            return { text, textConfidence: 1, engine: 'pdf-text' };
+        }
+        const { pages } = await parser.getScreenshot({ first: 1, scale: 2, imageDataUrl: false });
+        if (!pages.length) return { text: '', textConfidence: 0, engine: 'pdf-text' };
+        return recognizeImage(Buffer.from(pages[0].data));
+    } finally {
+        await parser.destroy();
+    }
+};
+
+/**
+ * Parse "1,23,456.50" style numbers (Indian or Western grouping).
+ */
+const parseAmount = (raw) => {
+    const value = Number(String(raw).replace(/,/g, ''));
+    return Number.isFinite(value) ? round2(value) : null;
+};
+
+const AMOUNT_PATTERN = /(?:rs\.?|inr|₹)?\s*(\d{1,3}(?:,\d{2,3})+(?:\.\d{1,2})?|\d+\.\d{1,2}|\d+)(?![\d/-])/gi;
+
+/**
+ * Read a date as written on Indian bills: day first unless the year leads.
+ *
+ * @returns {string|null} YYYY-MM-DD
+ */
+const parseDate = (raw) => {
+    let day;
+    let month;
+    let year;
+    let match = raw.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = raw.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/))) {
+        [, day, month, year] = match.map(Number);
+    } else if ((match = raw.match(/\b(\d{1,2})(?:st|nd|rd|th)?[-\s/.]*([a-z]{3})[a-z]*[-\s/.,]*(\d{2,4})\b/i))) {
+        day = Number(match[1]);
+        month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+        year = Number(match[3]);
+    } else {
+        return null;
+    }
+    if (year < 100) year += 2000;
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().split('T')[0];
+};
+
+const DATE_PATTERN = /\b\d{4}[-/.]\d{1,2}[-/.]\d{1,2}\b|\b\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}\b|\b\d{1,2}(?:st|nd|rd|th)?[-\s/.]*(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*[-\s/.,]*\d{2,4}\b/i;
+
+// Labels for the bill total, strongest first; sub-totals and tax lines are skipped
+const TOTAL_LABELS = [
+    /grand\s*total/i,
+    /(?:net|total)\s*(?:amount\s*)?payable|amount\s*payable|balance\s*due/i,
+    /(?:invoice|bill|net)\s*(?:total|amount)|total\s*(?:amount|value)/i,
+    /\btotal\b/i
+];
+const NOT_TOTAL = /sub\s*-?\s*total|total\s*(?:tax|gst|qty|quantity|items?|discount)|taxable/i;
+
+const BILL_NUMBER_PATTERN = /\b(?:invoice|inv|bill|receipt|voucher|memo)\s*(?:no|number|num|#)\.?\s*[:#-]?\s*([A-Z0-9][A-Z0-9/_.-]*\d[A-Z0-9/_.-]*|[A-Z0-9]*\d[A-Z0-9]*)/i;
+const VENDOR_LABEL_PATTERN = /^(?:from|sold\s*by|seller|supplier|vendor|billed\s*by)\s*[:-]\s*(.+)$/i;
+// Lines at the head of a bill that are not the seller's name
+const HEADER_NOISE = /invoice|bill\b|receipt|gstin|gst\s*no|\bpan\b|phone|ph\.|mobile|tel\b|email|@|www\.|original|duplicate|copy|cash\s*memo|estimate|quotation|^\W*$/i;
+
+const field = (value, confidence) => (value === null || value === undefined || value === ''
+    ? null
+    : { value, confidence: round2(confidence) });
+
+/**
+ * Pick the bill fields out of recognized text.
+ *
+ * @param {string} text - Recognized or extracted text
+ * @param {number} textConfidence - 0-1 confidence in the text itself
+ * @returns {Object} { billNumber, billDate, vendorName, amount } - each { value, confidence } or null
+ */
+const parseBillText = (text, textConfidence = 1) => {
+    const lines = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    let billNumber = null;
+    for (const line of lines) {
+        const match = line.match(BILL_NUMBER_PATTERN);
+        if (match) {
+            billNumber = field(match[1].replace(/[.:-]+$/, ''), 0.9 * textConfidence);
+            break;
+        }
+    }
+
+    let billDate = null;
+    const datedLine = lines.find(line => /date/i.test(line) && !/due\s*date/i.test(line) && DATE_PATTERN.test(line));
+    if (datedLine) {
+        billDate = field(parseDate(datedLine.match(DATE_PATTERN)[0]), 0.9 * textConfidence);
+    }
+    if (!billDate) {
+        const anyDate = lines.map(line => line.match(DATE_PATTERN)).find(Boolean);
+        if (anyDate) billDate = field(parseDate(anyDate[0]), 0.6 * textConfidence);
+    }
+
+    let vendorName = null;
+    for (const line of lines) {
+        const match = line.match(VENDOR_LABEL_PATTERN);
+        if (match) {
+            vendorName = field(match[1].trim(), 0.8 * textConfidence);
+            break;
+        }
+    }
+    if (!vendorName) {
+        // Otherwise the seller usually heads the bill
+        const heading = lines.slice(0, 5).find(line => !HEADER_NOISE.test(line)
+            && (line.match(/[a-z]/gi) || []).length >= 3
+            && (line.match(/\d/g) || []).length <= 2);
+        if (heading) vendorName = field(heading.replace(/\s{2,}/g, ' '), 0.5 * textConfidence);
+    }
+
+    let amount = null;
+    for (const [rank, label] of TOTAL_LABELS.entries()) {
+        // The last match wins: totals sit at the foot of the bill, below any line items
+        const line = [...lines].reverse().find(candidate => label.test(candidate) && !NOT_TOTAL.test(candidate));
+        const values = line ? [...line.matchAll(AMOUNT_PATTERN)].map(match => parseAmount(match[1])).filter(value => value > 0) : [];
+        if (values.length > 0) {
+            amount = field(values[values.length - 1], (0.95 - rank * 0.1) * textConfidence);
+            break;
+        }
+    }
+    if (!amount) {
+        // No labelled total: take the largest figure that looks like money
+        const values = lines
+            .filter(line => !DATE_PATTERN.test(line) && !BILL_NUMBER_PATTERN.test(line))
+            .flatMap(line => [...line.matchAll(AMOUNT_PATTERN)].filter(match => /[.,]|rs|inr|₹/i.test(match[0])))
+            .map(match => parseAmount(match[1]))
+            .filter(value => value > 0);
+        if (values.length > 0) amount = field(Math.max(...values), 0.4 * textConfidence);
+    }
+
+    return { billNumber, billDate, vendorName, amount };
+};
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`OCR timed out after ${ms}ms`)), ms);
+    promise.then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+/**
+ * Extract bill fields from an uploaded file still staged on disk.
+ *
+ * @param {Object} file - { path, mimetype }
+ * @returns {Object|null} { engine, confidence, billNumber, billDate, vendorName, amount },
+ *   or null when OCR is off, the file type is not a bill format or it could not be read
+ */
+const extractBillData = async (file) => {
+    const isPdf = file.mimetype === 'application/pdf';
+    if (!OCR_ENABLED || !file.path || (!isPdf && !/^image\/(jpeg|jpg|png)$/.test(file.mimetype))) return null;
+
+    try {
+        const hash = crypto.createHash('sha256').update(await fs.promises.readFile(file.path)).digest('hex');
+        if (cache.has(hash)) {
+            const cached = cache.get(hash);
+            cache.delete(hash);
+            cache.set(hash, cached);
+            return cached;
+        }
+
+        const { text, textConfidence, engine } = await withTimeout(
+            isPdf ? readPdf(file.path) : recognizeImage(file.path),
+            OCR_TIMEOUT
+        );
+        const fields = parseBillText(text, textConfidence);
+        const found = Object.values(fields).map(item => (item ? item.confidence : 0));
+        const extraction = {
+            engine,
+            // Overall score; fields not found count as zero
+            confidence: round2(found.reduce((sum, value) => sum + value, 0) / found.length),
+            ...fields
+        };
+
+        cache.set(hash, extraction);
+        if (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+        return extraction;
+    } catch (error) {
+        console.error(`Bill OCR failed for ${file.originalname || file.path}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Lines whose typed amount does not match what was read off any of their bills.
+ * Run after exchange rates are applied: foreign bills compare in the billed currency.
+ *
+ * @param {Array} expenseItems - Items with attachments carrying `extraction`
+ * @returns {Array} [{ index, billNumber, enteredAmount, extractedAmount, confidence }]
+ */
+const findAmountMismatches = (expenseItems) => {
+    const mismatches = [];
+    expenseItems.forEach((item, index) => {
+        const readings = (item.attachments || [])
+            .map(attachment => attachment.extraction && attachment.extraction.amount)
+            .filter(reading => reading && reading.confidence >= AMOUNT_CONFIDENCE_THRESHOLD);
+        if (readings.length === 0) return;
+
+        const entered = item.currency && item.currency !== BASE_CURRENCY && item.foreignAmount !== undefined
+            ? Number(item.foreignAmount)
+            : Number(item.amount);
+        if (readings.some(reading => Math.abs(reading.value - entered) <= AMOUNT_TOLERANCE)) return;
+
+        const best = readings.reduce((top, reading) => (reading.confidence > top.confidence ? reading : top));
+        mismatches.push({
+            index,
+            billNumber: item.billNumber,
+            enteredAmount: entered,
+            extractedAmount: best.value,
+            confidence: best.confidence
+        });
+    });
+    return mismatches;
+};
+
+/**
+ * Warning text for amount mismatches.
+ */
+const describeMismatches = (mismatches) => mismatches
+    .map(mismatch => `item ${mismatch.index + 1} (bill ${mismatch.billNumber || 'without number'}) was entered as `
+        + `${mismatch.enteredAmount.toLocaleString('en-IN')} but the bill reads ${mismatch.extractedAmount.toLocaleString('en-IN')}`)
+    .join('; ');
+
+module.exports = {
+    parseBillText,
+    parseDate,
+    extractBillData,
+    findAmountMismatches,
+    describeMismatches
+};
@@ -0,0 +1,167 @@
+/**
+ * Budget Phasing Service for CBMS
+ * An allocation can optionally be released in quarterly or monthly instalments
+ * instead of all at once. Each period's share is stored as a percentage of the
+ * allocation, so amendments and re-appropriations keep the same schedule.
+ */
+
+// Months in one release period
+const PERIOD_MONTHS = { quarterly: 3, monthly: 1 };
+
+// Financial years run April-March
+const FY_START_MONTH = 3;
+
+const roundToPaise = (value) => Math.round(value * 100) / 100;
+
+const isPhased = (allocation) => Boolean(PERIOD_MONTHS[allocation.phasing] && allocation.phases?.length);
+
+const getPeriodCount = (phasing) => 12 / PERIOD_MONTHS[phasing];
+
+/**
+ * Equal share per period; the last period takes the rounding remainder.
+ *
+ * @param {string} phasing - 'quarterly' or 'monthly'
+ * @returns {Array<number>} percentages summing to 100
+ */
+const getEvenPhases = (phasing) => {
+    const count = getPeriodCount(phasing);
+    const share = roundToPaise(100 / count);
+    return Array.from({ length: count }, (_, index) =>
+        index === count - 1 ? roundToPaise(100 - share * (count - 1)) : share
+    );
+};
+
+/**
+ * Check a phasing plan from a request. No phases means an even split.
+ *
+ * @param {string} phasing - 'none', 'quarterly' or 'monthly'
+ * @param {Array} phases - Percent released in each period
+ * @returns {Object} { phasing, phases, error }
+ */
+const normalizePhasing = (phasing, phases) => {
+    if (!phasing || phasing === 'none') {
+        return { phasing: 'none', phases: [], error: null };
+    }
+    if (!PERIOD_MONTHS[phasing]) {
+        return { error: 'Phasing must be none, quarterly or monthly' };
+    }
+    if (!phases || phases.length === 0) {
+        return { phasing, phases: getEvenPhases(phasing), error: null };
+    }
+
+    const count = getPeriodCount(phasing);
+    const percents = phases.map(value => parseFloat(value));
+    if (percents.length !== count) {
+        return { error: `${phasing === 'quarterly' ? 'Quarterly' : 'Monthly'} phasing needs ${count} release percentages` };
+    }
+    if (percents.some(value => !Number.isFinite(value) || value < 0)) {
+        return { error: 'Release percentages cannot be negative' };
+    }
+    const total = roundToPaise(percents.reduce((sum, value) => sum + value, 0));
+    if (Math.abs(total - 100) > 0.01) {
+        return { error: `Release percentages must add up to 100 (got ${total})` };
+    }
+
+    return { phasing, phases: percents.map(roundToPaise), error: null };
+};
+
+/**
+ * First day of a release period.
+ *
+ * @param {string} financialYear - e.g. "2025-2026"
+ * @param {string} phasing
+ * @param {number} index - 0-based period
+ * @returns {Date}
+ */
+const getPeriodStart = (financialYear, phasing, index) => {
+    const startYear = parseInt(financialYear.split('-')[0]);
+    return new Date(startYear, FY_START_MONTH + index * PERIOD_MONTHS[phasing], 1);
+};
+
+// Periods whose release date has come. The first period is open from the
+// start of the year, including for bills raised before it.
+const getReleasedPeriods = (allocation, date) => {
+    let released = 1;
+    while (released < allocation.phases.length
+        && getPeriodStart(allocation.financialYear, allocation.phasing, released) <= date) {
+        released++;
+    }
+    return released;
+};
+
+/**
+ * Part of the allocation released by `date`: the whole amount when it is not phased.
+ *
+ * @returns {number}
+ */
+const getReleasedAmount = (allocation, date = new Date()) => {
+    if (!isPhased(allocation)) {
+        return allocation.allocatedAmount;
+    }
+    const percent = allocation.phases
+        .slice(0, getReleasedPeriods(allocation, date))
+        .reduce((sum, value) => sum + value, 0);
+    return roundToPaise(Math.min(allocation.allocatedAmount, allocation.allocatedAmount * percent / 100));
+};
+
+/**
+ * Released budget still free after spending and commitments.
+ *
+ * @returns {number}
+ */
+const getReleasedAvailable = (allocation, date = new Date()) => {
+    return getReleasedAmount(allocation, date) - allocation.spentAmount - (allocation.committedAmount || 0);
+};
+
+/**
+ * The next instalment after `date`, or null when nothing is left to release.
+ *
+ * @returns {Object|null} { date, amount }
+ */
+const getNextRelease = (allocation, date = new Date()) => {
+    if (!isPhased(allocation)) return null;
+
+    const index = getReleasedPeriods(allocation, date);
+    if (index >= allocation.phases.length) return null;
+
+    return {
+        date: getPeriodStart(allocation.financialYear, allocation.phasing, index),
+        amount: roundToPaise(allocation.allocatedAmount * allocation.phases[index] / 100)
+    };
+};
+
+/**
+ * Percent of the allocation the release plan expects to be used by `date`:
+ * every earlier period in full plus the elapsed share of the current one.
+ *
+ * @returns {number|null} null when the allocation is not phased
+ */
+const getPlannedPercent = (allocation, date = new Date()) => {
+    if (!isPhased(allocation)) return null;
+
+    let percent = 0;
+    for (let index = 0; index < allocation.phases.length; index++) {
+        const start = getPeriodStart(allocation.financialYear, allocation.phasing, index);
+        const end = getPeriodStart(allocation.financialYear, allocation.phasing, index + 1);
+        if (date >= end) {
+            percent += allocation.phases[index];
+        } else {
+            if (date > start) {
+                percent += allocation.phases[index] * (date - start) / (end - start);
+            }
+            break;
+        }
+    }
+    return Math.min(100, percent);
+};
+
+module.exports = {
+    isPhased,
+    getEvenPhases,
+    normalizePhasing,
+    getPeriodStart,
+    getReleasedAmount,
+    getReleasedAvailable,
+    getNextRelease,
+    getPlannedPercent
+};
@@ -0,0 +1,76 @@
+/**
+ * Project Service for CBMS
+ * Projects and cost centres have a budget of their own on top of the
+ * allocations their expenditures draw on. Finalizing a project expenditure
+ * charges the project as well; reversing it gives the amount back.
+ */
+
+const Project = require('../models/Project');
+
+/**
+ * Project budget not yet spent.
+ *
+ * @returns {number}
+ */
+const getProjectAvailable = (project) => project.budget - project.spentAmount;
+
+/**
+ * The project an expenditure is being charged to, if the submitting department may use it.
+ *
+ * @param {string} projectId
+ * @param {Object} context - { department, financialYear }
+ * @returns {Object} { project, error }
+ */
+const getChargeableProject = async (projectId, { department, financialYear }, session = null) => {
+    const project = await Project.findById(projectId).session(session);
+    if (!project) {
+        return { error: 'Project not found' };
+    }
+    if (project.status !== 'active') {
+        return { error: `${project.code} is ${project.status} and cannot take new expenditures` };
+    }
+    if (project.financialYear !== financialYear) {
+        return { error: `${project.code} is budgeted for ${project.financialYear}, not ${financialYear}` };
+    }
+    if (!project.memberDepartments.some(member => member.toString() === department.toString())) {
+        return { error: `Your department is not a member of ${project.code}` };
+    }
+    return { project, error: null };
+};
+
+/**
+ * Add a finalized expenditure to its project's spend inside the caller's transaction.
+ * With `enforceBudget` the charge only goes through while the project has the amount left.
+ *
+ * @returns {Object|null} updated project, or null if it would overspend
+ */
+const chargeProject = async (expenditure, enforceBudget, session) => {
+    return Project.findOneAndUpdate(
+        {
+            _id: expenditure.project,
+            ...(enforceBudget ? {
+                $expr: { $lte: [{ $add: ['$spentAmount', expenditure.totalAmount] }, '$budget'] }
+            } : {})
+        },
+        { $inc: { spentAmount: expenditure.totalAmount } },
+        { new: true, session }
+    );
+};
+
+/**
+ * Take a reversed expenditure back off its project's spend.
+ */
+const refundProject = async (expenditure, session) => {
+    return Project.findOneAndUpdate(
+        { _id: expenditure.project, spentAmount: { $gte: expenditure.totalAmount } },
+        { $inc: { spentAmount: -expenditure.totalAmount } },
+        { new: true, session }
+    );
+};
+
+module.exports = {
+    getProjectAvailable,
+    getChargeableProject,
+    chargeProject,
+    refundProject
+};
@@ -0,0 +1,119 @@
+/**
+ * Re-appropriation Service for CBMS
+ * Moves funds between two allocations of a department once a re-appropriation
+ * request clears its approval chain, versioning both allocations.
+ */
+
+const Reappropriation = require('../models/Reappropriation');
+const Allocation = require('../models/Allocation');
+const AllocationHistory = require('../models/AllocationHistory');
+const { COMMITTED } = require('./commitmentService');
+const { findRollupBreach, describeBreach } = require('./budgetHeadTreeService');
+
+// Requests not yet approved or rejected still hold their amount against the source
+const OPEN_REAPPROPRIATION_STATUSES = ['PENDING', 'HOD_VERIFIED'];
+
+// Amount already requested out of an allocation by open re-appropriations
+const getReservedAmount = async (allocationId) => {
+    const result = await Reappropriation.aggregate([
+        { $match: { fromAllocation: allocationId, status: { $in: OPEN_REAPPROPRIATION_STATUSES } } },
+        { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    return result[0]?.total || 0;
+};
+
+// Write the next AllocationHistory version for one side of the transfer
+const recordTransferHistory = async (allocation, previousAmount, reappropriation, userId, session) => {
+    const latestHistory = await AllocationHistory.findOne({ allocationId: allocation._id })
+        .sort({ version: -1 })
+        .session(session);
+    const version = latestHistory ? latestHistory.version + 1 : 1;
+    const direction = allocation._id.equals(reappropriation.fromAllocation) ? 'out of' : 'into';
+
+    await AllocationHistory.create([{
+        allocationId: allocation._id,
+        version,
+        changeType: 'reappropriated',
+        snapshot: {
+            department: allocation.department,
+            budgetHead: allocation.budgetHead,
+            allocatedAmount: allocation.allocatedAmount,
+            spentAmount: allocation.spentAmount,
+            financialYear: allocation.financialYear,
+            remarks: allocation.remarks
+        },
+        changes: {
+            allocatedAmount: {
+                old: previousAmount,
+                new: allocation.allocatedAmount
+            }
+        },
+        changeReason: `Re-appropriation of ₹${reappropriation.amount.toLocaleString('en-IN')} ${direction} this head: ${reappropriation.reason}`,
+        reappropriation: reappropriation._id,
+        changedBy: userId
+    }], { session });
+
+    return version;
+};
+
+/**
+ * Debit the source allocation and credit the target in one transaction.
+ * The debit only succeeds while the source still has enough uncommitted budget,
+ * and neither side may break the budget head roll-up.
+ * Records the old and new amounts on reappropriation.execution.
+ *
+ * @param {Object} reappropriation - Request being approved (saved by the caller)
+ * @param {ObjectId} userId - Final approver
+ * @param {ClientSession} session - Aborted by the caller when the transfer fails
+ * @returns {string|null} Why the transfer cannot go through, or null once it has
+ */
+const executeTransfer = async (reappropriation, userId, session) => {
+    const { amount } = reappropriation;
+
+    const source = await Allocation.findOneAndUpdate(
+        {
+            _id: reappropriation.fromAllocation,
+            $expr: { $gte: [{ $subtract: ['$allocatedAmount', { $add: ['$spentAmount', COMMITTED] }] }, amount] }
+        },
+        { $inc: { allocatedAmount: -amount }, lastModifiedBy: userId },
+        { new: true, session }
+    );
+    if (!source) {
+        return 'The source budget head no longer has enough unspent funds for this re-appropriation';
+    }
+
+    const target = await Allocation.findByIdAndUpdate(
+        reappropriation.toAllocation,
+        { $inc: { allocatedAmount: amount }, lastModifiedBy: userId },
+        { new: true, session }
+    );
+    if (!target) {
+        return 'The target allocation no longer exists';
+    }
+
+    // The cut can leave the source below its sub-heads, and the credit can take
+    // the target's parent head below what now sits under it
+    for (const allocation of [source, target]) {
+        const breach = await findRollupBreach(allocation, session);
+        if (breach) {
+            return describeBreach(breach);
+        }
+    }
+
+    const fromVersion = await recordTransferHistory(source, source.allocatedAmount + amount, reappropriation, userId, session);
+    const toVersion = await recordTransferHistory(target, target.allocatedAmount - amount, reappropriation, userId, session);
+
+    reappropriation.executedAt = new Date();
+    reappropriation.execution = {
+        from: { old: source.allocatedAmount + amount, new: source.allocatedAmount, version: fromVersion },
+        to: { old: target.allocatedAmount - amount, new: target.allocatedAmount, version: toVersion }
+    };
+
+    return null;
+};
+
+module.exports = {
+    OPEN_REAPPROPRIATION_STATUSES,
+    getReservedAmount,
+    executeTransfer
+};
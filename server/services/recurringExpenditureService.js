@@ -0,0 +1,154 @@
+/**
+ * Recurring Expenditure Service for CBMS
+ * Raises DRAFT expenditures from recurring templates on their schedule, so the
+ * owner only has to attach the month's bill and submit it.
+ */
+
+const Expenditure = require('../models/Expenditure');
+const ExpenditureTemplate = require('../models/ExpenditureTemplate');
+const AuditLog = require('../models/AuditLog');
+
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+// Same April-March convention as expenditures
+const getFinancialYear = (date) => {
+    const year = date.getFullYear();
+    return date.getMonth() + 1 >= 4 ? `${year}-${year + 1}` : `${year - 1}-${year}`;
+};
+
+/**
+ * First scheduled date on or after `from`. Runs fall on `dayOfMonth` every
+ * `frequency` months, counted from the month of the start date.
+ *
+ * @param {Object} template - { startDate, endDate, frequency, dayOfMonth }
+ * @param {Date} from
+ * @returns {Date|null} null once the schedule has ended
+ */
+const getNextRunDate = (template, from) => {
+    const step = ExpenditureTemplate.FREQUENCY_MONTHS[template.frequency] || 1;
+    const start = new Date(template.startDate);
+    const earliest = startOfDay(Math.max(start.getTime(), new Date(from).getTime()));
+
+    let runDate = new Date(start.getFullYear(), start.getMonth(), template.dayOfMonth);
+    while (runDate < earliest) {
+        runDate = new Date(runDate.getFullYear(), runDate.getMonth() + step, template.dayOfMonth);
+    }
+
+    if (template.endDate && runDate > new Date(template.endDate)) {
+        return null;
+    }
+    return runDate;
+};
+
+/**
+ * Unsaved DRAFT expenditure for one run of a template, in the owner's name.
+ */
+const buildDraft = (template, runDate) => {
+    const period = runDate.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+    return new Expenditure({
+        department: template.department,
+        budgetHead: template.budgetHead,
+        eventName: `${template.name} - ${period}`,
+        eventType: template.eventType,
+        eventDate: runDate,
+        description: template.description,
+        expenseItems: [{
+            category: template.category,
+            vendor: template.vendor,
+            vendorName: template.vendorName,
+            amount: template.expectedAmount,
+            billDate: runDate,
+            description: template.description
+        }],
+        submittedBy: template.createdBy,
+        financialYear: getFinancialYear(runDate),
+        recurringTemplate: template._id,
+        status: 'DRAFT'
+    });
+};
+
+/**
+ * Raise drafts for every active template whose run date has come, catching up
+ * one draft per missed run. Each run is claimed by moving nextRunDate on before
+ * the draft is written, so overlapping cron runs never raise it twice.
+ *
+ * @param {Date} now
+ * @returns {Array} [{ template, draft }] for the caller to notify the owners
+ */
+const generateDueDrafts = async (now = new Date()) => {
+    const generated = [];
+    const templates = await ExpenditureTemplate.find({
+        isActive: true,
+        nextRunDate: { $lte: now }
+    });
+
+    for (const template of templates) {
+        let runDate = template.nextRunDate;
+
+        while (runDate && runDate <= now) {
+            const dayAfter = new Date(runDate);
+            dayAfter.setDate(dayAfter.getDate() + 1);
+            const nextRunDate = getNextRunDate(template, dayAfter);
+
+            const claimed = await ExpenditureTemplate.findOneAndUpdate(
+                { _id: template._id, isActive: true, nextRunDate: runDate },
+                nextRunDate
+                    ? { $set: { nextRunDate } }
+                    : { $set: { isActive: false } },
+                { new: true }
+            );
+            if (!claimed) break;
+
+            let draft;
+            try {
+                draft = await buildDraft(template, runDate).save();
+            } catch (error) {
+                // Give the run back so the next cron pass retries it
+                await ExpenditureTemplate.updateOne(
+                    { _id: template._id },
+                    { $set: { nextRunDate: runDate, ...(nextRunDate ? {} : { isActive: true }) } }
+                );
+                console.error(`[Recurring] Error raising draft for template ${template._id}:`, error);
+                break;
+            }
+
+            await ExpenditureTemplate.updateOne(
+                { _id: template._id },
+                { $set: { lastGeneratedAt: now, lastDraft: draft._id }, $inc: { generatedCount: 1 } }
+            );
+
+            await AuditLog.create({
+                eventType: 'expenditure_draft_generated',
+                actor: null, // System action
+                actorRole: 'system',
+                targetEntity: 'Expenditure',
+                targetId: draft._id,
+                details: {
+                    template: template._id,
+                    templateName: template.name,
+                    eventName: draft.eventName,
+                    expectedAmount: template.expectedAmount,
+                    runDate
+                },
+                ipAddress: 'system',
+                userAgent: 'Cron Job - Reminder Service'
+            });
+
+            generated.push({ template, draft });
+
+            runDate = nextRunDate;
+        }
+    }
+
+    return generated;
+};
+
+module.exports = {
+    getNextRunDate,
+    buildDraft,
+    generateDueDrafts
+};
@@ -4,6 +4,14 @@ const User = require('../models/User');
 const Settings = require('../models/Settings');
 const AuditLog = require('../models/AuditLog');
 const { sendEmail } = require('../utils/emailService');
+const { getWorkflowDefinition, getExpenditureRouting, describeProgress } = require('./workflowService');
+const { resolveRecipients } = require('./delegationService');
+const { getSlaElapsedMs } = require('./commentService');
+const { flagOverdueAdvances } = require('./advanceService');
+const { generateDueDrafts } = require('./recurringExpenditureService');
+const { notifyAdvanceOverdue, notifyRecurringDraft } = require('../utils/notificationService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
 
 // Function to get reminder threshold from settings
 const getReminderThreshold = async () => {
@@ -25,15 +33,17 @@ const checkPendingApprovals = async () => {
         const thresholdDate = new Date();
         thresholdDate.setDate(thresholdDate.getDate() - thresholdDays);
 
-        // Find expenditures that are pending and older than threshold
-        const pendingExpenditures = await Expenditure.find({
-            status: { $in: ['pending', 'verified'] },
+        // Find expenditures that have been pending longer than the threshold. Those on hold
+        // for a clarification, and the time they spent on hold, do not count.
+        const pendingExpenditures = (await Expenditure.find({
+            status: { $in: ['PENDING', 'HOD_VERIFIED', 'MANAGEMENT_APPROVED'] },
+            'clarification.status': { $ne: 'REQUESTED' },
             createdAt: { $lt: thresholdDate }
         })
             .populate('department', 'name')
-            .populate('budgetHead', 'name')
-            .populate('submittedBy', 'name email')
-            .populate('approvalSteps.approver', 'name email role');
+            .populate('budgetHead', 'name category')
+            .populate('submittedBy', 'name email'))
+            .filter(exp => getSlaElapsedMs(exp) >= thresholdDays * DAY_MS);
 
         if (pendingExpenditures.length === 0) {
             console.log('[Reminder Service] No pending approvals found older than', thresholdDays, 'days');
@@ -42,52 +52,49 @@ const checkPendingApprovals = async () => {
 
         console.log(`[Reminder Service] Found ${pendingExpenditures.length} pending approvals older than ${thresholdDays} days`);
 
-        // Group expenditures by next approver
+        const workflow = await getWorkflowDefinition('Expenditure');
+
+        // Group expenditures by the person who has to act next
         const approverMap = new Map();
 
         for (const expenditure of pendingExpenditures) {
-            // Determine next approver based on status
-            let nextApprover = null;
-
-            if (expenditure.status === 'pending') {
-                // Needs HOD approval
-                const hodUser = await User.findOne({
-                    role: 'hod',
-                    department: expenditure.department._id
-                });
-                nextApprover = hodUser;
-            } else if (expenditure.status === 'verified') {
-                // Needs Office verification or VP/Principal approval
-                const pendingStep = expenditure.approvalSteps.find(
-                    step => step.status === 'pending'
-                );
-
-                if (pendingStep && pendingStep.approver) {
-                    nextApprover = pendingStep.approver;
-                } else {
-                    // Find office or VP/Principal users
-                    const nextUser = await User.findOne({
-                        role: { $in: ['office', 'vice_principal', 'principal'] }
-                    });
-                    nextApprover = nextUser;
+            const routedWorkflow = getExpenditureRouting(
+                workflow,
+                expenditure,
+                expenditure.budgetHead ? expenditure.budgetHead.category : undefined
+            );
+            const { nextStage, pendingRoles } = describeProgress(routedWorkflow, expenditure, expenditure.totalAmount);
+            if (!nextStage || pendingRoles.length === 0) continue;
+
+            const approvers = await User.find({
+                role: { $in: pendingRoles },
+                isActive: true,
+                ...(nextStage.departmentScoped ? { department: expenditure.department._id } : {})
+            });
+
+            // Approvers who are out of office are replaced by their substitute
+            const recipients = await resolveRecipients(approvers);
+
+            for (const { user, onBehalfOf } of recipients) {
+                const key = user._id.toString();
+                if (!approverMap.has(key)) {
+                    approverMap.set(key, { user, coveringFor: new Set(), expenditures: [] });
                 }
-            }
 
-            if (nextApprover) {
-                if (!approverMap.has(nextApprover._id.toString())) {
-                    approverMap.set(nextApprover._id.toString(), {
-                        user: nextApprover,
-                        expenditures: []
-                    });
+                const entry = approverMap.get(key);
+                if (onBehalfOf) {
+                    entry.coveringFor.add(onBehalfOf.name);
+                }
+                if (!entry.expenditures.includes(expenditure)) {
+                    entry.expenditures.push(expenditure);
                 }
-                approverMap.get(nextApprover._id.toString()).expenditures.push(expenditure);
             }
         }
 
         // Send reminder emails to each approver
         let remindersSent = 0;
         for (const [approverId, data] of approverMap) {
-            const { user, expenditures } = data;
+            const { user, coveringFor, expenditures } = data;
 
             if (!user.email) continue;
 
@@ -95,8 +102,8 @@ const checkPendingApprovals = async () => {
             const expenditureList = expenditures
                 .map(
                     (exp, index) =>
-                        `${index + 1}. Bill #${exp.billNumber} - ${exp.department.name} - ₹${exp.billAmount.toLocaleString('en-IN')} (${Math.ceil(
-                            (new Date() - exp.createdAt) / (1000 * 60 * 60 * 24)
+                        `${index + 1}. ${exp.eventName || `Bill #${exp.billNumber}`} - ${exp.department.name} - ₹${(exp.totalAmount || exp.billAmount || 0).toLocaleString('en-IN')} (${Math.ceil(
+                            getSlaElapsedMs(exp) / DAY_MS
                         )} days old)`
                 )
                 .join('\n');
@@ -105,6 +112,7 @@ const checkPendingApprovals = async () => {
         <h2>Pending Approval Reminder</h2>
         <p>Dear ${user.name},</p>
         <p>You have <strong>${expenditures.length}</strong> expenditure approval(s) pending for more than ${thresholdDays} days:</p>
+        ${coveringFor.size > 0 ? `<p>You are receiving this as the substitute for <strong>${[...coveringFor].join(', ')}</strong>, who is out of office.</p>` : ''}
         <pre style="background: #f5f5f5; padding: 15px; border-radius: 5px;">
 ${expenditureList}
         </pre>
@@ -133,6 +141,7 @@ ${expenditureList}
                     details: {
                         recipientEmail: user.email,
                         pendingCount: expenditures.length,
+                        onBehalfOf: coveringFor.size > 0 ? [...coveringFor] : undefined,
                         thresholdDays
                     },
                     ipAddress: 'system',
@@ -151,12 +160,40 @@ ${expenditureList}
     }
 };
 
+// Flag advances past their settlement date and remind their requesters
+const checkOverdueAdvances = async () => {
+    try {
+        const overdue = await flagOverdueAdvances();
+        for (const advance of overdue) {
+            await notifyAdvanceOverdue(advance);
+        }
+        console.log(`[Reminder Service] Flagged ${overdue.length} overdue advance(s)`);
+    } catch (error) {
+        console.error('[Reminder Service] Error in checkOverdueAdvances:', error);
+    }
+};
+
+// Raise this run's drafts from recurring expenditure templates
+const generateRecurringDrafts = async () => {
+    try {
+        const generated = await generateDueDrafts();
+        for (const { draft, template } of generated) {
+            await notifyRecurringDraft(draft, template);
+        }
+        console.log(`[Reminder Service] Raised ${generated.length} recurring expenditure draft(s)`);
+    } catch (error) {
+        console.error('[Reminder Service] Error in generateRecurringDrafts:', error);
+    }
+};
+
 // Initialize the cron job
 const initReminderService = () => {
     // Run every day at 9:00 AM
     cron.schedule('0 9 * * *', async () => {
         console.log('[Reminder Service] Running daily reminder check at', new Date().toISOString());
         await checkPendingApprovals();
+        await checkOverdueAdvances();
+        await generateRecurringDrafts();
     });
 
     console.log('[Reminder Service] Initialized - will run daily at 9:00 AM');
@@ -166,11 +203,15 @@ const initReminderService = () => {
         console.log('[Reminder Service] Running initial check (development mode)...');
         setTimeout(() => {
             checkPendingApprovals();
+            checkOverdueAdvances();
+            generateRecurringDrafts();
         }, 5000); // Run after 5 seconds
     }
 };
 
 module.exports = {
     initReminderService,
-    checkPendingApprovals // Export for manual triggering
+    checkPendingApprovals, // Export for manual triggering
+    checkOverdueAdvances,
+    generateRecurringDrafts
 };
@@ -0,0 +1,140 @@
+/**
+ * Attachment Storage for CBMS
+ * Bills and profile pictures are kept through a storage driver chosen by
+ * STORAGE_DRIVER: `local` (server/uploads, the default) or `s3` (any
+ * S3-compatible store, e.g. MinIO). Replicas behind a load balancer must all
+ * use the same S3 bucket. Files are addressed by a key of the form
+ * `<folder>/<filename>`: bills are stored once per content under
+ * `sha256/<hash><ext>`, however many expenditures attach them; profile pictures
+ * (and bills stored before that) under `<departmentId>/<filename>`.
+ *
+ * Drivers implement:
+ *   init()                                   - prepare the backend (create the bucket, directory)
+ *   save(key, sourcePath, contentType)       - store a staged upload
+ *   exists(key)                              - true if the key is stored
+ *   getStream(key)                           - { stream, contentType, size }, or null if missing
+ *   remove(key)                              - true if something was deleted
+ *   listOlderThan(cutoff)                    - keys last modified before `cutoff`
+ *   getSignedUrl(key, { expiresIn, filename }) - time-limited download URL
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Seconds a download URL stays valid
+const DOWNLOAD_URL_TTL = parseInt(process.env.DOWNLOAD_URL_TTL || '900', 10);
+
+const MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png'
+};
+
+let driver = null;
+
+/**
+ * The configured storage driver (created on first use).
+ */
+const getStorage = () => {
+    if (!driver) {
+        const name = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+        if (name === 's3') {
+            driver = require('./s3Driver').createS3Driver();
+        } else if (name === 'local') {
+            driver = require('./localDriver').createLocalDriver();
+        } else {
+            throw new Error(`Unknown STORAGE_DRIVER "${name}" (expected local or s3)`);
+        }
+    }
+    return driver;
+};
+
+/**
+ * Storage key for an uploaded file. Both parts are reduced to their base name
+ * so a key can never point outside its department folder.
+ */
+const buildKey = (departmentId, filename) => `${path.basename(String(departmentId))}/${path.basename(String(filename))}`;
+
+// Folder holding bills stored by content hash
+const CONTENT_FOLDER = 'sha256';
+
+/**
+ * SHA-256 of a file, as hex.
+ */
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * Storage key for a bill stored by content: identical files share one key.
+ */
+const buildContentKey = (sha256, filename) =>
+    buildKey(CONTENT_FOLDER, `${sha256}${path.extname(String(filename)).toLowerCase()}`);
+
+/**
+ * Storage key of a stored attachment. Attachments saved before keys were
+ * recorded only have their `/uploads/<departmentId>/<filename>` URL.
+ */
+const getAttachmentKey = (attachment) => {
+    if (attachment.storageKey) return attachment.storageKey;
+    const match = /^\/uploads\/([^/]+)\/([^/]+)$/.exec(attachment.url || '');
+    return match ? buildKey(match[1], match[2]) : null;
+};
+
+const getContentType = (key) => MIME_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+const signingSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+const computeSignature = (key, expires) =>
+    crypto.createHmac('sha256', signingSecret()).update(`${key}:${expires}`).digest('hex');
+
+/**
+ * Signed `/api/files/serve` URL for a key, streamed through the API server.
+ *
+ * @returns {Object} { url, expiresAt }
+ */
+const signServeUrl = (key, expiresIn = DOWNLOAD_URL_TTL) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return {
+        url: `/api/files/serve/${key}?expires=${expires}&signature=${computeSignature(key, expires)}`,
+        expiresAt: new Date(expires * 1000)
+    };
+};
+
+/**
+ * Check the `expires` and `signature` query parameters of a serve URL.
+ *
+ * @returns {string|null} error message
+ */
+const verifyServeSignature = (key, { expires, signature } = {}) => {
+    if (!expires || !signature) {
+        return 'This download link is not signed';
+    }
+    if (Number(expires) * 1000 < Date.now()) {
+        return 'This download link has expired';
+    }
+    const expected = Buffer.from(computeSignature(key, expires));
+    const given = Buffer.from(String(signature));
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        return 'This download link is not valid';
+    }
+    return null;
+};
+
+module.exports = {
+    DOWNLOAD_URL_TTL,
+    getStorage,
+    buildKey,
+    hashFile,
+    buildContentKey,
+    getAttachmentKey,
+    getContentType,
+    signServeUrl,
+    verifyServeSignature
+};
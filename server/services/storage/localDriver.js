@@ -0,0 +1,84 @@
+/**
+ * Local-disk storage driver: files live under server/uploads/<folder>/.
+ * Only suitable for a single server instance.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const createLocalDriver = (rootDir = path.join(__dirname, '../../uploads')) => {
+    const resolve = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const walk = async (dir) => {
+        const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+        const files = [];
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await walk(entryPath));
+            } else {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    };
+
+    return {
+        name: 'local',
+        rootDir,
+
+        init: async () => {
+            await fs.promises.mkdir(rootDir, { recursive: true });
+        },
+
+        save: async (key, sourcePath) => {
+            const target = resolve(key);
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            await fs.promises.copyFile(sourcePath, target);
+        },
+
+        getStream: async (key) => {
+            const filePath = resolve(key);
+            const stats = await fs.promises.stat(filePath).catch(() => null);
+            if (!stats || !stats.isFile()) return null;
+            return { stream: fs.createReadStream(filePath), size: stats.size };
+        },
+
+        exists: async (key) => {
+            const stats = await fs.promises.stat(resolve(key)).catch(() => null);
+            return Boolean(stats && stats.isFile());
+        },
+
+        remove: async (key) => {
+            try {
+                await fs.promises.unlink(resolve(key));
+                return true;
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                return false;
+            }
+        },
+
+        listOlderThan: async (cutoff) => {
+            const keys = [];
+            for (const filePath of await walk(rootDir)) {
+                const stats = await fs.promises.stat(filePath);
+                if (stats.mtime < cutoff) {
+                    keys.push(path.relative(rootDir, filePath).split(path.sep).join('/'));
+                }
+            }
+            return keys;
+        },
+
+        // Local files are streamed through the API with a signed serve URL
+        getSignedUrl: null
+    };
+};
+
+module.exports = { createLocalDriver };
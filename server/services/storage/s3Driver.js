@@ -0,0 +1,118 @@
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, ...). Configured with
+ * S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+ * and S3_FORCE_PATH_STYLE (needed for MinIO). S3_PUBLIC_ENDPOINT is the
+ * address browsers use for signed download URLs when it differs from the
+ * one the server reaches the store on (e.g. inside docker-compose).
+ */
+
+const fs = require('fs');
+const {
+    S3Client,
+    HeadBucketCommand,
+    CreateBucketCommand,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const buildClient = (endpoint) => new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+});
+
+const isNotFound = (error) => error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+const createS3Driver = () => {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+    }
+    const client = buildClient(process.env.S3_ENDPOINT);
+    const signingClient = process.env.S3_PUBLIC_ENDPOINT ? buildClient(process.env.S3_PUBLIC_ENDPOINT) : client;
+
+    const exists = async (key) => {
+        try {
+            await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+            return true;
+        } catch (error) {
+            if (isNotFound(error)) return false;
+            throw error;
+        }
+    };
+
+    return {
+        name: 's3',
+        bucket,
+
+        // Create the bucket on first start, e.g. against a fresh MinIO container
+        init: async () => {
+            try {
+                await client.send(new HeadBucketCommand({ Bucket: bucket }));
+            } catch (error) {
+                if (!isNotFound(error)) throw error;
+                await client.send(new CreateBucketCommand({ Bucket: bucket }));
+                console.log(`[Storage] Created bucket ${bucket}`);
+            }
+        },
+
+        save: async (key, sourcePath, contentType) => {
+            const { size } = await fs.promises.stat(sourcePath);
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: fs.createReadStream(sourcePath),
+                ContentLength: size,
+                ContentType: contentType
+            }));
+        },
+
+        getStream: async (key) => {
+            try {
+                const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return { stream: object.Body, size: object.ContentLength, contentType: object.ContentType };
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        exists,
+
+        // DeleteObject succeeds for missing keys, so check first to report what happened
+        remove: async (key) => {
+            if (!await exists(key)) return false;
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+            return true;
+        },
+
+        listOlderThan: async (cutoff) => {
+            const keys = [];
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, ContinuationToken }));
+                (page.Contents || []).forEach(object => {
+                    if (object.LastModified < cutoff) keys.push(object.Key);
+                });
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return keys;
+        },
+
+        getSignedUrl: (key, { expiresIn, filename }) => getSignedUrl(signingClient, new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            ResponseContentDisposition: filename ? `inline; filename="${filename.replace(/"/g, '')}"` : undefined
+        }), { expiresIn })
+    };
+};
+
+module.exports = { createS3Driver };
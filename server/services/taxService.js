@@ -0,0 +1,238 @@
+/**
+ * Tax Service for CBMS
+ * Validates the GST/TDS split captured on expense items and summarizes it
+ * per department and budget head for filing returns.
+ */
+
+const Expenditure = require('../models/Expenditure');
+
+// Bills are rounded to the rupee, so components may differ from the computed value by this much
+const ROUNDING_TOLERANCE = 1;
+
+const GST_COMPONENTS = ['cgst', 'sgst', 'igst'];
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : 0;
+};
+
+const roundToPaise = (value) => Math.round(value * 100) / 100;
+
+const withinTolerance = (actual, expected) => Math.abs(actual - expected) <= ROUNDING_TOLERANCE;
+
+/**
+ * Normalize and check the tax breakdown of a single expense item.
+ * Missing component amounts are computed from their rates.
+ *
+ * Rules:
+ * - CGST and SGST (intra-state) go together at the same rate; IGST (inter-state) stands alone
+ * - each component amount matches taxable value x rate
+ * - taxable value + GST equals the bill amount
+ * - TDS cannot exceed the taxable value
+ *
+ * @param {Object} tax - Raw breakdown from the request
+ * @param {number} amount - Bill amount (gross, including GST)
+ * @returns {Object} { tax, error } - tax is null when no breakdown was given
+ */
+const normalizeTaxBreakdown = (tax, amount) => {
+    if (!tax || tax.taxableValue === undefined || tax.taxableValue === null || tax.taxableValue === '') {
+        return { tax: null, error: null };
+    }
+
+    const normalized = { taxableValue: roundToPaise(toNumber(tax.taxableValue)) };
+    if (normalized.taxableValue <= 0) {
+        return { tax: null, error: 'Taxable value must be greater than ₹0' };
+    }
+
+    for (const component of GST_COMPONENTS) {
+        const rate = toNumber(tax[`${component}Rate`]);
+        if (rate < 0 || rate > 100) {
+            return { tax: null, error: `${component.toUpperCase()} rate must be between 0 and 100` };
+        }
+        const expected = roundToPaise(normalized.taxableValue * rate / 100);
+        const given = tax[`${component}Amount`];
+        const componentAmount = given === undefined || given === null || given === '' ? expected : roundToPaise(toNumber(given));
+        if (componentAmount < 0) {
+            return { tax: null, error: `${component.toUpperCase()} amount cannot be negative` };
+        }
+        if (!withinTolerance(componentAmount, expected)) {
+            return {
+                tax: null,
+                error: `${component.toUpperCase()} amount ₹${componentAmount} does not match ${rate}% of the taxable value (₹${expected})`
+            };
+        }
+        normalized[`${component}Rate`] = rate;
+        normalized[`${component}Amount`] = componentAmount;
+    }
+
+    const hasIntraState = normalized.cgstRate > 0 || normalized.sgstRate > 0;
+    if (hasIntraState && normalized.igstRate > 0) {
+        return { tax: null, error: 'A bill carries either CGST + SGST or IGST, not both' };
+    }
+    if (normalized.cgstRate !== normalized.sgstRate) {
+        return { tax: null, error: 'CGST and SGST rates must be equal' };
+    }
+
+    const gstTotal = normalized.cgstAmount + normalized.sgstAmount + normalized.igstAmount;
+    if (!withinTolerance(normalized.taxableValue + gstTotal, toNumber(amount))) {
+        return {
+            tax: null,
+            error: `Taxable value plus GST (₹${roundToPaise(normalized.taxableValue + gstTotal)}) does not add up to the bill amount (₹${toNumber(amount)})`
+        };
+    }
+
+    normalized.tdsSection = tax.tdsSection ? String(tax.tdsSection).trim() : undefined;
+    normalized.tdsAmount = roundToPaise(toNumber(tax.tdsAmount));
+    if (normalized.tdsAmount < 0 || normalized.tdsAmount > normalized.taxableValue) {
+        return { tax: null, error: 'TDS deducted must be between ₹0 and the taxable value' };
+    }
+
+    return { tax: normalized, error: null };
+};
+
+/**
+ * Normalize the tax breakdown on every expense item, in place.
+ *
+ * @param {Array} expenseItems - Raw items from the request
+ * @returns {string|null} Error message for the first invalid item, or null
+ */
+const applyTaxBreakdowns = (expenseItems) => {
+    for (const [index, item] of expenseItems.entries()) {
+        const { tax, error } = normalizeTaxBreakdown(item.tax, item.amount);
+        if (error) {
+            return `Item ${index + 1} (bill ${item.billNumber || 'without number'}): ${error}`;
+        }
+        if (tax) {
+            item.tax = tax;
+        } else {
+            delete item.tax;
+        }
+    }
+    return null;
+};
+
+const emptyTotals = () => ({
+    taxableValue: 0,
+    cgstAmount: 0,
+    sgstAmount: 0,
+    igstAmount: 0,
+    totalGst: 0,
+    tdsAmount: 0,
+    billCount: 0
+});
+
+// Share of a bill that was passed: a REDUCED line carries tax on its approved amount only
+const getPassedShare = (item) => {
+    if (item.lineStatus !== 'REDUCED' || !(item.amount > 0)) return 1;
+    return Math.min(toNumber(item.approvedAmount) / item.amount, 1);
+};
+
+const addItemTaxes = (totals, tax, share = 1) => {
+    totals.taxableValue += (tax.taxableValue || 0) * share;
+    totals.cgstAmount += (tax.cgstAmount || 0) * share;
+    totals.sgstAmount += (tax.sgstAmount || 0) * share;
+    totals.igstAmount += (tax.igstAmount || 0) * share;
+    totals.totalGst += ((tax.cgstAmount || 0) + (tax.sgstAmount || 0) + (tax.igstAmount || 0)) * share;
+    totals.tdsAmount += (tax.tdsAmount || 0) * share;
+    totals.billCount += 1;
+};
+
+const roundTotals = (totals) => {
+    const rounded = { ...totals };
+    ['taxableValue', 'cgstAmount', 'sgstAmount', 'igstAmount', 'totalGst', 'tdsAmount'].forEach(field => {
+        rounded[field] = roundToPaise(rounded[field]);
+    });
+    return rounded;
+};
+
+/**
+ * Tax totals per department and budget head for already-loaded expenditures
+ * (department and budgetHead populated). Items without a breakdown and rejected
+ * lines are skipped; reduced lines count in proportion to the amount approved.
+ *
+ * @param {Array} expenditures
+ * @returns {Object} { totals, rows: [{ department, budgetHead, ...totals }] }
+ */
+const summarizeTaxes = (expenditures) => {
+    const totals = emptyTotals();
+    const groups = {};
+
+    expenditures.forEach(expenditure => {
+        const department = expenditure.department?.name || 'Unknown';
+        const budgetHead = expenditure.budgetHead?.name || 'Unknown';
+        const key = `${department}|${budgetHead}`;
+
+        (expenditure.expenseItems || []).forEach(item => {
+            if (!item.tax || !item.tax.taxableValue || item.lineStatus === 'REJECTED') return;
+            if (!groups[key]) {
+                groups[key] = { department, budgetHead, ...emptyTotals() };
+            }
+            const share = getPassedShare(item);
+            addItemTaxes(groups[key], item.tax, share);
+            addItemTaxes(totals, item.tax, share);
+        });
+    });
+
+    const rows = Object.values(groups)
+        .map(roundTotals)
+        .sort((a, b) => a.department.localeCompare(b.department) || a.budgetHead.localeCompare(b.budgetHead));
+    return { totals: roundTotals(totals), rows };
+};
+
+/**
+ * Tax totals per department and budget head straight from the database,
+ * counting lines the same way as summarizeTaxes.
+ *
+ * @param {Object} match - Expenditure filter (e.g. { financialYear, status: 'FINALIZED' })
+ * @returns {Array} [{ departmentId, budgetHeadId, taxableValue, cgstAmount, sgstAmount, igstAmount, totalGst, tdsAmount, billCount }]
+ */
+const getTaxSummary = async (match) => {
+    return Expenditure.aggregate([
+        { $match: match },
+        { $unwind: '$expenseItems' },
+        { $match: { 'expenseItems.tax.taxableValue': { $gt: 0 }, 'expenseItems.lineStatus': { $ne: 'REJECTED' } } },
+        {
+            $addFields: {
+                passedShare: {
+                    $cond: [
+                        { $and: [{ $eq: ['$expenseItems.lineStatus', 'REDUCED'] }, { $gt: ['$expenseItems.amount', 0] }] },
+                        { $min: [{ $divide: [{ $ifNull: ['$expenseItems.approvedAmount', 0] }, '$expenseItems.amount'] }, 1] },
+                        1
+                    ]
+                }
+            }
+        },
+        {
+            $group: {
+                _id: { department: '$department', budgetHead: '$budgetHead' },
+                taxableValue: { $sum: { $multiply: ['$expenseItems.tax.taxableValue', '$passedShare'] } },
+                cgstAmount: { $sum: { $multiply: [{ $ifNull: ['$expenseItems.tax.cgstAmount', 0] }, '$passedShare'] } },
+                sgstAmount: { $sum: { $multiply: [{ $ifNull: ['$expenseItems.tax.sgstAmount', 0] }, '$passedShare'] } },
+                igstAmount: { $sum: { $multiply: [{ $ifNull: ['$expenseItems.tax.igstAmount', 0] }, '$passedShare'] } },
+                tdsAmount: { $sum: { $multiply: [{ $ifNull: ['$expenseItems.tax.tdsAmount', 0] }, '$passedShare'] } },
+                billCount: { $sum: 1 }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                departmentId: '$_id.department',
+                budgetHeadId: '$_id.budgetHead',
+                taxableValue: { $round: ['$taxableValue', 2] },
+                cgstAmount: { $round: ['$cgstAmount', 2] },
+                sgstAmount: { $round: ['$sgstAmount', 2] },
+                igstAmount: { $round: ['$igstAmount', 2] },
+                totalGst: { $round: [{ $add: ['$cgstAmount', '$sgstAmount', '$igstAmount'] }, 2] },
+                tdsAmount: { $round: ['$tdsAmount', 2] },
+                billCount: 1
+            }
+        }
+    ]);
+};
+
+module.exports = {
+    normalizeTaxBreakdown,
+    applyTaxBreakdowns,
+    summarizeTaxes,
+    getTaxSummary
+};
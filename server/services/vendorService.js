@@ -0,0 +1,161 @@
+/**
+ * Vendor Service for CBMS
+ * Ties expense items to the vendor master and detects the same vendor bill
+ * being claimed more than once, in any department.
+ */
+
+const mongoose = require('mongoose');
+const Vendor = require('../models/Vendor');
+const Expenditure = require('../models/Expenditure');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find the vendor master entry for an expense item or purchase order,
+ * by id when one was picked, otherwise by exact (case-insensitive) name.
+ *
+ * @param {string|ObjectId} vendorId
+ * @param {string} vendorName
+ * @returns {Object|null} Vendor document
+ */
+const resolveVendor = async (vendorId, vendorName) => {
+    if (vendorId && mongoose.Types.ObjectId.isValid(vendorId)) {
+        return Vendor.findById(vendorId);
+    }
+    if (vendorName && vendorName.trim()) {
+        return Vendor.findOne({ name: { $regex: `^${escapeRegex(vendorName.trim())}$`, $options: 'i' } });
+    }
+    return null;
+};
+
+/**
+ * Attach vendor master references to expense items.
+ * Returns the problem with the first item that cannot be billed, if any.
+ *
+ * @param {Array} expenseItems - Raw items from the request; updated in place
+ * @returns {string|null} Error message, or null when every item has an active vendor
+ */
+const attachVendors = async (expenseItems) => {
+    for (const item of expenseItems) {
+        const vendor = await resolveVendor(item.vendor, item.vendorName);
+        if (!vendor) {
+            return `Vendor "${item.vendorName || 'unspecified'}" is not registered in the vendor master`;
+        }
+        if (vendor.isBlocked) {
+            return `Vendor "${vendor.name}" is blocked${vendor.blockedReason ? `: ${vendor.blockedReason}` : ''}`;
+        }
+        item.vendor = vendor._id;
+        item.vendorName = vendor.name;
+    }
+    return null;
+};
+
+/**
+ * Earlier non-rejected claims of the same vendor bills, plus repeats within the items themselves.
+ * A line rejected at review was never paid, and a draft, withdrawn or reversed claim no longer
+ * stands, so none of them count.
+ * Items without a vendor reference (legacy data) are matched on vendor name.
+ *
+ * @param {Array} expenseItems - Items with vendor and billNumber set
+ * @param {Object} options - { excludeExpenditureId }
+ * @returns {Array} [{ index, billNumber, vendorName, matches: [{ expenditure, transactionId, department, status }] }]
+ */
+const findDuplicateBills = async (expenseItems, { excludeExpenditureId = null } = {}) => {
+    const duplicates = [];
+    const seen = new Map();
+
+    for (const [index, item] of expenseItems.entries()) {
+        const billNumberKey = Expenditure.normalizeBillNumber(item.billNumber);
+        if (!billNumberKey) continue;
+
+        const pairKey = `${item.vendor || item.vendorName}|${billNumberKey}`;
+        const matches = [];
+
+        if (seen.has(pairKey)) {
+            matches.push({ expenditure: null, transactionId: null, department: null, status: 'SAME_SUBMISSION' });
+        }
+        seen.set(pairKey, index);
+
+        const existing = await Expenditure.find({
+            status: { $nin: ['REJECTED', 'DRAFT', 'WITHDRAWN', 'CANCELLED'] },
+            ...(excludeExpenditureId ? { _id: { $ne: excludeExpenditureId } } : {}),
+            $or: [
+                { expenseItems: { $elemMatch: { vendor: item.vendor, billNumberKey, lineStatus: { $ne: 'REJECTED' } } } },
+                {
+                    expenseItems: {
+                        $elemMatch: {
+                            vendor: { $exists: false },
+                            lineStatus: { $ne: 'REJECTED' },
+                            vendorName: { $regex: `^${escapeRegex(item.vendorName || '')}$`, $options: 'i' },
+                            billNumber: { $regex: `^\\s*${escapeRegex(String(item.billNumber).trim())}\\s*$`, $options: 'i' }
+                        }
+                    }
+                }
+            ]
+        })
+            .select('transactionId department status')
+            .populate('department', 'name');
+
+        existing.forEach(expenditure => matches.push({
+            expenditure: expenditure._id,
+            transactionId: expenditure.transactionId,
+            department: expenditure.department?.name,
+            status: expenditure.status
+        }));
+
+        if (matches.length > 0) {
+            duplicates.push({ index, billNumber: item.billNumber, vendorName: item.vendorName, matches });
+        }
+    }
+
+    return duplicates;
+};
+
+/**
+ * Human-readable summary of duplicate bills for error messages and flags.
+ */
+const describeDuplicates = (duplicates) => {
+    return duplicates.map(duplicate => {
+        const where = duplicate.matches
+            .map(match => (match.transactionId ? `${match.transactionId} (${match.department || 'unknown department'}, ${match.status})` : 'this submission'))
+            .join(', ');
+        return `Bill ${duplicate.billNumber} from ${duplicate.vendorName} already claimed in ${where}`;
+    }).join('; ');
+};
+
+/**
+ * Apply the duplicate-bill policy (Settings `duplicate_bill_policy`) to a submission.
+ * 'block' rejects any duplicate; 'flag' lets it through with duplicateOf recorded on the
+ * item for approvers. A bill repeated within the same submission is always rejected.
+ *
+ * @param {Array} expenseItems - Updated in place when duplicates are flagged
+ * @param {string} policy - 'block' | 'flag'
+ * @param {Object} options - Passed to findDuplicateBills
+ * @returns {Object} { blocked, message, duplicates }
+ */
+const screenDuplicateBills = async (expenseItems, policy, options = {}) => {
+    const duplicates = await findDuplicateBills(expenseItems, options);
+    if (duplicates.length === 0) {
+        return { blocked: false, message: null, duplicates };
+    }
+
+    const repeatedInSubmission = duplicates.some(duplicate => duplicate.matches.some(match => !match.expenditure));
+    if (policy !== 'flag' || repeatedInSubmission) {
+        return { blocked: true, message: describeDuplicates(duplicates), duplicates };
+    }
+
+    duplicates.forEach(duplicate => {
+        expenseItems[duplicate.index].duplicateOf = duplicate.matches.map(match => ({
+            expenditure: match.expenditure,
+            transactionId: match.transactionId
+        }));
+    });
+    return { blocked: false, message: describeDuplicates(duplicates), duplicates };
+};
+
+module.exports = {
+    resolveVendor,
+    attachVendors,
+    findDuplicateBills,
+    screenDuplicateBills
+};
@@ -0,0 +1,478 @@
+/**
+ * Workflow Service for CBMS
+ * Resolves the active approval workflow for budget proposals and expenditures
+ * and decides which stage a document is waiting on and who may act on it.
+ */
+
+const WorkflowDefinition = require('../models/WorkflowDefinition');
+const {
+    DEFAULT_WORKFLOWS,
+    WORKFLOW_STATUSES,
+    VISIBILITY_BY_ROLE,
+    DEPARTMENT_BOUND_ROLES
+} = require('../config/workflowRules');
+
+/**
+ * Load the active workflow definition for an entity type.
+ * Falls back to the built-in default chain when no definition has been saved.
+ *
+ * @param {string} entityType - 'BudgetProposal' or 'Expenditure'
+ * @returns {Object} Plain workflow definition with an `isDefault` flag
+ */
+const getWorkflowDefinition = async (entityType) => {
+    try {
+        const definition = await WorkflowDefinition.findOne({ entityType }).lean();
+        if (definition) {
+            return { ...definition, isDefault: false };
+        }
+    } catch (error) {
+        console.error(`[Workflow] Error loading ${entityType} workflow, using default:`, error.message);
+    }
+
+    return { entityType, ...DEFAULT_WORKFLOWS[entityType], isDefault: true };
+};
+
+// Position of a status in the entity's forward order (-1 = not yet through any stage)
+const getStatusRank = (entityType, status) => {
+    return WORKFLOW_STATUSES[entityType].stageStatuses.indexOf(status);
+};
+
+// Bands include their minimum and stop short of their maximum, so adjacent
+// bands (0-10000, 10000-200000) never both match
+const isAmountInBand = (stage, amount) => {
+    const min = stage.minAmount || 0;
+    const max = stage.maxAmount === null || stage.maxAmount === undefined ? Infinity : stage.maxAmount;
+    return amount >= min && amount < max;
+};
+
+// Stages without an amount band are never skipped
+const isUnrestricted = (stage) => {
+    return !stage.minAmount && (stage.maxAmount === null || stage.maxAmount === undefined);
+};
+
+/**
+ * Stages that apply to a document of the given amount, in order
+ */
+const getApplicableStages = (definition, amount) => {
+    return definition.stages.filter(stage => isAmountInBand(stage, amount));
+};
+
+/**
+ * Pick the routing tier for an expenditure. Tiers naming the budget head's
+ * category take precedence over catch-all tiers; within each group the
+ * first tier whose amount band matches wins.
+ *
+ * @param {Object} definition - Workflow definition
+ * @param {Object} params
+ * @param {number} params.amount - Expenditure total
+ * @param {string} params.category - BudgetHead.category
+ * @returns {Object|null} Matching tier, or null when none applies
+ */
+const resolveRoutingTier = (definition, { amount, category }) => {
+    const tiers = (definition.routingTiers || []).filter(tier => isAmountInBand(tier, amount));
+
+    return tiers.find(tier => (tier.categories || []).includes(category))
+        || tiers.find(tier => !tier.categories || tier.categories.length === 0)
+        || null;
+};
+
+/**
+ * Apply an expenditure's routing tier to the workflow: drop skipped stages,
+ * override sign-off rules and tag each stage with the tier key. If the tier
+ * skips the terminal stage, the last remaining stage moves the document
+ * straight to the terminal status.
+ *
+ * @returns {Object} Workflow definition for this document, with `tier` set
+ */
+const getRoutedWorkflow = (definition, { amount, category }) => {
+    const tier = resolveRoutingTier(definition, { amount, category });
+    if (!tier) {
+        return { ...definition, tier: null };
+    }
+
+    const { terminalStatus } = WORKFLOW_STATUSES[definition.entityType];
+    const stages = definition.stages
+        .filter(stage => !(tier.skipStages || []).includes(stage.key))
+        .map(stage => {
+            const override = (tier.signOffOverrides || []).find(item => item.stage === stage.key);
+            return { ...stage, signOff: override ? override.signOff : stage.signOff, tier: tier.key };
+        });
+
+    const lastStage = stages[stages.length - 1];
+    if (lastStage && lastStage.status !== terminalStatus) {
+        stages[stages.length - 1] = { ...lastStage, status: terminalStatus };
+    }
+
+    return { ...definition, stages, tier: { key: tier.key, label: tier.label } };
+};
+
+/**
+ * Routed workflow for an expenditure. Routed on the claimed amount, so
+ * reducing lines never moves a bill to a lower tier mid-approval.
+ *
+ * @param {Object} definition - Expenditure workflow definition
+ * @param {Object} expenditure
+ * @param {string} category - Category of the expenditure's budget head
+ * @returns {Object} Workflow definition for this expenditure, with `tier` set
+ */
+const getExpenditureRouting = (definition, expenditure, category) => {
+    return getRoutedWorkflow(definition, {
+        amount: expenditure.claimedAmount || expenditure.totalAmount,
+        category
+    });
+};
+
+/**
+ * The stage a document is currently waiting on, or null if none remain
+ */
+const getNextStage = (definition, document, amount) => {
+    const currentRank = getStatusRank(definition.entityType, document.status);
+    // Drafts, rejected and revised records are outside the approval chain
+    if (currentRank === -1 && document.status !== (definition.initialStatus || 'PENDING')) {
+        return null;
+    }
+
+    return getApplicableStages(definition, amount)
+        .find(stage => getStatusRank(definition.entityType, stage.status) > currentRank) || null;
+};
+
+/**
+ * Sign-offs already recorded against a stage
+ */
+const getStageSignatures = (document, stage) => {
+    return (document.approvalSteps || []).filter(step => step.stage === stage.key && step.decision !== 'reject');
+};
+
+/**
+ * Roles that can still sign the stage given the signatures so far
+ */
+const getPendingRoles = (stage, signatures) => {
+    const signedRoles = signatures.map(step => step.role);
+
+    if (stage.signOff === 'parallel') {
+        return stage.roles.filter(role => !signedRoles.includes(role));
+    }
+    if (stage.signOff === 'sequential') {
+        const nextRole = stage.roles.find(role => !signedRoles.includes(role));
+        return nextRole ? [nextRole] : [];
+    }
+    return signatures.length > 0 ? [] : [...stage.roles];
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+const isSameUser = (a, b) => Boolean(a && b && toId(a).toString() === toId(b).toString());
+
+const getDocumentDepartment = (document) => {
+    const department = document.department;
+    return department && department._id ? department._id.toString() : department?.toString();
+};
+
+/**
+ * Check whether a user may perform an action on a document under the workflow.
+ *
+ * @param {Object} params
+ * @param {Object} params.definition - Workflow definition from getWorkflowDefinition
+ * @param {Object} params.document - BudgetProposal or Expenditure document
+ * @param {Object} params.user - Identity whose authority is used (req.user or a delegator)
+ * @param {Object} [params.actor] - Person physically signing, when different from `user`
+ * @param {string} params.action - 'verify' | 'approve' | 'finalize'
+ * @param {number} params.amount - Amount used for threshold and limit checks
+ * @returns {Object} { allowed, stage, statusCode, message }
+ */
+const evaluateAction = ({ definition, document, user, actor, action, amount }) => {
+    const stage = getNextStage(definition, document, amount);
+
+    if (!stage) {
+        return {
+            allowed: false,
+            statusCode: 403,
+            message: `Invalid transition from ${document.status}`
+        };
+    }
+
+    if (stage.action !== action) {
+        return {
+            allowed: false,
+            statusCode: 403,
+            message: `Invalid transition: the next stage (${stage.label}) requires "${stage.action}", not "${action}"`
+        };
+    }
+
+    // Nobody signs off their own submission, in person or through a substitute
+    const signer = actor || user;
+    const submitter = document.submittedBy || document.requestedBy;
+    if (isSameUser(submitter, signer) || isSameUser(submitter, user)) {
+        return {
+            allowed: false,
+            statusCode: 403,
+            message: 'You cannot sign off a request you submitted',
+            stage
+        };
+    }
+
+    const signatures = getStageSignatures(document, stage);
+    const pendingRoles = getPendingRoles(stage, signatures);
+
+    if (!pendingRoles.includes(user.role)) {
+        const message = stage.roles.includes(user.role)
+            ? `${user.role.toUpperCase()} has already signed off ${stage.label} or must wait for ${pendingRoles.join(', ').toUpperCase()}`
+            : `Only ${stage.roles.join(', ').toUpperCase()} can act at the ${stage.label} stage`;
+        return { allowed: false, statusCode: 403, message, stage };
+    }
+
+    // One signature per person, whether given directly or as someone's substitute
+    if (signatures.some(step => isSameUser(step.onBehalfOf || step.approver, user._id) || isSameUser(step.approver, signer._id))) {
+        return {
+            allowed: false,
+            statusCode: 400,
+            message: `You have already signed off the ${stage.label} stage`,
+            stage
+        };
+    }
+
+    if (stage.departmentScoped && user.department && getDocumentDepartment(document) !== user.department.toString()) {
+        return {
+            allowed: false,
+            statusCode: 403,
+            message: `You can only act on ${stage.label} for your own department`,
+            stage
+        };
+    }
+
+    // Limits cap what a role may approve on its own; co-signed stages are exempt
+    const limit = (stage.roleLimits || []).find(roleLimit => roleLimit.role === user.role);
+    if (limit && stage.signOff === 'any' && amount > limit.maxAmount) {
+        return {
+            allowed: false,
+            statusCode: 403,
+            message: `${user.role.toUpperCase()} can only sign off up to ₹${limit.maxAmount.toLocaleString('en-IN')} at the ${stage.label} stage`,
+            stage
+        };
+    }
+
+    return { allowed: true, stage };
+};
+
+/**
+ * Check whether a user may reject a document at its current stage.
+ * Anyone who could sign the pending stage may reject it instead.
+ */
+const evaluateRejection = ({ definition, document, user, amount }) => {
+    const stage = getNextStage(definition, document, amount);
+
+    if (!stage) {
+        return {
+            allowed: false,
+            statusCode: 400,
+            message: 'This record is not in a state that can be rejected'
+        };
+    }
+
+    if (!stage.roles.includes(user.role)) {
+        return {
+            allowed: false,
+            statusCode: 403,
+            message: `Only ${stage.roles.join(', ').toUpperCase()} can reject at the ${stage.label} stage`,
+            stage
+        };
+    }
+
+    if (stage.departmentScoped && user.department && getDocumentDepartment(document) !== user.department.toString()) {
+        return {
+            allowed: false,
+            statusCode: 403,
+            message: `You can only act on ${stage.label} for your own department`,
+            stage
+        };
+    }
+
+    return { allowed: true, stage };
+};
+
+// Try the user's own authority first, then each absent approver they cover
+const withDelegation = (evaluate, params, delegators) => {
+    const own = evaluate(params);
+    if (own.allowed) {
+        return { ...own, onBehalfOf: null };
+    }
+
+    for (const delegator of delegators || []) {
+        const evaluation = evaluate({ ...params, user: delegator, actor: params.user });
+        if (evaluation.allowed) {
+            return { ...evaluation, onBehalfOf: delegator };
+        }
+    }
+
+    return { ...own, onBehalfOf: null };
+};
+
+/**
+ * evaluateAction for a user who may be standing in for absent approvers.
+ *
+ * @param {Object} params - As for evaluateAction
+ * @param {Array} delegators - From delegationService.getActiveDelegators
+ * @returns {Object} evaluateAction result plus `onBehalfOf` (the delegator used, or null)
+ */
+const evaluateDelegatedAction = (params, delegators) => withDelegation(evaluateAction, params, delegators);
+
+/**
+ * evaluateRejection for a user who may be standing in for absent approvers.
+ */
+const evaluateDelegatedRejection = (params, delegators) => withDelegation(evaluateRejection, params, delegators);
+
+/**
+ * Record a sign-off on a document and advance its status once the stage is complete.
+ * The caller is responsible for saving the document.
+ *
+ * @param {Object} document - BudgetProposal or Expenditure document
+ * @param {Object} stage - Stage returned by evaluateAction
+ * @param {Object} user - Person signing (req.user)
+ * @param {string} remarks - Approver remarks
+ * @param {Object} [onBehalfOf] - Delegator whose role the signature counts for
+ * @returns {Object} { completed, status, pendingRoles }
+ */
+const recordSignOff = (document, stage, user, remarks, onBehalfOf = null) => {
+    document.approvalSteps.push({
+        approver: user._id,
+        role: onBehalfOf ? onBehalfOf.role : user.role,
+        onBehalfOf: onBehalfOf ? onBehalfOf._id : undefined,
+        decision: stage.action,
+        stage: stage.key,
+        tier: stage.tier,
+        remarks: remarks || '',
+        timestamp: new Date()
+    });
+
+    const pendingRoles = getPendingRoles(stage, getStageSignatures(document, stage));
+    const completed = pendingRoles.length === 0;
+
+    if (completed) {
+        document.status = stage.status;
+    }
+
+    return { completed, status: document.status, pendingRoles };
+};
+
+/**
+ * Sign the stage a request enters at when it is the submitter's own level, e.g.
+ * a HOD raising a re-appropriation for their department. Nobody may sign off
+ * their own request at a later point, so the next stage still needs someone
+ * else. Never completes the workflow. The caller is responsible for saving the
+ * document.
+ *
+ * @param {Object} definition - Workflow definition
+ * @param {Object} document - Request just submitted (status at the initial status)
+ * @param {Object} user - The submitter (req.user)
+ * @param {number} amount - Amount used for threshold checks
+ * @returns {boolean} Whether a stage was signed
+ */
+const signOffSubmitterStage = (definition, document, user, amount) => {
+    const stage = getNextStage(definition, document, amount);
+    const submitter = document.submittedBy || document.requestedBy;
+    if (!stage || stage.status === WORKFLOW_STATUSES[definition.entityType].terminalStatus || !isSameUser(submitter, user)) {
+        return false;
+    }
+    if (!getPendingRoles(stage, getStageSignatures(document, stage)).includes(user.role)) {
+        return false;
+    }
+    if (stage.departmentScoped && user.department && getDocumentDepartment(document) !== user.department.toString()) {
+        return false;
+    }
+
+    recordSignOff(document, stage, user, 'Raised at this approval level');
+    return true;
+};
+
+/**
+ * Statuses a role should see in its "pending approval" queue.
+ * A role sees every status from which one of its stages can be the next one.
+ *
+ * @returns {Array|undefined} Status list, or undefined when the role has no queue
+ */
+const getVisibleStatuses = async (entityType, role) => {
+    const definition = await getWorkflowDefinition(entityType);
+    const statuses = new Set(VISIBILITY_BY_ROLE[role] || []);
+
+    definition.stages.forEach((stage, index) => {
+        if (!stage.roles.includes(role)) return;
+
+        let reachesStart = true;
+        for (let i = index - 1; i >= 0; i--) {
+            statuses.add(definition.stages[i].status);
+            if (isUnrestricted(definition.stages[i])) {
+                reachesStart = false;
+                break;
+            }
+        }
+        if (reachesStart) {
+            statuses.add(definition.initialStatus || 'PENDING');
+        }
+    });
+
+    return statuses.size > 0 ? [...statuses] : undefined;
+};
+
+/**
+ * Mongo clauses for a "pending approval" queue covering the user and every
+ * absent approver they stand in for. Department-bound roles only see their
+ * own department's records.
+ *
+ * @param {string} entityType - 'BudgetProposal' or 'Expenditure'
+ * @param {Array} identities - req.user followed by active delegators
+ * @returns {Array} Clauses to combine with $or (empty when no queue applies)
+ */
+const getQueueClauses = async (entityType, identities) => {
+    const clauses = [];
+
+    for (const identity of identities) {
+        const statuses = await getVisibleStatuses(entityType, identity.role);
+        if (!statuses) continue;
+
+        clauses.push(DEPARTMENT_BOUND_ROLES.includes(identity.role)
+            ? { status: { $in: statuses }, department: identity.department }
+            : { status: { $in: statuses } });
+    }
+
+    return clauses;
+};
+
+/**
+ * Summarise where a document stands, for API responses and the approvals UI
+ */
+const describeProgress = (definition, document, amount) => {
+    const stage = getNextStage(definition, document, amount);
+    if (!stage) {
+        return { nextStage: null, pendingRoles: [] };
+    }
+
+    return {
+        nextStage: {
+            key: stage.key,
+            label: stage.label,
+            action: stage.action,
+            signOff: stage.signOff,
+            departmentScoped: Boolean(stage.departmentScoped)
+        },
+        pendingRoles: getPendingRoles(stage, getStageSignatures(document, stage))
+    };
+};
+
+module.exports = {
+    getWorkflowDefinition,
+    getApplicableStages,
+    resolveRoutingTier,
+    getRoutedWorkflow,
+    getExpenditureRouting,
+    getNextStage,
+    getPendingRoles,
+    evaluateAction,
+    evaluateRejection,
+    evaluateDelegatedAction,
+    evaluateDelegatedRejection,
+    recordSignOff,
+    signOffSubmitterStage,
+    getVisibleStatuses,
+    getQueueClauses,
+    describeProgress
+};
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Advance = require('../../models/Advance');
+const {
+    getSettlementDueDate,
+    getSettlementBalance,
+    getSettleableAdvance,
+    settleAdvance
+} = require('../../services/advanceService');
+
+describe('Advance Service', () => {
+    const department = new mongoose.Types.ObjectId();
+    const budgetHead = new mongoose.Types.ObjectId();
+
+    const makeAdvance = (overrides = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        advanceNumber: 'ADV-2024-0007',
+        department,
+        budgetHead,
+        financialYear: '2024-2025',
+        amount: 50000,
+        committedAmount: 50000,
+        status: 'APPROVED',
+        isOverdue: true,
+        save: jest.fn().mockResolvedValue(undefined),
+        ...overrides
+    });
+
+    // Advance.findById(...).session(...)
+    const found = (advance) => jest.spyOn(Advance, 'findById').mockReturnValue({ session: async () => advance });
+
+    describe('getSettlementDueDate', () => {
+        it('counts the window from the event, or from approval when that came later', () => {
+            const due = getSettlementDueDate(new Date(2024, 8, 10), new Date(2024, 8, 1), 30);
+            expect([due.getFullYear(), due.getMonth(), due.getDate()]).toEqual([2024, 9, 10]);
+
+            const late = getSettlementDueDate(new Date(2024, 8, 10), new Date(2024, 8, 20), 30);
+            expect([late.getMonth(), late.getDate(), late.getHours()]).toEqual([9, 20, 23]);
+        });
+    });
+
+    describe('getSettlementBalance', () => {
+        it('works out the refund or the extra amount payable', () => {
+            expect(getSettlementBalance(50000, 42500.5)).toEqual({ spentAmount: 42500.5, refundDue: 7499.5, additionalPayable: 0 });
+            expect(getSettlementBalance(50000, 53000)).toEqual({ spentAmount: 53000, refundDue: 0, additionalPayable: 3000 });
+        });
+    });
+
+    describe('getSettleableAdvance', () => {
+        const claim = { department, budgetHead, financialYear: '2024-2025' };
+
+        it('accepts a claim against the same department, head and year', async () => {
+            const advance = makeAdvance();
+            found(advance);
+
+            expect(await getSettleableAdvance(advance._id, claim)).toEqual({ advance, error: null });
+        });
+
+        it('refuses advances already being settled or drawn elsewhere', async () => {
+            found(makeAdvance({ status: 'SETTLEMENT_SUBMITTED' }));
+            expect((await getSettleableAdvance('a1', claim)).error).toBe('Bills for ADV-2024-0007 are already awaiting approval');
+
+            found(makeAdvance({ budgetHead: new mongoose.Types.ObjectId() }));
+            expect((await getSettleableAdvance('a1', claim)).error).toMatch(/different department, budget head or financial year/);
+        });
+    });
+
+    describe('settleAdvance', () => {
+        it('closes the advance with the refund due and releases the reservation', async () => {
+            const advance = makeAdvance();
+            found(advance);
+            const expenditure = { _id: new mongoose.Types.ObjectId(), advance: advance._id, totalAmount: 46000 };
+
+            expect(await settleAdvance(expenditure, 50000)).toBe(advance);
+
+            expect(advance.status).toBe('SETTLED');
+            expect(advance.committedAmount).toBe(0);
+            expect(advance.isOverdue).toBe(false);
+            expect(advance.settlement).toMatchObject({ expenditure: expenditure._id, spentAmount: 46000, refundDue: 4000, additionalPayable: 0 });
+            expect(advance.save).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Settings = require('../../models/Settings');
+const AllocationAmendment = require('../../models/AllocationAmendment');
+const {
+    getDualApprovalPercent,
+    buildAmendment,
+    countApprovers,
+    recordAmendmentApproval
+} = require('../../services/allocationAmendmentService');
+
+describe('Allocation Amendment Service', () => {
+    const allocation = { _id: new mongoose.Types.ObjectId(), allocatedAmount: 200000 };
+    const request = (requestedAmount) => ({
+        requestedAmount,
+        changeReason: 'Revised lab plan',
+        requestedBy: new mongoose.Types.ObjectId()
+    });
+
+    const dualApprovalAbove = (value) => jest.spyOn(Settings, 'findOne').mockResolvedValue(value === undefined ? null : { value });
+
+    describe('getDualApprovalPercent', () => {
+        it('falls back to 10% without a valid setting', async () => {
+            dualApprovalAbove(undefined);
+            expect(await getDualApprovalPercent()).toBe(10);
+
+            dualApprovalAbove('not a number');
+            expect(await getDualApprovalPercent()).toBe(10);
+        });
+    });
+
+    describe('buildAmendment', () => {
+        it('needs one approver for a change within the limit', async () => {
+            dualApprovalAbove('10');
+
+            const amendment = await buildAmendment(allocation, request(215000));
+
+            expect(amendment.changeAmount).toBe(15000);
+            expect(amendment.changePercent).toBe(8);
+            expect(amendment.requiredApprovals).toBe(1);
+        });
+
+        it('needs two approvers above the limit, for cuts as well as increases', async () => {
+            dualApprovalAbove('10');
+
+            expect((await buildAmendment(allocation, request(240000))).requiredApprovals).toBe(2);
+            expect((await buildAmendment(allocation, request(150000))).requiredApprovals).toBe(2);
+        });
+
+        it('always needs two approvers for a first allocation', async () => {
+            dualApprovalAbove('50');
+
+            const amendment = await buildAmendment({ ...allocation, allocatedAmount: 0 }, request(5000));
+
+            expect(amendment.changePercent).toBe(0);
+            expect(amendment.requiredApprovals).toBe(2);
+        });
+    });
+
+    describe('approvals', () => {
+        const principal = { _id: new mongoose.Types.ObjectId(), name: 'Principal', role: 'principal' };
+        const substitute = { _id: new mongoose.Types.ObjectId(), role: 'vice_principal' };
+        const amendmentId = new mongoose.Types.ObjectId();
+
+        it('counts a substitute\'s signature as the principal\'s', () => {
+            const amendment = {
+                approvals: [
+                    { approver: substitute._id, onBehalfOf: principal._id },
+                    { approver: principal._id }
+                ]
+            };
+
+            expect(countApprovers(amendment)).toBe(1);
+            expect(countApprovers({ approvals: [...amendment.approvals, { approver: substitute._id }] })).toBe(2);
+        });
+
+        it('records whom a substitute approves for and refuses a second signature from either', async () => {
+            const update = jest.spyOn(AllocationAmendment, 'findOneAndUpdate').mockResolvedValue(null);
+
+            expect(await recordAmendmentApproval(amendmentId, { user: substitute, role: 'principal', onBehalfOf: principal, remarks: 'Ok' })).toBeNull();
+
+            const [filter, change] = update.mock.calls[0];
+            expect(filter).toMatchObject({ _id: amendmentId, status: 'pending' });
+            expect(filter.$nor).toEqual([
+                { 'approvals.approver': substitute._id },
+                { 'approvals.onBehalfOf': principal._id },
+                { approvals: { $elemMatch: { approver: principal._id, onBehalfOf: null } } }
+            ]);
+            expect(change.$push.approvals).toMatchObject({ approver: substitute._id, onBehalfOf: principal._id, role: 'principal' });
+        });
+    });
+});
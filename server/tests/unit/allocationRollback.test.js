@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Allocation = require('../../models/Allocation');
+const AllocationHistory = require('../../models/AllocationHistory');
+jest.mock('../../services/budgetHeadTreeService', () => ({
+    ...jest.requireActual('../../services/budgetHeadTreeService'),
+    findRollupBreach: jest.fn()
+}));
+const { findRollupBreach } = require('../../services/budgetHeadTreeService');
+const { rollbackAllocation } = require('../../controllers/allocationHistoryController');
+
+describe('Allocation Rollback', () => {
+    const allocationId = new mongoose.Types.ObjectId();
+
+    const makeSession = () => ({
+        startTransaction: jest.fn(),
+        abortTransaction: jest.fn().mockResolvedValue(undefined),
+        commitTransaction: jest.fn().mockResolvedValue(undefined),
+        endSession: jest.fn(),
+        transaction: { isActive: true, isCommitted: false }
+    });
+
+    const makeRes = () => {
+        const res = {};
+        res.status = jest.fn().mockReturnValue(res);
+        res.json = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    it('refuses a version whose amount no longer fits the budget head tree', async () => {
+        const session = makeSession();
+        const allocation = {
+            _id: allocationId,
+            financialYear: '2024-2025',
+            department: 'physics',
+            budgetHead: 'consumables',
+            allocatedAmount: 60000,
+            spentAmount: 10000
+        };
+        jest.spyOn(Allocation, 'startSession').mockResolvedValue(session);
+        jest.spyOn(AllocationHistory, 'findOne').mockReturnValue({ session: async () => ({ snapshot: { allocatedAmount: 90000 } }) });
+        jest.spyOn(Allocation, 'findById').mockReturnValue({ session: async () => ({ ...allocation, toObject: () => allocation }) });
+        const create = jest.spyOn(AllocationHistory, 'create');
+        const update = jest.spyOn(Allocation, 'findByIdAndUpdate');
+        findRollupBreach.mockResolvedValue({ headName: 'Laboratory', allocatedAmount: 80000, allocatedBelow: 90000 });
+        const res = makeRes();
+
+        await rollbackAllocation({ params: { id: allocationId, version: '2' }, body: {}, user: { _id: new mongoose.Types.ObjectId() } }, res);
+
+        expect(findRollupBreach).toHaveBeenCalledWith({ ...allocation, allocatedAmount: 90000 }, session);
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].message).toBe('Sub-head allocations under Laboratory (₹90,000) would exceed its own allocation (₹80,000)');
+        expect(session.abortTransaction).toHaveBeenCalled();
+        expect(create).not.toHaveBeenCalled();
+        expect(update).not.toHaveBeenCalled();
+    });
+});
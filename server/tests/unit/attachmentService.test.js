@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Expenditure = require('../../models/Expenditure');
+const { hashFile, buildContentKey } = require('../../services/storage');
+const { flagDuplicateAttachments, canSeeAnnotations, hideAnnotations } = require('../../services/attachmentService');
+
+// Keep the controller from touching real storage (or ClamAV)
+jest.mock('../../middleware/fileUpload', () => ({
+    deleteFile: jest.fn(),
+    cleanupOldFiles: jest.fn()
+}));
+const { deleteFile } = require('../../middleware/fileUpload');
+const { deleteFileById } = require('../../controllers/fileController');
+
+describe('Attachment Service', () => {
+    const SHARED_HASH = 'a'.repeat(64);
+
+    describe('content keys', () => {
+        it('gives identical files the same key whatever they were called', async () => {
+            const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cbms-bills-'));
+            try {
+                await fs.promises.writeFile(path.join(dir, 'bill.PDF'), 'same scan');
+                await fs.promises.writeFile(path.join(dir, 'copy.pdf'), 'same scan');
+
+                const first = buildContentKey(await hashFile(path.join(dir, 'bill.PDF')), 'bill.PDF');
+                const second = buildContentKey(await hashFile(path.join(dir, 'copy.pdf')), 'copy.pdf');
+
+                expect(first).toBe(second);
+                expect(first).toMatch(/^sha256\/[0-9a-f]{64}\.pdf$/);
+            } finally {
+                await fs.promises.rm(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('flagDuplicateAttachments', () => {
+        const resubmitted = new mongoose.Types.ObjectId();
+        const other = new mongoose.Types.ObjectId();
+
+        beforeEach(() => {
+            jest.spyOn(Expenditure, 'find').mockReturnValue({
+                select: () => ({
+                    lean: async () => [
+                        { _id: resubmitted, transactionId: 'EXP-1', expenseItems: [{ attachments: [{ sha256: SHARED_HASH }] }] },
+                        { _id: other, transactionId: 'EXP-2', expenseItems: [{ attachments: [{ sha256: SHARED_HASH }] }] }
+                    ]
+                })
+            });
+        });
+
+        it('flags bills already attached to other expenditures, except the excluded ones', async () => {
+            const shared = { sha256: SHARED_HASH, duplicateOf: [{ transactionId: 'stale' }] };
+            const fresh = { sha256: 'b'.repeat(64) };
+
+            expect(await flagDuplicateAttachments([{ attachments: [shared, fresh] }], { excludeExpenditureIds: [resubmitted] })).toBe(1);
+
+            expect(shared.duplicateOf).toEqual([{ expenditure: other, transactionId: 'EXP-2' }]);
+            expect(fresh.duplicateOf).toEqual([]);
+            expect(Expenditure.find.mock.calls[0][0].status).toEqual({ $nin: ['REJECTED', 'DRAFT', 'WITHDRAWN', 'CANCELLED'] });
+        });
+
+        it('skips the lookup for attachments stored before hashing', async () => {
+            expect(await flagDuplicateAttachments([{ attachments: [{ url: '/uploads/dept1/bill.pdf' }] }])).toBe(0);
+            expect(Expenditure.find).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('deleting a shared bill', () => {
+        const userId = new mongoose.Types.ObjectId();
+        const attachmentId = new mongoose.Types.ObjectId();
+
+        const deleteDraftBill = async () => {
+            const attachment = { _id: attachmentId, storageKey: `sha256/${SHARED_HASH}.pdf` };
+            const item = { attachments: { id: () => attachment, pull: jest.fn() } };
+            jest.spyOn(Expenditure, 'findOne').mockResolvedValue({
+                status: 'DRAFT',
+                submittedBy: userId,
+                department: new mongoose.Types.ObjectId(),
+                expenseItems: [item],
+                save: jest.fn().mockResolvedValue(undefined)
+            });
+            const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+            await deleteFileById({ params: { fileId: attachmentId.toString() }, user: { _id: userId, role: 'department' } }, res);
+
+            expect(item.attachments.pull).toHaveBeenCalledWith(attachmentId);
+            expect(res.json.mock.calls[0][0].success).toBe(true);
+        };
+
+        it('keeps the stored file while another expenditure still attaches it', async () => {
+            const exists = jest.spyOn(Expenditure, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+            await deleteDraftBill();
+
+            expect(exists).toHaveBeenCalledWith({ 'expenseItems.attachments.storageKey': `sha256/${SHARED_HASH}.pdf` });
+            expect(deleteFile).not.toHaveBeenCalled();
+        });
+
+        it('removes the stored file once nothing refers to it', async () => {
+            jest.spyOn(Expenditure, 'exists').mockResolvedValue(null);
+
+            await deleteDraftBill();
+
+            expect(deleteFile).toHaveBeenCalledWith(`sha256/${SHARED_HASH}.pdf`);
+        });
+    });
+
+    describe('bill annotations', () => {
+        const annotated = (status) => ({
+            status,
+            expenseItems: [{ attachments: [{ annotations: [{ comment: 'GST number missing' }] }] }]
+        });
+
+        it('shows annotations to approvers throughout', () => {
+            const expenditure = annotated('HOD_VERIFIED');
+
+            hideAnnotations({ role: 'hod' }, expenditure);
+
+            expect(expenditure.expenseItems[0].attachments[0].annotations).toHaveLength(1);
+        });
+
+        it('hides them from the submitter until the expenditure is rejected', () => {
+            const pending = annotated('PENDING');
+            hideAnnotations({ role: 'department' }, pending);
+
+            expect(pending.expenseItems[0].attachments[0].annotations).toEqual([]);
+            expect(canSeeAnnotations({ role: 'department' }, annotated('REJECTED'))).toBe(true);
+        });
+    });
+});
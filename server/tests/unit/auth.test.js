@@ -0,0 +1,102 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../../services/delegationService', () => ({
+    getActiveDelegators: jest.fn()
+}));
+
+// Routes under test read the user from the x-test-role header instead of a JWT
+jest.mock('../../middleware/auth', () => {
+    const actual = jest.requireActual('../../middleware/auth');
+    return {
+        ...actual,
+        verifyToken: (req, res, next) => {
+            req.user = { _id: 'delegate', role: req.headers['x-test-role'], department: 'd1' };
+            next();
+        }
+    };
+});
+
+const { getActiveDelegators } = require('../../services/delegationService');
+const { authorize, authorizeWorkflowAction } = require('../../middleware/auth');
+
+const mountRoutes = () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/financial-years', require('../../routes/financialYears'));
+    app.use('/api/allocations', require('../../routes/allocations'));
+    app.use('/api/vendors', require('../../routes/vendors'));
+    app.use('/api/projects', require('../../routes/projects'));
+    return app;
+};
+
+const runMiddleware = async (middleware, user) => {
+    const req = { user, method: 'PUT', path: '/x' };
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json() { return this; }
+    };
+    const next = jest.fn();
+    await middleware(req, res, next);
+    return { allowed: next.mock.calls.length === 1, status: res.statusCode };
+};
+
+describe('Auth Middleware', () => {
+    const coordinator = { _id: 'delegate', role: 'coordinator', department: 'd1' };
+
+    afterAll(async () => {
+        await mongoose.disconnect();
+    });
+
+    beforeEach(() => {
+        getActiveDelegators.mockResolvedValue([
+            { _id: 'p1', role: 'principal' },
+            { _id: 'o1', role: 'office' },
+            { _id: 'h1', role: 'hod', department: 'd2' }
+        ]);
+    });
+
+    describe('authorize', () => {
+        it('refuses a delegate the roles they are only covering for', async () => {
+            expect(await runMiddleware(authorize('admin', 'principal'), coordinator)).toEqual({ allowed: false, status: 403 });
+            expect(getActiveDelegators).not.toHaveBeenCalled();
+        });
+
+        it('refuses a delegate on non-workflow routes', async () => {
+            const app = mountRoutes();
+            const asCoordinator = (req) => req.set('x-test-role', 'coordinator');
+
+            const responses = await Promise.all([
+                asCoordinator(request(app).post('/api/financial-years')).send({}),
+                asCoordinator(request(app).put('/api/financial-years/fy1/lock')),
+                asCoordinator(request(app).put('/api/financial-years/fy1/close')),
+                asCoordinator(request(app).get('/api/allocations')),
+                asCoordinator(request(app).post('/api/allocations/a1/rollback/2')).send({}),
+                asCoordinator(request(app).post('/api/vendors')).send({}),
+                asCoordinator(request(app).put('/api/vendors/v1/block')).send({}),
+                asCoordinator(request(app).post('/api/projects')).send({})
+            ]);
+
+            responses.forEach(response => expect(response.status).toBe(403));
+        });
+    });
+
+    describe('authorizeWorkflowAction', () => {
+        it('lets a delegate through for the role they cover', async () => {
+            expect(await runMiddleware(authorizeWorkflowAction('hod', 'principal'), coordinator)).toEqual({ allowed: true, status: 200 });
+        });
+
+        it('refuses when no active delegation carries an allowed role', async () => {
+            getActiveDelegators.mockResolvedValue([{ _id: 'o1', role: 'office' }]);
+
+            expect(await runMiddleware(authorizeWorkflowAction('principal'), coordinator)).toEqual({ allowed: false, status: 403 });
+        });
+
+        it('does not look up delegations for a user holding the role', async () => {
+            expect(await runMiddleware(authorizeWorkflowAction('coordinator'), coordinator)).toEqual({ allowed: true, status: 200 });
+            expect(getActiveDelegators).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,39 @@
+const BudgetCategory = require('../../models/BudgetCategory');
+const BudgetHead = require('../../models/BudgetHead');
+const { LEGACY_CATEGORIES, syncBudgetCategories, getActiveCategory } = require('../../services/budgetCategoryService');
+
+describe('Budget Category Service', () => {
+    describe('syncBudgetCategories', () => {
+        it('creates the former built-in categories and codes already used by heads', async () => {
+            jest.spyOn(BudgetHead, 'distinct').mockResolvedValue(['software', 'hackathon_events', null]);
+            jest.spyOn(BudgetCategory, 'distinct').mockResolvedValue(LEGACY_CATEGORIES.map(category => category.code).filter(code => code !== 'other'));
+            const insertMany = jest.spyOn(BudgetCategory, 'insertMany').mockResolvedValue([]);
+
+            expect(await syncBudgetCategories()).toEqual(['other', 'hackathon_events']);
+            expect(insertMany.mock.calls[0][0]).toEqual([
+                { code: 'other', label: 'Other' },
+                { code: 'hackathon_events', label: 'Hackathon Events' }
+            ]);
+        });
+
+        it('leaves existing categories untouched', async () => {
+            jest.spyOn(BudgetHead, 'distinct').mockResolvedValue(['software']);
+            jest.spyOn(BudgetCategory, 'distinct').mockResolvedValue(LEGACY_CATEGORIES.map(category => category.code));
+            const insertMany = jest.spyOn(BudgetCategory, 'insertMany');
+
+            expect(await syncBudgetCategories()).toEqual([]);
+            expect(insertMany).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getActiveCategory', () => {
+        it('looks up active categories by lower-case code', async () => {
+            const findOne = jest.spyOn(BudgetCategory, 'findOne').mockResolvedValue(null);
+
+            await getActiveCategory('Software');
+
+            expect(findOne).toHaveBeenCalledWith({ code: 'software', isActive: true });
+            expect(await getActiveCategory('')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,103 @@
+const BudgetHead = require('../../models/BudgetHead');
+const Allocation = require('../../models/Allocation');
+const { buildTree, rollUp, reparentHead, findRollupBreach, describeBreach } = require('../../services/budgetHeadTreeService');
+
+describe('Budget Head Tree Service', () => {
+    // Laboratory -> Equipment -> Consumables, plus Travel at the top level
+    const heads = [
+        { _id: 'lab', name: 'Laboratory', parent: null },
+        { _id: 'equipment', name: 'Equipment', parent: 'lab' },
+        { _id: 'consumables', name: 'Consumables', parent: 'equipment' },
+        { _id: 'travel', name: 'Travel', parent: null }
+    ];
+
+    describe('buildTree and rollUp', () => {
+        it('nests heads under their parents and sums each subtree', () => {
+            const tree = rollUp(buildTree(heads.map(head => ({ ...head, spent: 100 })), head => head.parent), ['spent']);
+
+            expect(tree.map(node => node.name)).toEqual(['Laboratory', 'Travel']);
+            expect(tree[0].children[0].children[0].name).toBe('Consumables');
+            expect(tree[0].subtotal.spent).toBe(300);
+            expect(tree[0].children[0].subtotal.spent).toBe(200);
+            expect(tree[1].subtotal.spent).toBe(100);
+        });
+
+        it('treats heads whose parent is missing as roots', () => {
+            const tree = buildTree([{ _id: 'consumables', parent: 'equipment' }], head => head.parent);
+
+            expect(tree).toHaveLength(1);
+        });
+    });
+
+    describe('findRollupBreach', () => {
+        const change = { financialYear: '2024-2025', department: 'physics' };
+
+        beforeEach(() => {
+            const query = (result) => ({ select: () => ({ lean: () => ({ session: async () => result }) }) });
+            jest.spyOn(BudgetHead, 'find').mockReturnValue(query(heads));
+            jest.spyOn(Allocation, 'find').mockReturnValue(query([
+                { budgetHead: 'lab', allocatedAmount: 100000 },
+                { budgetHead: 'consumables', allocatedAmount: 60000 }
+            ]));
+        });
+
+        it('allows sub-head allocations within the head\'s own allocation', async () => {
+            expect(await findRollupBreach({ ...change, budgetHead: 'consumables', allocatedAmount: 80000 })).toBeNull();
+            expect(await findRollupBreach({ ...change, budgetHead: 'travel', allocatedAmount: 500000 })).toBeNull();
+        });
+
+        it('reports the head whose sub-heads would exceed it', async () => {
+            const breach = await findRollupBreach({ ...change, budgetHead: 'consumables', allocatedAmount: 120000 });
+
+            expect(breach).toEqual({ headName: 'Laboratory', allocatedAmount: 100000, allocatedBelow: 120000 });
+            expect(describeBreach(breach)).toBe('Sub-head allocations under Laboratory (₹1,20,000) would exceed its own allocation (₹1,00,000)');
+        });
+
+        it('checks a head being cut below what its sub-heads already hold', async () => {
+            const breach = await findRollupBreach({ ...change, budgetHead: 'lab', allocatedAmount: 50000 });
+
+            expect(breach.allocatedBelow).toBe(60000);
+        });
+    });
+
+    describe('reparentHead', () => {
+        const change = { financialYear: '2024-2025', department: 'physics' };
+        // Travel (₹50,000) moved under Laboratory, which already holds ₹60,000 of Consumables
+        const moved = heads.map(head => (head._id === 'travel' ? { ...head, parent: 'lab' } : head));
+        const session = {};
+
+        const moveTravel = (labAmount) => {
+            const query = (result) => {
+                const chain = { select: () => chain, lean: () => chain, session: async () => result };
+                return chain;
+            };
+            jest.spyOn(BudgetHead, 'findById').mockReturnValue(query({ _id: 'lab', ancestors: [] }));
+            jest.spyOn(BudgetHead, 'find')
+                .mockReturnValueOnce(query([]))
+                .mockReturnValueOnce(query(moved));
+            jest.spyOn(BudgetHead, 'updateOne').mockResolvedValue({});
+            jest.spyOn(Allocation, 'aggregate').mockReturnValue(query([{ _id: change }]));
+            jest.spyOn(Allocation, 'find').mockReturnValue(query([
+                { budgetHead: 'lab', allocatedAmount: labAmount },
+                { budgetHead: 'consumables', allocatedAmount: 60000 },
+                { budgetHead: 'travel', allocatedAmount: 50000 }
+            ]));
+            return reparentHead({ _id: 'travel' }, 'lab', session);
+        };
+
+        it('moves a head whose allocations fit under the new parent', async () => {
+            expect(await moveTravel(120000)).toBeNull();
+            expect(BudgetHead.updateOne).toHaveBeenCalledWith({ _id: 'travel' }, { $set: { parent: 'lab', ancestors: ['lab'] } }, { session });
+        });
+
+        it('reports where the moved allocations would exceed the new parent', async () => {
+            expect(await moveTravel(100000)).toEqual({
+                ...change,
+                headName: 'Laboratory',
+                allocatedAmount: 100000,
+                allocatedBelow: 110000
+            });
+            expect(Allocation.aggregate.mock.calls[0][0][0]).toEqual({ $match: { budgetHead: { $in: ['travel'] } } });
+        });
+    });
+});
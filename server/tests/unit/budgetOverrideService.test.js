@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const BudgetOverride = require('../../models/BudgetOverride');
+const { buildOverride, getApprovedOverrun, recordOverrideDecision } = require('../../services/budgetOverrideService');
+
+describe('Budget Override Service', () => {
+    const expenditureId = new mongoose.Types.ObjectId();
+
+    describe('buildOverride', () => {
+        it('counts commitments as spent, less what the expenditure itself releases', () => {
+            const override = buildOverride(
+                { _id: expenditureId, totalAmount: 30000 },
+                { _id: new mongoose.Types.ObjectId(), allocatedAmount: 100000, spentAmount: 70000, committedAmount: 15000 },
+                { justification: 'Conference moved up', requestedBy: new mongoose.Types.ObjectId(), released: 10000 }
+            );
+
+            expect(override.allocationAmount).toBe(100000);
+            expect(override.allocationSpent).toBe(75000);
+            expect(override.expenseAmount).toBe(30000);
+            expect(override.status).toBe('pending');
+        });
+    });
+
+    describe('getApprovedOverrun', () => {
+        // BudgetOverride.findOne(...).sort(...).select(...).session(...)
+        const latest = (override) => {
+            const chain = { sort: () => chain, select: () => chain, session: async () => override };
+            return jest.spyOn(BudgetOverride, 'findOne').mockReturnValue(chain);
+        };
+
+        it('lets finalization go over by the latest approved overrun', async () => {
+            const findOne = latest({ overrunAmount: 5000 });
+
+            expect(await getApprovedOverrun(expenditureId)).toBe(5000);
+            expect(findOne.mock.calls[0][0]).toEqual({ expenditure: expenditureId, status: 'approved' });
+        });
+
+        it('allows no overrun without an approved override', async () => {
+            latest(null);
+
+            expect(await getApprovedOverrun(expenditureId)).toBe(0);
+        });
+    });
+
+    describe('recordOverrideDecision', () => {
+        const principal = { _id: new mongoose.Types.ObjectId(), role: 'principal' };
+        const overrideId = new mongoose.Types.ObjectId();
+
+        it('decides only a still-pending override and records who it was decided for', async () => {
+            const update = jest.spyOn(BudgetOverride, 'findOneAndUpdate').mockResolvedValue({ status: 'approved' });
+            const substitute = { _id: new mongoose.Types.ObjectId(), role: 'vice_principal' };
+
+            await recordOverrideDecision(overrideId, 'approved', { user: substitute, role: 'principal', onBehalfOf: principal, remarks: 'Urgent' });
+
+            const [filter, change] = update.mock.calls[0];
+            expect(filter).toEqual({ _id: overrideId, status: 'pending' });
+            expect(change.$set).toMatchObject({
+                status: 'approved',
+                approvedBy: substitute._id,
+                approverRole: 'principal',
+                onBehalfOf: principal._id,
+                approvalRemarks: 'Urgent'
+            });
+            // getApprovedOverrun picks the latest approval by this date
+            expect(change.$set.approvedAt).toBeInstanceOf(Date);
+        });
+
+        it('stamps a rejection and reports an override decided meanwhile', async () => {
+            const update = jest.spyOn(BudgetOverride, 'findOneAndUpdate').mockResolvedValue(null);
+
+            expect(await recordOverrideDecision(overrideId, 'rejected', { user: principal, role: 'principal', onBehalfOf: null, remarks: 'No' })).toBeNull();
+
+            const { $set } = update.mock.calls[0][1];
+            expect($set.rejectedAt).toBeInstanceOf(Date);
+            expect($set.approvedAt).toBeUndefined();
+            expect($set.onBehalfOf).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const FinancialYear = require('../../models/FinancialYear');
+const Allocation = require('../../models/Allocation');
+const AllocationHistory = require('../../models/AllocationHistory');
+const Expenditure = require('../../models/Expenditure');
+const Reappropriation = require('../../models/Reappropriation');
+const PurchaseOrder = require('../../models/PurchaseOrder');
+const Advance = require('../../models/Advance');
+const BudgetOverride = require('../../models/BudgetOverride');
+const AllocationAmendment = require('../../models/AllocationAmendment');
+jest.mock('../../services/budgetHeadTreeService', () => ({
+    findRollupBreach: jest.fn()
+}));
+const { findRollupBreach } = require('../../services/budgetHeadTreeService');
+const {
+    buildCarryforwardPlan,
+    carryIntoNextYear,
+    findCarryforwardBreach,
+    allocateFromPool,
+    getCloseBlocker
+} = require('../../services/carryforwardService');
+
+describe('Carry-forward Service', () => {
+    // Chainable stand-in for a mongoose query that ends in .session()
+    const query = (result) => {
+        const chain = { populate: () => chain, sort: () => chain, session: async () => result };
+        return chain;
+    };
+
+    describe('buildCarryforwardPlan', () => {
+        const physics = { _id: new mongoose.Types.ObjectId(), name: 'Physics' };
+        const equipment = { _id: new mongoose.Types.ObjectId(), name: 'Equipment' };
+        const travel = { _id: new mongoose.Types.ObjectId(), name: 'Travel' };
+
+        const allocations = [
+            { _id: new mongoose.Types.ObjectId(), department: physics, budgetHead: equipment, allocatedAmount: 100000, spentAmount: 60000 },
+            { _id: new mongoose.Types.ObjectId(), department: physics, budgetHead: travel, allocatedAmount: 20000, spentAmount: 15000 },
+            { _id: new mongoose.Types.ObjectId(), department: physics, budgetHead: travel, allocatedAmount: 5000, spentAmount: 5000 }
+        ];
+        const nextEquipment = { _id: new mongoose.Types.ObjectId(), department: physics._id, budgetHead: equipment._id };
+
+        beforeEach(() => {
+            jest.spyOn(Allocation, 'find')
+                .mockReturnValueOnce(query(allocations))
+                .mockReturnValueOnce(query([nextEquipment]));
+            jest.spyOn(FinancialYear, 'findOne').mockReturnValue(query({ year: '2025-2026', status: 'active' }));
+        });
+
+        it('lists unspent balances and matches them to next year\'s allocations', async () => {
+            const plan = await buildCarryforwardPlan({ year: '2024-2025', carryforwardAllowed: true });
+
+            expect(plan.nextYear).toBe('2025-2026');
+            expect(plan.totalUnspent).toBe(45000);
+            expect(plan.items.map(item => [item.unspentAmount, item.nextAllocation, item.suggestedDecision])).toEqual([
+                [40000, nextEquipment._id, 'carry'],
+                [5000, null, 'carry']
+            ]);
+        });
+
+        it('suggests letting balances lapse when the year does not allow carry-forward', async () => {
+            const plan = await buildCarryforwardPlan({ year: '2024-2025', carryforwardAllowed: false });
+
+            expect(plan.items.every(item => item.suggestedDecision === 'lapse')).toBe(true);
+        });
+    });
+
+    describe('carryIntoNextYear', () => {
+        it('creates a linked allocation when next year\'s one has since been deleted', async () => {
+            const item = {
+                allocation: new mongoose.Types.ObjectId(),
+                department: { _id: new mongoose.Types.ObjectId() },
+                budgetHead: { _id: new mongoose.Types.ObjectId() },
+                unspentAmount: 40000,
+                nextAllocation: new mongoose.Types.ObjectId()
+            };
+            jest.spyOn(Allocation, 'findByIdAndUpdate').mockResolvedValue(null);
+            const create = jest.spyOn(Allocation, 'create').mockImplementation(async ([doc]) => [{ _id: new mongoose.Types.ObjectId(), ...doc }]);
+            const history = jest.spyOn(AllocationHistory, 'create').mockResolvedValue([]);
+
+            const target = await carryIntoNextYear(item, '2024-2025', '2025-2026', new mongoose.Types.ObjectId(), null);
+
+            expect(create.mock.calls[0][0][0]).toMatchObject({
+                financialYear: '2025-2026',
+                allocatedAmount: 40000,
+                carriedForwardFrom: [{ allocation: item.allocation, financialYear: '2024-2025', amount: 40000 }]
+            });
+            expect(history.mock.calls[0][0][0]).toMatchObject({ allocationId: target._id, version: 1 });
+        });
+    });
+
+    describe('findCarryforwardBreach', () => {
+        const physics = new mongoose.Types.ObjectId();
+        const chemistry = new mongoose.Types.ObjectId();
+        const carried = (department) => ({ _id: new mongoose.Types.ObjectId(), financialYear: '2025-2026', department });
+
+        it('checks each department once, after all carries have landed', async () => {
+            const targets = [carried(physics), carried(physics), carried(chemistry)];
+            const session = {};
+
+            expect(await findCarryforwardBreach(targets, session)).toBeNull();
+            expect(findRollupBreach.mock.calls).toEqual([[targets[0], session], [targets[2], session]]);
+        });
+
+        it('reports the first broken roll-up', async () => {
+            const breach = { headName: 'Laboratory', allocatedAmount: 40000, allocatedBelow: 55000 };
+            findRollupBreach.mockResolvedValueOnce(breach);
+
+            expect(await findCarryforwardBreach([carried(physics), carried(chemistry)], null)).toBe(breach);
+            expect(findRollupBreach).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('allocateFromPool', () => {
+        const fy = { _id: new mongoose.Types.ObjectId(), year: '2025-2026' };
+        const request = { department: new mongoose.Types.ObjectId(), budgetHead: new mongoose.Types.ObjectId(), amount: 15000 };
+
+        it('draws the pool down and adds to the existing allocation', async () => {
+            const drawDown = jest.spyOn(FinancialYear, 'findOneAndUpdate').mockResolvedValue({ pooledCarryforward: 5000 });
+            const existing = { _id: new mongoose.Types.ObjectId() };
+            jest.spyOn(Allocation, 'findOne').mockReturnValue(query(existing));
+            const credit = jest.spyOn(Allocation, 'findByIdAndUpdate').mockResolvedValue({ ...existing, allocatedAmount: 65000 });
+            jest.spyOn(AllocationHistory, 'findOne').mockReturnValue(query({ version: 3 }));
+            const history = jest.spyOn(AllocationHistory, 'create').mockResolvedValue([]);
+
+            const result = await allocateFromPool(fy, request, new mongoose.Types.ObjectId(), null);
+
+            expect(drawDown.mock.calls[0].slice(0, 2)).toEqual([
+                { _id: fy._id, pooledCarryforward: { $gte: 15000 } },
+                { $inc: { pooledCarryforward: -15000 } }
+            ]);
+            expect(credit.mock.calls[0][1].$push.carriedForwardFrom).toEqual({ financialYear: '2024-2025', amount: 15000 });
+            expect(history.mock.calls[0][0][0].changes.allocatedAmount).toEqual({ old: 50000, new: 65000 });
+            expect(result.remainingPool).toBe(5000);
+        });
+
+        it('reports a roll-up the credited allocation would break', async () => {
+            jest.spyOn(FinancialYear, 'findOneAndUpdate').mockResolvedValue({ pooledCarryforward: 5000 });
+            jest.spyOn(Allocation, 'findOne').mockReturnValue(query(null));
+            jest.spyOn(Allocation, 'create').mockImplementation(async ([doc]) => [{ _id: new mongoose.Types.ObjectId(), ...doc }]);
+            jest.spyOn(AllocationHistory, 'create').mockResolvedValue([]);
+            const breach = { headName: 'Laboratory', allocatedAmount: 10000, allocatedBelow: 15000 };
+            findRollupBreach.mockResolvedValueOnce(breach);
+            const session = {};
+
+            const result = await allocateFromPool(fy, request, new mongoose.Types.ObjectId(), session);
+
+            expect(result.breach).toBe(breach);
+            expect(findRollupBreach).toHaveBeenCalledWith(result.allocation, session);
+        });
+
+        it('allocates nothing when the pool is short', async () => {
+            jest.spyOn(FinancialYear, 'findOneAndUpdate').mockResolvedValue(null);
+            const credit = jest.spyOn(Allocation, 'findByIdAndUpdate');
+
+            expect(await allocateFromPool(fy, request, new mongoose.Types.ObjectId(), null)).toBeNull();
+            expect(credit).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getCloseBlocker', () => {
+        const fy = { year: '2024-2025' };
+
+        const counts = ({ expenditures = 0, reappropriations = 0, overrides = 0, amendments = 0, purchaseOrders = 0, advances = 0 }) => {
+            jest.spyOn(Expenditure, 'countDocuments').mockResolvedValue(expenditures);
+            jest.spyOn(Reappropriation, 'countDocuments').mockResolvedValue(reappropriations);
+            jest.spyOn(Allocation, 'find').mockReturnValue({ distinct: async () => ['allocation-1'] });
+            jest.spyOn(BudgetOverride, 'countDocuments').mockResolvedValue(overrides);
+            jest.spyOn(AllocationAmendment, 'countDocuments').mockResolvedValue(amendments);
+            jest.spyOn(PurchaseOrder, 'countDocuments').mockResolvedValue(purchaseOrders);
+            jest.spyOn(Advance, 'countDocuments').mockResolvedValue(advances);
+        };
+
+        it('allows closing once nothing is pending or open', async () => {
+            counts({});
+
+            expect(await getCloseBlocker(fy)).toBeNull();
+        });
+
+        it('blocks on documents still in an approval chain', async () => {
+            counts({ expenditures: 2, reappropriations: 1 });
+
+            expect(await getCloseBlocker(fy)).toMatch(/2 pending expenditures and 1 pending re-appropriations/);
+        });
+
+        it('blocks on override and amendment requests against the year\'s allocations', async () => {
+            counts({ overrides: 1 });
+            expect(await getCloseBlocker(fy)).toMatch(/1 pending budget overrides and 0 pending allocation amendments/);
+            expect(BudgetOverride.countDocuments.mock.calls[0][0]).toEqual({ allocation: { $in: ['allocation-1'] }, status: 'pending' });
+
+            counts({ amendments: 2 });
+            expect(await getCloseBlocker(fy)).toMatch(/2 pending allocation amendments/);
+        });
+
+        it('blocks on open purchase orders and unsettled advances', async () => {
+            counts({ purchaseOrders: 3 });
+            expect(await getCloseBlocker(fy)).toMatch(/3 open purchase orders/);
+
+            counts({ advances: 1 });
+            expect(await getCloseBlocker(fy)).toMatch(/1 advances that need to be settled/);
+            expect(Advance.countDocuments.mock.calls[0][0].status.$in).toEqual(expect.arrayContaining(['PENDING', 'HOD_VERIFIED']));
+        });
+    });
+});
@@ -0,0 +1,69 @@
+const {
+    resolveMentions,
+    getSlaElapsedMs,
+    canRequestClarification,
+    canAnswerClarification
+} = require('../../services/commentService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Comment Service', () => {
+    describe('resolveMentions', () => {
+        const users = [
+            { _id: 'u1', name: 'Anita' },
+            { _id: 'u2', name: 'Anita Rao' },
+            { _id: 'u3', name: 'Vikram Shah' }
+        ];
+
+        it('finds users mentioned by name, case-insensitively', () => {
+            expect(resolveMentions('@vikram shah can you confirm the GST?', users)).toEqual(['u3']);
+        });
+
+        it('prefers the longest matching name', () => {
+            expect(resolveMentions('Thanks @Anita Rao', users)).toEqual(['u2']);
+            expect(resolveMentions('@Anita and @Anita Rao', users).sort()).toEqual(['u1', 'u2']);
+        });
+
+        it('ignores names that only prefix a longer word', () => {
+            expect(resolveMentions('@Anitaa please check', users)).toEqual([]);
+        });
+    });
+
+    describe('getSlaElapsedMs', () => {
+        const now = new Date('2025-01-11T00:00:00Z');
+
+        it('leaves out time already spent on hold', () => {
+            const doc = { createdAt: new Date('2025-01-01T00:00:00Z'), slaPausedMs: 3 * DAY };
+
+            expect(getSlaElapsedMs(doc, now)).toBe(7 * DAY);
+        });
+
+        it('stops the clock while a clarification is outstanding', () => {
+            const doc = {
+                submittedDate: new Date('2025-01-01T00:00:00Z'),
+                createdAt: new Date('2024-12-20T00:00:00Z'),
+                slaPausedMs: 0,
+                clarification: { status: 'REQUESTED', requestedAt: new Date('2025-01-05T00:00:00Z') }
+            };
+
+            expect(getSlaElapsedMs(doc, now)).toBe(4 * DAY);
+        });
+    });
+
+    describe('clarification permissions', () => {
+        const target = { status: 'PENDING', department: 'd1', submittedBy: 'u1' };
+
+        it('lets approvers ask while the request awaits approval', () => {
+            expect(canRequestClarification({ role: 'principal' }, target)).toBe(true);
+            expect(canRequestClarification({ role: 'hod', department: 'd2' }, target)).toBe(false);
+            expect(canRequestClarification({ role: 'coordinator', department: 'd1' }, target)).toBe(false);
+            expect(canRequestClarification({ role: 'principal' }, { ...target, status: 'FINALIZED' })).toBe(false);
+        });
+
+        it('lets the submitter or a coordinator of the department answer', () => {
+            expect(canAnswerClarification({ _id: 'u1', role: 'hod' }, target)).toBe(true);
+            expect(canAnswerClarification({ _id: 'u9', role: 'coordinator', department: 'd1' }, target)).toBe(true);
+            expect(canAnswerClarification({ _id: 'u9', role: 'office' }, target)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const Allocation = require('../../models/Allocation');
+const PurchaseOrder = require('../../models/PurchaseOrder');
+const Advance = require('../../models/Advance');
+const {
+    getAvailableAmount,
+    commitFunds,
+    releaseFunds,
+    getBillRelease,
+    settlePurchaseOrderBill
+} = require('../../services/commitmentService');
+
+describe('Commitment Service', () => {
+    const allocationId = new mongoose.Types.ObjectId();
+
+    // Model.findById(...).select(...).session(...)
+    const found = (model, doc) => {
+        const chain = { select: () => chain, session: async () => doc };
+        return jest.spyOn(model, 'findById').mockReturnValue(chain);
+    };
+
+    describe('getAvailableAmount', () => {
+        it('takes spending and commitments out of the allocation', () => {
+            expect(getAvailableAmount({ allocatedAmount: 100000, spentAmount: 40000, committedAmount: 25000 })).toBe(35000);
+            expect(getAvailableAmount({ allocatedAmount: 100000, spentAmount: 40000 })).toBe(60000);
+        });
+    });
+
+    describe('commitFunds', () => {
+        it('only reserves while the allocation has the amount available', async () => {
+            const update = jest.spyOn(Allocation, 'findOneAndUpdate').mockResolvedValue(null);
+
+            expect(await commitFunds(allocationId, 30000)).toBeNull();
+
+            const [filter, change] = update.mock.calls[0];
+            expect(filter._id).toBe(allocationId);
+            expect(filter.$expr.$lte[0].$add).toContain(30000);
+            expect(change.$inc).toEqual({ committedAmount: 30000 });
+        });
+
+        it('skips the availability check when overspend is allowed', async () => {
+            const update = jest.spyOn(Allocation, 'findOneAndUpdate').mockResolvedValue({ committedAmount: 130000 });
+
+            expect(await commitFunds(allocationId, 30000, { allowOverspend: true })).toEqual({ committedAmount: 130000 });
+            expect(update.mock.calls[0][0]).toEqual({ _id: allocationId });
+        });
+    });
+
+    describe('releaseFunds', () => {
+        it('returns the reservation to the available balance', async () => {
+            const update = jest.spyOn(Allocation, 'findByIdAndUpdate').mockResolvedValue({});
+
+            await releaseFunds(allocationId, 12000);
+            expect(update.mock.calls[0][1].$inc).toEqual({ committedAmount: -12000 });
+
+            update.mockClear();
+            expect(await releaseFunds(allocationId, 0)).toBeNull();
+            expect(update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getBillRelease', () => {
+        const purchaseOrder = new mongoose.Types.ObjectId();
+
+        it('moves at most the order\'s outstanding commitment from committed to spent', async () => {
+            found(PurchaseOrder, { committedAmount: 20000, status: 'PARTIALLY_RECEIVED' });
+
+            expect(await getBillRelease({ purchaseOrder, totalAmount: 25000 })).toBe(20000);
+            expect(await getBillRelease({ purchaseOrder, totalAmount: 8000 })).toBe(8000);
+        });
+
+        it('releases nothing for a closed order or a bill without one', async () => {
+            found(PurchaseOrder, { committedAmount: 20000, status: 'CLOSED' });
+
+            expect(await getBillRelease({ purchaseOrder, totalAmount: 8000 })).toBe(0);
+            expect(await getBillRelease({ totalAmount: 8000 })).toBe(0);
+        });
+
+        it('releases the whole advance when its bills are settled', async () => {
+            found(Advance, { committedAmount: 15000, status: 'APPROVED' });
+
+            expect(await getBillRelease({ advance: new mongoose.Types.ObjectId(), totalAmount: 9000 })).toBe(15000);
+        });
+    });
+
+    describe('settlePurchaseOrderBill', () => {
+        const order = (overrides) => ({
+            allocation: allocationId,
+            totalAmount: 50000,
+            committedAmount: 50000,
+            billedAmount: 0,
+            status: 'RECEIVED',
+            save: jest.fn().mockResolvedValue(undefined),
+            ...overrides
+        });
+
+        it('keeps a partly billed order open with the rest still committed', async () => {
+            const purchaseOrder = order();
+            jest.spyOn(PurchaseOrder, 'findById').mockReturnValue({ session: async () => purchaseOrder });
+            const release = jest.spyOn(Allocation, 'findByIdAndUpdate');
+
+            await settlePurchaseOrderBill({ purchaseOrder: new mongoose.Types.ObjectId(), totalAmount: 30000 }, 30000);
+
+            expect(purchaseOrder).toMatchObject({ committedAmount: 20000, billedAmount: 30000, status: 'RECEIVED' });
+            expect(release).not.toHaveBeenCalled();
+        });
+
+        it('closes a fully billed order and frees what its bills came in under', async () => {
+            const purchaseOrder = order({ committedAmount: 20000, billedAmount: 30000 });
+            jest.spyOn(PurchaseOrder, 'findById').mockReturnValue({ session: async () => purchaseOrder });
+            const release = jest.spyOn(Allocation, 'findByIdAndUpdate').mockResolvedValue({});
+
+            await settlePurchaseOrderBill({ purchaseOrder: new mongoose.Types.ObjectId(), totalAmount: 20000 }, 15000);
+
+            expect(release.mock.calls[0][1].$inc).toEqual({ committedAmount: -5000 });
+            expect(purchaseOrder).toMatchObject({ committedAmount: 0, billedAmount: 50000, status: 'CLOSED', closeReason: 'Fully billed' });
+        });
+    });
+});
@@ -0,0 +1,83 @@
+const ExchangeRate = require('../../models/ExchangeRate');
+const { getExchangeRate, convertToBase, applyExchangeRates } = require('../../services/currencyService');
+
+describe('Currency Service', () => {
+    const rateFound = (rate) => {
+        const sort = jest.fn().mockResolvedValue(rate);
+        jest.spyOn(ExchangeRate, 'findOne').mockReturnValue({ sort });
+        return sort;
+    };
+
+    describe('getExchangeRate', () => {
+        it('uses the latest rate effective on or before the date', async () => {
+            const sort = rateFound({ currency: 'USD', rate: 83.25 });
+            const date = new Date('2024-08-15');
+
+            expect(await getExchangeRate(' usd ', date)).toEqual({ currency: 'USD', rate: 83.25 });
+            expect(ExchangeRate.findOne).toHaveBeenCalledWith({ currency: 'USD', effectiveFrom: { $lte: date } });
+            expect(sort).toHaveBeenCalledWith({ effectiveFrom: -1 });
+        });
+
+        it('answers rupees at par without a lookup', async () => {
+            const findOne = jest.spyOn(ExchangeRate, 'findOne');
+
+            expect((await getExchangeRate('INR')).rate).toBe(1);
+            expect(findOne).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('convertToBase', () => {
+        it('converts at the rate in force and rounds to paise', async () => {
+            rateFound({ rate: 83.257 });
+
+            expect(await convertToBase('120.5', 'USD', new Date('2024-08-15'))).toEqual({
+                amount: 10032.47,
+                currency: 'USD',
+                foreignAmount: 120.5,
+                exchangeRate: 83.257,
+                error: null
+            });
+        });
+
+        it('passes rupee amounts through unchanged', async () => {
+            const findOne = jest.spyOn(ExchangeRate, 'findOne');
+
+            expect(await convertToBase(4500, undefined)).toEqual({
+                amount: 4500, currency: 'INR', foreignAmount: null, exchangeRate: 1, error: null
+            });
+            expect(findOne).not.toHaveBeenCalled();
+        });
+
+        it('reports a missing rate instead of guessing an amount', async () => {
+            rateFound(null);
+
+            const conversion = await convertToBase(100, 'EUR', new Date('2024-08-15'));
+
+            expect(conversion.amount).toBeNull();
+            expect(conversion.foreignAmount).toBe(100);
+            expect(conversion.error).toMatch(/No EUR exchange rate is available/);
+        });
+    });
+
+    describe('applyExchangeRates', () => {
+        it('rewrites foreign items in rupees and leaves INR items as billed', async () => {
+            rateFound({ rate: 90 });
+            const items = [
+                { billNumber: 'B-1', amount: 2000 },
+                { billNumber: 'B-2', amount: 50, currency: 'eur', billDate: '2024-08-15' }
+            ];
+
+            expect(await applyExchangeRates(items)).toBeNull();
+            expect(items[0]).toMatchObject({ amount: 2000, currency: 'INR', foreignAmount: null, exchangeRate: 1 });
+            expect(items[1]).toMatchObject({ amount: 4500, currency: 'EUR', foreignAmount: 50, exchangeRate: 90 });
+        });
+
+        it('names the first item that has no rate', async () => {
+            rateFound(null);
+
+            const error = await applyExchangeRates([{ billNumber: 'B-7', amount: 10, currency: 'GBP' }]);
+
+            expect(error).toMatch(/^Item 1 \(bill B-7\): No GBP exchange rate/);
+        });
+    });
+});
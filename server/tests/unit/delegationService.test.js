@@ -0,0 +1,25 @@
+const { resolveActingRole } = require('../../services/delegationService');
+
+describe('Delegation Service', () => {
+    describe('resolveActingRole', () => {
+        const roles = ['principal', 'vice_principal'];
+        const principal = { _id: 'principal-1', role: 'principal' };
+
+        it('prefers the user\'s own qualifying role', () => {
+            expect(resolveActingRole({ _id: 'vp-1', role: 'vice_principal' }, roles, [principal]))
+                .toEqual({ role: 'vice_principal', onBehalfOf: null });
+        });
+
+        it('falls back to an absent user the substitute stands in for', () => {
+            const hod = { _id: 'hod-1', role: 'hod' };
+
+            expect(resolveActingRole({ _id: 'office-1', role: 'office' }, roles, [hod, principal]))
+                .toEqual({ role: 'principal', onBehalfOf: principal });
+        });
+
+        it('finds no authority without a qualifying role', () => {
+            expect(resolveActingRole({ _id: 'office-1', role: 'office' }, roles, [{ _id: 'hod-1', role: 'hod' }])).toBeNull();
+            expect(resolveActingRole({ _id: 'office-1', role: 'office' }, roles)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Expenditure = require('../../models/Expenditure');
+const WorkflowDefinition = require('../../models/WorkflowDefinition');
+const { getVisibleStatuses } = require('../../services/workflowService');
+
+describe('Expenditure Drafts', () => {
+    const makeExpenditure = (status) => new Expenditure({
+        department: new mongoose.Types.ObjectId(),
+        submittedBy: new mongoose.Types.ObjectId(),
+        financialYear: '2024-2025',
+        status,
+        expenseItems: [{ category: 'MISCELLANEOUS', amount: 1200 }]
+    });
+
+    describe('validation', () => {
+        it('saves a draft without event or bill details', () => {
+            expect(makeExpenditure('DRAFT').validateSync()).toBeUndefined();
+        });
+
+        it('requires them once the expenditure is submitted', () => {
+            const { errors } = makeExpenditure('PENDING').validateSync();
+
+            expect(Object.keys(errors)).toEqual(expect.arrayContaining([
+                'budgetHead',
+                'eventName',
+                'eventType',
+                'expenseItems.0.billNumber',
+                'expenseItems.0.billDate',
+                'expenseItems.0.vendorName'
+            ]));
+        });
+    });
+
+    describe('queue visibility', () => {
+        beforeEach(() => {
+            jest.spyOn(WorkflowDefinition, 'findOne').mockReturnValue({ lean: async () => null });
+        });
+
+        it('keeps drafts out of every approver\'s pending view', async () => {
+            for (const role of ['hod', 'office', 'vice_principal', 'principal']) {
+                expect(await getVisibleStatuses('Expenditure', role)).not.toContain('DRAFT');
+            }
+        });
+
+        it('shows coordinators their drafts alongside submitted items', async () => {
+            expect(await getVisibleStatuses('Expenditure', 'coordinator')).toEqual(expect.arrayContaining(['DRAFT', 'PENDING']));
+        });
+    });
+});
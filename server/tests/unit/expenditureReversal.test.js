@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Allocation = require('../../models/Allocation');
+const Advance = require('../../models/Advance');
+const PurchaseOrder = require('../../models/PurchaseOrder');
+const { unsettleAdvance } = require('../../services/advanceService');
+const { reversePurchaseOrderBill } = require('../../services/commitmentService');
+
+describe('Expenditure Reversal', () => {
+    const expenditure = {
+        _id: new mongoose.Types.ObjectId(),
+        advance: new mongoose.Types.ObjectId(),
+        purchaseOrder: new mongoose.Types.ObjectId(),
+        totalAmount: 18000
+    };
+
+    // Model.findX(...).session(...)
+    const found = (model, method, doc) => jest.spyOn(model, method).mockReturnValue({ session: async () => doc });
+
+    describe('unsettleAdvance', () => {
+        it('reopens the settled advance and reserves it on the allocation again', async () => {
+            const advance = {
+                allocation: new mongoose.Types.ObjectId(),
+                amount: 20000,
+                committedAmount: 0,
+                status: 'SETTLED',
+                settlement: { expenditure: expenditure._id, refundDue: 2000 },
+                save: jest.fn().mockResolvedValue(undefined)
+            };
+            found(Advance, 'findOne', advance);
+            const commit = jest.spyOn(Allocation, 'findOneAndUpdate').mockResolvedValue({});
+
+            expect(await unsettleAdvance(expenditure)).toBe(advance);
+
+            expect(Advance.findOne.mock.calls[0][0]).toEqual({ _id: expenditure.advance, status: 'SETTLED', 'settlement.expenditure': expenditure._id });
+            // The cash is already out, so the reservation goes back even past the available balance
+            expect(commit.mock.calls[0][0]).toEqual({ _id: advance.allocation });
+            expect(commit.mock.calls[0][1].$inc).toEqual({ committedAmount: 20000 });
+            expect(advance).toMatchObject({ status: 'APPROVED', committedAmount: 20000, settlement: undefined });
+        });
+
+        it('leaves advances settled by another claim alone', async () => {
+            found(Advance, 'findOne', null);
+            const commit = jest.spyOn(Allocation, 'findOneAndUpdate');
+
+            expect(await unsettleAdvance(expenditure)).toBeNull();
+            expect(commit).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('reversePurchaseOrderBill', () => {
+        it('takes the bill off the order\'s billed total without reserving it again', async () => {
+            const purchaseOrder = { billedAmount: 30000, save: jest.fn().mockResolvedValue(undefined) };
+            found(PurchaseOrder, 'findById', purchaseOrder);
+            const commit = jest.spyOn(Allocation, 'findOneAndUpdate');
+
+            await reversePurchaseOrderBill(expenditure);
+
+            expect(purchaseOrder.billedAmount).toBe(12000);
+            expect(purchaseOrder.save).toHaveBeenCalled();
+            expect(commit).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,58 @@
+const { normalizeSplits, getSplitShares } = require('../../services/expenditureSplitService');
+
+describe('Expenditure Split Service', () => {
+    describe('normalizeSplits', () => {
+        it('treats no splits as an unsplit expenditure', () => {
+            expect(normalizeSplits(undefined, 1000)).toEqual({ splits: [], error: null });
+        });
+
+        it('puts the rounding difference on the last percentage split', () => {
+            const { splits, error } = normalizeSplits([
+                { allocation: 'a', mode: 'percentage', value: 33.33 },
+                { allocation: 'b', mode: 'percentage', value: 33.33 },
+                { allocation: 'c', mode: 'percentage', value: 33.34 }
+            ], 100.01);
+
+            expect(error).toBeNull();
+            expect(splits.map(split => split.amount)).toEqual([33.33, 33.33, 33.35]);
+        });
+
+        it('mixes fixed amounts with percentages', () => {
+            const { splits, error } = normalizeSplits([
+                { allocation: 'a', mode: 'amount', value: 400 },
+                { allocation: 'b', mode: 'percentage', value: 60 }
+            ], 1000);
+
+            expect(error).toBeNull();
+            expect(splits.map(split => split.amount)).toEqual([400, 600]);
+        });
+
+        it('rejects splits that do not cover the total', () => {
+            const { error } = normalizeSplits([
+                { allocation: 'a', mode: 'amount', value: 400 },
+                { allocation: 'b', mode: 'amount', value: 500 }
+            ], 1000);
+
+            expect(error).toMatch(/add up to/);
+        });
+
+        it('rejects a single split and repeated allocations', () => {
+            expect(normalizeSplits([{ allocation: 'a', mode: 'percentage', value: 100 }], 1000).error).toMatch(/at least two/);
+            expect(normalizeSplits([
+                { allocation: 'a', mode: 'percentage', value: 50 },
+                { allocation: 'a', mode: 'percentage', value: 50 }
+            ], 1000).error).toMatch(/only appear once/);
+        });
+    });
+
+    describe('getSplitShares', () => {
+        it('spreads a reduced total in proportion to the submitted shares', () => {
+            const shares = getSplitShares({
+                totalAmount: 900,
+                splits: [{ amount: 600 }, { amount: 400 }]
+            });
+
+            expect(shares).toEqual([540, 360]);
+        });
+    });
+});
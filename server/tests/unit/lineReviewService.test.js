@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Expenditure = require('../../models/Expenditure');
+const { applyLineDecisions, summarizeLineChanges } = require('../../services/lineReviewService');
+
+describe('Line Review Service', () => {
+    const reviewer = { user: { _id: new mongoose.Types.ObjectId() }, role: 'office', stage: 'office_approval' };
+
+    const buildExpenditure = () => new Expenditure({
+        totalAmount: 15000,
+        expenseItems: [
+            { vendorName: 'Lab Supplies Co', billNumber: 'LS-101', billDate: new Date('2024-08-01'), amount: 10000 },
+            { vendorName: 'Print Hub', billNumber: 'PH-7', billDate: new Date('2024-08-02'), amount: 5000 }
+        ]
+    });
+
+    it('recalculates the total from reduced and rejected lines', () => {
+        const expenditure = buildExpenditure();
+        const [lab, print] = expenditure.expenseItems;
+
+        const error = applyLineDecisions(expenditure, [
+            { itemId: lab._id, decision: 'reduce', approvedAmount: '7500.456', remarks: 'Two items not delivered' },
+            { itemId: print._id, decision: 'reject', remarks: 'Personal printing' }
+        ], reviewer);
+
+        expect(error).toBeNull();
+        expect(lab.lineStatus).toBe('REDUCED');
+        expect(lab.approvedAmount).toBe(7500.46);
+        expect(lab.lineReviews[0]).toMatchObject({ role: 'office', stage: 'office_approval', decision: 'reduce' });
+        expect(expenditure.totalAmount).toBe(7500.46);
+        expect(summarizeLineChanges(expenditure).map(line => line.approvedAmount)).toEqual([7500.46, 0]);
+    });
+
+    it('keeps a reduction strictly between zero and the billed amount', () => {
+        const expenditure = buildExpenditure();
+        const itemId = expenditure.expenseItems[0]._id;
+
+        for (const approvedAmount of [0, 10000, 12000, 'abc']) {
+            expect(applyLineDecisions(expenditure, [{ itemId, decision: 'reduce', approvedAmount, remarks: 'Partial' }], reviewer))
+                .toMatch(/^Reduced amount for bill LS-101 must be more than ₹0/);
+        }
+        expect(expenditure.totalAmount).toBe(15000);
+    });
+
+    it('requires remarks to reduce or reject a line', () => {
+        const expenditure = buildExpenditure();
+        const itemId = expenditure.expenseItems[1]._id;
+
+        expect(applyLineDecisions(expenditure, [{ itemId, decision: 'reject', remarks: '   ' }], reviewer))
+            .toBe('Remarks are required to reject bill PH-7');
+        expect(applyLineDecisions(expenditure, [{ itemId, decision: 'approve' }], reviewer)).toBeNull();
+    });
+
+    it('refuses an item from another expenditure', () => {
+        const itemId = new mongoose.Types.ObjectId();
+
+        expect(applyLineDecisions(buildExpenditure(), [{ itemId, decision: 'approve' }], reviewer))
+            .toBe(`Expense item ${itemId} does not belong to this expenditure`);
+    });
+
+    it('refuses to reject every line', () => {
+        const expenditure = buildExpenditure();
+
+        const error = applyLineDecisions(expenditure, expenditure.expenseItems.map(item => ({
+            itemId: item._id, decision: 'reject', remarks: 'Not eligible'
+        })), reviewer);
+
+        expect(error).toBe('Every line would be rejected. Reject the expenditure instead.');
+    });
+});
@@ -0,0 +1,93 @@
+const { parseBillText, parseDate, findAmountMismatches } = require('../../services/ocrService');
+
+const BILL_TEXT = [
+    'SHARMA STATIONERY MART',
+    '12, MG Road, Pune',
+    'GSTIN: 27ABCDE1234F1Z5',
+    'TAX INVOICE',
+    'Invoice No: INV/2024-25/0187',
+    'Date: 14/08/2024',
+    'A4 Paper 10 250.00 2,500.00',
+    'Sub Total 2,500.00',
+    'CGST 9% 225.00',
+    'SGST 9% 225.00',
+    'Grand Total: Rs. 2,950.00'
+].join('\n');
+
+describe('OCR Service', () => {
+    describe('parseBillText', () => {
+        it('picks the bill number, date, vendor and grand total', () => {
+            const fields = parseBillText(BILL_TEXT, 1);
+
+            expect(fields.billNumber.value).toBe('INV/2024-25/0187');
+            expect(fields.billDate.value).toBe('2024-08-14');
+            expect(fields.vendorName.value).toBe('SHARMA STATIONERY MART');
+            expect(fields.amount.value).toBe(2950);
+        });
+
+        it('scales field confidence by the confidence in the text', () => {
+            const sure = parseBillText(BILL_TEXT, 1);
+            const unsure = parseBillText(BILL_TEXT, 0.5);
+
+            expect(unsure.amount.confidence).toBeCloseTo(sure.amount.confidence / 2, 1);
+        });
+
+        it('prefers a labelled vendor and reads Indian digit grouping', () => {
+            const fields = parseBillText('Cash Memo\nSold by: Patel Caterers\nBill No. 552\nNet Payable 1,12,500.50', 1);
+
+            expect(fields.vendorName.value).toBe('Patel Caterers');
+            expect(fields.billNumber.value).toBe('552');
+            expect(fields.amount.value).toBe(112500.5);
+        });
+
+        it('returns nulls for text with no bill details', () => {
+            const fields = parseBillText('', 1);
+
+            expect(fields).toEqual({ billNumber: null, billDate: null, vendorName: null, amount: null });
+        });
+    });
+
+    describe('parseDate', () => {
+        it('reads day-first, ISO and month-name dates', () => {
+            expect(parseDate('03/01/2025')).toBe('2025-01-03');
+            expect(parseDate('2025-01-03')).toBe('2025-01-03');
+            expect(parseDate('3rd Jan 25')).toBe('2025-01-03');
+        });
+
+        it('rejects impossible dates', () => {
+            expect(parseDate('31/02/2025')).toBeNull();
+        });
+    });
+
+    describe('findAmountMismatches', () => {
+        const billFor = (value, confidence) => [{ extraction: { amount: { value, confidence } } }];
+
+        it('flags a typed amount that differs from the bill', () => {
+            const mismatches = findAmountMismatches([
+                { billNumber: 'A1', amount: 2590, attachments: billFor(2950, 0.9) }
+            ]);
+
+            expect(mismatches).toEqual([
+                { index: 0, billNumber: 'A1', enteredAmount: 2590, extractedAmount: 2950, confidence: 0.9 }
+            ]);
+        });
+
+        it('allows rupee rounding and ignores low-confidence readings', () => {
+            const mismatches = findAmountMismatches([
+                { amount: 2950.4, attachments: billFor(2950, 0.9) },
+                { amount: 100, attachments: billFor(900, 0.3) },
+                { amount: 100, attachments: [] }
+            ]);
+
+            expect(mismatches).toEqual([]);
+        });
+
+        it('compares foreign bills in the billed currency', () => {
+            const mismatches = findAmountMismatches([
+                { currency: 'USD', foreignAmount: 120, amount: 10020, attachments: billFor(120, 0.9) }
+            ]);
+
+            expect(mismatches).toEqual([]);
+        });
+    });
+});
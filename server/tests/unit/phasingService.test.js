@@ -0,0 +1,60 @@
+const {
+    getEvenPhases,
+    normalizePhasing,
+    getReleasedAmount,
+    getReleasedAvailable,
+    getNextRelease,
+    getPlannedPercent
+} = require('../../services/phasingService');
+
+describe('Phasing Service', () => {
+    const quarterly = {
+        financialYear: '2024-2025',
+        phasing: 'quarterly',
+        phases: [40, 20, 20, 20],
+        allocatedAmount: 100000,
+        spentAmount: 35000,
+        committedAmount: 10000
+    };
+
+    describe('normalizePhasing', () => {
+        it('splits evenly when no percentages are given', () => {
+            expect(getEvenPhases('monthly')).toHaveLength(12);
+            expect(getEvenPhases('monthly').slice(-1)[0]).toBe(8.37);
+            expect(normalizePhasing('quarterly', [])).toEqual({ phasing: 'quarterly', phases: [25, 25, 25, 25], error: null });
+        });
+
+        it('rejects plans with the wrong number of periods or that do not add up to 100', () => {
+            expect(normalizePhasing('quarterly', [50, 50]).error).toBe('Quarterly phasing needs 4 release percentages');
+            expect(normalizePhasing('quarterly', [40, 20, 20, 10]).error).toBe('Release percentages must add up to 100 (got 90)');
+            expect(normalizePhasing('yearly', []).error).toMatch(/none, quarterly or monthly/);
+        });
+    });
+
+    describe('released budget', () => {
+        it('releases the first quarter from the start of the year and the next on its date', () => {
+            expect(getReleasedAmount(quarterly, new Date(2024, 3, 15))).toBe(40000);
+            expect(getReleasedAvailable(quarterly, new Date(2024, 3, 15))).toBe(-5000);
+            expect(getReleasedAmount(quarterly, new Date(2024, 6, 1))).toBe(60000);
+            expect(getReleasedAmount(quarterly, new Date(2025, 2, 31))).toBe(100000);
+        });
+
+        it('releases everything at once when the allocation is not phased', () => {
+            expect(getReleasedAmount({ ...quarterly, phasing: 'none' }, new Date(2024, 3, 15))).toBe(100000);
+            expect(getNextRelease({ ...quarterly, phasing: 'none' }, new Date(2024, 3, 15))).toBeNull();
+        });
+
+        it('reports the next instalment', () => {
+            expect(getNextRelease(quarterly, new Date(2024, 7, 1))).toEqual({ date: new Date(2024, 9, 1), amount: 20000 });
+            expect(getNextRelease(quarterly, new Date(2025, 0, 1))).toBeNull();
+        });
+    });
+
+    describe('getPlannedPercent', () => {
+        it('counts elapsed periods in full and the current one pro rata', () => {
+            expect(getPlannedPercent(quarterly, new Date(2024, 6, 1))).toBe(40);
+            expect(getPlannedPercent(quarterly, new Date(2024, 3, 1))).toBe(0);
+            expect(getPlannedPercent(quarterly, new Date(2025, 3, 1))).toBe(100);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Allocation = require('../../models/Allocation');
+const AllocationHistory = require('../../models/AllocationHistory');
+jest.mock('../../services/budgetHeadTreeService', () => ({
+    ...jest.requireActual('../../services/budgetHeadTreeService'),
+    findRollupBreach: jest.fn()
+}));
+const { findRollupBreach } = require('../../services/budgetHeadTreeService');
+const { executeTransfer } = require('../../services/reappropriationService');
+
+describe('Reappropriation Service', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const fromAllocation = new mongoose.Types.ObjectId();
+    const toAllocation = new mongoose.Types.ObjectId();
+
+    const makeRequest = () => ({
+        _id: new mongoose.Types.ObjectId(),
+        fromAllocation,
+        toAllocation,
+        amount: 25000,
+        reason: 'Lab consumables overrun'
+    });
+
+    // AllocationHistory.findOne(...).sort(...).session(...)
+    const latestVersion = (version) => ({
+        sort: () => ({ session: async () => (version ? { version } : null) })
+    });
+
+    describe('executeTransfer', () => {
+        it('moves the amount and versions both allocations', async () => {
+            jest.spyOn(Allocation, 'findOneAndUpdate').mockResolvedValue({ _id: fromAllocation, allocatedAmount: 75000, spentAmount: 20000 });
+            jest.spyOn(Allocation, 'findByIdAndUpdate').mockResolvedValue({ _id: toAllocation, allocatedAmount: 45000, spentAmount: 0 });
+            jest.spyOn(AllocationHistory, 'findOne')
+                .mockReturnValueOnce(latestVersion(3))
+                .mockReturnValueOnce(latestVersion(null));
+            const create = jest.spyOn(AllocationHistory, 'create').mockResolvedValue([]);
+            const reappropriation = makeRequest();
+
+            expect(await executeTransfer(reappropriation, userId, null)).toBeNull();
+
+            expect(Allocation.findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { allocatedAmount: -25000 }, lastModifiedBy: userId });
+            expect(Allocation.findByIdAndUpdate.mock.calls[0][1]).toEqual({ $inc: { allocatedAmount: 25000 }, lastModifiedBy: userId });
+            expect(reappropriation.execution).toEqual({
+                from: { old: 100000, new: 75000, version: 4 },
+                to: { old: 20000, new: 45000, version: 1 }
+            });
+            expect(reappropriation.executedAt).toBeInstanceOf(Date);
+
+            const [[outOf], [into]] = create.mock.calls.map(call => call[0]);
+            expect(outOf.changeReason).toMatch(/out of this head/);
+            expect(outOf.changes.allocatedAmount).toEqual({ old: 100000, new: 75000 });
+            expect(into.changeReason).toMatch(/into this head/);
+        });
+
+        it('leaves both allocations alone when the source lacks uncommitted funds', async () => {
+            jest.spyOn(Allocation, 'findOneAndUpdate').mockResolvedValue(null);
+            const credit = jest.spyOn(Allocation, 'findByIdAndUpdate');
+            const create = jest.spyOn(AllocationHistory, 'create');
+            const reappropriation = makeRequest();
+
+            expect(await executeTransfer(reappropriation, userId, null)).toMatch(/no longer has enough unspent funds/);
+
+            expect(Allocation.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ _id: fromAllocation });
+            expect(credit).not.toHaveBeenCalled();
+            expect(create).not.toHaveBeenCalled();
+            expect(reappropriation.execution).toBeUndefined();
+        });
+
+        it('refuses a transfer that takes a head below its sub-heads', async () => {
+            const target = { _id: toAllocation, financialYear: '2024-2025', department: 'physics', budgetHead: 'consumables', allocatedAmount: 45000 };
+            jest.spyOn(Allocation, 'findOneAndUpdate').mockResolvedValue({ _id: fromAllocation, allocatedAmount: 75000 });
+            jest.spyOn(Allocation, 'findByIdAndUpdate').mockResolvedValue(target);
+            findRollupBreach
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ headName: 'Laboratory', allocatedAmount: 40000, allocatedBelow: 45000 });
+            const create = jest.spyOn(AllocationHistory, 'create');
+            const session = {};
+
+            expect(await executeTransfer(makeRequest(), userId, session))
+                .toBe('Sub-head allocations under Laboratory (₹45,000) would exceed its own allocation (₹40,000)');
+
+            // Checked against the credited amount, inside the transaction
+            expect(findRollupBreach).toHaveBeenLastCalledWith(target, session);
+            expect(create).not.toHaveBeenCalled();
+        });
+    });
+});
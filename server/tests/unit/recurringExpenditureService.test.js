@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Expenditure = require('../../models/Expenditure');
+const ExpenditureTemplate = require('../../models/ExpenditureTemplate');
+const AuditLog = require('../../models/AuditLog');
+const { getNextRunDate, buildDraft, generateDueDrafts } = require('../../services/recurringExpenditureService');
+
+describe('Recurring Expenditure Service', () => {
+    const makeTemplate = (overrides = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Internet charges',
+        department: new mongoose.Types.ObjectId(),
+        budgetHead: new mongoose.Types.ObjectId(),
+        createdBy: new mongoose.Types.ObjectId(),
+        eventType: 'Other',
+        category: 'utilities',
+        vendorName: 'City Broadband',
+        expectedAmount: 4500,
+        frequency: 'monthly',
+        dayOfMonth: 5,
+        startDate: new Date(2024, 3, 1),
+        isActive: true,
+        ...overrides
+    });
+
+    describe('getNextRunDate', () => {
+        it('steps through the schedule from the start month', () => {
+            const quarterly = makeTemplate({ frequency: 'quarterly' });
+
+            expect(getNextRunDate(quarterly, new Date(2024, 3, 1))).toEqual(new Date(2024, 3, 5));
+            expect(getNextRunDate(quarterly, new Date(2024, 3, 6))).toEqual(new Date(2024, 6, 5));
+            expect(getNextRunDate(quarterly, new Date(2024, 6, 5, 15, 30))).toEqual(new Date(2024, 6, 5));
+        });
+
+        it('ends the schedule after the end date', () => {
+            const template = makeTemplate({ endDate: new Date(2024, 5, 30) });
+
+            expect(getNextRunDate(template, new Date(2024, 5, 6))).toBeNull();
+        });
+    });
+
+    describe('buildDraft', () => {
+        it('raises a draft in the owner\'s name for the run\'s financial year', () => {
+            const template = makeTemplate();
+            const draft = buildDraft(template, new Date(2025, 2, 5));
+
+            expect(draft.status).toBe('DRAFT');
+            expect(draft.financialYear).toBe('2024-2025');
+            expect(draft.submittedBy).toEqual(template.createdBy);
+            expect(draft.recurringTemplate).toEqual(template._id);
+            expect(draft.expenseItems[0].amount).toBe(4500);
+        });
+    });
+
+    describe('generateDueDrafts', () => {
+        beforeEach(() => {
+            jest.spyOn(Expenditure.prototype, 'save').mockImplementation(function () {
+                return Promise.resolve(this);
+            });
+            jest.spyOn(ExpenditureTemplate, 'updateOne').mockResolvedValue({});
+            jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+        });
+
+        it('catches up one draft per missed run', async () => {
+            const template = makeTemplate({ nextRunDate: new Date(2024, 4, 5) });
+            jest.spyOn(ExpenditureTemplate, 'find').mockResolvedValue([template]);
+            const claim = jest.spyOn(ExpenditureTemplate, 'findOneAndUpdate').mockResolvedValue(template);
+
+            const generated = await generateDueDrafts(new Date(2024, 6, 10));
+
+            expect(generated.map(({ draft }) => draft.eventDate)).toEqual([new Date(2024, 4, 5), new Date(2024, 5, 5), new Date(2024, 6, 5)]);
+            expect(claim.mock.calls[2][1]).toEqual({ $set: { nextRunDate: new Date(2024, 7, 5) } });
+        });
+
+        it('skips a run another pass already claimed', async () => {
+            jest.spyOn(ExpenditureTemplate, 'find').mockResolvedValue([makeTemplate({ nextRunDate: new Date(2024, 4, 5) })]);
+            jest.spyOn(ExpenditureTemplate, 'findOneAndUpdate').mockResolvedValue(null);
+
+            expect(await generateDueDrafts(new Date(2024, 4, 10))).toEqual([]);
+            expect(Expenditure.prototype.save).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalDriver } = require('../../services/storage/localDriver');
+const { buildKey, getAttachmentKey, signServeUrl, verifyServeSignature } = require('../../services/storage');
+
+describe('Attachment Storage', () => {
+    describe('local driver', () => {
+        let rootDir;
+        let storage;
+        let staged;
+
+        beforeEach(async () => {
+            rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'cbms-storage-'));
+            storage = createLocalDriver(rootDir);
+            await storage.init();
+            staged = path.join(rootDir, 'staged.pdf');
+            await fs.promises.writeFile(staged, 'bill');
+        });
+
+        afterEach(async () => {
+            await fs.promises.rm(rootDir, { recursive: true, force: true });
+        });
+
+        it('stores, streams and removes a file by key', async () => {
+            await storage.save('dept1/bill.pdf', staged);
+
+            expect(await storage.exists('dept1/bill.pdf')).toBe(true);
+            const { stream, size } = await storage.getStream('dept1/bill.pdf');
+            expect(size).toBe(4);
+            expect((await stream.toArray()).join('')).toBe('bill');
+            expect(await storage.remove('dept1/bill.pdf')).toBe(true);
+            expect(await storage.remove('dept1/bill.pdf')).toBe(false);
+            expect(await storage.getStream('dept1/bill.pdf')).toBeNull();
+        });
+
+        it('refuses keys outside the storage root', async () => {
+            await expect(storage.save('../escape.pdf', staged)).rejects.toThrow('Invalid storage key');
+        });
+    });
+
+    describe('keys', () => {
+        it('keeps keys inside their department folder', () => {
+            expect(buildKey('../dept1', '../../bill.pdf')).toBe('dept1/bill.pdf');
+        });
+
+        it('derives the key of attachments saved before keys were recorded', () => {
+            expect(getAttachmentKey({ storageKey: 'sha256/abc.pdf', url: '/uploads/dept1/bill.pdf' })).toBe('sha256/abc.pdf');
+            expect(getAttachmentKey({ url: '/uploads/dept1/bill.pdf' })).toBe('dept1/bill.pdf');
+            expect(getAttachmentKey({ url: 'https://example.com/bill.pdf' })).toBeNull();
+        });
+    });
+
+    describe('signed serve URLs', () => {
+        beforeEach(() => {
+            process.env.FILE_URL_SECRET = 'test-secret';
+        });
+
+        afterEach(() => {
+            delete process.env.FILE_URL_SECRET;
+        });
+
+        it('accepts its own signature only for the signed key', () => {
+            const query = Object.fromEntries(new URL(signServeUrl('dept1/bill.pdf').url, 'http://localhost').searchParams);
+
+            expect(verifyServeSignature('dept1/bill.pdf', query)).toBeNull();
+            expect(verifyServeSignature('dept2/bill.pdf', query)).toBe('This download link is not valid');
+            expect(verifyServeSignature('dept1/bill.pdf', {})).toBe('This download link is not signed');
+        });
+
+        it('rejects expired links', () => {
+            const query = Object.fromEntries(new URL(signServeUrl('dept1/bill.pdf', -60).url, 'http://localhost').searchParams);
+
+            expect(verifyServeSignature('dept1/bill.pdf', query)).toBe('This download link has expired');
+        });
+    });
+});
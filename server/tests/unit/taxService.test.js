@@ -0,0 +1,101 @@
+const { normalizeTaxBreakdown, applyTaxBreakdowns, summarizeTaxes } = require('../../services/taxService');
+
+describe('Tax Service', () => {
+    describe('normalizeTaxBreakdown', () => {
+        it('computes missing component amounts from their rates', () => {
+            const { tax, error } = normalizeTaxBreakdown({ taxableValue: 1000, cgstRate: 9, sgstRate: 9 }, 1180);
+
+            expect(error).toBeNull();
+            expect(tax.cgstAmount).toBe(90);
+            expect(tax.sgstAmount).toBe(90);
+            expect(tax.igstAmount).toBe(0);
+        });
+
+        it('accepts rupee rounding on the bill amount', () => {
+            const { error } = normalizeTaxBreakdown({ taxableValue: 847.46, igstRate: 18 }, 1000);
+
+            expect(error).toBeNull();
+        });
+
+        it('rejects components that do not add up to the bill amount', () => {
+            const { tax, error } = normalizeTaxBreakdown({ taxableValue: 1000, igstRate: 18 }, 1100);
+
+            expect(tax).toBeNull();
+            expect(error).toMatch(/does not add up/);
+        });
+
+        it('rejects IGST together with CGST/SGST', () => {
+            const { error } = normalizeTaxBreakdown({ taxableValue: 1000, cgstRate: 9, sgstRate: 9, igstRate: 18 }, 1360);
+
+            expect(error).toMatch(/either CGST \+ SGST or IGST/);
+        });
+
+        it('rejects a component amount that does not match its rate', () => {
+            const { error } = normalizeTaxBreakdown({ taxableValue: 1000, igstRate: 18, igstAmount: 120 }, 1120);
+
+            expect(error).toMatch(/IGST amount/);
+        });
+
+        it('rejects TDS above the taxable value', () => {
+            const { error } = normalizeTaxBreakdown({ taxableValue: 1000, tdsAmount: 1500 }, 1000);
+
+            expect(error).toMatch(/TDS/);
+        });
+
+        it('treats a missing taxable value as no breakdown', () => {
+            expect(normalizeTaxBreakdown(undefined, 500)).toEqual({ tax: null, error: null });
+            expect(normalizeTaxBreakdown({ taxableValue: '' }, 500)).toEqual({ tax: null, error: null });
+        });
+    });
+
+    describe('applyTaxBreakdowns', () => {
+        it('reports the first invalid item by position and bill number', () => {
+            const items = [
+                { billNumber: 'A-1', amount: 500 },
+                { billNumber: 'B-2', amount: 1000, tax: { taxableValue: 1000, igstRate: 18 } }
+            ];
+
+            expect(applyTaxBreakdowns(items)).toBe('Item 2 (bill B-2): Taxable value plus GST (₹1180) does not add up to the bill amount (₹1000)');
+        });
+
+        it('drops empty breakdowns and normalizes the rest in place', () => {
+            const items = [
+                { billNumber: 'A-1', amount: 500, tax: { taxableValue: '' } },
+                { billNumber: 'B-2', amount: 1050, tax: { taxableValue: '1000', cgstRate: '2.5', sgstRate: '2.5' } }
+            ];
+
+            expect(applyTaxBreakdowns(items)).toBeNull();
+            expect(items[0].tax).toBeUndefined();
+            expect(items[1].tax.cgstAmount).toBe(25);
+        });
+    });
+
+    describe('summarizeTaxes', () => {
+        const tax = { taxableValue: 1000, cgstAmount: 90, sgstAmount: 90, igstAmount: 0, tdsAmount: 20 };
+        const expenditure = (expenseItems) => ({
+            department: { name: 'Physics' },
+            budgetHead: { name: 'Lab Equipment' },
+            expenseItems
+        });
+
+        it('counts reduced lines on the approved amount and leaves out rejected lines', () => {
+            const { totals, rows } = summarizeTaxes([expenditure([
+                { amount: 1180, lineStatus: 'APPROVED', tax },
+                { amount: 1180, lineStatus: 'REDUCED', approvedAmount: 590, tax },
+                { amount: 1180, lineStatus: 'REJECTED', tax }
+            ])]);
+
+            expect(totals).toEqual({
+                taxableValue: 1500,
+                cgstAmount: 135,
+                sgstAmount: 135,
+                igstAmount: 0,
+                totalGst: 270,
+                tdsAmount: 30,
+                billCount: 2
+            });
+            expect(rows).toHaveLength(1);
+            expect(rows[0].taxableValue).toBe(1500);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Vendor = require('../../models/Vendor');
+const Expenditure = require('../../models/Expenditure');
+const { attachVendors, findDuplicateBills, screenDuplicateBills } = require('../../services/vendorService');
+
+describe('Vendor Service', () => {
+    const vendorId = new mongoose.Types.ObjectId();
+    const earlierClaim = {
+        _id: new mongoose.Types.ObjectId(),
+        transactionId: 'EXP-2024-0042',
+        department: { name: 'Chemistry' },
+        status: 'FINALIZED'
+    };
+
+    // Expenditure.find(...).select(...).populate(...) resolving to the given claims
+    const claims = (...results) => {
+        const spy = jest.spyOn(Expenditure, 'find');
+        results.forEach(result => spy.mockReturnValueOnce({
+            select: () => ({ populate: async () => result })
+        }));
+        return spy;
+    };
+
+    const item = (billNumber) => ({ vendor: vendorId, vendorName: 'Sigma Labs', billNumber });
+
+    describe('attachVendors', () => {
+        it('refuses blocked and unregistered vendors', async () => {
+            jest.spyOn(Vendor, 'findById').mockResolvedValue({ _id: vendorId, name: 'Sigma Labs', isBlocked: true, blockedReason: 'GSTIN cancelled' });
+            expect(await attachVendors([{ vendor: vendorId.toString() }])).toBe('Vendor "Sigma Labs" is blocked: GSTIN cancelled');
+
+            jest.spyOn(Vendor, 'findOne').mockResolvedValue(null);
+            expect(await attachVendors([{ vendorName: 'Unknown Traders' }])).toMatch(/not registered/);
+        });
+    });
+
+    describe('findDuplicateBills', () => {
+        it('finds the same vendor bill in another expenditure, ignoring rejected and withdrawn claims', async () => {
+            const find = claims([earlierClaim]);
+
+            const duplicates = await findDuplicateBills([item('inv 001 ')]);
+
+            expect(duplicates).toEqual([{
+                index: 0,
+                billNumber: 'inv 001 ',
+                vendorName: 'Sigma Labs',
+                matches: [{ expenditure: earlierClaim._id, transactionId: 'EXP-2024-0042', department: 'Chemistry', status: 'FINALIZED' }]
+            }]);
+            const filter = find.mock.calls[0][0];
+            expect(filter.status.$nin).toEqual(['REJECTED', 'DRAFT', 'WITHDRAWN', 'CANCELLED']);
+            expect(filter.$or[0].expenseItems.$elemMatch).toMatchObject({ vendor: vendorId, billNumberKey: 'INV001' });
+        });
+
+        it('catches a bill repeated within the same submission', async () => {
+            claims([], []);
+
+            const duplicates = await findDuplicateBills([item('INV001'), item('inv 001')]);
+
+            expect(duplicates).toHaveLength(1);
+            expect(duplicates[0].index).toBe(1);
+            expect(duplicates[0].matches[0].status).toBe('SAME_SUBMISSION');
+        });
+    });
+
+    describe('screenDuplicateBills', () => {
+        it('blocks duplicates under the block policy', async () => {
+            claims([earlierClaim]);
+
+            const result = await screenDuplicateBills([item('INV001')], 'block');
+
+            expect(result.blocked).toBe(true);
+            expect(result.message).toBe('Bill INV001 from Sigma Labs already claimed in EXP-2024-0042 (Chemistry, FINALIZED)');
+        });
+
+        it('flags duplicates on the item under the flag policy', async () => {
+            claims([earlierClaim]);
+            const items = [item('INV001')];
+
+            const result = await screenDuplicateBills(items, 'flag');
+
+            expect(result.blocked).toBe(false);
+            expect(items[0].duplicateOf).toEqual([{ expenditure: earlierClaim._id, transactionId: 'EXP-2024-0042' }]);
+        });
+
+        it('always blocks a bill repeated within the submission', async () => {
+            claims([], []);
+
+            const result = await screenDuplicateBills([item('INV001'), item('INV001')], 'flag');
+
+            expect(result.blocked).toBe(true);
+            expect(result.message).toMatch(/this submission/);
+        });
+    });
+});
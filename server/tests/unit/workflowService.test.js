@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+const { DEFAULT_WORKFLOWS } = require('../../config/workflowRules');
+const {
+    getNextStage,
+    evaluateAction,
+    evaluateRejection,
+    recordSignOff,
+    evaluateDelegatedAction,
+    resolveRoutingTier,
+    getRoutedWorkflow,
+    getExpenditureRouting,
+    signOffSubmitterStage
+} = require('../../services/workflowService');
+
+describe('Workflow Service', () => {
+    const departmentId = new mongoose.Types.ObjectId();
+    const otherDepartmentId = new mongoose.Types.ObjectId();
+
+    const makeUser = (role, department = null) => ({
+        _id: new mongoose.Types.ObjectId(),
+        role,
+        department
+    });
+
+    const makeExpenditure = (status, totalAmount = 10000) => ({
+        status,
+        totalAmount,
+        department: departmentId,
+        approvalSteps: []
+    });
+
+    const expenditureWorkflow = { entityType: 'Expenditure', ...DEFAULT_WORKFLOWS.Expenditure };
+
+    describe('Default expenditure chain', () => {
+        it('should walk PENDING -> HOD_VERIFIED -> MANAGEMENT_APPROVED -> FINALIZED', () => {
+            const expenditure = makeExpenditure('PENDING');
+            const steps = [
+                { user: makeUser('hod', departmentId), action: 'verify', status: 'HOD_VERIFIED' },
+                { user: makeUser('principal'), action: 'approve', status: 'MANAGEMENT_APPROVED' },
+                { user: makeUser('office'), action: 'finalize', status: 'FINALIZED' }
+            ];
+
+            steps.forEach(({ user, action, status }) => {
+                const evaluation = evaluateAction({
+                    definition: expenditureWorkflow,
+                    document: expenditure,
+                    user,
+                    action,
+                    amount: expenditure.totalAmount
+                });
+                expect(evaluation.allowed).toBe(true);
+
+                const signOff = recordSignOff(expenditure, evaluation.stage, user, '');
+                expect(signOff.completed).toBe(true);
+                expect(expenditure.status).toBe(status);
+            });
+
+            expect(getNextStage(expenditureWorkflow, expenditure, expenditure.totalAmount)).toBeNull();
+        });
+
+        it('should block a HOD from another department', () => {
+            const evaluation = evaluateAction({
+                definition: expenditureWorkflow,
+                document: makeExpenditure('PENDING'),
+                user: makeUser('hod', otherDepartmentId),
+                action: 'verify',
+                amount: 10000
+            });
+
+            expect(evaluation.allowed).toBe(false);
+            expect(evaluation.statusCode).toBe(403);
+        });
+
+        it('should enforce the vice principal signing limit', () => {
+            const evaluation = evaluateAction({
+                definition: expenditureWorkflow,
+                document: makeExpenditure('HOD_VERIFIED', 75000),
+                user: makeUser('vice_principal'),
+                action: 'approve',
+                amount: 75000
+            });
+
+            expect(evaluation.allowed).toBe(false);
+        });
+
+        it('should only let the pending stage roles reject', () => {
+            const expenditure = makeExpenditure('HOD_VERIFIED');
+
+            expect(evaluateRejection({
+                definition: expenditureWorkflow,
+                document: expenditure,
+                user: makeUser('office'),
+                amount: 10000
+            }).allowed).toBe(false);
+
+            expect(evaluateRejection({
+                definition: expenditureWorkflow,
+                document: expenditure,
+                user: makeUser('principal'),
+                amount: 10000
+            }).allowed).toBe(true);
+        });
+    });
+
+    describe('Custom definitions', () => {
+        const customWorkflow = {
+            entityType: 'Expenditure',
+            initialStatus: 'PENDING',
+            stages: [
+                { key: 'hod', label: 'HOD', status: 'HOD_VERIFIED', action: 'verify', roles: ['hod'], signOff: 'any' },
+                {
+                    key: 'management',
+                    label: 'Management',
+                    status: 'MANAGEMENT_APPROVED',
+                    action: 'approve',
+                    roles: ['principal', 'vice_principal'],
+                    signOff: 'parallel',
+                    minAmount: 50000,
+                    maxAmount: null
+                },
+                { key: 'office', label: 'Office', status: 'FINALIZED', action: 'finalize', roles: ['office'], signOff: 'any' }
+            ]
+        };
+
+        it('should skip stages outside their amount band', () => {
+            const stage = getNextStage(customWorkflow, makeExpenditure('HOD_VERIFIED', 5000), 5000);
+            expect(stage.key).toBe('office');
+        });
+
+        it('should wait for every role in a parallel stage', () => {
+            const expenditure = makeExpenditure('HOD_VERIFIED', 80000);
+            const principal = makeUser('principal');
+            const vicePrincipal = makeUser('vice_principal');
+
+            const first = evaluateAction({ definition: customWorkflow, document: expenditure, user: vicePrincipal, action: 'approve', amount: 80000 });
+            expect(recordSignOff(expenditure, first.stage, vicePrincipal, '').completed).toBe(false);
+            expect(expenditure.status).toBe('HOD_VERIFIED');
+
+            const repeat = evaluateAction({ definition: customWorkflow, document: expenditure, user: vicePrincipal, action: 'approve', amount: 80000 });
+            expect(repeat.allowed).toBe(false);
+
+            const second = evaluateAction({ definition: customWorkflow, document: expenditure, user: principal, action: 'approve', amount: 80000 });
+            expect(recordSignOff(expenditure, second.stage, principal, '').completed).toBe(true);
+            expect(expenditure.status).toBe('MANAGEMENT_APPROVED');
+        });
+    });
+
+    describe('Routing tiers', () => {
+        it('should finalize a small claim on HOD verification and record the tier', () => {
+            const expenditure = makeExpenditure('PENDING', 2500);
+            const hod = makeUser('hod', departmentId);
+            const routed = getRoutedWorkflow(expenditureWorkflow, { amount: 2500, category: 'printing_stationery' });
+
+            const evaluation = evaluateAction({ definition: routed, document: expenditure, user: hod, action: 'verify', amount: 2500 });
+            expect(evaluation.allowed).toBe(true);
+
+            recordSignOff(expenditure, evaluation.stage, hod, '');
+            expect(expenditure.status).toBe('FINALIZED');
+            expect(expenditure.approvalSteps[0].tier).toBe('small_claim');
+        });
+
+        it('should require both principal and vice principal for large purchases', () => {
+            const expenditure = makeExpenditure('HOD_VERIFIED', 500000);
+            const routed = getRoutedWorkflow(expenditureWorkflow, { amount: 500000, category: 'laboratory_equipment' });
+            expect(routed.tier.key).toBe('large_purchase');
+
+            const vicePrincipal = makeUser('vice_principal');
+            const first = evaluateAction({ definition: routed, document: expenditure, user: vicePrincipal, action: 'approve', amount: 500000 });
+            expect(first.allowed).toBe(true);
+            expect(recordSignOff(expenditure, first.stage, vicePrincipal, '').completed).toBe(false);
+
+            const principal = makeUser('principal');
+            const second = evaluateAction({ definition: routed, document: expenditure, user: principal, action: 'approve', amount: 500000 });
+            expect(recordSignOff(expenditure, second.stage, principal, '').completed).toBe(true);
+            expect(expenditure.status).toBe('MANAGEMENT_APPROVED');
+        });
+
+        it('should put an amount on a tier boundary in the higher tier only', () => {
+            const tierFor = (amount) => resolveRoutingTier(expenditureWorkflow, { amount, category: 'software' }).key;
+
+            expect(tierFor(9999)).toBe('small_claim');
+            expect(tierFor(10000)).toBe('standard');
+            expect(tierFor(199999)).toBe('standard');
+            expect(tierFor(200000)).toBe('large_purchase');
+        });
+
+        it('should prefer a tier scoped to the budget head category', () => {
+            const definition = {
+                ...expenditureWorkflow,
+                routingTiers: [
+                    { key: 'general', label: 'General', categories: [], minAmount: 0, maxAmount: null },
+                    { key: 'lab', label: 'Lab', categories: ['laboratory_equipment'], minAmount: 0, maxAmount: null }
+                ]
+            };
+
+            expect(resolveRoutingTier(definition, { amount: 1000, category: 'laboratory_equipment' }).key).toBe('lab');
+            expect(resolveRoutingTier(definition, { amount: 1000, category: 'software' }).key).toBe('general');
+        });
+
+        it('should keep the claimed tier when lines are reduced below its band', () => {
+            const claimed = { ...makeExpenditure('HOD_VERIFIED', 500000), claimedAmount: 500000 };
+            const reduced = { ...claimed, totalAmount: 150000 };
+
+            expect(getExpenditureRouting(expenditureWorkflow, claimed, 'laboratory_equipment').tier.key).toBe('large_purchase');
+            expect(getExpenditureRouting(expenditureWorkflow, reduced, 'laboratory_equipment').tier.key).toBe('large_purchase');
+            expect(getExpenditureRouting(expenditureWorkflow, { ...reduced, claimedAmount: undefined }, 'laboratory_equipment').tier.key).toBe('standard');
+        });
+    });
+
+    describe('Delegation', () => {
+        it('should let a substitute approve on behalf of the principal', () => {
+            const expenditure = makeExpenditure('HOD_VERIFIED', 75000);
+            const principal = makeUser('principal');
+            const substitute = makeUser('hod', otherDepartmentId);
+
+            const evaluation = evaluateDelegatedAction({
+                definition: expenditureWorkflow,
+                document: expenditure,
+                user: substitute,
+                action: 'approve',
+                amount: 75000
+            }, [principal]);
+            expect(evaluation.allowed).toBe(true);
+            expect(evaluation.onBehalfOf).toBe(principal);
+
+            recordSignOff(expenditure, evaluation.stage, substitute, '', evaluation.onBehalfOf);
+            const [step] = expenditure.approvalSteps;
+            expect(step.approver).toBe(substitute._id);
+            expect(step.onBehalfOf).toBe(principal._id);
+            expect(step.role).toBe('principal');
+            expect(expenditure.status).toBe('MANAGEMENT_APPROVED');
+        });
+
+        it('should not let anyone sign off their own submission, in person or as a substitute', () => {
+            const coordinator = makeUser('coordinator', departmentId);
+            const hod = makeUser('hod', departmentId);
+            const expenditure = { ...makeExpenditure('PENDING'), submittedBy: coordinator._id };
+
+            const asSubstitute = evaluateDelegatedAction({
+                definition: expenditureWorkflow,
+                document: expenditure,
+                user: coordinator,
+                action: 'verify',
+                amount: 10000
+            }, [hod]);
+            expect(asSubstitute.allowed).toBe(false);
+            expect(asSubstitute.statusCode).toBe(403);
+
+            // A substitute for the HOD cannot verify the HOD's own request either
+            const forSubmitter = evaluateAction({
+                definition: { entityType: 'Reappropriation', ...DEFAULT_WORKFLOWS.Reappropriation },
+                document: { status: 'PENDING', amount: 25000, department: departmentId, approvalSteps: [], requestedBy: hod._id },
+                user: hod,
+                actor: makeUser('hod', otherDepartmentId),
+                action: 'verify',
+                amount: 25000
+            });
+            expect(forSubmitter.allowed).toBe(false);
+        });
+
+        it('should count a HOD\'s own request as HOD-verified and leave the next stage to someone else', () => {
+            const reappropriationWorkflow = { entityType: 'Reappropriation', ...DEFAULT_WORKFLOWS.Reappropriation };
+            const hod = makeUser('hod', departmentId);
+            const request = { status: 'PENDING', amount: 25000, department: departmentId, approvalSteps: [], requestedBy: hod._id };
+
+            expect(signOffSubmitterStage(reappropriationWorkflow, request, hod, 25000)).toBe(true);
+            expect(request.status).toBe('HOD_VERIFIED');
+            // Never the final sign-off, even for a submitter who holds that role
+            expect(signOffSubmitterStage(reappropriationWorkflow, request, { ...hod, role: 'principal' }, 25000)).toBe(false);
+            expect(request.status).toBe('HOD_VERIFIED');
+        });
+
+        it('should not let one person provide both signatures of a parallel stage', () => {
+            const expenditure = makeExpenditure('HOD_VERIFIED', 500000);
+            const routed = getRoutedWorkflow(expenditureWorkflow, { amount: 500000, category: 'software' });
+            const vicePrincipal = makeUser('vice_principal');
+            const principal = makeUser('principal');
+
+            const own = evaluateAction({ definition: routed, document: expenditure, user: vicePrincipal, action: 'approve', amount: 500000 });
+            recordSignOff(expenditure, own.stage, vicePrincipal, '');
+
+            const delegated = evaluateDelegatedAction({
+                definition: routed,
+                document: expenditure,
+                user: vicePrincipal,
+                action: 'approve',
+                amount: 500000
+            }, [principal]);
+            expect(delegated.allowed).toBe(false);
+        });
+    });
+
+    describe('Re-appropriation chain', () => {
+        const reappropriationWorkflow = { entityType: 'Reappropriation', ...DEFAULT_WORKFLOWS.Reappropriation };
+
+        it('should need HOD verification before the principal can approve', () => {
+            const request = { status: 'PENDING', amount: 25000, department: departmentId, approvalSteps: [] };
+            const principal = makeUser('principal');
+
+            const early = evaluateAction({
+                definition: reappropriationWorkflow,
+                document: request,
+                user: principal,
+                action: 'approve',
+                amount: request.amount
+            });
+            expect(early.allowed).toBe(false);
+
+            const hod = makeUser('hod', departmentId);
+            const verification = evaluateAction({
+                definition: reappropriationWorkflow,
+                document: request,
+                user: hod,
+                action: 'verify',
+                amount: request.amount
+            });
+            recordSignOff(request, verification.stage, hod, '');
+            expect(request.status).toBe('HOD_VERIFIED');
+
+            const approval = evaluateAction({
+                definition: reappropriationWorkflow,
+                document: request,
+                user: principal,
+                action: 'approve',
+                amount: request.amount
+            });
+            expect(approval.allowed).toBe(true);
+            recordSignOff(request, approval.stage, principal, '');
+            expect(request.status).toBe('APPROVED');
+        });
+    });
+});
@@ -42,6 +42,12 @@ const notificationTemplates = {
     priority: 'high',
     actionRequired: true
   },
+  expenditure_cancelled: {
+    title: 'Expenditure Reversed',
+    message: 'A finalized expenditure has been reversed and its amount returned to your budget.',
+    priority: 'high',
+    actionRequired: false
+  },
   budget_allocation_created: {
     title: 'Budget Allocation Created',
     message: 'A new budget allocation has been created for your department.',
@@ -60,6 +66,120 @@ const notificationTemplates = {
     priority: 'medium',
     actionRequired: true
   },
+  delegation_assigned: {
+    title: 'Approval Authority Delegated',
+    message: 'You have been nominated to act on behalf of a colleague who is out of office.',
+    priority: 'high',
+    actionRequired: false
+  },
+  reappropriation_submitted: {
+    title: 'Re-appropriation Requested',
+    message: 'A request to move funds between budget heads requires your review.',
+    priority: 'medium',
+    actionRequired: true
+  },
+  reappropriation_approved: {
+    title: 'Re-appropriation Approved',
+    message: 'Your re-appropriation request has been approved and the funds have been transferred.',
+    priority: 'high',
+    actionRequired: false
+  },
+  reappropriation_rejected: {
+    title: 'Re-appropriation Rejected',
+    message: 'Your re-appropriation request has been rejected. Please review the remarks.',
+    priority: 'high',
+    actionRequired: false
+  },
+  advance_submitted: {
+    title: 'Advance Requested',
+    message: 'A cash advance request for an upcoming event requires your review.',
+    priority: 'medium',
+    actionRequired: true
+  },
+  advance_approved: {
+    title: 'Advance Approved',
+    message: 'Your advance has been approved. Submit the bills against it after the event to settle it.',
+    priority: 'high',
+    actionRequired: false
+  },
+  advance_rejected: {
+    title: 'Advance Rejected',
+    message: 'Your advance request has been rejected. Please review the remarks.',
+    priority: 'high',
+    actionRequired: false
+  },
+  advance_overdue: {
+    title: 'Advance Settlement Overdue',
+    message: 'Your advance has not been settled by its due date. Submit the bills or return the cash.',
+    priority: 'urgent',
+    actionRequired: true
+  },
+  budget_override_requested: {
+    title: 'Budget Override Requested',
+    message: 'An expenditure exceeds its remaining budget and needs your approval to overspend.',
+    priority: 'high',
+    actionRequired: true
+  },
+  budget_override_approved: {
+    title: 'Budget Override Approved',
+    message: 'Your budget override has been approved. The expenditure can now be finalized.',
+    priority: 'high',
+    actionRequired: false
+  },
+  budget_override_rejected: {
+    title: 'Budget Override Rejected',
+    message: 'Your budget override has been rejected. Please review the remarks.',
+    priority: 'high',
+    actionRequired: false
+  },
+  allocation_amendment_requested: {
+    title: 'Allocation Amendment Requested',
+    message: 'A change to a budget allocation requires your approval.',
+    priority: 'high',
+    actionRequired: true
+  },
+  allocation_amendment_approved: {
+    title: 'Allocation Amendment Approved',
+    message: 'Your allocation amendment has been approved and the allocation updated.',
+    priority: 'high',
+    actionRequired: false
+  },
+  allocation_amendment_rejected: {
+    title: 'Allocation Amendment Rejected',
+    message: 'Your allocation amendment has been rejected. Please review the remarks.',
+    priority: 'high',
+    actionRequired: false
+  },
+  recurring_draft_ready: {
+    title: 'Recurring Expenditure Ready',
+    message: 'A draft has been raised from your recurring expenditure. Attach the bill and submit it.',
+    priority: 'medium',
+    actionRequired: true
+  },
+  comment_reply: {
+    title: 'New Reply',
+    message: 'Someone replied to your comment.',
+    priority: 'low',
+    actionRequired: false
+  },
+  comment_mention: {
+    title: 'You Were Mentioned',
+    message: 'You were mentioned in a discussion.',
+    priority: 'medium',
+    actionRequired: false
+  },
+  clarification_requested: {
+    title: 'Clarification Requested',
+    message: 'An approver has asked a question about your request. It is on hold until you reply.',
+    priority: 'high',
+    actionRequired: true
+  },
+  clarification_answered: {
+    title: 'Clarification Answered',
+    message: 'The submitter has answered your question. The request is back in your queue.',
+    priority: 'medium',
+    actionRequired: true
+  },
   attachments_missing: {
     title: 'Attachments Missing',
     message: 'Your expenditure request is missing required attachments. Please upload them to proceed.',
@@ -480,6 +600,38 @@ const notifyExpenditureRejection = async (expenditure, approver, remarks) => {
   }
 };
 
+// Tell the department that a finalized expenditure was reversed and its spend given back
+const notifyExpenditureCancellation = async (expenditure, actor, reason) => {
+  try {
+    const departmentId = expenditure.department._id || expenditure.department;
+    const departmentUsers = await User.find({
+      department: departmentId,
+      role: { $in: ['department', 'coordinator', 'hod'] },
+      isActive: true
+    }).select('_id');
+
+    const submitterId = (expenditure.submittedBy._id || expenditure.submittedBy).toString();
+    const recipients = [...new Set([submitterId, ...departmentUsers.map(user => user._id.toString())])];
+
+    await sendBulkNotification(recipients, {
+      type: 'expenditure_cancelled',
+      relatedEntity: 'Expenditure',
+      relatedEntityId: expenditure._id,
+      actionUrl: '/expenditures',
+      message: `${expenditure.transactionId || expenditure.eventName} (₹${expenditure.totalAmount.toLocaleString('en-IN')}) was reversed by ${actor.name}: ${reason}. The amount is back in your budget.`,
+      metadata: {
+        transactionId: expenditure.transactionId,
+        eventName: expenditure.eventName,
+        amount: expenditure.totalAmount,
+        reversedBy: actor.name,
+        reason
+      }
+    });
+  } catch (error) {
+    console.error('Error sending expenditure cancellation notifications:', error);
+  }
+};
+
 // Send budget exhaustion warning
 const notifyBudgetExhaustion = async (allocation) => {
   try {
@@ -607,6 +759,304 @@ const notifyProposalStatusChange = async (proposal, action, remarks) => {
   }
 };
 
+// Send re-appropriation request notifications to the department's HOD
+const notifyReappropriationSubmission = async (reappropriation) => {
+  try {
+    const hodUsers = await getUsersByRole(['hod']);
+    const recipients = hodUsers
+      .filter(user => user.department && user.department.toString() === reappropriation.department._id.toString())
+      .filter(user => user._id.toString() !== reappropriation.requestedBy.toString())
+      .map(user => user._id);
+
+    if (recipients.length > 0) {
+      await sendBulkNotification(recipients, {
+        type: 'reappropriation_submitted',
+        relatedEntity: 'Reappropriation',
+        relatedEntityId: reappropriation._id,
+        actionUrl: '/reappropriations',
+        metadata: {
+          financialYear: reappropriation.financialYear,
+          department: reappropriation.department.name,
+          fromBudgetHead: reappropriation.fromBudgetHead.name,
+          toBudgetHead: reappropriation.toBudgetHead.name,
+          amount: reappropriation.amount
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Error sending re-appropriation submission notifications:', error);
+  }
+};
+
+// Tell the requester their re-appropriation was approved or rejected
+const notifyReappropriationDecision = async (reappropriation, approver, remarks) => {
+  try {
+    const approved = reappropriation.status === 'APPROVED';
+
+    await createNotification({
+      recipient: reappropriation.requestedBy._id || reappropriation.requestedBy,
+      type: approved ? 'reappropriation_approved' : 'reappropriation_rejected',
+      relatedEntity: 'Reappropriation',
+      relatedEntityId: reappropriation._id,
+      actionUrl: '/reappropriations',
+      metadata: {
+        financialYear: reappropriation.financialYear,
+        amount: reappropriation.amount,
+        approver: approver.name,
+        remarks
+      }
+    });
+  } catch (error) {
+    console.error('Error sending re-appropriation decision notifications:', error);
+  }
+};
+
+// Send advance request notifications to the department's HOD
+const notifyAdvanceSubmission = async (advance) => {
+  try {
+    const hodUsers = await User.find({ role: 'hod', department: advance.department._id, isActive: true }).select('_id');
+    const recipients = hodUsers
+      .filter(user => user._id.toString() !== advance.requestedBy._id.toString())
+      .map(user => user._id);
+
+    if (recipients.length > 0) {
+      await sendBulkNotification(recipients, {
+        type: 'advance_submitted',
+        relatedEntity: 'Advance',
+        relatedEntityId: advance._id,
+        actionUrl: '/advances',
+        metadata: {
+          advanceNumber: advance.advanceNumber,
+          department: advance.department.name,
+          eventName: advance.eventName,
+          amount: advance.amount
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Error sending advance submission notifications:', error);
+  }
+};
+
+// Tell the requester their advance was approved or rejected
+const notifyAdvanceDecision = async (advance, approver, remarks) => {
+  try {
+    const approved = advance.status === 'APPROVED';
+
+    await createNotification({
+      recipient: advance.requestedBy._id || advance.requestedBy,
+      type: approved ? 'advance_approved' : 'advance_rejected',
+      relatedEntity: 'Advance',
+      relatedEntityId: advance._id,
+      actionUrl: '/advances',
+      metadata: {
+        advanceNumber: advance.advanceNumber,
+        amount: advance.amount,
+        settlementDueDate: advance.settlementDueDate,
+        approver: approver.name,
+        remarks
+      }
+    });
+  } catch (error) {
+    console.error('Error sending advance decision notifications:', error);
+  }
+};
+
+// Remind the requester that their advance is past its settlement date
+const notifyAdvanceOverdue = async (advance) => {
+  try {
+    await createNotification({
+      recipient: advance.requestedBy._id || advance.requestedBy,
+      type: 'advance_overdue',
+      relatedEntity: 'Advance',
+      relatedEntityId: advance._id,
+      actionUrl: '/advances',
+      message: `${advance.advanceNumber} (₹${advance.amount.toLocaleString('en-IN')} for ${advance.eventName}) was due for settlement on ${new Date(advance.settlementDueDate).toLocaleDateString('en-IN')}. Submit the bills or return the cash.`,
+      metadata: {
+        advanceNumber: advance.advanceNumber,
+        amount: advance.amount,
+        settlementDueDate: advance.settlementDueDate
+      }
+    });
+  } catch (error) {
+    console.error('Error sending advance overdue notification:', error);
+  }
+};
+
+// Tell a template owner that this run's draft is waiting for its bill
+const notifyRecurringDraft = async (draft, template) => {
+  try {
+    await createNotification({
+      recipient: draft.submittedBy,
+      type: 'recurring_draft_ready',
+      relatedEntity: 'Expenditure',
+      relatedEntityId: draft._id,
+      actionUrl: `/submit-expenditure/${draft._id}`,
+      message: `${draft.eventName} has been drafted with the expected ₹${template.expectedAmount.toLocaleString('en-IN')} from ${template.vendorName}. Attach the bill and submit it.`,
+      metadata: {
+        template: template._id,
+        eventName: draft.eventName,
+        expectedAmount: template.expectedAmount
+      }
+    });
+  } catch (error) {
+    console.error('Error sending recurring draft notification:', error);
+  }
+};
+
+// Ask the principal and vice principal to decide a budget override
+const notifyBudgetOverrideRequest = async (override, expenditure) => {
+  try {
+    const approvers = await getUsersByRole(['principal', 'vice_principal']);
+    const recipients = approvers.map(user => user._id);
+
+    if (recipients.length > 0) {
+      await sendBulkNotification(recipients, {
+        type: 'budget_override_requested',
+        relatedEntity: 'BudgetOverride',
+        relatedEntityId: override._id,
+        actionUrl: '/budget-overrides',
+        message: override.overrunAmount > 0
+          ? `${expenditure.eventName} (${expenditure.department?.name || 'department'}) needs ₹${override.overrunAmount.toLocaleString('en-IN')} more than its remaining budget. Justification: ${override.justification}`
+          : `${expenditure.eventName} (${expenditure.department?.name || 'department'}) needs budget ahead of its release schedule. Justification: ${override.justification}`,
+        metadata: {
+          expenditure: expenditure._id,
+          eventName: expenditure.eventName,
+          expenseAmount: override.expenseAmount,
+          overrunAmount: override.overrunAmount
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Error sending budget override request notifications:', error);
+  }
+};
+
+// Tell the requester their budget override was approved or rejected
+const notifyBudgetOverrideDecision = async (override, approver) => {
+  try {
+    const approved = override.status === 'approved';
+
+    await createNotification({
+      recipient: override.requestedBy._id || override.requestedBy,
+      type: approved ? 'budget_override_approved' : 'budget_override_rejected',
+      relatedEntity: 'BudgetOverride',
+      relatedEntityId: override._id,
+      actionUrl: '/budget-overrides',
+      metadata: {
+        expenditure: override.expenditure._id || override.expenditure,
+        overrunAmount: override.overrunAmount,
+        approver: approver.name,
+        remarks: override.approvalRemarks
+      }
+    });
+  } catch (error) {
+    console.error('Error sending budget override decision notifications:', error);
+  }
+};
+
+// Ask the principal and vice principal to decide an allocation amendment
+const notifyAllocationAmendmentRequest = async (amendment, allocation) => {
+  try {
+    const approvers = await getUsersByRole(['principal', 'vice_principal']);
+    const recipients = approvers
+      .filter(user => user._id.toString() !== amendment.requestedBy.toString())
+      .map(user => user._id);
+
+    if (recipients.length > 0) {
+      await sendBulkNotification(recipients, {
+        type: 'allocation_amendment_requested',
+        relatedEntity: 'AllocationAmendment',
+        relatedEntityId: amendment._id,
+        actionUrl: '/allocation-amendments',
+        message: `Change the ${allocation.financialYear} allocation from ₹${amendment.originalAmount.toLocaleString('en-IN')} to ₹${amendment.requestedAmount.toLocaleString('en-IN')} (${amendment.changePercent}%)${amendment.requiredApprovals > 1 ? '. Two approvals are required.' : '.'} Reason: ${amendment.changeReason}`,
+        metadata: {
+          allocation: allocation._id,
+          originalAmount: amendment.originalAmount,
+          requestedAmount: amendment.requestedAmount,
+          requiredApprovals: amendment.requiredApprovals
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Error sending allocation amendment request notifications:', error);
+  }
+};
+
+// Tell the requester their allocation amendment was approved or rejected
+const notifyAllocationAmendmentDecision = async (amendment, approver) => {
+  try {
+    const approved = amendment.status === 'approved';
+
+    await createNotification({
+      recipient: amendment.requestedBy._id || amendment.requestedBy,
+      type: approved ? 'allocation_amendment_approved' : 'allocation_amendment_rejected',
+      relatedEntity: 'AllocationAmendment',
+      relatedEntityId: amendment._id,
+      actionUrl: '/allocation-amendments',
+      metadata: {
+        allocation: amendment.allocation._id || amendment.allocation,
+        originalAmount: amendment.originalAmount,
+        requestedAmount: amendment.requestedAmount,
+        approver: approver.name,
+        remarks: amendment.approvalRemarks
+      }
+    });
+  } catch (error) {
+    console.error('Error sending allocation amendment decision notifications:', error);
+  }
+};
+
+// Tell the people a new comment concerns: the submitter of a clarification request,
+// the approver who asked when it is answered, the author of the comment replied to
+// and anyone @mentioned. Everyone in the thread gets the comment live over the socket.
+const notifyComment = async ({ comment, target, targetEntity, author, parentAuthor, clarificationRequester, participants }) => {
+  try {
+    const label = targetEntity === 'Expenditure'
+      ? (target.eventName || target.transactionId || 'an expenditure')
+      : `the ${target.financialYear} budget proposal`;
+    const actionUrl = targetEntity === 'Expenditure'
+      ? `/expenditures?search=${encodeURIComponent(target.transactionId || target.eventName || '')}`
+      : '/budget-proposals';
+    const excerpt = comment.body.length > 140 ? `${comment.body.slice(0, 137)}...` : comment.body;
+
+    // One notification per person, the most pressing reason first
+    const recipients = new Map();
+    const add = (userId, type, message) => {
+      if (!userId) return;
+      const key = userId.toString();
+      if (key === author._id.toString() || recipients.has(key)) return;
+      recipients.set(key, { type, message });
+    };
+    if (comment.kind === 'clarification_request') {
+      add(target.submittedBy._id || target.submittedBy, 'clarification_requested', `${author.name} asked about ${label}: "${excerpt}"`);
+    }
+    if (comment.kind === 'clarification_response') {
+      add(clarificationRequester, 'clarification_answered', `${author.name} answered your question on ${label}: "${excerpt}"`);
+    }
+    (comment.mentions || []).forEach(userId => add(userId, 'comment_mention', `${author.name} mentioned you on ${label}: "${excerpt}"`));
+    add(parentAuthor, 'comment_reply', `${author.name} replied on ${label}: "${excerpt}"`);
+
+    for (const [recipient, { type, message }] of recipients) {
+      await createNotification({
+        recipient,
+        type,
+        relatedEntity: targetEntity,
+        relatedEntityId: target._id,
+        actionUrl,
+        message,
+        metadata: { comment: comment._id, kind: comment.kind }
+      });
+    }
+
+    const live = new Set([...(participants || []).map(String), ...recipients.keys()]);
+    live.delete(author._id.toString());
+    live.forEach(userId => emitToUser(userId, 'comment_added', { targetEntity, targetId: target._id, comment }));
+  } catch (error) {
+    console.error('Error sending comment notifications:', error);
+  }
+};
+
 module.exports = {
   createNotification,
   sendEmailNotification,
@@ -615,8 +1065,20 @@ module.exports = {
   notifyExpenditureSubmission,
   notifyExpenditureApproval,
   notifyExpenditureRejection,
+  notifyExpenditureCancellation,
   notifyBudgetExhaustion,
   sendApprovalReminders,
   notifyProposalSubmission,
-  notifyProposalStatusChange
+  notifyProposalStatusChange,
+  notifyReappropriationSubmission,
+  notifyReappropriationDecision,
+  notifyAdvanceSubmission,
+  notifyAdvanceDecision,
+  notifyAdvanceOverdue,
+  notifyRecurringDraft,
+  notifyBudgetOverrideRequest,
+  notifyBudgetOverrideDecision,
+  notifyAllocationAmendmentRequest,
+  notifyAllocationAmendmentDecision,
+  notifyComment
 };